@@ -4,7 +4,7 @@ import 'react-native-get-random-values'; // MUST be first import!
 import { Buffer } from 'buffer';
 global.Buffer = Buffer;
 
-import React from 'react';
+import React, { useEffect } from 'react';
 import { StatusBar } from 'expo-status-bar';
 import { SafeAreaProvider } from 'react-native-safe-area-context';
 import { NavigationContainer } from '@react-navigation/native';
@@ -13,12 +13,45 @@ import { HomeScreen } from './src/screens/HomeScreen';
 import { PublishingScreen } from './src/screens/PublishingScreen';
 import { StoryViewScreen } from './src/screens/StoryViewScreen';
 import { ComposerModal } from './src/screens/ComposerModal';
+import { ThreadScreen } from './src/screens/ThreadScreen';
+import { TagScreen } from './src/screens/TagScreen';
+import { SeedPhraseScreen } from './src/screens/auth/SeedPhraseScreen';
 import { ErrorBoundary } from './src/components/shared';
 import { UserProvider } from './src/context/UserContext';
+import { publishingScheduler } from './src/services/publishing/PublishingScheduler';
 
 const Stack = createStackNavigator();
 
+/**
+ * Background fetch modules, where the build bundles them. Metro treats
+ * requires inside try/catch as optional, so builds without them still bundle.
+ * @returns {Object} { TaskManager, BackgroundFetch } (empty if unavailable)
+ */
+const loadBackgroundModules = () => {
+  try {
+    return {
+      TaskManager: require('expo-task-manager'),
+      BackgroundFetch: require('expo-background-fetch')
+    };
+  } catch (error) {
+    return {};
+  }
+};
+
+// The background task must be defined at startup, outside any component
+publishingScheduler.registerBackgroundTask(loadBackgroundModules()).catch(error => {
+  console.error('Scheduled publishing background task failed to register:', error);
+});
+
 export default function App() {
+  // Publish scheduled stories and posts that came due while the app was closed
+  useEffect(() => {
+    publishingScheduler.start().catch(error => {
+      console.error('Scheduled publishing failed:', error);
+    });
+    return () => publishingScheduler.stop();
+  }, []);
+
   return (
     <UserProvider>
       <ErrorBoundary
@@ -76,6 +109,30 @@ export default function App() {
                 gestureEnabled: true,
               }}
             />
+            <Stack.Screen 
+              name="Thread" 
+              component={ThreadScreen}
+              options={{
+                title: 'Thread',
+                gestureEnabled: true,
+              }}
+            />
+            <Stack.Screen 
+              name="Tag" 
+              component={TagScreen}
+              options={{
+                title: 'Hashtag',
+                gestureEnabled: true,
+              }}
+            />
+            <Stack.Screen 
+              name="SeedPhrase" 
+              component={SeedPhraseScreen}
+              options={{
+                title: 'Seed Phrase',
+                gestureEnabled: true,
+              }}
+            />
 
             <Stack.Screen 
               name="ComposeModal" 
@@ -109,4 +166,4 @@ export default function App() {
   );
 }
 
-// Character count: 2,436
\ No newline at end of file
+// Character count: 5,418
\ No newline at end of file
@@ -0,0 +1,30 @@
+// __tests__/__mocks__/expo-crypto-sha256.js
+// Path: __tests__/__mocks__/expo-crypto-sha256.js
+
+/**
+ * Expo Crypto with a real SHA-256 digest, for tests whose content hashes,
+ * lane items or signatures must be valid 32-byte digests. Tests opt in with:
+ *
+ *   jest.mock('expo-crypto', () => jest.requireActual('<path>/__tests__/__mocks__/expo-crypto-sha256'));
+ */
+
+const crypto = require('crypto');
+
+export const CryptoDigestAlgorithm = {
+  SHA256: 'SHA-256'
+};
+
+export const CryptoEncoding = {
+  HEX: 'hex'
+};
+
+/**
+ * Hash a string with SHA-256
+ * @param {string} algorithm - Hash algorithm (only SHA-256 is used)
+ * @param {string} data - Data to hash
+ * @returns {Promise<string>} Hex digest
+ */
+export const digestStringAsync = jest.fn(async (algorithm, data) =>
+  crypto.createHash('sha256').update(data, 'utf8').digest('hex'));
+
+// Character count: 838
@@ -22,6 +22,7 @@ import bs58 from 'bs58';
 // Import our models and builders
 import { UserGenesisBlock } from '../../src/services/blockchain/shared/models/UserGenesisBlock.js';
 import { SolanaMemoBuilder } from '../../src/services/blockchain/solana/utils/SolanaMemoBuilder.js';
+import { KeypairSigner } from '../../src/services/wallet/KeypairSigner.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -210,7 +211,7 @@ async function createTestUser(username, connection, registry) {
     const transactionHash = await memoBuilder.deployUserGenesis(
       username,
       CONFIG.GLYFFITI_GENESIS_HASH,
-      systemWallet 
+      new KeypairSigner(systemWallet)
     );
     
     console.log(`✅ User Genesis deployed: ${transactionHash}`);
@@ -387,4 +388,4 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   main();
 }
 
-// Character count: 11,497
\ No newline at end of file
+// Character count: 12,464
\ No newline at end of file
@@ -18,6 +18,7 @@ import { fileURLToPath } from 'url';
 // Note: These paths will need to be adjusted based on your actual file structure
 import { GlyffitiGenesisBlock, GenesisBlockFactory } from '../../src/services/blockchain/shared/models/GenesisBlock.js';
 import { SolanaMemoBuilder } from '../../src/services/blockchain/solana/utils/SolanaMemoBuilder.js';
+import { KeypairSigner } from '../../src/services/wallet/KeypairSigner.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -267,7 +268,7 @@ async function deployGlyffitiGenesis(network) {
     console.log('\n🚀 Deploying Glyffiti Genesis Block...');
     console.log('⏳ This may take a few moments...\n');
     
-    const genesisTransactionHash = await memoBuilder.deployGlyffitiGenesis(deployerKeypair);
+    const genesisTransactionHash = await memoBuilder.deployGlyffitiGenesis(new KeypairSigner(deployerKeypair));
     
     // Verify deployment by reading it back
     console.log('\n🔍 Verifying deployment...');
@@ -389,4 +390,4 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   main();
 }
 
-// Character count: 11,847
\ No newline at end of file
+// Character count: 14,558
\ No newline at end of file
@@ -0,0 +1,141 @@
+// scripts/blockchain/exportTestIdentities.js
+// Path: scripts/blockchain/exportTestIdentities.js
+
+/**
+ * Export Test Identities Script for Glyffiti Social Network
+ *
+ * Collects the test user keypairs written by createTestUser.js into a single
+ * test-identities.json file that the development app can import from the user
+ * selector ("Import test identities"). Secret keys are never bundled with the
+ * app; this file stays on the dev machine and is gitignored.
+ *
+ * Usage:
+ *   node scripts/blockchain/exportTestIdentities.js
+ *   node scripts/blockchain/exportTestIdentities.js --from old-user-keys.json
+ *   node scripts/blockchain/exportTestIdentities.js --out /tmp/test-identities.json
+ */
+
+import { Keypair } from '@solana/web3.js';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Configuration
+ */
+const CONFIG = {
+  USERS_DIR: path.join(__dirname, 'test-users'),
+  USER_REGISTRY: path.join(__dirname, '../../src/data/user-registry.json'),
+  OUTPUT: path.join(__dirname, 'test-identities.json')
+};
+
+/**
+ * Read an optional CLI flag value
+ */
+function getArg(args, flag) {
+  const index = args.indexOf(flag);
+  return index !== -1 ? args[index + 1] : null;
+}
+
+/**
+ * Load keypairs from the test-users directory (one <username>.json per user)
+ */
+async function loadFromUsersDir() {
+  const identities = {};
+  let files = [];
+
+  try {
+    files = await fs.readdir(CONFIG.USERS_DIR);
+  } catch (error) {
+    console.log(`⚠️  No test users directory at ${CONFIG.USERS_DIR}`);
+    return identities;
+  }
+
+  for (const file of files.filter(f => f.endsWith('.json'))) {
+    const username = path.basename(file, '.json');
+    const data = await fs.readFile(path.join(CONFIG.USERS_DIR, file), 'utf8');
+    identities[username] = JSON.parse(data);
+  }
+  return identities;
+}
+
+/**
+ * Load keypairs from an existing { username: [secret bytes] } file
+ */
+async function loadFromFile(filePath) {
+  const data = await fs.readFile(filePath, 'utf8');
+  return JSON.parse(data);
+}
+
+/**
+ * Validate keys and compare them with the user registry
+ */
+async function validateIdentities(identities) {
+  let registryUsers = [];
+  try {
+    const registry = JSON.parse(await fs.readFile(CONFIG.USER_REGISTRY, 'utf8'));
+    registryUsers = registry.users || [];
+  } catch (error) {
+    console.log('⚠️  Could not read user registry, skipping public key check');
+  }
+
+  for (const [username, secret] of Object.entries(identities)) {
+    const keypair = Keypair.fromSecretKey(Uint8Array.from(secret));
+    const publicKey = keypair.publicKey.toBase58();
+    const registryUser = registryUsers.find(u => u.username === username);
+
+    if (!registryUser) {
+      console.log(`   ${username}: ${publicKey} (not in registry)`);
+    } else if (registryUser.publicKey !== publicKey) {
+      console.log(`   ${username}: ${publicKey} ❌ registry has ${registryUser.publicKey}`);
+    } else {
+      console.log(`   ${username}: ${publicKey} ✅`);
+    }
+  }
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+  console.log('🧪 Glyffiti Test Identity Export');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  try {
+    const args = process.argv.slice(2);
+    const fromFile = getArg(args, '--from');
+    const output = getArg(args, '--out') || CONFIG.OUTPUT;
+
+    const identities = fromFile ? await loadFromFile(fromFile) : await loadFromUsersDir();
+    const count = Object.keys(identities).length;
+
+    if (count === 0) {
+      throw new Error('No test identities found. Create users with createTestUser.js first.');
+    }
+
+    console.log(`\n🔑 ${count} identities:`);
+    await validateIdentities(identities);
+
+    await fs.writeFile(output, JSON.stringify(identities, null, 2), { mode: 0o600 });
+
+    console.log(`\n✅ Wrote ${output}`);
+    console.log('📋 Next Steps:');
+    console.log('1. Copy the file to the device (AirDrop, Files, adb push, ...)');
+    console.log('2. In a development build open the user selector and tap "Import test identities"');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Fatal error:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+// Character count: 4320
@@ -6,35 +6,45 @@ import {
   Text, 
   StyleSheet, 
   FlatList, 
-  RefreshControl
+  RefreshControl,
+  TouchableOpacity
 } from 'react-native';
 import { LoadingSpinner, ContentCard } from '../shared';
 import { Book } from 'lucide-react-native';
 import { colors, spacing, typography } from '../../styles/tokens';
 import { storyCache } from '../../services/story/StoryCache';
+import { retractionService } from '../../services/blockchain/RetractionService';
 
 /**
  * Component for discovering and browsing available stories
  * Handles both cached stories and discovery of new content
+ * Stories their authors have retracted are hidden until the reader turns on
+ * "Show retracted" (showRetracted sets where it starts). The viewer's own
+ * stories can be retracted with a long press when onStoryRetract is given;
+ * it resolves true once the story is retracted.
  */
 const StoryDiscoveryList = ({
   onStorySelect,
   isDarkMode = false,
   showCachedOnly = false,
   searchQuery = '',
-  sortBy = 'recent' // 'recent', 'popular', 'title', 'author'
+  sortBy = 'recent', // 'recent', 'popular', 'title', 'author'
+  showRetracted: initialShowRetracted = false,
+  viewerPublicKey = null,
+  onStoryRetract = null
 }) => {
   const [stories, setStories] = useState([]);
   const [cachedStories, setCachedStories] = useState([]);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [cacheStats, setCacheStats] = useState(null);
+  const [showRetracted, setShowRetracted] = useState(initialShowRetracted);
 
   // Load stories on component mount
   useEffect(() => {
     loadStories();
     loadCacheData();
-  }, [showCachedOnly, searchQuery, sortBy]);
+  }, [showCachedOnly, searchQuery, sortBy, showRetracted]);
 
   // Load available stories
   const loadStories = async () => {
@@ -44,14 +54,14 @@ const StoryDiscoveryList = ({
       if (showCachedOnly) {
         // Load only cached stories
         const cached = await storyCache.getAllCachedManifests();
-        setStories(processFeedData(cached));
+        setStories(processFeedData(await filterRetracted(cached)));
       } else {
         // Load discovery feed (this would normally come from your story discovery service)
         // For now, we'll combine cached stories with mock discovery data
         const cached = await storyCache.getAllCachedManifests();
         const mockData = generateMockDiscoveryData();
         const combined = [...cached, ...mockData];
-        setStories(processFeedData(combined));
+        setStories(processFeedData(await filterRetracted(combined)));
       }
     } catch (error) {
       console.error('Error loading stories:', error);
@@ -76,6 +86,12 @@ const StoryDiscoveryList = ({
     }
   };
 
+  // Hide (or mark, when showRetracted) stories retracted by their authors
+  const filterRetracted = (data) => retractionService.filterRetracted(data, {
+    showRetracted,
+    getTargetIds: story => [story.storyId]
+  });
+
   // Process and filter story data
   const processFeedData = (data) => {
     let processed = [...data];
@@ -150,6 +166,14 @@ const StoryDiscoveryList = ({
     }
   };
 
+  // Retract one of the viewer's own stories, then reload the list
+  const handleStoryRetract = async (story) => {
+    const retracted = await onStoryRetract(story);
+    if (retracted) {
+      await loadStories();
+    }
+  };
+
   // Handle pull to refresh
   const handleRefresh = async () => {
     setRefreshing(true);
@@ -177,6 +201,7 @@ const StoryDiscoveryList = ({
   // Render individual story item using ContentCard
   const renderStoryItem = ({ item: story }) => {
     const isCached = cachedStories.some(cached => cached.storyId === story.storyId);
+    const canRetract = !!onStoryRetract && !!viewerPublicKey && story.authorPublicKey === viewerPublicKey && !story.retracted;
     
     return (
       <ContentCard
@@ -190,7 +215,9 @@ const StoryDiscoveryList = ({
         likes={story.likes}
         tags={story.tags || []}
         isCached={isCached}
+        isRetracted={!!story.retracted}
         onPress={() => handleStorySelect(story)}
+        onLongPress={canRetract ? () => handleStoryRetract(story) : undefined}
         isDarkMode={isDarkMode}
         marginHorizontal={0} // Remove horizontal margin since parent has padding
         marginBottom={spacing.medium}
@@ -229,30 +256,43 @@ const StoryDiscoveryList = ({
     );
   };
 
-  // Render header with cache statistics
-  const renderHeader = () => {
-    if (!showCachedOnly || !cacheStats) return null;
-
-    return (
-      <View style={[
-        styles.headerContainer,
-        isDarkMode && styles.headerContainerDark
-      ]}>
-        <Text style={[
-          styles.headerTitle,
-          { color: isDarkMode ? colors.textDark : colors.text }
+  // Render header with the retracted stories toggle and cache statistics
+  const renderHeader = () => (
+    <View>
+      {showCachedOnly && cacheStats && (
+        <View style={[
+          styles.headerContainer,
+          isDarkMode && styles.headerContainerDark
         ]}>
-          Cached Stories
-        </Text>
+          <Text style={[
+            styles.headerTitle,
+            { color: isDarkMode ? colors.textDark : colors.text }
+          ]}>
+            Cached Stories
+          </Text>
+          <Text style={[
+            styles.headerStats,
+            { color: isDarkMode ? colors.textSecondaryDark : colors.textSecondary }
+          ]}>
+            {cacheStats.totalStories} stories • {cacheStats.totalSizeMB.toFixed(1)}MB used
+          </Text>
+        </View>
+      )}
+
+      <TouchableOpacity
+        style={styles.retractedToggle}
+        onPress={() => setShowRetracted(current => !current)}
+        activeOpacity={0.7}
+      >
         <Text style={[
-          styles.headerStats,
-          { color: isDarkMode ? colors.textSecondaryDark : colors.textSecondary }
+          styles.retractedToggleText,
+          { color: showRetracted ? (isDarkMode ? colors.accentDark : colors.accent) : (isDarkMode ? colors.textSecondaryDark : colors.textSecondary) }
         ]}>
-          {cacheStats.totalStories} stories • {cacheStats.totalSizeMB.toFixed(1)}MB used
+          {showRetracted ? 'Hide retracted stories' : 'Show retracted stories'}
         </Text>
-      </View>
-    );
-  };
+      </TouchableOpacity>
+    </View>
+  );
 
   return (
     <View style={[
@@ -320,6 +360,14 @@ const styles = StyleSheet.create({
     fontSize: 12,
     fontFamily: typography.fontFamily,
   },
+  retractedToggle: {
+    alignSelf: 'flex-end',
+    paddingVertical: spacing.small,
+  },
+  retractedToggleText: {
+    fontSize: 12,
+    fontFamily: typography.fontFamily,
+  },
   emptyContainer: {
     flex: 1,
     justifyContent: 'center',
@@ -344,4 +392,4 @@ const styles = StyleSheet.create({
 
 export default StoryDiscoveryList;
 
-// Character count: 8127
\ No newline at end of file
+// Character count: 12242
\ No newline at end of file
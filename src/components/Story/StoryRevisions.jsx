@@ -0,0 +1,152 @@
+// src/components/Story/StoryRevisions.jsx
+// Path: src/components/Story/StoryRevisions.jsx
+import React from 'react';
+import { View, Text, TouchableOpacity, ActivityIndicator, StyleSheet } from 'react-native';
+import { spacing, typography, getColors } from '../../styles/tokens';
+
+/**
+ * Revision history of a story with a text diff between versions.
+ * Lists every author-signed revision (newest first); tapping one loads it,
+ * and "Changes" shows what that revision changed from the one before.
+ */
+const StoryRevisions = ({
+  history,
+  currentStoryId,
+  diff = null,
+  isDiffLoading = false,
+  onSelectRevision,
+  onCompare,
+  onCloseDiff,
+  isDarkMode = false
+}) => {
+  if (!history || history.revisions.length < 2) {
+    return null;
+  }
+
+  const colors = getColors(isDarkMode);
+  const { revisions, latest } = history;
+
+  const formatDate = (timestamp) => (timestamp ? new Date(timestamp).toLocaleDateString() : 'pending');
+
+  return (
+    <View style={[styles.container, { borderBottomColor: colors.border, backgroundColor: colors.backgroundSecondary }]}>
+      <Text style={[styles.heading, { color: colors.text }]}>
+        Revisions ({revisions.length})
+      </Text>
+
+      {[...revisions].reverse().map((revision) => {
+        const position = revisions.indexOf(revision);
+        const isCurrent = revision.storyId === currentStoryId;
+
+        return (
+          <View key={revision.storyId} style={styles.row}>
+            <TouchableOpacity
+              style={styles.rowLabel}
+              onPress={() => onSelectRevision(revision)}
+              disabled={isCurrent || !revision.isComplete}
+            >
+              <Text style={[styles.revisionText, { color: isCurrent ? colors.primary : colors.text }]}>
+                Revision {revision.revision}
+                {revision.storyId === latest.storyId ? ' (latest)' : ''}
+                {!revision.isComplete ? ' (publishing)' : ''}
+              </Text>
+              <Text style={[styles.dateText, { color: colors.textSecondary }]}>
+                {formatDate(revision.publishedAt || revision.createdAt)}
+              </Text>
+            </TouchableOpacity>
+
+            {position > 0 && revision.isComplete && (
+              <TouchableOpacity onPress={() => onCompare(revisions[position - 1], revision)}>
+                <Text style={[styles.linkText, { color: colors.link }]}>Changes</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        );
+      })}
+
+      {isDiffLoading && <ActivityIndicator style={styles.diffLoading} color={colors.primary} />}
+
+      {diff && !isDiffLoading && (
+        <View style={[styles.diffContainer, { borderTopColor: colors.border }]}>
+          <View style={styles.row}>
+            <Text style={[styles.dateText, { color: colors.textSecondary }]}>
+              +{diff.added} / -{diff.removed} characters
+            </Text>
+            <TouchableOpacity onPress={onCloseDiff}>
+              <Text style={[styles.linkText, { color: colors.link }]}>Close</Text>
+            </TouchableOpacity>
+          </View>
+          <Text style={[styles.diffText, { color: colors.text }]} selectable={true}>
+            {diff.changes.map((change, index) => (
+              <Text
+                key={index}
+                style={change.type === 'added'
+                  ? { color: colors.success, backgroundColor: colors.successBg }
+                  : change.type === 'removed'
+                    ? [styles.removed, { color: colors.error, backgroundColor: colors.errorBg }]
+                    : null}
+              >
+                {change.text}
+              </Text>
+            ))}
+          </Text>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    paddingHorizontal: spacing.medium,
+    paddingVertical: spacing.small,
+    borderBottomWidth: 1,
+  },
+  heading: {
+    fontFamily: typography.fontFamilyBold,
+    fontSize: 14,
+    marginBottom: spacing.extraSmall,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: spacing.tiny,
+  },
+  rowLabel: {
+    flex: 1,
+  },
+  revisionText: {
+    fontFamily: typography.fontFamily,
+    fontSize: 14,
+  },
+  dateText: {
+    fontFamily: typography.fontFamily,
+    fontSize: 12,
+  },
+  linkText: {
+    fontFamily: typography.fontFamily,
+    fontSize: 14,
+    marginLeft: spacing.small,
+  },
+  diffLoading: {
+    marginVertical: spacing.small,
+  },
+  diffContainer: {
+    marginTop: spacing.small,
+    paddingTop: spacing.small,
+    borderTopWidth: 1,
+  },
+  diffText: {
+    fontFamily: typography.fontFamily,
+    fontSize: 14,
+    lineHeight: 20,
+  },
+  removed: {
+    textDecorationLine: 'line-through',
+  },
+});
+
+export default StoryRevisions;
+
+// Character count: 4748
@@ -6,6 +6,7 @@ import { View, ScrollView, SafeAreaView } from 'react-native';
 import { useStoryViewer } from '../../hooks/useStoryViewer';
 import StoryContent from './StoryContent';
 import StoryHeader from './StoryHeader';
+import StoryRevisions from './StoryRevisions';
 import { LoadingProgress, ErrorDisplay, ErrorBoundary, RetryButton } from '../shared';
 import { colors, spacing } from '../../styles/tokens';
 import { storyViewerStyles } from '../../styles/storyViewerStyles';
@@ -40,6 +41,14 @@ const StoryViewer = ({
     isDarkMode,
     showControls,
     
+    // Revisions
+    revisionHistory,
+    revisionDiff,
+    isDiffLoading,
+    loadRevision,
+    compareRevisions,
+    clearRevisionDiff,
+    
     // Actions
     handleBack: hookHandleBack,
     handleShare: hookHandleShare,
@@ -213,6 +222,20 @@ const StoryViewer = ({
           progress={progress}
         />
 
+        {/* Revision history and diffs, with the other reader controls */}
+        {showControls && (
+          <StoryRevisions
+            history={revisionHistory}
+            currentStoryId={storyManifest?.storyId || storyId}
+            diff={revisionDiff}
+            isDiffLoading={isDiffLoading}
+            onSelectRevision={loadRevision}
+            onCompare={compareRevisions}
+            onCloseDiff={clearRevisionDiff}
+            isDarkMode={isDarkMode}
+          />
+        )}
+
         {/* Main Content Area */}
         <ScrollView 
           style={[
@@ -279,4 +302,4 @@ const StoryViewer = ({
 
 export default StoryViewer;
 
-// Character count: 6247
\ No newline at end of file
+// Character count: 9135
\ No newline at end of file
@@ -11,8 +11,9 @@ import {
   ActivityIndicator,
   Alert
 } from 'react-native';
-import { Connection, LAMPORTS_PER_SOL, PublicKey } from '@solana/web3.js';
+import { LAMPORTS_PER_SOL, PublicKey } from '@solana/web3.js';
 import { userTransactionReader } from '../services/blockchain/UserTransactionReader';
+import { connectionProvider } from '../services/blockchain/shared/ConnectionProvider';
 import { useWallet } from '../hooks/useWallet';
 import { WalletSection } from './publishing/WalletSection';
 import userRegistry from '../data/user-registry.json';
@@ -70,7 +71,7 @@ export const UserSelector = ({
   } = useWallet();
 
   // Solana connection for getting user balances
-  const connection = new Connection('https://api.devnet.solana.com', 'confirmed');
+  const connection = connectionProvider.getConnection();
 
   /**
    * Initialize component with users from registry
@@ -0,0 +1,127 @@
+// src/components/feed/EmbeddedPost.js
+// Path: src/components/feed/EmbeddedPost.js
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  ActivityIndicator
+} from 'react-native';
+import { repostService } from '../../services/feed/RepostService';
+import { colors, spacing, typography, borderRadius, borderWidth } from '../../styles/tokens';
+
+/**
+ * EmbeddedPost Component
+ *
+ * The post a repost or quote post shares, as a compact card inside its
+ * FeedItem. The post is read when the card is first shown (through
+ * RepostService, which uses the shared post index or PostTransactionReader),
+ * so feeds do not wait for every shared post.
+ *
+ * Props:
+ * - reference: { transactionHash, authorPublicKey } from a post's repostOf or quoteOf
+ * - isDarkMode: Whether to use dark theme
+ * - onPress: Optional callback(post) when the card is tapped
+ */
+export const EmbeddedPost = ({
+  reference,
+  isDarkMode = false,
+  onPress = null
+}) => {
+  const [original, setOriginal] = useState(null);
+  const [status, setStatus] = useState('loading'); // loading | loaded | missing
+
+  const transactionHash = reference?.transactionHash;
+  const authorPublicKey = reference?.authorPublicKey;
+
+  useEffect(() => {
+    let cancelled = false; // Ignore the read if the card is gone or shows another post
+
+    const loadOriginal = async () => {
+      setStatus('loading');
+      try {
+        const post = await repostService.getSharedPost({ transactionHash, authorPublicKey });
+        if (!cancelled) {
+          setOriginal(post);
+          setStatus(post ? 'loaded' : 'missing');
+        }
+      } catch (error) {
+        console.warn('⚠️ Could not read shared post:', error.message);
+        if (!cancelled) {
+          setStatus('missing');
+        }
+      }
+    };
+
+    loadOriginal();
+    return () => {
+      cancelled = true;
+    };
+  }, [transactionHash, authorPublicKey]);
+
+  const cardStyle = {
+    borderWidth: borderWidth.hairline,
+    borderColor: isDarkMode ? '#374151' : colors.border,
+    borderRadius: borderRadius.medium,
+    padding: spacing.small,
+    marginBottom: spacing.small
+  };
+
+  const authorStyle = {
+    fontSize: typography.fontSize.small,
+    fontWeight: typography.fontWeight.bold,
+    color: isDarkMode ? '#f3f4f6' : colors.text,
+    marginBottom: spacing.tiny
+  };
+
+  const contentStyle = {
+    fontSize: typography.fontSize.medium,
+    color: isDarkMode ? '#e5e7eb' : colors.text
+  };
+
+  const noticeStyle = {
+    fontSize: typography.fontSize.small,
+    color: isDarkMode ? '#9ca3af' : colors.textSecondary,
+    fontStyle: 'italic'
+  };
+
+  if (status === 'loading') {
+    return (
+      <View style={cardStyle}>
+        <ActivityIndicator size="small" color="#3b82f6" />
+      </View>
+    );
+  }
+
+  if (status === 'missing' || original?.retracted) {
+    return (
+      <View style={cardStyle}>
+        <Text style={noticeStyle}>
+          {original?.retracted
+            ? 'This post was retracted by its author.'
+            : 'This post could not be loaded.'}
+        </Text>
+      </View>
+    );
+  }
+
+  return (
+    <TouchableOpacity
+      style={cardStyle}
+      onPress={() => onPress && onPress(original)}
+      activeOpacity={onPress ? 0.7 : 1}
+    >
+      <Text style={authorStyle}>
+        {original.author || 'Unknown'}
+      </Text>
+      <Text style={contentStyle} numberOfLines={6}>
+        {original.content}
+      </Text>
+    </TouchableOpacity>
+  );
+};
+
+export default EmbeddedPost;
+
+// Character count: 3470
@@ -5,8 +5,14 @@ import React from 'react';
 import {
   View,
   Text,
-  TouchableOpacity
+  TouchableOpacity,
+  Alert
 } from 'react-native';
+import { MessageCircle, Heart, Repeat, Trash2 } from 'lucide-react-native';
+import { EmbeddedPost } from './EmbeddedPost';
+import { Reaction } from '../../services/blockchain/shared/models/Reaction';
+import { PostEntities } from '../../services/blockchain/shared/models/PostEntities';
+import { PostShare } from '../../services/blockchain/shared/models/PostShare';
 import { colors, spacing, typography, borderRadius, borderWidth, shadows } from '../../styles/tokens';
 
 /**
@@ -19,14 +25,42 @@ import { colors, spacing, typography, borderRadius, borderWidth, shadows } from
  * Props:
  * - post: Post object from FeedService
  * - isDarkMode: Whether to use dark theme
- * - onPress: Optional callback when post is tapped
+ * - onPress: Optional callback when post (or the post it shares) is tapped
  * - onAuthorPress: Optional callback when author name is tapped
+ * - onReplyPress: Optional callback when the reply button is tapped
+ * - onReactPress: Optional callback(post, code) when a reaction is tapped
+ * - onMentionPress: Optional callback(alias, publicKey) when a mention is tapped
+ * - onTagPress: Optional callback(tag) when a hashtag is tapped
+ * - onRepostPress: Optional callback(post) when the repost button is tapped
+ * - onRetractPress: Optional callback(post) when the retract button is tapped;
+ *   only passed for the viewer's own posts
+ *
+ * Replies show who they answer, and posts show their reply count once
+ * FeedService (or ThreadService) has counted them. Reactions show as counts
+ * per emoji, highlighted where the viewer reacted; tapping the heart likes
+ * (or unlikes), long-pressing it picks another reaction.
+ *
+ * Mentions the post stores with a resolved public key and every hashtag in
+ * the text are shown as links; other @aliases stay plain text.
+ *
+ * Reposts and quote posts embed the post they share (see EmbeddedPost);
+ * a repost has no text of its own. The repost count respects the original
+ * author's re-glyph cap, and the button is dimmed once the cap is reached.
+ *
+ * Retracted posts only reach the feed when it shows them; they are dimmed
+ * and labeled.
  */
 export const FeedItem = ({ 
   post, 
   isDarkMode = false, 
   onPress = null,
-  onAuthorPress = null 
+  onAuthorPress = null,
+  onReplyPress = null,
+  onReactPress = null,
+  onMentionPress = null,
+  onTagPress = null,
+  onRepostPress = null,
+  onRetractPress = null
 }) => {
   
   if (!post) {
@@ -72,6 +106,43 @@ export const FeedItem = ({
     return content.substring(0, maxLength).trim() + '...';
   };
   
+  /**
+   * Post text with mentions and hashtags as links
+   */
+  const renderContent = (content) => {
+    const mentionKeys = new Map(
+      (post.mentions || [])
+        .filter(mention => mention.publicKey)
+        .map(mention => [mention.alias, mention.publicKey])
+    );
+    
+    return PostEntities.tokenize(content).map((segment, index) => {
+      if (segment.type === 'mention' && mentionKeys.has(segment.value)) {
+        return (
+          <Text
+            key={index}
+            style={linkStyle}
+            onPress={onMentionPress ? () => onMentionPress(segment.value, mentionKeys.get(segment.value)) : undefined}
+          >
+            {segment.text}
+          </Text>
+        );
+      }
+      if (segment.type === 'tag') {
+        return (
+          <Text
+            key={index}
+            style={linkStyle}
+            onPress={onTagPress ? () => onTagPress(segment.value) : undefined}
+          >
+            {segment.text}
+          </Text>
+        );
+      }
+      return segment.text;
+    });
+  };
+  
   /**
    * Get author initials for avatar
    */
@@ -98,6 +169,70 @@ export const FeedItem = ({
     }
   };
   
+  /**
+   * Handle reply press
+   */
+  const handleReplyPress = () => {
+    if (onReplyPress) {
+      onReplyPress(post);
+    }
+  };
+  
+  /**
+   * Handle repost press
+   */
+  const handleRepostPress = () => {
+    if (onRepostPress) {
+      onRepostPress(post);
+    }
+  };
+  
+  /**
+   * Handle retract press
+   */
+  const handleRetractPress = () => {
+    if (onRetractPress) {
+      onRetractPress(post);
+    }
+  };
+  
+  /**
+   * Handle reaction press (tapping a reaction the viewer made takes it back)
+   */
+  const handleReactPress = (code) => {
+    if (onReactPress) {
+      onReactPress(post, code);
+    }
+  };
+  
+  /**
+   * Offer every reaction code on long press of the like button
+   */
+  const handleReactLongPress = () => {
+    if (!onReactPress) return;
+    
+    Alert.alert(
+      'React',
+      null,
+      [
+        ...Object.entries(Reaction.CODES).map(([code, emoji]) => ({
+          text: viewerReactions.includes(code) ? `${emoji} (remove)` : emoji,
+          onPress: () => handleReactPress(code)
+        })),
+        { text: 'Cancel', style: 'cancel' }
+      ]
+    );
+  };
+  
+  const shared = PostShare.sharedBy(post);
+  const reactions = post.reactions || {};
+  const viewerReactions = post.viewerReactions || [];
+  const liked = viewerReactions.includes('like');
+  
+  // Reactions other than likes, in the order of Reaction.CODES
+  const otherReactions = Object.keys(Reaction.CODES)
+    .filter(code => code !== 'like' && reactions[code] > 0);
+  
   const containerStyle = {
     backgroundColor: isDarkMode ? '#1f2937' : colors.background,
     borderColor: isDarkMode ? '#374151' : colors.border,
@@ -105,6 +240,7 @@ export const FeedItem = ({
     borderRadius: borderRadius.medium,
     padding: spacing.medium,
     marginBottom: spacing.small,
+    opacity: post.retracted ? 0.6 : 1,
     ...shadows.small
   };
   
@@ -153,6 +289,52 @@ export const FeedItem = ({
     marginBottom: spacing.small
   };
   
+  const linkStyle = {
+    color: isDarkMode ? '#60a5fa' : '#3b82f6',
+    fontWeight: typography.fontWeight.medium
+  };
+  
+  const replyingToStyle = {
+    fontSize: typography.fontSize.small,
+    color: isDarkMode ? '#9ca3af' : colors.textSecondary,
+    marginBottom: spacing.small
+  };
+  
+  const retractedStyle = {
+    ...replyingToStyle,
+    color: colors.error
+  };
+  
+  const actionsStyle = {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: spacing.small
+  };
+  
+  const replyButtonStyle = {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: spacing.tiny,
+    paddingRight: spacing.medium
+  };
+  
+  const replyCountStyle = {
+    fontSize: typography.fontSize.small,
+    color: isDarkMode ? '#9ca3af' : colors.textSecondary,
+    marginLeft: spacing.tiny
+  };
+  
+  const reactionChipStyle = (reacted) => ({
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 2,
+    paddingHorizontal: spacing.small,
+    marginRight: spacing.tiny,
+    borderRadius: borderRadius.full,
+    borderWidth: borderWidth.hairline,
+    borderColor: reacted ? '#ef4444' : (isDarkMode ? '#374151' : colors.border)
+  });
+  
   const footerStyle = {
     flexDirection: 'row',
     alignItems: 'center',
@@ -209,10 +391,124 @@ export const FeedItem = ({
         </View>
       </View>
       
-      {/* Post content */}
-      <Text style={contentStyle}>
-        {truncateContent(post.content)}
-      </Text>
+      {/* Reply context */}
+      {post.replyTo && (
+        <Text style={replyingToStyle}>
+          Replying to {post.replyToAuthor || 'a post'}
+        </Text>
+      )}
+      
+      {/* Retraction notice (only shown when the feed includes retracted posts) */}
+      {post.retracted && (
+        <Text style={retractedStyle}>
+          Retracted by author
+        </Text>
+      )}
+      
+      {/* Repost context */}
+      {shared?.kind === PostShare.Kind.REPOST && (
+        <Text style={replyingToStyle}>
+          {post.author || 'Unknown'} reposted
+        </Text>
+      )}
+      
+      {/* Post content (reposts have none) */}
+      {!!post.content && (
+        <Text style={contentStyle}>
+          {renderContent(truncateContent(post.content))}
+        </Text>
+      )}
+      
+      {/* Shared post */}
+      {shared && (
+        <EmbeddedPost
+          reference={shared}
+          isDarkMode={isDarkMode}
+          onPress={onPress}
+        />
+      )}
+      
+      {/* Actions: Reply, repost, react and retract */}
+      <View style={actionsStyle}>
+        <TouchableOpacity
+          style={replyButtonStyle}
+          onPress={handleReplyPress}
+          disabled={!onReplyPress}
+          activeOpacity={0.7}
+        >
+          <MessageCircle size={16} color={isDarkMode ? '#9ca3af' : colors.textSecondary} />
+          {post.replyCount > 0 && (
+            <Text style={replyCountStyle}>
+              {post.replyCount}
+            </Text>
+          )}
+        </TouchableOpacity>
+        
+        <TouchableOpacity
+          style={replyButtonStyle}
+          onPress={handleRepostPress}
+          disabled={!onRepostPress}
+          activeOpacity={0.7}
+        >
+          <Repeat
+            size={16}
+            color={post.repostCapReached ? (isDarkMode ? '#4b5563' : colors.border) : (isDarkMode ? '#9ca3af' : colors.textSecondary)}
+          />
+          {post.repostCount > 0 && (
+            <Text style={replyCountStyle}>
+              {post.repostCap !== null && post.repostCap !== undefined
+                ? `${post.repostCount}/${post.repostCap}`
+                : post.repostCount}
+            </Text>
+          )}
+        </TouchableOpacity>
+        
+        <TouchableOpacity
+          style={replyButtonStyle}
+          onPress={() => handleReactPress('like')}
+          onLongPress={handleReactLongPress}
+          disabled={!onReactPress}
+          activeOpacity={0.7}
+        >
+          <Heart
+            size={16}
+            color={liked ? '#ef4444' : (isDarkMode ? '#9ca3af' : colors.textSecondary)}
+            fill={liked ? '#ef4444' : 'none'}
+          />
+          {reactions.like > 0 && (
+            <Text style={replyCountStyle}>
+              {reactions.like}
+            </Text>
+          )}
+        </TouchableOpacity>
+        
+        {otherReactions.map(code => (
+          <TouchableOpacity
+            key={code}
+            style={reactionChipStyle(viewerReactions.includes(code))}
+            onPress={() => handleReactPress(code)}
+            disabled={!onReactPress}
+            activeOpacity={0.7}
+          >
+            <Text style={{ fontSize: typography.fontSize.small }}>
+              {Reaction.CODES[code]}
+            </Text>
+            <Text style={replyCountStyle}>
+              {reactions[code]}
+            </Text>
+          </TouchableOpacity>
+        ))}
+        
+        {onRetractPress && (
+          <TouchableOpacity
+            style={replyButtonStyle}
+            onPress={handleRetractPress}
+            activeOpacity={0.7}
+          >
+            <Trash2 size={16} color={isDarkMode ? '#9ca3af' : colors.textSecondary} />
+          </TouchableOpacity>
+        )}
+      </View>
       
       {/* Footer: Blockchain info */}
       <View style={footerStyle}>
@@ -229,4 +525,4 @@ export const FeedItem = ({
 
 export default FeedItem;
 
-// Character count: 5,247
\ No newline at end of file
+// Character count: 15,041
\ No newline at end of file
@@ -10,8 +10,9 @@ import {
   ActivityIndicator,
   TouchableOpacity
 } from 'react-native';
-import { feedService } from '../../services/feed/FeedService';
+import { feedService, FeedService } from '../../services/feed/FeedService';
 import { FeedItem } from './FeedItem';
+import { ReactionService } from '../../services/blockchain/ReactionService';
 import { colors, spacing, typography, borderRadius, shadows } from '../../styles/tokens';
 
 /**
@@ -26,6 +27,8 @@ import { colors, spacing, typography, borderRadius, shadows } from '../../styles
  * - Real-time updates and notifications
  * - Controls top bar visibility on scroll
  * - Optimized for performance with many posts
+ * - Following and Everyone tabs: posts from followed accounts, or from everyone
+ * - A toggle that also shows posts their authors have retracted, marked as such
  * 
  * Props:
  * - isDarkMode: Whether to use dark theme
@@ -33,6 +36,17 @@ import { colors, spacing, typography, borderRadius, shadows } from '../../styles
  * - postsPerUser: Maximum posts per user (default: 10)
  * - onPostPress: Callback when a post is tapped
  * - onAuthorPress: Callback when an author is tapped
+ * - onReplyPress: Callback when a post's reply button is tapped
+ * - onReactPress: Callback(post, code, removed) to publish a reaction; resolves
+ *   false if it failed, and the reaction shown right away is undone
+ * - onMentionPress: Callback(alias, publicKey) when a mention in a post is tapped
+ * - onTagPress: Callback(tag) when a hashtag in a post is tapped
+ * - onRepostPress: Callback(post) when a post's repost button is tapped
+ * - onRetractPress: Callback(post) to retract one of the viewer's own posts;
+ *   resolves true once retracted, and the post is then hidden (or marked)
+ * - viewerPublicKey: Account viewing the feed, whose reactions are highlighted and
+ *   whose follows make up the Following tab
+ * - initialFeedMode: Tab to open on, a FeedService.MODES value (default: global)
  * - onTopBarVisibilityChange: Callback to control top bar visibility
  * - onError: Callback when an error occurs
  * - style: Additional styles for the main container
@@ -43,6 +57,14 @@ export const SocialFeed = ({
   postsPerUser = 10,  // ✅ More posts per user
   onPostPress = null,
   onAuthorPress = null,
+  onReplyPress = null,
+  onReactPress = null,
+  onMentionPress = null,
+  onTagPress = null,
+  onRepostPress = null,
+  onRetractPress = null,
+  viewerPublicKey = null,
+  initialFeedMode = FeedService.MODES.GLOBAL,
   onTopBarVisibilityChange = null,  // ✅ New prop for controlling top bar
   onError = null,
   style = {}  // ✅ Allow custom styling
@@ -54,6 +76,8 @@ export const SocialFeed = ({
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [error, setError] = useState(null);
   const [lastFetchTime, setLastFetchTime] = useState(null);
+  const [feedMode, setFeedMode] = useState(initialFeedMode);
+  const [showRetracted, setShowRetracted] = useState(false);
   
   // ✅ Scroll tracking for top bar control
   const [lastScrollY, setLastScrollY] = useState(0);
@@ -66,9 +90,16 @@ export const SocialFeed = ({
     try {
       setError(null);
       
+      // Fresh loads recount replies and reactions and reread follows too
+      if (!useCache) {
+        feedService.threads.clearCache();
+        feedService.reactions.clearCache();
+        feedService.follows.clearCache();
+      }
+      
       // Progressive loading - show posts as they come in
       await feedService.buildFeedProgressive(
-        { maxTotalPosts: maxPosts, limit: postsPerUser },
+        { maxTotalPosts: maxPosts, limit: postsPerUser, viewerPublicKey, mode: feedMode, showRetracted },
         (currentPosts) => {
           setPosts([...currentPosts]); // Update display immediately
         }
@@ -81,7 +112,7 @@ export const SocialFeed = ({
         onError(loadError);
       }
     }
-  }, [maxPosts, postsPerUser, onError]);
+  }, [maxPosts, postsPerUser, viewerPublicKey, feedMode, showRetracted, onError]);
   
   /**
    * Handle pull-to-refresh (Twitter-style)
@@ -114,6 +145,25 @@ export const SocialFeed = ({
     }
   }, [loadFeed]);
   
+  /**
+   * Switch between the Following and Everyone tabs (loads the new tab's feed)
+   */
+  const handleFeedModeChange = useCallback((mode) => {
+    if (mode === feedMode) return;
+    setPosts([]);
+    setError(null);
+    setFeedMode(mode);
+  }, [feedMode]);
+  
+  /**
+   * Show or hide retracted posts (reloads the feed)
+   */
+  const handleShowRetractedToggle = useCallback(() => {
+    setPosts([]);
+    setError(null);
+    setShowRetracted(current => !current);
+  }, []);
+  
   /**
    * ✅ Handle scroll for top bar control (like Twitter)
    */
@@ -172,6 +222,47 @@ export const SocialFeed = ({
     }
   }, [onAuthorPress]);
   
+  /**
+   * Handle reply press
+   */
+  const handleReplyPress = useCallback((post) => {
+    if (onReplyPress) {
+      onReplyPress(post);
+    }
+  }, [onReplyPress]);
+  
+  /**
+   * Handle reaction press: show the reaction right away, undo it if publishing fails
+   */
+  const handleReactPress = useCallback(async (post, code) => {
+    if (!onReactPress) return;
+    
+    const removed = (post.viewerReactions || []).includes(code);
+    const updatePost = (update) => setPosts(current => current.map(item =>
+      item.transactionHash === post.transactionHash ? update(item) : item
+    ));
+    
+    updatePost(item => ReactionService.applyViewerReaction(item, code, removed));
+    const published = await onReactPress(post, code, removed);
+    if (published === false) {
+      updatePost(item => ReactionService.applyViewerReaction(item, code, !removed));
+    }
+  }, [onReactPress]);
+  
+  /**
+   * Handle retract press: once retracted, drop the post (or mark it when retracted posts are shown)
+   */
+  const handleRetractPress = useCallback(async (post) => {
+    if (!onRetractPress) return;
+    
+    const retracted = await onRetractPress(post);
+    if (!retracted) return;
+    
+    setPosts(current => (showRetracted
+      ? current.map(item => (item.transactionHash === post.transactionHash ? { ...item, retracted: true } : item))
+      : current.filter(item => item.transactionHash !== post.transactionHash)));
+  }, [onRetractPress, showRetracted]);
+  
   /**
    * Render individual feed item
    */
@@ -181,11 +272,19 @@ export const SocialFeed = ({
       isDarkMode={isDarkMode}
       onPress={handlePostPress}
       onAuthorPress={handleAuthorPress}
+      onReplyPress={onReplyPress ? handleReplyPress : null}
+      onReactPress={onReactPress ? handleReactPress : null}
+      onMentionPress={onMentionPress}
+      onTagPress={onTagPress}
+      onRepostPress={onRepostPress}
+      onRetractPress={onRetractPress && viewerPublicKey && item.authorPublicKey === viewerPublicKey && !item.retracted
+        ? handleRetractPress
+        : null}
       style={{
         marginBottom: index === posts.length - 1 ? spacing.large : spacing.small  // ✅ Extra space at bottom
       }}
     />
-  ), [isDarkMode, handlePostPress, handleAuthorPress, posts.length]);
+  ), [isDarkMode, handlePostPress, handleAuthorPress, handleReplyPress, onReplyPress, handleReactPress, onReactPress, onMentionPress, onTagPress, onRepostPress, handleRetractPress, onRetractPress, viewerPublicKey, posts.length]);
   
   /**
    * Generate unique key for each post
@@ -198,7 +297,7 @@ export const SocialFeed = ({
    * Render loading state (Twitter-style skeleton)
    */
   const renderLoadingState = () => (
-    <View style={[containerStyle, { justifyContent: 'center', alignItems: 'center' }]}>
+    <View style={[bodyStyle, { justifyContent: 'center', alignItems: 'center' }]}>
       <ActivityIndicator 
         size="large" 
         color={isDarkMode ? '#60a5fa' : '#3b82f6'} 
@@ -213,7 +312,7 @@ export const SocialFeed = ({
    * Render error state
    */
   const renderErrorState = () => (
-    <View style={[containerStyle, { justifyContent: 'center', alignItems: 'center', padding: spacing.xlarge }]}>
+    <View style={[bodyStyle, { justifyContent: 'center', alignItems: 'center', padding: spacing.xlarge }]}>
       <Text style={{ fontSize: 48, marginBottom: spacing.medium }}>📭</Text>
       <Text style={[
         { 
@@ -257,11 +356,75 @@ export const SocialFeed = ({
     </View>
   );
   
+  /**
+   * Render the Following / Everyone tabs and the retracted posts toggle
+   */
+  const renderFeedTabs = () => (
+    <View style={tabBarStyle}>
+      {[
+        [FeedService.MODES.FOLLOWING, 'Following'],
+        [FeedService.MODES.GLOBAL, 'Everyone']
+      ].map(([mode, label]) => (
+        <TouchableOpacity
+          key={mode}
+          style={tabStyle(mode === feedMode)}
+          onPress={() => handleFeedModeChange(mode)}
+          activeOpacity={0.7}
+        >
+          <Text style={tabTextStyle(mode === feedMode)}>
+            {label}
+          </Text>
+        </TouchableOpacity>
+      ))}
+      <TouchableOpacity
+        style={retractedToggleStyle}
+        onPress={handleShowRetractedToggle}
+        activeOpacity={0.7}
+      >
+        <Text style={retractedToggleTextStyle}>
+          {showRetracted ? 'Hide retracted' : 'Show retracted'}
+        </Text>
+      </TouchableOpacity>
+    </View>
+  );
+  
+  /**
+   * Render empty Following tab (no viewer, or no followed account has posted)
+   */
+  const renderEmptyFollowingState = () => (
+    <View style={[bodyStyle, { justifyContent: 'center', alignItems: 'center', padding: spacing.xlarge }]}>
+      <Text style={{ fontSize: 48, marginBottom: spacing.medium }}>👥</Text>
+      <Text style={[
+        { 
+          fontSize: typography.fontSize.large,
+          fontWeight: typography.fontWeight.bold,
+          color: isDarkMode ? '#f3f4f6' : colors.text,
+          marginBottom: spacing.small,
+          textAlign: 'center'
+        }
+      ]}>
+        {viewerPublicKey ? 'Nothing Here Yet' : 'No User Selected'}
+      </Text>
+      <Text style={[
+        {
+          fontSize: typography.fontSize.medium,
+          color: isDarkMode ? '#9ca3af' : colors.textSecondary,
+          textAlign: 'center',
+          marginBottom: spacing.large
+        }
+      ]}>
+        {viewerPublicKey
+          ? 'Posts from accounts you follow show up here. Tap an author in Everyone to follow them.'
+          : 'Select a user to see posts from the accounts they follow.'}
+      </Text>
+    </View>
+  );
+  
   /**
    * Render empty state (like when no posts exist yet)
    */
   const renderEmptyState = () => (
-    <View style={[containerStyle, { justifyContent: 'center', alignItems: 'center', padding: spacing.xlarge }]}>
+    <View style={[bodyStyle, { justifyContent: 'center', alignItems: 'center', padding: spacing.xlarge }]}>
       <Text style={{ fontSize: 48, marginBottom: spacing.medium }}>🌟</Text>
       <Text style={[
         { 
@@ -312,29 +475,70 @@ export const SocialFeed = ({
     ...style  // ✅ Allow custom styling from parent
   };
   
-  const loadingTextStyle = {
-    fontSize: typography.fontSize.medium,
-    color: isDarkMode ? '#9ca3af' : colors.textSecondary
+  const bodyStyle = {
+    flex: 1
   };
   
-  // Show loading state on initial load
-  if (isLoading && posts.length === 0) {
-    return renderLoadingState();
-  }
+  const tabBarStyle = {
+    flexDirection: 'row',
+    borderBottomWidth: 0.5,
+    borderBottomColor: isDarkMode ? '#374151' : colors.border
+  };
   
-  // Show error state if error and no posts
-  if (error && posts.length === 0) {
-    return renderErrorState();
-  }
+  const tabStyle = (active) => ({
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: spacing.small,
+    borderBottomWidth: 2,
+    borderBottomColor: active ? (isDarkMode ? '#60a5fa' : '#3b82f6') : 'transparent'
+  });
   
-  // Show empty state if no posts after loading
-  if (!isLoading && posts.length === 0) {
-    return renderEmptyState();
-  }
+  const tabTextStyle = (active) => ({
+    fontSize: typography.fontSize.medium,
+    fontWeight: active ? typography.fontWeight.bold : typography.fontWeight.medium,
+    color: active
+      ? (isDarkMode ? '#f3f4f6' : colors.text)
+      : (isDarkMode ? '#9ca3af' : colors.textSecondary)
+  });
   
-  // Main feed view (like Twitter/Instagram)
-  return (
-    <View style={containerStyle}>
+  const retractedToggleStyle = {
+    justifyContent: 'center',
+    paddingHorizontal: spacing.medium
+  };
+  
+  const retractedToggleTextStyle = {
+    fontSize: typography.fontSize.small,
+    color: showRetracted
+      ? (isDarkMode ? '#60a5fa' : '#3b82f6')
+      : (isDarkMode ? '#9ca3af' : colors.textSecondary)
+  };
+  
+  const loadingTextStyle = {
+    fontSize: typography.fontSize.medium,
+    color: isDarkMode ? '#9ca3af' : colors.textSecondary
+  };
+  
+  /**
+   * Render the current tab's feed, or its loading, error or empty state
+   */
+  const renderBody = () => {
+    // Show loading state on initial load
+    if (isLoading && posts.length === 0) {
+      return renderLoadingState();
+    }
+    
+    // Show error state if error and no posts
+    if (error && posts.length === 0) {
+      return renderErrorState();
+    }
+    
+    // Show empty state if no posts after loading
+    if (!isLoading && posts.length === 0) {
+      return feedMode === FeedService.MODES.FOLLOWING ? renderEmptyFollowingState() : renderEmptyState();
+    }
+    
+    // Main feed view (like Twitter/Instagram)
+    return (
       <FlatList
         data={posts}
         renderItem={renderFeedItem}
@@ -367,10 +571,17 @@ export const SocialFeed = ({
         // onEndReached={handleLoadMore}
         // onEndReachedThreshold={0.1}
       />
+    );
+  };
+  
+  return (
+    <View style={containerStyle}>
+      {renderFeedTabs()}
+      {renderBody()}
     </View>
   );
 };
 
 export default SocialFeed;
 
-// Character count: 9,847
\ No newline at end of file
+// Character count: 18,684
\ No newline at end of file
@@ -9,11 +9,14 @@ import {
   FlatList, 
   Animated, 
   Dimensions,
-  ActivityIndicator 
+  ActivityIndicator,
+  Alert
 } from 'react-native';
-import { Connection, LAMPORTS_PER_SOL, PublicKey } from '@solana/web3.js';
+import { LAMPORTS_PER_SOL, PublicKey } from '@solana/web3.js';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { userTransactionReader } from '../../services/blockchain/UserTransactionReader';
+import { connectionProvider } from '../../services/blockchain/shared/ConnectionProvider';
+import { testIdentityProvider } from '../../services/wallet/TestIdentityProvider';
 import { colors, spacing, typography } from '../../styles/tokens';
 import userRegistry from '../../data/user-registry.json';
 
@@ -33,16 +36,18 @@ export const UserSelectorPanel = ({
   const [users, setUsers] = useState([]);
   const [loadingUser, setLoadingUser] = useState(false);
   const [error, setError] = useState(null);
+  const [testIdentities, setTestIdentities] = useState([]);
 
   const PANEL_WIDTH = screenWidth * 0.85;
   const BOTTOM_BAR_HEIGHT = 80;
 
   // Solana connection for getting user balances
-  const connection = new Connection('https://api.devnet.solana.com', 'confirmed');
+  const connection = connectionProvider.getConnection();
 
   useEffect(() => {
     if (visible) {
       loadUsers();
+      loadTestIdentities();
       // Slide in from left
       Animated.parallel([
         Animated.timing(slideAnim, {
@@ -90,6 +95,24 @@ export const UserSelectorPanel = ({
     }
   };
 
+  // Dev builds only: which registry users can sign via an imported test identity
+  const loadTestIdentities = async () => {
+    setTestIdentities(await testIdentityProvider.listUsernames());
+  };
+
+  const handleImportTestIdentities = async () => {
+    try {
+      const imported = await testIdentityProvider.importFromFile();
+      if (imported) {
+        setTestIdentities(imported);
+        Alert.alert('Test Identities Imported', `${imported.length} identities: ${imported.join(', ')}`);
+      }
+    } catch (error) {
+      console.error('❌ Error importing test identities:', error);
+      Alert.alert('Import Failed', error.message);
+    }
+  };
+
   const handleUserSelect = async (user) => {
     try {
       console.log('👤 Selecting user:', user.username);
@@ -295,6 +318,22 @@ export const UserSelectorPanel = ({
       justifyContent: 'center',
       alignItems: 'center',
     },
+    devFooter: {
+      paddingHorizontal: spacing.large,
+      paddingVertical: spacing.medium,
+      borderTopWidth: 1,
+      borderTopColor: isDarkMode ? '#374151' : '#e5e7eb',
+    },
+    devFooterButton: {
+      fontSize: typography.fontSize.medium,
+      fontWeight: typography.fontWeight.bold,
+      color: isDarkMode ? '#3b82f6' : colors.primary,
+    },
+    devFooterText: {
+      fontSize: typography.fontSize.small,
+      color: isDarkMode ? '#9ca3af' : '#6b7280',
+      marginTop: spacing.small / 2,
+    },
   };
 
   if (!visible) return null;
@@ -366,9 +405,24 @@ export const UserSelectorPanel = ({
             showsVerticalScrollIndicator={false}
           />
         )}
+
+        {testIdentityProvider.isEnabled() && (
+          <TouchableOpacity
+            style={panelStyles.devFooter}
+            onPress={handleImportTestIdentities}
+            activeOpacity={0.7}
+          >
+            <Text style={panelStyles.devFooterButton}>Import test identities</Text>
+            <Text style={panelStyles.devFooterText}>
+              {testIdentities.length > 0
+                ? `Dev signing keys loaded for: ${testIdentities.join(', ')}`
+                : 'No dev signing keys loaded'}
+            </Text>
+          </TouchableOpacity>
+        )}
       </Animated.View>
     </>
   );
 };
 
-// Character count: 8889
\ No newline at end of file
+// Character count: 12467
\ No newline at end of file
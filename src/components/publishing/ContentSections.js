@@ -15,6 +15,7 @@ export const ContentSections = ({
   publishing,
   handleResumePublishing,
   handleViewStory, // New prop for viewing published stories
+  handleRetractStory, // Retracts a published story (offered on long press)
   isDarkMode = false
 }) => {
   return (
@@ -155,7 +156,7 @@ export const ContentSections = ({
             publishingStyles.sectionSubtitle,
             { color: isDarkMode ? '#9ca3af' : '#6c757d' }
           ]}>
-            Tap any story to read it
+            {handleRetractStory ? 'Tap any story to read it, long-press to retract it' : 'Tap any story to read it'}
           </Text>
           {publishedContent
             .filter(item => item.type !== 'social_post' && !item.socialPost)
@@ -165,6 +166,7 @@ export const ContentSections = ({
                 <TouchableOpacity 
                   key={`published-${item.contentId || index}`}
                   onPress={() => handleViewStory && handleViewStory(item)}
+                  onLongPress={handleRetractStory ? () => handleRetractStory(item) : undefined}
                   activeOpacity={0.7}
                 >
                   <Card
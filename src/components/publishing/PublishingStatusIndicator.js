@@ -2,8 +2,8 @@
 // Path: src/components/publishing/PublishingStatusIndicator.js
 
 import React, { useEffect } from 'react';
-import { View, Text, FlatList, LayoutAnimation } from 'react-native';
-import { CheckCircle, Loader2, Circle, FileText, Shield, Zap } from 'lucide-react-native';
+import { View, Text, FlatList, LayoutAnimation, TouchableOpacity } from 'react-native';
+import { CheckCircle, Loader2, Circle, FileText, Shield, Zap, Clock, AlertTriangle } from 'lucide-react-native';
 import { Card } from '../shared';
 import { publishingStatusIndicatorStyles } from '../../styles/publishingStatusIndicatorStyles';
 import { getColors, spacing, typography } from '../../styles/tokens';
@@ -25,6 +25,8 @@ import { getColors, spacing, typography } from '../../styles/tokens';
  * - Progress bar view for large stories (>=50 chunks)
  * - Smooth animations between states
  * - Theme-aware styling
+ * - Missed and failed scheduled publications (PublishingScheduler), with
+ *   retry and dismiss actions, shown even when nothing is publishing
  */
 
 // Phase definitions for the publishing process
@@ -51,7 +53,11 @@ const PHASES = [
 
 export const PublishingStatusIndicator = ({ 
   progress = {}, 
-  isDarkMode = false 
+  isDarkMode = false,
+  showProgress = true,
+  schedules = [],
+  onRetrySchedule = null,
+  onDismissSchedule = null
 }) => {
   // Get theme-aware colors
   const colors = getColors(isDarkMode);
@@ -242,6 +248,65 @@ export const PublishingStatusIndicator = ({
     }
   };
 
+  // Render missed and failed scheduled publications
+  const renderSchedules = () => {
+    if (schedules.length === 0) {
+      return null;
+    }
+
+    return (
+      <View style={showProgress ? styles.schedulesContainer : undefined}>
+        <Text style={styles.schedulesTitle}>Scheduled Publishing</Text>
+
+        {schedules.map((schedule) => {
+          const missed = schedule.status === 'missed';
+          const IconComponent = missed ? Clock : AlertTriangle;
+
+          return (
+            <View key={schedule.scheduleId} style={styles.scheduleRow}>
+              <View style={styles.iconContainer}>
+                <IconComponent size={20} color={missed ? colors.warning : colors.error} />
+              </View>
+
+              <View style={styles.phaseLabelContainer}>
+                <Text style={styles.phaseLabel} numberOfLines={1}>
+                  {schedule.kind === 'post' ? 'Post' : 'Story'}: {schedule.title || 'Untitled'}
+                </Text>
+                <Text style={[styles.scheduleStatus, { color: missed ? colors.warning : colors.error }]}>
+                  {missed ? 'Missed' : 'Failed'} · due {new Date(schedule.publishAt).toLocaleString()}
+                </Text>
+                {schedule.error && (
+                  <Text style={styles.phaseDescription}>{schedule.error}</Text>
+                )}
+
+                <View style={styles.scheduleActions}>
+                  {onRetrySchedule && (
+                    <TouchableOpacity
+                      onPress={() => onRetrySchedule(schedule)}
+                      accessibilityRole="button"
+                      accessibilityLabel={`Retry ${schedule.title || 'scheduled publication'}`}
+                    >
+                      <Text style={styles.scheduleActionText}>Retry now</Text>
+                    </TouchableOpacity>
+                  )}
+                  {onDismissSchedule && (
+                    <TouchableOpacity
+                      onPress={() => onDismissSchedule(schedule)}
+                      accessibilityRole="button"
+                      accessibilityLabel={`Dismiss ${schedule.title || 'scheduled publication'}`}
+                    >
+                      <Text style={styles.scheduleActionText}>Dismiss</Text>
+                    </TouchableOpacity>
+                  )}
+                </View>
+              </View>
+            </View>
+          );
+        })}
+      </View>
+    );
+  };
+
   return (
     <Card
       isDarkMode={isDarkMode}
@@ -250,13 +315,16 @@ export const PublishingStatusIndicator = ({
       style={styles.container}
     >
       {/* Phase Checklist */}
-      {renderPhaseChecklist()}
+      {showProgress && renderPhaseChecklist()}
       
       {/* Content Progress Visualization */}
-      {renderContentProgress()}
+      {showProgress && renderContentProgress()}
+
+      {/* Missed and failed schedules */}
+      {renderSchedules()}
       
       {/* Debug Info (remove in production) */}
-      {__DEV__ && (
+      {__DEV__ && showProgress && (
         <View style={styles.debugContainer}>
           <Text style={styles.debugText}>
             Phase: {phase} | Progress: {current}/{total} | Chunks: {totalContentChunks}
@@ -269,4 +337,4 @@ export const PublishingStatusIndicator = ({
 
 export default PublishingStatusIndicator;
 
-// Character count: 6,847
\ No newline at end of file
+// Character count: 11,496
\ No newline at end of file
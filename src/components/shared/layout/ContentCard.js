@@ -24,6 +24,7 @@ const ContentCard = ({
   tags = [],
   isCached = false,
   isBookmarked = false,
+  isRetracted = false,
   showMetadata = true,
   showTags = true,
   showCacheIndicator = true,
@@ -71,7 +72,7 @@ const ContentCard = ({
     <Card
       isDarkMode={isDarkMode}
       onPress={onPress}
-      style={[cardStyles.contentCard, style]}
+      style={[cardStyles.contentCard, isRetracted && { opacity: 0.6 }, style]}
       {...cardProps}
     >
       {/* Header: Title and Cache Indicator */}
@@ -98,6 +99,13 @@ const ContentCard = ({
               {formatAuthor()}
             </Text>
           </TouchableOpacity>
+
+          {/* Shown only when the list opts in to retracted content */}
+          {isRetracted && (
+            <Text style={[cardStyles.contentAuthorText, { color: colors.error }]}>
+              Retracted by author
+            </Text>
+          )}
         </View>
 
         {/* Cache indicator */}
@@ -229,4 +237,4 @@ const ContentCard = ({
 
 export default ContentCard;
 
-// Character count: 5479
\ No newline at end of file
+// Character count: 7013
\ No newline at end of file
@@ -1,19 +1,30 @@
 // src/context/BlockchainContext.js
-import React, { createContext, useContext, useState } from 'react';
+import React, { createContext, useContext, useEffect, useState } from 'react';
+import { connectionProvider } from '../services/blockchain/shared/ConnectionProvider';
 
 const BlockchainContext = createContext();
 
 export const BlockchainProvider = ({ children }) => {
   const [connected, setConnected] = useState(false);
-  const [network, setNetwork] = useState('devnet');
-  
+  const [network, setNetworkState] = useState(connectionProvider.cluster);
+
+  // Keep state in sync when the cluster is switched elsewhere
+  useEffect(() => {
+    return connectionProvider.subscribe(info => setNetworkState(info.cluster));
+  }, []);
+
+  // Switch the shared connection for every blockchain service
+  const setNetwork = (cluster, options = {}) => {
+    connectionProvider.setCluster(cluster, options);
+  };
+
   const value = {
     connected,
     setConnected,
     network,
     setNetwork,
   };
-  
+
   return (
     <BlockchainContext.Provider value={value}>
       {children}
@@ -27,4 +38,4 @@ export const useBlockchain = () => {
     throw new Error('useBlockchain must be used within BlockchainProvider');
   }
   return context;
-};
\ No newline at end of file
+};
@@ -1,8 +1,9 @@
 // src/context/UserContext.js
 // Path: src/context/UserContext.js
 import React, { createContext, useState, useEffect, useRef } from 'react';
-import { Connection, LAMPORTS_PER_SOL, PublicKey } from '@solana/web3.js';
+import { LAMPORTS_PER_SOL, PublicKey } from '@solana/web3.js';
 import { userTransactionReader } from '../services/blockchain/UserTransactionReader';
+import { connectionProvider } from '../services/blockchain/shared/ConnectionProvider';
 
 // Export the context so useUser hook can import it
 export const UserContext = createContext();
@@ -21,8 +22,6 @@ export const UserProvider = ({ children }) => {
   const [showUserPanel, setShowUserPanel] = useState(false);
   const [showUserSelectorPanel, setShowUserSelectorPanel] = useState(false);
   
-  // Solana connection for balance updates
-  const connection = useRef(new Connection('https://api.devnet.solana.com', 'confirmed')).current;
   const initRef = useRef(false);
 
   // Load Alice as default user on app start
@@ -63,7 +62,7 @@ export const UserProvider = ({ children }) => {
         
         // Get wallet balance
         try {
-          const balance = await connection.getBalance(new PublicKey(aliceData.publicKey));
+          const balance = await connectionProvider.getConnection().getBalance(new PublicKey(aliceData.publicKey));
           const balanceSOL = balance / LAMPORTS_PER_SOL;
           setUserWalletBalance(balanceSOL);
         } catch (balanceError) {
@@ -103,7 +102,7 @@ export const UserProvider = ({ children }) => {
         setSelectedUserData(userData);
         
         // Get wallet balance
-        const balance = await connection.getBalance(new PublicKey(user.publicKey));
+        const balance = await connectionProvider.getConnection().getBalance(new PublicKey(user.publicKey));
         const balanceSOL = balance / LAMPORTS_PER_SOL;
         setUserWalletBalance(balanceSOL);
       } catch (error) {
@@ -131,7 +130,7 @@ export const UserProvider = ({ children }) => {
 
     try {
       console.log('💰 Refreshing balance for:', user.username);
-      const balance = await connection.getBalance(new PublicKey(user.publicKey));
+      const balance = await connectionProvider.getConnection().getBalance(new PublicKey(user.publicKey));
       const balanceSOL = balance / LAMPORTS_PER_SOL;
       
       // Update the state if this is the currently selected user
@@ -29,7 +29,6 @@ jest.mock('../../storage/StorageService');
 describe('PublishingService', () => {
   let publishingService;
   let mockWallet;
-  let mockKeypair;
 
   // Setup before each test
   beforeEach(() => {
@@ -39,14 +38,9 @@ describe('PublishingService', () => {
     // Create mock wallet
     mockWallet = {
       getWalletPublicKey: jest.fn(() => 'mock_public_key_12345678'),
-      getWalletKeypair: jest.fn(() => mockKeypair),
-      isConnected: jest.fn(() => true)
-    };
-    
-    // Create mock keypair
-    mockKeypair = {
       publicKey: 'mock_public_key_12345678',
-      secretKey: 'mock_secret_key'
+      signTransaction: jest.fn(async (transaction) => transaction),
+      isConnected: jest.fn(() => true)
     };
 
     // Clear all mocks
@@ -268,7 +262,7 @@ describe('PublishingService', () => {
       // Assert
       expect(BlockchainService.prototype.publishContent).toHaveBeenCalledWith(
         preparedContent,
-        mockKeypair,
+        mockWallet,
         mockProgressCallback
       );
       expect(result).toEqual(mockPublishResult);
@@ -307,7 +301,7 @@ describe('PublishingService', () => {
       expect(ContentService.prepareContent).toHaveBeenCalled();
       expect(BlockchainService.prototype.publishContent).toHaveBeenCalledWith(
         mockPreparedContent,
-        mockKeypair,
+        mockWallet,
         null
       );
       expect(result).toEqual(mockPublishResult);
@@ -328,13 +322,13 @@ describe('PublishingService', () => {
       await expect(publishingService.publishContent({})).rejects.toThrow('No valid content to publish');
     });
 
-    it('should throw error when wallet has no keypair', async () => {
+    it('should throw error when wallet is locked', async () => {
       // Arrange
-      mockWallet.getWalletKeypair.mockReturnValue(null);
+      mockWallet.publicKey = null;
       const content = { title: 'Test', content: 'test content' };
 
       // Act & Assert
-      await expect(publishingService.publishContent(content)).rejects.toThrow('Unable to access wallet keypair');
+      await expect(publishingService.publishContent(content)).rejects.toThrow('Unable to access wallet signer');
     });
 
   });
@@ -382,7 +376,7 @@ describe('PublishingService', () => {
       // Assert
       expect(BlockchainService.prototype.resumePublishing).toHaveBeenCalledWith(
         'content_123',
-        mockKeypair,
+        mockWallet,
         mockProgressCallback
       );
       expect(result).toEqual(mockResumeResult);
@@ -589,7 +583,7 @@ describe('PublishingService', () => {
       expect(ContentService.prepareContent).toHaveBeenCalled();
       expect(BlockchainService.prototype.publishContent).toHaveBeenCalledWith(
         preparedContent,
-        mockKeypair,
+        mockWallet,
         progressCallback
       );
     });
@@ -3,6 +3,7 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
 import { Alert } from 'react-native';
 import { PublishingService } from '../services/publishing/PublishingService';
+import { publishingScheduler } from '../services/publishing/PublishingScheduler';
 import { StorageService } from '../services/storage/StorageService';
 import { UserStorageService } from '../services/storage/UserStorageService';
 import { useUser } from './useUser';
@@ -32,6 +33,7 @@ export const usePublishing = (walletService = null) => {
   const [inProgressContent, setInProgressContent] = useState([]);
   const [publishedContent, setPublishedContent] = useState([]);
   const [publishingStats, setPublishingStats] = useState(null);
+  const [attentionSchedules, setAttentionSchedules] = useState([]);
   
   // Loading state
   const [isLoadingContent, setIsLoadingContent] = useState(false);
@@ -48,6 +50,39 @@ export const usePublishing = (walletService = null) => {
       publishingService.setWallet(walletService);
     }
   }, [walletService, publishingService]);
+
+  // Let the scheduler publish with the wallet while it is unlocked
+  useEffect(() => {
+    if (!walletService?.publicKey) {
+      return undefined;
+    }
+
+    const publicKey = walletService.publicKey;
+    publishingScheduler.registerSigner(walletService);
+    publishingScheduler.runDueSchedules().catch(error => {
+      console.error('usePublishing: ❌ Scheduled publishing failed:', error);
+    });
+    return () => publishingScheduler.unregisterSigner(publicKey);
+  }, [walletService, walletService?.publicKey]);
+
+  /**
+   * Reload missed and failed schedules of the selected user
+   */
+  const loadAttentionSchedules = useCallback(async () => {
+    if (!selectedUser?.publicKey) {
+      setAttentionSchedules([]);
+      return;
+    }
+    setAttentionSchedules(await publishingScheduler.getAttentionSchedules(selectedUser.publicKey));
+  }, [selectedUser?.publicKey]);
+
+  // Keep the list current as schedules run
+  useEffect(() => {
+    loadAttentionSchedules();
+    return publishingScheduler.subscribe(() => {
+      loadAttentionSchedules();
+    });
+  }, [loadAttentionSchedules]);
   
   // Load existing content on mount
   useEffect(() => {
@@ -212,10 +247,9 @@ export const usePublishing = (walletService = null) => {
         throw new Error('Failed to prepare content');
       }
       
-      // Get wallet keypair
-      const keypair = walletService.getWalletKeypair();
-      if (!keypair) {
-        throw new Error('Failed to get wallet keypair');
+      // Publishing signs through the wallet, so it must be unlocked
+      if (!walletService.publicKey) {
+        throw new Error('Wallet is locked');
       }
       
       // Progress callback
@@ -316,6 +350,21 @@ export const usePublishing = (walletService = null) => {
       Alert.alert('Error', 'Failed to delete content');
     }
   }, [publishingService]);
+
+  /**
+   * Retract published content on chain (readers hide it) and remove the local record
+   * @param {string} contentId - Content ID to retract
+   * @param {string} [reason] - Optional reason for the retraction
+   */
+  const retractPublishedContent = useCallback(async (contentId, reason = null) => {
+    try {
+      await publishingService.retractPublishedContent(contentId, { reason });
+      setPublishedContent(prev => prev.filter(c => c.contentId !== contentId));
+      Alert.alert('Success', 'Content retracted');
+    } catch (error) {
+      Alert.alert('Error', `Failed to retract content: ${error.message}`);
+    }
+  }, [publishingService]);
   
   /**
    * Export all data for backup
@@ -367,9 +416,9 @@ export const usePublishing = (walletService = null) => {
 * Direct pass-through to service's publishContent with user context
 * Maintains compatibility with PublishingScreen
 */
-const publishToBlockchain = useCallback(async (content, keypair, onProgress, userPublicKey = null) => {
-  if (!content || !keypair) {
-    throw new Error('Content and keypair are required');
+const publishToBlockchain = useCallback(async (content, signer, onProgress, userPublicKey = null) => {
+  if (!content || !signer) {
+    throw new Error('Content and wallet signer are required');
   }
   
   try {
@@ -421,6 +470,80 @@ const publishToBlockchain = useCallback(async (content, keypair, onProgress, use
 
 
 
+  /**
+   * Schedule a story to be published later
+   * @param {Object} content - Content with content text and title (a draft, or a picked file)
+   * @param {Date|number} publishAt - When to publish
+   * @param {Object} options - Options for manifest preparation
+   * @returns {Promise<Object|null>} The schedule, or null if it could not be created
+   */
+  const scheduleStory = useCallback(async (content, publishAt, options = {}) => {
+    try {
+      return await publishingScheduler.scheduleStory({
+        content: content.content,
+        title: content.title,
+        authorPublicKey: selectedUser?.publicKey,
+        options,
+        draftId: drafts.some(d => d.id === content.id) ? content.id : null
+      }, publishAt);
+    } catch (error) {
+      Alert.alert('Error', `Failed to schedule story: ${error.message}`);
+      return null;
+    }
+  }, [selectedUser?.publicKey, drafts]);
+
+  /**
+   * Schedule a social post to be published later
+   * @param {string} content - Post text
+   * @param {Date|number} publishAt - When to publish
+   * @param {Object} [postFields] - Other publishPost fields (mentions, tags, reGlyphCap, replyTo, threadId, quoteOf)
+   * @returns {Promise<Object|null>} The schedule, or null if it could not be created
+   */
+  const schedulePost = useCallback(async (content, publishAt, postFields = {}) => {
+    try {
+      return await publishingScheduler.schedulePost({
+        ...postFields,
+        content,
+        authorName: selectedUser?.username,
+        authorPublicKey: selectedUser?.publicKey
+      }, publishAt);
+    } catch (error) {
+      Alert.alert('Error', `Failed to schedule post: ${error.message}`);
+      return null;
+    }
+  }, [selectedUser?.publicKey, selectedUser?.username]);
+
+  /**
+   * Run a missed or failed schedule again now
+   * @param {Object} schedule - Schedule from attentionSchedules
+   */
+  const retrySchedule = useCallback(async (schedule) => {
+    try {
+      await publishingScheduler.reschedule(schedule.scheduleId, Date.now());
+      const { missed, failed } = await publishingScheduler.runDueSchedules();
+      const retried = [...missed, ...failed].find(s => s.scheduleId === schedule.scheduleId);
+      if (retried) {
+        Alert.alert('Publishing Failed', retried.error);
+      } else {
+        await loadExistingContent();
+      }
+    } catch (error) {
+      Alert.alert('Error', `Failed to retry: ${error.message}`);
+    }
+  }, [loadExistingContent]);
+
+  /**
+   * Drop a missed or failed schedule
+   * @param {Object} schedule - Schedule from attentionSchedules
+   */
+  const dismissSchedule = useCallback(async (schedule) => {
+    try {
+      await publishingScheduler.cancelSchedule(schedule.scheduleId);
+    } catch (error) {
+      Alert.alert('Error', `Failed to dismiss: ${error.message}`);
+    }
+  }, []);
+
   // Computed values
   const hasContent = drafts.length > 0 || publishedContent.length > 0;
   const canPublish = walletService && !isPublishing;
@@ -438,6 +561,7 @@ const publishToBlockchain = useCallback(async (content, keypair, onProgress, use
     publishedContent,
     publishingStats,
     isLoadingContent,
+    attentionSchedules,
     publishToBlockchain,  
     publishingService,     
     // Actions
@@ -447,10 +571,15 @@ const publishToBlockchain = useCallback(async (content, keypair, onProgress, use
     publishContent,
     resumePublishing,
     deletePublishedContent,
+    retractPublishedContent,
     loadExistingContent,
     exportData,
     importData,
     searchContent,
+    scheduleStory,
+    schedulePost,
+    retrySchedule,
+    dismissSchedule,
     
     // Computed values
     hasContent,
@@ -464,4 +593,4 @@ const publishToBlockchain = useCallback(async (content, keypair, onProgress, use
   };
 };
 
-// Character count: 11,264
\ No newline at end of file
+// Character count: 19,086
\ No newline at end of file
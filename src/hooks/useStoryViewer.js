@@ -48,6 +48,11 @@ export const useStoryViewer = (initialStoryId = null, initialManifest = null, op
   const [isCached, setIsCached] = useState(false);
   const [cacheStats, setCacheStats] = useState(null);
   
+  // Revision state
+  const [revisionHistory, setRevisionHistory] = useState(null);
+  const [revisionDiff, setRevisionDiff] = useState(null);
+  const [isDiffLoading, setIsDiffLoading] = useState(false);
+  
   // Refs for cleanup and state tracking
   const storyIdRef = useRef(storyId);
   const isLoadingRef = useRef(false);
@@ -111,6 +116,9 @@ export const useStoryViewer = (initialStoryId = null, initialManifest = null, op
   const saveToCache = useCallback(async () => {
     if (!storyId || !manifest || !content || !isComplete || !cacheEnabled) return;
     
+    // Only the latest revision is cached under the story ID
+    if (revisionHistory && manifest.storyId && manifest.storyId !== revisionHistory.latest.storyId) return;
+    
     try {
       await storyCache.cacheStory(storyId, manifest, content);
       setIsCached(true);
@@ -118,7 +126,7 @@ export const useStoryViewer = (initialStoryId = null, initialManifest = null, op
     } catch (error) {
       console.error('Error caching story:', error);
     }
-  }, [storyId, manifest, content, isComplete, cacheEnabled]);
+  }, [storyId, manifest, content, isComplete, cacheEnabled, revisionHistory]);
 
   // ====================
   // Progressive Loading
@@ -227,7 +235,19 @@ export const useStoryViewer = (initialStoryId = null, initialManifest = null, op
         fixedManifest,
         handleChunkLoaded,
         handleError,
-        handleProgress
+        handleProgress,
+        {
+          onRevision: (history) => {
+            setRevisionHistory(history);
+            if (history.latest.storyId !== storyId && history.latest.isComplete) {
+              // The service loads the newer revision next, even if the given one already finished
+              setManifest(StoryViewerServiceM.toViewerManifest(history.latest, manifestToLoad));
+              isLoadingRef.current = true;
+              setIsLoading(true);
+              setIsComplete(false);
+            }
+          }
+        }
       );
       
     } catch (error) {
@@ -235,6 +255,62 @@ export const useStoryViewer = (initialStoryId = null, initialManifest = null, op
     }
   }, [storyId, manifest, cacheEnabled, loadFromCache, handleChunkLoaded, handleError, handleProgress]);
   
+  /**
+   * Load one specific revision from the revision history (e.g. an earlier version)
+   */
+  const loadRevision = useCallback(async (revision) => {
+    if (!storyId || !revision) return;
+    
+    console.log(`📜 Loading revision ${revision.revision} of story: ${storyId}`);
+    
+    // Glyph locations are only checked against their transactions when a revision is read
+    await StoryViewerServiceM.verifyRevisionGlyphs(revision);
+    const revisionManifest = StoryViewerServiceM.toViewerManifest(revision, manifest || {});
+    setManifest(revisionManifest);
+    setIsLoading(true);
+    setError(null);
+    setContent('');
+    setIsComplete(false);
+    setProgress({ loaded: 0, total: 0, percentage: 0 });
+    setLoadingStartTime(Date.now());
+    setEstimatedTimeRemaining(null);
+    
+    try {
+      await StoryViewerServiceM.loadStoryProgressively(
+        storyId,
+        revisionManifest,
+        handleChunkLoaded,
+        handleError,
+        handleProgress,
+        { resolveLatest: false }
+      );
+    } catch (error) {
+      handleError(error);
+    }
+  }, [storyId, manifest, handleChunkLoaded, handleError, handleProgress]);
+  
+  /**
+   * Show the text diff between two revisions
+   */
+  const compareRevisions = useCallback(async (fromRevision, toRevision) => {
+    setIsDiffLoading(true);
+    try {
+      setRevisionDiff(await StoryViewerServiceM.diffRevisions(fromRevision, toRevision));
+    } catch (error) {
+      console.error('Error comparing revisions:', error);
+      Alert.alert('Compare Failed', error.message || 'Could not load both revisions.');
+    } finally {
+      setIsDiffLoading(false);
+    }
+  }, []);
+  
+  /**
+   * Hide the revision diff
+   */
+  const clearRevisionDiff = useCallback(() => {
+    setRevisionDiff(null);
+  }, []);
+  
 
 
   
@@ -397,6 +473,8 @@ export const useStoryViewer = (initialStoryId = null, initialManifest = null, op
     setContent('');
     setIsComplete(false);
     setError(null);
+    setRevisionHistory(null);
+    setRevisionDiff(null);
     
     // Auto-start if enabled
     if (autoStartRef.current) {
@@ -485,11 +563,19 @@ export const useStoryViewer = (initialStoryId = null, initialManifest = null, op
     isCached,
     cacheStats,
     
+    // Revision state
+    revisionHistory,
+    revisionDiff,
+    isDiffLoading,
+    
     // Core actions
     startLoading,
     stopLoading,
     restartLoading,
     loadStory,
+    loadRevision,
+    compareRevisions,
+    clearRevisionDiff,
     
     // UI controls
     increaseFontSize,
@@ -517,4 +603,4 @@ export const useStoryViewer = (initialStoryId = null, initialManifest = null, op
   };
 };
 
-// Character count: 13,847
\ No newline at end of file
+// Character count: 16,668
\ No newline at end of file
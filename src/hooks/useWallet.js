@@ -196,10 +196,8 @@ export const useWallet = (options = {}) => {
             text: 'Request', 
             onPress: async () => {
               try {
-                const keypair = walletService.getWalletKeypair();
-                
                 console.log('🎁 Requesting airdrop...');
-                await airdropService.requestAirdrop(keypair.publicKey, 1);
+                await airdropService.requestAirdrop(walletService.publicKey, 1);
                 
                 Alert.alert('⏳ Processing', 'Waiting for airdrop confirmation...');
                 
@@ -289,7 +287,7 @@ export const useWallet = (options = {}) => {
       // Create transfer transaction
       const transaction = new Transaction().add(
         SystemProgram.transfer({
-          fromPubkey: walletService.getWalletKeypair().publicKey,
+          fromPubkey: walletService.publicKey,
           toPubkey: new PublicKey(toAddress),
           lamports: amount * 1000000000, // Convert SOL to lamports
         })
@@ -298,12 +296,12 @@ export const useWallet = (options = {}) => {
       // Get recent blockhash
       const { blockhash } = await walletService.connection.getLatestBlockhash();
       transaction.recentBlockhash = blockhash;
-      transaction.feePayer = walletService.getWalletKeypair().publicKey;
+      transaction.feePayer = walletService.publicKey;
       
       // Sign and send
-      transaction.sign(walletService.getWalletKeypair());
+      const signedTransaction = await walletService.signTransaction(transaction);
       const signature = await walletService.connection.sendRawTransaction(
-        transaction.serialize(),
+        signedTransaction.serialize(),
         { skipPreflight: false, preflightCommitment: 'confirmed' }
       );
       
@@ -385,4 +383,4 @@ export const useWallet = (options = {}) => {
   };
 };
 
-// Character count: 6821
\ No newline at end of file
+// Character count: 11810
\ No newline at end of file
@@ -15,11 +15,24 @@ import {
   KeyboardAvoidingView,
   Platform
 } from 'react-native';
-import { Keypair } from '@solana/web3.js';
 import { spacing, colors, typography, borderRadius } from '../styles/tokens';
 import { PostPublishingService } from '../services/publishing/PostPublishingService';
 import { PostHeaderService } from '../services/feed/PostHeaderService';
-import userKeys from '../data/user-keys.json';
+import { mentionService } from '../services/feed/MentionService';
+import { testIdentityProvider } from '../services/wallet/TestIdentityProvider';
+import { PostShare } from '../services/blockchain/shared/models/PostShare';
+import { repostService } from '../services/feed/RepostService';
+import { publishingScheduler } from '../services/publishing/PublishingScheduler';
+
+// Re-glyph caps an original post can set, tapped through in order (null = unlimited)
+const REGLYPH_CAP_OPTIONS = [null, 10, 100, 1000];
+
+// Publish delays, tapped through in order (null = publish now)
+const HOUR_MS = 60 * 60 * 1000;
+const SCHEDULE_DELAY_OPTIONS = [null, HOUR_MS, 3 * HOUR_MS, 24 * HOUR_MS];
+
+// Pause in typing before the cost estimate is refreshed (it prices a transaction over RPC)
+const ESTIMATE_DEBOUNCE_MS = 600;
 
 /**
  * ComposerModal Screen
@@ -31,11 +44,19 @@ import userKeys from '../data/user-keys.json';
  * 
  * Features:
  * - Character limit enforcement (280 chars, Twitter-style)
- * - Real-time cost estimation in SOL
+ * - Cost estimation in SOL, refreshed once typing pauses; the balance (and
+ *   sponsor quota) is checked when publishing is confirmed
  * - Blockchain publishing with progress tracking
  * - Post chain management (links to user's previous posts)
  * - User wallet payment and balance validation
  * - Cancel/Post buttons in header like X/Twitter
+ * - Replies: pass a replyTo post to publish into its thread
+ * - Quote posts: pass a quoteOf post to publish text that embeds it
+ * - Re-glyph cap: an original post can cap how often it is reposted or quoted
+ * - Scheduling: a post can be left to PublishingScheduler to publish later
+ *   instead of now
+ * - @mentions and #hashtags: mentions of known users and hashtags are stored
+ *   with the post (see MentionService); the composer lists which were found
  * 
  * Architecture Integration:
  * - Uses PostPublishingService for blockchain publishing (same as PostComposer)
@@ -50,6 +71,8 @@ export const ComposerModal = ({ navigation, route }) => {
     selectedUser, 
     selectedUserData, 
     userWalletBalance, 
+    replyTo,
+    quoteOf,
     onPostCreate 
   } = route.params || {};
   
@@ -63,6 +86,12 @@ export const ComposerModal = ({ navigation, route }) => {
   
   // UI state
   const [estimatedCost, setEstimatedCost] = useState(0.001); // Default estimate
+  const [entities, setEntities] = useState({ mentions: [], tags: [], unresolved: [], dropped: [] });
+  const [reGlyphCap, setReGlyphCap] = useState(null);
+  const [scheduleDelay, setScheduleDelay] = useState(null);
+  
+  // Only original posts (not replies or quotes) set a re-glyph cap
+  const canSetReGlyphCap = !replyTo && !quoteOf;
   
   // Constants (identical to PostComposer)
   const MAX_POST_LENGTH = 280; // Twitter-style character limit
@@ -93,27 +122,12 @@ export const ComposerModal = ({ navigation, route }) => {
           const service = new PostPublishingService();
           console.log('🔵 PostPublishingService created:', !!service);
           
-          // Create user's individual wallet (identical to PostComposer)
-          console.log('🔵 Creating user wallet for:', selectedUser.username);
-          const userWallet = {
-            getWalletKeypair: () => {
-              const privateKeyArray = userKeys[selectedUser.username];
-              if (!privateKeyArray) {
-                throw new Error(`No private key found for user: ${selectedUser.username}`);
-              }
-              const keypair = Keypair.fromSecretKey(new Uint8Array(privateKeyArray));
-              console.log('🔑 Using keypair for:', selectedUser.username, keypair.publicKey.toBase58());
-              return keypair;
-            },
-            getWalletPublicKey: () => {
-              const privateKeyArray = userKeys[selectedUser.username];
-              if (!privateKeyArray) {
-                throw new Error(`No private key found for user: ${selectedUser.username}`);
-              }
-              const keypair = Keypair.fromSecretKey(new Uint8Array(privateKeyArray));
-              return keypair.publicKey.toBase58();
-            }
-          };
+          // Resolve a wallet that can sign for this user (never a bundled key)
+          console.log('🔵 Resolving signing wallet for:', selectedUser.username);
+          const userWallet = await testIdentityProvider.resolveWalletForUser(selectedUser);
+          if (!userWallet) {
+            throw new Error(`No signing wallet available for user: ${selectedUser.username}`);
+          }
           
           console.log('🔵 Setting user wallet on service...');
           service.setWallet(userWallet);
@@ -126,6 +140,8 @@ export const ComposerModal = ({ navigation, route }) => {
         } catch (error) {
           console.error('❌ Error setting up publishing service:', error);
           console.error('❌ Error stack:', error.stack);
+          setPublishingService(null);
+          Alert.alert('Wallet Not Available', error.message);
         }
       } else {
         console.log('❌ Cannot setup publishing service - no selectedUser');
@@ -137,26 +153,79 @@ export const ComposerModal = ({ navigation, route }) => {
   }, [selectedUser]);
 
   /**
-   * Estimate cost for current post content (same as PostComposer)
+   * Find the mentions and hashtags in the current post content
    */
   useEffect(() => {
-    const updateCostEstimate = () => {
-      if (postContent.trim().length > 0 && publishingService) {
-        try {
-          // Use estimatePublishing instead of getContentStats for cost estimation
-          const estimation = publishingService.estimatePublishing(postContent.trim());
-          setEstimatedCost(estimation.estimatedCost || 0.001);
-        } catch (error) {
-          console.error('Error estimating cost:', error);
-          setEstimatedCost(0.001); // Fallback
+    let cancelled = false; // Ignore results for content that has since changed
+
+    const updateEntities = async () => {
+      try {
+        const extracted = await mentionService.extractEntities(postContent);
+        if (!cancelled) {
+          setEntities(extracted);
         }
-      } else {
-        setEstimatedCost(0.001);
+      } catch (error) {
+        console.warn('⚠️ Could not resolve mentions:', error.message);
       }
     };
-    
-    updateCostEstimate();
-  }, [postContent, publishingService]);
+
+    updateEntities();
+    return () => {
+      cancelled = true;
+    };
+  }, [postContent]);
+
+  /**
+   * Price the post being composed
+   * @param {string} content - Post text
+   * @param {Object} postEntities - { mentions, tags } the post will store
+   * @param {Object} [options] - Options for PostPublishingService.estimateCost
+   * @returns {Promise<Object>} Cost estimation
+   */
+  const estimatePost = (content, { mentions, tags }, options = {}) => {
+    const reply = replyTo
+      ? { replyTo: replyTo.transactionHash, threadId: replyTo.threadId || replyTo.transactionHash }
+      : null;
+    const share = quoteOf
+      ? { quoteOf: PostShare.shareTarget(quoteOf) }
+      : { reGlyphCap };
+    return publishingService.estimatePublishing(content, reply, { mentions, tags }, share, options);
+  };
+
+  /**
+   * Estimate cost for current post content once typing pauses. Mentions and
+   * hashtags are resolved here for the exact text priced, and the balance is
+   * left for the confirm step, so a keystroke costs no RPC call.
+   */
+  useEffect(() => {
+    let cancelled = false; // Ignore estimates for content that has since changed
+
+    if (postContent.trim().length === 0 || !publishingService) {
+      setEstimatedCost(ESTIMATED_COST_PER_POST);
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const content = postContent.trim();
+        const postEntities = await mentionService.extractEntities(content);
+        const estimation = await estimatePost(content, postEntities, { checkBalance: false });
+        if (!cancelled) {
+          setEstimatedCost(estimation.estimatedCost || ESTIMATED_COST_PER_POST);
+        }
+      } catch (error) {
+        console.error('Error estimating cost:', error);
+        if (!cancelled) {
+          setEstimatedCost(ESTIMATED_COST_PER_POST); // Fallback
+        }
+      }
+    }, ESTIMATE_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [postContent, publishingService, replyTo, quoteOf, reGlyphCap]);
 
   /**
    * Handle post creation using existing PublishingService infrastructure (identical to PostComposer)
@@ -183,19 +252,47 @@ export const ComposerModal = ({ navigation, route }) => {
       setIsPosting(true);
       setPublishProgress(null);
       
-      // Create post data object for PostPublishingService
+      // Create post data object for PostPublishingService, with the entities
+      // of exactly the text being published
+      const { mentions, tags } = await mentionService.extractEntities(postContent.trim());
       const postData = {
         content: postContent.trim(),
-        authorName: selectedUser.username
+        authorName: selectedUser.username,
+        mentions,
+        tags,
+        ...(canSetReGlyphCap ? { reGlyphCap } : {})
       };
       
       console.log('🔵 Content data created:', postData);
+      
+      // Price it once more with the balance and sponsor quota of whoever pays
+      const estimation = await estimatePost(postData.content, { mentions, tags });
+      if (estimation.balance && !estimation.balance.sufficient) {
+        Alert.alert(
+          'Insufficient Balance',
+          `Publishing costs ~${estimation.estimatedCost.toFixed(5)} SOL, which is more than the paying wallet holds.`
+        );
+        setIsPosting(false);
+        return;
+      }
+      if (estimation.sponsorship && !estimation.sponsorship.allowed) {
+        Alert.alert('Sponsor Quota Used Up', 'The fee sponsor will not pay for more posts from this account.');
+        setIsPosting(false);
+        return;
+      }
+      setEstimatedCost(estimation.estimatedCost);
+      
+      if (scheduleDelay !== null) {
+        confirmSchedule(postData, estimation);
+        return;
+      }
+      
       console.log('🔵 Showing confirmation dialog...');
       
       // Show confirmation dialog with cost (same as PostComposer)
       Alert.alert(
-        '🚀 Publish Post',
-        `"${postContent.trim().substring(0, 50)}${postContent.length > 50 ? '...' : ''}"\n\nCost: ~${estimatedCost.toFixed(5)} SOL\nBalance: ${userWalletBalance.toFixed(5)} SOL\n\nPublish permanently to blockchain?`,
+        replyTo ? '💬 Publish Reply' : quoteOf ? '🔁 Publish Quote' : '🚀 Publish Post',
+        `"${postContent.trim().substring(0, 50)}${postContent.length > 50 ? '...' : ''}"\n\nCost: ~${estimation.estimatedCost.toFixed(5)} SOL\nBalance: ${userWalletBalance.toFixed(5)} SOL\n\nPublish permanently to blockchain?`,
         [
           {
             text: 'Cancel',
@@ -212,12 +309,16 @@ export const ComposerModal = ({ navigation, route }) => {
                 
                 // Publish using existing service (identical to PostComposer)
                 console.log('🔵 Publishing content using existing service...');
-                const result = await publishingService.publishPost(postData);
+                const result = replyTo
+                  ? await publishingService.publishReply(replyTo, postData)
+                  : quoteOf
+                    ? await publishingService.publishQuote(quoteOf, postData)
+                    : await publishingService.publishPost(postData);
                 console.log('✅ Post published successfully using existing service:', result);
                 
                 Alert.alert(
                   '🎉 Post Published!',
-                  `Your post has been permanently stored on the blockchain!\n\nTransaction: ${result.transactionId}\nCost: ${result.totalCost?.toFixed(5) || estimatedCost.toFixed(5)} SOL`,
+                  `Your post has been permanently stored on the blockchain!\n\nTransaction: ${result.transactionId}\nCost: ${result.totalCost?.toFixed(5) || estimation.estimatedCost.toFixed(5)} SOL`,
                   [{ 
                     text: 'OK',
                     onPress: () => {
@@ -275,6 +376,65 @@ export const ComposerModal = ({ navigation, route }) => {
     }
   };
 
+  /**
+   * Confirm a scheduled post and hand it to PublishingScheduler
+   * @param {Object} postData - Post data, as for PostPublishingService.publishPost
+   * @param {Object} estimation - Cost estimation of the post
+   */
+  const confirmSchedule = (postData, estimation) => {
+    const publishAt = Date.now() + scheduleDelay;
+
+    Alert.alert(
+      '🕒 Schedule Post',
+      `"${postData.content.substring(0, 50)}${postData.content.length > 50 ? '...' : ''}"\n\nPublishes at: ${new Date(publishAt).toLocaleString()}\nCost: ~${estimation.estimatedCost.toFixed(5)} SOL\n\nSchedule it?`,
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel',
+          onPress: () => {
+            setIsPosting(false);
+          }
+        },
+        {
+          text: 'Schedule',
+          onPress: async () => {
+            try {
+              // Replies and quotes are resolved now, as publishReply and publishQuote would
+              const shareFields = replyTo
+                ? { replyTo: replyTo.transactionHash, threadId: replyTo.threadId || replyTo.transactionHash }
+                : quoteOf
+                  ? { quoteOf: (await repostService.assertCanShare(quoteOf)).target }
+                  : {};
+
+              // The scheduler publishes with the author's wallet while it is registered
+              publishingScheduler.registerSigner(publishingService.getCurrentWallet());
+              const schedule = await publishingScheduler.schedulePost({
+                ...postData,
+                ...shareFields,
+                authorPublicKey: selectedUser.publicKey
+              }, publishAt);
+              console.log('✅ Post scheduled:', schedule.scheduleId);
+
+              Alert.alert(
+                '🕒 Post Scheduled',
+                `"${schedule.title}" will be published at ${new Date(publishAt).toLocaleString()}, or the next time you open the app after that.`,
+                [{ text: 'OK', onPress: () => navigation.goBack() }]
+              );
+
+              setPostContent('');
+              Keyboard.dismiss();
+            } catch (scheduleError) {
+              console.error('❌ Scheduling failed:', scheduleError);
+              Alert.alert('Scheduling Failed', `Failed to schedule post: ${scheduleError.message}`);
+            } finally {
+              setIsPosting(false);
+            }
+          }
+        }
+      ]
+    );
+  };
+
   /**
    * Handle cancel - close modal
    */
@@ -398,7 +558,7 @@ export const ComposerModal = ({ navigation, route }) => {
               fontSize: typography.fontSize.button || 16,
               fontWeight: typography.fontWeight.medium || '500'
             }}>
-              Post
+              {scheduleDelay === null ? 'Post' : 'Schedule'}
             </Text>
           )}
         </TouchableOpacity>
@@ -414,6 +574,28 @@ export const ComposerModal = ({ navigation, route }) => {
           paddingHorizontal: spacing.medium,
           paddingTop: spacing.medium
         }}>
+          {/* Reply context */}
+          {replyTo && (
+            <Text style={{
+              fontSize: typography.fontSize.small,
+              color: colors.textSecondary,
+              marginBottom: spacing.small
+            }}>
+              Replying to {replyTo.author || 'a post'}: "{replyTo.content?.substring(0, 50)}{replyTo.content?.length > 50 ? '...' : ''}"
+            </Text>
+          )}
+
+          {/* Quote context (quoting a repost quotes the post it reposted) */}
+          {quoteOf && (
+            <Text style={{
+              fontSize: typography.fontSize.small,
+              color: colors.textSecondary,
+              marginBottom: spacing.small
+            }}>
+              Quoting {quoteOf.repostOf ? 'a reposted post' : `${quoteOf.author || 'a post'}: "${quoteOf.content?.substring(0, 50)}${quoteOf.content?.length > 50 ? '...' : ''}"`}
+            </Text>
+          )}
+
           {/* Text Input */}
           <TextInput
             style={{
@@ -424,7 +606,7 @@ export const ComposerModal = ({ navigation, route }) => {
               color: colors.text,
               paddingVertical: spacing.small
             }}
-            placeholder={`What's happening, ${selectedUser.username}?`}
+            placeholder={replyTo ? 'Post your reply' : quoteOf ? 'Add a comment' : `What's happening, ${selectedUser.username}?`}
             placeholderTextColor={colors.textSecondary}
             value={postContent}
             onChangeText={setPostContent}
@@ -433,6 +615,30 @@ export const ComposerModal = ({ navigation, route }) => {
             maxLength={MAX_POST_LENGTH + 50} // Allow over-typing to show red counter
           />
 
+          {/* Mentions and hashtags found */}
+          {(entities.mentions.length > 0 || entities.tags.length > 0 || entities.unresolved.length > 0) && (
+            <View style={{ paddingVertical: spacing.small }}>
+              {(entities.mentions.length > 0 || entities.tags.length > 0) && (
+                <Text style={{ fontSize: typography.fontSize.small, color: '#3b82f6' }}>
+                  {[
+                    ...entities.mentions.map(mention => `@${mention.alias}`),
+                    ...entities.tags.map(tag => `#${tag}`)
+                  ].join('  ')}
+                </Text>
+              )}
+              {entities.unresolved.length > 0 && (
+                <Text style={{ fontSize: typography.fontSize.small, color: colors.textSecondary }}>
+                  Unknown users, not linked: {entities.unresolved.map(alias => `@${alias}`).join(', ')}
+                </Text>
+              )}
+              {entities.dropped.length > 0 && (
+                <Text style={{ fontSize: typography.fontSize.small, color: colors.textSecondary }}>
+                  Over the limit, not linked: {entities.dropped.join(', ')}
+                </Text>
+              )}
+            </View>
+          )}
+
           {/* Bottom Info Bar */}
           <View style={{
             flexDirection: 'row',
@@ -450,6 +656,34 @@ export const ComposerModal = ({ navigation, route }) => {
               ~{estimatedCost.toFixed(5)} SOL
             </Text>
 
+            {/* Re-glyph cap (tap to change) */}
+            {canSetReGlyphCap && (
+              <TouchableOpacity
+                onPress={() => setReGlyphCap(REGLYPH_CAP_OPTIONS[(REGLYPH_CAP_OPTIONS.indexOf(reGlyphCap) + 1) % REGLYPH_CAP_OPTIONS.length])}
+                disabled={isPosting}
+              >
+                <Text style={{
+                  fontSize: typography.fontSize.small,
+                  color: colors.textSecondary
+                }}>
+                  🔁 {reGlyphCap === null ? 'No re-glyph cap' : `Cap: ${reGlyphCap}`}
+                </Text>
+              </TouchableOpacity>
+            )}
+
+            {/* Publish time (tap to change) */}
+            <TouchableOpacity
+              onPress={() => setScheduleDelay(SCHEDULE_DELAY_OPTIONS[(SCHEDULE_DELAY_OPTIONS.indexOf(scheduleDelay) + 1) % SCHEDULE_DELAY_OPTIONS.length])}
+              disabled={isPosting}
+            >
+              <Text style={{
+                fontSize: typography.fontSize.small,
+                color: colors.textSecondary
+              }}>
+                🕒 {scheduleDelay === null ? 'Now' : `In ${scheduleDelay / HOUR_MS}h`}
+              </Text>
+            </TouchableOpacity>
+
             {/* Character Count */}
             <Text style={{
               fontSize: typography.fontSize.small,
@@ -467,4 +701,4 @@ export const ComposerModal = ({ navigation, route }) => {
 
 export default ComposerModal;
 
-// Character count: 15,847
\ No newline at end of file
+// Character count: 26,196
\ No newline at end of file
@@ -10,7 +10,7 @@ import {
   Animated,
   Alert
 } from 'react-native';
-import { Connection, LAMPORTS_PER_SOL, PublicKey } from '@solana/web3.js';
+import { LAMPORTS_PER_SOL, PublicKey } from '@solana/web3.js';
 import { ErrorDisplay, RetryButton, ErrorBoundary, ScreenContainer, ContentArea } from '../components/shared';
 import { SocialFeed } from '../components/feed/SocialFeed';
 import { TopBar } from '../components/navigation/TopBar';
@@ -20,6 +20,12 @@ import { homeStyles } from '../styles/homeStyles';
 import { colors, spacing } from '../styles/tokens';
 import { PostHeaderService } from '../services/feed/PostHeaderService';
 import { userTransactionReader } from '../services/blockchain/UserTransactionReader';
+import { reactionService } from '../services/blockchain/ReactionService';
+import { followService } from '../services/blockchain/FollowService';
+import { retractionService } from '../services/blockchain/RetractionService';
+import { testIdentityProvider } from '../services/wallet/TestIdentityProvider';
+import { PostPublishingService } from '../services/publishing/PostPublishingService';
+import userRegistry from '../data/user-registry.json';
 import { useUser } from '../hooks/useUser';
 
 
@@ -142,6 +148,194 @@ export const HomeScreen = ({ navigation, isDarkMode = false }) => {
     });
   };
 
+  const handlePostPress = (post) => {
+    console.log('Post pressed:', post.author);
+    navigation.navigate('Thread', {
+      post,
+      selectedUser,
+      selectedUserData,
+      userWalletBalance,
+      onPostCreate: handlePostCreate
+    });
+  };
+
+  const handleReplyPress = (post) => {
+    console.log('Reply pressed:', post.author);
+    navigation.navigate('ComposeModal', {
+      selectedUser,
+      selectedUserData,
+      userWalletBalance,
+      replyTo: post,
+      onPostCreate: handlePostCreate
+    });
+  };
+
+  const handleReactPress = async (post, code, removed) => {
+    if (!selectedUser) {
+      Alert.alert('Select a User', 'Choose a user before reacting to posts.');
+      return false;
+    }
+
+    try {
+      const reactorWallet = await testIdentityProvider.resolveWalletForUser(selectedUser);
+      if (!reactorWallet) {
+        throw new Error(`No signing wallet available for user: ${selectedUser.username}`);
+      }
+
+      // Reactions go out in the next digest; the LIKES lane records them when they do
+      const user = userRegistry.users.find(entry => entry.publicKey === selectedUser.publicKey) || null;
+      await reactionService.react(
+        { targetId: post.transactionHash, reaction: code, removed },
+        reactorWallet,
+        { user }
+      );
+      return true;
+    } catch (error) {
+      console.error('❌ Error reacting to post:', error);
+      Alert.alert('Reaction Failed', error.message);
+      return false;
+    }
+  };
+
+  const handleRetractPress = (post) => new Promise((resolve) => {
+    if (!selectedUser || post.authorPublicKey !== selectedUser.publicKey) {
+      resolve(false);
+      return;
+    }
+
+    Alert.alert(
+      'Retract Post',
+      'Readers will no longer see this post. It stays on chain, marked as retracted.',
+      [
+        { text: 'Cancel', style: 'cancel', onPress: () => resolve(false) },
+        {
+          text: 'Retract',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              const authorWallet = await testIdentityProvider.resolveWalletForUser(selectedUser);
+              if (!authorWallet) {
+                throw new Error(`No signing wallet available for user: ${selectedUser.username}`);
+              }
+
+              // The REVOCATIONS lane records the retraction too
+              const user = userRegistry.users.find(entry => entry.publicKey === selectedUser.publicKey) || null;
+              await retractionService.retract(
+                { targetKind: 'post', targetId: post.transactionHash },
+                authorWallet,
+                { user }
+              );
+              resolve(true);
+            } catch (error) {
+              console.error('❌ Error retracting post:', error);
+              Alert.alert('Retraction Failed', error.message);
+              resolve(false);
+            }
+          }
+        }
+      ],
+      { cancelable: true, onDismiss: () => resolve(false) }
+    );
+  });
+
+  const handleAuthorPress = async (author, publicKey) => {
+    console.log('Author pressed:', author);
+    // TODO: Navigate to user profile screen
+    if (!selectedUser || !publicKey || publicKey === selectedUser.publicKey) {
+      return;
+    }
+
+    const following = await followService.isFollowing(selectedUser.publicKey, publicKey).catch(() => false);
+    Alert.alert(
+      author || 'Unknown',
+      following ? `${selectedUser.username} follows ${author}.` : null,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: following ? 'Unfollow' : 'Follow',
+          style: following ? 'destructive' : 'default',
+          onPress: async () => {
+            try {
+              const followerWallet = await testIdentityProvider.resolveWalletForUser(selectedUser);
+              if (!followerWallet) {
+                throw new Error(`No signing wallet available for user: ${selectedUser.username}`);
+              }
+
+              if (following) {
+                await followService.unfollow(publicKey, followerWallet);
+              } else {
+                const user = userRegistry.users.find(entry => entry.publicKey === selectedUser.publicKey) || null;
+                await followService.follow(publicKey, followerWallet, { user });
+              }
+            } catch (error) {
+              console.error('❌ Error updating follow:', error);
+              Alert.alert(following ? 'Unfollow Failed' : 'Follow Failed', error.message);
+            }
+          }
+        }
+      ],
+      { cancelable: true }
+    );
+  };
+
+  const handleMentionPress = (alias, publicKey) => {
+    handleAuthorPress(alias, publicKey);
+  };
+
+  const handleTagPress = (tag) => {
+    navigation.navigate('Tag', { tag });
+  };
+
+  const handleRepostPress = (post) => {
+    if (!selectedUser) {
+      Alert.alert('Select a User', 'Choose a user before reposting.');
+      return;
+    }
+    if (post.repostCapReached) {
+      Alert.alert('Re-glyph Cap Reached', `This post has reached its re-glyph cap of ${post.repostCap}.`);
+      return;
+    }
+
+    Alert.alert(
+      'Re-glyph',
+      null,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Repost',
+          onPress: async () => {
+            try {
+              const reposterWallet = await testIdentityProvider.resolveWalletForUser(selectedUser);
+              if (!reposterWallet) {
+                throw new Error(`No signing wallet available for user: ${selectedUser.username}`);
+              }
+
+              const publishingService = new PostPublishingService();
+              publishingService.setWallet(reposterWallet);
+              const result = await publishingService.publishRepost(post, { authorName: selectedUser.username });
+              handlePostCreate({ success: true, result, shouldRefreshBalance: true, userPaidTransaction: true });
+              setFeedKey(prev => prev + 1);
+            } catch (error) {
+              console.error('❌ Error reposting:', error);
+              Alert.alert('Repost Failed', error.message);
+            }
+          }
+        },
+        {
+          text: 'Quote',
+          onPress: () => navigation.navigate('ComposeModal', {
+            selectedUser,
+            selectedUserData,
+            userWalletBalance,
+            quoteOf: post,
+            onPostCreate: handlePostCreate
+          })
+        }
+      ],
+      { cancelable: true }
+    );
+  };
+
   const handleLongPressMenu = (action) => {
     console.log('Long press menu action:', action);
     
@@ -254,14 +448,15 @@ export const HomeScreen = ({ navigation, isDarkMode = false }) => {
             isDarkMode={isDarkMode}
             maxPosts={50}  
             postsPerUser={10}  
-            onPostPress={(post) => {
-              console.log('Post pressed:', post.author);
-              // TODO: Navigate to post detail screen
-            }}
-            onAuthorPress={(author, publicKey) => {
-              console.log('Author pressed:', author);
-              // TODO: Navigate to user profile screen
-            }}
+            onPostPress={handlePostPress}
+            onReplyPress={handleReplyPress}
+            onReactPress={handleReactPress}
+            viewerPublicKey={selectedUser?.publicKey}
+            onAuthorPress={handleAuthorPress}
+            onMentionPress={handleMentionPress}
+            onTagPress={handleTagPress}
+            onRepostPress={handleRepostPress}
+            onRetractPress={handleRetractPress}
             onTopBarVisibilityChange={handleTopBarVisibilityChange}  
             style={{ 
               flex: 1,  // ✅ Take up all available space
@@ -302,4 +497,4 @@ export const HomeScreen = ({ navigation, isDarkMode = false }) => {
 
 export default HomeScreen;
 
-// Character count: 8,876
\ No newline at end of file
+// Character count: 16,250
\ No newline at end of file
@@ -17,7 +17,7 @@ import { useWallet } from '../hooks/useWallet';
 import { useUser } from '../hooks/useUser';
 import { usePublishing } from '../hooks/usePublishing'; 
 import { spacing } from '../styles/tokens';
-import { Keypair } from '@solana/web3.js';
+import { testIdentityProvider } from '../services/wallet/TestIdentityProvider';
 import { UserStorageService } from '../services/storage/UserStorageService';
 import { StoryHeaderService } from '../services/feed/StoryHeaderService';
 import { nuclearClearStories } from '../utils/NuclearClear';
@@ -26,6 +26,10 @@ import ContentServiceM from '../services/content/ContentService-M';
 import PublishingServiceM from '../services/publishing/PublishingService-M';
 import StoryViewerServiceM from '../services/story/StoryViewerService-M';
 import { HashingService } from '../services/hashing/HashingService';
+import { LAMPORTS_PER_SOL } from '@solana/web3.js';
+
+// Delay offered by the dry-run report's schedule option
+const SCHEDULE_DELAY_MS = 60 * 60 * 1000;
 
 export const PublishingScreen = ({ navigation, route }) => {
   // Use the wallet hook (keeping this as-is)
@@ -55,7 +59,12 @@ export const PublishingScreen = ({ navigation, route }) => {
     publishingStats,
     isLoadingContent,
     loadExistingContent,
-    publishToBlockchain
+    publishToBlockchain,
+    retractPublishedContent,
+    attentionSchedules,
+    scheduleStory,
+    retrySchedule,
+    dismissSchedule
   } = usePublishing(userWalletService);
 
   // User management via shared context  
@@ -91,6 +100,43 @@ export const PublishingScreen = ({ navigation, route }) => {
   });
 
 
+  // Show a dry-run report and resolve to 'publish', 'schedule' or 'cancel'
+  const confirmDryRun = (report) => {
+    const { totals, balance } = report.cost;
+    const lines = [
+      `Transactions: ${report.transactions} (${report.memos} memos)`,
+      `Estimated cost: ${totals.costSOL.toFixed(6)} SOL`,
+      report.sponsorship
+        ? `Sponsored: ${report.sponsorship.allowed ? 'yes' : 'quota exceeded'}`
+        : `Balance: ${(balance.lamports / LAMPORTS_PER_SOL).toFixed(6)} SOL${balance.sufficient ? '' : ' (insufficient)'}`,
+      `Manifest tree: ${report.manifestTree.isValid ? 'verified' : 'NOT verified'}`
+    ];
+
+    if (report.failures.length > 0) {
+      lines.push('', `${report.failures.length} chunk(s) would fail:`);
+      report.failures.slice(0, 5).forEach(failure =>
+        lines.push(`• ${failure.type} #${failure.index} (${failure.stage}): ${failure.error}`)
+      );
+      if (report.failures.length > 5) {
+        lines.push(`…and ${report.failures.length - 5} more`);
+      }
+    }
+
+    return new Promise((resolve) => {
+      const buttons = [{ text: 'Cancel', style: 'cancel', onPress: () => resolve('cancel') }];
+      if (report.ready) {
+        buttons.push({ text: 'In 1 Hour', onPress: () => resolve('schedule') });
+        buttons.push({ text: 'Publish', onPress: () => resolve('publish') });
+      }
+      Alert.alert(
+        report.ready ? 'Ready to Publish' : 'Dry Run Found Problems',
+        lines.join('\n'),
+        buttons,
+        { cancelable: true, onDismiss: () => resolve('cancel') }
+      );
+    });
+  };
+
   const handleMerklePublish = async () => {
   console.log('🚀 handleMerklePublish: Starting...');
   
@@ -128,21 +174,13 @@ export const PublishingScreen = ({ navigation, route }) => {
   }
   console.log('✅ handleMerklePublish: userWalletService exists');
 
-  // Get keypair from userWalletService
-  let keypair;
-  try {
-    keypair = userWalletService.getWalletKeypair();
-    if (!keypair) {
-      console.log('❌ handleMerklePublish: getWalletKeypair returned null');
-      Alert.alert('Wallet Error', 'Could not retrieve user keypair.');
-      return;
-    }
-    console.log('✅ handleMerklePublish: Got keypair:', keypair.publicKey.toString());
-  } catch (error) {
-    console.error('❌ handleMerklePublish: Error getting keypair:', error);
-    Alert.alert('Wallet Error', 'Failed to get keypair: ' + error.message);
+  // The wallet signs every transaction; make sure it is unlocked
+  if (!userWalletService.publicKey) {
+    console.log('❌ handleMerklePublish: Wallet is locked');
+    Alert.alert('Wallet Error', 'User wallet is locked.');
     return;
   }
+  console.log('✅ handleMerklePublish: Signing with:', userWalletService.publicKey.toString());
 
   // Check if already publishing
   if (publishing) {
@@ -183,6 +221,28 @@ export const PublishingScreen = ({ navigation, route }) => {
     }
   );
 
+  // Dry-run the whole publication and let the user confirm the report
+  console.log('🧪 handleMerklePublish: Dry-running publication...');
+  const report = await PublishingServiceM.dryRunPublishing(preparedContent, userWalletService);
+  const choice = await confirmDryRun(report);
+  if (choice === 'cancel') {
+    console.log('🛑 handleMerklePublish: Cancelled after dry run');
+    return;
+  }
+
+  if (choice === 'schedule') {
+    const publishAt = Date.now() + SCHEDULE_DELAY_MS;
+    const schedule = await scheduleStory(
+      { content: content.content, title: content.title || 'Untitled Story' },
+      publishAt,
+      { tags: ['test'], reGlyphCap: 1000 }
+    );
+    if (schedule) {
+      Alert.alert('Scheduled', `"${schedule.title}" will be published at ${new Date(publishAt).toLocaleTimeString()}, or the next time you open the app after that.`);
+    }
+    return;
+  }
+
   setIsMerklePublishing(true);
     const totalSteps =
       1 + (preparedContent.hashListChunks?.length || 0) + (preparedContent.contentChunks?.length || 0);
@@ -223,7 +283,7 @@ export const PublishingScreen = ({ navigation, route }) => {
     console.log('📡 handleMerklePublish: Calling PublishingServiceM.publishStory...');
     const result = await PublishingServiceM.publishStoryWithManifest(
     preparedContent,
-    keypair,  // Use the keypair from userWalletService
+    userWalletService,  // Wallet signs each transaction
     (update) => {
       console.log('📊 handleMerklePublish: Progress update:', update);
       // Update progress display
@@ -283,6 +343,7 @@ publishedItem.manifest = {
     chunks: contentTxIds.map((transactionId, index) => ({
       index: index,
       transactionId: transactionId,
+      instruction: result.glyphLocations?.[index]?.instruction ?? 0, // memo position in packed transactions
       hash: contentChunkHashes[index] || '' // Get hash from computed hashes
     })),
     totalChunks: contentCount // must equal chunks.length
@@ -304,6 +365,7 @@ await UserStorageService.savePublishedStory(publishedItem, selectedUser.publicKe
       chunks: contentTxIds.map((transactionId, index) => ({
         index: index,
         transactionId: transactionId,
+        instruction: result.glyphLocations?.[index]?.instruction ?? 0,
         hash: contentChunkHashes[index] || ''
       })),
       totalChunks: publishedItem.glyphCount
@@ -419,26 +481,13 @@ const handleMerkleVerify = async () => {
       try {
         console.log('🔧 Setting up user wallet for publishing:', selectedUser.username);
         
-        // Import user keys (you'll need this - same as ComposerModal)
-        const userKeys = require('../data/user-keys.json');
-        
-        // Create user wallet object
-        const userWallet = {
-          getWalletKeypair: () => {
-            const privateKeyArray = userKeys[selectedUser.username];
-            if (!privateKeyArray) {
-              throw new Error(`No private key found for user: ${selectedUser.username}`);
-            }
-            const keypair = Keypair.fromSecretKey(new Uint8Array(privateKeyArray));
-            return keypair;
-          },
-          getWalletPublicKey: () => {
-            return selectedUser.publicKey;
-          },
-          getBalance: async () => {
-            return { available: userWalletBalance, currency: 'SOL' };
-          }
-        };
+        // Resolve a wallet that can sign for this user (personal wallet or dev test identity)
+        const userWallet = await testIdentityProvider.resolveWalletForUser(selectedUser, walletService);
+        if (!userWallet) {
+          console.warn('⚠️ No signing wallet available for:', selectedUser.username);
+          setUserWalletService(null);
+          return;
+        }
         
         setUserWalletService(userWallet);
         console.log('✅ User wallet service ready for:', selectedUser.username);
@@ -452,7 +501,7 @@ const handleMerkleVerify = async () => {
   };
   
   setupUserWallet();
-}, [selectedUser, userWalletBalance]);
+}, [selectedUser, walletService]);
 
 // Set user wallet on publishing service when userWalletService changes
 useEffect(() => {
@@ -532,10 +581,8 @@ useEffect(() => {
         return;
       }
       
-      // Get wallet keypair
-      const keypair = userWalletService.getWalletKeypair();
-      if (!keypair) {
-        Alert.alert('Error', 'Failed to access wallet');
+      if (!userWalletService.publicKey) {
+        Alert.alert('Error', 'Wallet is locked');
         return;
       }
       
@@ -548,7 +595,7 @@ useEffect(() => {
       // Use the hook's publishToBlockchain method
       const result = await publishToBlockchain(
         preparedContent, 
-        keypair, 
+        userWalletService, 
         onProgress,
         selectedUser?.publicKey
       );
@@ -666,6 +713,22 @@ const handleViewStory = async (item) => {
 };
 
 
+  // Retract a published story on chain (readers hide it)
+  const handleRetractStory = (item) => {
+    Alert.alert(
+      'Retract Story',
+      `Readers will no longer see "${item.title || 'Untitled Story'}". It stays on chain, marked as retracted.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Retract',
+          style: 'destructive',
+          onPress: () => retractPublishedContent(item.contentId)
+        }
+      ]
+    );
+  };
+
   // Clear published data (for testing)
   const handleClearPublished = async () => {
     Alert.alert(
@@ -812,10 +875,14 @@ const handleViewStory = async (item) => {
               </View>
             )}
           
-          {(publishing || isMerklePublishing) && (
+          {(publishing || isMerklePublishing || attentionSchedules.length > 0) && (
             <PublishingStatusIndicator 
               progress={progress}   // we standardize this below
               isDarkMode={false}
+              showProgress={publishing || isMerklePublishing}
+              schedules={attentionSchedules}
+              onRetrySchedule={retrySchedule}
+              onDismissSchedule={dismissSchedule}
             />
           )}
           
@@ -834,6 +901,7 @@ const handleViewStory = async (item) => {
             publishing={publishing}
             handleResumePublishing={handleResumePublishing}
             handleViewStory={handleViewStory}
+            handleRetractStory={handleRetractStory}
           />
 
 
@@ -1257,4 +1325,4 @@ const handleViewStory = async (item) => {
 
 export default PublishingScreen;
 
-// Character count: 10,847
\ No newline at end of file
+// Character count: 50,566
\ No newline at end of file
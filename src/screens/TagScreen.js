@@ -0,0 +1,202 @@
+// src/screens/TagScreen.js
+// Path: src/screens/TagScreen.js
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  TouchableOpacity,
+  RefreshControl,
+  ActivityIndicator,
+  SafeAreaView,
+  StatusBar
+} from 'react-native';
+import { ArrowLeft } from 'lucide-react-native';
+import { FeedItem } from '../components/feed/FeedItem';
+import { ErrorBoundary } from '../components/shared';
+import { feedService } from '../services/feed/FeedService';
+import { HashtagIndexStorage } from '../services/storage/content/HashtagIndexStorage';
+import { spacing, colors, typography } from '../styles/tokens';
+
+/**
+ * TagScreen
+ *
+ * Browses the local hashtag index (see HashtagIndexStorage): with a tag,
+ * the posts this device has seen carrying it, newest first; without one,
+ * every known tag, most used first. Hashtags in the posts open the same
+ * screen for that tag.
+ *
+ * Route params:
+ * - tag: Tag to show, without '#' (optional)
+ */
+export const TagScreen = ({ navigation, route }) => {
+  const { tag = null } = route.params || {};
+
+  const [items, setItems] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Load the tag's posts, or the list of tags
+   */
+  const loadItems = useCallback(async () => {
+    try {
+      setError(null);
+      const result = tag
+        ? await feedService.getPostsForTag(tag)
+        : await HashtagIndexStorage.getTags();
+      setItems(result);
+    } catch (loadError) {
+      console.error('❌ Error loading hashtag:', loadError);
+      setError(loadError.message || 'Failed to load hashtag');
+    }
+  }, [tag]);
+
+  useEffect(() => {
+    const initialLoad = async () => {
+      setIsLoading(true);
+      await loadItems();
+      setIsLoading(false);
+    };
+
+    initialLoad();
+  }, [loadItems]);
+
+  /**
+   * Handle pull-to-refresh
+   */
+  const handleRefresh = useCallback(async () => {
+    setIsRefreshing(true);
+    await loadItems();
+    setIsRefreshing(false);
+  }, [loadItems]);
+
+  /**
+   * Browse another hashtag
+   */
+  const handleTagPress = useCallback((nextTag) => {
+    if (nextTag !== tag) {
+      navigation.push('Tag', { tag: nextTag });
+    }
+  }, [navigation, tag]);
+
+  const renderPost = ({ item }) => (
+    <FeedItem
+      post={item}
+      onTagPress={handleTagPress}
+    />
+  );
+
+  const renderTag = ({ item }) => (
+    <TouchableOpacity
+      onPress={() => handleTagPress(item.tag)}
+      style={{
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        padding: spacing.medium,
+        borderBottomWidth: 0.5,
+        borderBottomColor: colors.border
+      }}
+    >
+      <Text style={{ color: '#3b82f6', fontSize: typography.fontSize.medium, fontWeight: typography.fontWeight.medium }}>
+        #{item.tag}
+      </Text>
+      <Text style={{ color: colors.textSecondary, fontSize: typography.fontSize.small }}>
+        {item.count === 1 ? '1 post' : `${item.count} posts`}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  const renderBody = () => {
+    if (isLoading) {
+      return (
+        <View style={{ flex: 1, justifyContent: 'center', alignItems: 'center' }}>
+          <ActivityIndicator size="large" color="#3b82f6" />
+        </View>
+      );
+    }
+
+    if (error) {
+      return (
+        <View style={{ flex: 1, justifyContent: 'center', alignItems: 'center', padding: spacing.xlarge }}>
+          <Text style={{ color: colors.text, fontSize: typography.fontSize.large, marginBottom: spacing.small }}>
+            Can't Load Hashtag
+          </Text>
+          <Text style={{ color: colors.textSecondary, fontSize: typography.fontSize.medium, textAlign: 'center' }}>
+            {error}
+          </Text>
+        </View>
+      );
+    }
+
+    return (
+      <FlatList
+        data={items}
+        renderItem={tag ? renderPost : renderTag}
+        keyExtractor={item => tag ? item.transactionHash : item.tag}
+        refreshControl={
+          <RefreshControl
+            refreshing={isRefreshing}
+            onRefresh={handleRefresh}
+            colors={['#3b82f6']}
+            tintColor="#3b82f6"
+          />
+        }
+        ListEmptyComponent={
+          <Text style={{
+            textAlign: 'center',
+            color: colors.textSecondary,
+            fontSize: typography.fontSize.medium,
+            padding: spacing.xlarge
+          }}>
+            {tag
+              ? `No posts with #${tag} seen on this device yet`
+              : 'No hashtags seen on this device yet'}
+          </Text>
+        }
+        contentContainerStyle={{ padding: spacing.small }}
+      />
+    );
+  };
+
+  return (
+    <ErrorBoundary onFallbackPress={() => navigation.goBack()}>
+      <SafeAreaView style={{ flex: 1, backgroundColor: colors.background }}>
+        <StatusBar barStyle="dark-content" backgroundColor={colors.background} />
+
+        {/* Header */}
+        <View style={{
+          flexDirection: 'row',
+          alignItems: 'center',
+          paddingHorizontal: spacing.medium,
+          paddingVertical: spacing.small,
+          borderBottomWidth: 0.5,
+          borderBottomColor: colors.border
+        }}>
+          <TouchableOpacity
+            onPress={() => navigation.goBack()}
+            style={{ padding: spacing.small, marginLeft: -spacing.small }}
+          >
+            <ArrowLeft size={22} color={colors.text} />
+          </TouchableOpacity>
+          <Text style={{
+            marginLeft: spacing.small,
+            color: colors.text,
+            fontSize: typography.fontSize.large,
+            fontWeight: typography.fontWeight.bold
+          }}>
+            {tag ? `#${tag}` : 'Hashtags'}
+          </Text>
+        </View>
+
+        {renderBody()}
+      </SafeAreaView>
+    </ErrorBoundary>
+  );
+};
+
+export default TagScreen;
+
+// Character count: 5826
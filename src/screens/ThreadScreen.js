@@ -0,0 +1,268 @@
+// src/screens/ThreadScreen.js
+// Path: src/screens/ThreadScreen.js
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  TouchableOpacity,
+  RefreshControl,
+  ActivityIndicator,
+  SafeAreaView,
+  StatusBar
+} from 'react-native';
+import { ArrowLeft } from 'lucide-react-native';
+import { FeedItem } from '../components/feed/FeedItem';
+import { ErrorBoundary } from '../components/shared';
+import { threadService } from '../services/feed/ThreadService';
+import { spacing, colors, typography } from '../styles/tokens';
+
+// Replies deeper than this are drawn at this indent
+const MAX_INDENT_DEPTH = 4;
+
+/**
+ * ThreadScreen
+ *
+ * Shows the conversation a post belongs to: the thread's root post and its
+ * replies, indented by depth, with the post that was opened highlighted.
+ * Replying opens ComposeModal with the post to reply to; the thread reloads
+ * when the reply is published. Hashtags open TagScreen.
+ *
+ * Route params:
+ * - post: Post that was opened (root or reply)
+ * - selectedUser, selectedUserData, userWalletBalance: Passed on to ComposeModal
+ * - onPostCreate: Parent callback, called after a reply is published
+ */
+export const ThreadScreen = ({ navigation, route }) => {
+  const {
+    post,
+    selectedUser,
+    selectedUserData,
+    userWalletBalance,
+    onPostCreate
+  } = route.params || {};
+
+  const [thread, setThread] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Load the thread from the post index
+   */
+  const loadThread = useCallback(async (useCache = true) => {
+    if (!post) return;
+
+    try {
+      setError(null);
+      const result = await threadService.buildThread(post, { useCache });
+      setThread(result);
+    } catch (loadError) {
+      console.error('❌ Error loading thread:', loadError);
+      setError(loadError.message || 'Failed to load thread');
+    }
+  }, [post]);
+
+  useEffect(() => {
+    const initialLoad = async () => {
+      setIsLoading(true);
+      await loadThread(true);
+      setIsLoading(false);
+    };
+
+    initialLoad();
+  }, [loadThread]);
+
+  /**
+   * Handle pull-to-refresh
+   */
+  const handleRefresh = useCallback(async () => {
+    setIsRefreshing(true);
+    await loadThread(false);
+    setIsRefreshing(false);
+  }, [loadThread]);
+
+  /**
+   * Open the composer to reply to a post of the thread
+   */
+  const handleReplyPress = useCallback((replyTo) => {
+    if (!selectedUser) {
+      console.log('❌ Cannot reply - no selectedUser');
+      return;
+    }
+
+    navigation.navigate('ComposeModal', {
+      selectedUser,
+      selectedUserData,
+      userWalletBalance,
+      replyTo,
+      onPostCreate: async (result) => {
+        if (result.success) {
+          threadService.clearCache();
+          await loadThread(false);
+        }
+        if (onPostCreate) {
+          onPostCreate(result);
+        }
+      }
+    });
+  }, [navigation, selectedUser, selectedUserData, userWalletBalance, onPostCreate, loadThread]);
+
+  // Root first, then replies in reading order
+  const entries = thread
+    ? [
+      { post: thread.root, depth: 0, parentMissing: false },
+      ...threadService.flattenThread(thread.replies)
+    ]
+    : [];
+
+  /**
+   * Browse the posts of a hashtag
+   */
+  const handleTagPress = useCallback((tag) => {
+    navigation.navigate('Tag', { tag });
+  }, [navigation]);
+
+  /**
+   * Render a post of the thread, indented by its depth
+   */
+  const renderEntry = ({ item }) => {
+    const indent = Math.min(item.depth, MAX_INDENT_DEPTH) * spacing.medium;
+
+    if (!item.post) {
+      return (
+        <View style={{ padding: spacing.medium, marginBottom: spacing.small }}>
+          <Text style={{ fontSize: typography.fontSize.medium, color: colors.textSecondary, fontStyle: 'italic' }}>
+            This post was retracted or could not be read.
+          </Text>
+        </View>
+      );
+    }
+
+    const isFocused = item.post.transactionHash === post.transactionHash;
+    return (
+      <View style={{
+        marginLeft: indent,
+        borderLeftWidth: item.depth > 0 ? 2 : 0,
+        borderLeftColor: isFocused ? '#3b82f6' : colors.border,
+        paddingLeft: item.depth > 0 ? spacing.small : 0
+      }}>
+        {item.parentMissing && (
+          <Text style={{ fontSize: typography.fontSize.small, color: colors.textSecondary, marginBottom: spacing.tiny }}>
+            Replying to a post that is no longer shown
+          </Text>
+        )}
+        <FeedItem
+          post={item.post}
+          onReplyPress={selectedUser ? handleReplyPress : null}
+          onTagPress={handleTagPress}
+        />
+      </View>
+    );
+  };
+
+  const keyExtractor = (item, index) => item.post?.transactionHash || `missing-${index}`;
+
+  const renderBody = () => {
+    if (!post) {
+      return (
+        <View style={{ flex: 1, justifyContent: 'center', alignItems: 'center' }}>
+          <Text style={{ color: colors.text, fontSize: typography.fontSize.large }}>
+            No post selected
+          </Text>
+        </View>
+      );
+    }
+
+    if (isLoading) {
+      return (
+        <View style={{ flex: 1, justifyContent: 'center', alignItems: 'center' }}>
+          <ActivityIndicator size="large" color="#3b82f6" />
+          <Text style={{ marginTop: spacing.medium, color: colors.textSecondary, fontSize: typography.fontSize.medium }}>
+            Loading conversation...
+          </Text>
+        </View>
+      );
+    }
+
+    if (error) {
+      return (
+        <View style={{ flex: 1, justifyContent: 'center', alignItems: 'center', padding: spacing.xlarge }}>
+          <Text style={{ color: colors.text, fontSize: typography.fontSize.large, marginBottom: spacing.small }}>
+            Can't Load Thread
+          </Text>
+          <Text style={{ color: colors.textSecondary, fontSize: typography.fontSize.medium, textAlign: 'center' }}>
+            {error}
+          </Text>
+        </View>
+      );
+    }
+
+    return (
+      <FlatList
+        data={entries}
+        renderItem={renderEntry}
+        keyExtractor={keyExtractor}
+        refreshControl={
+          <RefreshControl
+            refreshing={isRefreshing}
+            onRefresh={handleRefresh}
+            colors={['#3b82f6']}
+            tintColor="#3b82f6"
+          />
+        }
+        ListFooterComponent={
+          <Text style={{
+            textAlign: 'center',
+            color: colors.textSecondary,
+            fontSize: typography.fontSize.small,
+            paddingVertical: spacing.medium
+          }}>
+            {thread.replyCount === 1 ? '1 reply' : `${thread.replyCount} replies`}
+          </Text>
+        }
+        contentContainerStyle={{ padding: spacing.small }}
+      />
+    );
+  };
+
+  return (
+    <ErrorBoundary onFallbackPress={() => navigation.goBack()}>
+      <SafeAreaView style={{ flex: 1, backgroundColor: colors.background }}>
+        <StatusBar barStyle="dark-content" backgroundColor={colors.background} />
+
+        {/* Header */}
+        <View style={{
+          flexDirection: 'row',
+          alignItems: 'center',
+          paddingHorizontal: spacing.medium,
+          paddingVertical: spacing.small,
+          borderBottomWidth: 0.5,
+          borderBottomColor: colors.border
+        }}>
+          <TouchableOpacity
+            onPress={() => navigation.goBack()}
+            style={{ padding: spacing.small, marginLeft: -spacing.small }}
+          >
+            <ArrowLeft size={22} color={colors.text} />
+          </TouchableOpacity>
+          <Text style={{
+            marginLeft: spacing.small,
+            color: colors.text,
+            fontSize: typography.fontSize.large,
+            fontWeight: typography.fontWeight.bold
+          }}>
+            Thread
+          </Text>
+        </View>
+
+        {renderBody()}
+      </SafeAreaView>
+    </ErrorBoundary>
+  );
+};
+
+export default ThreadScreen;
+
+// Character count: 7885
@@ -0,0 +1,340 @@
+// src/screens/auth/SeedPhraseScreen.js
+// Path: src/screens/auth/SeedPhraseScreen.js
+import React, { useMemo, useState } from 'react';
+import { View, Text, ScrollView, StyleSheet, Alert } from 'react-native';
+import { ScreenContainer, Card, Button, TextInput, PasswordInput } from '../../components/shared';
+import { MobileWalletService } from '../../services/wallet/MobileWalletService';
+import { SeedPhraseService } from '../../services/wallet/SeedPhraseService';
+import { spacing, typography, getColors } from '../../styles/tokens';
+
+// Number of words the user must re-enter to confirm their backup
+const CONFIRM_WORD_COUNT = 3;
+
+/**
+ * Pick distinct random word positions for backup confirmation
+ * @param {number} wordCount - Number of words in the phrase
+ * @returns {Array<number>} Sorted zero-based positions
+ */
+const pickConfirmPositions = (wordCount) => {
+  const positions = new Set();
+  while (positions.size < CONFIRM_WORD_COUNT) {
+    positions.add(Math.floor(Math.random() * wordCount));
+  }
+  return [...positions].sort((a, b) => a - b);
+};
+
+/**
+ * SeedPhraseScreen
+ * Creates a new seed-phrase wallet (with backup + confirmation) or restores one
+ *
+ * Route params:
+ * - mode: 'create' (default) or 'restore'
+ * - isDarkMode: optional theme flag
+ */
+export const SeedPhraseScreen = ({ route, navigation }) => {
+  const { mode = 'create', isDarkMode = false } = route?.params || {};
+  const themeColors = getColors(isDarkMode);
+
+  // Step: 'setup' → (create) 'backup' → 'confirm'
+  const [step, setStep] = useState('setup');
+  const [wordCount, setWordCount] = useState(12);
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [passphrase, setPassphrase] = useState('');
+  const [restorePhrase, setRestorePhrase] = useState('');
+  const [mnemonic, setMnemonic] = useState(null);
+  const [confirmInputs, setConfirmInputs] = useState({});
+  const [isWorking, setIsWorking] = useState(false);
+
+  const words = useMemo(() => (mnemonic ? mnemonic.split(' ') : []), [mnemonic]);
+  const confirmPositions = useMemo(() => (words.length ? pickConfirmPositions(words.length) : []), [words]);
+  const invalidWords = useMemo(() => SeedPhraseService.findInvalidWords(restorePhrase), [restorePhrase]);
+
+  /**
+   * Validate the password fields
+   * @returns {boolean} True if valid
+   */
+  const validatePassword = () => {
+    if (password.length < 6) {
+      Alert.alert('Error', 'Password must be at least 6 characters long');
+      return false;
+    }
+    if (password !== confirmPassword) {
+      Alert.alert('Error', 'Passwords do not match');
+      return false;
+    }
+    return true;
+  };
+
+  /**
+   * Create a new wallet and move to the backup step
+   */
+  const handleCreate = async () => {
+    if (!validatePassword()) return;
+
+    setIsWorking(true);
+    try {
+      const walletService = new MobileWalletService();
+      const result = await walletService.create({ password, passphrase, wordCount });
+      setMnemonic(result.mnemonic);
+      setStep('backup');
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  /**
+   * Restore a wallet from the entered phrase
+   */
+  const handleRestore = async () => {
+    if (!SeedPhraseService.isValid(restorePhrase)) {
+      Alert.alert('Invalid Seed Phrase', 'Check that all words are spelled correctly and in order.');
+      return;
+    }
+    if (!validatePassword()) return;
+
+    setIsWorking(true);
+    try {
+      const walletService = new MobileWalletService();
+      const walletInfo = await walletService.restore({ mnemonic: restorePhrase, password, passphrase });
+      Alert.alert('Wallet Restored', `Restored ${walletInfo.publicKey.slice(0, 8)}...`, [
+        { text: 'OK', onPress: () => navigation.goBack() }
+      ]);
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  /**
+   * Check the re-entered words against the phrase
+   */
+  const handleConfirm = () => {
+    const allMatch = confirmPositions.every(
+      position => (confirmInputs[position] || '').trim().toLowerCase() === words[position]
+    );
+
+    if (!allMatch) {
+      Alert.alert('Not Quite', 'One or more words do not match. Check your backup and try again.');
+      return;
+    }
+
+    setMnemonic(null);
+    Alert.alert('Backup Confirmed', 'Your seed phrase is the only way to recover this wallet. Keep it safe.', [
+      { text: 'Done', onPress: () => navigation.goBack() }
+    ]);
+  };
+
+  const textStyle = { color: themeColors.text };
+  const secondaryTextStyle = { color: themeColors.textSecondary };
+
+  /**
+   * Password + optional passphrase fields shared by both modes
+   */
+  const renderPasswordFields = () => (
+    <>
+      <PasswordInput
+        placeholder="Wallet password"
+        value={password}
+        onChangeText={setPassword}
+        style={styles.field}
+        isDarkMode={isDarkMode}
+      />
+      <PasswordInput
+        placeholder="Confirm wallet password"
+        value={confirmPassword}
+        onChangeText={setConfirmPassword}
+        style={styles.field}
+        isDarkMode={isDarkMode}
+      />
+      <PasswordInput
+        placeholder="Optional passphrase (advanced)"
+        value={passphrase}
+        onChangeText={setPassphrase}
+        style={styles.field}
+        isDarkMode={isDarkMode}
+      />
+      <Text style={[styles.helperText, secondaryTextStyle]}>
+        A passphrase creates a different wallet from the same words. If you set one, you will need it to restore.
+      </Text>
+    </>
+  );
+
+  const renderCreateSetup = () => (
+    <Card isDarkMode={isDarkMode}>
+      <Text style={[styles.title, textStyle]}>Create Wallet</Text>
+      <Text style={[styles.helperText, secondaryTextStyle]}>
+        Your wallet will be backed up by a seed phrase that works with any Solana wallet.
+      </Text>
+      <View style={styles.row}>
+        {[12, 24].map(count => (
+          <Button
+            key={count}
+            title={`${count} words`}
+            variant={wordCount === count ? 'primary' : 'secondary'}
+            size="small"
+            onPress={() => setWordCount(count)}
+            isDarkMode={isDarkMode}
+            style={styles.rowButton}
+          />
+        ))}
+      </View>
+      {renderPasswordFields()}
+      <Button
+        title="Create Wallet"
+        onPress={handleCreate}
+        loading={isWorking}
+        disabled={isWorking}
+        isDarkMode={isDarkMode}
+      />
+    </Card>
+  );
+
+  const renderRestoreSetup = () => (
+    <Card isDarkMode={isDarkMode}>
+      <Text style={[styles.title, textStyle]}>Restore Wallet</Text>
+      <TextInput
+        placeholder="Enter your 12 or 24 word seed phrase"
+        value={restorePhrase}
+        onChangeText={setRestorePhrase}
+        multiline={true}
+        numberOfLines={4}
+        autoCapitalize="none"
+        autoCorrect={false}
+        state={invalidWords.length ? 'error' : 'normal'}
+        style={styles.field}
+        isDarkMode={isDarkMode}
+      />
+      {invalidWords.length > 0 && (
+        <Text style={[styles.helperText, { color: themeColors.error }]}>
+          Unknown words: {invalidWords.join(', ')}
+        </Text>
+      )}
+      {renderPasswordFields()}
+      <Button
+        title="Restore Wallet"
+        onPress={handleRestore}
+        loading={isWorking}
+        disabled={isWorking}
+        isDarkMode={isDarkMode}
+      />
+    </Card>
+  );
+
+  const renderBackup = () => (
+    <Card isDarkMode={isDarkMode}>
+      <Text style={[styles.title, textStyle]}>Write Down Your Seed Phrase</Text>
+      <Text style={[styles.helperText, secondaryTextStyle]}>
+        Anyone with these words can take your wallet. Never share them or store them in a screenshot.
+      </Text>
+      <View style={styles.wordGrid}>
+        {words.map((word, index) => (
+          <View key={index} style={[styles.wordCell, { borderColor: themeColors.border }]}>
+            <Text style={[styles.wordText, textStyle]}>{index + 1}. {word}</Text>
+          </View>
+        ))}
+      </View>
+      <Button
+        title="I've Written It Down"
+        onPress={() => setStep('confirm')}
+        isDarkMode={isDarkMode}
+      />
+    </Card>
+  );
+
+  const renderConfirm = () => (
+    <Card isDarkMode={isDarkMode}>
+      <Text style={[styles.title, textStyle]}>Confirm Your Backup</Text>
+      {confirmPositions.map(position => (
+        <TextInput
+          key={position}
+          placeholder={`Word #${position + 1}`}
+          value={confirmInputs[position] || ''}
+          onChangeText={text => setConfirmInputs(prev => ({ ...prev, [position]: text }))}
+          autoCapitalize="none"
+          autoCorrect={false}
+          style={styles.field}
+          isDarkMode={isDarkMode}
+        />
+      ))}
+      <Button title="Confirm" onPress={handleConfirm} isDarkMode={isDarkMode} />
+      <Button
+        title="Show Words Again"
+        variant="secondary"
+        onPress={() => setStep('backup')}
+        isDarkMode={isDarkMode}
+        style={styles.secondaryButton}
+      />
+    </Card>
+  );
+
+  const renderStep = () => {
+    if (mode === 'restore') return renderRestoreSetup();
+    if (step === 'backup') return renderBackup();
+    if (step === 'confirm') return renderConfirm();
+    return renderCreateSetup();
+  };
+
+  return (
+    <ScreenContainer isDarkMode={isDarkMode}>
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        {renderStep()}
+      </ScrollView>
+    </ScreenContainer>
+  );
+};
+
+const styles = StyleSheet.create({
+  content: {
+    padding: spacing.medium,
+  },
+  title: {
+    fontSize: typography.fontSize.large,
+    fontFamily: typography.fontFamilyBold,
+    marginBottom: spacing.small,
+  },
+  helperText: {
+    fontSize: typography.fontSize.small,
+    fontFamily: typography.fontFamily,
+    lineHeight: 18,
+    marginBottom: spacing.medium,
+  },
+  field: {
+    marginBottom: spacing.medium,
+  },
+  row: {
+    flexDirection: 'row',
+    marginBottom: spacing.medium,
+  },
+  rowButton: {
+    marginRight: spacing.small,
+  },
+  wordGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: spacing.medium,
+  },
+  wordCell: {
+    width: '31%',
+    marginRight: '2%',
+    marginBottom: spacing.small,
+    paddingVertical: spacing.small,
+    paddingHorizontal: spacing.tiny,
+    borderWidth: 1,
+    borderRadius: 6,
+  },
+  wordText: {
+    fontSize: typography.fontSize.medium,
+    fontFamily: typography.fontFamily,
+  },
+  secondaryButton: {
+    marginTop: spacing.small,
+  },
+});
+
+export default SeedPhraseScreen;
+
+// Character count: 10566
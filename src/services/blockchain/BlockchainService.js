@@ -15,6 +15,9 @@ export class BlockchainService {
       solana: new SolanaPublisher()
     };
     this.defaultPublisher = 'solana'; // For now, default to Solana
+
+    // Expose every signature's confirmation state through the status manager
+    this.statusManager.attachConfirmationTracker(this.publishers.solana.confirmations);
   }
 
   /**
@@ -34,26 +37,26 @@ export class BlockchainService {
    * Publish prepared content to blockchain with enhanced error handling and scroll creation
    * Maintains exact same interface as original BlockChainPublisher.publishContent
    * @param {Object} content - Prepared content object
-   * @param {Object} keypair - Wallet keypair for signing
+   * @param {TransactionSigner} signer - Wallet that signs the transactions (BaseWallet or KeypairSigner)
    * @param {Function} onProgress - Progress callback
    * @param {string} blockchain - Blockchain type (optional, defaults to Solana)
    * @returns {Promise<Object>} Publishing result with scroll information
    */
-  async publishContent(content, keypair, onProgress = null, blockchain = this.defaultPublisher, userPublicKey = null) {
+  async publishContent(content, signer, onProgress = null, blockchain = this.defaultPublisher, userPublicKey = null) {
     try {
       if (!content || !content.glyphs || content.glyphs.length === 0) {
         throw new Error('Blockchain Services: No valid content to publish');
       }
 
-      if (!keypair) {
-        throw new Error('Blockchain Services: No wallet keypair provided');
+      if (!signer) {
+        throw new Error('Blockchain Services: No wallet signer provided');
       }
 
       const publisher = this.getPublisher(blockchain);
       
       // Delegate to the specific blockchain publisher
       // The publisher handles its own status management through the shared manager
-      return await publisher.publishContent(content, keypair, onProgress, userPublicKey);
+      return await publisher.publishContent(content, signer, onProgress, userPublicKey);
       
     } catch (error) {
       console.error('❌ BlockchainServices publishing error:', error);
@@ -71,23 +74,23 @@ export class BlockchainService {
    * Resume publishing from a failed or partial state
    * Maintains exact same interface as original BlockChainPublisher.resumePublishing
    * @param {string} contentId - Content ID to resume
-   * @param {Object} keypair - Wallet keypair for signing
+   * @param {TransactionSigner} signer - Wallet that signs the transactions (BaseWallet or KeypairSigner)
    * @param {Function} onProgress - Progress callback
    * @param {string} blockchain - Blockchain type (optional, defaults to Solana)
    * @returns {Promise<Object>} Publishing result
    */
-  async resumePublishing(contentId, keypair, onProgress = null, blockchain = this.defaultPublisher, userPublicKey = null) {
+  async resumePublishing(contentId, signer, onProgress = null, blockchain = this.defaultPublisher, userPublicKey = null) {
     try {
       console.log(`🔄 BlockchainServices resuming publication of content: ${contentId}`);
       
-      if (!keypair) {
-        throw new Error('No wallet keypair provided');
+      if (!signer) {
+        throw new Error('No wallet signer provided');
       }
 
       const publisher = this.getPublisher(blockchain);
       
       // Delegate to the specific blockchain publisher
-      return await publisher.resumePublishing(contentId, keypair, onProgress, userPublicKey);
+      return await publisher.resumePublishing(contentId, signer, onProgress, userPublicKey);
       
     } catch (error) {
       console.error('❌ BlockchainServices resume error:', error);
@@ -111,6 +114,15 @@ export class BlockchainService {
     return this.statusManager.getPublishingStatus(contentId);
   }
 
+  /**
+   * Get the confirmation state of a sent transaction
+   * @param {string} signature - Transaction signature
+   * @returns {Object|null} { signature, status, slot, context, ... } or null if never tracked
+   */
+  getSignatureStatus(signature) {
+    return this.statusManager.getSignatureStatus(signature);
+  }
+
   /**
    * Cancel an active publishing operation
    * Maintains exact same interface as original BlockChainPublisher.cancelPublishing
@@ -287,4 +299,4 @@ export const blockchainServices = new BlockchainService();
 // Also export the class for testing or multiple instances if needed
 export default BlockchainService;
 
-// Character count: 8,249
\ No newline at end of file
+// Character count: 10,330
\ No newline at end of file
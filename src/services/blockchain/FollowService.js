@@ -0,0 +1,273 @@
+// src/services/blockchain/FollowService.js
+// Path: src/services/blockchain/FollowService.js
+
+import { SolanaMemoBuilder } from './solana/utils/SolanaMemoBuilder';
+import { Follow } from './shared/models/Follow';
+import { connectionProvider } from './shared/ConnectionProvider';
+import { FollowStorage } from '../storage/content/FollowStorage';
+import { DomainMerkle } from '../merkle/DomainMerkle';
+import { UserGraphService, userGraphService } from '../graph/UserGraphService';
+import { GraphLane } from '../graph/GraphLanes';
+import userRegistry from '../../data/user-registry.json';
+
+/**
+ * Service for following accounts
+ *
+ * Following and unfollowing publish a signed memo (see Follow) and mirror
+ * the record in FollowStorage, so this device knows who its users follow
+ * without waiting for a scan.
+ *
+ * Reading: the follower's transactions are scanned for follow memos (see
+ * SolanaMemoBuilder.scanSignerMemos), and follows in transactions the
+ * follower signed are cached per follower for CACHE_DURATION, then merged
+ * with the local mirror (newest record wins).
+ *
+ * Nothing on chain points from an account to its followers, so followers
+ * are only found among candidate accounts whose follows are read.
+ */
+export class FollowService {
+  /**
+   * @param {Object} [connection] - Optional connection override (defaults to ConnectionProvider)
+   */
+  constructor(connection = null) {
+    this._connection = connection;
+    this.memoBuilder = new SolanaMemoBuilder(connection);
+
+    // followerPublicKey -> { records: Map<targetPublicKey, Object>, timestamp }
+    this.followCache = new Map();
+    this.CACHE_DURATION = 30000; // 30 seconds cache
+  }
+
+  /**
+   * Active Solana connection (injected or from ConnectionProvider)
+   * @returns {Connection} Connection instance
+   */
+  get connection() {
+    return this._connection || connectionProvider.getConnection();
+  }
+
+  /**
+   * Follow an account
+   * @param {string} targetPublicKey - Account to follow
+   * @param {TransactionSigner} followerSigner - Signer of the account following
+   * @param {Object} [options] - Follow options
+   * @param {Object} [options.user] - Registry user whose FOLLOWS lane should record the follow
+   * @returns {Promise<Object>} { transactionHash, follow, followItem }
+   */
+  async follow(targetPublicKey, followerSigner, { user = null } = {}) {
+    return await this._publishFollow(targetPublicKey, false, followerSigner, user);
+  }
+
+  /**
+   * Unfollow an account
+   * @param {string} targetPublicKey - Account to unfollow
+   * @param {TransactionSigner} followerSigner - Signer of the account unfollowing
+   * @returns {Promise<Object>} { transactionHash, follow, followItem: null }
+   */
+  async unfollow(targetPublicKey, followerSigner) {
+    return await this._publishFollow(targetPublicKey, true, followerSigner, null);
+  }
+
+  /**
+   * Every follow record of a follower (unfollows included), from chain and the local mirror
+   * @param {string} followerPublicKey - Following account
+   * @param {Object} [options] - Read options
+   * @param {boolean} [options.refresh=false] - Ignore the cache and rescan
+   * @returns {Promise<Map<string, Object>>} targetPublicKey -> { target, ts, removed, transactionHash }
+   */
+  async getFollowRecords(followerPublicKey, { refresh = false } = {}) {
+    const cached = this.followCache.get(followerPublicKey);
+    let records;
+    if (!refresh && cached && Date.now() - cached.timestamp < this.CACHE_DURATION) {
+      records = cached.records;
+    } else {
+      records = await this._scanFollows(followerPublicKey);
+      this.followCache.set(followerPublicKey, { records, timestamp: Date.now() });
+    }
+
+    // The mirror saw this device's follows in the order they were made, so it wins ties
+    const merged = new Map(records);
+    const local = await FollowStorage.getFollowRecords(followerPublicKey);
+    for (const [target, record] of Object.entries(local)) {
+      if (!merged.has(target) || record.ts >= merged.get(target).ts) {
+        merged.set(target, { target, ...record });
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Accounts a follower follows, most recently followed first
+   * @param {string} followerPublicKey - Following account
+   * @param {Object} [options] - Read options
+   * @param {boolean} [options.refresh=false] - Ignore the cache and rescan
+   * @returns {Promise<Array<string>>} Followed public keys
+   */
+  async getFollowing(followerPublicKey, { refresh = false } = {}) {
+    const records = await this.getFollowRecords(followerPublicKey, { refresh });
+    return [...records.values()]
+      .filter(record => !record.removed)
+      .sort((a, b) => b.ts - a.ts)
+      .map(record => record.target);
+  }
+
+  /**
+   * Check whether an account follows another
+   * @param {string} followerPublicKey - Following account
+   * @param {string} targetPublicKey - Followed account
+   * @returns {Promise<boolean>} True if the newest record is a follow
+   */
+  async isFollowing(followerPublicKey, targetPublicKey) {
+    if (!followerPublicKey || !targetPublicKey) {
+      return false;
+    }
+    const records = await this.getFollowRecords(followerPublicKey);
+    const record = records.get(targetPublicKey);
+    return !!record && !record.removed;
+  }
+
+  /**
+   * Followers of an account among candidate accounts
+   * Candidates whose follows cannot be read are left out.
+   * @param {string} targetPublicKey - Followed account
+   * @param {Object} options - Discovery options
+   * @param {Array<string>} options.candidates - Accounts to check (e.g. active users)
+   * @returns {Promise<Array<string>>} Candidates that follow the account
+   */
+  async getFollowers(targetPublicKey, { candidates = [] } = {}) {
+    const followers = [];
+
+    for (const candidate of new Set(candidates)) {
+      if (candidate === targetPublicKey) continue;
+      try {
+        if (await this.isFollowing(candidate, targetPublicKey)) {
+          followers.push(candidate);
+        }
+      } catch (error) {
+        console.warn(`⚠️ Could not read follows of ${candidate.substring(0, 8)}...:`, error.message);
+      }
+    }
+
+    return followers;
+  }
+
+  /**
+   * Clear cached follows
+   * @param {string} [followerPublicKey] - Only clear this follower's follows
+   */
+  clearCache(followerPublicKey = null) {
+    if (followerPublicKey) {
+      this.followCache.delete(followerPublicKey);
+    } else {
+      this.followCache.clear();
+    }
+  }
+
+  /**
+   * Publish a follow or unfollow and record it locally
+   * @param {string} targetPublicKey - Account followed or unfollowed
+   * @param {boolean} removed - True to unfollow
+   * @param {TransactionSigner} followerSigner - Signer of the following account
+   * @param {Object|null} user - Registry user whose FOLLOWS lane should record a follow
+   * @returns {Promise<Object>} { transactionHash, follow, followItem }
+   * @private
+   */
+  async _publishFollow(targetPublicKey, removed, followerSigner, user) {
+    if (!followerSigner?.publicKey) {
+      throw new Error('Follower signer is required to follow');
+    }
+
+    const followerPublicKey = followerSigner.publicKey.toBase58();
+    if (targetPublicKey === followerPublicKey) {
+      throw new Error('An account cannot follow itself');
+    }
+
+    const follow = new Follow({ target: targetPublicKey, ts: Math.floor(Date.now() / 1000), removed });
+    const transactionHash = await this.memoBuilder.deployFollow(follow, followerSigner);
+
+    await FollowStorage.recordFollow(followerPublicKey, { target: targetPublicKey, ts: follow.ts, removed, transactionHash });
+    const cached = this.followCache.get(followerPublicKey);
+    if (cached) {
+      cached.records.set(targetPublicKey, this._toEntry(follow, transactionHash));
+    }
+
+    let followItem = null;
+    if (user && !removed) {
+      try {
+        const toUserGenesisHash = this._resolveUserGenesisHash(targetPublicKey);
+        if (toUserGenesisHash) {
+          followItem = await userGraphService.appendItem(user, GraphLane.FOLLOWS, follow.toFollowItem(toUserGenesisHash));
+        } else {
+          console.warn(`⚠️ No user genesis known for ${targetPublicKey.substring(0, 8)}...; follow not added to the FOLLOWS lane`);
+        }
+      } catch (error) {
+        // The follow is already on chain; the lane can be rebuilt later
+        console.warn('⚠️ Could not record follow in the FOLLOWS lane:', error.message);
+      }
+    }
+
+    console.log(`👥 ${removed ? 'Unfollowed' : 'Followed'} ${targetPublicKey.substring(0, 8)}...`);
+    return { transactionHash, follow, followItem };
+  }
+
+  /**
+   * User genesis hash of a registry user, for FOLLOWS lane items
+   * @param {string} publicKey - Followed account
+   * @returns {string|null} Hex hash, or null if the account's genesis is unknown
+   * @private
+   */
+  _resolveUserGenesisHash(publicKey) {
+    const entry = userRegistry.users.find(user => user.publicKey === publicKey);
+    if (!entry?.transactionHash || !entry?.parentGenesis) {
+      return null;
+    }
+    return DomainMerkle.toHex(UserGraphService.userGenesisHash(entry));
+  }
+
+  /**
+   * Scan a follower's transactions for follows the follower signed
+   * @param {string} followerPublicKey - Following account
+   * @returns {Promise<Map<string, Object>>} targetPublicKey -> newest follow record
+   * @private
+   */
+  async _scanFollows(followerPublicKey) {
+    const records = new Map();
+
+    await this.memoBuilder.scanSignerMemos(followerPublicKey, {
+      matches: memo => Follow.looksLikeFollow(memo),
+      read: transactionHash => this.memoBuilder.readFollow(transactionHash),
+      onRecord: ({ follow }, transactionHash) => {
+        // Newest transaction first, so on equal timestamps the record already kept wins
+        const existing = records.get(follow.target);
+        if (!existing || follow.ts > existing.ts) {
+          records.set(follow.target, this._toEntry(follow, transactionHash));
+        }
+      },
+      kind: 'follows',
+      source: 'FollowService'
+    });
+
+    console.log(`👥 ${records.size} follow record(s) by ${followerPublicKey.substring(0, 8)}...`);
+    return records;
+  }
+
+  /**
+   * @param {Follow} follow - Parsed follow
+   * @param {string} transactionHash - Transaction carrying it
+   * @returns {Object} Cache entry
+   * @private
+   */
+  _toEntry(follow, transactionHash) {
+    return {
+      target: follow.target,
+      ts: follow.ts,
+      removed: follow.removed,
+      transactionHash
+    };
+  }
+}
+
+// Export singleton instance
+export const followService = new FollowService();
+
+// Character count: 10473
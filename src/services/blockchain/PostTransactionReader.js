@@ -1,10 +1,14 @@
 // src/services/blockchain/PostTransactionReader.js
 // Path: src/services/blockchain/PostTransactionReader.js
 
-import { Connection } from '@solana/web3.js';
 import { SolanaMemoBuilder } from './solana/utils/SolanaMemoBuilder';
 import bs58 from 'bs58';
 import { CompressionService } from '../compression/CompressionService';
+import { connectionProvider } from './shared/ConnectionProvider';
+import { RetractionService, retractionService } from './RetractionService';
+import { AuthorSignature } from './shared/AuthorSignature';
+import { PostEntities } from './shared/models/PostEntities';
+import { PostShare } from './shared/models/PostShare';
 
 /**
  * Service for reading post transaction data directly from the blockchain
@@ -21,28 +25,76 @@ import { CompressionService } from '../compression/CompressionService';
  * 2. Base64 decode → Compressed Uint8Array
  * 3. Decompress → JSON string
  * 4. Parse JSON → Full glyph structure with previousPostHash
+ * 
+ * Authorship: posts carry the author's signature (`author`, `sig` on the
+ * glyph), so any account may have paid for them. Older unsigned posts are
+ * attributed by their fee payer. Posts whose signature does not verify
+ * for the expected author are dropped.
+ *
+ * Replies carry `replyTo` (the parent post's transaction hash) and, when the
+ * thread root is not the parent, `threadId`; both are covered by the signature.
+ * So are `mentions` and `tags` (see PostEntities), read as posts' mentions
+ * ({ alias, publicKey }) and tags. Reposts and quote posts name the post they
+ * share in `repostOf` / `quoteOf`, and originals may set a `reGlyphCap` (see
+ * PostShare); a repost is the only post without text.
  */
 export class PostTransactionReader {
-  constructor() {
-    // Use devnet for development
-    this.connection = new Connection('https://api.devnet.solana.com', 'confirmed');
+  /**
+   * @param {Object} [connection] - Optional connection override (defaults to ConnectionProvider)
+   */
+  constructor(connection = null) {
+    this._connection = connection;
     
     // Use existing SolanaMemoBuilder for consistent memo finding
-    this.memoBuilder = new SolanaMemoBuilder(this.connection);
+    this.memoBuilder = new SolanaMemoBuilder(connection);
+
+    // Share the app-wide retraction cache unless reading from another connection
+    this.retractions = connection ? new RetractionService(connection) : retractionService;
     
     // Cache for transaction data to avoid repeated fetches
     this.transactionCache = new Map();
     this.cacheMaxAge = 5 * 60 * 1000; // 5 minutes
   }
 
+  /**
+   * Active Solana connection (injected or from ConnectionProvider)
+   * @returns {Connection} Connection instance
+   */
+  get connection() {
+    return this._connection || connectionProvider.getConnection();
+  }
+
   /**
    * Read and parse a single post from a blockchain transaction
+   * Posts the author has retracted come back with retracted: true.
    * @param {string} transactionHash - Transaction hash to read
    * @param {string} username - Username for logging
    * @param {string} publicKey - Author's public key
    * @returns {Promise<Object|null>} Parsed post object or null
    */
   async readPostFromTransaction(transactionHash, username, publicKey) {
+    const post = await this.readPostData(transactionHash, username, publicKey);
+    if (!post) {
+      return null;
+    }
+
+    let retracted = false;
+    try {
+      retracted = await this.retractions.isRetracted(publicKey, transactionHash);
+    } catch (error) {
+      console.warn(`⚠️ Could not check retractions for ${transactionHash.substring(0, 8)}:`, error.message);
+    }
+    return { ...post, retracted };
+  }
+
+  /**
+   * Read and parse a single post from a blockchain transaction, without checking retractions
+   * @param {string} transactionHash - Transaction hash to read
+   * @param {string} username - Username for logging
+   * @param {string} publicKey - Author's public key
+   * @returns {Promise<Object|null>} Parsed post object or null
+   */
+  async readPostData(transactionHash, username, publicKey) {
     try {
       console.log(`📖 Reading post transaction: ${transactionHash.substring(0, 8)}...`);
       
@@ -53,9 +105,8 @@ export class PostTransactionReader {
         return cached;
       }
 
-      // Wait for transaction indexing
-      console.log('⏳ Waiting 3 seconds for transaction indexing...');
-      await new Promise(resolve => setTimeout(resolve, 3000));
+      // Wait until the transaction is confirmed (and so readable) rather than sleeping
+      await this.memoBuilder.confirmations.waitForCommitment(transactionHash, 'confirmed');
 
       // Get transaction details from Solana
       const transaction = await this.connection.getTransaction(transactionHash, {
@@ -154,13 +205,22 @@ export class PostTransactionReader {
       // Step 6: Extract post data from glyph structure
       let postContent = '';
       let previousPostHash = null;
+      let replyTo = null;
+      let threadId = null;
+      let entities = PostEntities.fromMemoFields(null);
+      let share = PostShare.fromMemoFields(null);
+      let firstGlyph = null;
 
       if (glyphStructure.glyphs && Array.isArray(glyphStructure.glyphs)) {
         // ✅ NEW: Extract content and previousPostHash from glyph structure
-        const firstGlyph = glyphStructure.glyphs[0];
+        firstGlyph = glyphStructure.glyphs[0];
         if (firstGlyph) {
           postContent = firstGlyph.content || glyphStructure.content || '';
           previousPostHash = firstGlyph.previousPostHash || null;
+          replyTo = firstGlyph.replyTo || null;
+          threadId = replyTo ? (firstGlyph.threadId || replyTo) : null;
+          entities = PostEntities.fromMemoFields(firstGlyph);
+          share = PostShare.fromMemoFields(firstGlyph);
           
           console.log(`🔗 Chain link found: previousPostHash = ${previousPostHash || 'null (first post)'}`);
         }
@@ -174,10 +234,17 @@ export class PostTransactionReader {
         console.log('📝 Using entire JSON as content');
       }
 
-      if (!postContent || postContent.trim().length === 0) {
+      if ((!postContent || postContent.trim().length === 0) && !share.repostOf) {
         throw new Error('No content found in glyph structure');
       }
 
+      // Step 7: Check who wrote the post
+      const authorVerification = this.verifyPostAuthor(firstGlyph, publicKey, transaction);
+      if (!authorVerification) {
+        console.warn(`⚠️ Post ${transactionHash.substring(0, 8)} is not signed by ${username}, skipping`);
+        return null;
+      }
+
       // Get timestamp from block time
       const timestamp = transaction.blockTime ?
         transaction.blockTime * 1000 : // Convert to milliseconds
@@ -193,6 +260,14 @@ export class PostTransactionReader {
         title: `Post by ${username}`,
         timestamp: timestamp,
         previousPostHash: previousPostHash, // ✅ Now properly extracted from blockchain data!
+        replyTo,
+        threadId,
+        mentions: entities.mentions,
+        tags: entities.tags,
+        repostOf: share.repostOf,
+        quoteOf: share.quoteOf,
+        reGlyphCap: share.reGlyphCap,
+        authorVerification,
         blockTime: transaction.blockTime,
         slot: transaction.slot,
         glyphData: {
@@ -223,6 +298,39 @@ export class PostTransactionReader {
     }
   }
 
+  /**
+   * How a post's author is vouched for
+   * @param {Object|null} glyph - First glyph of the post memo
+   * @param {string} publicKey - Expected author
+   * @param {Object} transaction - Transaction from getTransaction
+   * @returns {string|null} 'signature' (author-signed payload), 'fee-payer' (unsigned, paid by the
+   *   author), 'unverified' (unsigned, paid by someone else) or null (signature invalid or by someone else)
+   */
+  verifyPostAuthor(glyph, publicKey, transaction) {
+    if (glyph?.sig) {
+      if (glyph.author !== publicKey) {
+        return null;
+      }
+      const payload = AuthorSignature.postPayload(glyph.content, glyph.previousPostHash, glyph.author, {
+        replyTo: glyph.replyTo,
+        threadId: glyph.threadId
+      }, {
+        mentions: glyph.mentions,
+        tags: glyph.tags
+      }, {
+        repostOf: glyph.repostOf,
+        quoteOf: glyph.quoteOf,
+        reGlyphCap: glyph.reGlyphCap
+      });
+      const status = AuthorSignature.verify(AuthorSignature.Domain.POST, payload, glyph.sig, publicKey);
+      return status === AuthorSignature.Status.VALID ? 'signature' : null;
+    }
+
+    const feePayer = transaction.transaction.message.accountKeys?.[0];
+    const feePayerKey = typeof feePayer === 'string' ? feePayer : feePayer?.toBase58();
+    return feePayerKey === publicKey ? 'fee-payer' : 'unverified';
+  }
+
   /**
    * Create fallback post for backward compatibility with plain text content
    * @param {string} content - Plain text content  
@@ -248,6 +356,13 @@ export class PostTransactionReader {
       title: `Post by ${username}`,
       timestamp: timestamp,
       previousPostHash: null, // ⚠️ No chain linking for fallback posts
+      replyTo: null,
+      threadId: null,
+      mentions: [],
+      tags: [],
+      repostOf: null,
+      quoteOf: null,
+      reGlyphCap: null,
       blockTime: transaction.blockTime,
       slot: transaction.slot,
       glyphData: {
@@ -295,6 +410,7 @@ export class PostTransactionReader {
    */
   clearCache() {
     this.transactionCache.clear();
+    this.retractions.clearCache();
   }
 
   /**
@@ -368,4 +484,4 @@ export class PostTransactionReader {
 // Export singleton instance
 export const postTransactionReader = new PostTransactionReader();
 
-// Character count: 11,547
\ No newline at end of file
+// Character count: 18,109
\ No newline at end of file
@@ -0,0 +1,397 @@
+// src/services/blockchain/ReactionService.js
+// Path: src/services/blockchain/ReactionService.js
+
+import { SolanaMemoBuilder } from './solana/utils/SolanaMemoBuilder';
+import { Reaction } from './shared/models/Reaction';
+import { connectionProvider } from './shared/ConnectionProvider';
+import { PendingReactionStorage } from '../storage/content/PendingReactionStorage';
+import { userGraphService } from '../graph/UserGraphService';
+import { GraphLane } from '../graph/GraphLanes';
+
+/**
+ * Service for reacting to posts
+ *
+ * A reaction (see Reaction) is published on its own, or queued in
+ * PendingReactionStorage and published with the reactor's other pending
+ * reactions in a digest memo, one fee for the lot. A digest goes out once
+ * its oldest reaction has waited DIGEST_INTERVAL_MS or the queue fills a
+ * memo; flushDueDigest checks this and is run when the reactor reacts, by
+ * a timer react arms for the oldest queued reaction, and by the publishing
+ * scheduler (which also picks up reactions queued before an app restart).
+ *
+ * Reading: a reactor's transactions are scanned for reaction memos (see
+ * SolanaMemoBuilder.scanSignerMemos), and reactions in transactions the
+ * reactor signed are cached per reactor for CACHE_DURATION. The reactor's
+ * own pending reactions count as well, so a reaction shows as soon as it
+ * is made.
+ */
+export class ReactionService {
+  // Longest a queued reaction waits for its digest
+  static DIGEST_INTERVAL_MS = 10 * 60 * 1000;
+
+  /**
+   * @param {Object} [connection] - Optional connection override (defaults to ConnectionProvider)
+   */
+  constructor(connection = null) {
+    this._connection = connection;
+    this.memoBuilder = new SolanaMemoBuilder(connection);
+
+    // reactorPublicKey -> { records: Map<"targetId:code", Object>, timestamp }
+    this.reactionCache = new Map();
+    this.CACHE_DURATION = 30000; // 30 seconds cache
+
+    this.digestTimers = new Map(); // reactorPublicKey -> timer that publishes the due digest
+  }
+
+  /**
+   * Active Solana connection (injected or from ConnectionProvider)
+   * @returns {Connection} Connection instance
+   */
+  get connection() {
+    return this._connection || connectionProvider.getConnection();
+  }
+
+  /**
+   * React to a post, or take a reaction back
+   * @param {Object} target - Reaction to make
+   * @param {string} target.targetId - Transaction hash of the post
+   * @param {string} target.reaction - One of Reaction.CODES
+   * @param {boolean} [target.removed=false] - Take the reaction back
+   * @param {TransactionSigner} reactorSigner - Signer of the account reacting
+   * @param {Object} [options] - Reaction options
+   * @param {boolean} [options.batch=true] - Queue for the next digest instead of publishing now
+   * @param {Object} [options.user] - Registry user whose LIKES lane should record the reaction
+   * @returns {Promise<Object>} { reaction, queued, transactionHashes } - transactionHashes of anything published now
+   */
+  async react({ targetId, reaction, removed = false }, reactorSigner, { batch = true, user = null } = {}) {
+    if (!reactorSigner?.publicKey) {
+      throw new Error('Reactor signer is required to react');
+    }
+
+    const record = new Reaction({ targetId, reaction, removed, ts: Math.floor(Date.now() / 1000) });
+    const reactorPublicKey = reactorSigner.publicKey.toBase58();
+
+    if (!batch) {
+      const transactionHash = await this.memoBuilder.deployReactions([record], reactorSigner);
+      await this._recordPublished(reactorPublicKey, [record], transactionHash, user);
+      return { reaction: record, queued: false, transactionHashes: [transactionHash] };
+    }
+
+    await PendingReactionStorage.queueReaction(reactorPublicKey, record);
+    const { transactionHashes } = await this.flushDueDigest(reactorSigner, { user });
+    if (transactionHashes.length === 0) {
+      await this._armDigestTimer(reactorSigner, user);
+    }
+    return { reaction: record, queued: transactionHashes.length === 0, transactionHashes };
+  }
+
+  /**
+   * Publish all of a reactor's pending reactions in digest memos
+   * @param {TransactionSigner} reactorSigner - Signer of the reacting account
+   * @param {Object} [options] - Flush options
+   * @param {Object} [options.user] - Registry user whose LIKES lane should record the reactions
+   * @returns {Promise<Object>} { transactionHashes, reactions } published
+   */
+  async flushDigest(reactorSigner, { user = null } = {}) {
+    if (!reactorSigner?.publicKey) {
+      throw new Error('Reactor signer is required to publish reactions');
+    }
+
+    const reactorPublicKey = reactorSigner.publicKey.toBase58();
+    const pending = await PendingReactionStorage.getPending(reactorPublicKey);
+    const transactionHashes = [];
+    const reactions = [];
+
+    for (const batch of Reaction.packDigests(pending.map(entry => new Reaction(entry)))) {
+      const transactionHash = await this.memoBuilder.deployReactions(batch, reactorSigner);
+
+      // Dequeue each digest as it lands, so a later failure does not send it again
+      await PendingReactionStorage.removePending(reactorPublicKey, batch);
+      await this._recordPublished(reactorPublicKey, batch, transactionHash, user);
+
+      transactionHashes.push(transactionHash);
+      reactions.push(...batch);
+    }
+
+    this._clearDigestTimer(reactorPublicKey);
+    if (transactionHashes.length > 0) {
+      console.log(`💬 Published ${reactions.length} reaction(s) in ${transactionHashes.length} digest(s)`);
+    }
+    return { transactionHashes, reactions };
+  }
+
+  /**
+   * Publish a reactor's pending reactions if the digest is due: its oldest
+   * reaction has waited DIGEST_INTERVAL_MS, or there is more than one memo's worth
+   * @param {TransactionSigner} reactorSigner - Signer of the reacting account
+   * @param {Object} [options] - Flush options
+   * @param {Object} [options.user] - Registry user whose LIKES lane should record the reactions
+   * @param {number} [options.now] - Time to check against
+   * @returns {Promise<Object>} { transactionHashes, reactions } published (empty if not due)
+   */
+  async flushDueDigest(reactorSigner, { user = null, now = Date.now() } = {}) {
+    const pending = await PendingReactionStorage.getPending(reactorSigner.publicKey.toBase58());
+    if (pending.length === 0) {
+      return { transactionHashes: [], reactions: [] };
+    }
+
+    const waited = now - pending[0].queuedAt;
+    const overflows = Reaction.packDigests(pending.map(entry => new Reaction(entry))).length > 1;
+    if (waited < ReactionService.DIGEST_INTERVAL_MS && !overflows) {
+      return { transactionHashes: [], reactions: [] };
+    }
+
+    return await this.flushDigest(reactorSigner, { user });
+  }
+
+  /**
+   * Publish a reactor's digest once its oldest pending reaction has waited
+   * DIGEST_INTERVAL_MS, unless a timer for it is already armed
+   * @param {TransactionSigner} reactorSigner - Signer of the reacting account
+   * @param {Object|null} user - Registry user whose LIKES lane should record the reactions
+   * @private
+   */
+  async _armDigestTimer(reactorSigner, user) {
+    const reactorPublicKey = reactorSigner.publicKey.toBase58();
+    if (this.digestTimers.has(reactorPublicKey)) {
+      return;
+    }
+
+    const [oldest] = await PendingReactionStorage.getPending(reactorPublicKey);
+    if (!oldest) {
+      return;
+    }
+
+    const delay = Math.max(0, oldest.queuedAt + ReactionService.DIGEST_INTERVAL_MS - Date.now());
+    this.digestTimers.set(reactorPublicKey, setTimeout(() => {
+      this.digestTimers.delete(reactorPublicKey);
+      // Reactions that fail to publish stay queued for the next reaction or scheduler run
+      return this.flushDueDigest(reactorSigner, { user }).catch(error => {
+        console.warn(`ReactionService: Reaction digest for ${reactorPublicKey.substring(0, 8)}... failed:`, error.message);
+      });
+    }, delay));
+  }
+
+  /**
+   * Cancel a reactor's digest timer (the digest went out)
+   * @param {string} reactorPublicKey - Reacting account
+   * @private
+   */
+  _clearDigestTimer(reactorPublicKey) {
+    if (this.digestTimers.has(reactorPublicKey)) {
+      clearTimeout(this.digestTimers.get(reactorPublicKey));
+      this.digestTimers.delete(reactorPublicKey);
+    }
+  }
+
+  /**
+   * A reactor's current reactions (published and pending), by post
+   * @param {string} reactorPublicKey - Reacting account
+   * @param {Object} [options] - Read options
+   * @param {boolean} [options.refresh=false] - Ignore the cache and rescan
+   * @returns {Promise<Map<string, Set<string>>>} targetId -> reaction codes
+   */
+  async getReactionsBy(reactorPublicKey, { refresh = false } = {}) {
+    const cached = this.reactionCache.get(reactorPublicKey);
+    let records;
+    if (!refresh && cached && Date.now() - cached.timestamp < this.CACHE_DURATION) {
+      records = cached.records;
+    } else {
+      records = await this._scanReactions(reactorPublicKey);
+      this.reactionCache.set(reactorPublicKey, { records, timestamp: Date.now() });
+    }
+
+    // Pending reactions are newer than anything published unless a later one replaced them
+    const merged = new Map(records);
+    for (const entry of await PendingReactionStorage.getPending(reactorPublicKey)) {
+      const key = ReactionService._key(entry.targetId, entry.reaction);
+      if (!merged.has(key) || entry.ts >= merged.get(key).ts) {
+        merged.set(key, { ...entry, transactionHash: null });
+      }
+    }
+
+    const current = new Map();
+    for (const record of merged.values()) {
+      if (record.removed) continue;
+      if (!current.has(record.targetId)) {
+        current.set(record.targetId, new Set());
+      }
+      current.get(record.targetId).add(record.reaction);
+    }
+    return current;
+  }
+
+  /**
+   * Add reaction counts to posts, and which reactions are the viewer's
+   * Reactors whose reactions cannot be read are left out of the counts.
+   * @param {Array<Object>} posts - Posts from FeedService
+   * @param {Object} [options] - Count options
+   * @param {Array<string>} [options.reactors] - Accounts whose reactions count
+   * @param {string} [options.viewerPublicKey] - Account viewing the posts (always counted)
+   * @returns {Promise<Array<Object>>} Copies of the posts with reactions ({ code: count }),
+   *   reactionCount and viewerReactions (codes)
+   */
+  async attachReactions(posts, { reactors = [], viewerPublicKey = null } = {}) {
+    const targets = new Set(posts.map(post => post.transactionHash));
+    const counts = new Map();
+    let viewerReactions = new Map();
+
+    for (const reactor of new Set([...reactors, viewerPublicKey].filter(Boolean))) {
+      let current;
+      try {
+        current = await this.getReactionsBy(reactor);
+      } catch (error) {
+        console.warn(`⚠️ Could not read reactions by ${reactor.substring(0, 8)}...:`, error.message);
+        continue;
+      }
+
+      for (const [targetId, codes] of current) {
+        if (!targets.has(targetId)) continue;
+        const postCounts = counts.get(targetId) || {};
+        codes.forEach(code => {
+          postCounts[code] = (postCounts[code] || 0) + 1;
+        });
+        counts.set(targetId, postCounts);
+      }
+
+      if (reactor === viewerPublicKey) {
+        viewerReactions = current;
+      }
+    }
+
+    return posts.map(post => {
+      const reactions = counts.get(post.transactionHash) || {};
+      return {
+        ...post,
+        reactions,
+        reactionCount: Object.values(reactions).reduce((sum, count) => sum + count, 0),
+        viewerReactions: [...(viewerReactions.get(post.transactionHash) || [])]
+      };
+    });
+  }
+
+  /**
+   * Apply the viewer's reaction to a post's counts (for showing it before a reload)
+   * @param {Object} post - Post with reactions from attachReactions
+   * @param {string} reaction - Reaction code
+   * @param {boolean} [removed=false] - The viewer took the reaction back
+   * @returns {Object} Updated copy of the post
+   */
+  static applyViewerReaction(post, reaction, removed = false) {
+    const viewerReactions = post.viewerReactions || [];
+    if (viewerReactions.includes(reaction) !== removed) {
+      return post;
+    }
+
+    const reactions = { ...(post.reactions || {}) };
+    reactions[reaction] = Math.max(0, (reactions[reaction] || 0) + (removed ? -1 : 1));
+    if (reactions[reaction] === 0) {
+      delete reactions[reaction];
+    }
+
+    return {
+      ...post,
+      reactions,
+      reactionCount: Object.values(reactions).reduce((sum, count) => sum + count, 0),
+      viewerReactions: removed
+        ? viewerReactions.filter(code => code !== reaction)
+        : [...viewerReactions, reaction]
+    };
+  }
+
+  /**
+   * Clear cached reactions
+   * @param {string} [reactorPublicKey] - Only clear this reactor's reactions
+   */
+  clearCache(reactorPublicKey = null) {
+    if (reactorPublicKey) {
+      this.reactionCache.delete(reactorPublicKey);
+    } else {
+      this.reactionCache.clear();
+    }
+  }
+
+  /**
+   * Scan a reactor's transactions for reactions the reactor signed
+   * @param {string} reactorPublicKey - Reacting account
+   * @returns {Promise<Map<string, Object>>} "targetId:code" -> newest reaction record
+   */
+  async _scanReactions(reactorPublicKey) {
+    const records = new Map();
+
+    await this.memoBuilder.scanSignerMemos(reactorPublicKey, {
+      matches: memo => Reaction.looksLikeReaction(memo),
+      read: transactionHash => this.memoBuilder.readReactions(transactionHash),
+      onRecord: ({ reactions }, transactionHash) => {
+        reactions.forEach(reaction => this._applyRecord(records, reaction, transactionHash));
+      },
+      kind: 'reactions',
+      source: 'ReactionService'
+    });
+
+    console.log(`💬 ${records.size} reaction record(s) by ${reactorPublicKey.substring(0, 8)}...`);
+    return records;
+  }
+
+  /**
+   * Keep a reaction if it is the newest for its post and code
+   * @param {Map<string, Object>} records - Records by "targetId:code"
+   * @param {Reaction} reaction - Parsed reaction
+   * @param {string} transactionHash - Transaction carrying it
+   * @param {Object} [options] - Apply options
+   * @param {boolean} [options.keepTies=true] - On equal timestamps keep the record already
+   *   there (scans run newest transaction first); false for reactions just published
+   */
+  _applyRecord(records, reaction, transactionHash, { keepTies = true } = {}) {
+    const key = ReactionService._key(reaction.targetId, reaction.reaction);
+    const existing = records.get(key);
+    if (!existing || reaction.ts > existing.ts || (!keepTies && reaction.ts === existing.ts)) {
+      records.set(key, {
+        targetId: reaction.targetId,
+        reaction: reaction.reaction,
+        ts: reaction.ts,
+        removed: reaction.removed,
+        transactionHash
+      });
+    }
+  }
+
+  /**
+   * Note published reactions in the cache and the reactor's LIKES lane
+   * @param {string} reactorPublicKey - Reacting account
+   * @param {Array<Reaction>} reactions - Reactions that were published
+   * @param {string} transactionHash - Transaction carrying them
+   * @param {Object|null} user - Registry user whose LIKES lane should record them
+   */
+  async _recordPublished(reactorPublicKey, reactions, transactionHash, user) {
+    // Count them right away rather than waiting for the next scan
+    const cached = this.reactionCache.get(reactorPublicKey);
+    if (cached) {
+      reactions.forEach(reaction => this._applyRecord(cached.records, reaction, transactionHash, { keepTies: false }));
+    }
+
+    if (!user) return;
+    for (const reaction of reactions) {
+      try {
+        await userGraphService.appendItem(user, GraphLane.LIKES, reaction.toLikeItem());
+      } catch (error) {
+        // The reaction is already on chain; the lane can be rebuilt later
+        console.warn('⚠️ Could not record reaction in the LIKES lane:', error.message);
+      }
+    }
+  }
+
+  /**
+   * @param {string} targetId - Post transaction hash
+   * @param {string} reaction - Reaction code
+   * @returns {string} Record key
+   */
+  static _key(targetId, reaction) {
+    return `${targetId}:${reaction}`;
+  }
+}
+
+// Export singleton instance
+export const reactionService = new ReactionService();
+
+// Character count: 16082
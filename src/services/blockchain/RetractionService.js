@@ -0,0 +1,214 @@
+// src/services/blockchain/RetractionService.js
+// Path: src/services/blockchain/RetractionService.js
+
+import { SolanaMemoBuilder } from './solana/utils/SolanaMemoBuilder';
+import { Retraction } from './shared/models/Retraction';
+import { connectionProvider } from './shared/ConnectionProvider';
+import { HashingService } from '../hashing/HashingService';
+import { userGraphService } from '../graph/UserGraphService';
+import { GraphLane } from '../graph/GraphLanes';
+
+/**
+ * Service for retracting published posts and stories
+ *
+ * Memos cannot be deleted, so retracting publishes a signed tombstone
+ * (see Retraction) and readers hide whatever an author has retracted.
+ * A tombstone only counts when the target's author signed it; anyone
+ * else's is ignored.
+ *
+ * Reading: the author's transactions are scanned for retraction memos (see
+ * SolanaMemoBuilder.scanSignerMemos), and the retractions signed by the
+ * author are cached per author for CACHE_DURATION.
+ */
+export class RetractionService {
+  /**
+   * @param {Object} [connection] - Optional connection override (defaults to ConnectionProvider)
+   */
+  constructor(connection = null) {
+    this._connection = connection;
+    this.memoBuilder = new SolanaMemoBuilder(connection);
+
+    // authorPublicKey -> { retractions: Map<targetId, Object>, timestamp }
+    this.retractionCache = new Map();
+    this.CACHE_DURATION = 30000; // 30 seconds cache
+  }
+
+  /**
+   * Active Solana connection (injected or from ConnectionProvider)
+   * @returns {Connection} Connection instance
+   */
+  get connection() {
+    return this._connection || connectionProvider.getConnection();
+  }
+
+  /**
+   * Publish a retraction of one of the signer's posts or stories
+   * @param {Object} target - What to retract
+   * @param {string} target.targetKind - 'post' or 'story'
+   * @param {string} target.targetId - Post transaction hash or story ID
+   * @param {string} [target.reason] - Optional reason; only its hash goes on chain
+   * @param {TransactionSigner} authorSigner - Signer of the author of the target
+   * @param {Object} [options] - Retraction options
+   * @param {Object} [options.user] - Registry user whose REVOCATIONS lane should record the retraction
+   * @returns {Promise<Object>} { transactionHash, retraction, revocation }
+   */
+  async retract({ targetKind, targetId, reason = null }, authorSigner, { user = null } = {}) {
+    if (!authorSigner) {
+      throw new Error('Author signer is required for retraction');
+    }
+
+    const retraction = new Retraction({
+      targetKind,
+      targetId,
+      reasonHash: reason ? await HashingService.hashContent(reason) : null,
+      ts: Math.floor(Date.now() / 1000)
+    });
+
+    const transactionHash = await this.memoBuilder.deployRetraction(retraction, authorSigner);
+
+    // Hide the target right away rather than waiting for the next scan
+    const authorPublicKey = authorSigner.publicKey.toBase58();
+    const cached = this.retractionCache.get(authorPublicKey);
+    if (cached) {
+      cached.retractions.set(targetId, this._toEntry(retraction, transactionHash));
+    }
+
+    let revocation = null;
+    if (user) {
+      try {
+        revocation = await userGraphService.appendItem(user, GraphLane.REVOCATIONS, retraction.toRevocationItem());
+      } catch (error) {
+        // The tombstone is already on chain; the lane can be rebuilt later
+        console.warn('⚠️ Could not record retraction in the REVOCATIONS lane:', error.message);
+      }
+    }
+
+    console.log(`🪦 Retracted ${targetKind} ${targetId.substring(0, 8)}...`);
+    return { transactionHash, retraction, revocation };
+  }
+
+  /**
+   * Retractions an author has signed, keyed by target ID
+   * @param {string} authorPublicKey - Author's public key
+   * @param {Object} [options] - Read options
+   * @param {boolean} [options.refresh=false] - Ignore the cache and rescan
+   * @returns {Promise<Map<string, Object>>} targetId -> { targetKind, targetId, reasonHash, ts, transactionHash }
+   */
+  async getRetractions(authorPublicKey, { refresh = false } = {}) {
+    const cached = this.retractionCache.get(authorPublicKey);
+    if (!refresh && cached && Date.now() - cached.timestamp < this.CACHE_DURATION) {
+      return cached.retractions;
+    }
+
+    const retractions = await this._scanRetractions(authorPublicKey);
+    this.retractionCache.set(authorPublicKey, { retractions, timestamp: Date.now() });
+    return retractions;
+  }
+
+  /**
+   * Check whether an author has retracted an item
+   * @param {string} authorPublicKey - Author's public key
+   * @param {string} targetId - Post transaction hash or story ID
+   * @returns {Promise<boolean>} True if the author signed a retraction of the item
+   */
+  async isRetracted(authorPublicKey, targetId) {
+    if (!authorPublicKey || !targetId) {
+      return false;
+    }
+    const retractions = await this.getRetractions(authorPublicKey);
+    return retractions.has(targetId);
+  }
+
+  /**
+   * Hide (or mark) retracted items in a list of posts or stories
+   * Items whose author's retractions cannot be read are kept as they are.
+   * @param {Array<Object>} items - Posts or stories
+   * @param {Object} [options] - Filter options
+   * @param {boolean} [options.showRetracted=false] - Keep retracted items, marked with retracted: true
+   * @param {Function} [options.getAuthor] - Item -> author public key
+   * @param {Function} [options.getTargetIds] - Item -> IDs a retraction of it may name
+   * @returns {Promise<Array<Object>>} Filtered items
+   */
+  async filterRetracted(items, {
+    showRetracted = false,
+    getAuthor = item => item.authorPublicKey,
+    getTargetIds = item => [item.transactionHash]
+  } = {}) {
+    const authors = [...new Set(items.map(getAuthor).filter(Boolean))];
+    const byAuthor = new Map();
+
+    for (const author of authors) {
+      try {
+        byAuthor.set(author, await this.getRetractions(author));
+      } catch (error) {
+        console.warn(`⚠️ Could not read retractions for ${author.substring(0, 8)}...:`, error.message);
+      }
+    }
+
+    const marked = items.map(item => {
+      const retractions = byAuthor.get(getAuthor(item));
+      const retracted = !!retractions && getTargetIds(item).some(id => id && retractions.has(id));
+      return retracted ? { ...item, retracted: true } : item;
+    });
+
+    return showRetracted ? marked : marked.filter(item => !item.retracted);
+  }
+
+  /**
+   * Clear cached retractions
+   * @param {string} [authorPublicKey] - Only clear this author's retractions
+   */
+  clearCache(authorPublicKey = null) {
+    if (authorPublicKey) {
+      this.retractionCache.delete(authorPublicKey);
+    } else {
+      this.retractionCache.clear();
+    }
+  }
+
+  /**
+   * Scan an author's transactions for retractions the author signed
+   * @param {string} authorPublicKey - Author's public key
+   * @returns {Promise<Map<string, Object>>} targetId -> retraction entry
+   */
+  async _scanRetractions(authorPublicKey) {
+    const retractions = new Map();
+
+    await this.memoBuilder.scanSignerMemos(authorPublicKey, {
+      matches: memo => Retraction.looksLikeRetraction(memo),
+      read: transactionHash => this.memoBuilder.readRetraction(transactionHash),
+      onRecord: ({ retraction }, transactionHash) => {
+        // Newest first, so the first retraction of a target wins
+        if (!retractions.has(retraction.targetId)) {
+          retractions.set(retraction.targetId, this._toEntry(retraction, transactionHash));
+        }
+      },
+      kind: 'retractions',
+      source: 'RetractionService'
+    });
+
+    console.log(`🪦 ${retractions.size} retraction(s) by ${authorPublicKey.substring(0, 8)}...`);
+    return retractions;
+  }
+
+  /**
+   * Cache entry for a retraction
+   * @param {Retraction} retraction - Parsed retraction
+   * @param {string} transactionHash - Transaction carrying it
+   * @returns {Object} { targetKind, targetId, reasonHash, ts, transactionHash }
+   */
+  _toEntry(retraction, transactionHash) {
+    return {
+      targetKind: retraction.targetKind,
+      targetId: retraction.targetId,
+      reasonHash: retraction.reasonHash,
+      ts: retraction.ts,
+      transactionHash
+    };
+  }
+}
+
+// Export singleton instance
+export const retractionService = new RetractionService();
+
+// Character count: 8203
@@ -1,26 +1,36 @@
 // src/services/blockchain/UserTransactionReader.js
 // Path: src/services/blockchain/UserTransactionReader.js
 
-import { Connection } from '@solana/web3.js';
 import { SolanaMemoBuilder } from './solana/utils/SolanaMemoBuilder';
+import { connectionProvider } from './shared/ConnectionProvider';
 
 /**
  * Service for reading user transaction data directly from the blockchain
  * Uses the existing SolanaMemoBuilder to properly decode user genesis blocks
  */
 export class UserTransactionReader {
-  constructor() {
-    // Use devnet for development
-    this.connection = new Connection('https://api.devnet.solana.com', 'confirmed');
+  /**
+   * @param {Object} [connection] - Optional connection override (defaults to ConnectionProvider)
+   */
+  constructor(connection = null) {
+    this._connection = connection;
     
     // Use existing SolanaMemoBuilder for reading genesis blocks
-    this.memoBuilder = new SolanaMemoBuilder(this.connection);
+    this.memoBuilder = new SolanaMemoBuilder(connection);
     
     // Cache for transaction data to avoid repeated fetches
     this.transactionCache = new Map();
     this.cacheMaxAge = 5 * 60 * 1000; // 5 minutes
   }
 
+  /**
+   * Active Solana connection (injected or from ConnectionProvider)
+   * @returns {Connection} Connection instance
+   */
+  get connection() {
+    return this._connection || connectionProvider.getConnection();
+  }
+
   /**
    * Fetch user data from transaction hash
    * @param {string} transactionHash - The transaction hash from user-registry
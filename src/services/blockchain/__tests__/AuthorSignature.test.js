@@ -0,0 +1,162 @@
+// src/services/blockchain/__tests__/AuthorSignature.test.js
+// Path: src/services/blockchain/__tests__/AuthorSignature.test.js
+
+/**
+ * Author Signature Tests
+ *
+ * Manifests and posts carry an ed25519 signature by the author key over their
+ * canonical payload. On the local ledger: a story or post paid for by another
+ * account keeps verifiable authorship, and tampered or forged payloads are
+ * rejected by StoryViewerService-M and PostTransactionReader.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Keypair } from '@solana/web3.js';
+import { AuthorSignature } from '../shared/AuthorSignature';
+import { StoryManifest } from '../shared/models/StoryManifest';
+import { PostTransactionReader } from '../PostTransactionReader';
+import { SolanaMemoBuilder } from '../solana/utils/SolanaMemoBuilder';
+import { SolanaPublisher } from '../solana/SolanaPublisher';
+import { blockchainServices } from '../BlockchainService';
+import { connectionProvider, SolanaCluster } from '../shared/ConnectionProvider';
+import { CompressionService } from '../../compression/CompressionService';
+import ChunkManagerM from '../../glyph/processing/ChunkManager-M';
+import PublishingServiceM from '../../publishing/PublishingService-M';
+import StoryViewerServiceM from '../../story/StoryViewerService-M';
+import { chunkReaderService } from '../../story/ChunkReaderService';
+import { KeypairSigner } from '../../wallet/KeypairSigner';
+
+jest.mock('expo-crypto', () => jest.requireActual('../../../../__tests__/__mocks__/expo-crypto-sha256'));
+
+const authorKeypair = Keypair.fromSeed(new Uint8Array(32).fill(91));
+const relayerKeypair = Keypair.fromSeed(new Uint8Array(32).fill(92));
+const author = new KeypairSigner(authorKeypair);
+const relayer = new KeypairSigner(relayerKeypair);
+const AUTHOR = authorKeypair.publicKey.toBase58();
+
+const STORY = 'The ferry left at dawn and nobody on board knew the captain. '.repeat(8);
+
+describe('Author signatures', () => {
+  let memoBuilder;
+
+  beforeAll(() => {
+    const ledger = connectionProvider.useLocalLedger();
+    const publisher = new SolanaPublisher(ledger);
+    publisher.priorityFees.configure({ strategy: 'none' });
+    jest.spyOn(blockchainServices, 'getPublisher').mockReturnValue(publisher);
+    memoBuilder = new SolanaMemoBuilder(ledger);
+  });
+
+  afterEach(async () => {
+    await AsyncStorage.clear();
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+    chunkReaderService.clearCache();
+    connectionProvider.setCluster(SolanaCluster.DEVNET);
+  });
+
+  /**
+   * Publish a social post memo the way SolanaPublisher writes it
+   * @param {Object} glyph - First glyph fields (content, previousPostHash, author, sig)
+   * @param {TransactionSigner} feePayer - Account paying for the post
+   * @returns {Promise<string>} Post transaction hash
+   */
+  const publishPost = async (glyph, feePayer) => {
+    const json = JSON.stringify({ glyphs: [{ index: 0, ...glyph }] });
+    const memoData = Buffer.from(CompressionService.compressToBase64(json), 'utf8');
+    const transaction = await memoBuilder.buildMemoTransaction(memoData, feePayer, { encoding: 'utf8' });
+    return await memoBuilder.submitTransaction(transaction, feePayer, 'Post');
+  };
+
+  /**
+   * Sign a post payload as the author
+   * @param {string} content - Post text
+   * @param {string} previousPostHash - Previous post link
+   * @returns {Promise<Object>} Glyph fields including author and sig
+   */
+  const signedPost = async (content, previousPostHash = 'none') => ({
+    content,
+    previousPostHash,
+    author: AUTHOR,
+    sig: await AuthorSignature.sign(AuthorSignature.Domain.POST, AuthorSignature.postPayload(content, previousPostHash, AUTHOR), author)
+  });
+
+  it('should sign canonical payloads and keep domains apart', async () => {
+    // Arrange
+    const payload = { b: 1, a: [1, { d: null, c: 'x' }], skipped: undefined };
+
+    // Act
+    const signature = await AuthorSignature.sign(AuthorSignature.Domain.POST, payload, author);
+
+    // Assert
+    expect(AuthorSignature.canonicalize(payload)).toBe('{"a":[1,{"c":"x","d":null}],"b":1}');
+    expect(AuthorSignature.verify(AuthorSignature.Domain.POST, { a: payload.a, b: 1 }, signature, AUTHOR)).toBe('valid');
+    expect(AuthorSignature.verify(AuthorSignature.Domain.MANIFEST, payload, signature, AUTHOR)).toBe('invalid');
+    expect(AuthorSignature.verify(AuthorSignature.Domain.POST, payload, signature, relayerKeypair.publicKey.toBase58())).toBe('invalid');
+    expect(AuthorSignature.verify(AuthorSignature.Domain.POST, payload, null, AUTHOR)).toBe('missing');
+  });
+
+  it('should keep a relayed story attributed to its author', async () => {
+    // Arrange - the author signs, someone else pays
+    const pkg = await ChunkManagerM.prepareStoryForManifestPublishing(STORY, 'The Ferry', AUTHOR, { authorSigner: author });
+
+    // Act
+    const result = await PublishingServiceM.publishStoryWithManifest(pkg, relayer);
+    const history = await StoryViewerServiceM.getRevisionHistory(result.storyId);
+
+    // Assert
+    expect(history.authorPublicKey).toBe(AUTHOR);
+    expect(history.revisions[0].authorship).toBe('signature');
+  });
+
+  it('should refuse to relay or read a manifest without a valid author signature', async () => {
+    // Arrange
+    const unsigned = await ChunkManagerM.prepareStoryForManifestPublishing(STORY, 'Unsigned', AUTHOR);
+    const tampered = await ChunkManagerM.prepareStoryForManifestPublishing(STORY, 'Tampered', AUTHOR, { authorSigner: author });
+    tampered.primaryManifest.title = 'Retitled by the relayer';
+
+    // Act & Assert
+    await expect(PublishingServiceM.publishStoryWithManifest(unsigned, relayer))
+      .rejects.toThrow('Manifest must be signed by its author');
+    await expect(PublishingServiceM.publishStoryWithManifest(tampered, relayer))
+      .rejects.toThrow('Manifest author signature does not match its contents');
+    expect(StoryManifest.verifyAuthorSignature(tampered.primaryManifest.serialize())).toBe('invalid');
+    expect(await StoryViewerServiceM.verifyManifestAuthor('unpublished', tampered.primaryManifest.serialize())).toBeNull();
+  });
+
+  it('should sign manifests the author publishes directly', async () => {
+    // Arrange
+    const pkg = await ChunkManagerM.prepareStoryForManifestPublishing(STORY, 'Direct', AUTHOR);
+
+    // Act
+    const result = await PublishingServiceM.publishStoryWithManifest(pkg, author);
+    const history = await StoryViewerServiceM.getRevisionHistory(result.storyId);
+
+    // Assert
+    expect(pkg.primaryManifest.authorSignature).toEqual(expect.any(String));
+    expect(history.revisions[0].authorship).toBe('signature');
+  });
+
+  it('should verify post authorship independently of the fee payer', async () => {
+    // Arrange
+    const reader = new PostTransactionReader();
+    const own = await publishPost(await signedPost('Posted myself'), author);
+    const relayed = await publishPost(await signedPost('Posted through a relay'), relayer);
+    const forged = await publishPost({ ...(await signedPost('Original words')), content: 'Words put in my mouth' }, relayer);
+    const unsigned = await publishPost({ content: 'Old-style post', previousPostHash: 'none' }, relayer);
+
+    // Act
+    const read = (hash) => reader.readPostFromTransaction(hash, 'author', AUTHOR);
+    const [ownPost, relayedPost, forgedPost, unsignedPost] = [await read(own), await read(relayed), await read(forged), await read(unsigned)];
+
+    // Assert
+    expect(ownPost.authorVerification).toBe('signature');
+    expect(relayedPost).toMatchObject({ content: 'Posted through a relay', authorVerification: 'signature' });
+    expect(forgedPost).toBeNull();
+    expect(unsignedPost.authorVerification).toBe('unverified');
+  });
+});
+
+// Character count: 7725
@@ -0,0 +1,223 @@
+// src/services/blockchain/__tests__/ConfirmationTracker.test.js
+// Path: src/services/blockchain/__tests__/ConfirmationTracker.test.js
+
+/**
+ * ConfirmationTracker Tests
+ *
+ * Sent transactions on the local ledger: states are reported per signature,
+ * a transaction is only re-signed once its blockhash has provably expired,
+ * late landings are never sent twice, and PublishingStatusManager sees every
+ * signature's state while keeping only the latest ones.
+ */
+
+import { Keypair } from '@solana/web3.js';
+import { ConfirmationTracker } from '../solana/utils/ConfirmationTracker';
+import { LocalMemoLedger } from '../solana/LocalMemoLedger';
+import { SolanaPublisher } from '../solana/SolanaPublisher';
+import { BlockchainService } from '../BlockchainService';
+import { connectionProvider, SolanaCluster } from '../shared/ConnectionProvider';
+import { PublishingStatusManager } from '../shared/PublishingStatusManager';
+import { KeypairSigner } from '../../wallet/KeypairSigner';
+
+const authorKeypair = Keypair.fromSeed(new Uint8Array(32).fill(61));
+
+describe('ConfirmationTracker', () => {
+  let ledger;
+  let publisher;
+  let signer;
+  let states;
+
+  beforeEach(() => {
+    ledger = new LocalMemoLedger({ blockhashValidity: 2 });
+    publisher = new SolanaPublisher(ledger);
+    publisher.priorityFees.configure({ strategy: 'none' });
+    publisher.confirmations.config.pollIntervalMs = 1;
+    signer = new KeypairSigner(authorKeypair);
+    states = [];
+    publisher.confirmations.subscribe(record => states.push([record.signature, record.status]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Make the first sendRawTransaction call return without landing the transaction
+   * @param {Function} [afterDrop] - Runs once the transaction was dropped
+   * @returns {Function} Lands the dropped transaction after all
+   */
+  const dropFirstSend = (afterDrop = async () => {}) => {
+    const land = ledger.sendRawTransaction.bind(ledger);
+    let dropped = null;
+    jest.spyOn(ledger, 'sendRawTransaction').mockImplementationOnce(async (raw) => {
+      dropped = raw;
+      await afterDrop();
+      return 'dropped';
+    });
+    return () => land(dropped);
+  };
+
+  it('should report each signature from sent until it lands', async () => {
+    // Act
+    const signature = await publisher.publishSingleTransaction('tracked memo', signer);
+
+    // Assert - the local ledger finalizes transactions as they land
+    expect(states).toEqual([[signature, 'sent'], [signature, 'finalized']]);
+    expect(publisher.confirmations.getStatus(signature)).toMatchObject({ status: 'finalized', attempt: 1 });
+    expect(ledger.getStats().transactions).toBe(1);
+  });
+
+  it('should re-sign with a fresh blockhash once the original provably expired', async () => {
+    // Arrange - the first send is dropped and the chain moves past its blockhash
+    dropFirstSend(async () => {
+      for (let i = 0; i < 3; i++) {
+        await ledger.requestAirdrop(Keypair.generate().publicKey, 1);
+      }
+    });
+    const signed = [];
+
+    // Act
+    const signature = await publisher.publishSingleTransaction('expiring memo', signer, {
+      onSigned: async (pending) => signed.push(pending)
+    });
+
+    // Assert
+    expect(signed).toHaveLength(2);
+    expect(signed[1]).toBe(signature);
+    expect(publisher.confirmations.getStatus(signed[0]).status).toBe('expired');
+    expect(publisher.confirmations.getStatus(signature)).toMatchObject({ status: 'finalized', attempt: 2 });
+    expect(ledger.getStats().transactions).toBe(1);
+  });
+
+  it('should keep waiting for a slow transaction instead of sending it again', async () => {
+    // Arrange - the first send only lands once the tracker has polled for it
+    const landLate = dropFirstSend();
+    const getStatuses = ledger.getSignatureStatuses.bind(ledger);
+    jest.spyOn(ledger, 'getSignatureStatuses').mockImplementationOnce(async (signatures) => {
+      await landLate();
+      return getStatuses(signatures);
+    });
+    const signTransaction = jest.spyOn(signer, 'signTransaction');
+
+    // Act
+    const signature = await publisher.publishSingleTransaction('slow memo', signer);
+
+    // Assert
+    expect(signTransaction).toHaveBeenCalledTimes(1);
+    expect(ledger.getStats().transactions).toBe(1);
+    expect(publisher.confirmations.getStatus(signature).status).toBe('finalized');
+  });
+
+  it('should not re-sign a transaction the cluster rejected', async () => {
+    // Arrange
+    ledger = new LocalMemoLedger({ initialBalanceLamports: 0 });
+    publisher = new SolanaPublisher(ledger);
+    publisher.priorityFees.configure({ strategy: 'none' });
+    const signTransaction = jest.spyOn(signer, 'signTransaction');
+
+    // Act & Assert
+    await expect(publisher.publishSingleTransaction('unfunded memo', signer)).rejects.toThrow('prior credit');
+    expect(signTransaction).toHaveBeenCalledTimes(1);
+    const [signature] = publisher.confirmations.signatures.keys();
+    expect(publisher.confirmations.getStatus(signature).status).toBe('failed');
+  });
+
+  it('should give up after the configured number of expired attempts', async () => {
+    // Arrange
+    const tracker = new ConfirmationTracker(ledger, { maxAttempts: 2, pollIntervalMs: 1 });
+    jest.spyOn(ledger, 'sendRawTransaction').mockImplementation(async () => {
+      await ledger.requestAirdrop(Keypair.generate().publicKey, 1); // next attempt gets a new blockhash
+      throw new Error('Blockhash not found');
+    });
+    const transaction = await publisher._createTransaction({ computeUnitLimit: 50000, microLamports: 0 });
+    transaction.add(publisher._memoInstruction('never lands'));
+
+    // Act & Assert
+    await expect(tracker.sendAndConfirm(transaction, signer, { description: 'Doomed memo' }))
+      .rejects.toThrow('Doomed memo expired 2 times without landing');
+    expect([...tracker.signatures.values()].map(record => record.status)).toEqual(['expired', 'expired']);
+  });
+
+  it('should clear the poll timer when the subscription wakes the wait early', async () => {
+    // Arrange - the subscription reports the signature while the first poll wait is pending
+    let notify = null;
+    const connection = {
+      getSignatureStatuses: jest.fn(async () => {
+        setImmediate(() => notify({ err: null }, { slot: 7 }));
+        return { value: [null] };
+      }),
+      getBlockHeight: jest.fn(async () => 1),
+      onSignature: jest.fn((signature, callback) => {
+        notify = callback;
+        return 1;
+      }),
+      removeSignatureListener: jest.fn()
+    };
+    const tracker = new ConfirmationTracker(connection);
+    // The test setup fires timers at once; this poll timer never fires on its own
+    const { setTimeout: setupSetTimeout, clearTimeout: setupClearTimeout } = global;
+    global.setTimeout = jest.fn(() => 'poll-timer');
+    global.clearTimeout = jest.fn();
+
+    // Act
+    let record;
+    let cleared;
+    try {
+      record = await tracker.waitForConfirmation('early-wake', { lastValidBlockHeight: 100 });
+      cleared = global.clearTimeout.mock.calls.map(([handle]) => handle);
+    } finally {
+      global.setTimeout = setupSetTimeout;
+      global.clearTimeout = setupClearTimeout;
+    }
+
+    // Assert
+    expect(record).toMatchObject({ status: 'confirmed', slot: 7 });
+    expect(cleared).toContain('poll-timer');
+    expect(connection.removeSignatureListener).toHaveBeenCalledWith(1);
+  });
+
+  describe('Publishing status', () => {
+
+    afterEach(() => {
+      connectionProvider.setCluster(SolanaCluster.DEVNET);
+    });
+
+    it('should expose signature states through PublishingStatusManager', async () => {
+      // Arrange
+      connectionProvider.useLocalLedger();
+      const service = new BlockchainService();
+      const solana = service.getPublisher();
+      solana.priorityFees.configure({ strategy: 'none' });
+
+      // Act
+      const signature = await solana.publishSingleTransaction('status memo', signer, { context: { contentId: 'story-1' } });
+
+      // Assert
+      expect(service.getSignatureStatus(signature)).toMatchObject({ status: 'finalized', context: { contentId: 'story-1' } });
+      expect(service.statusManager.getSignatureStatuses('story-1')).toEqual({ [signature]: 'finalized' });
+    });
+
+    it('should keep only the latest signature states of manifest jobs', () => {
+      // Arrange
+      const manager = new PublishingStatusManager();
+      const limit = PublishingStatusManager.SIGNATURE_HISTORY_LIMIT;
+      const record = (n, status) => ({ signature: `sig-${n}`, status, context: { jobId: 'job-1' } });
+
+      // Act
+      manager.recordSignatureStatus(record(0, 'sent'));
+      for (let n = 1; n <= limit; n++) {
+        manager.recordSignatureStatus(record(n, 'confirmed'));
+        if (n === 1) manager.recordSignatureStatus(record(0, 'confirmed'));
+      }
+
+      // Assert - the refreshed first record outlived the second
+      expect(manager.signatureStatuses.size).toBe(limit);
+      expect(manager.getSignatureStatus('sig-0')).toMatchObject({ status: 'confirmed' });
+      expect(manager.getSignatureStatus('sig-1')).toBeNull();
+      expect(manager.getSignatureStatus(`sig-${limit}`)).toMatchObject({ status: 'confirmed' });
+    });
+
+  });
+});
+
+// Character count: 9177
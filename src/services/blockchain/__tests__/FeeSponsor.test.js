@@ -0,0 +1,163 @@
+// src/services/blockchain/__tests__/FeeSponsor.test.js
+// Path: src/services/blockchain/__tests__/FeeSponsor.test.js
+
+/**
+ * FeeSponsor Tests
+ *
+ * On a local ledger where new accounts start without SOL, a local relay
+ * sponsor pays for an author's posts and stories: the author co-signs (or
+ * only signs the content), the sponsor is charged, quotas are enforced per
+ * author, and anything but a memo transaction is refused.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Keypair, SystemProgram, Transaction } from '@solana/web3.js';
+import { FeeSponsor } from '../solana/utils/FeeSponsor';
+import { SolanaPublisher } from '../solana/SolanaPublisher';
+import { PostTransactionReader } from '../PostTransactionReader';
+import { blockchainServices } from '../BlockchainService';
+import { connectionProvider, SolanaCluster } from '../shared/ConnectionProvider';
+import ChunkManagerM from '../../glyph/processing/ChunkManager-M';
+import PublishingServiceM from '../../publishing/PublishingService-M';
+import { PostPublishingService } from '../../publishing/PostPublishingService';
+import StoryViewerServiceM from '../../story/StoryViewerService-M';
+import { chunkReaderService } from '../../story/ChunkReaderService';
+import { KeypairSigner } from '../../wallet/KeypairSigner';
+
+jest.mock('expo-crypto', () => jest.requireActual('../../../../__tests__/__mocks__/expo-crypto-sha256'));
+
+const authorKeypair = Keypair.fromSeed(new Uint8Array(32).fill(101));
+const author = new KeypairSigner(authorKeypair);
+const AUTHOR = authorKeypair.publicKey.toBase58();
+
+const STORY = 'The lighthouse keeper wrote to nobody and posted every letter. '.repeat(8);
+
+describe('FeeSponsor', () => {
+  let ledger;
+  let publisher;
+
+  beforeAll(() => {
+    ledger = connectionProvider.useLocalLedger({ initialBalanceLamports: 0 });
+    publisher = new SolanaPublisher(ledger);
+    publisher.priorityFees.configure({ strategy: 'none' });
+    jest.spyOn(blockchainServices, 'getPublisher').mockReturnValue(publisher);
+  });
+
+  afterEach(async () => {
+    await AsyncStorage.clear();
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+    chunkReaderService.clearCache();
+    connectionProvider.setCluster(SolanaCluster.DEVNET);
+  });
+
+  /**
+   * Post publishing service for the author, paid for by a sponsor
+   * @param {FeeSponsor} sponsor - Sponsor that pays
+   * @param {Object} [options] - Options for setSponsor
+   * @returns {PostPublishingService} Configured service
+   */
+  const sponsoredPostService = (sponsor, options) => {
+    const service = new PostPublishingService();
+    jest.spyOn(service.blockchainService, 'getPublisher').mockReturnValue(publisher);
+    service.setWallet(author);
+    service.setSponsor(sponsor, options);
+    return service;
+  };
+
+  it('should publish a co-signed post for an author without SOL', async () => {
+    // Arrange
+    const sponsor = await FeeSponsor.createLocalRelay(ledger);
+    const service = sponsoredPostService(sponsor);
+    const sponsorBalance = await ledger.getBalance(sponsor.publicKey);
+
+    // Act
+    const { transactionId } = await service.publishPost({ content: 'First post, on the house', authorName: 'author' });
+    const post = await new PostTransactionReader(ledger).readPostFromTransaction(transactionId, 'author', AUTHOR);
+    const byAuthor = await ledger.getSignaturesForAddress(authorKeypair.publicKey);
+    const { transaction } = await ledger.getTransaction(transactionId);
+
+    // Assert
+    expect(await ledger.getBalance(authorKeypair.publicKey)).toBe(0);
+    expect(await ledger.getBalance(sponsor.publicKey)).toBeLessThan(sponsorBalance);
+    expect(transaction.message.accountKeys[0].toBase58()).toBe(sponsor.publicKey.toBase58());
+    expect(transaction.message.header.numRequiredSignatures).toBe(2);
+    expect(byAuthor.map(info => info.signature)).toContain(transactionId);
+    expect(post).toMatchObject({ content: 'First post, on the house', authorVerification: 'signature' });
+    expect(await sponsor.getUsage(AUTHOR)).toMatchObject({ transactions: 1, lamports: 10000 });
+  });
+
+  it('should sponsor a post the author only signed the content of', async () => {
+    // Arrange
+    const sponsor = await FeeSponsor.createLocalRelay(ledger);
+    const service = sponsoredPostService(sponsor, { coSign: false });
+
+    // Act
+    const { transactionId } = await service.publishPost({ content: 'Signed words, sponsored ink', authorName: 'author' });
+    const post = await new PostTransactionReader(ledger).readPostFromTransaction(transactionId, 'author', AUTHOR);
+    const { transaction } = await ledger.getTransaction(transactionId);
+
+    // Assert
+    expect(transaction.message.header.numRequiredSignatures).toBe(1);
+    expect(transaction.message.accountKeys.map(key => key.toBase58())).not.toContain(AUTHOR);
+    expect(post.authorVerification).toBe('signature');
+    expect(await sponsor.getUsage(AUTHOR)).toMatchObject({ transactions: 1, lamports: 5000 });
+  });
+
+  it('should publish a story through the sponsor within quota', async () => {
+    // Arrange
+    const sponsor = await FeeSponsor.createLocalRelay(ledger);
+    const pkg = await ChunkManagerM.prepareStoryForManifestPublishing(STORY, 'Letters', AUTHOR);
+
+    // Act
+    const result = await PublishingServiceM.publishStoryWithManifest(pkg, sponsor.signerFor(author));
+    const history = await StoryViewerServiceM.getRevisionHistory(result.storyId);
+
+    // Assert
+    expect(await ledger.getBalance(authorKeypair.publicKey)).toBe(0);
+    expect(history.revisions[0].authorship).toBe('signature');
+    expect((await sponsor.getUsage(AUTHOR)).transactions).toBe(result.transactionCount);
+  });
+
+  it('should refuse posts once the author quota is used up', async () => {
+    // Arrange
+    const sponsor = await FeeSponsor.createLocalRelay(ledger, { quota: { maxTransactions: 1 } });
+    const service = sponsoredPostService(sponsor);
+    const story = await ChunkManagerM.prepareStoryForManifestPublishing(STORY, 'Too Long', AUTHOR);
+    await service.publishPost({ content: 'The only free post', authorName: 'author' });
+
+    // Act
+    const estimate = await service.estimateCost('One more?');
+
+    // Assert
+    expect(estimate.sponsorship).toMatchObject({ allowed: false, remainingTransactions: 0 });
+    await expect(service.publishPost({ content: 'One more?', authorName: 'author' }))
+      .rejects.toThrow('Sponsor quota exceeded');
+    await expect(PublishingServiceM.publishStoryWithManifest(story, sponsor.signerFor(author)))
+      .rejects.toThrow('Sponsor quota exceeded');
+    expect(await sponsor.checkQuota(Keypair.generate().publicKey)).toMatchObject({ allowed: true, remainingTransactions: 1 });
+  });
+
+  it('should only pay for memo transactions naming it as fee payer', async () => {
+    // Arrange
+    const sponsor = await FeeSponsor.createLocalRelay(ledger);
+    const { blockhash } = await ledger.getLatestBlockhash();
+    const transfer = new Transaction().add(SystemProgram.transfer({
+      fromPubkey: sponsor.publicKey,
+      toPubkey: authorKeypair.publicKey,
+      lamports: 1000000
+    }));
+    transfer.feePayer = sponsor.publicKey;
+    transfer.recentBlockhash = blockhash;
+    const selfPaid = publisher._buildMemoTransaction(['Pay for yourself'], { computeUnitLimit: 50000, microLamports: 0 }, authorKeypair.publicKey, blockhash);
+
+    // Act & Assert
+    await expect(sponsor.sponsorTransaction(transfer, AUTHOR)).rejects.toThrow('Sponsor only pays for memo transactions');
+    await expect(sponsor.sponsorTransaction(selfPaid, AUTHOR)).rejects.toThrow('must name the sponsor as fee payer');
+    expect((await sponsor.getUsage(AUTHOR)).transactions).toBe(0);
+  });
+});
+
+// Character count: 7679
@@ -0,0 +1,155 @@
+// src/services/blockchain/__tests__/FollowService.test.js
+// Path: src/services/blockchain/__tests__/FollowService.test.js
+
+/**
+ * FollowService Tests
+ *
+ * Signed follow memos on the local ledger: who an account follows comes from
+ * its own signed records (and the local mirror), follows land in the FOLLOWS
+ * lane, followers are found among candidates, and the following feed only
+ * reads followed accounts.
+ */
+
+import { Keypair } from '@solana/web3.js';
+import bs58 from 'bs58';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { FollowService } from '../FollowService';
+import { Follow } from '../shared/models/Follow';
+import { LocalMemoLedger } from '../solana/LocalMemoLedger';
+import { FeedService } from '../../feed/FeedService';
+import { PostHeaderService } from '../../feed/PostHeaderService';
+import { CompressionService } from '../../compression/CompressionService';
+import { DomainMerkle } from '../../merkle/DomainMerkle';
+import { UserGraphService, userGraphService } from '../../graph/UserGraphService';
+import { GraphLane } from '../../graph/GraphLanes';
+import { KeypairSigner } from '../../wallet/KeypairSigner';
+import userRegistry from '../../../data/user-registry.json';
+
+jest.mock('expo-crypto', () => jest.requireActual('../../../../__tests__/__mocks__/expo-crypto-sha256'));
+
+const txId = (fill) => bs58.encode(new Uint8Array(64).fill(fill));
+
+const viewerKeypair = Keypair.fromSeed(new Uint8Array(32).fill(151));
+const friendKeypair = Keypair.fromSeed(new Uint8Array(32).fill(152));
+const strangerKeypair = Keypair.fromSeed(new Uint8Array(32).fill(153));
+const VIEWER = viewerKeypair.publicKey.toBase58();
+const FRIEND = friendKeypair.publicKey.toBase58();
+const STRANGER = strangerKeypair.publicKey.toBase58();
+
+describe('FollowService', () => {
+  let ledger;
+  let service;
+  let viewer;
+  let friend;
+  let stranger;
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    ledger = new LocalMemoLedger();
+    service = new FollowService(ledger);
+    viewer = new KeypairSigner(viewerKeypair);
+    friend = new KeypairSigner(friendKeypair);
+    stranger = new KeypairSigner(strangerKeypair);
+  });
+
+  /**
+   * Publish a post memo the way PostPublishingService writes it
+   * @param {TransactionSigner} author - Author's signer
+   * @param {string} content - Post text
+   * @returns {Promise<string>} Post transaction hash
+   */
+  const publishPost = async (author, content) => {
+    const json = JSON.stringify({ glyphs: [{ content, previousPostHash: null }] });
+    const memoData = Buffer.from(CompressionService.compressToBase64(json), 'utf8');
+    const transaction = await service.memoBuilder.buildMemoTransaction(memoData, author, { encoding: 'utf8' });
+    return await service.memoBuilder.submitTransaction(transaction, author, 'Post');
+  };
+
+  it('should round-trip a follow memo and reject bad targets', () => {
+    // Arrange
+    const follow = new Follow({ target: FRIEND, ts: 1760000000 });
+    const unfollow = new Follow({ target: FRIEND, ts: 1760000001, removed: true });
+
+    // Act
+    const restored = Follow.fromMemoData(follow.toMemoData());
+    const restoredUnfollow = Follow.fromMemoData(unfollow.toMemoData());
+
+    // Assert
+    expect(Follow.looksLikeFollow(follow.toMemoData())).toBe(true);
+    expect(restored.toJSON()).toEqual(follow.toJSON());
+    expect(restoredUnfollow.removed).toBe(true);
+    expect(() => unfollow.toFollowItem('00'.repeat(32))).toThrow('Unfollows have no FOLLOWS lane item');
+    expect(() => new Follow({ target: 'not-a-key', ts: 1 })).toThrow('Invalid follow target');
+  });
+
+  it('should follow and unfollow from signed records, with or without the local mirror', async () => {
+    // Act
+    await service.follow(FRIEND, viewer);
+    await service.follow(STRANGER, viewer);
+    await service.unfollow(STRANGER, viewer);
+    const following = await service.getFollowing(VIEWER, { refresh: true });
+
+    await AsyncStorage.clear();
+    const fromChain = await new FollowService(ledger).getFollowing(VIEWER);
+
+    // Assert
+    expect(following).toEqual([FRIEND]);
+    expect(fromChain).toEqual([FRIEND]);
+    expect(await service.isFollowing(VIEWER, STRANGER)).toBe(false);
+    await expect(service.follow(VIEWER, viewer)).rejects.toThrow('An account cannot follow itself');
+  });
+
+  it('should record follows of known users in the FOLLOWS lane', async () => {
+    // Arrange
+    const followee = userRegistry.users[0];
+    const user = {
+      username: 'viewer',
+      publicKey: VIEWER,
+      transactionHash: txId(30),
+      parentGenesis: txId(31)
+    };
+    await userGraphService.clearGraph(user);
+
+    // Act
+    const { followItem } = await service.follow(followee.publicKey, viewer, { user });
+
+    // Assert
+    expect(followItem).toMatchObject({ lane: GraphLane.FOLLOWS, index: 0 });
+    expect(await userGraphService.getLaneItems(user, GraphLane.FOLLOWS)).toEqual([
+      expect.objectContaining({ toUserGenesisHash: DomainMerkle.toHex(UserGraphService.userGenesisHash(followee)) })
+    ]);
+  });
+
+  it('should find followers among candidates', async () => {
+    // Arrange
+    await service.follow(FRIEND, viewer);
+    await service.follow(VIEWER, stranger);
+
+    // Act
+    const followers = await service.getFollowers(FRIEND, { candidates: [VIEWER, STRANGER, FRIEND] });
+
+    // Assert
+    expect(followers).toEqual([VIEWER]);
+  });
+
+  it('should only read the viewer and followed accounts in the following feed', async () => {
+    // Arrange
+    const authors = [[viewer, VIEWER, 'viewer'], [friend, FRIEND, 'friend'], [stranger, STRANGER, 'stranger']];
+    for (const [signer, publicKey, username] of authors) {
+      const postHash = await publishPost(signer, `Hello from ${username}`);
+      await PostHeaderService.updateUserHead(publicKey, username, postHash);
+    }
+    await service.follow(FRIEND, viewer);
+    const feed = new FeedService(ledger);
+
+    // Act
+    const following = await feed.buildFeed({ useCache: false, mode: FeedService.MODES.FOLLOWING, viewerPublicKey: VIEWER });
+    const everyone = await feed.buildFeed({ useCache: false, viewerPublicKey: VIEWER });
+
+    // Assert
+    expect(following.map(post => post.content).sort()).toEqual(['Hello from friend', 'Hello from viewer']);
+    expect(everyone).toHaveLength(3);
+  });
+});
+
+// Character count: 6296
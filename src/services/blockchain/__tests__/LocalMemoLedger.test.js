@@ -0,0 +1,145 @@
+// src/services/blockchain/__tests__/LocalMemoLedger.test.js
+// Path: src/services/blockchain/__tests__/LocalMemoLedger.test.js
+
+/**
+ * LocalMemoLedger Tests
+ *
+ * Exercises the in-memory Solana stand-in and the ConnectionProvider wiring:
+ * transactions are signed and sent exactly as on devnet, then read back through
+ * the same reader services the feed and story viewer use.
+ */
+
+import { Keypair, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { LocalMemoLedger } from '../solana/LocalMemoLedger';
+import { connectionProvider, SolanaCluster } from '../shared/ConnectionProvider';
+import { SolanaMemoBuilder } from '../solana/utils/SolanaMemoBuilder';
+import { PostTransactionReader } from '../PostTransactionReader';
+import { ChunkReaderService } from '../../story/ChunkReaderService';
+import { FeedService } from '../../feed/FeedService';
+import { CompressionService } from '../../compression/CompressionService';
+
+// Build the same memo payload SolanaPublisher writes for social posts
+const buildPostMemo = (content, previousPostHash) => {
+  const json = JSON.stringify({ glyphs: [{ content, previousPostHash, index: 0 }] });
+  return CompressionService.uint8ArrayToBase64(CompressionService.compress(json));
+};
+
+const sendMemo = async (ledger, memoText, keypair) => {
+  const memoBuilder = new SolanaMemoBuilder(ledger);
+  const transaction = await memoBuilder.buildMemoTransaction(new Uint8Array(0), keypair);
+  transaction.instructions.find(ix => ix.programId.equals(memoBuilder.MEMO_PROGRAM_ID)).data = Buffer.from(memoText, 'utf8');
+  transaction.sign(keypair);
+  return ledger.sendRawTransaction(transaction.serialize());
+};
+
+describe('LocalMemoLedger', () => {
+  let ledger;
+  let author;
+
+  beforeEach(() => {
+    ledger = new LocalMemoLedger();
+    author = Keypair.generate();
+  });
+
+  describe('Transactions', () => {
+
+    it('should land a signed memo transaction and return it in both RPC shapes', async () => {
+      const signature = await sendMemo(ledger, 'hello ledger', author);
+
+      const tx = await ledger.getTransaction(signature);
+      expect(tx.meta.err).toBeNull();
+      expect(tx.transaction.message.accountKeys[0].toBase58()).toBe(author.publicKey.toBase58());
+
+      const parsed = await ledger.getParsedTransaction(signature);
+      const memoIx = parsed.transaction.message.instructions.find(ix => ix.program === 'spl-memo');
+      expect(memoIx.program).toBe('spl-memo');
+      expect(memoIx.parsed).toBe('hello ledger');
+    });
+
+    it('should charge the fee payer per signature', async () => {
+      const before = await ledger.getBalance(author.publicKey);
+      await sendMemo(ledger, 'fee test', author);
+      const after = await ledger.getBalance(author.publicKey);
+
+      expect(before).toBe(10 * LAMPORTS_PER_SOL);
+      expect(before - after).toBe(5000);
+    });
+
+    it('should reject accounts that cannot pay the fee', async () => {
+      ledger = new LocalMemoLedger({ initialBalanceLamports: 0 });
+      await expect(sendMemo(ledger, 'broke', author)).rejects.toThrow('no record of a prior credit');
+
+      await ledger.requestAirdrop(author.publicKey, LAMPORTS_PER_SOL);
+      await expect(sendMemo(ledger, 'funded', author)).resolves.toEqual(expect.any(String));
+    });
+
+    it('should reject duplicate and expired transactions', async () => {
+      const memoBuilder = new SolanaMemoBuilder(ledger);
+      const transaction = await memoBuilder.buildMemoTransaction(new Uint8Array([1, 2, 3]), author);
+      transaction.sign(author);
+      const raw = transaction.serialize();
+
+      await ledger.sendRawTransaction(raw);
+      await expect(ledger.sendRawTransaction(raw)).rejects.toThrow('already been processed');
+
+      ledger = new LocalMemoLedger({ blockhashValidity: 0 });
+      const stale = await new SolanaMemoBuilder(ledger).buildMemoTransaction(new Uint8Array([4]), author);
+      await ledger.requestAirdrop(author.publicKey, 1); // advances the block height
+      stale.sign(author);
+      await expect(ledger.sendRawTransaction(stale.serialize())).rejects.toThrow('Blockhash not found');
+    });
+
+    it('should list signatures for an address newest first with memo text', async () => {
+      const first = await sendMemo(ledger, 'first', author);
+      const second = await sendMemo(ledger, 'second', author);
+
+      const signatures = await ledger.getSignaturesForAddress(author.publicKey);
+      expect(signatures.map(s => s.signature)).toEqual([second, first]);
+      expect(signatures[0].memo).toBe('[6] second');
+
+      const older = await ledger.getSignaturesForAddress(author.publicKey, { before: second });
+      expect(older.map(s => s.signature)).toEqual([first]);
+    });
+
+  });
+
+  describe('Reader services', () => {
+
+    afterEach(() => {
+      connectionProvider.setCluster(SolanaCluster.DEVNET);
+    });
+
+    it('should walk a post chain through FeedService using the provider ledger', async () => {
+      const shared = connectionProvider.useLocalLedger();
+      const firstHash = await sendMemo(shared, buildPostMemo('First post', null), author);
+      const secondHash = await sendMemo(shared, buildPostMemo('Second post', firstHash), author);
+
+      const feed = new FeedService();
+      const posts = await feed.getUserRecentPosts(author.publicKey.toBase58(), 'alice', secondHash, 5);
+
+      expect(posts.map(p => p.content)).toEqual(['Second post', 'First post']);
+      expect(posts[0].previousPostHash).toBe(firstHash);
+    });
+
+    it('should read chunk bytes through ChunkReaderService', async () => {
+      const memo = CompressionService.uint8ArrayToBase64(CompressionService.compress('chunk text'));
+      const signature = await sendMemo(ledger, memo, author);
+
+      const reader = new ChunkReaderService(ledger);
+      const bytes = await reader.fetchSingleChunk(signature);
+
+      expect(CompressionService.decompress(bytes)).toBe('chunk text');
+    });
+
+    it('should let injected connections override the provider', async () => {
+      connectionProvider.useLocalLedger();
+      const reader = new PostTransactionReader(ledger);
+
+      expect(reader.connection).toBe(ledger);
+      expect(reader.memoBuilder.connection).toBe(ledger);
+    });
+
+  });
+});
+
+// Character count: 6166
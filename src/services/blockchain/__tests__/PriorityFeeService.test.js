@@ -0,0 +1,212 @@
+// src/services/blockchain/__tests__/PriorityFeeService.test.js
+// Path: src/services/blockchain/__tests__/PriorityFeeService.test.js
+
+/**
+ * PriorityFeeService Tests
+ *
+ * Priority fee strategies on the local ledger: compute budget instructions are
+ * attached to memo transactions and charged, percentile quotes follow recent
+ * fees within their cap, a publication's fee budget bounds what it spends
+ * and what its estimate reports, and cost estimates priced with
+ * getFeeForMessage match what publishing actually spends.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Keypair } from '@solana/web3.js';
+import { PriorityFeeService } from '../solana/utils/PriorityFeeService';
+import { LocalMemoLedger } from '../solana/LocalMemoLedger';
+import { SolanaPublisher } from '../solana/SolanaPublisher';
+import { SolanaMemoBuilder } from '../solana/utils/SolanaMemoBuilder';
+import { blockchainServices } from '../BlockchainService';
+import { KeypairSigner } from '../../wallet/KeypairSigner';
+import PublishingServiceM from '../../publishing/PublishingService-M';
+import ChunkManagerM from '../../glyph/processing/ChunkManager-M';
+
+jest.mock('expo-crypto', () => jest.requireActual('../../../../__tests__/__mocks__/expo-crypto-sha256'));
+
+const authorKeypair = Keypair.fromSeed(new Uint8Array(32).fill(51));
+const signer = new KeypairSigner(authorKeypair);
+
+describe('PriorityFeeService', () => {
+  let ledger;
+  let publisher;
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    ledger = new LocalMemoLedger();
+    publisher = new SolanaPublisher(ledger);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Strategies', () => {
+
+    it('should attach compute budget instructions and pay the fixed priority fee', async () => {
+      // Arrange
+      publisher.priorityFees.configure({ strategy: 'fixed', microLamports: 20000, computeUnitLimit: 50000 });
+      const before = await ledger.getBalance(authorKeypair.publicKey);
+
+      // Act
+      const signature = await publisher.publishSingleTransaction('priority memo', signer);
+
+      // Assert - 5000 base + ceil(20000 * 50000 / 1e6) = 1000 priority
+      const tx = await ledger.getTransaction(signature);
+      expect(tx.meta.fee).toBe(6000);
+      expect(before - await ledger.getBalance(authorKeypair.publicKey)).toBe(6000);
+      expect(tx.transaction.message.instructions).toHaveLength(3);
+      await expect(ledger.getRecentPrioritizationFees()).resolves.toEqual([{ slot: tx.slot, prioritizationFee: 20000 }]);
+    });
+
+    it('should only set a compute unit limit when there is no priority fee', async () => {
+      // Arrange
+      const memoBuilder = new SolanaMemoBuilder(ledger);
+      memoBuilder.priorityFees.configure({ strategy: 'none' });
+
+      // Act
+      const transaction = await memoBuilder.buildMemoTransaction(new Uint8Array([1, 2, 3]), authorKeypair);
+      transaction.sign(authorKeypair);
+      const signature = await ledger.sendRawTransaction(transaction.serialize());
+
+      // Assert
+      expect(transaction.instructions).toHaveLength(2);
+      expect((await ledger.getTransaction(signature)).meta.fee).toBe(5000);
+    });
+
+    it('should quote a percentile of recent fees within the cap', async () => {
+      // Arrange - land transactions paying 1000..10000 µlamports/CU
+      const payer = new PriorityFeeService(ledger, { strategy: 'fixed' });
+      for (let n = 1; n <= 10; n++) {
+        payer.configure({ microLamports: n * 1000 });
+        await publisher.publishSingleTransaction(`fee ${n}`, signer, { priorityFee: await payer.getPriorityFee() });
+      }
+      const service = new PriorityFeeService(ledger, { strategy: 'percentile', percentile: 75 });
+
+      // Act
+      const quote = await service.getPriorityFee();
+      const capped = await service.getPriorityFee({ maxMicroLamports: 2500 });
+
+      // Assert
+      expect(quote).toMatchObject({ strategy: 'percentile', microLamports: 8000, priorityFeeLamports: 400 });
+      expect(capped.microLamports).toBe(2500);
+      expect(service.peekPriorityFee().microLamports).toBe(8000);
+      expect(new PriorityFeeService(ledger, { maxMicroLamports: 5000 }).peekPriorityFee().microLamports).toBe(5000);
+    });
+
+    it('should reject invalid configuration', () => {
+      expect(() => new PriorityFeeService(ledger, { strategy: 'auction' })).toThrow('Unknown priority fee strategy');
+      expect(() => new PriorityFeeService(ledger, { minMicroLamports: 10, maxMicroLamports: 5 })).toThrow('minimum exceeds maximum');
+      expect(() => PriorityFeeService.capForBudget(9999, 2, 50000)).toThrow('does not cover the base fees');
+    });
+
+  });
+
+  describe('Publication fee budgets', () => {
+    let pkg;
+
+    beforeEach(async () => {
+      jest.spyOn(blockchainServices, 'getPublisher').mockReturnValue(publisher);
+      pkg = await ChunkManagerM.prepareStoryForManifestPublishing(
+        'Lanterns swung along the quay while the ferry waited. '.repeat(20), 'Quay', authorKeypair.publicKey.toBase58()
+      );
+    });
+
+    it('should cap priority fees so the publication stays within its budget', async () => {
+      // Arrange - the fixed price alone would cost 50000 lamports per transaction
+      publisher.priorityFees.configure({ strategy: 'fixed', microLamports: 1000000, computeUnitLimit: 50000 });
+      const memos = 1 + pkg.hashListChunks.length + pkg.contentChunks.length;
+      const feeBudgetLamports = memos * 7000;
+      const before = await ledger.getBalance(authorKeypair.publicKey);
+
+      // Act
+      const result = await PublishingServiceM.publishStoryWithManifest(pkg, signer, null, { feeBudgetLamports });
+
+      // Assert - priority fees were paid, but only up to the budget
+      const spent = before - await ledger.getBalance(authorKeypair.publicKey);
+      expect(spent).toBe(result.fees.spentLamports);
+      expect(spent).toBeLessThanOrEqual(feeBudgetLamports);
+      expect(spent).toBeGreaterThan(result.transactionCount * PriorityFeeService.BASE_FEE_LAMPORTS);
+    });
+
+    it('should stop before sending when the budget cannot cover base fees', async () => {
+      // Act & Assert
+      await expect(PublishingServiceM.publishStoryWithManifest(pkg, signer, null, { feeBudgetLamports: 5000 }))
+        .rejects.toThrow('does not cover the base fees');
+      expect(ledger.getStats().transactions).toBe(0);
+    });
+
+    it('should include the priority fee in the estimate', () => {
+      // Arrange
+      publisher.priorityFees.configure({ strategy: 'fixed', microLamports: 40000, computeUnitLimit: 50000 });
+      const memos = 1 + pkg.hashListChunks.length + pkg.contentChunks.length;
+
+      // Act
+      const estimate = PublishingServiceM.estimatePublishing(pkg);
+      const budgeted = PublishingServiceM.estimatePublishing(pkg, { feeBudgetLamports: memos * 5500 });
+
+      // Assert - 5000 base per transaction, plus 2000 priority lamports per memo (500 under the budget)
+      const { transactions } = estimate.totals;
+      expect(estimate.totals.memos).toBe(memos);
+      expect(estimate.totals.priorityFee).toMatchObject({ strategy: 'fixed', lamportsPerMemo: 2000 });
+      expect(estimate.totals.estimatedCostLamports).toBe(transactions * 5000 + memos * 2000);
+      expect(estimate.phases.manifest.costSOL).toBeCloseTo(0.000007, 9);
+      expect(budgeted.totals.estimatedCostLamports).toBe(transactions * 5000 + memos * 500);
+      expect(budgeted.totals.estimatedCostLamports).toBeLessThanOrEqual(memos * 5500);
+    });
+
+  });
+
+  describe('Cost estimates', () => {
+    let pkg;
+
+    beforeEach(async () => {
+      jest.spyOn(blockchainServices, 'getPublisher').mockImplementation(() => publisher);
+      publisher.priorityFees.configure({ strategy: 'fixed', microLamports: 10000, computeUnitLimit: 50000 });
+      pkg = await ChunkManagerM.prepareStoryForManifestPublishing(
+        'Gulls circled the harbour wall until the fog lifted. '.repeat(20), 'Harbour', authorKeypair.publicKey.toBase58()
+      );
+    });
+
+    it('should price each tier with getFeeForMessage and match what publishing spends', async () => {
+      // Arrange
+      const feeForMessage = jest.spyOn(ledger, 'getFeeForMessage');
+      const before = await ledger.getBalance(authorKeypair.publicKey);
+
+      // Act
+      const estimate = await PublishingServiceM.estimatePublishingCost(pkg, authorKeypair.publicKey);
+      const result = await PublishingServiceM.publishStoryWithManifest(pkg, signer);
+
+      // Assert - tiers add up, and the estimate is exactly what the ledger charged
+      const { manifest, hashLists, content } = estimate.tiers;
+      expect(feeForMessage).toHaveBeenCalled();
+      expect(manifest).toMatchObject({ transactions: 1, memos: 1, baseFeeLamports: 5000, priorityFeeLamports: 500, rentLamports: 0 });
+      expect(hashLists.memos).toBe(pkg.hashListChunks.length);
+      expect(content.memos).toBe(pkg.contentChunks.length);
+      expect(estimate.totals.totalLamports).toBe(manifest.totalLamports + hashLists.totalLamports + content.totalLamports);
+      expect(estimate.totals.transactions).toBe(result.transactionCount);
+      expect(estimate.balance).toEqual({ lamports: before, sufficient: true, shortfallLamports: 0 });
+      expect(result.fees.estimatedLamports).toBe(estimate.totals.totalLamports);
+      expect(before - await ledger.getBalance(authorKeypair.publicKey)).toBe(estimate.totals.totalLamports);
+    });
+
+    it('should refuse to start publishing when the balance cannot cover the estimate', async () => {
+      // Arrange - enough for the manifest, not the whole story
+      ledger = new LocalMemoLedger({ initialBalanceLamports: 6000 });
+      publisher = new SolanaPublisher(ledger);
+      publisher.priorityFees.configure({ strategy: 'none' });
+
+      // Act
+      const estimate = await PublishingServiceM.estimatePublishingCost(pkg, authorKeypair.publicKey);
+
+      // Assert
+      expect(estimate.balance).toMatchObject({ lamports: 6000, sufficient: false });
+      expect(estimate.balance.shortfallLamports).toBe(estimate.totals.totalLamports - 6000);
+      await expect(PublishingServiceM.publishStoryWithManifest(pkg, signer)).rejects.toThrow('Insufficient balance');
+      expect(ledger.getStats().transactions).toBe(0);
+    });
+
+  });
+});
+
+// Character count: 10236
@@ -0,0 +1,179 @@
+// src/services/blockchain/__tests__/ReactionService.test.js
+// Path: src/services/blockchain/__tests__/ReactionService.test.js
+
+/**
+ * ReactionService Tests
+ *
+ * Reactions on the local ledger: published one per memo or batched into a
+ * digest, counted per post for every reactor, with the viewer's own
+ * reactions (pending ones included) marked, and LIKES lane items recorded.
+ */
+
+import { Keypair } from '@solana/web3.js';
+import bs58 from 'bs58';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { ReactionService } from '../ReactionService';
+import { Reaction } from '../shared/models/Reaction';
+import { LocalMemoLedger } from '../solana/LocalMemoLedger';
+import { PendingReactionStorage } from '../../storage/content/PendingReactionStorage';
+import { userGraphService } from '../../graph/UserGraphService';
+import { GraphLane } from '../../graph/GraphLanes';
+import { KeypairSigner } from '../../wallet/KeypairSigner';
+
+jest.mock('expo-crypto', () => jest.requireActual('../../../../__tests__/__mocks__/expo-crypto-sha256'));
+
+const txId = (fill) => bs58.encode(new Uint8Array(64).fill(fill));
+
+const viewerKeypair = Keypair.fromSeed(new Uint8Array(32).fill(141));
+const friendKeypair = Keypair.fromSeed(new Uint8Array(32).fill(142));
+const VIEWER = viewerKeypair.publicKey.toBase58();
+const FRIEND = friendKeypair.publicKey.toBase58();
+
+describe('ReactionService', () => {
+  let ledger;
+  let service;
+  let viewer;
+  let friend;
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    ledger = new LocalMemoLedger();
+    service = new ReactionService(ledger);
+    viewer = new KeypairSigner(viewerKeypair);
+    friend = new KeypairSigner(friendKeypair);
+  });
+
+  it('should round-trip reaction and digest memos and pack digests to fit', () => {
+    // Arrange
+    const reaction = new Reaction({ targetId: txId(1), reaction: 'fire', ts: 1760000000 });
+    const reactions = Array.from({ length: 12 }, (_, i) =>
+      new Reaction({ targetId: txId(i + 1), reaction: 'like', ts: 1760000000 + i, removed: i === 0 }));
+
+    // Act
+    const [restored] = Reaction.fromMemoData(reaction.toMemoData());
+    const batches = Reaction.packDigests(reactions, 1760000100);
+    const unpacked = batches.flatMap(batch => Reaction.fromMemoData(Reaction.toDigestMemoData(batch, 1760000100)));
+
+    // Assert
+    expect(restored.toJSON()).toEqual(reaction.toJSON());
+    expect(Reaction.looksLikeReaction(reaction.toMemoData())).toBe(true);
+    expect(batches.length).toBeGreaterThan(1);
+    expect(unpacked.map(item => item.toJSON())).toEqual(reactions.map(item => item.toJSON()));
+    expect(unpacked[0].toLikeItem()).toEqual({ targetId: txId(1), timestamp: 1760000000, reactionKind: '-like' });
+    expect(() => new Reaction({ targetId: txId(1), reaction: 'angry', ts: 1 })).toThrow('Invalid reaction code');
+  });
+
+  it('should publish a reaction on its own and record it in the LIKES lane', async () => {
+    // Arrange
+    const user = {
+      username: 'viewer',
+      publicKey: VIEWER,
+      transactionHash: txId(20),
+      parentGenesis: txId(21)
+    };
+    await userGraphService.clearGraph(user);
+
+    // Act
+    const result = await service.react({ targetId: txId(3), reaction: 'like' }, viewer, { batch: false, user });
+    const read = await service.memoBuilder.readReactions(result.transactionHashes[0]);
+    const current = await service.getReactionsBy(VIEWER, { refresh: true });
+
+    // Assert
+    expect(result.queued).toBe(false);
+    expect(read.signers).toContain(VIEWER);
+    expect(read.reactions.map(reaction => reaction.reaction)).toEqual(['like']);
+    expect([...current.get(txId(3))]).toEqual(['like']);
+    expect(await userGraphService.getLaneItems(user, GraphLane.LIKES)).toEqual([
+      expect.objectContaining({ targetId: txId(3), reactionKind: 'like' })
+    ]);
+  });
+
+  it('should batch queued reactions into one digest once it comes due', async () => {
+    // Arrange
+    const queued = [];
+    for (const [fill, reaction] of [[4, 'like'], [5, 'wow'], [6, 'clap']]) {
+      queued.push(await service.react({ targetId: txId(fill), reaction }, viewer));
+    }
+
+    // Act
+    const early = await service.flushDueDigest(viewer);
+    const due = await service.flushDueDigest(viewer, { now: Date.now() + ReactionService.DIGEST_INTERVAL_MS });
+    const read = await service.memoBuilder.readReactions(due.transactionHashes[0]);
+
+    // Assert
+    expect(queued.every(result => result.queued)).toBe(true);
+    expect(early.transactionHashes).toEqual([]);
+    expect(due.transactionHashes).toHaveLength(1);
+    expect(read.reactions.map(reaction => reaction.reaction)).toEqual(['like', 'wow', 'clap']);
+    expect(await PendingReactionStorage.getPending(VIEWER)).toEqual([]);
+  });
+
+  it('should publish a single queued reaction once the digest interval passes', async () => {
+    // Arrange - hold the digest timer instead of letting it fire at once
+    const realSetTimeout = global.setTimeout;
+    const timers = [];
+    global.setTimeout = (callback, delay) => {
+      timers.push({ callback, delay });
+      return timers.length;
+    };
+    const realNow = Date.now;
+    let result;
+
+    try {
+      result = await service.react({ targetId: txId(7), reaction: 'like' }, viewer);
+      const queuedAt = realNow();
+      Date.now = () => queuedAt + ReactionService.DIGEST_INTERVAL_MS;
+
+      // Act
+      await timers[0].callback();
+    } finally {
+      global.setTimeout = realSetTimeout;
+      Date.now = realNow;
+    }
+    const current = await service.getReactionsBy(VIEWER, { refresh: true });
+
+    // Assert
+    expect(result.queued).toBe(true);
+    expect(timers).toHaveLength(1);
+    expect(timers[0].delay).toBeGreaterThan(ReactionService.DIGEST_INTERVAL_MS - 1000);
+    expect(await PendingReactionStorage.getPending(VIEWER)).toEqual([]);
+    expect(ledger.getStats().transactions).toBe(1);
+    expect([...current.get(txId(7))]).toEqual(['like']);
+  });
+
+  it('should count reactions per post and mark the viewer\'s, pending and removed ones included', async () => {
+    // Arrange
+    const posts = [{ transactionHash: txId(7) }, { transactionHash: txId(8) }];
+    await service.react({ targetId: txId(7), reaction: 'like' }, friend, { batch: false });
+    await service.react({ targetId: txId(7), reaction: 'laugh' }, friend, { batch: false });
+    await service.react({ targetId: txId(8), reaction: 'like' }, viewer, { batch: false });
+    await service.react({ targetId: txId(8), reaction: 'like', removed: true }, viewer, { batch: false });
+    await service.react({ targetId: txId(7), reaction: 'like' }, viewer);
+
+    // Act
+    const counted = await service.attachReactions(posts, { reactors: [FRIEND], viewerPublicKey: VIEWER });
+    const unliked = ReactionService.applyViewerReaction(counted[0], 'like', true);
+
+    // Assert
+    expect(counted[0]).toMatchObject({ reactions: { like: 2, laugh: 1 }, reactionCount: 3, viewerReactions: ['like'] });
+    expect(counted[1]).toMatchObject({ reactions: {}, reactionCount: 0, viewerReactions: [] });
+    expect(unliked).toMatchObject({ reactions: { like: 1, laugh: 1 }, reactionCount: 2, viewerReactions: [] });
+  });
+
+  it('should ignore reactions in transactions the reactor did not sign', async () => {
+    // Arrange
+    const reaction = new Reaction({ targetId: txId(9), reaction: 'like', ts: Math.floor(Date.now() / 1000) });
+    const transaction = await service.memoBuilder.buildMemoTransaction(reaction.toMemoData(), friend, { encoding: 'utf8' });
+    await service.memoBuilder.submitTransaction(transaction, friend, 'Reaction');
+
+    // Act
+    const viewerReactions = await service.getReactionsBy(VIEWER, { refresh: true });
+    const friendReactions = await service.getReactionsBy(FRIEND, { refresh: true });
+
+    // Assert
+    expect(viewerReactions.size).toBe(0);
+    expect([...friendReactions.get(txId(9))]).toEqual(['like']);
+  });
+});
+
+// Character count: 7884
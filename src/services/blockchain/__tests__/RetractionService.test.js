@@ -0,0 +1,163 @@
+// src/services/blockchain/__tests__/RetractionService.test.js
+// Path: src/services/blockchain/__tests__/RetractionService.test.js
+
+/**
+ * RetractionService Tests
+ *
+ * Signed retract memos on the local ledger: readers hide what an author has
+ * retracted (or mark it when asked to show retracted items), tombstones from
+ * anyone else are ignored, and retractions land in the REVOCATIONS lane.
+ */
+
+import { Keypair } from '@solana/web3.js';
+import bs58 from 'bs58';
+import { RetractionService } from '../RetractionService';
+import { PostTransactionReader } from '../PostTransactionReader';
+import { Retraction } from '../shared/models/Retraction';
+import { LocalMemoLedger } from '../solana/LocalMemoLedger';
+import { FeedService } from '../../feed/FeedService';
+import { CompressionService } from '../../compression/CompressionService';
+import { userGraphService } from '../../graph/UserGraphService';
+import { GraphLane } from '../../graph/GraphLanes';
+import { KeypairSigner } from '../../wallet/KeypairSigner';
+
+jest.mock('expo-crypto', () => jest.requireActual('../../../../__tests__/__mocks__/expo-crypto-sha256'));
+
+const txId = (fill) => bs58.encode(new Uint8Array(64).fill(fill));
+
+const authorKeypair = Keypair.fromSeed(new Uint8Array(32).fill(81));
+const forgerKeypair = Keypair.fromSeed(new Uint8Array(32).fill(82));
+const AUTHOR = authorKeypair.publicKey.toBase58();
+
+describe('RetractionService', () => {
+  let ledger;
+  let service;
+  let author;
+  let forger;
+
+  beforeEach(() => {
+    ledger = new LocalMemoLedger();
+    service = new RetractionService(ledger);
+    author = new KeypairSigner(authorKeypair);
+    forger = new KeypairSigner(forgerKeypair);
+  });
+
+  /**
+   * Publish a post memo the way PostPublishingService writes it
+   * @param {string} content - Post text
+   * @param {string|null} previousPostHash - Previous post in the author's chain
+   * @returns {Promise<string>} Post transaction hash
+   */
+  const publishPost = async (content, previousPostHash = null) => {
+    const json = JSON.stringify({ glyphs: [{ content, previousPostHash }] });
+    const memoData = Buffer.from(CompressionService.compressToBase64(json), 'utf8');
+    const transaction = await service.memoBuilder.buildMemoTransaction(memoData, author, { encoding: 'utf8' });
+    return await service.memoBuilder.submitTransaction(transaction, author, 'Post');
+  };
+
+  it('should round-trip a retraction memo and its REVOCATIONS item', () => {
+    // Arrange
+    const retraction = new Retraction({ targetKind: 'post', targetId: txId(3), reasonHash: null, ts: 1760000000 });
+
+    // Act
+    const memoData = retraction.toMemoData();
+    const restored = Retraction.fromMemoData(memoData);
+
+    // Assert
+    expect(Retraction.looksLikeRetraction(memoData)).toBe(true);
+    expect(restored.toJSON()).toEqual(retraction.toJSON());
+    expect(restored.toRevocationItem()).toEqual({
+      targetKind: 'post',
+      targetId: txId(3),
+      reasonHash: null,
+      timestamp: 1760000000
+    });
+    expect(() => new Retraction({ targetKind: 'reply', targetId: txId(3), ts: 1 })).toThrow('Invalid retraction target kind');
+  });
+
+  it('should mark a post retracted once its author signs a retraction', async () => {
+    // Arrange
+    const postHash = await publishPost('Something I regret posting');
+    const reader = new PostTransactionReader(ledger);
+    const before = await reader.readPostFromTransaction(postHash, 'author', AUTHOR);
+
+    // Act
+    const { retraction } = await service.retract({ targetKind: 'post', targetId: postHash, reason: 'Posted by mistake' }, author);
+    reader.clearCache();
+    const after = await reader.readPostFromTransaction(postHash, 'author', AUTHOR);
+
+    // Assert
+    expect(before.retracted).toBe(false);
+    expect(after.retracted).toBe(true);
+    expect(after.content).toBe('Something I regret posting');
+    expect(retraction.reasonHash).toMatch(/^[0-9a-f]{64}$/);
+    expect((await service.getRetractions(AUTHOR, { refresh: true })).get(postHash)).toMatchObject({ targetKind: 'post' });
+  });
+
+  it('should ignore retractions signed by someone other than the author', async () => {
+    // Arrange
+    const postHash = await publishPost('Nothing to retract here');
+    const tombstone = new Retraction({ targetKind: 'post', targetId: postHash, ts: Math.floor(Date.now() / 1000) });
+    const transaction = await service.memoBuilder.buildMemoTransaction(tombstone.toMemoData(), forger, { encoding: 'utf8' });
+    await service.memoBuilder.submitTransaction(transaction, forger, 'Forged retraction');
+
+    // Act
+    const retracted = await service.isRetracted(AUTHOR, postHash);
+
+    // Assert
+    expect(retracted).toBe(false);
+    expect((await service.getRetractions(AUTHOR)).size).toBe(0);
+  });
+
+  it('should skip retracted posts in the feed unless asked to show them', async () => {
+    // Arrange
+    const first = await publishPost('First post');
+    const second = await publishPost('Second post', first);
+    const third = await publishPost('Third post', second);
+    await service.retract({ targetKind: 'post', targetId: third }, author);
+    const feed = new FeedService(ledger);
+
+    // Act
+    const visible = await feed.getUserRecentPosts(AUTHOR, 'author', third, 2);
+    const all = await feed.getUserRecentPosts(AUTHOR, 'author', third, 2, { showRetracted: true });
+
+    // Assert
+    expect(visible.map(post => post.content)).toEqual(['Second post', 'First post']);
+    expect(all.map(post => [post.content, post.retracted])).toEqual([
+      ['Third post', true],
+      ['Second post', false],
+      ['First post', false]
+    ]);
+  });
+
+  it('should filter retracted stories and record them in the REVOCATIONS lane', async () => {
+    // Arrange
+    const user = {
+      username: 'author',
+      publicKey: AUTHOR,
+      transactionHash: txId(2),
+      parentGenesis: txId(1)
+    };
+    await userGraphService.clearGraph(user);
+    const stories = [
+      { storyId: txId(4), title: 'Kept', authorPublicKey: AUTHOR },
+      { storyId: txId(5), title: 'Retracted', authorPublicKey: AUTHOR }
+    ];
+
+    // Act
+    const { revocation } = await service.retract({ targetKind: 'story', targetId: txId(5) }, author, { user });
+    const options = { getTargetIds: story => [story.storyId] };
+    const hidden = await service.filterRetracted(stories, options);
+    const shown = await service.filterRetracted(stories, { ...options, showRetracted: true });
+
+    // Assert
+    expect(hidden.map(story => story.title)).toEqual(['Kept']);
+    expect(shown.map(story => !!story.retracted)).toEqual([false, true]);
+    expect(revocation).toMatchObject({ lane: GraphLane.REVOCATIONS, index: 0 });
+    expect(await userGraphService.getLaneItems(user, GraphLane.REVOCATIONS)).toEqual([
+      expect.objectContaining({ targetKind: 'story', targetId: txId(5), reasonHash: null })
+    ]);
+  });
+});
+
+// Character count: 6842
@@ -0,0 +1,129 @@
+// src/services/blockchain/shared/AuthorSignature.js
+// Path: src/services/blockchain/shared/AuthorSignature.js
+import { PublicKey } from '@solana/web3.js';
+import { ed25519 } from '@noble/curves/ed25519';
+import { utf8ToBytes } from '@noble/hashes/utils';
+import bs58 from 'bs58';
+
+/**
+ * AuthorSignature - Ed25519 signatures by an author key over a memo payload
+ *
+ * Who paid for a transaction says nothing about who wrote its memo, so
+ * manifests and posts carry the author's own signature over their canonical
+ * payload and can be relayed by any fee payer.
+ *
+ * Signed bytes: UTF-8(domain || "\0" || canonical JSON), where canonical JSON
+ * sorts object keys and drops undefined values. The domain keeps a signature
+ * over one payload type from being replayed as another.
+ */
+export class AuthorSignature {
+  static Domain = {
+    MANIFEST: 'glyffiti-manifest-sig-v1',
+    POST: 'glyffiti-post-sig-v1'
+  };
+
+  static Status = {
+    VALID: 'valid',
+    MISSING: 'missing',
+    INVALID: 'invalid'
+  };
+
+  /**
+   * Canonical JSON: object keys sorted, undefined values dropped
+   * @param {*} value - JSON-compatible value
+   * @returns {string} Canonical JSON text
+   */
+  static canonicalize(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => AuthorSignature.canonicalize(item === undefined ? null : item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      const entries = Object.keys(value)
+        .filter(key => value[key] !== undefined)
+        .sort()
+        .map(key => `${JSON.stringify(key)}:${AuthorSignature.canonicalize(value[key])}`);
+      return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  /**
+   * Signed fields of a social post: its text, its link to the author's
+   * previous post, the author key, for a reply the post it answers and the
+   * root of its thread, the users it mentions and its tags, and the post it
+   * reposts or quotes and its re-glyph cap. Fields a post does not have are
+   * left out, so older payloads (and signatures) are unchanged.
+   * @param {string} content - Post text
+   * @param {string|null} previousPostHash - Previous post in the author's chain
+   * @param {string} author - Author's public key
+   * @param {Object} [reply] - { replyTo, threadId } transaction hashes of a reply's parent and thread root
+   * @param {Object} [entities] - { mentions, tags } glyph fields from PostEntities.toMemoFields
+   * @param {Object} [share] - { repostOf, quoteOf, reGlyphCap } glyph fields from PostShare.toMemoFields
+   * @returns {Object} Payload for Domain.POST
+   */
+  static postPayload(content, previousPostHash, author, reply = null, entities = null, share = null) {
+    return {
+      content,
+      previousPostHash: previousPostHash ?? null,
+      author,
+      replyTo: reply?.replyTo || undefined,
+      threadId: reply?.replyTo ? (reply.threadId || reply.replyTo) : undefined,
+      mentions: entities?.mentions || undefined,
+      tags: entities?.tags || undefined,
+      repostOf: share?.repostOf || undefined,
+      quoteOf: share?.quoteOf || undefined,
+      reGlyphCap: share?.reGlyphCap ?? undefined
+    };
+  }
+
+  /**
+   * Bytes an author signs for a payload
+   * @param {string} domain - One of AuthorSignature.Domain
+   * @param {Object} payload - Payload without its signature
+   * @returns {Uint8Array} Signed bytes
+   */
+  static signingBytes(domain, payload) {
+    return utf8ToBytes(`${domain}\0${AuthorSignature.canonicalize(payload)}`);
+  }
+
+  /**
+   * Sign a payload with the author's key
+   * @param {string} domain - One of AuthorSignature.Domain
+   * @param {Object} payload - Payload without its signature
+   * @param {TransactionSigner} authorSigner - Signer holding the author key
+   * @returns {Promise<string>} Base58 signature
+   */
+  static async sign(domain, payload, authorSigner) {
+    if (!authorSigner || typeof authorSigner.signMessage !== 'function') {
+      throw new Error('Author signer must be able to sign messages');
+    }
+    const signature = await authorSigner.signMessage(AuthorSignature.signingBytes(domain, payload));
+    return bs58.encode(signature);
+  }
+
+  /**
+   * Check an author signature over a payload
+   * @param {string} domain - One of AuthorSignature.Domain
+   * @param {Object} payload - Payload without its signature
+   * @param {string|null} signature - Base58 signature, if any
+   * @param {string} authorPublicKey - Claimed author
+   * @returns {string} AuthorSignature.Status value
+   */
+  static verify(domain, payload, signature, authorPublicKey) {
+    if (!signature) {
+      return AuthorSignature.Status.MISSING;
+    }
+    try {
+      const valid = ed25519.verify(
+        bs58.decode(signature),
+        AuthorSignature.signingBytes(domain, payload),
+        new PublicKey(authorPublicKey).toBytes()
+      );
+      return valid ? AuthorSignature.Status.VALID : AuthorSignature.Status.INVALID;
+    } catch (error) {
+      return AuthorSignature.Status.INVALID;
+    }
+  }
+}
+
+// Character count: 4979
@@ -0,0 +1,186 @@
+// src/services/blockchain/shared/ConnectionProvider.js
+// Path: src/services/blockchain/shared/ConnectionProvider.js
+
+import { Connection } from '@solana/web3.js';
+import { LocalMemoLedger } from '../solana/LocalMemoLedger';
+
+/**
+ * Named Solana clusters the app knows how to connect to
+ */
+export const SolanaCluster = {
+  DEVNET: 'devnet',
+  MAINNET: 'mainnet',
+  CUSTOM: 'custom',
+  LOCAL: 'local'
+};
+
+/**
+ * RPC endpoints for the built-in clusters
+ */
+export const CLUSTER_ENDPOINTS = {
+  [SolanaCluster.DEVNET]: 'https://api.devnet.solana.com',
+  [SolanaCluster.MAINNET]: 'https://api.mainnet-beta.solana.com'
+};
+
+/**
+ * Connection Provider Service
+ *
+ * Single source of Solana connections for every blockchain service. Services ask
+ * the provider for the active connection instead of constructing their own, so
+ * switching clusters (devnet, mainnet, a custom RPC URL or the in-memory
+ * LocalMemoLedger) happens in one place.
+ *
+ * The LOCAL cluster lets the whole publish → feed → story-read loop run offline
+ * and inside Jest without touching devnet.
+ */
+export class ConnectionProvider {
+  /**
+   * @param {Object} [options] - Provider options
+   * @param {string} [options.cluster] - Initial cluster (defaults to devnet)
+   * @param {string} [options.url] - RPC URL when cluster is 'custom'
+   * @param {string} [options.commitment] - Default commitment level
+   */
+  constructor(options = {}) {
+    this.commitment = options.commitment || 'confirmed';
+    this.cluster = null;
+    this.endpoint = null;
+    this._connection = null;
+    this._listeners = new Set();
+
+    const envUrl = typeof process !== 'undefined' ? process.env.REACT_APP_SOLANA_RPC_URL : null;
+    const initialCluster = options.cluster || (envUrl ? SolanaCluster.CUSTOM : SolanaCluster.DEVNET);
+
+    this.setCluster(initialCluster, { url: options.url || envUrl });
+  }
+
+  /**
+   * Get the active connection
+   * @returns {Connection|LocalMemoLedger} Active connection
+   */
+  getConnection() {
+    return this._connection;
+  }
+
+  /**
+   * Switch to a named cluster or a custom RPC URL
+   * @param {string} cluster - One of SolanaCluster
+   * @param {Object} [options] - Cluster options
+   * @param {string} [options.url] - RPC URL (required for 'custom')
+   * @param {Object} [options.ledger] - LocalMemoLedger options (for 'local')
+   * @returns {Connection|LocalMemoLedger} The new active connection
+   */
+  setCluster(cluster, options = {}) {
+    let connection;
+    let endpoint;
+
+    switch (cluster) {
+      case SolanaCluster.DEVNET:
+      case SolanaCluster.MAINNET:
+        endpoint = CLUSTER_ENDPOINTS[cluster];
+        connection = new Connection(endpoint, this.commitment);
+        break;
+
+      case SolanaCluster.CUSTOM:
+        if (!options.url) {
+          throw new Error('A URL is required for a custom cluster');
+        }
+        endpoint = options.url;
+        connection = new Connection(endpoint, this.commitment);
+        break;
+
+      case SolanaCluster.LOCAL:
+        connection = new LocalMemoLedger(options.ledger);
+        endpoint = connection.rpcEndpoint;
+        break;
+
+      default:
+        throw new Error(`Unknown Solana cluster: ${cluster}`);
+    }
+
+    this._activate(cluster, endpoint, connection);
+    return connection;
+  }
+
+  /**
+   * Inject an already constructed connection (tests, custom transports)
+   * @param {Object} connection - Connection-compatible object
+   * @param {string} [cluster='custom'] - Cluster label for the connection
+   * @returns {Object} The injected connection
+   */
+  setConnection(connection, cluster = SolanaCluster.CUSTOM) {
+    if (!connection) {
+      throw new Error('Connection is required');
+    }
+    this._activate(cluster, connection.rpcEndpoint || 'injected', connection);
+    return connection;
+  }
+
+  /**
+   * Switch to a fresh in-memory ledger
+   * @param {Object} [ledgerOptions] - LocalMemoLedger options
+   * @returns {LocalMemoLedger} The new ledger
+   */
+  useLocalLedger(ledgerOptions = {}) {
+    return this.setCluster(SolanaCluster.LOCAL, { ledger: ledgerOptions });
+  }
+
+  /**
+   * Check whether the active connection is the in-memory ledger
+   * @returns {boolean} True when running against LocalMemoLedger
+   */
+  isLocal() {
+    return this.cluster === SolanaCluster.LOCAL;
+  }
+
+  /**
+   * Get information about the active cluster
+   * @returns {Object} Cluster information
+   */
+  getClusterInfo() {
+    return {
+      cluster: this.cluster,
+      endpoint: this.endpoint,
+      commitment: this.commitment,
+      isLocal: this.isLocal()
+    };
+  }
+
+  /**
+   * Listen for cluster changes
+   * @param {Function} listener - Callback(clusterInfo, connection)
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  }
+
+  /**
+   * Set the active connection and notify listeners
+   * @param {string} cluster - Cluster label
+   * @param {string} endpoint - Endpoint description
+   * @param {Object} connection - Connection instance
+   * @private
+   */
+  _activate(cluster, endpoint, connection) {
+    this.cluster = cluster;
+    this.endpoint = endpoint;
+    this._connection = connection;
+
+    console.log(`ConnectionProvider: _activate: Using ${cluster} cluster (${endpoint})`);
+
+    const info = this.getClusterInfo();
+    this._listeners.forEach(listener => {
+      try {
+        listener(info, connection);
+      } catch (error) {
+        console.error('ConnectionProvider: _activate: Listener failed:', error);
+      }
+    });
+  }
+}
+
+// Export singleton instance
+export const connectionProvider = new ConnectionProvider();
+
+// Character count: 5226
@@ -5,10 +5,21 @@ import { StorageService } from '../../storage/StorageService';
 /**
  * Publishing Status Manager - Handles status tracking and progress management
  * Shared logic extracted from BlockChainPublisher for multi-currency support
+ * 
+ * Attached confirmation trackers report every transaction signature's state
+ * (sent, processed, confirmed, finalized, expired, failed); states of
+ * signatures sent for a content ID also appear on its status. Only the
+ * latest SIGNATURE_HISTORY_LIMIT signatures are kept, as in the tracker:
+ * manifest jobs send with a job ID rather than a content ID, so cleanup
+ * never removes theirs.
  */
 export class PublishingStatusManager {
+  // Signature states kept for getSignatureStatus (ConfirmationTracker's default history)
+  static SIGNATURE_HISTORY_LIMIT = 500;
+
   constructor() {
     this.activePublishing = new Map();
+    this.signatureStatuses = new Map(); // signature → latest ConfirmationTracker record
   }
 
   /**
@@ -29,6 +40,7 @@ export class PublishingStatusManager {
       failedGlyphs: 0,
       transactionIds: [],
       compressionStats: content.compressionStats,
+      signatures: {}, // signature → confirmation state
       error: null,
       scrollId: null
     };
@@ -64,6 +76,7 @@ export class PublishingStatusManager {
       failedGlyphs: failedGlyphs.length,
       transactionIds: publishedGlyphs.map(g => g.transactionId).filter(id => id),
       compressionStats: content.compressionStats,
+      signatures: {}, // signature → confirmation state
       error: null,
       scrollId: null
     };
@@ -275,7 +288,65 @@ export class PublishingStatusManager {
   cleanup(contentId) {
     if (contentId) {
       this.activePublishing.delete(contentId);
+      for (const [signature, record] of this.signatureStatuses) {
+        if (record.context?.contentId === contentId) {
+          this.signatureStatuses.delete(signature);
+        }
+      }
+    }
+  }
+
+  /**
+   * Follow a confirmation tracker's signature states
+   * @param {ConfirmationTracker} tracker - Tracker of a blockchain publisher
+   * @param {Function} [onProgress] - Called with a content's status when one of its signatures changes
+   * @returns {Function} Detach function
+   */
+  attachConfirmationTracker(tracker, onProgress = null) {
+    return tracker.subscribe(record => this.recordSignatureStatus(record, onProgress));
+  }
+
+  /**
+   * Record a signature's confirmation state
+   * @param {Object} record - ConfirmationTracker record ({ signature, status, context, ... })
+   * @param {Function} onProgress - Progress callback
+   */
+  recordSignatureStatus(record, onProgress = null) {
+    this.signatureStatuses.delete(record.signature); // Re-insert so the oldest records are dropped first
+    this.signatureStatuses.set(record.signature, record);
+    if (this.signatureStatuses.size > PublishingStatusManager.SIGNATURE_HISTORY_LIMIT) {
+      this.signatureStatuses.delete(this.signatureStatuses.keys().next().value);
+    }
+
+    const status = this.activePublishing.get(record.context?.contentId);
+    if (status) {
+      status.signatures = { ...status.signatures, [record.signature]: record.status };
+      onProgress && onProgress(status);
+    }
+  }
+
+  /**
+   * Latest confirmation state of a signature
+   * @param {string} signature - Transaction signature
+   * @returns {Object|null} ConfirmationTracker record or null
+   */
+  getSignatureStatus(signature) {
+    return this.signatureStatuses.get(signature) || null;
+  }
+
+  /**
+   * Confirmation states of the signatures sent for a content ID
+   * @param {string} contentId - Content ID
+   * @returns {Object} signature → state
+   */
+  getSignatureStatuses(contentId) {
+    const signatures = {};
+    for (const record of this.signatureStatuses.values()) {
+      if (record.context?.contentId === contentId) {
+        signatures[record.signature] = record.status;
+      }
     }
+    return signatures;
   }
 
   /**
@@ -369,4 +440,4 @@ export class PublishingStatusManager {
   }
 }
 
-// Character count: 9,247
\ No newline at end of file
+// Character count: 14,665
\ No newline at end of file
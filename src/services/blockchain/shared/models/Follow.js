@@ -0,0 +1,133 @@
+// src/services/blockchain/shared/models/Follow.js
+// Path: src/services/blockchain/shared/models/Follow.js
+import { utf8ToBytes } from '@noble/hashes/utils';
+import { PublicKey } from '@solana/web3.js';
+
+/**
+ * Follow Model
+ *
+ * A follow names the account being followed by its public key, and counts
+ * for the account that signed the transaction carrying it. Unfollowing
+ * publishes the same record with removed: true; for each follower and
+ * followee the newest record wins.
+ *
+ * Follows are public plain JSON:
+ *
+ *   {"v":1,"kind":"FOLLOW","target":...,"ts":...}
+ *
+ * Follows (not unfollows, which the lane has no field for) are also tracked
+ * as FOLLOWS lane items of the follower's user graph (ADR-006 §3.3), once the
+ * followee's user genesis hash is known:
+ *
+ *   H("ITEM\0" || "FOLL" || toUserGenesisHash || timestamp)
+ */
+export class Follow {
+  static VERSION = 1;
+
+  static KIND = 'FOLLOW';
+
+  static MAX_MEMO_BYTES = 566;
+
+  /**
+   * @param {Object} fields - Follow fields
+   * @param {string} fields.target - Public key (base58) of the account followed
+   * @param {number} fields.ts - Unix seconds when the follow was made
+   * @param {boolean} [fields.removed=false] - The follower unfollows the target
+   */
+  constructor({ target, ts, removed = false }) {
+    try {
+      new PublicKey(target);
+    } catch (error) {
+      throw new Error(`Invalid follow target: ${target}`);
+    }
+    if (!Number.isSafeInteger(ts) || ts < 0) {
+      throw new Error('Follow ts is required');
+    }
+
+    this.v = Follow.VERSION;
+    this.kind = Follow.KIND;
+    this.target = target;
+    this.ts = ts;
+    this.removed = !!removed;
+  }
+
+  /**
+   * Plain object in memo field order
+   * @returns {Object} Follow memo object
+   */
+  toJSON() {
+    return {
+      v: this.v,
+      kind: this.kind,
+      target: this.target,
+      ts: this.ts,
+      ...(this.removed ? { removed: true } : {})
+    };
+  }
+
+  /**
+   * FOLLOWS lane item for the follower's user graph
+   * @param {string} toUserGenesisHash - Followee's user genesis hash (hex)
+   * @returns {Object} { toUserGenesisHash, timestamp }
+   */
+  toFollowItem(toUserGenesisHash) {
+    if (this.removed) {
+      throw new Error('Unfollows have no FOLLOWS lane item');
+    }
+    return {
+      toUserGenesisHash,
+      timestamp: this.ts
+    };
+  }
+
+  /**
+   * Encode the follow as memo bytes (UTF-8 JSON)
+   * @returns {Uint8Array} Memo data
+   * @throws {Error} If the memo would not fit in a transaction
+   */
+  toMemoData() {
+    const memoData = utf8ToBytes(JSON.stringify(this.toJSON()));
+    if (memoData.length > Follow.MAX_MEMO_BYTES) {
+      throw new Error(`Follow memo too large: ${memoData.length} bytes (max ${Follow.MAX_MEMO_BYTES})`);
+    }
+    return memoData;
+  }
+
+  /**
+   * Check whether memo text or bytes look like a follow (cheap pre-check before parsing)
+   * @param {Uint8Array|string} memoData - Raw memo bytes, or memo text from getSignaturesForAddress
+   * @returns {boolean} True if the memo mentions the follow kind
+   */
+  static looksLikeFollow(memoData) {
+    if (!memoData) {
+      return false;
+    }
+    const text = typeof memoData === 'string' ? memoData : Buffer.from(memoData).toString('utf8');
+    return text.includes(`"kind":"${Follow.KIND}"`);
+  }
+
+  /**
+   * Parse a follow from memo bytes
+   * @param {Uint8Array} memoData - Raw memo bytes
+   * @returns {Follow} Parsed follow
+   */
+  static fromMemoData(memoData) {
+    let data;
+    try {
+      data = JSON.parse(Buffer.from(memoData).toString('utf8'));
+    } catch (error) {
+      throw new Error('Follow memo is not valid JSON');
+    }
+
+    if (!data || data.kind !== Follow.KIND) {
+      throw new Error(`Invalid follow kind: ${data?.kind}`);
+    }
+    if (data.v !== Follow.VERSION) {
+      throw new Error(`Unsupported follow version: ${data.v}`);
+    }
+
+    return new Follow(data);
+  }
+}
+
+// Character count: 3858
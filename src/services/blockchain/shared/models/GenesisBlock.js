@@ -1,21 +1,7 @@
 // src/services/blockchain/shared/models/GenesisBlock.js
 // Path: src/services/blockchain/shared/models/GenesisBlock.js
 import { CompressionService } from '../../../compression/CompressionService.js';
-import { sha256 } from 'js-sha256';
-
-/**
- * Universal HashingService using js-sha256 (works in both Node.js and Expo)
- */
-const HashingService = {
-  async hashContent(content) {
-    if (!content || !(content instanceof Uint8Array)) {
-      throw new Error('Content must be a Uint8Array');
-    }
-    // js-sha256 works universally across Node.js and React Native
-    const hashHex = sha256(content);
-    return hashHex;
-  }
-};
+import { SecurityService } from '../../../security/SecurityService.js';
 
 /**
  * Genesis Block Models for Glyffiti Social Network
@@ -25,18 +11,16 @@ const HashingService = {
  * 1. Field obfuscation (readable names → coded names)
  * 2. JSON serialization  
  * 3. Compression (gzip via CompressionService)
- * 4. Encryption (XOR cipher + substitution)
- * 5. Integrity hash (SHA-256)
- * 6. Wire format (version byte + hash + encrypted data)
+ * 4. Authenticated encryption + wire format (SecurityService, version 0x02)
+ *
+ * Legacy 0x01 genesis blocks already on chain are still parsed.
  */
 
 /**
- * Security utilities for secure genesis blocks
+ * Field obfuscation utilities for secure genesis blocks
+ * (encryption and integrity live in SecurityService)
  */
 class SecurityUtils {
-  // Fixed encryption key (in production, this should be derived from network parameters)
-  static CIPHER_KEY = new Uint8Array([0x47, 0x6C, 0x79, 0x66, 0x66, 0x69, 0x74, 0x69]);
-
   /**
    * Field obfuscation mapping
    */
@@ -83,79 +67,6 @@ class SecurityUtils {
     }
     return deobfuscated;
   }
-
-  /**
-   * Encrypt data using custom cipher (XOR + nibble swap + XOR)
-   * @param {Uint8Array} data - Data to encrypt
-   * @returns {Uint8Array} Encrypted data
-   */
-  static encrypt(data) {
-    const encrypted = new Uint8Array(data.length);
-    const { CIPHER_KEY } = this;
-    
-    for (let i = 0; i < data.length; i++) {
-      // Step 1: XOR with key and position
-      const keyByte = CIPHER_KEY[i % CIPHER_KEY.length];
-      const xored = data[i] ^ keyByte ^ (i & 0xFF);
-      
-      // Step 2: Swap nibbles (swap upper and lower 4 bits)
-      const swapped = ((xored & 0x0F) << 4) | ((xored & 0xF0) >> 4);
-      
-      // Step 3: XOR with constant
-      encrypted[i] = swapped ^ 0xAA;
-    }
-    
-    return encrypted;
-  }
-
-  /**
-   * Decrypt data (exact reverse of encrypt - FIXED VERSION)
-   * @param {Uint8Array} encryptedData - Encrypted data
-   * @returns {Uint8Array} Decrypted data
-   */
-  static decrypt(encryptedData) {
-    const decrypted = new Uint8Array(encryptedData.length);
-    for (let i = 0; i < encryptedData.length; i++) {
-      // Step 3 reverse: XOR with constant
-      const unxored = encryptedData[i] ^ 0xAA;
-      // Step 2 reverse: Swap nibbles back
-      const unswapped = ((unxored & 0x0F) << 4) | ((unxored & 0xF0) >> 4);
-      // Step 1 reverse: XOR with key and position
-      const keyByte = SecurityUtils.CIPHER_KEY[i % SecurityUtils.CIPHER_KEY.length];
-      decrypted[i] = unswapped ^ keyByte ^ (i & 0xFF);
-    }
-    return decrypted;
-  }
-
-  /**
-   * Create integrity hash of data
-   * @param {Uint8Array} data - Data to hash
-   * @returns {Promise<Uint8Array>} 32-byte hash
-   */
-  static async createIntegrityHash(data) {
-    const hashString = await HashingService.hashContent(data);
-    // Convert hex string to bytes (HashingService returns hex)
-    const hashBytes = new Uint8Array(32);
-    for (let i = 0; i < 32; i++) {
-      hashBytes[i] = parseInt(hashString.slice(i * 2, i * 2 + 2), 16);
-    }
-    return hashBytes;
-  }
-
-  /**
-   * Verify integrity hash
-   * @param {Uint8Array} data - Data to verify
-   * @param {Uint8Array} expectedHash - Expected hash bytes
-   * @returns {Promise<boolean>} True if hash matches
-   */
-  static async verifyIntegrityHash(data, expectedHash) {
-    const computedHash = await this.createIntegrityHash(data);
-    if (computedHash.length !== expectedHash.length) return false;
-    for (let i = 0; i < computedHash.length; i++) {
-      if (computedHash[i] !== expectedHash[i]) return false;
-    }
-    return true;
-  }
 }
 
 /**
@@ -196,19 +107,9 @@ export class GlyffitiGenesisBlock {
       const compressedData = CompressionService.compress(jsonString);
       console.log('📦 Compressed size:', compressedData.length, 'bytes');
       
-      // Step 2: Encrypt the compressed data
-      const encryptedData = SecurityUtils.encrypt(compressedData);
-      console.log('🔒 Encrypted size:', encryptedData.length, 'bytes');
-      
-      // Step 3: Create integrity hash
-      const integrityHash = await SecurityUtils.createIntegrityHash(encryptedData);
-      console.log('🛡️ Integrity hash created (32 bytes)');
-      
-      // Step 4: Create wire format: version byte + hash + encrypted data
-      const wireFormat = new Uint8Array(1 + 32 + encryptedData.length);
-      wireFormat[0] = 0x01; // Version byte
-      wireFormat.set(integrityHash, 1); // Hash at bytes 1-32
-      wireFormat.set(encryptedData, 33); // Encrypted data at byte 33+
+      // Step 2: Encrypt and wrap in the secure wire format
+      const wireFormat = SecurityService.sealWireFormat(compressedData);
+      console.log('🔒 Encrypted with wire format', wireFormat[0]);
       
       console.log('📡 Final wire format size:', wireFormat.length, 'bytes');
       
@@ -244,35 +145,18 @@ export class GlyffitiGenesisBlock {
    */
   static async fromWireData(wireData) {
     try {
-      if (!wireData || wireData.length < 34) { // version(1) + hash(32) + min data(1)
-        throw new Error('Invalid wire data: too short for secure format');
-      }
-      
-      // Check version byte
-      if (wireData[0] !== 0x01) {
-        throw new Error(`Unsupported version: ${wireData[0]} (expected 0x01)`);
+      if (!SecurityService.looksLikeSecureWireFormat(wireData)) {
+        throw new Error(`Unsupported wire format version: ${wireData?.[0]}`);
       }
       
-      // Extract components
-      const integrityHash = wireData.slice(1, 33); // bytes 1-32
-      const encryptedData = wireData.slice(33);     // byte 33+
-      
       console.log('🔍 Parsing secure genesis:', {
         totalSize: wireData.length,
-        hashSize: integrityHash.length,
-        encryptedSize: encryptedData.length
+        version: wireData[0]
       });
       
-      // Verify integrity hash
-      const hashValid = await SecurityUtils.verifyIntegrityHash(encryptedData, integrityHash);
-      if (!hashValid) {
-        throw new Error('Integrity hash verification failed - data may be corrupted');
-      }
-      console.log('✅ Integrity hash verified');
-      
-      // Decrypt the data
-      const compressedData = SecurityUtils.decrypt(encryptedData);
-      console.log('🔓 Data decrypted');
+      // Verify integrity and decrypt (0x02 AEAD or legacy 0x01)
+      const compressedData = await SecurityService.openWireFormat(wireData);
+      console.log('✅ Integrity verified, data decrypted');
       
       // Decompress the data  
       const jsonString = CompressionService.decompress(compressedData);
@@ -370,19 +254,9 @@ export class UserGenesisBlock {
       const compressedData = CompressionService.compress(jsonString);
       console.log('📦 Compressed size:', compressedData.length, 'bytes');
       
-      // Step 2: Encrypt the compressed data
-      const encryptedData = SecurityUtils.encrypt(compressedData);
-      console.log('🔒 Encrypted size:', encryptedData.length, 'bytes');
-      
-      // Step 3: Create integrity hash
-      const integrityHash = await SecurityUtils.createIntegrityHash(encryptedData);
-      console.log('🛡️ Integrity hash created (32 bytes)');
-      
-      // Step 4: Create wire format: version byte + hash + encrypted data
-      const wireFormat = new Uint8Array(1 + 32 + encryptedData.length);
-      wireFormat[0] = 0x01; // Version byte
-      wireFormat.set(integrityHash, 1); // Hash at bytes 1-32
-      wireFormat.set(encryptedData, 33); // Encrypted data at byte 33+
+      // Step 2: Encrypt and wrap in the secure wire format
+      const wireFormat = SecurityService.sealWireFormat(compressedData);
+      console.log('🔒 Encrypted with wire format', wireFormat[0]);
       
       console.log('📡 Final wire format size:', wireFormat.length, 'bytes');
       
@@ -418,35 +292,18 @@ export class UserGenesisBlock {
    */
   static async fromWireData(wireData) {
     try {
-      if (!wireData || wireData.length < 34) { // version(1) + hash(32) + min data(1)
-        throw new Error('Invalid wire data: too short for secure format');
-      }
-      
-      // Check version byte
-      if (wireData[0] !== 0x01) {
-        throw new Error(`Unsupported version: ${wireData[0]} (expected 0x01)`);
+      if (!SecurityService.looksLikeSecureWireFormat(wireData)) {
+        throw new Error(`Unsupported wire format version: ${wireData?.[0]}`);
       }
       
-      // Extract components
-      const integrityHash = wireData.slice(1, 33); // bytes 1-32
-      const encryptedData = wireData.slice(33);     // byte 33+
-      
       console.log('🔍 Parsing secure user genesis:', {
         totalSize: wireData.length,
-        hashSize: integrityHash.length,
-        encryptedSize: encryptedData.length
+        version: wireData[0]
       });
       
-      // Verify integrity hash
-      const hashValid = await SecurityUtils.verifyIntegrityHash(encryptedData, integrityHash);
-      if (!hashValid) {
-        throw new Error('Integrity hash verification failed - data may be corrupted');
-      }
-      console.log('✅ Integrity hash verified');
-      
-      // Decrypt the data
-      const compressedData = SecurityUtils.decrypt(encryptedData);
-      console.log('🔓 Data decrypted');
+      // Verify integrity and decrypt (0x02 AEAD or legacy 0x01)
+      const compressedData = await SecurityService.openWireFormat(wireData);
+      console.log('✅ Integrity verified, data decrypted');
       
       // Decompress the data
       const jsonString = CompressionService.decompress(compressedData);
@@ -525,22 +382,8 @@ export class GenesisBlockFactory {
    */
   static async parseFromWireData(wireData) {
     try {
-      if (!wireData || wireData.length < 34 || wireData[0] !== 0x01) {
-        throw new Error('Invalid secure wire format');
-      }
-      
-      // Extract and decrypt to peek at the kind
-      const integrityHash = wireData.slice(1, 33);
-      const encryptedData = wireData.slice(33);
-      
-      // Verify integrity
-      const hashValid = await SecurityUtils.verifyIntegrityHash(encryptedData, integrityHash);
-      if (!hashValid) {
-        throw new Error('Integrity verification failed');
-      }
-      
-      // Decrypt and decompress to peek at type
-      const compressedData = SecurityUtils.decrypt(encryptedData);
+      // Verify, decrypt and decompress to peek at the kind
+      const compressedData = await SecurityService.openWireFormat(wireData);
       const jsonString = CompressionService.decompress(compressedData);
       const obfuscatedData = JSON.parse(jsonString);
       const data = SecurityUtils.deobfuscateFields(obfuscatedData);
@@ -646,4 +489,4 @@ export class GenesisBlockFactory {
   }
 }
 
-// Character count: 19,278
\ No newline at end of file
+// Character count: 17699
\ No newline at end of file
@@ -0,0 +1,168 @@
+// src/services/blockchain/shared/models/PostEntities.js
+// Path: src/services/blockchain/shared/models/PostEntities.js
+import { PublicKey } from '@solana/web3.js';
+
+/**
+ * Post Entities Model - @mentions and #hashtags in social posts
+ *
+ * Tokens are found in post text: `@alias` names a user and `#tag` a topic.
+ * Either must start the text or follow a character that cannot be part of a
+ * word (so emails and URL fragments are not tokens); hashtags need at least
+ * one non-digit ("#1" is not a tag). Aliases and tags are matched without
+ * regard to case and stored lowercase.
+ *
+ * A post stores what it mentions and tags as structured glyph fields, both
+ * covered by the author signature and left out when empty:
+ *
+ *   "mentions": [[alias, publicKey], ...]   (resolved mentions only)
+ *   "tags": [tag, ...]
+ *
+ * Counts and lengths are capped to bound what a post adds to its memo, but
+ * a full-length reply with every entity can still outgrow one transaction;
+ * PostPublishingService.publishPost rejects such a post before sending it.
+ */
+export class PostEntities {
+  static MAX_MENTIONS = 3;
+
+  static MAX_TAGS = 5;
+
+  static MAX_ALIAS_LENGTH = 32;
+
+  static MAX_TAG_LENGTH = 32;
+
+  // Lead character (start or non-word), sigil, word
+  static TOKEN_PATTERN = /(^|[^\w@#&/])([@#])(\w+)/g;
+
+  /**
+   * Split post text into plain text, mention and tag segments
+   * @param {string} content - Post text
+   * @returns {Array<Object>} Segments { type: 'text'|'mention'|'tag', text, value } in order;
+   *   value is the lowercase alias or tag (text segments have none)
+   */
+  static tokenize(content) {
+    const segments = [];
+    const text = content || '';
+    let last = 0;
+
+    for (const match of text.matchAll(PostEntities.TOKEN_PATTERN)) {
+      const [, lead, sigil, word] = match;
+      const type = sigil === '@' ? 'mention' : 'tag';
+      if (!PostEntities._isToken(type, word)) continue;
+
+      const start = match.index + lead.length;
+      if (start > last) {
+        segments.push({ type: 'text', text: text.slice(last, start) });
+      }
+      segments.push({ type, text: sigil + word, value: word.toLowerCase() });
+      last = start + 1 + word.length;
+    }
+
+    if (last < text.length) {
+      segments.push({ type: 'text', text: text.slice(last) });
+    }
+    return segments;
+  }
+
+  /**
+   * Aliases and tags in post text, each once, in order of first use
+   * @param {string} content - Post text
+   * @returns {Object} { mentions: Array<string>, tags: Array<string> } lowercase
+   */
+  static parse(content) {
+    const mentions = new Set();
+    const tags = new Set();
+
+    PostEntities.tokenize(content).forEach(segment => {
+      if (segment.type === 'mention') mentions.add(segment.value);
+      if (segment.type === 'tag') tags.add(segment.value);
+    });
+
+    return { mentions: [...mentions], tags: [...tags] };
+  }
+
+  /**
+   * Glyph fields for a post's entities, left out when empty
+   * @param {Object} entities - Post entities
+   * @param {Array<Object>} [entities.mentions] - Resolved mentions { alias, publicKey }
+   * @param {Array<string>} [entities.tags] - Tags
+   * @returns {Object} { mentions?: [[alias, publicKey]], tags?: [tag] }
+   * @throws {Error} If an entity is malformed or there are too many
+   */
+  static toMemoFields({ mentions = [], tags = [] } = {}) {
+    if (mentions.length > PostEntities.MAX_MENTIONS) {
+      throw new Error(`A post can mention at most ${PostEntities.MAX_MENTIONS} users`);
+    }
+    if (tags.length > PostEntities.MAX_TAGS) {
+      throw new Error(`A post can have at most ${PostEntities.MAX_TAGS} tags`);
+    }
+
+    const mentionPairs = mentions.map(({ alias, publicKey }) => {
+      if (!PostEntities._isToken('mention', alias || '')) {
+        throw new Error(`Invalid mention alias: ${alias}`);
+      }
+      try {
+        new PublicKey(publicKey);
+      } catch (error) {
+        throw new Error(`Invalid public key for @${alias}`);
+      }
+      return [alias.toLowerCase(), publicKey];
+    });
+    const tagValues = tags.map(tag => {
+      if (!PostEntities._isToken('tag', tag || '')) {
+        throw new Error(`Invalid tag: ${tag}`);
+      }
+      return tag.toLowerCase();
+    });
+
+    return {
+      ...(mentionPairs.length > 0 ? { mentions: mentionPairs } : {}),
+      ...(tagValues.length > 0 ? { tags: tagValues } : {})
+    };
+  }
+
+  /**
+   * Read a post's entities from its glyph; malformed entries are skipped
+   * @param {Object|null} glyph - First glyph of the post memo
+   * @returns {Object} { mentions: Array<{ alias, publicKey }>, tags: Array<string> }
+   */
+  static fromMemoFields(glyph) {
+    const mentions = (Array.isArray(glyph?.mentions) ? glyph.mentions : [])
+      .filter(pair => Array.isArray(pair) && typeof pair[0] === 'string' && typeof pair[1] === 'string')
+      .map(([alias, publicKey]) => ({ alias, publicKey }));
+    const tags = (Array.isArray(glyph?.tags) ? glyph.tags : [])
+      .filter(tag => typeof tag === 'string' && PostEntities._isToken('tag', tag));
+
+    return { mentions, tags };
+  }
+
+  /**
+   * Tags of a read post: its stored tags, or for posts published before tags
+   * were stored, the tags in its text
+   * @param {Object} post - Post from PostTransactionReader
+   * @returns {Array<string>} Lowercase tags
+   */
+  static tagsOf(post) {
+    if (post?.tags?.length > 0) {
+      return post.tags;
+    }
+    return PostEntities.parse(post?.content).tags.slice(0, PostEntities.MAX_TAGS);
+  }
+
+  /**
+   * @param {string} type - 'mention' or 'tag'
+   * @param {string} word - Alias or tag without its sigil
+   * @returns {boolean} True if the word can be a token of the type
+   * @private
+   */
+  static _isToken(type, word) {
+    if (!/^\w+$/.test(word)) {
+      return false;
+    }
+    if (type === 'mention') {
+      return word.length <= PostEntities.MAX_ALIAS_LENGTH;
+    }
+    return word.length <= PostEntities.MAX_TAG_LENGTH && !/^\d+$/.test(word);
+  }
+}
+
+// Character count: 5908
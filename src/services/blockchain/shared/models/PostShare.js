@@ -0,0 +1,134 @@
+// src/services/blockchain/shared/models/PostShare.js
+// Path: src/services/blockchain/shared/models/PostShare.js
+import { PublicKey } from '@solana/web3.js';
+
+/**
+ * Post Share Model - reposts and quote posts ("re-glyphs") of social posts
+ *
+ * A repost shares another post as it is and has no text of its own; a quote
+ * post adds text. Both are ordinary posts in the sharer's chain whose glyph
+ * names the original by its transaction hash and its author's public key
+ * (so the original can be read and its signature checked):
+ *
+ *   "repostOf": [transactionHash, authorPublicKey]
+ *   "quoteOf": [transactionHash, authorPublicKey]
+ *
+ * Like a story's reGlyphCap, an original post may carry a re-glyph cap set
+ * by its author: "reGlyphCap": n. Reposts and quotes together count toward
+ * it, and only the first n (oldest first) are counted. Sharing a repost
+ * shares the post it reposted. All three fields are covered by the author
+ * signature and left out when absent.
+ */
+export class PostShare {
+  static Kind = {
+    REPOST: 'repost',
+    QUOTE: 'quote'
+  };
+
+  static MAX_REGLYPH_CAP = 1000000;
+
+  /**
+   * Glyph fields for a post's share fields, left out when absent
+   * @param {Object} share - Share fields
+   * @param {Object} [share.repostOf] - { transactionHash, authorPublicKey } of the post reposted
+   * @param {Object} [share.quoteOf] - { transactionHash, authorPublicKey } of the post quoted
+   * @param {number|null} [share.reGlyphCap] - Re-glyph cap of an original post (null = unlimited)
+   * @returns {Object} { repostOf?, quoteOf?, reGlyphCap? }
+   * @throws {Error} If a field is malformed, or a post both reposts and quotes
+   */
+  static toMemoFields({ repostOf = null, quoteOf = null, reGlyphCap = null } = {}) {
+    if (repostOf && quoteOf) {
+      throw new Error('A post cannot both repost and quote');
+    }
+    if (reGlyphCap !== null && reGlyphCap !== undefined) {
+      if (repostOf) {
+        throw new Error('Only original posts can set a re-glyph cap');
+      }
+      if (!Number.isSafeInteger(reGlyphCap) || reGlyphCap < 0 || reGlyphCap > PostShare.MAX_REGLYPH_CAP) {
+        throw new Error(`Invalid re-glyph cap: ${reGlyphCap}`);
+      }
+    }
+
+    return {
+      ...(repostOf ? { repostOf: PostShare._toPair(repostOf) } : {}),
+      ...(quoteOf ? { quoteOf: PostShare._toPair(quoteOf) } : {}),
+      ...(reGlyphCap !== null && reGlyphCap !== undefined ? { reGlyphCap } : {})
+    };
+  }
+
+  /**
+   * Read a post's share fields from its glyph; malformed fields are left out
+   * @param {Object|null} glyph - First glyph of the post memo
+   * @returns {Object} { repostOf, quoteOf, reGlyphCap }, each null when absent
+   */
+  static fromMemoFields(glyph) {
+    const cap = glyph?.reGlyphCap;
+    return {
+      repostOf: PostShare._fromPair(glyph?.repostOf),
+      quoteOf: PostShare._fromPair(glyph?.quoteOf),
+      reGlyphCap: Number.isSafeInteger(cap) && cap >= 0 ? cap : null
+    };
+  }
+
+  /**
+   * The post a read post shares, if any
+   * @param {Object} post - Post from PostTransactionReader
+   * @returns {Object|null} { kind, transactionHash, authorPublicKey }
+   */
+  static sharedBy(post) {
+    if (post?.repostOf) {
+      return { kind: PostShare.Kind.REPOST, ...post.repostOf };
+    }
+    if (post?.quoteOf) {
+      return { kind: PostShare.Kind.QUOTE, ...post.quoteOf };
+    }
+    return null;
+  }
+
+  /**
+   * Reference to share when sharing a post: the post itself, or for a repost
+   * the post it reposted
+   * @param {Object} post - Post being shared
+   * @returns {Object} { transactionHash, authorPublicKey }
+   */
+  static shareTarget(post) {
+    if (post?.repostOf) {
+      return { ...post.repostOf };
+    }
+    if (!post?.transactionHash || !post?.authorPublicKey) {
+      throw new Error('The post being shared needs a transaction hash and author');
+    }
+    return { transactionHash: post.transactionHash, authorPublicKey: post.authorPublicKey };
+  }
+
+  /**
+   * @param {Object} reference - { transactionHash, authorPublicKey }
+   * @returns {Array<string>} [transactionHash, authorPublicKey]
+   * @private
+   */
+  static _toPair({ transactionHash, authorPublicKey } = {}) {
+    if (!transactionHash || typeof transactionHash !== 'string') {
+      throw new Error('A shared post needs its transaction hash');
+    }
+    try {
+      new PublicKey(authorPublicKey);
+    } catch (error) {
+      throw new Error(`Invalid author for shared post: ${authorPublicKey}`);
+    }
+    return [transactionHash, authorPublicKey];
+  }
+
+  /**
+   * @param {*} pair - Glyph field value
+   * @returns {Object|null} { transactionHash, authorPublicKey }
+   * @private
+   */
+  static _fromPair(pair) {
+    if (!Array.isArray(pair) || typeof pair[0] !== 'string' || typeof pair[1] !== 'string') {
+      return null;
+    }
+    return { transactionHash: pair[0], authorPublicKey: pair[1] };
+  }
+}
+
+// Character count: 4843
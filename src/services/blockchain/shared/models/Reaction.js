@@ -0,0 +1,216 @@
+// src/services/blockchain/shared/models/Reaction.js
+// Path: src/services/blockchain/shared/models/Reaction.js
+import { utf8ToBytes } from '@noble/hashes/utils';
+
+/**
+ * Reaction Model
+ *
+ * A reaction is an emoji code on a post, named by the post's transaction
+ * hash. Reactions count for the account that signed the transaction that
+ * carries them. A later reaction with removed: true takes an earlier one back;
+ * for each reactor, post and code the newest record wins.
+ *
+ * Reactions are public plain JSON, published one per memo:
+ *
+ *   {"v":1,"kind":"REACT","targetId":...,"reaction":"like","ts":...}
+ *
+ * or batched into a digest memo to pay one fee for several:
+ *
+ *   {"v":1,"kind":"REACT_DIGEST","ts":...,"items":[[targetId, reaction, ts, removed(0|1)], ...]}
+ *
+ * Each one is also tracked as a LIKES lane item of the reactor's user graph
+ * (ADR-006 §3.3), with removals recorded as reactionKind "-<code>":
+ *
+ *   H("ITEM\0" || "LIKE" || targetId || timestamp || reactionKind)
+ */
+export class Reaction {
+  static VERSION = 1;
+
+  static KIND = 'REACT';
+
+  static DIGEST_KIND = 'REACT_DIGEST';
+
+  static MAX_MEMO_BYTES = 566;
+
+  // Emoji codes a reaction may carry, in display order
+  static CODES = {
+    like: '❤️',
+    laugh: '😂',
+    wow: '😮',
+    sad: '😢',
+    fire: '🔥',
+    clap: '👏'
+  };
+
+  /**
+   * @param {Object} fields - Reaction fields
+   * @param {string} fields.targetId - Transaction hash of the post reacted to
+   * @param {string} fields.reaction - One of Reaction.CODES
+   * @param {number} fields.ts - Unix seconds when the reaction was made
+   * @param {boolean} [fields.removed=false] - The reactor takes this reaction back
+   */
+  constructor({ targetId, reaction, ts, removed = false }) {
+    if (typeof targetId !== 'string' || targetId.length === 0) {
+      throw new Error('Reaction target ID is required');
+    }
+    if (!Object.prototype.hasOwnProperty.call(Reaction.CODES, reaction)) {
+      throw new Error(`Invalid reaction code: ${reaction}`);
+    }
+    if (!Number.isSafeInteger(ts) || ts < 0) {
+      throw new Error('Reaction ts is required');
+    }
+
+    this.v = Reaction.VERSION;
+    this.kind = Reaction.KIND;
+    this.targetId = targetId;
+    this.reaction = reaction;
+    this.ts = ts;
+    this.removed = !!removed;
+  }
+
+  /**
+   * Plain object in memo field order
+   * @returns {Object} Reaction memo object
+   */
+  toJSON() {
+    return {
+      v: this.v,
+      kind: this.kind,
+      targetId: this.targetId,
+      reaction: this.reaction,
+      ts: this.ts,
+      ...(this.removed ? { removed: true } : {})
+    };
+  }
+
+  /**
+   * LIKES lane item for the reactor's user graph
+   * @returns {Object} { targetId, timestamp, reactionKind }
+   */
+  toLikeItem() {
+    return {
+      targetId: this.targetId,
+      timestamp: this.ts,
+      reactionKind: this.removed ? `-${this.reaction}` : this.reaction
+    };
+  }
+
+  /**
+   * Encode the reaction as memo bytes (UTF-8 JSON)
+   * @returns {Uint8Array} Memo data
+   * @throws {Error} If the memo would not fit in a transaction
+   */
+  toMemoData() {
+    return Reaction._checkSize(utf8ToBytes(JSON.stringify(this.toJSON())));
+  }
+
+  /**
+   * Encode several reactions as one digest memo (UTF-8 JSON)
+   * @param {Array<Reaction>} reactions - Reactions to batch
+   * @param {number} [ts] - Unix seconds when the digest was made
+   * @returns {Uint8Array} Memo data
+   * @throws {Error} If the digest would not fit in a transaction
+   */
+  static toDigestMemoData(reactions, ts = Math.floor(Date.now() / 1000)) {
+    if (!reactions || reactions.length === 0) {
+      throw new Error('Reaction digest needs at least one reaction');
+    }
+    const digest = {
+      v: Reaction.VERSION,
+      kind: Reaction.DIGEST_KIND,
+      ts,
+      items: reactions.map(reaction => [reaction.targetId, reaction.reaction, reaction.ts, reaction.removed ? 1 : 0])
+    };
+    return Reaction._checkSize(utf8ToBytes(JSON.stringify(digest)));
+  }
+
+  /**
+   * Split reactions into batches that each fit one digest memo
+   * @param {Array<Reaction>} reactions - Reactions to batch, in order
+   * @param {number} [ts] - Unix seconds the digests will carry
+   * @returns {Array<Array<Reaction>>} Batches, in order
+   */
+  static packDigests(reactions, ts = Math.floor(Date.now() / 1000)) {
+    const batches = [];
+    let batch = [];
+
+    for (const reaction of reactions) {
+      const candidate = [...batch, reaction];
+      try {
+        Reaction.toDigestMemoData(candidate, ts);
+        batch = candidate;
+      } catch (error) {
+        if (batch.length === 0) throw error;
+        batches.push(batch);
+        batch = [reaction];
+      }
+    }
+
+    if (batch.length > 0) {
+      batches.push(batch);
+    }
+    return batches;
+  }
+
+  /**
+   * Check whether memo text or bytes look like a reaction or digest (cheap pre-check before parsing)
+   * @param {Uint8Array|string} memoData - Raw memo bytes, or memo text from getSignaturesForAddress
+   * @returns {boolean} True if the memo mentions a reaction kind
+   */
+  static looksLikeReaction(memoData) {
+    if (!memoData) {
+      return false;
+    }
+    const text = typeof memoData === 'string' ? memoData : Buffer.from(memoData).toString('utf8');
+    return text.includes(`"kind":"${Reaction.KIND}"`) || text.includes(`"kind":"${Reaction.DIGEST_KIND}"`);
+  }
+
+  /**
+   * Parse the reactions in a reaction or digest memo
+   * @param {Uint8Array} memoData - Raw memo bytes
+   * @returns {Array<Reaction>} Parsed reactions (one for a single reaction memo)
+   */
+  static fromMemoData(memoData) {
+    let data;
+    try {
+      data = JSON.parse(Buffer.from(memoData).toString('utf8'));
+    } catch (error) {
+      throw new Error('Reaction memo is not valid JSON');
+    }
+
+    if (!data || ![Reaction.KIND, Reaction.DIGEST_KIND].includes(data.kind)) {
+      throw new Error(`Invalid reaction kind: ${data?.kind}`);
+    }
+    if (data.v !== Reaction.VERSION) {
+      throw new Error(`Unsupported reaction version: ${data.v}`);
+    }
+
+    if (data.kind === Reaction.KIND) {
+      return [new Reaction(data)];
+    }
+    if (!Array.isArray(data.items)) {
+      throw new Error('Reaction digest has no items');
+    }
+    return data.items.map(([targetId, reaction, ts, removed]) => new Reaction({
+      targetId,
+      reaction,
+      ts,
+      removed: removed === 1
+    }));
+  }
+
+  /**
+   * Reject memos that would not fit in a transaction
+   * @param {Uint8Array} memoData - Encoded memo
+   * @returns {Uint8Array} The memo, if it fits
+   * @private
+   */
+  static _checkSize(memoData) {
+    if (memoData.length > Reaction.MAX_MEMO_BYTES) {
+      throw new Error(`Reaction memo too large: ${memoData.length} bytes (max ${Reaction.MAX_MEMO_BYTES})`);
+    }
+    return memoData;
+  }
+}
+
+// Character count: 6715
@@ -0,0 +1,134 @@
+// src/services/blockchain/shared/models/Retraction.js
+// Path: src/services/blockchain/shared/models/Retraction.js
+import { utf8ToBytes } from '@noble/hashes/utils';
+
+/**
+ * Retraction (tombstone) Model
+ *
+ * On-chain memos cannot be deleted, so an author retracts a post or story by
+ * publishing a tombstone that names it. Readers hide the target once they
+ * find a retraction for it in a transaction the target's author signed;
+ * tombstones signed by anyone else are ignored.
+ *
+ * Like anchors, retractions are public plain JSON. Each one is also tracked
+ * as a REVOCATIONS lane item of the author's user graph (ADR-006 §3.3):
+ *
+ *   H("ITEM\0" || "REVO" || targetKind || targetId || reasonHash || timestamp)
+ */
+export class Retraction {
+  static VERSION = 1;
+
+  static KIND = 'RETRACT';
+
+  static MAX_MEMO_BYTES = 566;
+
+  static TARGET_KINDS = ['post', 'story'];
+
+  /**
+   * @param {Object} fields - Retraction fields
+   * @param {string} fields.targetKind - 'post' or 'story'
+   * @param {string} fields.targetId - Post transaction hash or story ID being retracted
+   * @param {string|null} [fields.reasonHash] - SHA-256 (hex) of the author's reason, if given
+   * @param {number} fields.ts - Unix seconds when the retraction was made
+   */
+  constructor({ targetKind, targetId, reasonHash = null, ts }) {
+    if (!Retraction.TARGET_KINDS.includes(targetKind)) {
+      throw new Error(`Invalid retraction target kind: ${targetKind}`);
+    }
+    if (typeof targetId !== 'string' || targetId.length === 0) {
+      throw new Error('Retraction target ID is required');
+    }
+    if (reasonHash !== null && !/^[0-9a-f]{64}$/.test(reasonHash)) {
+      throw new Error('Invalid retraction field reasonHash: expected 32-byte hex');
+    }
+    if (!Number.isSafeInteger(ts) || ts < 0) {
+      throw new Error('Retraction ts is required');
+    }
+
+    this.v = Retraction.VERSION;
+    this.kind = Retraction.KIND;
+    this.targetKind = targetKind;
+    this.targetId = targetId;
+    this.reasonHash = reasonHash;
+    this.ts = ts;
+  }
+
+  /**
+   * Plain object in memo field order
+   * @returns {Object} Retraction memo object
+   */
+  toJSON() {
+    return {
+      v: this.v,
+      kind: this.kind,
+      targetKind: this.targetKind,
+      targetId: this.targetId,
+      reasonHash: this.reasonHash,
+      ts: this.ts
+    };
+  }
+
+  /**
+   * REVOCATIONS lane item for the author's user graph
+   * @returns {Object} { targetKind, targetId, reasonHash, timestamp }
+   */
+  toRevocationItem() {
+    return {
+      targetKind: this.targetKind,
+      targetId: this.targetId,
+      reasonHash: this.reasonHash,
+      timestamp: this.ts
+    };
+  }
+
+  /**
+   * Encode the retraction as memo bytes (UTF-8 JSON)
+   * @returns {Uint8Array} Memo data
+   * @throws {Error} If the memo would not fit in a transaction
+   */
+  toMemoData() {
+    const memoData = utf8ToBytes(JSON.stringify(this.toJSON()));
+    if (memoData.length > Retraction.MAX_MEMO_BYTES) {
+      throw new Error(`Retraction too large: ${memoData.length} bytes (max ${Retraction.MAX_MEMO_BYTES})`);
+    }
+    return memoData;
+  }
+
+  /**
+   * Check whether memo text or bytes look like a retraction (cheap pre-check before parsing)
+   * @param {Uint8Array|string} memoData - Raw memo bytes, or memo text from getSignaturesForAddress
+   * @returns {boolean} True if the memo mentions the retraction kind
+   */
+  static looksLikeRetraction(memoData) {
+    if (!memoData) {
+      return false;
+    }
+    const text = typeof memoData === 'string' ? memoData : Buffer.from(memoData).toString('utf8');
+    return text.includes(`"kind":"${Retraction.KIND}"`);
+  }
+
+  /**
+   * Parse a retraction from memo bytes
+   * @param {Uint8Array} memoData - Raw memo bytes
+   * @returns {Retraction} Parsed retraction
+   */
+  static fromMemoData(memoData) {
+    let data;
+    try {
+      data = JSON.parse(Buffer.from(memoData).toString('utf8'));
+    } catch (error) {
+      throw new Error('Retraction memo is not valid JSON');
+    }
+
+    if (!data || data.kind !== Retraction.KIND) {
+      throw new Error(`Invalid retraction kind: ${data?.kind}`);
+    }
+    if (data.v !== Retraction.VERSION) {
+      throw new Error(`Unsupported retraction version: ${data.v}`);
+    }
+
+    return new Retraction(data);
+  }
+}
+
+// Character count: 4247
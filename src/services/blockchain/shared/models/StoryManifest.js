@@ -7,10 +7,18 @@
  * Primary Manifest contains a single manifestRoot hash instead of all chunk hashes.
  * This makes the manifest fixed-size and enables scalable content of any length.
  * 
+ * A correction is published as a new manifest whose previousStoryId names the
+ * story it replaces, so the revisions of a story form a chain back to the
+ * original. `version` stays the manifest format version; `revision` counts edits.
+ * 
+ * The author signs the serialized manifest (see AuthorSignature), so `a` can be
+ * trusted even when another account paid for the manifest transaction.
+ * 
  * Based on ADR-003: Manifest-Based Publishing Architecture (3-Tier Enhancement)
  */
 
 import { HashingService } from '../../../hashing/HashingService';
+import { AuthorSignature } from '../AuthorSignature';
 
 export class StoryManifest {
   /**
@@ -25,6 +33,9 @@ export class StoryManifest {
    * @param {Object} options.metadata - Additional story metadata
    * @param {string[]} options.tags - Story tags for discovery
    * @param {number|null} options.reGlyphCap - Maximum re-glyph count (creator-controlled scarcity)
+   * @param {string|null} options.previousStoryId - Story ID this manifest revises (null for an original)
+   * @param {number} options.revision - Revision number (1 for an original)
+   * @param {string|null} options.authorSignature - Author's base58 signature over the serialized manifest
    */
   constructor(options = {}) {
     console.log('StoryManifest.js: constructor: Creating new 3-tier manifest');
@@ -62,6 +73,13 @@ export class StoryManifest {
     this.storyId = options.storyId || null; // Transaction signature of manifest publication
     this.manifestTransactionId = options.manifestTransactionId || null;
     
+    // Revisions: a correction is a new manifest naming the story it replaces
+    this.previousStoryId = options.previousStoryId || null;
+    this.revision = options.revision || 1;
+    
+    // Author's signature over serialize() without `sig`
+    this.authorSignature = options.authorSignature || null;
+    
     // Version and protocol
     this.version = options.version || '1.0.0';
     this.protocol = 'glyffiti-manifest-tree-v1';
@@ -151,7 +169,13 @@ export class StoryManifest {
       // Additional metadata (minimal)
       et: this.estimatedReadTime,
       nsfw: this.metadata.isNSFW,
-      lic: this.metadata.license
+      lic: this.metadata.license,
+      
+      // Revision chain (omitted for originals)
+      ...(this.previousStoryId ? { ps: this.previousStoryId, rev: this.revision } : {}),
+      
+      // Author signature (omitted until signed)
+      ...(this.authorSignature ? { sig: this.authorSignature } : {})
     };
   }
 
@@ -180,6 +204,9 @@ export class StoryManifest {
       currentReGlyphCount: data.rgn || 0,
       estimatedReadTime: data.et || 0,
       version: data.v || '1.0.0',
+      previousStoryId: data.ps || null,
+      revision: data.rev || 1,
+      authorSignature: data.sig || null,
       metadata: {
         previewText: data.pv || '',
         isNSFW: data.nsfw || false,
@@ -233,6 +260,17 @@ export class StoryManifest {
       errors.push('Current re-glyph count cannot be negative');
     }
     
+    // Revision validation: only revisions name a predecessor
+    if (!Number.isInteger(this.revision) || this.revision < 1) {
+      errors.push('Revision must be a positive integer');
+    } else if ((this.revision > 1) !== !!this.previousStoryId) {
+      errors.push('Revisions after the first must name the previous story ID, originals must not');
+    }
+    
+    if (this.previousStoryId && !/^[1-9A-HJ-NP-Za-km-z]{64,88}$/.test(this.previousStoryId)) {
+      errors.push(`Invalid previous story ID: ${this.previousStoryId}`);
+    }
+    
     const isValid = errors.length === 0;
     console.log('StoryManifest.js: validate: Validation', isValid ? 'passed' : 'failed', 'with', errors.length, 'errors');
     
@@ -268,6 +306,40 @@ export class StoryManifest {
     this.publishedAt = Date.now();
   }
 
+  /**
+   * Sign the manifest with the author's key. Sign last: changing any serialized
+   * field afterwards invalidates the signature.
+   * @param {TransactionSigner} authorSigner - Signer holding authorPublicKey
+   * @returns {Promise<string>} Base58 signature
+   */
+  async sign(authorSigner) {
+    if (authorSigner?.publicKey?.toBase58() !== this.authorPublicKey) {
+      throw new Error('Manifest must be signed by its author');
+    }
+
+    const { sig, ...payload } = this.serialize();
+    this.authorSignature = await AuthorSignature.sign(AuthorSignature.Domain.MANIFEST, payload, authorSigner);
+    return this.authorSignature;
+  }
+
+  /**
+   * Check the author signature of serialized manifest data, as read from chain
+   * @param {Object} data - Serialized manifest (serialize() shape)
+   * @returns {string} AuthorSignature.Status value
+   */
+  static verifyAuthorSignature(data) {
+    const { sig, ...payload } = data || {};
+    return AuthorSignature.verify(AuthorSignature.Domain.MANIFEST, payload, sig, payload.a);
+  }
+
+  /**
+   * Whether this manifest revises an earlier story
+   * @returns {boolean} True for revisions
+   */
+  isRevision() {
+    return !!this.previousStoryId;
+  }
+
   /**
    * Calculate estimated reading time based on content length
    * @returns {number} Estimated reading time in minutes
@@ -313,4 +385,4 @@ export class StoryManifest {
 
 export default StoryManifest;
 
-// Character count: 7824
\ No newline at end of file
+// Character count: 14049
\ No newline at end of file
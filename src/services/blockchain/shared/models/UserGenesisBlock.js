@@ -2,7 +2,7 @@
 // Path: src/services/blockchain/shared/models/UserGenesisBlock.js
 
 import { CompressionService } from '../../../compression/CompressionService.js';
-import { sha256 } from 'js-sha256';
+import { SecurityService } from '../../../security/SecurityService.js';
 
 /**
  * User Genesis Block Model for Glyffiti Social Network
@@ -18,25 +18,10 @@ import { sha256 } from 'js-sha256';
  */
 
 /**
- * Universal HashingService using js-sha256
- */
-const HashingService = {
-  async hashContent(content) {
-    if (!content || !(content instanceof Uint8Array)) {
-      throw new Error('Content must be a Uint8Array');
-    }
-    const hashHex = sha256(content);
-    return hashHex;
-  }
-};
-
-/**
- * Security utilities (matching GenesisBlock.js patterns)
+ * Field obfuscation utilities (matching GenesisBlock.js patterns)
+ * Encryption and integrity live in SecurityService.
  */
 class SecurityUtils {
-  // Fixed encryption key - matches GenesisBlock.js
-  static CIPHER_KEY = new Uint8Array([0x47, 0x6C, 0x79, 0x66, 0x66, 0x69, 0x74, 0x69]);
-
   /**
    * Field obfuscation mapping - matches GenesisBlock.js
    */
@@ -76,49 +61,6 @@ class SecurityUtils {
     }
     return deobfuscated;
   }
-
-  static encrypt(data) {
-    const encrypted = new Uint8Array(data.length);
-    const { CIPHER_KEY } = this;
-    
-    for (let i = 0; i < data.length; i++) {
-      const keyByte = CIPHER_KEY[i % CIPHER_KEY.length];
-      const xored = data[i] ^ keyByte ^ (i & 0xFF);
-      const swapped = ((xored & 0x0F) << 4) | ((xored & 0xF0) >> 4);
-      encrypted[i] = swapped ^ 0xAA;
-    }
-    
-    return encrypted;
-  }
-
-  static decrypt(encryptedData) {
-    const decrypted = new Uint8Array(encryptedData.length);
-    for (let i = 0; i < encryptedData.length; i++) {
-      const unxored = encryptedData[i] ^ 0xAA;
-      const unswapped = ((unxored & 0x0F) << 4) | ((unxored & 0xF0) >> 4);
-      const keyByte = SecurityUtils.CIPHER_KEY[i % SecurityUtils.CIPHER_KEY.length];
-      decrypted[i] = unswapped ^ keyByte ^ (i & 0xFF);
-    }
-    return decrypted;
-  }
-
-  static async createIntegrityHash(data) {
-    const hashString = await HashingService.hashContent(data);
-    const hashBytes = new Uint8Array(32);
-    for (let i = 0; i < 32; i++) {
-      hashBytes[i] = parseInt(hashString.slice(i * 2, i * 2 + 2), 16);
-    }
-    return hashBytes;
-  }
-
-  static async verifyIntegrityHash(data, expectedHash) {
-    const computedHash = await this.createIntegrityHash(data);
-    if (computedHash.length !== expectedHash.length) return false;
-    for (let i = 0; i < computedHash.length; i++) {
-      if (computedHash[i] !== expectedHash[i]) return false;
-    }
-    return true;
-  }
 }
 
 /**
@@ -185,19 +127,8 @@ export class UserGenesisBlock {
       const compressedData = CompressionService.compress(jsonString);
       console.log('📦 Compressed:', compressedData.length, 'bytes');
       
-      // Encrypt
-      const encryptedData = SecurityUtils.encrypt(compressedData);
-      console.log('🔒 Encrypted:', encryptedData.length, 'bytes');
-      
-      // Create integrity hash
-      const integrityHash = await SecurityUtils.createIntegrityHash(encryptedData);
-      console.log('🛡️ Integrity hash created');
-      
-      // Wire format: version(1) + hash(32) + encrypted data
-      const wireFormat = new Uint8Array(1 + 32 + encryptedData.length);
-      wireFormat[0] = 0x01; // Version
-      wireFormat.set(integrityHash, 1);
-      wireFormat.set(encryptedData, 33);
+      // Encrypt and wrap: version + key id + nonce + ciphertext/tag
+      const wireFormat = SecurityService.sealWireFormat(compressedData);
       
       console.log('📡 Wire format:', wireFormat.length, 'bytes');
       
@@ -227,26 +158,13 @@ export class UserGenesisBlock {
    */
   static async fromWireData(wireData) {
     try {
-      // Validate wire format
-      if (!wireData || wireData.length < 34) {
-        throw new Error('Invalid wire data');
-      }
-      if (wireData[0] !== 0x01) {
-        throw new Error(`Unsupported version: ${wireData[0]}`);
-      }
-      
-      // Extract components
-      const integrityHash = wireData.slice(1, 33);
-      const encryptedData = wireData.slice(33);
-      
-      // Verify integrity
-      const hashValid = await SecurityUtils.verifyIntegrityHash(encryptedData, integrityHash);
-      if (!hashValid) {
-        throw new Error('Integrity check failed');
+      // Validate wire format (0x02, or legacy 0x01 from older clients)
+      if (!SecurityService.looksLikeSecureWireFormat(wireData)) {
+        throw new Error(`Unsupported version: ${wireData?.[0]}`);
       }
       
-      // Decrypt
-      const compressedData = SecurityUtils.decrypt(encryptedData);
+      // Verify integrity and decrypt
+      const compressedData = await SecurityService.openWireFormat(wireData);
       
       // Decompress
       const jsonString = CompressionService.decompress(compressedData);
@@ -326,4 +244,4 @@ export class UserGenesisBlock {
   }
 }
 
-// Character count: 9,823
\ No newline at end of file
+// Character count: 7043
\ No newline at end of file
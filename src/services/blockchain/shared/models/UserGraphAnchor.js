@@ -0,0 +1,142 @@
+// src/services/blockchain/shared/models/UserGraphAnchor.js
+// Path: src/services/blockchain/shared/models/UserGraphAnchor.js
+import { utf8ToBytes } from '@noble/hashes/utils';
+import { DomainMerkle } from '../../../merkle/DomainMerkle';
+
+/**
+ * User Graph Anchor (UGA) Model - ADR-006 §3.4
+ *
+ * A tiny on-chain checkpoint of a user's whole social state. Unlike genesis
+ * blocks, anchors are public: anyone verifying a proof must be able to read
+ * them, so the memo is plain compact JSON (CBOR is planned later).
+ *
+ *   identityRoot = Merkle3(userGraphRoot, userGenesis, glyffitiGenesis)
+ *
+ * `prev` links to the previous anchor's transaction so readers can walk the
+ * chain back from the latest checkpoint.
+ */
+export class UserGraphAnchor {
+  static VERSION = 1;
+
+  static KIND = 'UGA';
+
+  static MAX_MEMO_BYTES = 566;
+
+  static HASH_FIELDS = ['userGenesis', 'glyffitiGenesis', 'userGraphRoot', 'identityRoot'];
+
+  /**
+   * @param {Object} fields - Anchor fields
+   * @param {string} fields.userGenesis - User genesis hash (hex)
+   * @param {string} fields.glyffitiGenesis - Glyffiti genesis hash (hex)
+   * @param {string} fields.userGraphRoot - UGRᵢ (hex)
+   * @param {string} fields.identityRoot - identityRootᵢ (hex)
+   * @param {string|null} [fields.prev] - Previous anchor transaction signature
+   * @param {string} fields.epoch - ISO start of the anchor's epoch
+   * @param {number} fields.ts - Unix seconds when the anchor was built
+   */
+  constructor({ userGenesis, glyffitiGenesis, userGraphRoot, identityRoot, prev = null, epoch, ts }) {
+    for (const field of UserGraphAnchor.HASH_FIELDS) {
+      const value = { userGenesis, glyffitiGenesis, userGraphRoot, identityRoot }[field];
+      if (typeof value !== 'string' || !/^[0-9a-f]{64}$/.test(value)) {
+        throw new Error(`Invalid anchor field ${field}: expected 32-byte hex`);
+      }
+    }
+    if (prev !== null && typeof prev !== 'string') {
+      throw new Error('Invalid anchor field prev');
+    }
+    if (typeof epoch !== 'string' || !Number.isSafeInteger(ts)) {
+      throw new Error('Anchor epoch and ts are required');
+    }
+
+    this.v = UserGraphAnchor.VERSION;
+    this.kind = UserGraphAnchor.KIND;
+    this.userGenesis = userGenesis;
+    this.glyffitiGenesis = glyffitiGenesis;
+    this.userGraphRoot = userGraphRoot;
+    this.identityRoot = identityRoot;
+    this.prev = prev;
+    this.epoch = epoch;
+    this.ts = ts;
+  }
+
+  /**
+   * Plain object in ADR field order
+   * @returns {Object} Anchor memo object
+   */
+  toJSON() {
+    return {
+      v: this.v,
+      kind: this.kind,
+      userGenesis: this.userGenesis,
+      glyffitiGenesis: this.glyffitiGenesis,
+      userGraphRoot: this.userGraphRoot,
+      identityRoot: this.identityRoot,
+      prev: this.prev,
+      epoch: this.epoch,
+      ts: this.ts
+    };
+  }
+
+  /**
+   * Encode the anchor as memo bytes (UTF-8 JSON)
+   * @returns {Uint8Array} Memo data
+   * @throws {Error} If the memo would not fit in a transaction
+   */
+  toMemoData() {
+    const memoData = utf8ToBytes(JSON.stringify(this.toJSON()));
+    if (memoData.length > UserGraphAnchor.MAX_MEMO_BYTES) {
+      throw new Error(`User graph anchor too large: ${memoData.length} bytes (max ${UserGraphAnchor.MAX_MEMO_BYTES})`);
+    }
+    return memoData;
+  }
+
+  /**
+   * Recompute identityRoot from the other roots
+   * @returns {boolean} True if identityRoot = Merkle3(UGR, U₀, G₀)
+   */
+  verifyIdentityRoot() {
+    const expected = DomainMerkle.merkle3(
+      DomainMerkle.fromHex(this.userGraphRoot),
+      DomainMerkle.fromHex(this.userGenesis),
+      DomainMerkle.fromHex(this.glyffitiGenesis)
+    );
+    return DomainMerkle.toHex(expected) === this.identityRoot;
+  }
+
+  /**
+   * Check whether memo bytes look like an anchor (cheap pre-check before parsing)
+   * @param {Uint8Array} memoData - Raw memo bytes
+   * @returns {boolean} True if the memo is a JSON object mentioning the UGA kind
+   */
+  static looksLikeAnchor(memoData) {
+    if (!memoData || memoData.length < 2 || memoData[0] !== 0x7b) { // '{'
+      return false;
+    }
+    return Buffer.from(memoData).toString('utf8').includes(`"kind":"${UserGraphAnchor.KIND}"`);
+  }
+
+  /**
+   * Parse an anchor from memo bytes
+   * @param {Uint8Array} memoData - Raw memo bytes
+   * @returns {UserGraphAnchor} Parsed anchor
+   */
+  static fromMemoData(memoData) {
+    let data;
+    try {
+      data = JSON.parse(Buffer.from(memoData).toString('utf8'));
+    } catch (error) {
+      throw new Error('User graph anchor memo is not valid JSON');
+    }
+
+    if (!data || data.kind !== UserGraphAnchor.KIND) {
+      throw new Error(`Invalid user graph anchor kind: ${data?.kind}`);
+    }
+    if (data.v !== UserGraphAnchor.VERSION) {
+      throw new Error(`Unsupported user graph anchor version: ${data.v}`);
+    }
+
+    return new UserGraphAnchor(data);
+  }
+}
+
+// Character count: 4822
@@ -0,0 +1,658 @@
+// src/services/blockchain/solana/LocalMemoLedger.js
+// Path: src/services/blockchain/solana/LocalMemoLedger.js
+
+import {
+  Transaction,
+  TransactionInstruction,
+  PublicKey,
+  ComputeBudgetProgram,
+  ComputeBudgetInstruction,
+  LAMPORTS_PER_SOL
+} from '@solana/web3.js';
+import { sha256 } from 'js-sha256';
+import bs58 from 'bs58';
+
+const MEMO_PROGRAM_ID = new PublicKey('MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr');
+
+// Solana packet limit for a serialized transaction
+const MAX_TRANSACTION_SIZE = 1232;
+
+// Compute units granted per instruction when no limit is requested, and the cap
+const DEFAULT_COMPUTE_UNITS_PER_INSTRUCTION = 200000;
+const MAX_COMPUTE_UNIT_LIMIT = 1400000;
+
+// Slots of history returned by getRecentPrioritizationFees
+const PRIORITIZATION_FEE_SLOTS = 150;
+
+// Rough compute model for simulations: compute budget instructions are flat,
+// the memo program pays per byte for UTF-8 validation and logging
+const COMPUTE_BUDGET_COMPUTE_UNITS = 150;
+const MEMO_BASE_COMPUTE_UNITS = 1000;
+const MEMO_COMPUTE_UNITS_PER_BYTE = 60;
+
+/**
+ * Local Memo Ledger - In-memory stand-in for a Solana RPC connection
+ *
+ * Implements the subset of the web3.js Connection API that Glyffiti uses
+ * (sendRawTransaction, getTransaction, getParsedTransaction,
+ * getSignaturesForAddress, getBalance, getFeeForMessage, simulateTransaction,
+ * getRecentPrioritizationFees, onSignature and the helpers they depend on)
+ * on top of a simple in-memory ledger. Transactions are fully deserialized
+ * and their signatures verified, base and priority fees are debited from the
+ * fee payer, and memo instructions are indexed so readers get the same shapes
+ * the RPC returns.
+ *
+ * Every sent transaction lands in its own slot, which also advances the block
+ * height used for blockhash expiry.
+ */
+export class LocalMemoLedger {
+  /**
+   * @param {Object} [options] - Ledger options
+   * @param {number} [options.initialBalanceLamports] - Balance credited to accounts on first use
+   * @param {number} [options.feePerSignature] - Lamports charged per signature
+   * @param {number} [options.blockhashValidity] - Blocks a blockhash stays valid for
+   */
+  constructor(options = {}) {
+    this.rpcEndpoint = 'memory://glyffiti-local-ledger';
+    this.commitment = 'confirmed';
+
+    this.config = {
+      initialBalanceLamports: options.initialBalanceLamports ?? 10 * LAMPORTS_PER_SOL,
+      feePerSignature: options.feePerSignature ?? 5000,
+      blockhashValidity: options.blockhashValidity ?? 150
+    };
+
+    this.reset();
+  }
+
+  /**
+   * Clear all ledger state
+   */
+  reset() {
+    this.slot = 0;
+    this.blockHeight = 0;
+    this.transactions = new Map();   // signature → record
+    this.addressIndex = new Map();   // address → [signature] (oldest first)
+    this.balances = new Map();       // address → lamports
+    this.blockhashes = new Map();    // blockhash → lastValidBlockHeight
+    this.airdrops = new Set();
+    this.signatureListeners = new Map(); // subscription id → { signature, callback }
+    this._nextSubscriptionId = 0;
+    this._currentBlockhash = null;
+  }
+
+  // ==================== CONNECTION API ====================
+
+  /**
+   * Get the latest blockhash
+   * @returns {Promise<{blockhash: string, lastValidBlockHeight: number}>}
+   */
+  async getLatestBlockhash() {
+    if (!this._currentBlockhash) {
+      const blockhash = bs58.encode(Uint8Array.from(sha256.array(`glyffiti-local-blockhash-${this.blockHeight}`)));
+      this.blockhashes.set(blockhash, this.blockHeight + this.config.blockhashValidity);
+      this._currentBlockhash = blockhash;
+    }
+
+    return {
+      blockhash: this._currentBlockhash,
+      lastValidBlockHeight: this.blockhashes.get(this._currentBlockhash)
+    };
+  }
+
+  /**
+   * Submit a signed, serialized transaction
+   * @param {Uint8Array|Buffer|number[]} rawTransaction - Serialized transaction
+   * @returns {Promise<string>} Transaction signature (base58)
+   */
+  async sendRawTransaction(rawTransaction) {
+    const raw = Buffer.from(rawTransaction);
+    if (raw.length > MAX_TRANSACTION_SIZE) {
+      throw new Error(`Transaction too large: ${raw.length} bytes (max ${MAX_TRANSACTION_SIZE})`);
+    }
+
+    const transaction = Transaction.from(raw);
+    if (!transaction.signature || !transaction.verifySignatures()) {
+      throw new Error('Transaction signature verification failure');
+    }
+
+    const lastValidBlockHeight = this.blockhashes.get(transaction.recentBlockhash);
+    if (lastValidBlockHeight === undefined || lastValidBlockHeight < this.blockHeight) {
+      throw new Error('Blockhash not found');
+    }
+
+    const signature = bs58.encode(transaction.signature);
+    if (this.transactions.has(signature)) {
+      throw new Error('This transaction has already been processed');
+    }
+
+    const message = transaction.compileMessage();
+    const memos = this._extractMemos(message);
+
+    // Charge the fee payer: base fee per signature plus the requested priority fee
+    const feePayer = message.accountKeys[0].toBase58();
+    const { fee, computeUnitPrice } = this._feeFor(message);
+    const balance = this._balanceOf(feePayer);
+    if (balance < fee) {
+      throw new Error('Attempt to debit an account but found no record of a prior credit.');
+    }
+    this.balances.set(feePayer, balance - fee);
+
+    // Land the transaction in a new slot
+    this._advanceSlot();
+
+    const record = {
+      signature,
+      slot: this.slot,
+      blockTime: Math.floor(Date.now() / 1000),
+      fee,
+      computeUnitPrice,
+      message,
+      signatures: transaction.signatures.map(s => bs58.encode(s.signature)),
+      memos
+    };
+
+    this.transactions.set(signature, record);
+    message.accountKeys.forEach(key => this._indexAddress(key.toBase58(), signature));
+
+    this._notifySignature(record);
+
+    console.log(`LocalMemoLedger: sendRawTransaction: Landed ${signature.substring(0, 8)}... in slot ${this.slot} (${memos.length} memo${memos.length === 1 ? '' : 's'})`);
+    return signature;
+  }
+
+  /**
+   * Simulate a transaction without landing it. The fee payer's balance is
+   * checked and memo instructions are run as the memo program would (valid
+   * UTF-8, every named account signed, compute units within the requested
+   * limit), but nothing is charged or indexed. Like the RPC, a Transaction is
+   * given the latest blockhash and its signatures are not verified.
+   * @param {Transaction|Message} transactionOrMessage - Transaction, or compiled message, to simulate
+   * @param {Array<Signer>} [signers] - Signers to sign a Transaction with first
+   * @returns {Promise<Object>} RPC-style response: { context, value: { err, logs, accounts, unitsConsumed, returnData } }
+   */
+  async simulateTransaction(transactionOrMessage, signers) {
+    let message = transactionOrMessage;
+    if (transactionOrMessage instanceof Transaction) {
+      transactionOrMessage.recentBlockhash = (await this.getLatestBlockhash()).blockhash;
+      if (signers) {
+        transactionOrMessage.sign(...signers);
+      }
+      message = transactionOrMessage.compileMessage();
+    }
+
+    const size = 1 + 64 * message.header.numRequiredSignatures + message.serialize().length;
+    if (size > MAX_TRANSACTION_SIZE) {
+      throw new Error(`Transaction too large: ${size} bytes (max ${MAX_TRANSACTION_SIZE})`);
+    }
+
+    const response = (err, logs = [], unitsConsumed = 0) => ({
+      context: { slot: this.slot },
+      value: { err, logs, accounts: null, unitsConsumed, returnData: null }
+    });
+
+    const lastValidBlockHeight = this.blockhashes.get(message.recentBlockhash);
+    if (lastValidBlockHeight === undefined || lastValidBlockHeight < this.blockHeight) {
+      return response('BlockhashNotFound');
+    }
+    if (this._balanceOf(message.accountKeys[0].toBase58()) < this._feeFor(message).fee) {
+      return response('InsufficientFundsForFee');
+    }
+
+    const { computeUnitLimit } = this._readComputeBudget(message);
+    const logs = [];
+    let unitsConsumed = 0;
+
+    for (const [index, ix] of message.instructions.entries()) {
+      const programId = message.accountKeys[ix.programIdIndex];
+      const program = programId.toBase58();
+      const remaining = computeUnitLimit - unitsConsumed;
+      logs.push(`Program ${program} invoke [1]`);
+
+      let units = 0;
+      let error = null;
+      if (programId.equals(ComputeBudgetProgram.programId)) {
+        units = COMPUTE_BUDGET_COMPUTE_UNITS;
+      } else if (programId.equals(MEMO_PROGRAM_ID)) {
+        const bytes = bs58.decode(ix.data);
+        units = MEMO_BASE_COMPUTE_UNITS + bytes.length * MEMO_COMPUTE_UNITS_PER_BYTE;
+
+        const unsigned = ix.accounts.find(account => !message.isAccountSigner(account));
+        if (unsigned !== undefined) {
+          logs.push(`Program log: Missing required signature for ${message.accountKeys[unsigned].toBase58()}`);
+          error = 'MissingRequiredSignature';
+        } else {
+          ix.accounts.forEach(account => logs.push(`Program log: Signed by ${message.accountKeys[account].toBase58()}`));
+          try {
+            const memo = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+            logs.push(`Program log: Memo (len ${bytes.length}): ${JSON.stringify(memo)}`);
+          } catch {
+            logs.push('Program log: Invalid UTF-8');
+            error = 'InvalidInstructionData';
+          }
+        }
+      }
+
+      if (units > remaining) {
+        logs.push(`Program ${program} consumed ${remaining} of ${remaining} compute units`);
+        logs.push(`Program ${program} failed: exceeded CUs meter at BPF instruction`);
+        return response({ InstructionError: [index, 'ComputationalBudgetExceeded'] }, logs, computeUnitLimit);
+      }
+
+      unitsConsumed += units;
+      logs.push(`Program ${program} consumed ${units} of ${remaining} compute units`);
+      if (error) {
+        logs.push(`Program ${program} failed: ${error}`);
+        return response({ InstructionError: [index, error] }, logs, unitsConsumed);
+      }
+      logs.push(`Program ${program} success`);
+    }
+
+    return response(null, logs, unitsConsumed);
+  }
+
+  /**
+   * Confirm a transaction (landed transactions are immediately confirmed)
+   * @param {string|Object} strategy - Signature or { signature, blockhash, lastValidBlockHeight }
+   * @returns {Promise<Object>} RPC-style confirmation response
+   */
+  async confirmTransaction(strategy) {
+    const signature = typeof strategy === 'string' ? strategy : strategy?.signature;
+    if (!this.transactions.has(signature) && !this.airdrops.has(signature)) {
+      throw new Error(`Signature ${signature} not found on local ledger`);
+    }
+    return { context: { slot: this.slot }, value: { err: null } };
+  }
+
+  /**
+   * Subscribe to a signature landing (the ledger has a single commitment level)
+   * @param {string} signature - Transaction signature
+   * @param {Function} callback - Called once with ({ err }, { slot })
+   * @param {string} [commitment] - Ignored
+   * @returns {number} Subscription id for removeSignatureListener
+   */
+  onSignature(signature, callback, commitment) {
+    const id = this._nextSubscriptionId++;
+    this.signatureListeners.set(id, { signature, callback });
+
+    // Already landed: notify on the next tick, as a websocket would
+    const record = this.transactions.get(signature);
+    if (record) {
+      Promise.resolve().then(() => this._notifySignature(record));
+    }
+    return id;
+  }
+
+  /**
+   * Remove a signature subscription
+   * @param {number} id - Subscription id from onSignature
+   * @returns {Promise<void>}
+   */
+  async removeSignatureListener(id) {
+    this.signatureListeners.delete(id);
+  }
+
+  /**
+   * Get signature statuses
+   * @param {string[]} signatures - Signatures to look up
+   * @returns {Promise<Object>} RPC-style status response
+   */
+  async getSignatureStatuses(signatures) {
+    return {
+      context: { slot: this.slot },
+      value: signatures.map(signature => {
+        const record = this.transactions.get(signature);
+        if (!record) return null;
+        return {
+          slot: record.slot,
+          confirmations: null,
+          err: null,
+          confirmationStatus: 'finalized'
+        };
+      })
+    };
+  }
+
+  /**
+   * Get the fee the ledger would charge for a message
+   * @param {Message} message - Compiled message
+   * @param {string} [commitment] - Ignored (the ledger has a single commitment level)
+   * @returns {Promise<Object>} RPC-style response; value is null when the blockhash is unknown or expired
+   */
+  async getFeeForMessage(message, commitment) {
+    const lastValidBlockHeight = this.blockhashes.get(message.recentBlockhash);
+    if (lastValidBlockHeight === undefined || lastValidBlockHeight < this.blockHeight) {
+      return { context: { slot: this.slot }, value: null };
+    }
+    return { context: { slot: this.slot }, value: this._feeFor(message).fee };
+  }
+
+  /**
+   * Get the compute unit prices paid in recent slots
+   * @param {Object} [config] - { lockedWritableAccounts } to only include transactions writing those accounts
+   * @returns {Promise<Array>} [{ slot, prioritizationFee }] in micro-lamports per compute unit
+   */
+  async getRecentPrioritizationFees(config = {}) {
+    const accounts = (config.lockedWritableAccounts || []).map(address => this._toAddress(address));
+
+    const fees = [];
+    for (const record of this.transactions.values()) {
+      if (record.slot <= this.slot - PRIORITIZATION_FEE_SLOTS) continue;
+      if (accounts.length > 0 && !record.message.accountKeys.some((key, index) =>
+        record.message.isAccountWritable(index) && accounts.includes(key.toBase58()))) continue;
+
+      fees.push({ slot: record.slot, prioritizationFee: record.computeUnitPrice });
+    }
+    return fees;
+  }
+
+  /**
+   * Get a transaction in the legacy (non-parsed) RPC shape
+   * @param {string} signature - Transaction signature
+   * @returns {Promise<Object|null>} Transaction response or null
+   */
+  async getTransaction(signature) {
+    const record = this.transactions.get(signature);
+    if (!record) return null;
+
+    return {
+      slot: record.slot,
+      blockTime: record.blockTime,
+      version: 'legacy',
+      meta: this._buildMeta(record),
+      transaction: {
+        signatures: record.signatures,
+        message: record.message
+      }
+    };
+  }
+
+  /**
+   * Get a transaction in the jsonParsed RPC shape
+   * @param {string} signature - Transaction signature
+   * @returns {Promise<Object|null>} Parsed transaction response or null
+   */
+  async getParsedTransaction(signature) {
+    const record = this.transactions.get(signature);
+    if (!record) return null;
+
+    const { message } = record;
+    const accountKeys = message.accountKeys.map((pubkey, index) => ({
+      pubkey,
+      signer: message.isAccountSigner(index),
+      writable: message.isAccountWritable(index),
+      source: 'transaction'
+    }));
+
+    const instructions = message.instructions.map(ix => {
+      const programId = message.accountKeys[ix.programIdIndex];
+      if (programId.equals(MEMO_PROGRAM_ID)) {
+        return {
+          programId,
+          program: 'spl-memo',
+          parsed: Buffer.from(bs58.decode(ix.data)).toString('utf8'),
+          stackHeight: null
+        };
+      }
+      return {
+        programId,
+        accounts: ix.accounts.map(i => message.accountKeys[i]),
+        data: ix.data,
+        stackHeight: null
+      };
+    });
+
+    return {
+      slot: record.slot,
+      blockTime: record.blockTime,
+      version: 'legacy',
+      meta: this._buildMeta(record),
+      transaction: {
+        signatures: record.signatures,
+        message: {
+          accountKeys,
+          instructions,
+          recentBlockhash: message.recentBlockhash
+        }
+      }
+    };
+  }
+
+  /**
+   * Get confirmed signatures involving an address (newest first)
+   * @param {PublicKey|string} address - Account address
+   * @param {Object} [options] - { limit, before, until }
+   * @returns {Promise<Array>} Signature info objects
+   */
+  async getSignaturesForAddress(address, options = {}) {
+    const { limit = 1000, before, until } = options;
+    const signatures = [...(this.addressIndex.get(this._toAddress(address)) || [])].reverse();
+
+    let start = 0;
+    if (before) {
+      const beforeIndex = signatures.indexOf(before);
+      start = beforeIndex === -1 ? signatures.length : beforeIndex + 1;
+    }
+
+    const results = [];
+    for (let i = start; i < signatures.length && results.length < limit; i++) {
+      if (until && signatures[i] === until) break;
+
+      const record = this.transactions.get(signatures[i]);
+      results.push({
+        signature: record.signature,
+        slot: record.slot,
+        err: null,
+        memo: record.memos.length > 0
+          ? record.memos.map(memo => `[${Buffer.byteLength(memo, 'utf8')}] ${memo}`).join('; ')
+          : null,
+        blockTime: record.blockTime,
+        confirmationStatus: 'finalized'
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Get account balance
+   * @param {PublicKey|string} address - Account address
+   * @returns {Promise<number>} Balance in lamports
+   */
+  async getBalance(address) {
+    return this._balanceOf(this._toAddress(address));
+  }
+
+  /**
+   * Credit lamports to an account
+   * @param {PublicKey|string} address - Account address
+   * @param {number} lamports - Amount to credit
+   * @returns {Promise<string>} Synthetic airdrop signature
+   */
+  async requestAirdrop(address, lamports) {
+    const key = this._toAddress(address);
+    this.balances.set(key, this._balanceOf(key) + lamports);
+    this._advanceSlot();
+
+    const signature = bs58.encode(Uint8Array.from(sha256.array(`airdrop-${key}-${this.slot}`).concat(sha256.array(`slot-${this.slot}`))));
+    this.airdrops.add(signature);
+    return signature;
+  }
+
+  /**
+   * @returns {Promise<number>} Current slot
+   */
+  async getSlot() {
+    return this.slot;
+  }
+
+  /**
+   * @returns {Promise<number>} Current block height
+   */
+  async getBlockHeight() {
+    return this.blockHeight;
+  }
+
+  /**
+   * @returns {Promise<Object>} Version information
+   */
+  async getVersion() {
+    return { 'solana-core': 'local-memo-ledger', 'feature-set': 0 };
+  }
+
+  // ==================== LEDGER HELPERS ====================
+
+  /**
+   * Get ledger statistics
+   * @returns {Object} Ledger statistics
+   */
+  getStats() {
+    return {
+      slot: this.slot,
+      blockHeight: this.blockHeight,
+      transactions: this.transactions.size,
+      accounts: this.balances.size
+    };
+  }
+
+  /**
+   * Decode memo instructions from a compiled message
+   * @param {Message} message - Compiled message
+   * @returns {string[]} Memo strings
+   * @private
+   */
+  _extractMemos(message) {
+    const memos = [];
+    for (const ix of message.instructions) {
+      if (!message.accountKeys[ix.programIdIndex].equals(MEMO_PROGRAM_ID)) continue;
+
+      const bytes = bs58.decode(ix.data);
+      try {
+        memos.push(new TextDecoder('utf-8', { fatal: true }).decode(bytes));
+      } catch {
+        throw new Error('Memo instruction data is not valid UTF-8');
+      }
+    }
+    return memos;
+  }
+
+  /**
+   * Read the compute unit price and limit a message requests
+   * @param {Message} message - Compiled message
+   * @returns {{computeUnitPrice: number, computeUnitLimit: number}} Price in micro-lamports, limit in units
+   * @private
+   */
+  _readComputeBudget(message) {
+    let computeUnitPrice = 0;
+    let computeUnitLimit = null;
+    let otherInstructions = 0;
+
+    for (const ix of message.instructions) {
+      const programId = message.accountKeys[ix.programIdIndex];
+      if (!programId.equals(ComputeBudgetProgram.programId)) {
+        otherInstructions++;
+        continue;
+      }
+
+      const instruction = new TransactionInstruction({ programId, keys: [], data: Buffer.from(bs58.decode(ix.data)) });
+      const type = ComputeBudgetInstruction.decodeInstructionType(instruction);
+      if (type === 'SetComputeUnitPrice') {
+        computeUnitPrice = Number(ComputeBudgetInstruction.decodeSetComputeUnitPrice(instruction).microLamports);
+      } else if (type === 'SetComputeUnitLimit') {
+        computeUnitLimit = ComputeBudgetInstruction.decodeSetComputeUnitLimit(instruction).units;
+      }
+    }
+
+    return {
+      computeUnitPrice,
+      computeUnitLimit: Math.min(
+        computeUnitLimit ?? otherInstructions * DEFAULT_COMPUTE_UNITS_PER_INSTRUCTION,
+        MAX_COMPUTE_UNIT_LIMIT
+      )
+    };
+  }
+
+  /**
+   * Fee for a message: base fee per signature plus the requested priority fee
+   * @param {Message} message - Compiled message
+   * @returns {{fee: number, computeUnitPrice: number}} Fee in lamports and the price it was charged at
+   * @private
+   */
+  _feeFor(message) {
+    const { computeUnitPrice, computeUnitLimit } = this._readComputeBudget(message);
+    const priorityFee = Math.ceil((computeUnitPrice * computeUnitLimit) / 1000000);
+    return {
+      fee: message.header.numRequiredSignatures * this.config.feePerSignature + priorityFee,
+      computeUnitPrice
+    };
+  }
+
+  /**
+   * Build the meta section of a transaction response
+   * @param {Object} record - Ledger record
+   * @returns {Object} Transaction meta
+   * @private
+   */
+  _buildMeta(record) {
+    return {
+      err: null,
+      fee: record.fee,
+      preBalances: [],
+      postBalances: [],
+      logMessages: record.memos.map(memo => `Program log: Memo (len ${Buffer.byteLength(memo, 'utf8')}): ${JSON.stringify(memo)}`)
+    };
+  }
+
+  /**
+   * Notify and drop the subscriptions waiting for a landed transaction
+   * @param {Object} record - Transaction record
+   * @private
+   */
+  _notifySignature(record) {
+    for (const [id, listener] of this.signatureListeners) {
+      if (listener.signature === record.signature) {
+        this.signatureListeners.delete(id);
+        listener.callback({ err: null }, { slot: record.slot });
+      }
+    }
+  }
+
+  /**
+   * Advance to the next slot and expire the current blockhash
+   * @private
+   */
+  _advanceSlot() {
+    this.slot++;
+    this.blockHeight++;
+    this._currentBlockhash = null;
+  }
+
+  /**
+   * @private
+   */
+  _indexAddress(address, signature) {
+    if (!this.addressIndex.has(address)) {
+      this.addressIndex.set(address, []);
+    }
+    this.addressIndex.get(address).push(signature);
+  }
+
+  /**
+   * @private
+   */
+  _balanceOf(address) {
+    if (!this.balances.has(address)) {
+      this.balances.set(address, this.config.initialBalanceLamports);
+    }
+    return this.balances.get(address);
+  }
+
+  /**
+   * @private
+   */
+  _toAddress(address) {
+    return typeof address === 'string' ? address : address.toBase58();
+  }
+}
+
+// Character count: 22536
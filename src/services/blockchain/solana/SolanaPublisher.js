@@ -1,11 +1,14 @@
 // src/services/blockchain/solana/SolanaPublisher.js
 // Path: src/services/blockchain/solana/SolanaPublisher.js
-import { Connection, Transaction, TransactionInstruction, PublicKey } from '@solana/web3.js';
+import { Transaction, TransactionInstruction, PublicKey, LAMPORTS_PER_SOL } from '@solana/web3.js';
 import { CompressionService } from '../../compression/CompressionService';
 import { StorageService } from '../../storage/StorageService';
 import { UserStorageService } from '../../storage/UserStorageService';
 import { StoryHeaderService } from '../../feed/StoryHeaderService';
 import { globalRPCRateLimiter } from '../shared/GlobalRPCRateLimiter';
+import { connectionProvider } from '../shared/ConnectionProvider';
+import { PriorityFeeService } from './utils/PriorityFeeService';
+import { ConfirmationTracker } from './utils/ConfirmationTracker';
 
 
 /**
@@ -13,27 +16,298 @@ import { globalRPCRateLimiter } from '../shared/GlobalRPCRateLimiter';
  * Extracted from BlockChainPublisher for better organization and multi-currency support
  */
 export class SolanaPublisher {
-  constructor() {
-    this.connection = new Connection('https://api.devnet.solana.com', 'confirmed');
+  // Solana packet limit for a serialized transaction
+  static MAX_TRANSACTION_SIZE = 1232;
+
+  // Memo program limit per instruction
+  static MAX_MEMO_BYTES = 566;
+
+  constructor(connection = null) {
+    this._connection = connection;
     this.MEMO_PROGRAM_ID = new PublicKey('MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr');
     this.activePublishing = new Map();
+    this.priorityFees = new PriorityFeeService(connection);
+    this.confirmations = new ConfirmationTracker(connection);
+  }
+
+  /**
+   * Active Solana connection (injected or from ConnectionProvider)
+   * @returns {Connection} Connection instance
+   */
+  get connection() {
+    return this._connection || connectionProvider.getConnection();
+  }
+
+  /**
+   * New transaction with compute budget instructions for the current priority fee
+   * @param {Object} [priorityFee] - Quote from PriorityFeeService (fetched if omitted)
+   * @returns {Promise<Transaction>} Transaction ready for the memo instruction
+   */
+  async _createTransaction(priorityFee = null) {
+    const quote = priorityFee || await this.priorityFees.getPriorityFee();
+    return new Transaction().add(...PriorityFeeService.instructionsFor(quote));
+  }
+
+  /**
+   * Memo instruction for UTF-8 memo text
+   * @param {string|Buffer} memo - Memo text
+   * @param {Array<PublicKey>} [coSigners] - Keys the memo program requires to sign (e.g. a sponsored author)
+   * @returns {TransactionInstruction} Memo instruction
+   */
+  _memoInstruction(memo, coSigners = []) {
+    return new TransactionInstruction({
+      keys: coSigners.map(pubkey => ({ pubkey, isSigner: true, isWritable: false })),
+      programId: this.MEMO_PROGRAM_ID,
+      data: Buffer.from(memo, 'utf-8')
+    });
+  }
+
+  /**
+   * Account that pays for a signer's transactions: a sponsor's when the
+   * signer has one (see SponsoredSigner), otherwise the signer itself
+   * @param {TransactionSigner} signer - Wallet that signs
+   * @returns {PublicKey} Fee payer
+   */
+  static feePayerOf(signer) {
+    return signer.feePayer || signer.publicKey;
+  }
+
+  /**
+   * Keys besides the fee payer that sign a signer's memo transactions
+   * @param {TransactionSigner} [signer] - Wallet that signs
+   * @returns {Array<PublicKey>} Co-signers (none for an ordinary wallet)
+   */
+  static coSignersOf(signer) {
+    return signer?.coSigners || [];
+  }
+
+  /**
+   * Memo of a social post: its full glyph (content, chain link, author
+   * signature, reply, entity and share fields), compressed and base64 encoded
+   * @param {string} originalContent - Post text ('' for a repost)
+   * @param {Object} glyph - Post glyph (see PostPublishingService.publishPost)
+   * @param {number} [index=0] - Glyph index, when the glyph has none
+   * @returns {string} Memo text
+   */
+  static socialPostMemo(originalContent, glyph, index = 0) {
+    const fullGlyphData = {
+      glyphs: [{
+        content: originalContent,  // ✅ Use original text content
+        previousPostHash: glyph.previousPostHash,
+        index: glyph.index || index,
+        // Author signature over the post, so the fee payer need not be the author
+        ...(glyph.authorSignature ? {
+          author: glyph.author,
+          sig: glyph.authorSignature
+        } : {}),
+        // Replies name their parent, and their thread root when it is not the parent
+        ...(glyph.replyTo ? {
+          replyTo: glyph.replyTo,
+          ...(glyph.threadId && glyph.threadId !== glyph.replyTo
+            ? { threadId: glyph.threadId }
+            : {})
+        } : {}),
+        // Users the post mentions and its tags (see PostEntities)
+        ...(glyph.mentions ? { mentions: glyph.mentions } : {}),
+        ...(glyph.tags ? { tags: glyph.tags } : {}),
+        // The post it reposts or quotes, and its re-glyph cap (see PostShare)
+        ...(glyph.repostOf ? { repostOf: glyph.repostOf } : {}),
+        ...(glyph.quoteOf ? { quoteOf: glyph.quoteOf } : {}),
+        ...(glyph.reGlyphCap !== undefined ? { reGlyphCap: glyph.reGlyphCap } : {})
+      }]
+    };
+    const compressedData = CompressionService.compress(JSON.stringify(fullGlyphData));
+    return CompressionService.uint8ArrayToBase64(compressedData);
+  }
+
+  /**
+   * Serialized size of a signed transaction carrying the given memos, with
+   * both compute budget instructions, so callers can pack memos into as few
+   * transactions as possible
+   * @param {string[]} memos - Memo texts in instruction order
+   * @param {Array<PublicKey>} [coSigners] - Co-signers named by each memo (see coSignersOf)
+   * @returns {number} Size in bytes (compare with SolanaPublisher.MAX_TRANSACTION_SIZE)
+   */
+  measureMemoTransaction(memos, coSigners = []) {
+    // Stand-in fee payer and blockhash: both are fixed-size
+    const transaction = this._buildMemoTransaction(memos, {
+      computeUnitLimit: PriorityFeeService.MAX_COMPUTE_UNIT_LIMIT,
+      microLamports: PriorityFeeService.DEFAULT_CONFIG.maxMicroLamports
+    }, PublicKey.default, PublicKey.default.toBase58(), coSigners);
+    const message = transaction.compileMessage();
+
+    // Compact signature count + one 64-byte signature per signer + message
+    return 1 + 64 * message.header.numRequiredSignatures + message.serialize().length;
+  }
+
+  /**
+   * Price memo transactions with the cluster's fee API before sending them.
+   * Each transaction is built as publishSingleTransaction would build it
+   * (compute budget for the current priority fee, then one memo instruction
+   * per memo) and its compiled message is priced with getFeeForMessage.
+   * @param {string[][]} memoGroups - Memos of each transaction, in instruction order
+   * @param {PublicKey|string} feePayer - Wallet that would pay
+   * @param {Object} [options] - Estimate options
+   * @param {number} [options.maxMicroLamports] - Priority fee cap (e.g. from a fee budget)
+   * @param {Array<PublicKey>} [options.coSigners] - Co-signers named by each memo (their signatures are charged too)
+   * @returns {Promise<Object>} { transactions: [{ memos, bytes, feeLamports, priorityFeeLamports, rentLamports }],
+   *   feeLamports, baseFeeLamports, priorityFeeLamports, rentLamports, totalLamports, totalSOL }
+   */
+  async estimateMemoTransactions(memoGroups, feePayer, { maxMicroLamports, coSigners = [] } = {}) {
+    const payer = typeof feePayer === 'string' ? new PublicKey(feePayer) : feePayer;
+    let { blockhash } = await this.connection.getLatestBlockhash();
+
+    // The fee only depends on signatures and compute budget, so each memo count is priced once
+    const quotes = new Map();
+    const fees = new Map();
+    const transactions = [];
+
+    for (const memos of memoGroups) {
+      const count = memos.length;
+      if (!quotes.has(count)) {
+        quotes.set(count, await this.priorityFees.getPriorityFee({ maxMicroLamports, instructions: count }));
+      }
+
+      const quote = quotes.get(count);
+      const message = this._buildMemoTransaction(memos, quote, payer, blockhash, coSigners).compileMessage();
+
+      if (!fees.has(count)) {
+        let fee = await this._getFeeForMessage(message);
+        if (fee == null) {
+          // Blockhash expired between fetching and pricing: retry once with a fresh one
+          ({ blockhash } = await this.connection.getLatestBlockhash());
+          fee = await this._getFeeForMessage(this._buildMemoTransaction(memos, quote, payer, blockhash, coSigners).compileMessage());
+        }
+        if (fee == null) {
+          throw new Error('Could not estimate transaction fee: blockhash not found');
+        }
+        fees.set(count, fee);
+      }
+
+      transactions.push({
+        memos: count,
+        bytes: 1 + 64 * message.header.numRequiredSignatures + message.serialize().length,
+        feeLamports: fees.get(count),
+        priorityFeeLamports: quote.priorityFeeLamports,
+        rentLamports: 0 // Memo transactions create no accounts, so there is no rent to fund
+      });
+    }
+
+    const feeLamports = transactions.reduce((sum, tx) => sum + tx.feeLamports, 0);
+    const priorityFeeLamports = transactions.reduce((sum, tx) => sum + tx.priorityFeeLamports, 0);
+    const rentLamports = transactions.reduce((sum, tx) => sum + tx.rentLamports, 0);
+    const totalLamports = feeLamports + rentLamports;
+
+    return {
+      transactions,
+      feeLamports,
+      baseFeeLamports: feeLamports - priorityFeeLamports,
+      priorityFeeLamports,
+      rentLamports,
+      totalLamports,
+      totalSOL: totalLamports / LAMPORTS_PER_SOL
+    };
+  }
+
+  /**
+   * Simulate a memo transaction as publishSingleTransaction would send it,
+   * without signing or paying for it. The cluster runs the memo program (or
+   * the local ledger its stand-in) and reports the error, if any, with logs
+   * and compute units.
+   * @param {string[]} memos - Memo texts in instruction order
+   * @param {TransactionSigner} signer - Wallet that would sign (its fee payer and co-signers are used)
+   * @param {Object} [options] - Simulation options
+   * @param {Object} [options.priorityFee] - Priority fee quote (defaults to the configured strategy)
+   * @param {number} [options.maxMicroLamports] - Priority fee cap when no quote is given
+   * @returns {Promise<Object>} { err, logs, unitsConsumed, bytes, message }
+   */
+  async simulateMemoTransaction(memos, signer, { priorityFee = null, maxMicroLamports } = {}) {
+    const quote = priorityFee || await this.priorityFees.getPriorityFee({ maxMicroLamports, instructions: memos.length });
+    const { blockhash } = await this.connection.getLatestBlockhash();
+    const transaction = this._buildMemoTransaction(
+      memos,
+      quote,
+      SolanaPublisher.feePayerOf(signer),
+      blockhash,
+      SolanaPublisher.coSignersOf(signer)
+    );
+    const message = transaction.compileMessage();
+
+    const { value } = await globalRPCRateLimiter.executeWithRateLimit(
+      () => this.connection.simulateTransaction(transaction),
+      `simulate ${memos.length}-memo transaction`,
+      'SolanaPublisher'
+    );
+
+    return {
+      err: value.err,
+      logs: value.logs || [],
+      unitsConsumed: value.unitsConsumed ?? null,
+      bytes: 1 + 64 * message.header.numRequiredSignatures + message.serialize().length,
+      message
+    };
+  }
+
+  /**
+   * Memo transaction with compute budget instructions, ready to sign
+   * @param {Array<string|Buffer>} memos - Memo texts in instruction order
+   * @param {Object} quote - Priority fee quote
+   * @param {PublicKey} feePayer - Fee payer
+   * @param {string} blockhash - Recent blockhash
+   * @param {Array<PublicKey>} [coSigners] - Co-signers named by each memo
+   * @returns {Transaction} Unsigned transaction
+   */
+  _buildMemoTransaction(memos, quote, feePayer, blockhash, coSigners = []) {
+    const transaction = new Transaction().add(...PriorityFeeService.instructionsFor(quote));
+    memos.forEach(memo => transaction.add(this._memoInstruction(memo, coSigners)));
+    transaction.feePayer = feePayer;
+    transaction.recentBlockhash = blockhash;
+    return transaction;
+  }
+
+  /**
+   * Fee the cluster would charge for a compiled message
+   * @param {Message} message - Compiled message
+   * @returns {Promise<number|null>} Fee in lamports, or null if the blockhash is unknown
+   */
+  async _getFeeForMessage(message) {
+    const { value } = await globalRPCRateLimiter.executeWithRateLimit(
+      () => this.connection.getFeeForMessage(message, 'confirmed'),
+      'get fee for message',
+      'SolanaPublisher'
+    );
+    return value;
+  }
+
+  /**
+   * Lamports available to pay fees
+   * @param {PublicKey|string} address - Wallet address
+   * @returns {Promise<number>} Balance in lamports
+   */
+  async getBalanceLamports(address) {
+    const publicKey = typeof address === 'string' ? new PublicKey(address) : address;
+    return await globalRPCRateLimiter.executeWithRateLimit(
+      () => this.connection.getBalance(publicKey),
+      'get balance',
+      'SolanaPublisher'
+    );
   }
 
   /**
    * Publish prepared content to Solana blockchain with enhanced error handling and scroll creation
    * @param {Object} content - Prepared content object
-   * @param {Object} keypair - Wallet keypair for signing
+   * @param {TransactionSigner} signer - Wallet that signs and pays (BaseWallet, KeypairSigner, or a SponsoredSigner whose sponsor pays)
    * @param {Function} onProgress - Progress callback
    * @returns {Promise<Object>} Publishing result with scroll information
    */
-  async publishContent(content, keypair, onProgress = null, userPublicKey = null) {
+  async publishContent(content, signer, onProgress = null, userPublicKey = null) {
     try {
       if (!content || !content.glyphs || content.glyphs.length === 0) {
         throw new Error('No valid content to publish');
       }
 
-      if (!keypair) {
-        throw new Error('No wallet keypair provided');
+      if (!signer) {
+        throw new Error('No wallet signer provided');
       }
 
       const { contentId } = content;
@@ -99,24 +373,15 @@ export class SolanaPublisher {
               };
             
             // Create Solana transaction
-            const transaction = new Transaction();
+            const transaction = await this._createTransaction();
             
             // Check if this is a social post that needs full glyph structure preserved
             let memoData;
             if (content.socialPost && content.glyphs[index] && content.glyphs[index].previousPostHash !== undefined) {
               // For social posts, store the FULL glyph structure to preserve chain linking
-              const originalContent = content.originalContent || glyphChunk.originalText || content.content;
-              const fullGlyphData = {
-                glyphs: [{
-                  content: originalContent,  // ✅ Use original text content
-                  previousPostHash: content.glyphs[index].previousPostHash,
-                  index: content.glyphs[index].index || index
-                }]
-              };
-              const jsonString = JSON.stringify(fullGlyphData);
-              const compressedData = CompressionService.compress(jsonString);
-              const base64CompressedData = CompressionService.uint8ArrayToBase64(compressedData);
-              memoData = Buffer.from(base64CompressedData, 'utf-8');
+              // A repost has no text of its own, so empty content is kept as it is
+              const originalContent = content.originalContent ?? glyphChunk.originalText ?? content.content;
+              memoData = Buffer.from(SolanaPublisher.socialPostMemo(originalContent, content.glyphs[index], index), 'utf-8');
             } else {
               // For regular published content, use existing logic
               const base64CompressedData = CompressionService.uint8ArrayToBase64(glyphChunk.content);
@@ -124,35 +389,14 @@ export class SolanaPublisher {
             }
             
             // Add memo instruction
-            const instruction = new TransactionInstruction({
-              keys: [],
-              programId: this.MEMO_PROGRAM_ID,
-              data: memoData
-            });
-            
-            transaction.add(instruction);
-            
-            // Get recent blockhash
-            const { blockhash } = await this.connection.getLatestBlockhash();
-            transaction.recentBlockhash = blockhash;
-            transaction.feePayer = keypair.publicKey;
-            
-            // Sign and send
-            transaction.sign(keypair);
-            const signature = await this.connection.sendRawTransaction(
-              transaction.serialize(),
-              { skipPreflight: false, preflightCommitment: 'confirmed' }
-            );
+            transaction.add(this._memoInstruction(memoData, SolanaPublisher.coSignersOf(signer)));
             
-            // Wait for confirmation
-            const confirmation = await this.connection.confirmTransaction(
-              signature,
-              'confirmed'
-            );
-            
-            if (confirmation.value.err) {
-              throw new Error(`Transaction failed: ${confirmation.value.err}`);
-            }
+            // Sign with a fresh blockhash, send and wait for confirmation
+            transaction.feePayer = SolanaPublisher.feePayerOf(signer);
+            const signature = await this.confirmations.sendAndConfirm(transaction, signer, {
+              description: `glyph ${index + 1}`,
+              context: { contentId }
+            });
             
             console.log(`✅ Glyph ${index + 1} published: ${signature}`);
 
@@ -309,80 +553,75 @@ export class SolanaPublisher {
 
     /**
      * Publish a single transaction with memo data to Solana blockchain
-     * This is used by the Merkle publishing system for individual glyphs
-     * @param {string} memoData - The memo data to publish (already serialized)
-     * @param {Object} keypair - Wallet keypair for signing
+     * This is used by the Merkle publishing system for glyphs and hash lists.
+     * Several memos can share the transaction (one memo instruction each, in
+     * order) as long as it stays within the packet limit.
+     * @param {string|string[]} memoData - The memo or memos to publish (already serialized)
+     * @param {TransactionSigner} signer - Wallet that signs and pays (BaseWallet, KeypairSigner, or a SponsoredSigner whose sponsor pays)
+     * @param {Object} [options] - Publishing options
+     * @param {Function} [options.onSigned] - Awaited with each signature and { lastValidBlockHeight } after signing, before sending
+     * @param {Object} [options.context] - Passed to confirmation status listeners (e.g. { contentId })
+     * @param {Object} [options.priorityFee] - Priority fee quote to pay (defaults to the configured strategy)
      * @returns {Promise<string>} Transaction ID
      */
     // REPLACE ENTIRE METHOD WITH:
-async publishSingleTransaction(memoData, keypair) {
+async publishSingleTransaction(memoData, signer, { onSigned, priorityFee = null, context = {} } = {}) {
   console.log('SolanaPublisher: publishSingleTransaction: Publishing single transaction with memo data');
   
   try {
-    if (!memoData) {
+    const memos = Array.isArray(memoData) ? memoData : [memoData];
+    if (memos.length === 0 || memos.some(memo => !memo)) {
       throw new Error('No memo data provided');
     }
 
-    if (!keypair) {
-      throw new Error('No wallet keypair provided');
+    if (!signer) {
+      throw new Error('No wallet signer provided');
     }
 
     // Check memo size limit (Solana memo program limit is 566 bytes for UTF-8)
-    const memoBuffer = Buffer.from(memoData, 'utf-8');
-    if (memoBuffer.length > 566) {
-      throw new Error(`Memo data too large: ${memoBuffer.length} bytes (max 566)`);
+    const memoBuffers = memos.map(memo => Buffer.from(memo, 'utf-8'));
+    for (const memoBuffer of memoBuffers) {
+      if (memoBuffer.length > SolanaPublisher.MAX_MEMO_BYTES) {
+        throw new Error(`Memo data too large: ${memoBuffer.length} bytes (max ${SolanaPublisher.MAX_MEMO_BYTES})`);
+      }
+    }
+
+    // Check the packet limit when memos share the transaction
+    const memoBytes = memoBuffers.reduce((sum, memoBuffer) => sum + memoBuffer.length, 0);
+    if (memos.length > 1) {
+      const transactionSize = this.measureMemoTransaction(memos, SolanaPublisher.coSignersOf(signer));
+      if (transactionSize > SolanaPublisher.MAX_TRANSACTION_SIZE) {
+        throw new Error(`Transaction too large: ${memos.length} memos need ${transactionSize} bytes (max ${SolanaPublisher.MAX_TRANSACTION_SIZE})`);
+      }
     }
 
-    console.log(`SolanaPublisher: publishSingleTransaction: Memo size: ${memoBuffer.length} bytes`);
+    console.log(`SolanaPublisher: publishSingleTransaction: Memo size: ${memoBytes} bytes in ${memos.length} memo${memos.length === 1 ? '' : 's'}`);
 
     // Use GlobalRPCRateLimiter for the entire transaction process
     return await globalRPCRateLimiter.executeWithRateLimit(
       async () => {
-        // Create transaction
-        const transaction = new Transaction();
-        
-        // Add memo instruction
-        const instruction = new TransactionInstruction({
-          keys: [],
-          programId: this.MEMO_PROGRAM_ID,
-          data: memoBuffer
-        });
-        
-        transaction.add(instruction);
-        
-        // Get recent blockhash
-        const { blockhash } = await this.connection.getLatestBlockhash();
-        transaction.recentBlockhash = blockhash;
-        transaction.feePayer = keypair.publicKey;
-        
-        // Sign transaction
-        transaction.sign(keypair);
-        
-        // Send transaction
-        const signature = await this.connection.sendRawTransaction(
-          transaction.serialize(),
-          { 
-            skipPreflight: false, 
-            preflightCommitment: 'confirmed' 
-          }
+        // Create transaction with compute budget for the priority fee
+        const transaction = await this._createTransaction(
+          priorityFee || await this.priorityFees.getPriorityFee({ instructions: memos.length })
         );
         
-        console.log(`SolanaPublisher: publishSingleTransaction: Transaction sent, signature: ${signature}`);
-        
-        // Wait for confirmation
-        const confirmation = await this.connection.confirmTransaction(
-          signature,
-          'confirmed'
-        );
+        // Add one memo instruction per memo
+        const coSigners = SolanaPublisher.coSignersOf(signer);
+        memoBuffers.forEach(memoBuffer => transaction.add(this._memoInstruction(memoBuffer, coSigners)));
+        transaction.feePayer = SolanaPublisher.feePayerOf(signer);
         
-        if (confirmation.value.err) {
-          throw new Error(`Transaction failed: ${JSON.stringify(confirmation.value.err)}`);
-        }
+        // Sign with a fresh blockhash, send and wait for confirmation; callers
+        // journal each signature (a new one only after the last one expired)
+        const signature = await this.confirmations.sendAndConfirm(transaction, signer, {
+          description: `${memos.length}-memo transaction`,
+          context,
+          onSigned
+        });
         
         console.log(`SolanaPublisher: publishSingleTransaction: ✅ Transaction confirmed: ${signature}`);
         return signature;
       },
-      `publish transaction with ${memoBuffer.length}b memo`,
+      `publish transaction with ${memoBytes}b memo`,
       'SolanaPublisher'
     );
     
@@ -397,11 +636,11 @@ async publishSingleTransaction(memoData, keypair) {
   /**
    * Resume publishing from a failed or partial state on Solana
    * @param {string} contentId - Content ID to resume
-   * @param {Object} keypair - Wallet keypair for signing
+   * @param {TransactionSigner} signer - Wallet that signs and pays (BaseWallet, KeypairSigner, or a SponsoredSigner whose sponsor pays)
    * @param {Function} onProgress - Progress callback
    * @returns {Promise<Object>} Publishing result
    */
-  async resumePublishing(contentId, keypair, onProgress = null, userPublicKey = null) {
+  async resumePublishing(contentId, signer, onProgress = null, userPublicKey = null) {
     try {
       console.log(`🔄 Resuming Solana publication of content: ${contentId}`);
       
@@ -468,42 +707,21 @@ async publishSingleTransaction(memoData, keypair) {
               };
             
             // Create Solana transaction
-            const transaction = new Transaction();
+            const transaction = await this._createTransaction();
             
             // Convert compressed binary data to base64 for the Memo program
             const base64CompressedData = CompressionService.uint8ArrayToBase64(glyphChunk.content);
             const memoData = Buffer.from(base64CompressedData, 'utf-8');
             
             // Add memo instruction
-            const instruction = new TransactionInstruction({
-              keys: [],
-              programId: this.MEMO_PROGRAM_ID,
-              data: memoData
-            });
+            transaction.add(this._memoInstruction(memoData, SolanaPublisher.coSignersOf(signer)));
             
-            transaction.add(instruction);
-            
-            // Get recent blockhash
-            const { blockhash } = await this.connection.getLatestBlockhash();
-            transaction.recentBlockhash = blockhash;
-            transaction.feePayer = keypair.publicKey;
-            
-            // Sign and send
-            transaction.sign(keypair);
-            const signature = await this.connection.sendRawTransaction(
-              transaction.serialize(),
-              { skipPreflight: false, preflightCommitment: 'confirmed' }
-            );
-            
-            // Wait for confirmation
-            const confirmation = await this.connection.confirmTransaction(
-              signature,
-              'confirmed'
-            );
-            
-            if (confirmation.value.err) {
-              throw new Error(`Transaction failed: ${confirmation.value.err}`);
-            }
+            // Sign with a fresh blockhash, send and wait for confirmation
+            transaction.feePayer = SolanaPublisher.feePayerOf(signer);
+            const signature = await this.confirmations.sendAndConfirm(transaction, signer, {
+              description: `glyph ${glyph.index + 1}`,
+              context: { contentId }
+            });
             
             console.log(`✅ Resumed glyph ${glyph.index + 1} published: ${signature}`);
             
@@ -700,4 +918,4 @@ async checkConnection() {
   }
 }
 
-// Character count: 13,892
\ No newline at end of file
+// Character count: 37,473
\ No newline at end of file
@@ -0,0 +1,365 @@
+// src/services/blockchain/solana/utils/ConfirmationTracker.js
+// Path: src/services/blockchain/solana/utils/ConfirmationTracker.js
+import bs58 from 'bs58';
+import { connectionProvider } from '../../shared/ConnectionProvider';
+
+/**
+ * Confirmation Tracker - Follows sent transactions until they land or expire
+ *
+ * Every tracked signature moves through sent → processed → confirmed →
+ * finalized, or ends as 'expired' (the chain finalized a block past its
+ * blockhash's lastValidBlockHeight and the signature never appeared) or
+ * 'failed' (it landed with an error, or the RPC rejected it). Status comes
+ * from a signature subscription when the connection offers one, with
+ * getSignatureStatuses polling as the backstop.
+ *
+ * sendAndConfirm re-signs with a fresh blockhash only once the previous
+ * signature has provably expired, so a slow transaction is never sent twice.
+ * Listeners (e.g. PublishingStatusManager) see every state change.
+ *
+ * Status calls go straight to the connection rather than through
+ * GlobalRPCRateLimiter: senders already hold a rate limiter slot while they
+ * wait for confirmation.
+ */
+export class ConfirmationTracker {
+  static STATUS = {
+    SENT: 'sent',
+    PROCESSED: 'processed',
+    CONFIRMED: 'confirmed',
+    FINALIZED: 'finalized',
+    EXPIRED: 'expired',
+    FAILED: 'failed'
+  };
+
+  // Commitment levels in the order a landed transaction reaches them
+  static COMMITMENTS = ['processed', 'confirmed', 'finalized'];
+
+  static DEFAULT_CONFIG = {
+    commitment: 'confirmed',   // Level sendAndConfirm waits for
+    pollIntervalMs: 1000,
+    maxAttempts: 3,            // Signatures per transaction: the first send plus re-signs after expiry
+    timeoutMs: 30000,          // How long to wait for a signature without a known blockhash expiry
+    historyLimit: 500          // Tracked signatures kept for getStatus
+  };
+
+  /**
+   * @param {Object} [connection] - Optional connection override (defaults to ConnectionProvider)
+   * @param {Object} [config] - Overrides for DEFAULT_CONFIG
+   */
+  constructor(connection = null, config = {}) {
+    this._connection = connection;
+    this.config = { ...ConfirmationTracker.DEFAULT_CONFIG, ...config };
+    this.signatures = new Map(); // signature → status record
+    this.listeners = new Set();
+  }
+
+  /**
+   * Active Solana connection (injected or from ConnectionProvider)
+   * @returns {Connection} Connection instance
+   */
+  get connection() {
+    return this._connection || connectionProvider.getConnection();
+  }
+
+  /**
+   * Listen for status changes of every tracked signature
+   * @param {Function} listener - Called with a copy of the record after each change
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Current status of a tracked signature
+   * @param {string} signature - Transaction signature
+   * @returns {Object|null} { signature, status, slot, lastValidBlockHeight, attempt, context, error, updatedAt }
+   */
+  getStatus(signature) {
+    const record = this.signatures.get(signature);
+    return record ? { ...record } : null;
+  }
+
+  /**
+   * Start tracking a signature that is about to be sent
+   * @param {string} signature - Transaction signature
+   * @param {Object} [options] - Tracking options
+   * @param {number} [options.lastValidBlockHeight] - Expiry of the transaction's blockhash
+   * @param {number} [options.attempt=1] - Which signature of the transaction this is
+   * @param {Object} [options.context] - Caller data passed to listeners (e.g. { contentId })
+   * @returns {Object} Status record
+   */
+  track(signature, { lastValidBlockHeight = null, attempt = 1, context = {} } = {}) {
+    return this._update(signature, {
+      status: ConfirmationTracker.STATUS.SENT,
+      slot: null,
+      lastValidBlockHeight,
+      attempt,
+      context,
+      error: null
+    });
+  }
+
+  /**
+   * Sign, send and confirm a transaction. Each attempt signs with a fresh
+   * blockhash; the next attempt only starts after the previous signature
+   * expired without landing.
+   * @param {Transaction} transaction - Transaction with its instructions (blockhash is set here)
+   * @param {TransactionSigner} signer - Wallet that signs and pays
+   * @param {Object} [options] - Send options
+   * @param {string} [options.description='Transaction'] - Description for logging and errors
+   * @param {string} [options.commitment] - Level to wait for (defaults to config.commitment)
+   * @param {Object} [options.context] - Caller data passed to listeners
+   * @param {Function} [options.onSigned] - Awaited with each signature and { lastValidBlockHeight } before it is sent
+   * @returns {Promise<string>} Signature of the attempt that landed
+   */
+  async sendAndConfirm(transaction, signer, { description = 'Transaction', commitment, context, onSigned } = {}) {
+    const { STATUS } = ConfirmationTracker;
+
+    for (let attempt = 1; attempt <= this.config.maxAttempts; attempt++) {
+      const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash();
+      transaction.recentBlockhash = blockhash;
+      transaction.feePayer = transaction.feePayer || signer.publicKey;
+
+      const signedTransaction = await signer.signTransaction(transaction);
+      const signature = bs58.encode(signedTransaction.signature);
+      this.track(signature, { lastValidBlockHeight, attempt, context });
+
+      // Let callers journal the signature before the transaction can land
+      if (onSigned) {
+        await onSigned(signature, { lastValidBlockHeight });
+      }
+
+      console.log(`ConfirmationTracker: sendAndConfirm: Sending ${description} (attempt ${attempt}/${this.config.maxAttempts})`);
+      try {
+        await this.connection.sendRawTransaction(signedTransaction.serialize(), {
+          skipPreflight: false,
+          preflightCommitment: 'confirmed'
+        });
+      } catch (error) {
+        const outcome = ConfirmationTracker._classifySendError(error);
+        if (outcome === STATUS.EXPIRED) {
+          // Rejected for its blockhash: it was never forwarded, so it cannot land
+          this._update(signature, { status: STATUS.EXPIRED, error: error.message });
+          continue;
+        }
+        if (outcome === STATUS.FAILED) {
+          this._update(signature, { status: STATUS.FAILED, error: error.message });
+          throw error;
+        }
+        // Otherwise the request may still have reached the cluster: follow the signature
+        console.warn(`ConfirmationTracker: sendAndConfirm: Send of ${description} did not return (${error.message}), watching ${signature.substring(0, 8)}...`);
+      }
+
+      const record = await this.waitForConfirmation(signature, { lastValidBlockHeight, commitment });
+      if (record.status === STATUS.FAILED) {
+        throw new Error(`Transaction failed: ${record.error}`);
+      }
+      if (record.status !== STATUS.EXPIRED) {
+        console.log(`ConfirmationTracker: sendAndConfirm: ✅ ${description} ${record.status}: ${signature}`);
+        return signature;
+      }
+
+      console.log(`ConfirmationTracker: sendAndConfirm: ${description} expired without landing, re-signing with a fresh blockhash`);
+    }
+
+    throw new Error(`${description} expired ${this.config.maxAttempts} times without landing`);
+  }
+
+  /**
+   * Wait until a sent signature reaches a commitment level, fails, or
+   * provably expires
+   * @param {string} signature - Transaction signature
+   * @param {Object} [options] - Wait options
+   * @param {number} [options.lastValidBlockHeight] - Blockhash expiry (without it, waits for config.timeoutMs)
+   * @param {string} [options.commitment] - Level to wait for (defaults to config.commitment)
+   * @returns {Promise<Object>} Final status record
+   */
+  async waitForConfirmation(signature, { lastValidBlockHeight = null, commitment = this.config.commitment } = {}) {
+    const { STATUS } = ConfirmationTracker;
+    const maxPolls = lastValidBlockHeight == null ? this._pollsFor(this.config.timeoutMs) : Infinity;
+    if (!this.signatures.has(signature)) {
+      this.track(signature, { lastValidBlockHeight });
+    }
+
+    // Wake the poll loop as soon as the subscription reports the signature
+    let notified = null;
+    let wake = null;
+    let pollTimer = null;
+    let subscriptionId = null;
+    if (typeof this.connection.onSignature === 'function') {
+      subscriptionId = this.connection.onSignature(signature, (result, context) => {
+        notified = { err: result.err, slot: context.slot, confirmationStatus: commitment };
+        wake && wake();
+      }, commitment);
+    }
+
+    try {
+      for (let poll = 1; ; poll++) {
+        const status = notified || await this._fetchStatus(signature);
+        if (status) {
+          const record = this._applyStatus(signature, status);
+          if (record.status === STATUS.FAILED || this._reached(record.status, commitment)) {
+            return this.getStatus(signature);
+          }
+        } else if (lastValidBlockHeight != null) {
+          // Once a finalized block is past the blockhash's last valid height,
+          // a signature that still has no status can never land
+          const blockHeight = await this.connection.getBlockHeight('finalized');
+          if (blockHeight > lastValidBlockHeight && !(await this._fetchStatus(signature))) {
+            this._update(signature, { status: STATUS.EXPIRED });
+            return this.getStatus(signature);
+          }
+        }
+
+        if (poll >= maxPolls) {
+          return this.getStatus(signature);
+        }
+
+        await new Promise(resolve => {
+          // An early wake clears the poll timer so none are left pending
+          wake = () => {
+            clearTimeout(pollTimer);
+            resolve();
+          };
+          pollTimer = setTimeout(resolve, this.config.pollIntervalMs);
+        });
+      }
+    } finally {
+      clearTimeout(pollTimer);
+      if (subscriptionId != null) {
+        this.connection.removeSignatureListener(subscriptionId);
+      }
+    }
+  }
+
+  /**
+   * Wait for a signature someone else sent (e.g. one read from the feed) to
+   * reach a commitment level, giving up after config.timeoutMs. Readers use
+   * this instead of sleeping for indexing; the signature is not tracked.
+   * @param {string} signature - Transaction signature
+   * @param {string} [commitment='confirmed'] - Level to wait for
+   * @returns {Promise<boolean>} True if the signature reached the level without error
+   */
+  async waitForCommitment(signature, commitment = 'confirmed') {
+    const maxPolls = this._pollsFor(this.config.timeoutMs);
+
+    for (let poll = 1; ; poll++) {
+      const status = await this._fetchStatus(signature);
+      if (status && (status.err || this._reached(status.confirmationStatus || 'processed', commitment))) {
+        return !status.err;
+      }
+      if (poll >= maxPolls) {
+        console.warn(`ConfirmationTracker: waitForCommitment: ${signature.substring(0, 8)}... not ${commitment} after ${this.config.timeoutMs}ms`);
+        return false;
+      }
+      await new Promise(resolve => setTimeout(resolve, this.config.pollIntervalMs));
+    }
+  }
+
+  /**
+   * Number of polls that fit in a duration
+   * @param {number} ms - Duration
+   * @returns {number} Polls (at least one)
+   * @private
+   */
+  _pollsFor(ms) {
+    return Math.max(1, Math.ceil(ms / this.config.pollIntervalMs));
+  }
+
+  /**
+   * Fetch a signature's status from the cluster
+   * @param {string} signature - Transaction signature
+   * @returns {Promise<Object|null>} RPC signature status, or null if unknown
+   * @private
+   */
+  async _fetchStatus(signature) {
+    const { value } = await this.connection.getSignatureStatuses([signature], { searchTransactionHistory: true });
+    return value?.[0] || null;
+  }
+
+  /**
+   * Record an RPC signature status
+   * @param {string} signature - Transaction signature
+   * @param {Object} status - { err, slot, confirmationStatus }
+   * @returns {Object} Updated record
+   * @private
+   */
+  _applyStatus(signature, status) {
+    const { STATUS } = ConfirmationTracker;
+    if (status.err) {
+      return this._update(signature, { status: STATUS.FAILED, slot: status.slot, error: JSON.stringify(status.err) });
+    }
+
+    // Never move backwards (a poll can lag behind the subscription)
+    const current = this.signatures.get(signature).status;
+    const next = status.confirmationStatus || STATUS.PROCESSED;
+    if (this._reached(current, next)) {
+      return this.signatures.get(signature);
+    }
+    return this._update(signature, { status: next, slot: status.slot });
+  }
+
+  /**
+   * Whether a status is at or past a commitment level
+   * @param {string} status - Record status
+   * @param {string} commitment - Commitment level
+   * @returns {boolean} True if reached
+   * @private
+   */
+  _reached(status, commitment) {
+    const { COMMITMENTS } = ConfirmationTracker;
+    const level = COMMITMENTS.indexOf(status);
+    return level !== -1 && level >= COMMITMENTS.indexOf(commitment);
+  }
+
+  /**
+   * Merge changes into a record and notify listeners
+   * @param {string} signature - Transaction signature
+   * @param {Object} changes - Fields to change
+   * @returns {Object} Updated record
+   * @private
+   */
+  _update(signature, changes) {
+    const previous = this.signatures.get(signature);
+    const record = { signature, context: {}, ...previous, ...changes, updatedAt: Date.now() };
+
+    this.signatures.delete(signature); // Re-insert so the oldest records are dropped first
+    this.signatures.set(signature, record);
+    if (this.signatures.size > this.config.historyLimit) {
+      this.signatures.delete(this.signatures.keys().next().value);
+    }
+
+    if (!previous || previous.status !== record.status) {
+      this.listeners.forEach(listener => {
+        try {
+          listener({ ...record });
+        } catch (error) {
+          console.error('ConfirmationTracker: _update: Status listener failed:', error);
+        }
+      });
+    }
+    return record;
+  }
+
+  /**
+   * What a failed sendRawTransaction says about the transaction
+   * @param {Error} error - Send error
+   * @returns {string|null} EXPIRED (blockhash rejected), FAILED (rejected outright),
+   *   or null when the transaction may still have reached the cluster
+   * @private
+   */
+  static _classifySendError(error) {
+    const message = error?.message || '';
+    if (/blockhash not found/i.test(message)) {
+      return this.STATUS.EXPIRED;
+    }
+    if (/already been processed/i.test(message) || /network|fetch|timed? ?out|socket|ECONN/i.test(message)) {
+      return null;
+    }
+    return this.STATUS.FAILED;
+  }
+}
+
+// Character count: 14630
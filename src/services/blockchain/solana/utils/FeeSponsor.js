@@ -0,0 +1,297 @@
+// src/services/blockchain/solana/utils/FeeSponsor.js
+// Path: src/services/blockchain/solana/utils/FeeSponsor.js
+import { Keypair, PublicKey, ComputeBudgetProgram, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { connectionProvider } from '../../shared/ConnectionProvider';
+import { KeypairSigner } from '../../../wallet/KeypairSigner';
+import { SponsoredSigner } from '../../../wallet/SponsoredSigner';
+
+const MEMO_PROGRAM_ID = new PublicKey('MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr');
+
+/**
+ * Fee Sponsor - Pays transaction fees for authors who have no SOL
+ *
+ * The sponsor is the fee payer of an author's memo transactions; the author
+ * either co-signs the transaction (the memo names the author as a signer, so
+ * the post still shows up in scans of the author's address) or only signs
+ * the memo content (see AuthorSignature). Before adding its signature the
+ * sponsor checks that the transaction only runs the memo and compute budget
+ * programs, that a co-signing author really signed it, and that the author
+ * is within quota.
+ *
+ * Quotas limit sponsored transactions and lamports per author over a rolling
+ * window and are kept in AsyncStorage per sponsor. A transaction that is
+ * re-signed after its blockhash expired is only counted once.
+ */
+export class FeeSponsor {
+  static STORAGE_KEY = 'glyffiti_fee_sponsor_usage';
+
+  static DEFAULT_QUOTA = {
+    maxTransactions: 50,                   // Sponsored transactions per author per window
+    maxLamports: 0.01 * LAMPORTS_PER_SOL,  // Sponsored fees per author per window
+    windowMs: 24 * 60 * 60 * 1000          // Rolling window: one day
+  };
+
+  // Programs a sponsored transaction may run
+  static ALLOWED_PROGRAMS = [MEMO_PROGRAM_ID, ComputeBudgetProgram.programId];
+
+  /**
+   * @param {TransactionSigner} payerSigner - Signer of the account that pays fees
+   * @param {Object} [options] - Sponsor options
+   * @param {Object} [options.connection] - Optional connection override (defaults to ConnectionProvider)
+   * @param {Object} [options.quota] - Overrides for DEFAULT_QUOTA
+   */
+  constructor(payerSigner, { connection = null, quota = {} } = {}) {
+    if (!payerSigner || !payerSigner.publicKey || typeof payerSigner.signTransaction !== 'function') {
+      throw new Error('FeeSponsor requires a signer for the fee payer');
+    }
+
+    this._connection = connection;
+    this.payerSigner = payerSigner;
+    this.quota = { ...FeeSponsor.DEFAULT_QUOTA, ...quota };
+    this._charged = new WeakSet(); // Transactions already counted against a quota
+    this._writeQueue = Promise.resolve();
+
+    for (const field of ['maxTransactions', 'maxLamports', 'windowMs']) {
+      if (!Number.isSafeInteger(this.quota[field]) || this.quota[field] < 0) {
+        throw new Error(`Invalid sponsor quota ${field}: ${this.quota[field]}`);
+      }
+    }
+  }
+
+  /**
+   * Local relay stand-in: a fresh sponsor account funded by airdrop, for the
+   * local ledger and devnet
+   * @param {Object} [connection] - Connection that can airdrop (defaults to ConnectionProvider)
+   * @param {Object} [options] - Relay options
+   * @param {number} [options.lamports=LAMPORTS_PER_SOL] - Airdrop amount
+   * @param {Object} [options.quota] - Overrides for DEFAULT_QUOTA
+   * @returns {Promise<FeeSponsor>} Funded sponsor
+   */
+  static async createLocalRelay(connection = null, { lamports = LAMPORTS_PER_SOL, quota = {} } = {}) {
+    const sponsor = new FeeSponsor(new KeypairSigner(Keypair.generate()), { connection, quota });
+    const signature = await sponsor.connection.requestAirdrop(sponsor.publicKey, lamports);
+    await sponsor.connection.confirmTransaction(signature, 'confirmed');
+
+    console.log(`💸 Local relay ${sponsor.publicKey.toBase58().substring(0, 8)}... funded with ${lamports / LAMPORTS_PER_SOL} SOL`);
+    return sponsor;
+  }
+
+  /**
+   * Active Solana connection (injected or from ConnectionProvider)
+   * @returns {Connection} Connection instance
+   */
+  get connection() {
+    return this._connection || connectionProvider.getConnection();
+  }
+
+  /**
+   * Fee payer account
+   * @returns {PublicKey} Sponsor public key
+   */
+  get publicKey() {
+    return this.payerSigner.publicKey;
+  }
+
+  /**
+   * Signer that signs as the author and lets this sponsor pay
+   * @param {TransactionSigner} authorSigner - Author's signer
+   * @param {Object} [options] - Signer options
+   * @param {boolean} [options.coSign=true] - Author co-signs transactions (false: only memo content is signed)
+   * @returns {SponsoredSigner} Signer to hand to publishers
+   */
+  signerFor(authorSigner, { coSign = true } = {}) {
+    return new SponsoredSigner(authorSigner, this, { coSign });
+  }
+
+  /**
+   * Sponsored usage of an author in the current window
+   * @param {PublicKey|string} author - Author's public key
+   * @returns {Promise<Object>} { transactions, lamports, windowStart }
+   */
+  async getUsage(author) {
+    const usage = await this._readUsage();
+    return this._currentUsage(usage[this._toAddress(author)]);
+  }
+
+  /**
+   * Check whether the author's quota covers more sponsored transactions
+   * @param {PublicKey|string} author - Author's public key
+   * @param {Object} [request] - What would be sponsored
+   * @param {number} [request.transactions=1] - Transactions
+   * @param {number} [request.lamports=0] - Fees in lamports
+   * @returns {Promise<Object>} { allowed, remainingTransactions, remainingLamports, usage }
+   */
+  async checkQuota(author, { transactions = 1, lamports = 0 } = {}) {
+    const usage = await this.getUsage(author);
+    const remainingTransactions = Math.max(0, this.quota.maxTransactions - usage.transactions);
+    const remainingLamports = Math.max(0, this.quota.maxLamports - usage.lamports);
+
+    return {
+      allowed: transactions <= remainingTransactions && lamports <= remainingLamports,
+      remainingTransactions,
+      remainingLamports,
+      usage
+    };
+  }
+
+  /**
+   * Like checkQuota, but throws when the quota does not cover the request
+   * @param {PublicKey|string} author - Author's public key
+   * @param {Object} [request] - { transactions, lamports } as for checkQuota
+   * @returns {Promise<Object>} checkQuota result
+   * @throws {Error} If the author's quota is exceeded
+   */
+  async assertQuota(author, request = {}) {
+    const quota = await this.checkQuota(author, request);
+    if (!quota.allowed) {
+      throw new Error(`Sponsor quota exceeded: ${this._toAddress(author).substring(0, 8)}... has ${quota.remainingTransactions} sponsored transaction(s) and ${quota.remainingLamports} lamports left`);
+    }
+    return quota;
+  }
+
+  /**
+   * Check, count and sign a transaction as its fee payer
+   * @param {Transaction} transaction - Transaction with its blockhash set (signed by the author when co-signing)
+   * @param {PublicKey|string} author - Author the fees are charged to
+   * @returns {Promise<Transaction>} The transaction, signed by the sponsor
+   * @throws {Error} If the transaction is not a sponsorable memo transaction or the quota is exceeded
+   */
+  async sponsorTransaction(transaction, author) {
+    const authorKey = this._toAddress(author);
+    if (!transaction.feePayer || !transaction.feePayer.equals(this.publicKey)) {
+      throw new Error('Sponsored transaction must name the sponsor as fee payer');
+    }
+
+    for (const instruction of transaction.instructions) {
+      if (!FeeSponsor.ALLOWED_PROGRAMS.some(programId => programId.equals(instruction.programId))) {
+        throw new Error(`Sponsor only pays for memo transactions (found program ${instruction.programId.toBase58()})`);
+      }
+      if (instruction.keys.some(key => key.pubkey.equals(this.publicKey))) {
+        throw new Error('Sponsored memos cannot name the sponsor as a signer');
+      }
+    }
+
+    // A co-signing author must have signed this very message
+    const message = transaction.serializeMessage();
+    const authorSignature = transaction.signatures.find(entry => entry.publicKey.toBase58() === authorKey);
+    if (authorSignature && !(authorSignature.signature && KeypairSigner.verifyMessage(message, authorSignature.signature, authorKey))) {
+      throw new Error('Sponsored transaction is missing a valid author signature');
+    }
+
+    // Signing runs inside the publisher's rate-limited send, so this is a plain call
+    const { value: feeLamports } = await this.connection.getFeeForMessage(transaction.compileMessage(), 'confirmed');
+    if (feeLamports == null) {
+      throw new Error('Could not price sponsored transaction: blockhash not found');
+    }
+
+    if (!this._charged.has(transaction)) {
+      await this._charge(authorKey, feeLamports);
+      this._charged.add(transaction);
+    }
+
+    return await this.payerSigner.signTransaction(transaction);
+  }
+
+  /**
+   * Forget an author's usage (or everyone's)
+   * @param {PublicKey|string} [author] - Only reset this author
+   * @returns {Promise<void>}
+   */
+  async resetUsage(author = null) {
+    await this._mutate((usage) => {
+      if (author) {
+        delete usage[this._toAddress(author)];
+      } else {
+        Object.keys(usage).forEach(key => delete usage[key]);
+      }
+    });
+  }
+
+  /**
+   * Count a transaction against the author's quota
+   * @param {string} author - Author's public key
+   * @param {number} feeLamports - Transaction fee
+   * @returns {Promise<Object>} Updated usage
+   * @private
+   */
+  _charge(author, feeLamports) {
+    return this._mutate((usage) => {
+      const current = this._currentUsage(usage[author]);
+      if (current.transactions + 1 > this.quota.maxTransactions || current.lamports + feeLamports > this.quota.maxLamports) {
+        throw new Error(`Sponsor quota exceeded: ${author.substring(0, 8)}... has ${Math.max(0, this.quota.maxTransactions - current.transactions)} sponsored transaction(s) and ${Math.max(0, this.quota.maxLamports - current.lamports)} lamports left`);
+      }
+
+      usage[author] = {
+        windowStart: current.windowStart,
+        transactions: current.transactions + 1,
+        lamports: current.lamports + feeLamports
+      };
+      return usage[author];
+    });
+  }
+
+  /**
+   * Usage record, restarted once its window has passed
+   * @param {Object} [record] - Stored usage
+   * @returns {Object} { transactions, lamports, windowStart }
+   * @private
+   */
+  _currentUsage(record) {
+    const now = Date.now();
+    if (!record || now - record.windowStart >= this.quota.windowMs) {
+      return { transactions: 0, lamports: 0, windowStart: now };
+    }
+    return { ...record };
+  }
+
+  /**
+   * Stored usage of every author of this sponsor
+   * @returns {Promise<Object>} author -> usage record
+   * @private
+   */
+  async _readUsage() {
+    const json = await AsyncStorage.getItem(this._storageKey());
+    return json ? JSON.parse(json) : {};
+  }
+
+  /**
+   * Read-modify-write the usage records, one mutation at a time
+   * @param {Function} mutation - Receives the usage object, may modify it, returns a result
+   * @returns {Promise<any>} The mutation's result
+   * @private
+   */
+  _mutate(mutation) {
+    const run = this._writeQueue.then(async () => {
+      const usage = await this._readUsage();
+      const result = mutation(usage);
+      await AsyncStorage.setItem(this._storageKey(), JSON.stringify(usage));
+      return result;
+    });
+
+    // Keep the queue alive after a refused or failed write
+    this._writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * AsyncStorage key for this sponsor's usage
+   * @returns {string} Storage key
+   * @private
+   */
+  _storageKey() {
+    return `${FeeSponsor.STORAGE_KEY}_${this.publicKey.toBase58()}`;
+  }
+
+  /**
+   * Base58 address of a key
+   * @param {PublicKey|string} key - Public key
+   * @returns {string} Address
+   * @private
+   */
+  _toAddress(key) {
+    return typeof key === 'string' ? key : key.toBase58();
+  }
+}
+
+// Character count: 11856
@@ -0,0 +1,252 @@
+// src/services/blockchain/solana/utils/PriorityFeeService.js
+// Path: src/services/blockchain/solana/utils/PriorityFeeService.js
+import { ComputeBudgetProgram, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { globalRPCRateLimiter } from '../../shared/GlobalRPCRateLimiter';
+import { connectionProvider } from '../../shared/ConnectionProvider';
+
+/**
+ * Priority Fee Service - Compute budget and priority fees for memo transactions
+ *
+ * Strategies:
+ * - 'none':       no priority fee (compute unit limit only)
+ * - 'fixed':      always pay `microLamports` per compute unit
+ * - 'percentile': pay the given percentile of getRecentPrioritizationFees
+ *
+ * Every strategy is clamped to [minMicroLamports, maxMicroLamports], and a
+ * caller may pass a lower cap (e.g. derived from a publication's fee budget).
+ * Fees are quoted as { microLamports, computeUnitLimit } and turned into
+ * ComputeBudgetProgram instructions by `instructionsFor`. The compute unit
+ * limit is configured per memo instruction and scaled for packed transactions.
+ */
+export class PriorityFeeService {
+  static STRATEGIES = ['none', 'fixed', 'percentile'];
+
+  // Solana base fee per signature
+  static BASE_FEE_LAMPORTS = 5000;
+
+  static MICRO_LAMPORTS_PER_LAMPORT = 1000000;
+
+  // Most compute units a transaction may request
+  static MAX_COMPUTE_UNIT_LIMIT = 1400000;
+
+  static DEFAULT_CONFIG = {
+    strategy: 'percentile',
+    microLamports: 0,              // Price for the 'fixed' strategy
+    percentile: 75,                // Percentile for the 'percentile' strategy
+    minMicroLamports: 0,
+    maxMicroLamports: 1000000,     // Hard cap: 1 lamport per compute unit
+    computeUnitLimit: 50000,       // Per memo instruction: headroom for a full 566-byte memo
+    cacheMs: 10000                 // Reuse a percentile sample for this long
+  };
+
+  /**
+   * @param {Object} [connection] - Optional connection override (defaults to ConnectionProvider)
+   * @param {Object} [config] - Overrides for DEFAULT_CONFIG
+   */
+  constructor(connection = null, config = {}) {
+    this._connection = connection;
+    this.config = { ...PriorityFeeService.DEFAULT_CONFIG };
+    this._sample = null; // { microLamports, fetchedAt }
+    this.configure(config);
+  }
+
+  /**
+   * Active Solana connection (injected or from ConnectionProvider)
+   * @returns {Connection} Connection instance
+   */
+  get connection() {
+    return this._connection || connectionProvider.getConnection();
+  }
+
+  /**
+   * Update the fee configuration
+   * @param {Object} updates - Fields of DEFAULT_CONFIG to change
+   * @returns {Object} The new configuration
+   */
+  configure(updates = {}) {
+    const config = { ...this.config, ...updates };
+
+    if (!PriorityFeeService.STRATEGIES.includes(config.strategy)) {
+      throw new Error(`Unknown priority fee strategy: ${config.strategy}`);
+    }
+    if (!(config.percentile >= 0 && config.percentile <= 100)) {
+      throw new Error('Priority fee percentile must be between 0 and 100');
+    }
+    for (const field of ['microLamports', 'minMicroLamports', 'maxMicroLamports', 'computeUnitLimit']) {
+      if (!Number.isSafeInteger(config[field]) || config[field] < 0) {
+        throw new Error(`Invalid priority fee setting ${field}: ${config[field]}`);
+      }
+    }
+    if (config.minMicroLamports > config.maxMicroLamports) {
+      throw new Error('Priority fee minimum exceeds maximum');
+    }
+
+    if (config.strategy !== this.config.strategy || config.percentile !== this.config.percentile) {
+      this._sample = null;
+    }
+    this.config = config;
+    return this.config;
+  }
+
+  /**
+   * Quote the priority fee for the next transaction
+   * @param {Object} [options] - Quote options
+   * @param {number} [options.maxMicroLamports] - Extra cap (e.g. from a fee budget)
+   * @param {number} [options.instructions=1] - Memo instructions the transaction carries
+   * @returns {Promise<Object>} { strategy, microLamports, computeUnitLimit, priorityFeeLamports }
+   */
+  async getPriorityFee({ maxMicroLamports, instructions = 1 } = {}) {
+    let microLamports = 0;
+
+    if (this.config.strategy === 'fixed') {
+      microLamports = this.config.microLamports;
+    } else if (this.config.strategy === 'percentile') {
+      microLamports = await this._sampleRecentFees();
+    }
+
+    return this._quote(microLamports, maxMicroLamports, instructions);
+  }
+
+  /**
+   * Quote without touching the network: the configured price for 'fixed', the
+   * cached sample for 'percentile', or the cap when nothing has been sampled
+   * yet (so estimates never understate the fee).
+   * @param {Object} [options] - { maxMicroLamports, instructions } as for getPriorityFee
+   * @returns {Object} { strategy, microLamports, computeUnitLimit, priorityFeeLamports }
+   */
+  peekPriorityFee({ maxMicroLamports, instructions = 1 } = {}) {
+    let microLamports = 0;
+
+    if (this.config.strategy === 'fixed') {
+      microLamports = this.config.microLamports;
+    } else if (this.config.strategy === 'percentile') {
+      microLamports = this._sample ? this._sample.microLamports : this.config.maxMicroLamports;
+    }
+
+    return this._quote(microLamports, maxMicroLamports, instructions);
+  }
+
+  /**
+   * Compute budget instructions for a quote (prepend them to the transaction)
+   * @param {Object} quote - Quote from getPriorityFee
+   * @returns {TransactionInstruction[]} Compute budget instructions
+   */
+  static instructionsFor(quote) {
+    const instructions = [
+      ComputeBudgetProgram.setComputeUnitLimit({ units: quote.computeUnitLimit })
+    ];
+    if (quote.microLamports > 0) {
+      instructions.push(ComputeBudgetProgram.setComputeUnitPrice({ microLamports: quote.microLamports }));
+    }
+    return instructions;
+  }
+
+  /**
+   * Priority fee paid for a quote, in lamports
+   * @param {number} microLamports - Price per compute unit
+   * @param {number} computeUnitLimit - Requested compute units
+   * @returns {number} Lamports
+   */
+  static priorityFeeLamports(microLamports, computeUnitLimit) {
+    return Math.ceil((microLamports * computeUnitLimit) / this.MICRO_LAMPORTS_PER_LAMPORT);
+  }
+
+  /**
+   * Total fees for a number of single-signature transactions at a quote
+   * @param {number} transactions - Number of transactions
+   * @param {Object} quote - Single-memo quote from getPriorityFee or peekPriorityFee
+   * @param {number} [memos] - Memo instructions across the transactions (defaults to one each)
+   * @returns {Object} { baseFeeLamports, priorityFeeLamports, totalLamports, totalSOL }
+   */
+  static estimateCost(transactions, quote, memos = transactions) {
+    const baseFeeLamports = transactions * this.BASE_FEE_LAMPORTS;
+    const priorityFeeLamports = memos * quote.priorityFeeLamports;
+    const totalLamports = baseFeeLamports + priorityFeeLamports;
+
+    return {
+      baseFeeLamports,
+      priorityFeeLamports,
+      totalLamports,
+      totalSOL: totalLamports / LAMPORTS_PER_SOL
+    };
+  }
+
+  /**
+   * Highest price per compute unit that keeps a batch of transactions within
+   * a fee budget
+   * @param {number} budgetLamports - Total lamports the transactions may cost
+   * @param {number} transactions - Number of transactions the budget covers
+   * @param {number} computeUnitLimit - Compute units requested per transaction (or per memo)
+   * @returns {number} Price cap in micro-lamports per compute unit
+   * @throws {Error} If the budget does not even cover the base fees
+   */
+  static capForBudget(budgetLamports, transactions, computeUnitLimit) {
+    if (transactions <= 0) {
+      return 0;
+    }
+
+    const baseFees = transactions * this.BASE_FEE_LAMPORTS;
+    if (budgetLamports < baseFees) {
+      throw new Error(`Fee budget of ${budgetLamports} lamports does not cover the base fees of ${transactions} transactions (${baseFees} lamports)`);
+    }
+
+    const priorityLamportsEach = Math.floor((budgetLamports - baseFees) / transactions);
+    return Math.floor((priorityLamportsEach * this.MICRO_LAMPORTS_PER_LAMPORT) / computeUnitLimit);
+  }
+
+  /**
+   * Clamp a price and build the quote
+   * @param {number} microLamports - Strategy price
+   * @param {number} [maxMicroLamports] - Extra cap
+   * @param {number} [instructions=1] - Memo instructions the compute unit limit covers
+   * @returns {Object} Quote
+   * @private
+   */
+  _quote(microLamports, maxMicroLamports, instructions = 1) {
+    const { strategy, minMicroLamports } = this.config;
+    const computeUnitLimit = Math.min(this.config.computeUnitLimit * instructions, PriorityFeeService.MAX_COMPUTE_UNIT_LIMIT);
+    const cap = Math.min(this.config.maxMicroLamports, maxMicroLamports ?? Infinity);
+
+    let price = strategy === 'none' ? 0 : Math.max(minMicroLamports, microLamports);
+    price = Math.max(0, Math.min(Math.round(price), cap));
+
+    return {
+      strategy,
+      microLamports: price,
+      computeUnitLimit,
+      priorityFeeLamports: PriorityFeeService.priorityFeeLamports(price, computeUnitLimit)
+    };
+  }
+
+  /**
+   * Percentile of recent prioritization fees, cached for config.cacheMs
+   * @returns {Promise<number>} Price in micro-lamports per compute unit
+   * @private
+   */
+  async _sampleRecentFees() {
+    if (this._sample && Date.now() - this._sample.fetchedAt < this.config.cacheMs) {
+      return this._sample.microLamports;
+    }
+
+    try {
+      const recent = await globalRPCRateLimiter.executeWithRateLimit(
+        () => this.connection.getRecentPrioritizationFees(),
+        'get recent prioritization fees',
+        'PriorityFeeService'
+      );
+      const fees = (recent || []).map(entry => entry.prioritizationFee).sort((a, b) => a - b);
+      const rank = Math.ceil((this.config.percentile / 100) * fees.length) - 1;
+      const microLamports = fees.length === 0 ? 0 : fees[Math.max(0, Math.min(fees.length - 1, rank))];
+
+      this._sample = { microLamports, fetchedAt: Date.now() };
+      console.log(`PriorityFeeService: p${this.config.percentile} of ${fees.length} recent fees: ${microLamports} µlamports/CU`);
+      return microLamports;
+    } catch (error) {
+      // Fall back to the last sample, or to no priority fee
+      console.warn('PriorityFeeService: Could not sample recent prioritization fees:', error.message);
+      return this._sample ? this._sample.microLamports : 0;
+    }
+  }
+}
+
+// Character count: 10247
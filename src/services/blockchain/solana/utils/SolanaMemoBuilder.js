@@ -1,42 +1,67 @@
 // src/services/blockchain/solana/utils/SolanaMemoBuilder.js  
 // Path: src/services/blockchain/solana/utils/SolanaMemoBuilder.js
-import { Connection, Transaction, TransactionInstruction, PublicKey, Keypair } from '@solana/web3.js';
+import { Transaction, TransactionInstruction, PublicKey, Keypair } from '@solana/web3.js';
 import { GlyffitiGenesisBlock, UserGenesisBlock, GenesisBlockFactory } from '../../shared/models/GenesisBlock.js';
+import { UserGraphAnchor } from '../../shared/models/UserGraphAnchor';
+import { Retraction } from '../../shared/models/Retraction';
+import { Reaction } from '../../shared/models/Reaction';
+import { Follow } from '../../shared/models/Follow';
 import { CompressionService } from '../../../compression/CompressionService.js';
+import { SecurityService } from '../../../security/SecurityService.js';
 import bs58 from 'bs58';
+import { connectionProvider } from '../../shared/ConnectionProvider';
+import { globalRPCRateLimiter } from '../../shared/GlobalRPCRateLimiter';
+import { PriorityFeeService } from './PriorityFeeService';
+import { ConfirmationTracker } from './ConfirmationTracker';
 
 /**
  * Solana Memo Builder - Creates memo-only transactions for social graph genesis blocks
- * Handles the creation and submission of genesis blocks to Solana blockchain
+ * Handles the creation and submission of genesis blocks and User Graph Anchors to Solana blockchain
  * Following existing SolanaPublisher patterns for transaction handling
  */
 export class SolanaMemoBuilder {
+  // scanSignerMemos pages through at most SCAN_LIMIT signatures, SCAN_PAGE_SIZE at a time
+  static SCAN_PAGE_SIZE = 1000;
+  static SCAN_LIMIT = 5000;
+
   constructor(connection = null) {
-    // Use provided connection or create default devnet connection
-    this.connection = connection || new Connection('https://api.devnet.solana.com', 'confirmed');
+    // Use provided connection or fall back to the shared ConnectionProvider
+    this._connection = connection;
     this.MEMO_PROGRAM_ID = new PublicKey('MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr');
     
     // Transaction configuration
     this.txConfig = {
       skipPreflight: false,
       preflightCommitment: 'confirmed',
-      commitment: 'confirmed',
-      maxRetries: 3,
-      retryDelay: 2000 // 2 seconds
+      commitment: 'confirmed'
     };
+
+    // Compute budget and priority fee for every memo transaction
+    this.priorityFees = new PriorityFeeService(connection);
+
+    // Follows sent transactions and re-signs only after a blockhash expires
+    this.confirmations = new ConfirmationTracker(connection, { commitment: this.txConfig.commitment });
+  }
+
+  /**
+   * Active Solana connection (injected or from ConnectionProvider)
+   * @returns {Connection} Connection instance
+   */
+  get connection() {
+    return this._connection || connectionProvider.getConnection();
   }
 
   /**
    * Build and submit the global Glyffiti Genesis block transaction (one-time setup)
-   * @param {Keypair} deployerKeypair - Keypair that will deploy the genesis (becomes the "creator")
+   * @param {TransactionSigner} deployerSigner - Signer that will deploy the genesis (becomes the "creator")
    * @returns {Promise<string>} Transaction signature hash
    */
-  async deployGlyffitiGenesis(deployerKeypair) {
+  async deployGlyffitiGenesis(deployerSigner) {
     try {
       console.log('🌟 Deploying Secure Glyffiti Genesis Block...');
       
-      if (!deployerKeypair) {
-        throw new Error('Deployer keypair is required for genesis deployment');
+      if (!deployerSigner) {
+        throw new Error('Deployer signer is required for genesis deployment');
       }
 
       // Create the genesis block
@@ -47,10 +72,10 @@ export class SolanaMemoBuilder {
       console.log(`📡 Secure genesis wire format size: ${wireData.length} bytes`);
       
       // Create transaction with memo instruction
-      const transaction = await this.buildMemoTransaction(wireData, deployerKeypair);
+      const transaction = await this.buildMemoTransaction(wireData, deployerSigner);
       
-      // Submit transaction with retries
-      const signature = await this.submitTransactionWithRetries(transaction, deployerKeypair, 'Secure Glyffiti Genesis');
+      // Submit and track until confirmed
+      const signature = await this.submitTransaction(transaction, deployerSigner, 'Secure Glyffiti Genesis');
       
       console.log('✅ Secure Glyffiti Genesis deployed successfully!');
       return signature;
@@ -64,32 +89,32 @@ export class SolanaMemoBuilder {
    * Build and submit a user genesis block transaction
    * @param {string} alias - User's display name  
    * @param {string} glyffitiGenesisHash - Transaction hash of the global genesis
-   * @param {Keypair} userKeypair - User's keypair for signing
+   * @param {TransactionSigner} userSigner - User's wallet signer
    * @returns {Promise<string>} Transaction signature hash
    */
-  async deployUserGenesis(alias, glyffitiGenesisHash, userKeypair) {
+  async deployUserGenesis(alias, glyffitiGenesisHash, userSigner) {
     try {
       console.log('👤 Deploying Secure User Genesis Block...');
       
-      if (!userKeypair) {
-        throw new Error('User keypair is required for user genesis deployment');
+      if (!userSigner) {
+        throw new Error('User signer is required for user genesis deployment');
       }
       if (!glyffitiGenesisHash) {
         throw new Error('Glyffiti genesis hash is required for user genesis');
       }
 
       // Create user genesis block
-      const userGenesis = new UserGenesisBlock(alias, glyffitiGenesisHash, userKeypair.publicKey.toBase58());
+      const userGenesis = new UserGenesisBlock(alias, glyffitiGenesisHash, userSigner.publicKey.toBase58());
       
       // Get secure wire format data
       const wireData = await userGenesis.toMemoData();
       console.log(`📡 Secure user genesis wire format size: ${wireData.length} bytes`);
       
       // Create transaction with memo instruction
-      const transaction = await this.buildMemoTransaction(wireData, userKeypair);
+      const transaction = await this.buildMemoTransaction(wireData, userSigner);
       
-      // Submit transaction with retries
-      const signature = await this.submitTransactionWithRetries(transaction, userKeypair, 'Secure User Genesis');
+      // Submit and track until confirmed
+      const signature = await this.submitTransaction(transaction, userSigner, 'Secure User Genesis');
       
       console.log('✅ Secure User Genesis deployed successfully!');
       return signature;
@@ -100,12 +125,12 @@ export class SolanaMemoBuilder {
   }
 
   /**
-   * Helper: Check if data looks like our secure wire format (version 0x01, length ≥ 34)
+   * Helper: Check if data looks like our secure wire format (0x02 or legacy 0x01)
    * @param {Uint8Array} buf - Buffer to check
    * @returns {boolean} True if looks like secure wire format
    */
   static _looksLikeSecureWire(buf) {
-    return buf && buf instanceof Uint8Array && buf.length >= 34 && buf[0] === 0x01;
+    return SecurityService.looksLikeSecureWireFormat(buf);
   }
 
   /**
@@ -117,42 +142,10 @@ export class SolanaMemoBuilder {
     try {
       console.log('🔍 Reading secure genesis from transaction:', transactionHash);
 
-      console.log('⏳ Waiting 3 seconds for transaction indexing...');
-      await new Promise(resolve => setTimeout(resolve, 3000));
+      // Wait until the transaction is confirmed (and so readable) rather than sleeping
+      await this.confirmations.waitForCommitment(transactionHash, 'confirmed');
 
-      const tx = await this.connection.getTransaction(transactionHash, {
-        commitment: 'confirmed',
-        maxSupportedTransactionVersion: 0
-      });
-      if (!tx) throw new Error('Transaction not found');
-
-      const ix = (tx.transaction.message.instructions || [])
-        .find(ix => {
-          const pid = ix.programId ||
-            (ix.programIdIndex != null
-              ? tx.transaction.message.accountKeys[ix.programIdIndex]
-              : null);
-          return pid && (
-            (typeof pid === 'string' && pid === this.MEMO_PROGRAM_ID.toBase58()) ||
-            (pid.equals && pid.equals(this.MEMO_PROGRAM_ID))
-          );
-        });
-      if (!ix) throw new Error('No memo instruction found');
-
-      // RPC returns instruction data as a Base58 string
-      const rpcDataString = typeof ix.data === 'string'
-        ? ix.data
-        : Buffer.from(ix.data).toString('utf8');
-      console.log(`📝 RPC gave base58 string (${rpcDataString.length} chars)`);
-
-      // Step 1: Base58-decode the RPC string
-      let rawBytes;
-      try {
-        rawBytes = bs58.decode(rpcDataString);
-        console.log(`🔄 Base58 → bytes: ${rawBytes.length} bytes`);
-      } catch {
-        throw new Error('RPC data was not valid base58');
-      }
+      const rawBytes = await this.readMemoData(transactionHash);
 
       // Convert those bytes to UTF-8 text
       const payloadText = Buffer.from(rawBytes).toString('utf8').trim();
@@ -192,6 +185,302 @@ export class SolanaMemoBuilder {
     }
   }  
 
+  /**
+   * Fetch a transaction and return the raw bytes of its memo instruction
+   * @param {string} transactionHash - Transaction signature
+   * @returns {Promise<Uint8Array>} Memo bytes as written on chain
+   */
+  async readMemoData(transactionHash) {
+    const { memoData } = await this.readSignedMemo(transactionHash);
+    return memoData;
+  }
+
+  /**
+   * Fetch a transaction and return its memo bytes along with the accounts that signed it
+   * @param {string} transactionHash - Transaction signature
+   * @returns {Promise<Object>} { memoData, signers } - signers as base58 public keys
+   */
+  async readSignedMemo(transactionHash) {
+    const tx = await this.connection.getTransaction(transactionHash, {
+      commitment: 'confirmed',
+      maxSupportedTransactionVersion: 0
+    });
+    if (!tx) throw new Error('Transaction not found');
+
+    const ix = (tx.transaction.message.instructions || [])
+      .find(ix => {
+        const pid = ix.programId ||
+          (ix.programIdIndex != null
+            ? tx.transaction.message.accountKeys[ix.programIdIndex]
+            : null);
+        return pid && (
+          (typeof pid === 'string' && pid === this.MEMO_PROGRAM_ID.toBase58()) ||
+          (pid.equals && pid.equals(this.MEMO_PROGRAM_ID))
+        );
+      });
+    if (!ix) throw new Error('No memo instruction found');
+
+    // RPC returns instruction data as a Base58 string
+    const rpcDataString = typeof ix.data === 'string'
+      ? ix.data
+      : Buffer.from(ix.data).toString('utf8');
+    console.log(`📝 RPC gave base58 string (${rpcDataString.length} chars)`);
+
+    try {
+      const rawBytes = bs58.decode(rpcDataString);
+      console.log(`🔄 Base58 → bytes: ${rawBytes.length} bytes`);
+      return { memoData: rawBytes, signers: this._signersOf(tx.transaction.message) };
+    } catch {
+      throw new Error('RPC data was not valid base58');
+    }
+  }
+
+  /**
+   * Scan a signer's transactions (newest first) for memos of one kind that the
+   * signer signed. getSignaturesForAddress returns each transaction's memo
+   * text, so only transactions whose memo matches are fetched and read.
+   * Unreadable memos are skipped.
+   * @param {string} signerPublicKey - Account whose transactions are scanned
+   * @param {Object} scan - What to look for
+   * @param {Function} scan.matches - (memo) => boolean, cheap check of the memo text
+   * @param {Function} scan.read - (transactionHash) => Promise<{ signers, ... }|null>,
+   *   e.g. readRetraction
+   * @param {Function} scan.onRecord - (result, transactionHash) for each memo the signer signed
+   * @param {string} scan.kind - What is scanned for, in log and rate limiter descriptions
+   * @param {string} [scan.source='SolanaMemoBuilder'] - Rate limiter source
+   * @returns {Promise<void>}
+   */
+  async scanSignerMemos(signerPublicKey, { matches, read, onRecord, kind, source = 'SolanaMemoBuilder' }) {
+    const signer = new PublicKey(signerPublicKey);
+    let before;
+    let scanned = 0;
+
+    while (scanned < SolanaMemoBuilder.SCAN_LIMIT) {
+      const page = await globalRPCRateLimiter.executeWithRateLimit(
+        () => this.connection.getSignaturesForAddress(signer, { before, limit: SolanaMemoBuilder.SCAN_PAGE_SIZE }),
+        `scan ${kind} ${signerPublicKey.substring(0, 8)}...`,
+        source
+      );
+      scanned += page.length;
+
+      for (const info of page) {
+        if (info.err || !matches(info.memo)) continue;
+
+        try {
+          const result = await globalRPCRateLimiter.executeWithRateLimit(
+            () => read(info.signature),
+            `read ${kind} ${info.signature.substring(0, 8)}...`,
+            source
+          );
+          if (result && result.signers.includes(signerPublicKey)) {
+            onRecord(result, info.signature);
+          }
+        } catch (error) {
+          console.warn(`⚠️ Skipping unreadable ${kind} ${info.signature.substring(0, 8)}...:`, error.message);
+        }
+      }
+
+      if (page.length < SolanaMemoBuilder.SCAN_PAGE_SIZE) break;
+      before = page[page.length - 1].signature;
+    }
+  }
+
+  /**
+   * Signing accounts of a transaction message (the first numRequiredSignatures keys)
+   * @param {Object} message - Transaction message from getTransaction
+   * @returns {Array<string>} Signer public keys in base58
+   */
+  _signersOf(message) {
+    const count = message.header?.numRequiredSignatures ?? 0;
+    return (message.accountKeys || [])
+      .slice(0, count)
+      .map(key => (typeof key === 'string' ? key : key.toBase58()));
+  }
+
+  /**
+   * Build and submit a User Graph Anchor (UGA) checkpoint memo
+   * Anchors are public, so the memo is written as plain UTF-8 JSON.
+   * @param {UserGraphAnchor} anchor - Anchor to publish
+   * @param {TransactionSigner} userSigner - Signer of the user the anchor belongs to
+   * @returns {Promise<string>} Transaction signature hash
+   */
+  async deployUserGraphAnchor(anchor, userSigner) {
+    try {
+      console.log('⚓ Publishing User Graph Anchor...');
+
+      if (!userSigner) {
+        throw new Error('User signer is required for anchor publishing');
+      }
+
+      const memoData = anchor.toMemoData();
+      console.log(`📡 Anchor memo size: ${memoData.length} bytes`);
+
+      const transaction = await this.buildMemoTransaction(memoData, userSigner, { encoding: 'utf8' });
+      const signature = await this.submitTransaction(transaction, userSigner, 'User Graph Anchor');
+
+      console.log('✅ User Graph Anchor published!');
+      return signature;
+    } catch (error) {
+      console.error('❌ Error publishing user graph anchor:', error);
+      throw new Error('User graph anchor publishing failed: ' + error.message);
+    }
+  }
+
+  /**
+   * Read a User Graph Anchor from a transaction hash
+   * @param {string} transactionHash - Transaction hash containing the anchor
+   * @returns {Promise<UserGraphAnchor|null>} Parsed anchor, or null if the memo is not an anchor
+   */
+  async readUserGraphAnchor(transactionHash) {
+    try {
+      const memoData = await this.readMemoData(transactionHash);
+      if (!UserGraphAnchor.looksLikeAnchor(memoData)) {
+        return null;
+      }
+      return UserGraphAnchor.fromMemoData(memoData);
+    } catch (error) {
+      console.error('❌ Error reading user graph anchor:', error);
+      throw new Error('Failed to read user graph anchor: ' + error.message);
+    }
+  }
+
+  /**
+   * Build and submit a retraction (tombstone) memo
+   * Retractions are public, so the memo is written as plain UTF-8 JSON.
+   * @param {Retraction} retraction - Retraction to publish
+   * @param {TransactionSigner} authorSigner - Signer of the author of the retracted item
+   * @returns {Promise<string>} Transaction signature hash
+   */
+  async deployRetraction(retraction, authorSigner) {
+    try {
+      console.log(`🪦 Publishing retraction of ${retraction.targetKind} ${retraction.targetId}...`);
+
+      if (!authorSigner) {
+        throw new Error('Author signer is required for retraction publishing');
+      }
+
+      const memoData = retraction.toMemoData();
+      const transaction = await this.buildMemoTransaction(memoData, authorSigner, { encoding: 'utf8' });
+      const signature = await this.submitTransaction(transaction, authorSigner, 'Retraction');
+
+      console.log('✅ Retraction published!');
+      return signature;
+    } catch (error) {
+      console.error('❌ Error publishing retraction:', error);
+      throw new Error('Retraction publishing failed: ' + error.message);
+    }
+  }
+
+  /**
+   * Read a retraction and its signers from a transaction hash
+   * @param {string} transactionHash - Transaction hash containing the retraction
+   * @returns {Promise<Object|null>} { retraction, signers }, or null if the memo is not a retraction
+   */
+  async readRetraction(transactionHash) {
+    try {
+      const { memoData, signers } = await this.readSignedMemo(transactionHash);
+      if (!Retraction.looksLikeRetraction(memoData)) {
+        return null;
+      }
+      return { retraction: Retraction.fromMemoData(memoData), signers };
+    } catch (error) {
+      console.error('❌ Error reading retraction:', error);
+      throw new Error('Failed to read retraction: ' + error.message);
+    }
+  }
+
+  /**
+   * Build and submit a reaction memo: a single reaction, or a digest of several
+   * Reactions are public, so the memo is written as plain UTF-8 JSON.
+   * @param {Array<Reaction>} reactions - Reactions to publish (must fit one memo)
+   * @param {TransactionSigner} reactorSigner - Signer of the account reacting
+   * @returns {Promise<string>} Transaction signature hash
+   */
+  async deployReactions(reactions, reactorSigner) {
+    try {
+      console.log(`💬 Publishing ${reactions.length} reaction(s)...`);
+
+      if (!reactorSigner) {
+        throw new Error('Reactor signer is required for reaction publishing');
+      }
+
+      const memoData = reactions.length === 1
+        ? reactions[0].toMemoData()
+        : Reaction.toDigestMemoData(reactions);
+      const transaction = await this.buildMemoTransaction(memoData, reactorSigner, { encoding: 'utf8' });
+      const signature = await this.submitTransaction(transaction, reactorSigner, reactions.length === 1 ? 'Reaction' : 'Reaction digest');
+
+      console.log('✅ Reactions published!');
+      return signature;
+    } catch (error) {
+      console.error('❌ Error publishing reactions:', error);
+      throw new Error('Reaction publishing failed: ' + error.message);
+    }
+  }
+
+  /**
+   * Read the reactions in a transaction and its signers
+   * @param {string} transactionHash - Transaction hash containing a reaction or digest
+   * @returns {Promise<Object|null>} { reactions, signers }, or null if the memo is not a reaction
+   */
+  async readReactions(transactionHash) {
+    try {
+      const { memoData, signers } = await this.readSignedMemo(transactionHash);
+      if (!Reaction.looksLikeReaction(memoData)) {
+        return null;
+      }
+      return { reactions: Reaction.fromMemoData(memoData), signers };
+    } catch (error) {
+      console.error('❌ Error reading reactions:', error);
+      throw new Error('Failed to read reactions: ' + error.message);
+    }
+  }
+
+  /**
+   * Build and submit a follow (or unfollow) memo
+   * Follows are public, so the memo is written as plain UTF-8 JSON.
+   * @param {Follow} follow - Follow to publish
+   * @param {TransactionSigner} followerSigner - Signer of the account following
+   * @returns {Promise<string>} Transaction signature hash
+   */
+  async deployFollow(follow, followerSigner) {
+    try {
+      console.log(`👥 Publishing ${follow.removed ? 'unfollow' : 'follow'} of ${follow.target}...`);
+
+      if (!followerSigner) {
+        throw new Error('Follower signer is required for follow publishing');
+      }
+
+      const memoData = follow.toMemoData();
+      const transaction = await this.buildMemoTransaction(memoData, followerSigner, { encoding: 'utf8' });
+      const signature = await this.submitTransaction(transaction, followerSigner, follow.removed ? 'Unfollow' : 'Follow');
+
+      console.log('✅ Follow published!');
+      return signature;
+    } catch (error) {
+      console.error('❌ Error publishing follow:', error);
+      throw new Error('Follow publishing failed: ' + error.message);
+    }
+  }
+
+  /**
+   * Read a follow and its signers from a transaction hash
+   * @param {string} transactionHash - Transaction hash containing the follow
+   * @returns {Promise<Object|null>} { follow, signers }, or null if the memo is not a follow
+   */
+  async readFollow(transactionHash) {
+    try {
+      const { memoData, signers } = await this.readSignedMemo(transactionHash);
+      if (!Follow.looksLikeFollow(memoData)) {
+        return null;
+      }
+      return { follow: Follow.fromMemoData(memoData), signers };
+    } catch (error) {
+      console.error('❌ Error reading follow:', error);
+      throw new Error('Failed to read follow: ' + error.message);
+    }
+  }
+
   /**
    * Parse genesis block from wire data format
    * @param {Uint8Array} wireData - Wire format data from memo
@@ -209,10 +498,13 @@ export class SolanaMemoBuilder {
   /**
    * Build a memo transaction with given data, encoding wire bytes in Base58
    * @param {Uint8Array} memoData - Wire format data to include in memo
-   * @param {Keypair} signerKeypair - Keypair to sign the transaction
+   * @param {{publicKey: PublicKey}} signer - Fee payer (any object with a publicKey)
+   * @param {Object} [options] - Build options
+   * @param {'base58'|'utf8'} [options.encoding='base58'] - 'utf8' writes memoData as-is (must already be UTF-8 text)
+   * @param {Object} [options.priorityFee] - Priority fee quote to pay (defaults to the configured strategy)
    * @returns {Promise<Transaction>} Built transaction ready for submission
    */
-  async buildMemoTransaction(memoData, signerKeypair) {
+  async buildMemoTransaction(memoData, signer, { encoding = 'base58', priorityFee = null } = {}) {
     try {
       console.log(`🔨 Building memo transaction, data size: ${memoData.length} bytes`);
 
@@ -220,15 +512,21 @@ export class SolanaMemoBuilder {
         throw new Error(`Memo data too large: ${memoData.length} bytes (max 566)`);
       }
 
-      // Encode the wire-format bytes in Base58 (pure ASCII, no padding)
-      const memoText = bs58.encode(memoData);
-      console.log(`📝 Encoded as Base58: ${memoText.length} chars`);
+      let memoDataBuffer;
+      if (encoding === 'utf8') {
+        memoDataBuffer = Buffer.from(memoData);
+      } else {
+        // Encode the wire-format bytes in Base58 (pure ASCII, no padding)
+        const memoText = bs58.encode(memoData);
+        console.log(`📝 Encoded as Base58: ${memoText.length} chars`);
 
-      // Create UTF-8 buffer from Base58 string
-      const memoDataBuffer = Buffer.from(memoText, 'utf8');
+        // Create UTF-8 buffer from Base58 string
+        memoDataBuffer = Buffer.from(memoText, 'utf8');
+      }
 
-      // Build transaction and add memo instruction
-      const transaction = new Transaction();
+      // Build transaction with compute budget, then add memo instruction
+      const quote = priorityFee || await this.priorityFees.getPriorityFee();
+      const transaction = new Transaction().add(...PriorityFeeService.instructionsFor(quote));
       const instruction = new TransactionInstruction({
         keys: [],
         programId: this.MEMO_PROGRAM_ID,
@@ -239,7 +537,7 @@ export class SolanaMemoBuilder {
       // Attach recent blockhash and fee payer
       const { blockhash } = await this.connection.getLatestBlockhash();
       transaction.recentBlockhash = blockhash;
-      transaction.feePayer = signerKeypair.publicKey;
+      transaction.feePayer = signer.publicKey;
 
       console.log(`⚙️ Transaction prepared with blockhash: ${blockhash.slice(0, 8)}...`);
       return transaction;
@@ -250,52 +548,19 @@ export class SolanaMemoBuilder {
   }
 
   /**
-   * Submit transaction with retry logic (following SolanaPublisher pattern)
+   * Sign, send and confirm a transaction through the confirmation tracker.
+   * A transaction whose blockhash expires without landing is re-signed with a
+   * fresh one; anything else that fails is not retried.
    * @param {Transaction} transaction - Transaction to submit
-   * @param {Keypair} signerKeypair - Keypair to sign transaction
+   * @param {TransactionSigner} signer - Wallet that signs the transaction
    * @param {string} description - Description for logging
    * @returns {Promise<string>} Transaction signature
    */
-  async submitTransactionWithRetries(transaction, signerKeypair, description = 'Transaction') {
-    let lastError;
-    
-    for (let attempt = 1; attempt <= this.txConfig.maxRetries; attempt++) {
-      try {
-        console.log(`📡 Submitting ${description} (attempt ${attempt}/${this.txConfig.maxRetries})...`);
-        
-        // Sign transaction (following SolanaPublisher pattern)
-        transaction.sign(signerKeypair);
-        
-        // Submit transaction (following SolanaPublisher pattern)
-        const signature = await this.connection.sendRawTransaction(
-          transaction.serialize(),
-          { skipPreflight: false, preflightCommitment: 'confirmed' }
-        );
-        
-        // Wait for confirmation (following SolanaPublisher pattern)
-        const confirmation = await this.connection.confirmTransaction(
-          signature,
-          'confirmed'
-        );
-        
-        if (confirmation.value.err) {
-          throw new Error(`Transaction failed: ${confirmation.value.err}`);
-        }
-        
-        console.log(`✅ ${description} confirmed: ${signature}`);
-        return signature;
-      } catch (error) {
-        lastError = error;
-        console.log(`❌ Attempt ${attempt} failed:`, error.message);
-        
-        if (attempt < this.txConfig.maxRetries) {
-          console.log(`⏳ Retrying in ${this.txConfig.retryDelay / 1000} seconds...`);
-          await this.sleep(this.txConfig.retryDelay);
-        }
-      }
-    }
-    
-    throw new Error(`${description} failed after ${this.txConfig.maxRetries} attempts: ${lastError?.message}`);
+  async submitTransaction(transaction, signer, description = 'Transaction') {
+    console.log(`📡 Submitting ${description}...`);
+    const signature = await this.confirmations.sendAndConfirm(transaction, signer, { description });
+    console.log(`✅ ${description} confirmed: ${signature}`);
+    return signature;
   }
 
   /**
@@ -395,4 +660,4 @@ export class SolanaMemoBuilder {
   }
 }
 
-// Character count: 12,266
\ No newline at end of file
+// Character count: 26,584
\ No newline at end of file
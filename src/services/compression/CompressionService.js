@@ -59,6 +59,41 @@ export class CompressionService {
     }
   }
 
+  /**
+   * Compress bytes as a raw deflate stream (no zlib header or checksum).
+   * Used where every byte counts, e.g. binary memo frames.
+   * @param {Uint8Array} data - Bytes to compress
+   * @returns {Uint8Array} - Raw deflate stream
+   */
+  static compressRaw(data) {
+    try {
+      if (!(data instanceof Uint8Array)) {
+        throw new Error('Data must be Uint8Array');
+      }
+      return pako.deflateRaw(data, { level: 9 });
+    } catch (error) {
+      console.error('Raw compression error:', error);
+      throw new Error('Failed to raw-compress data: ' + error.message);
+    }
+  }
+
+  /**
+   * Decompress a raw deflate stream
+   * @param {Uint8Array} compressedData - Raw deflate stream
+   * @returns {Uint8Array} - Decompressed bytes
+   */
+  static decompressRaw(compressedData) {
+    try {
+      if (!(compressedData instanceof Uint8Array)) {
+        throw new Error('Compressed data must be Uint8Array');
+      }
+      return pako.inflateRaw(compressedData);
+    } catch (error) {
+      console.error('Raw decompression error:', error);
+      throw new Error('Failed to raw-decompress data: ' + (error.message || error));
+    }
+  }
+
   /**
    * Compress data and return as base64 string (for blockchain storage)
    * @param {string} data - Text data to compress
@@ -402,4 +437,4 @@ export class CompressionService {
   }
 }
 
-// Character count: 10856
\ No newline at end of file
+// Character count: 14192
\ No newline at end of file
@@ -21,6 +21,8 @@ class ContentServiceM {
  * @param {string} options.genre - Content genre.
  * @param {number|null} options.reGlyphCap - The maximum number of re-glyphs allowed.
  * @param {boolean} options.isNSFW - NSFW content flag.
+ * @param {string|null} options.previousStoryId - Story ID this publication revises, if any.
+ * @param {number} options.revision - Revision number of a revised story.
  * @returns {Promise<Object>} A promise that resolves to the complete 3-tier publication package.
  */
 static async prepareContentForManifestPublishing(content, title, authorPublicKey, options = {}) {
@@ -53,7 +55,9 @@ static async prepareContentForManifestPublishing(content, title, authorPublicKey
         genre: options.genre || null,
         reGlyphCap: options.reGlyphCap || null,
         isNSFW: options.isNSFW || false,
-        license: options.license || 'CC0'
+        license: options.license || 'CC0',
+        previousStoryId: options.previousStoryId || null,
+        revision: options.revision || 1
       }
     );
 
@@ -78,4 +82,4 @@ static async prepareContentForManifestPublishing(content, title, authorPublicKey
 
 export default ContentServiceM;
 
-// Character count: 2,718
\ No newline at end of file
+// Character count: 3,521
\ No newline at end of file
@@ -1,9 +1,14 @@
 // src/services/feed/FeedService.js
 // Path: src/services/feed/FeedService.js
 
-import { Connection } from '@solana/web3.js';
 import { PostHeaderService } from './PostHeaderService';
 import { PostTransactionReader } from '../blockchain/PostTransactionReader';
+import { ThreadService, threadService } from './ThreadService';
+import { RepostService, repostService } from './RepostService';
+import { ReactionService, reactionService } from '../blockchain/ReactionService';
+import { FollowService, followService } from '../blockchain/FollowService';
+import { HashtagIndexStorage } from '../storage/content/HashtagIndexStorage';
+import { connectionProvider } from '../blockchain/shared/ConnectionProvider';
 
 /**
  * FeedService
@@ -17,18 +22,49 @@ import { PostTransactionReader } from '../blockchain/PostTransactionReader';
  * 2. For each user, walk their post chain backward from latest post
  * 3. Parse post content from blockchain transactions using PostTransactionReader
  * 4. Combine and sort posts by timestamp
- * 5. Return feed data for UI rendering
+ * 5. Add reply counts from ThreadService, and repost counts from RepostService
+ * 6. Add reaction counts (and the viewer's reactions) from ReactionService
+ * 7. Index the posts' hashtags (HashtagIndexStorage)
+ * 8. Return feed data for UI rendering
+ *
+ * Posts their authors have retracted are left out unless showRetracted is
+ * set, in which case they are kept and marked retracted: true.
+ *
+ * The global feed reads every active user; the following feed only the
+ * accounts the viewer follows (see FollowService) and the viewer's own.
  */
 export class FeedService {
+  static MODES = {
+    GLOBAL: 'global',
+    FOLLOWING: 'following'
+  };
   
-  constructor() {
-    this.connection = new Connection('https://api.devnet.solana.com', 'confirmed');
+  /**
+   * @param {Object} [connection] - Optional connection override (defaults to ConnectionProvider)
+   */
+  constructor(connection = null) {
+    this._connection = connection;
     this.feedCache = null;
+    this.feedCacheKey = null;
     this.lastFetchTime = null;
     this.CACHE_DURATION = 30000; // 30 seconds cache
     
     // Use the new PostTransactionReader for proper post decoding
-    this.postReader = new PostTransactionReader();
+    this.postReader = new PostTransactionReader(connection);
+
+    // Share the app-wide thread index unless reading from another connection
+    this.threads = connection ? new ThreadService(connection, this.postReader) : threadService;
+    this.reposts = connection ? new RepostService(connection, this.threads) : repostService;
+    this.reactions = connection ? new ReactionService(connection) : reactionService;
+    this.follows = connection ? new FollowService(connection) : followService;
+  }
+
+  /**
+   * Active Solana connection (injected or from ConnectionProvider)
+   * @returns {Connection} Connection instance
+   */
+  get connection() {
+    return this._connection || connectionProvider.getConnection();
   }
   
   /**
@@ -37,18 +73,25 @@ export class FeedService {
    * @param {number} options.limit - Maximum posts per user (default: 3)
    * @param {number} options.maxTotalPosts - Maximum total posts in feed (default: 20)
    * @param {boolean} options.useCache - Whether to use cached data (default: true)
+   * @param {boolean} options.showRetracted - Include retracted posts, marked retracted (default: false)
+   * @param {string} options.viewerPublicKey - Account viewing the feed, for its reactions and follows (default: null)
+   * @param {string} options.mode - FeedService.MODES value (default: global)
    * @returns {Promise<Array>} Array of feed posts
    */
   async buildFeed(options = {}) {
     const {
       limit = 3,
       maxTotalPosts = 20,
-      useCache = true
+      useCache = true,
+      showRetracted = false,
+      viewerPublicKey = null,
+      mode = FeedService.MODES.GLOBAL
     } = options;
+    const cacheKey = `${mode}:${viewerPublicKey}`;
     
     try {
-      // Check cache first
-      if (useCache && this.isCacheValid()) {
+      // Check cache first (only the default view is cached, per mode and viewer)
+      if (useCache && !showRetracted && this.feedCacheKey === cacheKey && this.isCacheValid()) {
         console.log('📰 Using cached feed data');
         return this.feedCache;
       }
@@ -64,21 +107,24 @@ export class FeedService {
         return [];
       }
       
+      const feedUsers = await this.getFeedUsers(activeUsers, { mode, viewerPublicKey });
       console.log('👥 Found active users:', {
-        count: activeUsers.length,
-        users: activeUsers.map(u => u.username).join(', ')
+        count: feedUsers.length,
+        mode,
+        users: feedUsers.map(u => u.username).join(', ')
       });
       
-      // Collect posts from all users
+      // Collect posts from the users in this feed
       const allPosts = [];
       
-      for (const user of activeUsers) {
+      for (const user of feedUsers) {
         try {
           const userPosts = await this.getUserRecentPosts(
             user.publicKey,
             user.username,
             user.latestPostHash,
-            limit
+            limit,
+            { showRetracted }
           );
           
           allPosts.push(...userPosts);
@@ -93,16 +139,24 @@ export class FeedService {
       allPosts.sort((a, b) => b.timestamp - a.timestamp);
       
       // Limit total posts
-      const feedPosts = allPosts.slice(0, maxTotalPosts);
+      const countedPosts = await this.withReplyCounts(allPosts.slice(0, maxTotalPosts), { showRetracted });
+      const feedPosts = await this.withReactions(countedPosts, {
+        reactors: activeUsers.map(user => user.publicKey),
+        viewerPublicKey
+      });
+      await this.indexHashtags(feedPosts);
       
       // Cache the results
-      this.feedCache = feedPosts;
-      this.lastFetchTime = Date.now();
+      if (!showRetracted) {
+        this.feedCache = feedPosts;
+        this.feedCacheKey = cacheKey;
+        this.lastFetchTime = Date.now();
+      }
       
       const duration = Date.now() - startTime;
       console.log('✅ Feed built successfully:', {
         totalPosts: feedPosts.length,
-        fromUsers: activeUsers.length,
+        fromUsers: feedUsers.length,
         duration: `${duration}ms`
       });
       
@@ -120,9 +174,11 @@ export class FeedService {
    * @param {string} username - User's username
    * @param {string} latestPostHash - User's latest post transaction hash
    * @param {number} limit - Maximum number of posts to retrieve
+   * @param {Object} [options] - Read options
+   * @param {boolean} [options.showRetracted=false] - Include retracted posts (they never count toward the limit)
    * @returns {Promise<Array>} Array of user's recent posts
    */
-  async getUserRecentPosts(publicKey, username, latestPostHash, limit = 3) {
+  async getUserRecentPosts(publicKey, username, latestPostHash, limit = 3, { showRetracted = false } = {}) {
     try {
       if (!latestPostHash) {
         console.log(`📭 No posts found for ${username}`);
@@ -142,8 +198,13 @@ export class FeedService {
           const post = await this.postReader.readPostFromTransaction(currentHash, username, publicKey);
           
           if (post) {
-            posts.push(post);
-            postsRead++;
+            // Retracted posts still link to earlier ones, so keep walking past them
+            if (!post.retracted) {
+              posts.push(post);
+              postsRead++;
+            } else if (showRetracted) {
+              posts.push(post);
+            }
             
             // Get previous post hash to continue chain walking
             currentHash = post.previousPostHash;
@@ -179,16 +240,23 @@ export class FeedService {
    * @returns {Promise<Array>} Final complete feed
    */
   async buildFeedProgressive(options = {}, onPostsAvailable = null) {
-    const { limit = 3, maxTotalPosts = 20 } = options;
+    const {
+      limit = 3,
+      maxTotalPosts = 20,
+      showRetracted = false,
+      viewerPublicKey = null,
+      mode = FeedService.MODES.GLOBAL
+    } = options;
     
     try {
       const activeUsers = await PostHeaderService.getActiveUsers();
+      const feedUsers = await this.getFeedUsers(activeUsers, { mode, viewerPublicKey });
       const allPosts = [];
       
-      for (const user of activeUsers) {
+      for (const user of feedUsers) {
         try {
           const userPosts = await this.getUserRecentPosts(
-            user.publicKey, user.username, user.latestPostHash, limit
+            user.publicKey, user.username, user.latestPostHash, limit, { showRetracted }
           );
           
           if (userPosts.length > 0) {
@@ -207,6 +275,19 @@ export class FeedService {
           console.error(`Error loading ${user.username}:`, error);
         }
       }
+
+      // Reply and reaction counts need every user's chain, so they come last
+      if (allPosts.length > 0) {
+        const repliedFeed = await this.withReplyCounts(allPosts.slice(0, maxTotalPosts), { showRetracted });
+        const countedFeed = await this.withReactions(repliedFeed, {
+          reactors: activeUsers.map(user => user.publicKey),
+          viewerPublicKey
+        });
+        await this.indexHashtags(countedFeed);
+        if (onPostsAvailable) {
+          onPostsAvailable(countedFeed);
+        }
+      }
       
       return allPosts;
     } catch (error) {
@@ -215,6 +296,110 @@ export class FeedService {
     }
   }
   
+  /**
+   * Users whose posts a feed shows: every active user for the global feed,
+   * or the viewer and the accounts the viewer follows for the following feed
+   * @param {Array} activeUsers - Active users from PostHeaderService
+   * @param {Object} [options] - Feed options
+   * @param {string} [options.mode] - FeedService.MODES value
+   * @param {string} [options.viewerPublicKey] - Account viewing the feed
+   * @returns {Promise<Array>} Active users to read
+   */
+  async getFeedUsers(activeUsers, { mode = FeedService.MODES.GLOBAL, viewerPublicKey = null } = {}) {
+    if (mode === FeedService.MODES.GLOBAL) {
+      return activeUsers;
+    }
+    if (mode !== FeedService.MODES.FOLLOWING) {
+      throw new Error(`Unknown feed mode: ${mode}`);
+    }
+    if (!viewerPublicKey) {
+      return [];
+    }
+
+    const following = new Set(await this.follows.getFollowing(viewerPublicKey));
+    following.add(viewerPublicKey);
+    return activeUsers.filter(user => following.has(user.publicKey));
+  }
+
+  /**
+   * Add reply and repost counts to feed posts; the posts are returned as
+   * they are if the thread index cannot be built
+   * @param {Array} posts - Feed posts
+   * @param {Object} [options] - Count options
+   * @param {boolean} [options.showRetracted=false] - Count retracted replies too
+   * @returns {Promise<Array>} Posts with replyCount and repostCount
+   */
+  async withReplyCounts(posts, { showRetracted = false } = {}) {
+    try {
+      const replied = await this.threads.attachReplyCounts(posts, { showRetracted });
+      return await this.reposts.attachRepostCounts(replied);
+    } catch (error) {
+      console.warn('⚠️ Could not count replies:', error.message);
+      return posts;
+    }
+  }
+
+  /**
+   * Add reaction counts to feed posts; the posts are returned as they are if
+   * reactions cannot be read
+   * @param {Array} posts - Feed posts
+   * @param {Object} [options] - Count options
+   * @param {Array<string>} [options.reactors] - Accounts whose reactions count
+   * @param {string} [options.viewerPublicKey] - Account viewing the feed
+   * @returns {Promise<Array>} Posts with reactions, reactionCount and viewerReactions
+   */
+  async withReactions(posts, { reactors = [], viewerPublicKey = null } = {}) {
+    try {
+      return await this.reactions.attachReactions(posts, { reactors, viewerPublicKey });
+    } catch (error) {
+      console.warn('⚠️ Could not count reactions:', error.message);
+      return posts;
+    }
+  }
+
+  /**
+   * Posts this device has indexed under a hashtag, newest first
+   * Retracted posts and posts that can no longer be read are left out.
+   * @param {string} tag - Tag, with or without '#'
+   * @param {Object} [options] - Read options
+   * @param {number} [options.limit=50] - Maximum posts to read
+   * @returns {Promise<Array>} Posts
+   */
+  async getPostsForTag(tag, { limit = 50 } = {}) {
+    const entries = (await HashtagIndexStorage.getPostsForTag(tag)).slice(0, limit);
+    const posts = [];
+
+    for (const entry of entries) {
+      try {
+        const post = await this.postReader.readPostFromTransaction(
+          entry.transactionHash,
+          entry.author,
+          entry.authorPublicKey
+        );
+        if (post && !post.retracted) {
+          posts.push(post);
+        }
+      } catch (error) {
+        console.warn(`⚠️ Could not read tagged post ${entry.transactionHash.substring(0, 8)}...:`, error.message);
+      }
+    }
+
+    return posts;
+  }
+
+  /**
+   * Add feed posts to the local hashtag index; a failure only leaves them unindexed
+   * @param {Array} posts - Feed posts
+   * @returns {Promise<void>}
+   */
+  async indexHashtags(posts) {
+    try {
+      await HashtagIndexStorage.indexPosts(posts);
+    } catch (error) {
+      console.warn('⚠️ Could not index hashtags:', error.message);
+    }
+  }
+
   /**
    * Read and parse a single post from a blockchain transaction
    * @deprecated - Use PostTransactionReader.readPostFromTransaction instead
@@ -239,6 +424,9 @@ export class FeedService {
     // Clear cache
     this.feedCache = null;
     this.lastFetchTime = null;
+    this.threads.clearCache();
+    this.reactions.clearCache();
+    this.follows.clearCache();
     
     // Build fresh feed
     return await this.buildFeed({ ...options, useCache: false });
@@ -290,6 +478,9 @@ export class FeedService {
     this.feedCache = null;
     this.lastFetchTime = null;
     this.postReader.clearCache();
+    this.threads.clearCache();
+    this.reactions.clearCache();
+    this.follows.clearCache();
     console.log('🗑️ Feed cache cleared');
   }
   
@@ -316,4 +507,4 @@ export class FeedService {
 // Export singleton instance
 export const feedService = new FeedService();
 
-// Character count: 6854
\ No newline at end of file
+// Character count: 17834
\ No newline at end of file
@@ -0,0 +1,143 @@
+// src/services/feed/MentionService.js
+// Path: src/services/feed/MentionService.js
+
+import { PostHeaderService } from './PostHeaderService';
+import { PostEntities } from '../blockchain/shared/models/PostEntities';
+import { UserTransactionReader, userTransactionReader } from '../blockchain/UserTransactionReader';
+import userRegistry from '../../data/user-registry.json';
+
+/**
+ * MentionService
+ *
+ * Resolves @aliases in posts to public keys, so a post can store who it
+ * mentions rather than just their names. Aliases are looked up in a
+ * directory built from, in order of precedence:
+ * 1. Registry usernames
+ * 2. Aliases in registry users' genesis blocks (read from chain)
+ * 3. Usernames of users whose posts this device has seen (PostHeaderService)
+ *
+ * The directory is cached for CACHE_DURATION. Mentions that do not resolve
+ * stay plain text.
+ */
+export class MentionService {
+
+  /**
+   * @param {Object} [connection] - Optional connection override (defaults to ConnectionProvider)
+   */
+  constructor(connection = null) {
+    // Share the app-wide genesis cache unless reading from another connection
+    this.userReader = connection ? new UserTransactionReader(connection) : userTransactionReader;
+    this.directoryCache = null;
+    this.lastDirectoryTime = null;
+    this.CACHE_DURATION = 5 * 60 * 1000; // 5 minutes, as for genesis reads
+  }
+
+  /**
+   * Every alias this device can resolve
+   * @param {Object} [options] - Directory options
+   * @param {boolean} [options.useCache=true] - Whether to use the cached directory
+   * @returns {Promise<Map<string, string>>} Lowercase alias -> public key
+   */
+  async getDirectory({ useCache = true } = {}) {
+    if (useCache && this.isCacheValid()) {
+      return this.directoryCache;
+    }
+
+    const directory = new Map();
+    const add = (alias, publicKey) => {
+      const key = (alias || '').toLowerCase();
+      if (key && publicKey && !directory.has(key)) {
+        directory.set(key, publicKey);
+      }
+    };
+
+    userRegistry.users.forEach(user => add(user.username, user.publicKey));
+
+    for (const user of userRegistry.users) {
+      if (!user.transactionHash) continue;
+      const genesis = await this.userReader.fetchUserDataFromTransaction(user.transactionHash);
+      if (genesis?.alias && genesis.alias !== 'anonymous') {
+        add(genesis.alias, user.publicKey);
+      }
+    }
+
+    try {
+      const activeUsers = await PostHeaderService.getActiveUsers();
+      activeUsers.forEach(user => add(user.username, user.publicKey));
+    } catch (error) {
+      console.warn('⚠️ Could not read active users for mentions:', error.message);
+    }
+
+    this.directoryCache = directory;
+    this.lastDirectoryTime = Date.now();
+    return directory;
+  }
+
+  /**
+   * Resolve aliases to public keys
+   * @param {Array<string>} aliases - Aliases without '@'
+   * @returns {Promise<Object>} { resolved: Array<{ alias, publicKey }>, unresolved: Array<string> }
+   */
+  async resolveMentions(aliases) {
+    const directory = await this.getDirectory();
+    const resolved = [];
+    const unresolved = [];
+
+    for (const alias of new Set(aliases.map(value => value.toLowerCase()))) {
+      const publicKey = directory.get(alias);
+      if (publicKey) {
+        resolved.push({ alias, publicKey });
+      } else {
+        unresolved.push(alias);
+      }
+    }
+
+    return { resolved, unresolved };
+  }
+
+  /**
+   * Mentions and tags to store with a post
+   * @param {string} content - Post text
+   * @returns {Promise<Object>} { mentions, tags, unresolved, dropped } - mentions and tags capped at
+   *   PostEntities.MAX_MENTIONS / MAX_TAGS; dropped lists what the caps left out
+   */
+  async extractEntities(content) {
+    const parsed = PostEntities.parse(content);
+    const { resolved, unresolved } = await this.resolveMentions(parsed.mentions);
+
+    return {
+      mentions: resolved.slice(0, PostEntities.MAX_MENTIONS),
+      tags: parsed.tags.slice(0, PostEntities.MAX_TAGS),
+      unresolved,
+      dropped: [
+        ...resolved.slice(PostEntities.MAX_MENTIONS).map(mention => `@${mention.alias}`),
+        ...parsed.tags.slice(PostEntities.MAX_TAGS).map(tag => `#${tag}`)
+      ]
+    };
+  }
+
+  /**
+   * Check if the cached directory is still valid
+   * @returns {boolean} True if cache is valid
+   */
+  isCacheValid() {
+    if (!this.directoryCache || !this.lastDirectoryTime) {
+      return false;
+    }
+
+    return Date.now() - this.lastDirectoryTime < this.CACHE_DURATION;
+  }
+
+  /**
+   * Clear the cached directory
+   */
+  clearCache() {
+    this.directoryCache = null;
+    this.lastDirectoryTime = null;
+  }
+}
+
+// Export singleton instance
+export const mentionService = new MentionService();
+
+// Character count: 4678
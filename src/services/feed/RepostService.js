@@ -0,0 +1,166 @@
+// src/services/feed/RepostService.js
+// Path: src/services/feed/RepostService.js
+
+import { PostHeaderService } from './PostHeaderService';
+import { ThreadService, threadService } from './ThreadService';
+import { PostShare } from '../blockchain/shared/models/PostShare';
+import userRegistry from '../../data/user-registry.json';
+
+/**
+ * RepostService
+ *
+ * Counts reposts and quote posts ("re-glyphs", see PostShare) and reads the
+ * posts they share. Like replies, nothing on chain points from a post to its
+ * re-glyphs, so they come from ThreadService's index of recent posts.
+ *
+ * When the original's author set a re-glyph cap, only the first reGlyphCap
+ * re-glyphs (oldest first) are counted, and sharing the post is refused
+ * once the cap is reached. Retracted re-glyphs do not count.
+ */
+export class RepostService {
+
+  /**
+   * @param {Object} [connection] - Optional connection override (defaults to ConnectionProvider)
+   * @param {ThreadService} [threads] - Thread service to share its post index with (e.g. a FeedService's)
+   */
+  constructor(connection = null, threads = null) {
+    // Share the app-wide post index unless reading from another connection
+    this.threads = threads || (connection ? new ThreadService(connection) : threadService);
+  }
+
+  /**
+   * Re-glyph count of a post
+   * @param {string} transactionHash - Original post
+   * @param {Object} [options] - Count options
+   * @param {number|null} [options.reGlyphCap] - The original's cap, if already known
+   * @param {boolean} [options.useCache=true] - Whether to use the cached index
+   * @returns {Promise<Object>} { repostCount, reGlyphCap, capReached }
+   */
+  async getShareStats(transactionHash, { reGlyphCap, useCache = true } = {}) {
+    const index = await this.threads.getPostIndex({ useCache });
+    return this._stats(index, transactionHash, reGlyphCap !== undefined
+      ? reGlyphCap
+      : (index.posts.get(transactionHash)?.reGlyphCap ?? null));
+  }
+
+  /**
+   * Add re-glyph counts to posts; a repost shows the counts of the post it shares
+   * @param {Array} posts - Posts from FeedService
+   * @param {Object} [options] - Count options
+   * @param {boolean} [options.useCache=true] - Whether to use the cached index
+   * @returns {Promise<Array>} Copies of the posts with repostCount, repostCap and repostCapReached
+   */
+  async attachRepostCounts(posts, { useCache = true } = {}) {
+    const index = await this.threads.getPostIndex({ useCache });
+
+    return posts.map(post => {
+      const originalHash = post.repostOf?.transactionHash || post.transactionHash;
+      const cap = post.repostOf
+        ? (index.posts.get(originalHash)?.reGlyphCap ?? null)
+        : (post.reGlyphCap ?? null);
+      const stats = this._stats(index, originalHash, cap);
+      return {
+        ...post,
+        repostCount: stats.repostCount,
+        repostCap: stats.reGlyphCap,
+        repostCapReached: stats.capReached
+      };
+    });
+  }
+
+  /**
+   * Read the post a repost or quote shares
+   * @param {Object} reference - { transactionHash, authorPublicKey } from a post's repostOf or quoteOf
+   * @returns {Promise<Object|null>} The shared post (retracted: true if its author retracted it),
+   *   or null if it cannot be read
+   */
+  async getSharedPost(reference) {
+    if (!reference?.transactionHash || !reference?.authorPublicKey) {
+      return null;
+    }
+
+    const indexed = this.threads.isCacheValid()
+      ? this.threads.indexCache.posts.get(reference.transactionHash)
+      : null;
+    if (indexed) {
+      return indexed;
+    }
+
+    const username = await this._usernameOf(reference.authorPublicKey);
+    return await this.threads.postReader.readPostFromTransaction(
+      reference.transactionHash,
+      username,
+      reference.authorPublicKey
+    );
+  }
+
+  /**
+   * Check that a post can be shared, before publishing a repost or quote
+   * @param {Object} post - Post to share (a repost shares the post it reposted)
+   * @returns {Promise<Object>} { target, original, stats } - target is the reference to store
+   * @throws {Error} If the original cannot be read, was retracted or reached its cap
+   */
+  async assertCanShare(post) {
+    const target = PostShare.shareTarget(post);
+    const original = await this.getSharedPost(target);
+    if (!original) {
+      throw new Error('The post being shared could not be read');
+    }
+    if (original.retracted) {
+      throw new Error('The post being shared was retracted by its author');
+    }
+
+    const stats = await this.getShareStats(target.transactionHash, {
+      reGlyphCap: original.reGlyphCap ?? null,
+      useCache: false
+    });
+    if (stats.capReached) {
+      throw new Error(`This post has reached its re-glyph cap of ${stats.reGlyphCap}`);
+    }
+
+    return { target, original, stats };
+  }
+
+  /**
+   * @param {Object} index - Post index from ThreadService
+   * @param {string} transactionHash - Original post
+   * @param {number|null} reGlyphCap - The original's cap
+   * @returns {Object} { repostCount, reGlyphCap, capReached }
+   * @private
+   */
+  _stats(index, transactionHash, reGlyphCap) {
+    const shares = (index.sharesByOriginal.get(transactionHash) || []).filter(share => !share.retracted);
+    const counted = reGlyphCap === null ? shares.length : Math.min(shares.length, reGlyphCap);
+    return {
+      repostCount: counted,
+      reGlyphCap,
+      capReached: reGlyphCap !== null && shares.length >= reGlyphCap
+    };
+  }
+
+  /**
+   * Username to read a shared post under
+   * @param {string} publicKey - Author of the shared post
+   * @returns {Promise<string>} Active or registry username, or a shortened key
+   * @private
+   */
+  async _usernameOf(publicKey) {
+    try {
+      const activeUsers = await PostHeaderService.getActiveUsers();
+      const active = activeUsers.find(user => user.publicKey === publicKey);
+      if (active?.username) {
+        return active.username;
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not read active users:', error.message);
+    }
+
+    const registered = userRegistry.users.find(user => user.publicKey === publicKey);
+    return registered?.username || `${publicKey.substring(0, 8)}...`;
+  }
+}
+
+// Export singleton instance
+export const repostService = new RepostService();
+
+// Character count: 6225
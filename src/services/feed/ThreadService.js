@@ -0,0 +1,248 @@
+// src/services/feed/ThreadService.js
+// Path: src/services/feed/ThreadService.js
+
+import { PostHeaderService } from './PostHeaderService';
+import { PostTransactionReader } from '../blockchain/PostTransactionReader';
+import { connectionProvider } from '../blockchain/shared/ConnectionProvider';
+import { PostShare } from '../blockchain/shared/models/PostShare';
+
+/**
+ * ThreadService
+ *
+ * Builds threaded conversations from social posts. A reply names the post it
+ * answers (replyTo) and the root of its thread (threadId), but nothing on
+ * chain points from a post to its replies, so replies are found by walking
+ * the recent post chains of every active user and indexing them by parent.
+ *
+ * Architecture:
+ * 1. Get active users from PostHeaderService
+ * 2. Walk each user's chain backward (postsPerUser deep)
+ * 3. Index posts by transaction hash, replies by the post they answer, and
+ *    reposts and quotes by the post they share (counted by RepostService)
+ * 4. Build a thread tree from the index, or count replies for feed posts
+ *
+ * Retracted posts are left out unless showRetracted is set. Replies whose
+ * parent is not in the index (retracted, or older than the walk reached) are
+ * attached to the thread root and marked parentMissing.
+ */
+export class ThreadService {
+
+  /**
+   * @param {Object} [connection] - Optional connection override (defaults to ConnectionProvider)
+   * @param {PostTransactionReader} [postReader] - Reader to share (and share its cache) with a FeedService
+   */
+  constructor(connection = null, postReader = null) {
+    this._connection = connection;
+    this.postReader = postReader || new PostTransactionReader(connection);
+    this.indexCache = null;
+    this.lastIndexTime = null;
+    this.CACHE_DURATION = 30000; // 30 seconds cache, as for the feed
+  }
+
+  /**
+   * Active Solana connection (injected or from ConnectionProvider)
+   * @returns {Connection} Connection instance
+   */
+  get connection() {
+    return this._connection || connectionProvider.getConnection();
+  }
+
+  /**
+   * Index recent posts of every active user
+   * @param {Object} [options] - Index options
+   * @param {number} [options.postsPerUser=50] - How far back to walk each user's chain
+   * @param {boolean} [options.useCache=true] - Whether to use the cached index
+   * @returns {Promise<Object>} { posts: Map<hash, post>, repliesByParent: Map<hash, Array<post>>,
+   *   sharesByOriginal: Map<hash, Array<post>> }
+   */
+  async getPostIndex({ postsPerUser = 50, useCache = true } = {}) {
+    if (useCache && this.isCacheValid()) {
+      return this.indexCache;
+    }
+
+    const posts = new Map();
+    const repliesByParent = new Map();
+    const sharesByOriginal = new Map();
+    const activeUsers = await PostHeaderService.getActiveUsers();
+
+    for (const user of activeUsers) {
+      try {
+        const userPosts = await this._readChain(user, postsPerUser);
+        for (const post of userPosts) {
+          posts.set(post.transactionHash, post);
+          if (post.replyTo) {
+            if (!repliesByParent.has(post.replyTo)) {
+              repliesByParent.set(post.replyTo, []);
+            }
+            repliesByParent.get(post.replyTo).push(post);
+          }
+          const shared = PostShare.sharedBy(post);
+          if (shared) {
+            if (!sharesByOriginal.has(shared.transactionHash)) {
+              sharesByOriginal.set(shared.transactionHash, []);
+            }
+            sharesByOriginal.get(shared.transactionHash).push(post);
+          }
+        }
+      } catch (error) {
+        console.error(`❌ Error indexing posts for ${user.username}:`, error.message);
+        // Continue with other users even if one fails
+      }
+    }
+
+    // Oldest replies first, as conversations are read (and oldest shares first, as caps count them)
+    for (const replies of [...repliesByParent.values(), ...sharesByOriginal.values()]) {
+      replies.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    this.indexCache = { posts, repliesByParent, sharesByOriginal };
+    this.lastIndexTime = Date.now();
+    console.log(`🧵 Indexed ${posts.size} posts (${repliesByParent.size} with replies) from ${activeUsers.length} users`);
+
+    return this.indexCache;
+  }
+
+  /**
+   * Build the thread a post belongs to, from its root down
+   * @param {Object} post - Any post in the thread (root or reply)
+   * @param {Object} [options] - Thread options
+   * @param {boolean} [options.showRetracted=false] - Include retracted posts, marked retracted
+   * @param {boolean} [options.useCache=true] - Whether to use the cached index
+   * @param {number} [options.postsPerUser=50] - How far back to walk each user's chain
+   * @returns {Promise<Object>} { threadId, root, replies, replyCount, participants }, where
+   *   root is null if the root post is retracted or could not be read, and replies are
+   *   nodes { post, replies, parentMissing } in reading order
+   */
+  async buildThread(post, { showRetracted = false, useCache = true, postsPerUser = 50 } = {}) {
+    if (!post?.transactionHash) {
+      throw new Error('A post with a transaction hash is required to build its thread');
+    }
+
+    const threadId = post.threadId || post.transactionHash;
+    const index = await this.getPostIndex({ postsPerUser, useCache });
+    const isVisible = (candidate) => candidate && (showRetracted || !candidate.retracted);
+
+    const indexedRoot = index.posts.get(threadId) || (threadId === post.transactionHash ? post : null);
+    const root = isVisible(indexedRoot) ? indexedRoot : null;
+
+    // Every visible post of the thread, wherever its parent is
+    const members = [];
+    for (const candidate of index.posts.values()) {
+      if (candidate.threadId === threadId && isVisible(candidate)) {
+        members.push(candidate);
+      }
+    }
+    const memberHashes = new Set(members.map(member => member.transactionHash));
+
+    const buildNode = (member, parentMissing = false) => ({
+      post: member,
+      parentMissing,
+      replies: (index.repliesByParent.get(member.transactionHash) || [])
+        .filter(reply => memberHashes.has(reply.transactionHash))
+        .map(reply => buildNode(reply))
+    });
+
+    const replies = (index.repliesByParent.get(threadId) || [])
+      .filter(reply => memberHashes.has(reply.transactionHash))
+      .map(reply => buildNode(reply));
+
+    // Replies to posts we cannot show still belong to the conversation
+    const orphans = members
+      .filter(member => member.replyTo !== threadId && !memberHashes.has(member.replyTo))
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .map(member => buildNode(member, true));
+
+    const participants = [...new Set([root, ...members].filter(Boolean).map(member => member.authorPublicKey))];
+
+    return {
+      threadId,
+      root,
+      replies: [...replies, ...orphans],
+      replyCount: members.length,
+      participants
+    };
+  }
+
+  /**
+   * Flatten a thread's reply tree in reading order, with each post's depth
+   * @param {Array} replies - Reply nodes from buildThread
+   * @param {number} [depth=1] - Depth of these nodes (the root is 0)
+   * @returns {Array} { post, depth, parentMissing } entries
+   */
+  flattenThread(replies, depth = 1) {
+    return replies.flatMap(node => [
+      { post: node.post, depth, parentMissing: node.parentMissing },
+      ...this.flattenThread(node.replies, depth + 1)
+    ]);
+  }
+
+  /**
+   * Add reply counts to posts, and the parent's author to replies
+   * @param {Array} posts - Posts from FeedService
+   * @param {Object} [options] - Count options
+   * @param {boolean} [options.showRetracted=false] - Count retracted replies too
+   * @param {boolean} [options.useCache=true] - Whether to use the cached index
+   * @returns {Promise<Array>} Copies of the posts with replyCount (direct replies) and replyToAuthor
+   */
+  async attachReplyCounts(posts, { showRetracted = false, useCache = true } = {}) {
+    const index = await this.getPostIndex({ useCache });
+
+    return posts.map(post => {
+      const replies = index.repliesByParent.get(post.transactionHash) || [];
+      const parent = post.replyTo ? index.posts.get(post.replyTo) : null;
+      return {
+        ...post,
+        replyCount: replies.filter(reply => showRetracted || !reply.retracted).length,
+        ...(post.replyTo ? { replyToAuthor: parent?.author || null } : {})
+      };
+    });
+  }
+
+  /**
+   * Walk a user's chain backward, retracted posts included
+   * @param {Object} user - Active user { publicKey, username, latestPostHash }
+   * @param {number} limit - Maximum posts to read
+   * @returns {Promise<Array>} The user's posts, newest first
+   * @private
+   */
+  async _readChain(user, limit) {
+    const posts = [];
+    let currentHash = user.latestPostHash;
+
+    while (currentHash && currentHash !== 'none' && posts.length < limit) {
+      const post = await this.postReader.readPostFromTransaction(currentHash, user.username, user.publicKey);
+      if (!post) {
+        break;
+      }
+      posts.push(post);
+      currentHash = post.previousPostHash;
+    }
+
+    return posts;
+  }
+
+  /**
+   * Check if the cached post index is still valid
+   * @returns {boolean} True if cache is valid
+   */
+  isCacheValid() {
+    if (!this.indexCache || !this.lastIndexTime) {
+      return false;
+    }
+
+    return Date.now() - this.lastIndexTime < this.CACHE_DURATION;
+  }
+
+  /**
+   * Clear the cached post index (e.g. after publishing a reply)
+   */
+  clearCache() {
+    this.indexCache = null;
+    this.lastIndexTime = null;
+  }
+}
+
+// Export singleton instance
+export const threadService = new ThreadService();
+
+// Character count: 9546
@@ -0,0 +1,203 @@
+// src/services/feed/__tests__/MentionService.test.js
+// Path: src/services/feed/__tests__/MentionService.test.js
+
+/**
+ * MentionService Tests
+ *
+ * @mentions and #hashtags on the local ledger: tokens are found in post
+ * text, mentions resolve to registry users, posts store both under the
+ * author signature (a post too large for one transaction is refused up
+ * front), and feeds index tags to browse posts by.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Keypair } from '@solana/web3.js';
+import { MentionService } from '../MentionService';
+import { FeedService } from '../FeedService';
+import { PostHeaderService } from '../PostHeaderService';
+import { PostEntities } from '../../blockchain/shared/models/PostEntities';
+import { PostPublishingService } from '../../publishing/PostPublishingService';
+import { PostTransactionReader } from '../../blockchain/PostTransactionReader';
+import { BlockchainService } from '../../blockchain/BlockchainService';
+import { SolanaPublisher } from '../../blockchain/solana/SolanaPublisher';
+import { AuthorSignature } from '../../blockchain/shared/AuthorSignature';
+import { connectionProvider, SolanaCluster } from '../../blockchain/shared/ConnectionProvider';
+import { HashtagIndexStorage } from '../../storage/content/HashtagIndexStorage';
+import { KeypairSigner } from '../../wallet/KeypairSigner';
+import userRegistry from '../../../data/user-registry.json';
+
+jest.mock('expo-crypto', () => jest.requireActual('../../../../__tests__/__mocks__/expo-crypto-sha256'));
+
+const authorKeypair = Keypair.fromSeed(new Uint8Array(32).fill(161));
+const AUTHOR = authorKeypair.publicKey.toBase58();
+const [ALICE, BOB, EVE] = ['alice', 'bob', 'eve'].map(username =>
+  userRegistry.users.find(user => user.username === username).publicKey);
+
+// Close to the 280-character limit with every mention and tag a post can store
+const LONG_POST = 'Back from the north channel with @alice, @bob and @eve: the buoys moved again and the old ' +
+  'charts put us on the sandbar at half ebb. Ask the ferry crew for the new survey sheets. ' +
+  '#sailing #northchannel #tides #harbour #ferry More soon from the wheelhouse, coffee in hand.';
+
+// Stand-in parent and thread root of a reply (signature-sized)
+const EVE_POST = Keypair.fromSeed(new Uint8Array(32).fill(168)).publicKey.toBase58().repeat(2).substring(0, 88);
+const ROOT_POST = Keypair.fromSeed(new Uint8Array(32).fill(169)).publicKey.toBase58().repeat(2).substring(0, 88);
+
+describe('MentionService', () => {
+  let ledger;
+  let publisher;
+  let mentions;
+
+  beforeAll(() => {
+    ledger = connectionProvider.useLocalLedger();
+  });
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    publisher = new SolanaPublisher(ledger);
+    publisher.priorityFees.configure({ strategy: 'none' });
+    jest.spyOn(BlockchainService.prototype, 'getPublisher').mockReturnValue(publisher);
+    mentions = new MentionService(ledger);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    connectionProvider.setCluster(SolanaCluster.DEVNET);
+  });
+
+  /**
+   * Publish a post with the mentions and tags the composer would find
+   * @param {string} content - Post text
+   * @param {Object} [parentPost] - Post to reply to
+   * @returns {Promise<Object>} { result, post } publish result and the post read back
+   */
+  const publishWithEntities = async (content, parentPost = null) => {
+    const service = new PostPublishingService();
+    service.setWallet(new KeypairSigner(authorKeypair));
+    const { mentions: resolved, tags } = await mentions.extractEntities(content);
+    const postData = { content, authorName: 'author', mentions: resolved, tags };
+
+    const result = parentPost
+      ? await service.publishReply(parentPost, postData)
+      : await service.publishPost(postData);
+    const post = await new PostTransactionReader(ledger).readPostFromTransaction(result.transactionId, 'author', AUTHOR);
+    return { result, post };
+  };
+
+  it('should find mentions and hashtags but not emails, URL fragments or numbers', () => {
+    // Act
+    const segments = PostEntities.tokenize('Hi @Alice! Mail bob@example.com, see /docs#setup #1 and #Sailing.');
+    const parsed = PostEntities.parse('@bob @BOB #tides #Tides #2025plan');
+
+    // Assert
+    expect(segments.filter(segment => segment.type !== 'text')).toEqual([
+      { type: 'mention', text: '@Alice', value: 'alice' },
+      { type: 'tag', text: '#Sailing', value: 'sailing' }
+    ]);
+    expect(segments.map(segment => segment.text).join('')).toBe('Hi @Alice! Mail bob@example.com, see /docs#setup #1 and #Sailing.');
+    expect(parsed).toEqual({ mentions: ['bob'], tags: ['tides', '2025plan'] });
+    expect(() => PostEntities.toMemoFields({ tags: ['a', 'b', 'c', 'd', 'e', 'f'] })).toThrow('at most 5 tags');
+    expect(() => PostEntities.toMemoFields({ mentions: [{ alias: 'bob', publicKey: 'not-a-key' }] })).toThrow('Invalid public key for @bob');
+  });
+
+  it('should resolve registry users and report unknown and over-limit mentions', async () => {
+    // Act
+    const entities = await mentions.extractEntities('@alice @Bob @nobody @eve @roy #tides');
+
+    // Assert
+    expect(entities.mentions).toEqual([
+      { alias: 'alice', publicKey: ALICE },
+      { alias: 'bob', publicKey: BOB },
+      { alias: 'eve', publicKey: EVE }
+    ]);
+    expect(entities.unresolved).toEqual(['nobody']);
+    expect(entities.dropped).toEqual(['@roy']);
+    expect(entities.tags).toEqual(['tides']);
+  });
+
+  it('should store mentions and tags under the author signature, even in a long reply', async () => {
+    // Arrange
+    const { post: root } = await publishWithEntities('Tide tables for the #northchannel, anyone?');
+
+    // Act
+    const { result, post } = await publishWithEntities(LONG_POST, root);
+
+    // Assert
+    expect(root).toMatchObject({ tags: ['northchannel'], mentions: [], authorVerification: 'signature' });
+    expect(post).toMatchObject({ replyTo: root.transactionHash, authorVerification: 'signature' });
+    expect(post.tags).toEqual(['sailing', 'northchannel', 'tides', 'harbour', 'ferry']);
+    expect(post.mentions).toEqual([
+      { alias: 'alice', publicKey: ALICE },
+      { alias: 'bob', publicKey: BOB },
+      { alias: 'eve', publicKey: EVE }
+    ]);
+    expect(result.mentions).toEqual(post.mentions);
+  });
+
+  it('should reject a post that outgrows one transaction before sending it', async () => {
+    // Arrange - hard-to-compress text with every mention and tag at full length
+    const service = new PostPublishingService();
+    service.setWallet(new KeypairSigner(authorKeypair));
+    const content = Array.from({ length: 7 }, (_, i) => Keypair.fromSeed(new Uint8Array(32).fill(170 + i)).publicKey.toBase58())
+      .join(' ').substring(0, 280);
+    const longName = (seed) => Keypair.fromSeed(new Uint8Array(32).fill(seed)).publicKey.toBase58()
+      .toLowerCase().substring(0, PostEntities.MAX_ALIAS_LENGTH);
+    const postData = {
+      content,
+      authorName: 'author',
+      mentions: [ALICE, BOB, EVE].map((publicKey, i) => ({ alias: longName(180 + i), publicKey })),
+      tags: [190, 191, 192, 193, 194].map(longName)
+    };
+    const sentBefore = ledger.getStats().transactions;
+
+    // Act & Assert
+    await expect(service.publishReply({ transactionHash: EVE_POST, threadId: ROOT_POST }, postData)).rejects.toThrow('Post too large');
+    expect(ledger.getStats().transactions).toBe(sentBefore);
+  });
+
+  it('should not verify a post whose stored mentions or tags were changed', async () => {
+    // Arrange
+    const reader = new PostTransactionReader(ledger);
+    const entities = PostEntities.toMemoFields({ mentions: [{ alias: 'bob', publicKey: BOB }], tags: ['tides'] });
+    const sig = await AuthorSignature.sign(
+      AuthorSignature.Domain.POST,
+      AuthorSignature.postPayload('Hi @bob #tides', null, AUTHOR, null, entities),
+      new KeypairSigner(authorKeypair)
+    );
+    const glyph = { content: 'Hi @bob #tides', previousPostHash: null, author: AUTHOR, sig, ...entities };
+
+    // Act
+    const original = reader.verifyPostAuthor(glyph, AUTHOR);
+    const redirected = reader.verifyPostAuthor({ ...glyph, mentions: [['bob', EVE]] }, AUTHOR);
+    const untagged = reader.verifyPostAuthor({ ...glyph, tags: undefined }, AUTHOR);
+
+    // Assert
+    expect(original).toBe('signature');
+    expect(redirected).toBeNull();
+    expect(untagged).toBeNull();
+  });
+
+  it('should index hashtags of feed posts and browse them by tag', async () => {
+    // Arrange
+    const { result: first } = await publishWithEntities('Low tide at six #tides');
+    await PostHeaderService.updateUserHead(AUTHOR, 'author', first.transactionId);
+    const { result: second } = await publishWithEntities('Ferry delayed by fog #Ferry #tides');
+    await PostHeaderService.updateUserHead(AUTHOR, 'author', second.transactionId);
+    const feed = new FeedService(ledger);
+
+    // Act
+    await feed.buildFeed({ useCache: false });
+    const tidePosts = await feed.getPostsForTag('#Tides');
+
+    // Assert
+    expect(tidePosts.map(post => post.content)).toEqual(['Ferry delayed by fog #Ferry #tides', 'Low tide at six #tides']);
+    expect(await HashtagIndexStorage.getTags()).toEqual([
+      expect.objectContaining({ tag: 'tides', count: 2 }),
+      expect.objectContaining({ tag: 'ferry', count: 1 })
+    ]);
+  });
+});
+
+// Character count: 9368
@@ -0,0 +1,174 @@
+// src/services/feed/__tests__/RepostService.test.js
+// Path: src/services/feed/__tests__/RepostService.test.js
+
+/**
+ * RepostService Tests
+ *
+ * Reposts and quote posts on the local ledger: both are signed over the post
+ * they share, reposting a repost shares the original, counts stop at the
+ * original author's re-glyph cap, and feed posts carry their repost counts.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Keypair } from '@solana/web3.js';
+import bs58 from 'bs58';
+import { RepostService } from '../RepostService';
+import { ThreadService, threadService } from '../ThreadService';
+import { FeedService } from '../FeedService';
+import { PostPublishingService } from '../../publishing/PostPublishingService';
+import { PostTransactionReader } from '../../blockchain/PostTransactionReader';
+import { BlockchainService } from '../../blockchain/BlockchainService';
+import { SolanaPublisher } from '../../blockchain/solana/SolanaPublisher';
+import { AuthorSignature } from '../../blockchain/shared/AuthorSignature';
+import { PostShare } from '../../blockchain/shared/models/PostShare';
+import { connectionProvider, SolanaCluster } from '../../blockchain/shared/ConnectionProvider';
+import { KeypairSigner } from '../../wallet/KeypairSigner';
+
+jest.mock('expo-crypto', () => jest.requireActual('../../../../__tests__/__mocks__/expo-crypto-sha256'));
+
+const txId = (fill) => bs58.encode(new Uint8Array(64).fill(fill));
+
+const aliceKeypair = Keypair.fromSeed(new Uint8Array(32).fill(171));
+const bobKeypair = Keypair.fromSeed(new Uint8Array(32).fill(172));
+const carolKeypair = Keypair.fromSeed(new Uint8Array(32).fill(173));
+const ALICE = aliceKeypair.publicKey.toBase58();
+const BOB = bobKeypair.publicKey.toBase58();
+const CAROL = carolKeypair.publicKey.toBase58();
+
+describe('RepostService', () => {
+  let ledger;
+  let publisher;
+
+  beforeAll(() => {
+    ledger = connectionProvider.useLocalLedger();
+  });
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    threadService.clearCache();
+    publisher = new SolanaPublisher(ledger);
+    publisher.priorityFees.configure({ strategy: 'none' });
+    jest.spyOn(BlockchainService.prototype, 'getPublisher').mockReturnValue(publisher);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    connectionProvider.setCluster(SolanaCluster.DEVNET);
+  });
+
+  /**
+   * Post publishing service for an author
+   * @param {Keypair} keypair - Author keypair
+   * @returns {PostPublishingService} Configured service
+   */
+  const postServiceFor = (keypair) => {
+    const service = new PostPublishingService();
+    service.setWallet(new KeypairSigner(keypair));
+    return service;
+  };
+
+  /**
+   * Publish an original post by alice (optionally capped) and read it back
+   * @param {number|null} [reGlyphCap] - Re-glyph cap to set
+   * @returns {Promise<Object>} The post as read from the ledger
+   */
+  const publishOriginal = async (reGlyphCap = null) => {
+    const result = await postServiceFor(aliceKeypair).publishPost({
+      content: 'High tide at 6:40, the causeway is closed until nine',
+      authorName: 'alice',
+      reGlyphCap
+    });
+    return await new PostTransactionReader(ledger).readPostFromTransaction(result.transactionId, 'alice', ALICE);
+  };
+
+  it('should publish signed reposts and quotes that name the original', async () => {
+    // Arrange
+    const original = await publishOriginal();
+    const reader = new PostTransactionReader(ledger);
+
+    // Act
+    const repostResult = await postServiceFor(bobKeypair).publishRepost(original, { authorName: 'bob' });
+    const repost = await reader.readPostFromTransaction(repostResult.transactionId, 'bob', BOB);
+    const quoteResult = await postServiceFor(carolKeypair).publishQuote(repost, { content: 'Good to know', authorName: 'carol' });
+    const quote = await reader.readPostFromTransaction(quoteResult.transactionId, 'carol', CAROL);
+
+    // Assert
+    const reference = { transactionHash: original.transactionHash, authorPublicKey: ALICE };
+    expect(repostResult.repostOf).toEqual(reference);
+    expect(repost).toMatchObject({ content: '', repostOf: reference, quoteOf: null, authorVerification: 'signature' });
+    expect(quote).toMatchObject({ content: 'Good to know', quoteOf: reference, repostOf: null, authorVerification: 'signature' });
+    expect(PostShare.sharedBy(quote)).toEqual({ kind: PostShare.Kind.QUOTE, ...reference });
+  });
+
+  it('should count re-glyphs up to the author cap and refuse more', async () => {
+    // Arrange
+    const original = await publishOriginal(2);
+    const bob = postServiceFor(bobKeypair);
+    const carol = postServiceFor(carolKeypair);
+    const reposts = new RepostService(ledger);
+
+    // Act
+    await bob.publishRepost(original, { authorName: 'bob' });
+    const before = await reposts.getShareStats(original.transactionHash, { useCache: false });
+    await carol.publishQuote(original, { content: 'Plan the walk for ten', authorName: 'carol' });
+    const after = await reposts.getShareStats(original.transactionHash, { useCache: false });
+
+    // Assert
+    expect(original.reGlyphCap).toBe(2);
+    expect(before).toEqual({ repostCount: 1, reGlyphCap: 2, capReached: false });
+    expect(after).toEqual({ repostCount: 2, reGlyphCap: 2, capReached: true });
+    await expect(bob.publishQuote(original, { content: 'Still closed', authorName: 'bob' }))
+      .rejects.toThrow('This post has reached its re-glyph cap of 2');
+  });
+
+  it('should read shared posts and add repost counts to feed posts', async () => {
+    // Arrange
+    const original = await publishOriginal();
+    const repostResult = await postServiceFor(bobKeypair).publishRepost(original, { authorName: 'bob' });
+
+    // Act
+    const shared = await new RepostService(ledger, new ThreadService(ledger)).getSharedPost(repostResult.repostOf);
+    const feed = await new FeedService(ledger).buildFeed({ limit: 10, useCache: false });
+    const byHash = Object.fromEntries(feed.map(post => [post.transactionHash, post]));
+
+    // Assert
+    expect(shared).toMatchObject({ transactionHash: original.transactionHash, content: original.content });
+    expect(byHash[original.transactionHash]).toMatchObject({ repostCount: 1, repostCap: null, repostCapReached: false });
+    expect(byHash[repostResult.transactionId]).toMatchObject({ content: '', repostCount: 1 });
+  });
+
+  it('should reject malformed shares and a repost moved to another post', async () => {
+    // Arrange
+    const share = PostShare.toMemoFields({ repostOf: { transactionHash: txId(1), authorPublicKey: ALICE } });
+    const sig = await AuthorSignature.sign(
+      AuthorSignature.Domain.POST,
+      AuthorSignature.postPayload('', 'none', BOB, null, null, share),
+      new KeypairSigner(bobKeypair)
+    );
+    const glyph = { content: '', previousPostHash: 'none', author: BOB, sig, ...share };
+    const reader = new PostTransactionReader(ledger);
+    const reference = { transactionHash: txId(1), authorPublicKey: ALICE };
+
+    // Act
+    const signed = reader.verifyPostAuthor(glyph, BOB, {});
+    const moved = reader.verifyPostAuthor({ ...glyph, repostOf: [txId(2), ALICE] }, BOB, {});
+
+    // Assert
+    expect(signed).toBe('signature');
+    expect(moved).toBeNull();
+    expect(() => PostShare.toMemoFields({ repostOf: reference, quoteOf: reference }))
+      .toThrow('A post cannot both repost and quote');
+    expect(() => PostShare.toMemoFields({ repostOf: reference, reGlyphCap: 5 }))
+      .toThrow('Only original posts can set a re-glyph cap');
+    expect(() => PostShare.toMemoFields({ reGlyphCap: -1 })).toThrow('Invalid re-glyph cap: -1');
+    expect(() => PostShare.toMemoFields({ quoteOf: { transactionHash: txId(1), authorPublicKey: 'nope' } }))
+      .toThrow('Invalid author for shared post');
+    await expect(postServiceFor(bobKeypair).publishPost({ content: 'Hi', authorName: 'bob', repostOf: reference }))
+      .rejects.toThrow('A repost has no text of its own; quote the post instead');
+  });
+});
+
+// Character count: 8008
@@ -0,0 +1,169 @@
+// src/services/feed/__tests__/ThreadService.test.js
+// Path: src/services/feed/__tests__/ThreadService.test.js
+
+/**
+ * ThreadService Tests
+ *
+ * Replies on the local ledger: a reply names its parent and thread root and
+ * is signed over both, threads are rebuilt from the authors' post chains,
+ * and feed posts carry their reply counts.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Keypair } from '@solana/web3.js';
+import bs58 from 'bs58';
+import { ThreadService } from '../ThreadService';
+import { FeedService } from '../FeedService';
+import { PostPublishingService } from '../../publishing/PostPublishingService';
+import { PostTransactionReader } from '../../blockchain/PostTransactionReader';
+import { BlockchainService } from '../../blockchain/BlockchainService';
+import { SolanaPublisher } from '../../blockchain/solana/SolanaPublisher';
+import { AuthorSignature } from '../../blockchain/shared/AuthorSignature';
+import { connectionProvider, SolanaCluster } from '../../blockchain/shared/ConnectionProvider';
+import { KeypairSigner } from '../../wallet/KeypairSigner';
+
+jest.mock('expo-crypto', () => jest.requireActual('../../../../__tests__/__mocks__/expo-crypto-sha256'));
+
+const txId = (fill) => bs58.encode(new Uint8Array(64).fill(fill));
+
+const aliceKeypair = Keypair.fromSeed(new Uint8Array(32).fill(131));
+const bobKeypair = Keypair.fromSeed(new Uint8Array(32).fill(132));
+const ALICE = aliceKeypair.publicKey.toBase58();
+const BOB = bobKeypair.publicKey.toBase58();
+
+// Close to the 280-character limit, so the reply fields must still fit the transaction
+const LONG_REPLY = 'Agreed on the tide tables, but the harbour master moved the buoys again last spring, ' +
+  'so the old charts put you on the sandbar at half ebb. Ask for the 2025 survey sheets before sailing; ' +
+  'the ferry crew keep a copy in the wheelhouse and will lend it for a coffee.';
+
+describe('ThreadService', () => {
+  let ledger;
+  let publisher;
+
+  beforeAll(() => {
+    ledger = connectionProvider.useLocalLedger();
+  });
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    publisher = new SolanaPublisher(ledger);
+    publisher.priorityFees.configure({ strategy: 'none' });
+    jest.spyOn(BlockchainService.prototype, 'getPublisher').mockReturnValue(publisher);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    connectionProvider.setCluster(SolanaCluster.DEVNET);
+  });
+
+  /**
+   * Post publishing service for an author
+   * @param {Keypair} keypair - Author keypair
+   * @returns {PostPublishingService} Configured service
+   */
+  const postServiceFor = (keypair) => {
+    const service = new PostPublishingService();
+    service.setWallet(new KeypairSigner(keypair));
+    return service;
+  };
+
+  /**
+   * Publish a root post, a reply to it and a reply to that reply
+   * @returns {Promise<Object>} The three posts as read from the ledger, and an unrelated post hash
+   */
+  const publishConversation = async () => {
+    const alice = postServiceFor(aliceKeypair);
+    const bob = postServiceFor(bobKeypair);
+    const reader = new PostTransactionReader(ledger);
+
+    const rootResult = await alice.publishPost({ content: 'Anyone sailed the north channel lately?', authorName: 'alice' });
+    const root = await reader.readPostFromTransaction(rootResult.transactionId, 'alice', ALICE);
+    const replyResult = await bob.publishReply(root, { content: 'Last week, use the tide tables', authorName: 'bob' });
+    const reply = await reader.readPostFromTransaction(replyResult.transactionId, 'bob', BOB);
+    const nestedResult = await alice.publishReply(reply, { content: LONG_REPLY, authorName: 'alice' });
+    const nested = await reader.readPostFromTransaction(nestedResult.transactionId, 'alice', ALICE);
+    const unrelated = await bob.publishPost({ content: 'Fish market opens at six', authorName: 'bob' });
+
+    return { root, reply, nested, unrelatedHash: unrelated.transactionId };
+  };
+
+  it('should publish signed replies that name their parent and thread root', async () => {
+    // Act
+    const { root, reply, nested } = await publishConversation();
+
+    // Assert
+    expect(root).toMatchObject({ replyTo: null, threadId: null, authorVerification: 'signature' });
+    expect(reply).toMatchObject({ replyTo: root.transactionHash, threadId: root.transactionHash, authorVerification: 'signature' });
+    expect(nested).toMatchObject({ replyTo: reply.transactionHash, threadId: root.transactionHash, authorVerification: 'signature' });
+    expect(nested.content).toBe(LONG_REPLY);
+  });
+
+  it('should build the thread of any post in it', async () => {
+    // Arrange
+    const { root, reply, nested, unrelatedHash } = await publishConversation();
+    const threads = new ThreadService(ledger);
+
+    // Act
+    const fromRoot = await threads.buildThread(root);
+    const fromNested = await threads.buildThread(nested);
+    const flat = threads.flattenThread(fromNested.replies);
+
+    // Assert
+    expect(fromNested.threadId).toBe(root.transactionHash);
+    expect(fromNested.root.transactionHash).toBe(root.transactionHash);
+    expect(fromNested.replyCount).toBe(2);
+    expect(fromNested.participants).toEqual([ALICE, BOB]);
+    expect(flat.map(entry => [entry.post.transactionHash, entry.depth])).toEqual([
+      [reply.transactionHash, 1],
+      [nested.transactionHash, 2]
+    ]);
+    expect(fromRoot.replies).toEqual(fromNested.replies);
+    expect(flat.some(entry => entry.post.transactionHash === unrelatedHash)).toBe(false);
+  });
+
+  it('should add reply counts to feed posts', async () => {
+    // Arrange
+    const { root, reply, nested, unrelatedHash } = await publishConversation();
+
+    // Act
+    const feed = await new FeedService(ledger).buildFeed({ limit: 10, useCache: false });
+    const byHash = Object.fromEntries(feed.map(post => [post.transactionHash, post]));
+
+    // Assert
+    expect(byHash[root.transactionHash].replyCount).toBe(1);
+    expect(byHash[reply.transactionHash]).toMatchObject({ replyCount: 1, replyToAuthor: 'alice' });
+    expect(byHash[nested.transactionHash]).toMatchObject({ replyCount: 0, replyToAuthor: 'bob' });
+    expect(byHash[unrelatedHash].replyCount).toBe(0);
+  });
+
+  it('should reject a signed reply moved to another thread', async () => {
+    // Arrange
+    const content = 'Count me in';
+    const reply = { replyTo: txId(1), threadId: txId(2) };
+    const sig = await AuthorSignature.sign(
+      AuthorSignature.Domain.POST,
+      AuthorSignature.postPayload(content, 'none', ALICE, reply),
+      new KeypairSigner(aliceKeypair)
+    );
+    const glyph = { content, previousPostHash: 'none', author: ALICE, sig, ...reply };
+    const reader = new PostTransactionReader(ledger);
+
+    // Act
+    const signed = reader.verifyPostAuthor(glyph, ALICE, {});
+    const moved = reader.verifyPostAuthor({ ...glyph, threadId: txId(3) }, ALICE, {});
+    const unthreaded = reader.verifyPostAuthor({ ...glyph, replyTo: undefined, threadId: undefined }, ALICE, {});
+
+    // Assert
+    expect(signed).toBe('signature');
+    expect(moved).toBeNull();
+    expect(unthreaded).toBeNull();
+    expect(AuthorSignature.postPayload(content, 'none', ALICE, null)).toEqual(AuthorSignature.postPayload(content, 'none', ALICE));
+    await expect(postServiceFor(aliceKeypair).publishReply({}, { content, authorName: 'alice' }))
+      .rejects.toThrow('The post being replied to has no transaction hash');
+  });
+});
+
+// Character count: 7435
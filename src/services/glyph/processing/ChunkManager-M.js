@@ -5,12 +5,13 @@ import { TextProcessor } from './TextProcessor';
 import StoryManifest from '../../blockchain/shared/models/StoryManifest';
 import MerkleBuilderM from '../../merkle/MerkleBuilder-M';
 import { HashingService } from '../../hashing/HashingService';
+import { MemoCodec } from '../../publishing/MemoCodec';
 
-// Maximum characters per content chunk for optimal blockchain storage
+// Target characters per content chunk; chunks whose memo would still be too large are split again
 const MAX_CHUNK_SIZE = 280;
 
-// Maximum hashes per hash list chunk (7 hashes * 64 chars = 448 chars, safe for 566 byte limit)
-const MAX_HASHES_PER_CHUNK = 5;
+// Manifest version for new stories; its major number selects the Merkle builder (2 = domain-separated)
+const MANIFEST_VERSION = '2.0.0';
 
 /**
  * 3-Tier Manifest Tree Content Manager
@@ -36,6 +37,10 @@ class ChunkManagerM {
    * @param {string} options.genre - Content genre
    * @param {number|null} options.reGlyphCap - Maximum re-glyph count
    * @param {boolean} options.isNSFW - NSFW content flag
+   * @param {string|null} options.previousStoryId - Story ID this publication revises
+   * @param {number} options.revision - Revision number (1 for an original)
+   * @param {TransactionSigner} [options.authorSigner] - Author key to sign the manifest with, so
+   *   another account can pay for the publication (otherwise the publishing wallet signs it)
    * @returns {Promise<Object>} 3-tier publication package
    */
   static async prepareStoryForManifestPublishing(content, title, authorPublicKey, options = {}) {
@@ -56,7 +61,10 @@ class ChunkManagerM {
     }
 
     // === TIER 3: Process and chunk the content ===
-    const contentChunks = this._chunkContentForManifest(content);
+    const contentChunks = this._splitOversizedGlyphs(
+      this._chunkContentForManifest(content),
+      options.reGlyphCap || null
+    );
     console.log('ChunkManager-M.js: prepareStoryForManifestPublishing: Created', contentChunks.length, 'content chunks');
 
     // === TIER 2: Create hash list from content chunks ===
@@ -71,7 +79,8 @@ class ChunkManagerM {
 
     // Build Merkle tree from chunk hashes to get manifest root
     console.log('ChunkManager-M.js: prepareStoryForManifestPublishing: Building manifest tree from', contentChunkHashes.length, 'chunk hashes');
-    const manifestTree = await MerkleBuilderM.buildTree(contentChunkHashes);
+    const merkleBuilder = MerkleBuilderM.forManifestVersion(MANIFEST_VERSION);
+    const manifestTree = await merkleBuilder.buildTree(contentChunkHashes);
     const manifestRoot = manifestTree.root;
     console.log('ChunkManager-M.js: prepareStoryForManifestPublishing: Manifest root:', manifestRoot.substring(0, 16) + '...');
 
@@ -91,6 +100,9 @@ class ChunkManagerM {
         tags: options.tags || [],
         genre: options.genre || null,
         reGlyphCap: options.reGlyphCap || null,
+        version: MANIFEST_VERSION,
+        previousStoryId: options.previousStoryId || null,
+        revision: options.revision || 1,
         firstChunk: contentChunks[0], // For preview text generation
         metadata: {
           isNSFW: options.isNSFW || false,
@@ -106,6 +118,11 @@ class ChunkManagerM {
       throw new Error(`Manifest validation failed: ${validation.errors.join(', ')}`);
     }
 
+    if (options.authorSigner) {
+      await manifest.sign(options.authorSigner);
+      console.log('ChunkManager-M.js: prepareStoryForManifestPublishing: Manifest signed by author');
+    }
+
     // === Prepare the complete 3-tier publication package ===
     const publicationPackage = {
       primaryManifest: manifest,
@@ -132,6 +149,41 @@ class ChunkManagerM {
     return publicationPackage;
   }
 
+  /**
+   * Prepare a corrected version of a published story. The new manifest names
+   * the previous story ID as its predecessor, so readers resolve the original
+   * to this revision once it is published by the same author.
+   * 
+   * @param {string} content - The full corrected text
+   * @param {StoryManifest} previousManifest - Published manifest being revised (must have a storyId)
+   * @param {Object} options - Options as for prepareStoryForManifestPublishing; title,
+   *   tags, genre, reGlyphCap and metadata default to the previous manifest's
+   * @returns {Promise<Object>} 3-tier publication package for the revision
+   */
+  static async prepareStoryRevision(content, previousManifest, options = {}) {
+    if (!previousManifest || !previousManifest.storyId) {
+      throw new Error('Only a published story can be revised');
+    }
+
+    console.log('ChunkManager-M.js: prepareStoryRevision: Revising story', previousManifest.storyId.substring(0, 16) + '...');
+
+    return await this.prepareStoryForManifestPublishing(
+      content,
+      options.title || previousManifest.title,
+      previousManifest.authorPublicKey,
+      {
+        tags: previousManifest.tags,
+        genre: previousManifest.genre,
+        reGlyphCap: previousManifest.reGlyphCap,
+        isNSFW: previousManifest.metadata?.isNSFW,
+        license: previousManifest.metadata?.license,
+        ...options,
+        previousStoryId: previousManifest.storyId,
+        revision: (previousManifest.revision || 1) + 1
+      }
+    );
+  }
+
   /**
    * Chunk content into optimal sizes for blockchain storage
    * @param {string} content - Raw content to chunk
@@ -181,7 +233,73 @@ class ChunkManagerM {
   }
 
   /**
-   * Chunk hash list into blockchain-compatible chunks
+   * Split any content chunk whose glyph memo would exceed the memo limit.
+   * Memos are measured exactly as PublishingService-M will serialize them, with
+   * a full-size story id and the content length as a ceiling for the index and
+   * chunk count varints, so every glyph is guaranteed to fit once published.
+   * @param {string[]} chunks - Content chunks from _chunkContentForManifest
+   * @param {number|null} reGlyphCap - reGlyphCap carried by the first glyph
+   * @returns {string[]} Content chunks that all fit in a memo
+   * @private
+   */
+  static _splitOversizedGlyphs(chunks, reGlyphCap = null) {
+    const countCeiling = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    const pending = [...chunks];
+    const fitted = [];
+
+    while (pending.length > 0) {
+      const chunk = pending.shift();
+      const memoBytes = MemoCodec.byteLength(MemoCodec.serialize(chunk, {
+        type: 'glyph',
+        storyId: MemoCodec.PLACEHOLDER_STORY_ID,
+        index: countCeiling,
+        totalChunks: countCeiling,
+        reGlyphCap: fitted.length === 0 ? reGlyphCap : undefined
+      }));
+
+      if (memoBytes <= MemoCodec.MAX_MEMO_BYTES) {
+        fitted.push(chunk);
+        continue;
+      }
+
+      console.log('ChunkManager-M.js: _splitOversizedGlyphs: Chunk of', chunk.length, 'characters needs', memoBytes, 'bytes, splitting');
+      pending.unshift(...this._splitChunk(chunk));
+    }
+
+    if (fitted.length !== chunks.length) {
+      console.log('ChunkManager-M.js: _splitOversizedGlyphs: Re-chunked', chunks.length, 'chunks into', fitted.length);
+    }
+    return fitted;
+  }
+
+  /**
+   * Split a chunk in two, preferring a natural break before the midpoint
+   * @param {string} chunk - Chunk to split
+   * @returns {string[]} Two non-empty chunks
+   * @private
+   */
+  static _splitChunk(chunk) {
+    if (chunk.length < 2) {
+      throw new Error('Content chunk cannot be split to fit in a memo');
+    }
+
+    const midpoint = Math.ceil(chunk.length / 2);
+    let head = TextProcessor.findNaturalBreakPoint(chunk, 0, midpoint);
+
+    if (head.length === 0 || head.length >= chunk.length) {
+      // Never split a surrogate pair
+      const code = chunk.charCodeAt(midpoint - 1);
+      const cut = code >= 0xd800 && code <= 0xdbff && midpoint < chunk.length - 1 ? midpoint + 1 : midpoint;
+      head = chunk.slice(0, cut);
+    }
+
+    return [head, chunk.slice(head.length)];
+  }
+
+  /**
+   * Pack the hash list into as few memos as possible. Each chunk is grown while
+   * its serialized hash-list memo (full-size story id, worst-case varints) still
+   * fits in a transaction.
    * @param {string[]} hashList - Array of SHA-256 hashes
    * @returns {string[][]} Array of hash list chunks
    * @private
@@ -190,9 +308,17 @@ class ChunkManagerM {
     console.log('ChunkManager-M.js: _chunkHashList: Chunking', hashList.length, 'hashes into safe memo sizes');
     
     const hashListChunks = [];
+    let chunk = [];
     
-    for (let i = 0; i < hashList.length; i += MAX_HASHES_PER_CHUNK) {
-      const chunk = hashList.slice(i, i + MAX_HASHES_PER_CHUNK);
+    for (const hash of hashList) {
+      if (chunk.length > 0 && !this._hashListMemoFits([...chunk, hash], hashList.length)) {
+        hashListChunks.push(chunk);
+        console.log('ChunkManager-M.js: _chunkHashList: Hash list chunk', hashListChunks.length - 1, 'contains', chunk.length, 'hashes');
+        chunk = [];
+      }
+      chunk.push(hash);
+    }
+    if (chunk.length > 0) {
       hashListChunks.push(chunk);
       console.log('ChunkManager-M.js: _chunkHashList: Hash list chunk', hashListChunks.length - 1, 'contains', chunk.length, 'hashes');
     }
@@ -201,14 +327,47 @@ class ChunkManagerM {
     return hashListChunks;
   }
 
+  /**
+   * Check whether a hash list chunk fits in one memo
+   * @param {string[]} chunk - Hashes in the chunk
+   * @param {number} totalHashes - Size of the whole hash list (ceiling for the varints)
+   * @returns {boolean} True if the serialized memo is within the limit
+   * @private
+   */
+  static _hashListMemoFits(chunk, totalHashes) {
+    const memoBytes = MemoCodec.byteLength(MemoCodec.serialize(chunk, {
+      type: 'hashlist',
+      storyId: MemoCodec.PLACEHOLDER_STORY_ID,
+      index: totalHashes,
+      totalHashLists: totalHashes
+    }));
+    return memoBytes <= MemoCodec.MAX_MEMO_BYTES;
+  }
+
+  /**
+   * Number of hashes that fit in one hash list memo
+   * @param {number} totalHashes - Size of the whole hash list
+   * @returns {number} Hashes per full hash list chunk
+   * @private
+   */
+  static _hashesPerMemo(totalHashes) {
+    const hash = '0'.repeat(64);
+    let count = 1;
+    while (this._hashListMemoFits(new Array(count + 1).fill(hash), totalHashes)) {
+      count++;
+    }
+    return count;
+  }
+
   /**
    * Verify content chunks against a manifest tree
    * @param {string[]} contentChunks - Array of content chunks
    * @param {string[][]} hashListChunks - Array of hash list chunks from blockchain
    * @param {string} manifestRoot - Expected manifest root hash
+   * @param {string} [manifestVersion='1.0.0'] - Version of the manifest (selects the Merkle builder)
    * @returns {Promise<Object>} Verification result with details
    */
-  static async verifyManifestTree(contentChunks, hashListChunks, manifestRoot) {
+  static async verifyManifestTree(contentChunks, hashListChunks, manifestRoot, manifestVersion = '1.0.0') {
     console.log('ChunkManager-M.js: verifyManifestTree: Verifying 3-tier manifest tree');
     console.log('ChunkManager-M.js: verifyManifestTree: Content chunks:', contentChunks.length);
     console.log('ChunkManager-M.js: verifyManifestTree: Hash list chunks:', hashListChunks.length);
@@ -247,8 +406,9 @@ class ChunkManagerM {
         };
       }
       
-      // Step 3: Verify manifest tree root
-      const manifestTree = await MerkleBuilderM.buildTree(reconstructedHashList);
+      // Step 3: Verify manifest tree root with the builder the manifest was published with
+      const merkleBuilder = MerkleBuilderM.forManifestVersion(manifestVersion);
+      const manifestTree = await merkleBuilder.buildTree(reconstructedHashList);
       const calculatedRoot = manifestTree.root;
       
       if (calculatedRoot !== manifestRoot) {
@@ -395,7 +555,8 @@ class ChunkManagerM {
     console.log('ChunkManager-M.js: estimateOptimalConfiguration: Analyzing', contentLength, 'characters');
     
     const estimatedContentChunks = Math.ceil(contentLength / MAX_CHUNK_SIZE);
-    const estimatedHashListChunks = Math.ceil(estimatedContentChunks / MAX_HASHES_PER_CHUNK);
+    const hashesPerChunk = this._hashesPerMemo(estimatedContentChunks);
+    const estimatedHashListChunks = Math.ceil(estimatedContentChunks / hashesPerChunk);
     const totalTransactions = 1 + estimatedHashListChunks + estimatedContentChunks;
     
     const config = {
@@ -406,7 +567,7 @@ class ChunkManagerM {
       architecture: '3-tier',
       recommendations: {
         chunkSize: this.calculateOptimalChunkSize('sample content'),
-        hashesPerChunk: MAX_HASHES_PER_CHUNK,
+        hashesPerChunk,
         concurrencyLevel: Math.min(5, Math.max(2, Math.floor(totalTransactions / 10)))
       },
       costs: {
@@ -423,4 +584,4 @@ class ChunkManagerM {
 
 export default ChunkManagerM;
 
-// Character count: 9952
\ No newline at end of file
+// Character count: 23981
\ No newline at end of file
@@ -0,0 +1,116 @@
+// src/services/glyph/processing/__tests__/ChunkManager.test.js
+// Path: src/services/glyph/processing/__tests__/ChunkManager.test.js
+
+/**
+ * ChunkManager-M Tests
+ *
+ * Memo size enforcement: content and hash-list chunks are measured as their
+ * final serialized memos and re-split until every transaction fits, and the
+ * publisher refuses an oversized package before sending anything.
+ */
+
+import ChunkManagerM from '../ChunkManager-M';
+import { TextProcessor } from '../TextProcessor';
+import PublishingServiceM from '../../../publishing/PublishingService-M';
+import { MemoCodec } from '../../../publishing/MemoCodec';
+import { blockchainServices } from '../../../blockchain/BlockchainService';
+
+jest.mock('expo-crypto', () => jest.requireActual('../../../../../__tests__/__mocks__/expo-crypto-sha256'));
+
+// Deterministic, poorly compressible CJK text (3 UTF-8 bytes per character)
+const noisyText = (length, seed = 1) => {
+  let state = seed;
+  let text = '';
+  for (let i = 0; i < length; i++) {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    text += String.fromCharCode(0x4e00 + (state % 2000));
+  }
+  return text;
+};
+
+const STORY_ID = MemoCodec.PLACEHOLDER_STORY_ID;
+
+const glyphMemoBytes = (chunks, index, reGlyphCap) => MemoCodec.byteLength(MemoCodec.serialize(chunks[index], {
+  type: 'glyph', storyId: STORY_ID, index, totalChunks: chunks.length, reGlyphCap: index === 0 ? reGlyphCap : undefined
+}));
+
+describe('ChunkManager-M', () => {
+
+  describe('Memo size enforcement', () => {
+
+    it('should re-split glyphs whose memo would be too large', async () => {
+      // Arrange
+      const content = noisyText(1200);
+
+      // Act
+      const pkg = await ChunkManagerM.prepareStoryForManifestPublishing(content, 'Noise', 'author-key', { reGlyphCap: 300 });
+
+      // Assert - 280-character chunks of CJK cannot fit, so more chunks are needed
+      expect(pkg.contentChunks.length).toBeGreaterThan(Math.ceil(1200 / 280));
+      expect(pkg.contentChunks.join('')).toBe(TextProcessor.preprocessText(content));
+      pkg.contentChunks.forEach((chunk, index) => {
+        expect(glyphMemoBytes(pkg.contentChunks, index, 300)).toBeLessThanOrEqual(MemoCodec.MAX_MEMO_BYTES);
+      });
+      await expect(ChunkManagerM.verifyManifestTree(
+        pkg.contentChunks, pkg.hashListChunks, pkg.primaryManifest.manifestRoot, pkg.primaryManifest.version
+      )).resolves.toMatchObject({ isValid: true });
+    });
+
+    it('should leave chunks that already fit untouched', () => {
+      const chunks = ChunkManagerM._chunkContentForManifest('A quiet harbour at dawn. '.repeat(40));
+
+      expect(ChunkManagerM._splitOversizedGlyphs(chunks)).toEqual(chunks);
+    });
+
+    it('should pack hash lists by measured memo size', () => {
+      // Arrange
+      const hashes = Array.from({ length: 40 }, (_, n) => n.toString(16).padStart(64, '0'));
+
+      // Act
+      const chunks = ChunkManagerM._chunkHashList(hashes);
+
+      // Assert - every memo fits, and adding one more hash to a full chunk would not
+      expect(chunks.flat()).toEqual(hashes);
+      expect(chunks[0].length).toBeGreaterThan(5);
+      expect(ChunkManagerM.estimateOptimalConfiguration(280 * 40).recommendations.hashesPerChunk).toBe(chunks[0].length);
+      chunks.forEach((chunk, index) => {
+        const bytes = (list) => MemoCodec.byteLength(MemoCodec.serialize(list, {
+          type: 'hashlist', storyId: STORY_ID, index, totalHashLists: chunks.length
+        }));
+        expect(bytes(chunk)).toBeLessThanOrEqual(MemoCodec.MAX_MEMO_BYTES);
+        if (index < chunks.length - 1) {
+          expect(bytes([...chunk, hashes[0]])).toBeGreaterThan(MemoCodec.MAX_MEMO_BYTES);
+        }
+      });
+    });
+
+  });
+
+  describe('Publishing pre-flight', () => {
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should throw instead of warning for an oversized memo', () => {
+      expect(() => PublishingServiceM._serializeDataToMemo(noisyText(400), {
+        type: 'glyph', storyId: STORY_ID, index: 0, totalChunks: 1
+      })).toThrow('Memo too large');
+    });
+
+    it('should reject an oversized package before sending any transaction', async () => {
+      // Arrange - a package whose last glyph was tampered with after chunking
+      const pkg = await ChunkManagerM.prepareStoryForManifestPublishing('Short and sweet. '.repeat(30), 'Tale', 'author-key');
+      pkg.contentChunks[pkg.contentChunks.length - 1] = noisyText(400);
+      const publisher = { publishSingleTransaction: jest.fn() };
+      jest.spyOn(blockchainServices, 'getPublisher').mockReturnValue(publisher);
+
+      // Act & Assert
+      await expect(PublishingServiceM.publishStoryWithManifest(pkg, {})).rejects.toThrow('Memo too large');
+      expect(publisher.publishSingleTransaction).not.toHaveBeenCalled();
+    });
+
+  });
+});
+
+// Character count: 4794
@@ -0,0 +1,249 @@
+// src/services/graph/GraphLanes.js
+// Path: src/services/graph/GraphLanes.js
+import { utf8ToBytes, concatBytes } from '@noble/hashes/utils';
+import { DomainMerkle } from '../merkle/DomainMerkle';
+
+/**
+ * User graph lanes and Chunked Merkle Arrays (ADR-006 §3.2 / §3.3)
+ *
+ * A lane is an append-only list of item leaves split into fixed-size chunks:
+ *   chunkRoot = H("CHNK\0" || MerkleRoot(items in chunk))
+ *   laneRoot  = H("LANE\0" || MerkleRoot(chunkRoots))
+ *
+ * Item leaves are H("ITEM\0" || kind || fields...) with fields encoded as:
+ *   - strings/ids: u16 big-endian length + UTF-8 bytes (null → empty)
+ *   - hashes: raw 32 bytes from hex (null → zero hash)
+ *   - timestamps: u64 big-endian unix seconds
+ */
+
+/**
+ * Lane identifiers
+ */
+export const GraphLane = {
+  POSTS: 'posts',
+  REPLIES: 'replies',
+  LIKES: 'likes',
+  FOLLOWS: 'follows',
+  STORIES: 'stories',
+  PROFILE: 'profile',
+  REVOCATIONS: 'revocations'
+};
+
+/**
+ * Fixed UGR child order. The eighth child is the RESERVED zero-hash sentinel.
+ */
+export const LANE_ORDER = [
+  GraphLane.POSTS,
+  GraphLane.REPLIES,
+  GraphLane.LIKES,
+  GraphLane.FOLLOWS,
+  GraphLane.STORIES,
+  GraphLane.PROFILE,
+  GraphLane.REVOCATIONS
+];
+
+/**
+ * Field encoders for item leaves
+ */
+const Field = {
+  string: (value) => {
+    const bytes = utf8ToBytes(value == null ? '' : String(value));
+    if (bytes.length > 0xffff) {
+      throw new Error('Item field too long');
+    }
+    return concatBytes(new Uint8Array([bytes.length >> 8, bytes.length & 0xff]), bytes);
+  },
+  hash: (value) => (value == null ? DomainMerkle.ZERO_HASH : DomainMerkle.fromHex(value)),
+  timestamp: (value) => {
+    if (!Number.isSafeInteger(value) || value < 0) {
+      throw new Error('Item timestamp must be a non-negative integer (unix seconds)');
+    }
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setBigUint64(0, BigInt(value), false);
+    return bytes;
+  }
+};
+
+/**
+ * Per-lane item kind, chunk size and leaf field layout.
+ * FOLLOWS targets a user genesis hash; the follow graph resolves it from the
+ * followee's public key before appending.
+ */
+export const LANE_CONFIG = {
+  [GraphLane.POSTS]: {
+    kind: 'POST',
+    chunkSize: 256,
+    fields: [['itemId', Field.string], ['prevId', Field.string], ['timestamp', Field.timestamp],
+      ['bodyHash', Field.hash], ['metaHash', Field.hash]]
+  },
+  [GraphLane.REPLIES]: {
+    kind: 'REPL',
+    chunkSize: 256,
+    fields: [['replyId', Field.string], ['parentId', Field.string], ['prevId', Field.string],
+      ['timestamp', Field.timestamp], ['bodyHash', Field.hash], ['metaHash', Field.hash]]
+  },
+  [GraphLane.LIKES]: {
+    kind: 'LIKE',
+    chunkSize: 256,
+    fields: [['targetId', Field.string], ['timestamp', Field.timestamp], ['reactionKind', Field.string]]
+  },
+  [GraphLane.FOLLOWS]: {
+    kind: 'FOLL',
+    chunkSize: 256,
+    fields: [['toUserGenesisHash', Field.hash], ['timestamp', Field.timestamp]]
+  },
+  [GraphLane.STORIES]: {
+    kind: 'STOR',
+    chunkSize: 32,
+    fields: [['contentId', Field.string], ['manifestRoot', Field.hash], ['timestamp', Field.timestamp],
+      ['metaHash', Field.hash]]
+  },
+  [GraphLane.PROFILE]: {
+    kind: 'PROF',
+    chunkSize: 256,
+    fields: [['field', Field.string], ['valueHash', Field.hash], ['timestamp', Field.timestamp]]
+  },
+  [GraphLane.REVOCATIONS]: {
+    kind: 'REVO',
+    chunkSize: 256,
+    fields: [['targetKind', Field.string], ['targetId', Field.string], ['reasonHash', Field.hash],
+      ['timestamp', Field.timestamp]]
+  }
+};
+
+/**
+ * Look up a lane's configuration
+ * @param {string} lane - GraphLane value
+ * @returns {Object} Lane configuration
+ * @throws {Error} If the lane is unknown
+ */
+export function getLaneConfig(lane) {
+  const config = LANE_CONFIG[lane];
+  if (!config) {
+    throw new Error(`Unknown graph lane: ${lane}`);
+  }
+  return config;
+}
+
+/**
+ * Compute the leaf hash of a lane item
+ * @param {string} lane - GraphLane value
+ * @param {Object} item - Item fields (see LANE_CONFIG)
+ * @returns {Uint8Array} 32-byte item leaf
+ */
+export function hashLaneItem(lane, item) {
+  const { kind, fields } = getLaneConfig(lane);
+  if (!item) {
+    throw new Error(`Item is required for lane ${lane}`);
+  }
+
+  const parts = fields.map(([name, encode]) => {
+    try {
+      return encode(item[name]);
+    } catch (error) {
+      throw new Error(`Invalid ${lane} item field "${name}": ${error.message}`);
+    }
+  });
+
+  return DomainMerkle.leafHash(DomainMerkle.TAGS.ITEM, utf8ToBytes(kind), ...parts);
+}
+
+/**
+ * Chunked Merkle Array - append-only leaves grouped into fixed-size chunks.
+ * Roots of full chunks are cached since only the last chunk can change.
+ */
+export class ChunkedMerkleArray {
+  /**
+   * @param {number} chunkSize - Leaves per chunk
+   * @param {Uint8Array[]} [leaves] - Existing leaves
+   */
+  constructor(chunkSize, leaves = []) {
+    if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+      throw new Error('Chunk size must be a positive integer');
+    }
+    this.chunkSize = chunkSize;
+    this.leaves = [];
+    this._chunkRoots = [];
+    leaves.forEach(leaf => this.append(leaf));
+  }
+
+  /**
+   * Number of leaves
+   * @returns {number} Leaf count
+   */
+  get length() {
+    return this.leaves.length;
+  }
+
+  /**
+   * Number of chunks (the last one may be partial)
+   * @returns {number} Chunk count
+   */
+  get chunkCount() {
+    return Math.ceil(this.leaves.length / this.chunkSize);
+  }
+
+  /**
+   * Append a leaf
+   * @param {Uint8Array} leaf - 32-byte leaf digest
+   * @returns {{index: number, chunkIndex: number}} Position of the new leaf
+   */
+  append(leaf) {
+    const digest = DomainMerkle.fromHex(leaf);
+    const index = this.leaves.length;
+    const chunkIndex = Math.floor(index / this.chunkSize);
+
+    this.leaves.push(digest);
+    // The chunk this leaf landed in has changed
+    this._chunkRoots.length = chunkIndex;
+
+    return { index, chunkIndex };
+  }
+
+  /**
+   * Root of a single chunk
+   * @param {number} chunkIndex - Chunk index
+   * @returns {Uint8Array} H("CHNK\0" || MerkleRoot(chunk leaves))
+   */
+  chunkRoot(chunkIndex) {
+    if (chunkIndex < 0 || chunkIndex >= this.chunkCount) {
+      throw new Error(`Chunk index out of bounds: ${chunkIndex}`);
+    }
+    if (!this._chunkRoots[chunkIndex]) {
+      const start = chunkIndex * this.chunkSize;
+      const chunkLeaves = this.leaves.slice(start, start + this.chunkSize);
+      this._chunkRoots[chunkIndex] = DomainMerkle.taggedRoot(DomainMerkle.TAGS.CHUNK, chunkLeaves);
+    }
+    return this._chunkRoots[chunkIndex];
+  }
+
+  /**
+   * All chunk roots in order
+   * @returns {Uint8Array[]} Chunk roots
+   */
+  chunkRoots() {
+    const roots = [];
+    for (let i = 0; i < this.chunkCount; i++) {
+      roots.push(this.chunkRoot(i));
+    }
+    return roots;
+  }
+
+  /**
+   * Lane root over all chunk roots
+   * @returns {Uint8Array} H("LANE\0" || MerkleRoot(chunkRoots))
+   */
+  root() {
+    return DomainMerkle.taggedRoot(DomainMerkle.TAGS.LANE, this.chunkRoots());
+  }
+
+  /**
+   * Serialize leaves as hex for storage
+   * @returns {string[]} Hex leaves
+   */
+  toJSON() {
+    return this.leaves.map(leaf => DomainMerkle.toHex(leaf));
+  }
+}
+
+// Character count: 7137
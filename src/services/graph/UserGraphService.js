@@ -0,0 +1,365 @@
+// src/services/graph/UserGraphService.js
+// Path: src/services/graph/UserGraphService.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { PublicKey } from '@solana/web3.js';
+import bs58 from 'bs58';
+import { utf8ToBytes } from '@noble/hashes/utils';
+import { DomainMerkle } from '../merkle/DomainMerkle';
+import { GraphLane, LANE_ORDER, ChunkedMerkleArray, getLaneConfig, hashLaneItem } from './GraphLanes';
+import { UserGraphAnchor } from '../blockchain/shared/models/UserGraphAnchor';
+import { SolanaMemoBuilder } from '../blockchain/solana/utils/SolanaMemoBuilder';
+
+/**
+ * UserGraphService - User Graph Anchors (ADR-006)
+ *
+ * Maintains each user's lanes (POSTS, REPLIES, LIKES, FOLLOWS, STORIES,
+ * PROFILE, REVOCATIONS) as Chunked Merkle Arrays on the device, computes
+ *
+ *   UGRᵢ          = H("UGR \0" || MerkleRoot(7 lane roots + RESERVED zero))
+ *   identityRootᵢ = Merkle3(UGRᵢ, U₀, G₀)
+ *
+ * and publishes UGA checkpoint memos that chain to the previous anchor.
+ *
+ * Users are registry entries ({ username, publicKey, transactionHash,
+ * parentGenesis }): transactionHash is the user's genesis (U₀) transaction
+ * and parentGenesis the Glyffiti genesis (G₀) transaction. Both genesis
+ * memos are encrypted, so their hashes are derived from the transaction ids:
+ *
+ *   glyffitiGenesisHash = H("GGEN\0" || G₀ signature bytes)
+ *   userGenesisHash     = H("UGEN\0" || userPubKey || glyffitiGenesisHash || meta)
+ *
+ * where meta is canonical JSON {"handle","tx","ver"}.
+ */
+export class UserGraphService {
+  static STORAGE_VERSION = 1;
+
+  static USER_GENESIS_META_VERSION = 1;
+
+  /**
+   * Anchor cadences (epoch length in seconds)
+   */
+  static CADENCE = {
+    hourly: 3600,
+    daily: 86400
+  };
+
+  /**
+   * @param {Object} [connection] - Optional connection override (defaults to ConnectionProvider)
+   */
+  constructor(connection = null) {
+    this.memoBuilder = new SolanaMemoBuilder(connection);
+    this.config = {
+      cadence: 'daily',
+      anchorScanLimit: 100
+    };
+    this._graphs = new Map();
+  }
+
+  /**
+   * Storage key for a user's graph state
+   * @param {string} userPublicKey - User's public key
+   * @returns {string} Storage key
+   */
+  static getStorageKey(userPublicKey) {
+    return `user_${userPublicKey}_graph`;
+  }
+
+  /**
+   * Hash identifying the Glyffiti genesis transaction
+   * @param {string} glyffitiGenesisTx - G₀ transaction signature (base58)
+   * @returns {Uint8Array} 32-byte glyffitiGenesisHash
+   */
+  static glyffitiGenesisHash(glyffitiGenesisTx) {
+    if (!glyffitiGenesisTx) {
+      throw new Error('Glyffiti genesis transaction is required');
+    }
+    return DomainMerkle.leafHash(DomainMerkle.TAGS.GLYFFITI_GENESIS, bs58.decode(glyffitiGenesisTx));
+  }
+
+  /**
+   * Hash binding a user's public key to Glyffiti
+   * @param {Object} user - Registry user
+   * @returns {Uint8Array} 32-byte userGenesisHash
+   */
+  static userGenesisHash(user) {
+    this._validateUser(user);
+
+    const meta = JSON.stringify({
+      handle: user.username || null,
+      tx: user.transactionHash,
+      ver: UserGraphService.USER_GENESIS_META_VERSION
+    });
+
+    return DomainMerkle.leafHash(
+      DomainMerkle.TAGS.USER_GENESIS,
+      new PublicKey(user.publicKey).toBytes(),
+      this.glyffitiGenesisHash(user.parentGenesis),
+      utf8ToBytes(meta)
+    );
+  }
+
+  /**
+   * Start of the epoch containing a timestamp
+   * @param {number} ts - Unix seconds
+   * @param {string} [cadence='daily'] - 'hourly' or 'daily'
+   * @returns {string} ISO timestamp without milliseconds
+   */
+  static epochFor(ts, cadence = 'daily') {
+    const length = UserGraphService.CADENCE[cadence];
+    if (!length) {
+      throw new Error(`Unknown anchor cadence: ${cadence}`);
+    }
+    const start = Math.floor(ts / length) * length;
+    return new Date(start * 1000).toISOString().replace('.000Z', 'Z');
+  }
+
+  /**
+   * Load (or create) a user's graph state
+   * @param {Object} user - Registry user
+   * @returns {Promise<Object>} Graph state { lanes, items, anchor }
+   */
+  async loadGraph(user) {
+    UserGraphService._validateUser(user);
+
+    const cached = this._graphs.get(user.publicKey);
+    if (cached) {
+      return cached;
+    }
+
+    let stored = null;
+    try {
+      const json = await AsyncStorage.getItem(UserGraphService.getStorageKey(user.publicKey));
+      stored = json ? JSON.parse(json) : null;
+    } catch (error) {
+      console.error('❌ Error loading user graph:', error);
+      throw new Error('Failed to load user graph: ' + error.message);
+    }
+
+    const graph = { lanes: {}, items: {}, anchor: stored?.anchor || null };
+    for (const lane of LANE_ORDER) {
+      const { chunkSize } = getLaneConfig(lane);
+      graph.lanes[lane] = new ChunkedMerkleArray(chunkSize, stored?.lanes?.[lane] || []);
+      graph.items[lane] = stored?.items?.[lane] || [];
+    }
+
+    this._graphs.set(user.publicKey, graph);
+    return graph;
+  }
+
+  /**
+   * Append an item to one of the user's lanes
+   * @param {Object} user - Registry user
+   * @param {string} lane - GraphLane value
+   * @param {Object} item - Item fields (see LANE_CONFIG)
+   * @returns {Promise<{lane: string, index: number, chunkIndex: number, leaf: string}>} Item position
+   */
+  async appendItem(user, lane, item) {
+    const graph = await this.loadGraph(user);
+    const leaf = hashLaneItem(lane, item);
+
+    const position = graph.lanes[lane].append(leaf);
+    graph.items[lane].push({ ...item });
+    await this._saveGraph(user.publicKey, graph);
+
+    console.log(`🧩 Added ${lane} item #${position.index} (chunk ${position.chunkIndex})`);
+    return { lane, ...position, leaf: DomainMerkle.toHex(leaf) };
+  }
+
+  /**
+   * Items appended to a lane, oldest first
+   * @param {Object} user - Registry user
+   * @param {string} lane - GraphLane value
+   * @returns {Promise<Object[]>} Lane items
+   */
+  async getLaneItems(user, lane) {
+    getLaneConfig(lane);
+    const graph = await this.loadGraph(user);
+    return [...graph.items[lane]];
+  }
+
+  /**
+   * Compute lane roots, UGRᵢ and identityRootᵢ for the user's current state
+   * @param {Object} user - Registry user
+   * @returns {Promise<Object>} Hex roots { laneRoots, userGraphRoot, identityRoot, userGenesis, glyffitiGenesis }
+   */
+  async computeRoots(user) {
+    const graph = await this.loadGraph(user);
+
+    const laneRoots = LANE_ORDER.map(lane => graph.lanes[lane].root());
+    const userGraphRoot = DomainMerkle.taggedRoot(
+      DomainMerkle.TAGS.USER_GRAPH_ROOT,
+      [...laneRoots, DomainMerkle.ZERO_HASH] // RESERVED
+    );
+
+    const userGenesis = UserGraphService.userGenesisHash(user);
+    const glyffitiGenesis = UserGraphService.glyffitiGenesisHash(user.parentGenesis);
+    const identityRoot = DomainMerkle.merkle3(userGraphRoot, userGenesis, glyffitiGenesis);
+
+    return {
+      laneRoots: Object.fromEntries(LANE_ORDER.map((lane, i) => [lane, DomainMerkle.toHex(laneRoots[i])])),
+      userGraphRoot: DomainMerkle.toHex(userGraphRoot),
+      identityRoot: DomainMerkle.toHex(identityRoot),
+      userGenesis: DomainMerkle.toHex(userGenesis),
+      glyffitiGenesis: DomainMerkle.toHex(glyffitiGenesis)
+    };
+  }
+
+  /**
+   * Build the next anchor for the user (not published)
+   * @param {Object} user - Registry user
+   * @param {Object} [options] - { timestamp } in unix seconds
+   * @returns {Promise<UserGraphAnchor>} Anchor chained to the last published one
+   */
+  async buildAnchor(user, { timestamp = Math.floor(Date.now() / 1000) } = {}) {
+    const graph = await this.loadGraph(user);
+    const roots = await this.computeRoots(user);
+
+    return new UserGraphAnchor({
+      userGenesis: roots.userGenesis,
+      glyffitiGenesis: roots.glyffitiGenesis,
+      userGraphRoot: roots.userGraphRoot,
+      identityRoot: roots.identityRoot,
+      prev: graph.anchor?.signature || null,
+      epoch: UserGraphService.epochFor(timestamp, this.config.cadence),
+      ts: timestamp
+    });
+  }
+
+  /**
+   * Publish a UGA checkpoint for the user
+   * Nothing is sent when the identity root has not changed since the last
+   * anchor, unless force is set.
+   * @param {Object} user - Registry user
+   * @param {TransactionSigner} signer - The user's wallet signer
+   * @param {Object} [options] - { force, timestamp }
+   * @returns {Promise<Object>} Anchor record { signature, identityRoot, userGraphRoot, prev, epoch, ts, published }
+   */
+  async publishAnchor(user, signer, { force = false, timestamp } = {}) {
+    if (!signer?.publicKey) {
+      throw new Error('Wallet signer is required to publish an anchor');
+    }
+    if (signer.publicKey.toBase58() !== user?.publicKey) {
+      throw new Error('Signer does not match the user publishing the anchor');
+    }
+
+    const graph = await this.loadGraph(user);
+    const anchor = await this.buildAnchor(user, { timestamp });
+
+    if (!force && graph.anchor?.identityRoot === anchor.identityRoot) {
+      console.log('⏭️ User graph unchanged since last anchor, skipping');
+      return { ...graph.anchor, published: false };
+    }
+
+    const signature = await this.memoBuilder.deployUserGraphAnchor(anchor, signer);
+
+    graph.anchor = {
+      signature,
+      identityRoot: anchor.identityRoot,
+      userGraphRoot: anchor.userGraphRoot,
+      prev: anchor.prev,
+      epoch: anchor.epoch,
+      ts: anchor.ts
+    };
+    await this._saveGraph(user.publicKey, graph);
+
+    console.log(`⚓ Anchored ${user.username || user.publicKey.substring(0, 8)} at ${anchor.epoch}: ${signature}`);
+    return { ...graph.anchor, published: true };
+  }
+
+  /**
+   * Last anchor this device published for the user
+   * @param {Object} user - Registry user
+   * @returns {Promise<Object|null>} Anchor record or null
+   */
+  async getLatestAnchor(user) {
+    const graph = await this.loadGraph(user);
+    return graph.anchor ? { ...graph.anchor } : null;
+  }
+
+  /**
+   * Find the user's latest anchor on chain
+   * Only anchors that name this user's genesis and whose identity root
+   * recomputes correctly are accepted.
+   * @param {Object} user - Registry user
+   * @returns {Promise<{signature: string, anchor: UserGraphAnchor}|null>} Latest anchor or null
+   */
+  async fetchLatestAnchor(user) {
+    UserGraphService._validateUser(user);
+    const userGenesis = DomainMerkle.toHex(UserGraphService.userGenesisHash(user));
+
+    const signatures = await this.memoBuilder.connection.getSignaturesForAddress(
+      new PublicKey(user.publicKey),
+      { limit: this.config.anchorScanLimit }
+    );
+
+    for (const { signature, err } of signatures) {
+      if (err) continue;
+
+      let anchor;
+      try {
+        anchor = await this.memoBuilder.readUserGraphAnchor(signature);
+      } catch (error) {
+        continue;
+      }
+
+      if (anchor && anchor.userGenesis === userGenesis && anchor.verifyIdentityRoot()) {
+        return { signature, anchor };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Forget a user's local graph (storage and cache)
+   * @param {Object} user - Registry user
+   * @returns {Promise<void>}
+   */
+  async clearGraph(user) {
+    this._graphs.delete(user.publicKey);
+    await AsyncStorage.removeItem(UserGraphService.getStorageKey(user.publicKey));
+  }
+
+  /**
+   * Persist a user's graph state
+   * @private
+   * @param {string} userPublicKey - User's public key
+   * @param {Object} graph - Graph state
+   * @returns {Promise<void>}
+   */
+  async _saveGraph(userPublicKey, graph) {
+    const lanes = {};
+    for (const lane of LANE_ORDER) {
+      lanes[lane] = graph.lanes[lane].toJSON();
+    }
+
+    await AsyncStorage.setItem(UserGraphService.getStorageKey(userPublicKey), JSON.stringify({
+      version: UserGraphService.STORAGE_VERSION,
+      lanes,
+      items: graph.items,
+      anchor: graph.anchor
+    }));
+  }
+
+  /**
+   * Ensure a user carries the identity fields anchors need
+   * @private
+   * @param {Object} user - Registry user
+   * @throws {Error} If required fields are missing
+   */
+  static _validateUser(user) {
+    if (!user?.publicKey) {
+      throw new Error('User public key is required');
+    }
+    if (!user.transactionHash || !user.parentGenesis) {
+      throw new Error('User genesis and Glyffiti genesis transactions are required');
+    }
+  }
+}
+
+export { GraphLane };
+
+// Export singleton instance
+export const userGraphService = new UserGraphService();
+
+// Character count: 12268
@@ -0,0 +1,206 @@
+// src/services/graph/__tests__/UserGraphService.test.js
+// Path: src/services/graph/__tests__/UserGraphService.test.js
+
+/**
+ * UserGraphService Tests
+ *
+ * ADR-006 User Graph Anchors: lane Chunked Merkle Arrays, the fixed-shape UGR,
+ * the 3-leaf identityRoot, and UGA memos chained through prevUGA on the local
+ * ledger.
+ */
+
+import { Keypair } from '@solana/web3.js';
+import bs58 from 'bs58';
+import { UserGraphService, GraphLane } from '../UserGraphService';
+import { ChunkedMerkleArray, hashLaneItem } from '../GraphLanes';
+import { DomainMerkle } from '../../merkle/DomainMerkle';
+import { UserGraphAnchor } from '../../blockchain/shared/models/UserGraphAnchor';
+import { LocalMemoLedger } from '../../blockchain/solana/LocalMemoLedger';
+import { KeypairSigner } from '../../wallet/KeypairSigner';
+
+const txId = (fill) => bs58.encode(new Uint8Array(64).fill(fill));
+const hex = (fill) => Buffer.from(new Uint8Array(32).fill(fill)).toString('hex');
+
+const GLYFFITI_GENESIS_TX = txId(1);
+const TS = 1756272000; // 2025-08-27T05:20:00Z
+
+const aliceKeypair = Keypair.fromSeed(new Uint8Array(32).fill(21));
+const alice = {
+  username: 'alice',
+  publicKey: aliceKeypair.publicKey.toBase58(),
+  transactionHash: txId(2),
+  parentGenesis: GLYFFITI_GENESIS_TX
+};
+
+const post = (n) => ({
+  itemId: `post-${n}`,
+  prevId: n > 0 ? `post-${n - 1}` : null,
+  timestamp: TS + n,
+  bodyHash: hex(n + 1),
+  metaHash: null
+});
+
+describe('UserGraphService', () => {
+  let ledger;
+  let service;
+
+  beforeEach(async () => {
+    ledger = new LocalMemoLedger();
+    service = new UserGraphService(ledger);
+    await service.clearGraph(alice);
+  });
+
+  describe('Lanes', () => {
+
+    it('should domain-separate item kinds with identical fields', () => {
+      const like = hashLaneItem(GraphLane.LIKES, { targetId: 'x', timestamp: TS, reactionKind: 'x' });
+      const revocation = hashLaneItem(GraphLane.REVOCATIONS, { targetKind: 'x', targetId: 'x', timestamp: TS });
+
+      expect(DomainMerkle.toHex(like)).not.toBe(DomainMerkle.toHex(revocation));
+      expect(() => hashLaneItem(GraphLane.POSTS, { ...post(0), bodyHash: 'abc' }))
+        .toThrow('Invalid posts item field "bodyHash"');
+      expect(() => hashLaneItem('gossip', {})).toThrow('Unknown graph lane');
+    });
+
+    it('should roll items over into new chunks', () => {
+      // Arrange
+      const leaves = [1, 2, 3, 4, 5].map(n => DomainMerkle.hash(new Uint8Array([n])));
+      const cma = new ChunkedMerkleArray(2, leaves);
+
+      // Assert - [1,2] [3,4] [5]
+      expect(cma.chunkCount).toBe(3);
+      expect(DomainMerkle.toHex(cma.chunkRoot(2)))
+        .toBe(DomainMerkle.toHex(DomainMerkle.taggedRoot('CHNK', [leaves[4]])));
+      expect(DomainMerkle.toHex(cma.root())).toBe(DomainMerkle.toHex(
+        DomainMerkle.taggedRoot('LANE', [cma.chunkRoot(0), cma.chunkRoot(1), cma.chunkRoot(2)])
+      ));
+    });
+
+    it('should only change the lane an item was appended to', async () => {
+      // Arrange
+      const before = await service.computeRoots(alice);
+
+      // Act
+      const position = await service.appendItem(alice, GraphLane.POSTS, post(0));
+      const after = await service.computeRoots(alice);
+
+      // Assert
+      expect(position).toMatchObject({ lane: 'posts', index: 0, chunkIndex: 0 });
+      expect(after.laneRoots.posts).not.toBe(before.laneRoots.posts);
+      expect(after.laneRoots.replies).toBe(before.laneRoots.replies);
+      expect(after.userGraphRoot).not.toBe(before.userGraphRoot);
+      expect(after.identityRoot).not.toBe(before.identityRoot);
+    });
+
+    it('should persist lanes across service instances', async () => {
+      await service.appendItem(alice, GraphLane.POSTS, post(0));
+      await service.appendItem(alice, GraphLane.FOLLOWS, { toUserGenesisHash: hex(9), timestamp: TS });
+
+      const reloaded = new UserGraphService(ledger);
+
+      await expect(reloaded.computeRoots(alice)).resolves.toEqual(await service.computeRoots(alice));
+      await expect(reloaded.getLaneItems(alice, GraphLane.POSTS)).resolves.toEqual([post(0)]);
+    });
+
+  });
+
+  describe('Roots', () => {
+
+    it('should build UGR over the seven lanes plus the RESERVED zero hash', async () => {
+      // Arrange
+      await service.appendItem(alice, GraphLane.STORIES, {
+        contentId: 'story-1', manifestRoot: hex(7), timestamp: TS, metaHash: null
+      });
+      const graph = await service.loadGraph(alice);
+
+      // Act
+      const roots = await service.computeRoots(alice);
+
+      // Assert - recompute by hand from the lane roots
+      const laneRoots = ['posts', 'replies', 'likes', 'follows', 'stories', 'profile', 'revocations']
+        .map(lane => graph.lanes[lane].root());
+      const ugr = DomainMerkle.taggedRoot('UGR ', [...laneRoots, new Uint8Array(32)]);
+      expect(roots.userGraphRoot).toBe(DomainMerkle.toHex(ugr));
+    });
+
+    it('should bind UGR, user genesis and Glyffiti genesis in the identity root', async () => {
+      const roots = await service.computeRoots(alice);
+
+      const leaf = (value) => DomainMerkle.leafHash('IDEN', DomainMerkle.fromHex(value));
+      const expected = DomainMerkle.nodeHash(
+        DomainMerkle.nodeHash(leaf(roots.userGraphRoot), leaf(roots.userGenesis)),
+        leaf(roots.glyffitiGenesis)
+      );
+      expect(roots.identityRoot).toBe(DomainMerkle.toHex(expected));
+
+      // A different Glyffiti genesis yields a different identity
+      const otherNetwork = { ...alice, parentGenesis: txId(3) };
+      await expect(service.computeRoots(otherNetwork)).resolves.not.toHaveProperty('identityRoot', roots.identityRoot);
+    });
+
+    it('should compute epochs per cadence', () => {
+      expect(UserGraphService.epochFor(TS)).toBe('2025-08-27T00:00:00Z');
+      expect(UserGraphService.epochFor(TS, 'hourly')).toBe('2025-08-27T05:00:00Z');
+      expect(() => UserGraphService.epochFor(TS, 'weekly')).toThrow('Unknown anchor cadence');
+    });
+
+  });
+
+  describe('Anchors', () => {
+    const signer = new KeypairSigner(aliceKeypair);
+
+    it('should publish a compact anchor memo and read it back', async () => {
+      // Arrange
+      await service.appendItem(alice, GraphLane.POSTS, post(0));
+
+      // Act
+      const record = await service.publishAnchor(alice, signer, { timestamp: TS });
+      const anchor = await service.memoBuilder.readUserGraphAnchor(record.signature);
+
+      // Assert
+      expect(record.published).toBe(true);
+      expect(anchor).toBeInstanceOf(UserGraphAnchor);
+      expect(anchor.identityRoot).toBe(record.identityRoot);
+      expect(anchor.prev).toBeNull();
+      expect(anchor.verifyIdentityRoot()).toBe(true);
+      expect(anchor.toMemoData().length).toBeLessThanOrEqual(UserGraphAnchor.MAX_MEMO_BYTES);
+    });
+
+    it('should chain anchors through prev and skip unchanged state', async () => {
+      // Arrange
+      await service.appendItem(alice, GraphLane.POSTS, post(0));
+      const first = await service.publishAnchor(alice, signer, { timestamp: TS });
+
+      // Act
+      const unchanged = await service.publishAnchor(alice, signer, { timestamp: TS + 60 });
+      await service.appendItem(alice, GraphLane.POSTS, post(1));
+      const second = await service.publishAnchor(alice, signer, { timestamp: TS + 120 });
+      const latest = await service.fetchLatestAnchor(alice);
+
+      // Assert
+      expect(unchanged).toMatchObject({ published: false, signature: first.signature });
+      expect(second.prev).toBe(first.signature);
+      expect(latest.signature).toBe(second.signature);
+      expect(latest.anchor.prev).toBe(first.signature);
+    });
+
+    it('should refuse a signer that does not own the user', async () => {
+      const mallory = new KeypairSigner(Keypair.fromSeed(new Uint8Array(32).fill(22)));
+
+      await expect(service.publishAnchor(alice, mallory)).rejects.toThrow('Signer does not match');
+    });
+
+    it('should reject tampered anchors', () => {
+      const anchor = new UserGraphAnchor({
+        userGenesis: hex(1), glyffitiGenesis: hex(2), userGraphRoot: hex(3), identityRoot: hex(4),
+        epoch: '2025-08-27T00:00:00Z', ts: TS
+      });
+
+      expect(anchor.verifyIdentityRoot()).toBe(false);
+      expect(() => UserGraphAnchor.fromMemoData(Buffer.from('{"v":1,"kind":"G0"}'))).toThrow('Invalid user graph anchor kind');
+    });
+
+  });
+});
+
+// Character count: 8261
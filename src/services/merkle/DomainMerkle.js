@@ -0,0 +1,169 @@
+// src/services/merkle/DomainMerkle.js
+// Path: src/services/merkle/DomainMerkle.js
+import { blake3 } from '@noble/hashes/blake3';
+import { bytesToHex, hexToBytes, utf8ToBytes, concatBytes } from '@noble/hashes/utils';
+
+/**
+ * Domain-separated Merkle primitives (ADR-006 §3.1)
+ *
+ * - Hash function: BLAKE3-256 over raw bytes
+ * - Leaf hash: H( tag || "\0" || payload ) with a 4-byte ASCII tag
+ * - Inner node: H( 0x01 || left || right ) over raw 32-byte digests
+ *
+ * Sibling order is positional (never sorted), and an odd node at the end of a
+ * level is promoted unchanged instead of being paired with itself, so a root
+ * commits to exactly one ordered list of leaves. An empty list has the
+ * all-zero root.
+ */
+export class DomainMerkle {
+  static HASH_SIZE = 32;
+
+  static NODE_PREFIX = 0x01;
+
+  /**
+   * Zero-hash sentinel (empty trees, RESERVED lane, missing hash fields)
+   */
+  static ZERO_HASH = new Uint8Array(32);
+
+  /**
+   * 4-byte ASCII domain tags. Each leaf is prefixed with tag + 0x00.
+   */
+  static TAGS = {
+    ITEM: 'ITEM',
+    GLYPH: 'GLYF',
+    CHUNK: 'CHNK',
+    LANE: 'LANE',
+    USER_GENESIS: 'UGEN',
+    GLYFFITI_GENESIS: 'GGEN',
+    USER_GRAPH_ROOT: 'UGR ',
+    IDENTITY: 'IDEN'
+  };
+
+  /**
+   * BLAKE3-256 of raw bytes
+   * @param {Uint8Array} data - Bytes to hash
+   * @returns {Uint8Array} 32-byte digest
+   */
+  static hash(data) {
+    return blake3(data, { dkLen: this.HASH_SIZE });
+  }
+
+  /**
+   * Encode a domain tag as its 5-byte prefix (tag || 0x00)
+   * @param {string} tag - 4-character ASCII tag
+   * @returns {Uint8Array} Tag prefix
+   */
+  static tagPrefix(tag) {
+    if (typeof tag !== 'string' || tag.length !== 4) {
+      throw new Error(`Domain tag must be 4 ASCII characters: "${tag}"`);
+    }
+    return concatBytes(utf8ToBytes(tag), new Uint8Array([0]));
+  }
+
+  /**
+   * Tagged leaf hash: H( tag || 0x00 || parts... )
+   * @param {string} tag - 4-character ASCII tag (see TAGS)
+   * @param {...Uint8Array} parts - Payload parts, concatenated in order
+   * @returns {Uint8Array} 32-byte leaf hash
+   */
+  static leafHash(tag, ...parts) {
+    return this.hash(concatBytes(this.tagPrefix(tag), ...parts));
+  }
+
+  /**
+   * Inner node hash: H( 0x01 || left || right )
+   * @param {Uint8Array} left - Left child digest
+   * @param {Uint8Array} right - Right child digest
+   * @returns {Uint8Array} 32-byte parent digest
+   */
+  static nodeHash(left, right) {
+    this._assertDigest(left);
+    this._assertDigest(right);
+    return this.hash(concatBytes(new Uint8Array([this.NODE_PREFIX]), left, right));
+  }
+
+  /**
+   * Binary Merkle root over already-hashed leaves
+   * @param {Uint8Array[]} leaves - Ordered 32-byte leaf digests
+   * @returns {Uint8Array} 32-byte root (ZERO_HASH for no leaves)
+   */
+  static merkleRoot(leaves) {
+    if (!leaves || leaves.length === 0) {
+      return this.ZERO_HASH;
+    }
+
+    let level = leaves;
+    while (level.length > 1) {
+      const next = [];
+      for (let i = 0; i < level.length; i += 2) {
+        // Odd node out is promoted, not duplicated
+        next.push(i + 1 < level.length ? this.nodeHash(level[i], level[i + 1]) : level[i]);
+      }
+      level = next;
+    }
+
+    this._assertDigest(level[0]);
+    return level[0];
+  }
+
+  /**
+   * Tagged root: H( tag || 0x00 || MerkleRoot(children) )
+   * Used for chunk, lane and user graph roots.
+   * @param {string} tag - 4-character ASCII tag
+   * @param {Uint8Array[]} children - Ordered child digests
+   * @returns {Uint8Array} 32-byte tagged root
+   */
+  static taggedRoot(tag, children) {
+    return this.leafHash(tag, this.merkleRoot(children));
+  }
+
+  /**
+   * Fixed-order three-leaf tree (identityRoot = Merkle3(UGR, U₀, G₀))
+   * @param {Uint8Array} first - First value (UGR)
+   * @param {Uint8Array} second - Second value (user genesis hash)
+   * @param {Uint8Array} third - Third value (Glyffiti genesis hash)
+   * @returns {Uint8Array} 32-byte root
+   */
+  static merkle3(first, second, third) {
+    const [a, b, c] = [first, second, third].map(value => {
+      this._assertDigest(value);
+      return this.leafHash(this.TAGS.IDENTITY, value);
+    });
+    return this.nodeHash(this.nodeHash(a, b), c);
+  }
+
+  /**
+   * Convert a digest to lowercase hex
+   * @param {Uint8Array} digest - 32-byte digest
+   * @returns {string} 64-character hex string
+   */
+  static toHex(digest) {
+    return bytesToHex(digest);
+  }
+
+  /**
+   * Parse a 32-byte digest from hex (or pass through bytes)
+   * @param {string|Uint8Array} value - Hex string or digest bytes
+   * @returns {Uint8Array} 32-byte digest
+   */
+  static fromHex(value) {
+    const digest = typeof value === 'string' ? hexToBytes(value) : value;
+    this._assertDigest(digest);
+    return digest;
+  }
+
+  /**
+   * Ensure a value is a 32-byte digest
+   * @private
+   * @param {Uint8Array} digest - Value to check
+   */
+  static _assertDigest(digest) {
+    if (!(digest instanceof Uint8Array) || digest.length !== this.HASH_SIZE) {
+      throw new Error(`Expected a ${this.HASH_SIZE}-byte digest`);
+    }
+  }
+}
+
+export default DomainMerkle;
+
+// Character count: 5043
@@ -1,11 +1,35 @@
 // src/services/merkle/MerkleBuilder-M.js
 import { HashingService } from '../hashing/HashingService';
+import MerkleBuilderV2 from './MerkleBuilderV2';
 
 /**
  * A collection of pure, stateless functions for Merkle tree construction and verification.
  * This service is the cryptographic foundation for the Unified Merkle Publishing architecture.
+ *
+ * This class is the v1 tree (sorted sibling pairs over hex strings). It is kept
+ * so manifests published with version 1.x keep verifying; new manifests use
+ * MerkleBuilderV2. Use `forManifestVersion` to pick the right one.
  */
 class MerkleBuilderM {
+  static VERSION = 1;
+
+  /**
+   * Returns the Merkle builder a manifest version was published with.
+   * Both builders expose the same buildTree / getProof / verifyProof API.
+   * @param {string|number} [manifestVersion='1.0.0'] - Manifest version (e.g. '1.0.0', '2.0.0') or major number.
+   * @returns {typeof MerkleBuilderM|typeof MerkleBuilderV2} The builder class for that version.
+   */
+  static forManifestVersion(manifestVersion = '1.0.0') {
+    const major = parseInt(String(manifestVersion).split('.')[0], 10);
+    if (major === MerkleBuilderM.VERSION) {
+      return MerkleBuilderM;
+    }
+    if (major === MerkleBuilderV2.VERSION) {
+      return MerkleBuilderV2;
+    }
+    throw new Error(`Unsupported manifest Merkle version: ${manifestVersion}`);
+  }
+
   /**
    * Hashes two sibling hashes together to produce a parent hash.
    * Ensures deterministic ordering by sorting hashes lexicographically before concatenation.
@@ -117,4 +141,4 @@ class MerkleBuilderM {
 
 export default MerkleBuilderM;
 
-// 5122
\ No newline at end of file
+// 5911
\ No newline at end of file
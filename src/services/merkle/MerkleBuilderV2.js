@@ -0,0 +1,140 @@
+// src/services/merkle/MerkleBuilderV2.js
+// Path: src/services/merkle/MerkleBuilderV2.js
+import { DomainMerkle } from './DomainMerkle';
+
+/**
+ * Domain-separated Merkle trees (manifest version 2, ADR-006 §3.1).
+ *
+ * Same API as MerkleBuilderM (v1), but:
+ * - leaves are 32-byte digests hashed as H( tag || 0x00 || digest )
+ * - inner nodes are H( 0x01 || left || right ) over raw bytes, in position order
+ * - an odd node at the end of a level is promoted, not paired with itself
+ *
+ * Proofs are therefore position-bound, and a leaf can never be replayed as an
+ * inner node (or the other way round). Hashes are exchanged as hex strings so
+ * trees, proofs and roots can be stored next to v1 data.
+ */
+class MerkleBuilderV2 {
+  static VERSION = 2;
+
+  /**
+   * Leaf tag for ADR-004 content chunk hashes
+   */
+  static DEFAULT_TAG = DomainMerkle.TAGS.GLYPH;
+
+  /**
+   * Hash one leaf digest with its domain tag.
+   * @param {string|Uint8Array} leafDigest - 32-byte digest (hex or bytes).
+   * @param {string} [tag] - 4-character domain tag.
+   * @returns {Uint8Array} The leaf hash.
+   * @private
+   */
+  static _hashLeaf(leafDigest, tag = this.DEFAULT_TAG) {
+    return DomainMerkle.leafHash(tag, DomainMerkle.fromHex(leafDigest));
+  }
+
+  /**
+   * Builds a full Merkle tree from an array of leaf digests.
+   * @param {Array<string|Uint8Array>} leafData - 32-byte leaf digests (hex or bytes), in their final order.
+   * @param {Object} [options] - { tag } domain tag for the leaves (defaults to 'GLYF').
+   * @returns {Promise<{root: string, levels: string[][], version: number}>} Root and all levels (hex).
+   */
+  static async buildTree(leafData, { tag = this.DEFAULT_TAG } = {}) {
+    console.log('MerkleBuilderV2.js: buildTree: Building tree with', leafData?.length || 0, 'leaves.');
+    if (!leafData || leafData.length === 0) {
+      throw new Error('Cannot build a Merkle tree with no leaf data.');
+    }
+
+    let currentLevel = leafData.map(leaf => this._hashLeaf(leaf, tag));
+    const levels = [currentLevel];
+
+    while (currentLevel.length > 1) {
+      const nextLevel = [];
+      for (let i = 0; i < currentLevel.length; i += 2) {
+        nextLevel.push(i + 1 < currentLevel.length
+          ? DomainMerkle.nodeHash(currentLevel[i], currentLevel[i + 1])
+          : currentLevel[i]);
+      }
+      currentLevel = nextLevel;
+      levels.push(currentLevel);
+    }
+
+    const hexLevels = levels.map(level => level.map(hash => DomainMerkle.toHex(hash)));
+    const root = hexLevels[hexLevels.length - 1][0];
+    console.log('MerkleBuilderV2.js: buildTree: Tree built successfully. Root:', root);
+    return { root, levels: hexLevels, version: this.VERSION };
+  }
+
+  /**
+   * Generates a Merkle proof (the list of sibling hashes) for a specific leaf.
+   * Levels where the node was promoted contribute no sibling.
+   * @param {{levels: string[][]}} tree - The full tree object generated by `buildTree`.
+   * @param {number} leafIndex - The index of the leaf for which to generate the proof.
+   * @returns {Array<{hash: string, position: 'left' | 'right'}>} Sibling hashes and their positions.
+   */
+  static getProof(tree, leafIndex) {
+    console.log(`MerkleBuilderV2.js: getProof: Generating proof for leaf index ${leafIndex}.`);
+    if (!tree || !tree.levels || tree.levels.length === 0) {
+      throw new Error('Invalid tree provided to getProof.');
+    }
+    if (leafIndex < 0 || leafIndex >= tree.levels[0].length) {
+      throw new Error('Leaf index is out of bounds.');
+    }
+
+    const proof = [];
+    let currentIndex = leafIndex;
+
+    for (let i = 0; i < tree.levels.length - 1; i++) {
+      const currentLevel = tree.levels[i];
+      const isRightChild = currentIndex % 2 !== 0;
+      const siblingIndex = isRightChild ? currentIndex - 1 : currentIndex + 1;
+
+      if (siblingIndex < currentLevel.length) {
+        proof.push({
+          hash: currentLevel[siblingIndex],
+          position: isRightChild ? 'left' : 'right'
+        });
+      }
+      currentIndex = Math.floor(currentIndex / 2);
+    }
+
+    return proof;
+  }
+
+  /**
+   * Verifies a Merkle proof for a given leaf digest against a known root.
+   * @param {string|Uint8Array} leafData - The leaf digest to verify (hex or bytes).
+   * @param {Array<{hash: string, position: 'left' | 'right'}>} proof - The Merkle proof for the leaf.
+   * @param {string} expectedRoot - The expected Merkle root (hex).
+   * @param {Object} [options] - { tag } domain tag the tree was built with.
+   * @returns {Promise<boolean>} True if the proof is valid, false otherwise.
+   */
+  static async verifyProof(leafData, proof, expectedRoot, { tag = this.DEFAULT_TAG } = {}) {
+    console.log('MerkleBuilderV2.js: verifyProof: Verifying proof against root', expectedRoot);
+    try {
+      let computedHash = this._hashLeaf(leafData, tag);
+
+      for (const proofElement of proof) {
+        const sibling = DomainMerkle.fromHex(proofElement.hash);
+        if (proofElement.position === 'left') {
+          computedHash = DomainMerkle.nodeHash(sibling, computedHash);
+        } else if (proofElement.position === 'right') {
+          computedHash = DomainMerkle.nodeHash(computedHash, sibling);
+        } else {
+          return false;
+        }
+      }
+
+      const isValid = DomainMerkle.toHex(computedHash) === String(expectedRoot).toLowerCase();
+      console.log('MerkleBuilderV2.js: verifyProof: Verification result:', isValid);
+      return isValid;
+    } catch (error) {
+      console.warn('MerkleBuilderV2.js: verifyProof: Malformed proof:', error.message);
+      return false;
+    }
+  }
+}
+
+export default MerkleBuilderV2;
+
+// Character count: 5591
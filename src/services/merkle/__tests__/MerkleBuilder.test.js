@@ -0,0 +1,118 @@
+// src/services/merkle/__tests__/MerkleBuilder.test.js
+// Path: src/services/merkle/__tests__/MerkleBuilder.test.js
+
+/**
+ * MerkleBuilder Tests
+ *
+ * v2 (domain-separated, position-bound) trees and proofs, plus selection by
+ * manifest version so v1 manifests keep verifying.
+ */
+
+import MerkleBuilderM from '../MerkleBuilder-M';
+import MerkleBuilderV2 from '../MerkleBuilderV2';
+import { DomainMerkle } from '../DomainMerkle';
+import ChunkManagerM from '../../glyph/processing/ChunkManager-M';
+
+jest.mock('expo-crypto', () => jest.requireActual('../../../../__tests__/__mocks__/expo-crypto-sha256'));
+
+const digest = (n) => DomainMerkle.toHex(DomainMerkle.hash(new Uint8Array([n])));
+const LEAVES = [1, 2, 3, 4, 5].map(digest);
+
+describe('MerkleBuilder', () => {
+
+  describe('v2 trees', () => {
+
+    it('should prove and verify every leaf, including a promoted odd leaf', async () => {
+      const tree = await MerkleBuilderV2.buildTree(LEAVES);
+
+      for (let i = 0; i < LEAVES.length; i++) {
+        const proof = MerkleBuilderV2.getProof(tree, i);
+        await expect(MerkleBuilderV2.verifyProof(LEAVES[i], proof, tree.root)).resolves.toBe(true);
+      }
+      // Leaf 4 is promoted twice and only pairs at the top
+      expect(MerkleBuilderV2.getProof(tree, 4)).toHaveLength(1);
+    });
+
+    it('should hash inner nodes as H(0x01 || left || right) over tagged leaves', async () => {
+      const tree = await MerkleBuilderV2.buildTree(LEAVES.slice(0, 2));
+
+      const [a, b] = LEAVES.slice(0, 2).map(leaf => DomainMerkle.leafHash('GLYF', DomainMerkle.fromHex(leaf)));
+      expect(tree.root).toBe(DomainMerkle.toHex(DomainMerkle.nodeHash(a, b)));
+    });
+
+    it('should bind proofs to positions', async () => {
+      // Arrange
+      const tree = await MerkleBuilderV2.buildTree(LEAVES.slice(0, 2));
+      const proof = MerkleBuilderV2.getProof(tree, 0);
+      const swapped = proof.map(p => ({ ...p, position: p.position === 'left' ? 'right' : 'left' }));
+
+      // Assert - sibling order matters, and swapping the leaves changes the root
+      await expect(MerkleBuilderV2.verifyProof(LEAVES[0], swapped, tree.root)).resolves.toBe(false);
+      const reversed = await MerkleBuilderV2.buildTree([LEAVES[1], LEAVES[0]]);
+      expect(reversed.root).not.toBe(tree.root);
+    });
+
+    it('should not accept an inner node as a leaf', async () => {
+      // Arrange - a 4-leaf tree; the left inner node is a valid 32-byte digest
+      const tree = await MerkleBuilderV2.buildTree(LEAVES.slice(0, 4));
+      const innerNode = tree.levels[1][0];
+      const innerProof = [{ hash: tree.levels[1][1], position: 'right' }];
+
+      // Assert
+      await expect(MerkleBuilderV2.verifyProof(innerNode, innerProof, tree.root)).resolves.toBe(false);
+    });
+
+    it('should separate domains by tag and reject malformed input', async () => {
+      const glyphs = await MerkleBuilderV2.buildTree(LEAVES);
+      const items = await MerkleBuilderV2.buildTree(LEAVES, { tag: 'ITEM' });
+
+      expect(items.root).not.toBe(glyphs.root);
+      await expect(MerkleBuilderV2.buildTree(['not-a-digest'])).rejects.toThrow();
+      await expect(MerkleBuilderV2.verifyProof(LEAVES[0], [{ hash: 'zz', position: 'left' }], glyphs.root))
+        .resolves.toBe(false);
+    });
+
+  });
+
+  describe('Manifest versions', () => {
+    const content = 'Once upon a time. '.repeat(60);
+
+    it('should select the builder from the manifest version', () => {
+      expect(MerkleBuilderM.forManifestVersion('1.0.0')).toBe(MerkleBuilderM);
+      expect(MerkleBuilderM.forManifestVersion()).toBe(MerkleBuilderM);
+      expect(MerkleBuilderM.forManifestVersion('2.0.0')).toBe(MerkleBuilderV2);
+      expect(() => MerkleBuilderM.forManifestVersion('3.0.0')).toThrow('Unsupported manifest Merkle version');
+    });
+
+    it('should publish new manifests as v2 and verify them', async () => {
+      // Arrange
+      const pkg = await ChunkManagerM.prepareStoryForManifestPublishing(content, 'Tale', 'author-key');
+      const { manifestRoot, version } = pkg.primaryManifest;
+
+      // Act
+      const result = await ChunkManagerM.verifyManifestTree(pkg.contentChunks, pkg.hashListChunks, manifestRoot, version);
+
+      // Assert
+      expect(version).toBe('2.0.0');
+      expect(pkg.primaryManifest.serialize().v).toBe('2.0.0');
+      expect(result.isValid).toBe(true);
+    });
+
+    it('should keep verifying v1 manifests', async () => {
+      // Arrange - a manifest root built the v1 way
+      const pkg = await ChunkManagerM.prepareStoryForManifestPublishing(content, 'Tale', 'author-key');
+      const v1Tree = await MerkleBuilderM.buildTree(pkg.hashListChunks.flat());
+
+      // Act
+      const v1Result = await ChunkManagerM.verifyManifestTree(pkg.contentChunks, pkg.hashListChunks, v1Tree.root, '1.0.0');
+      const crossResult = await ChunkManagerM.verifyManifestTree(pkg.contentChunks, pkg.hashListChunks, v1Tree.root, '2.0.0');
+
+      // Assert
+      expect(v1Result.isValid).toBe(true);
+      expect(crossResult).toMatchObject({ isValid: false, stage: 'manifest_verification' });
+    });
+
+  });
+});
+
+// Character count: 5071
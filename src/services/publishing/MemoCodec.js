@@ -0,0 +1,459 @@
+// src/services/publishing/MemoCodec.js
+// Path: src/services/publishing/MemoCodec.js
+import bs58 from 'bs58';
+import { CompressionService } from '../compression/CompressionService';
+
+const PROTOCOL = 'g-mt-v1';
+
+// Z85 alphabet: printable ASCII without quotes, backslash, comma or space
+const ALPHABET = '0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ.-:+=^!/*?&<>()[]{}@%$#';
+const ALPHABET_INDEX = new Map([...ALPHABET].map((char, index) => [char, index]));
+
+/**
+ * Binary memo codec for g-mt-v1 (manifest tree) payloads.
+ *
+ * Frame layout (before text encoding):
+ *
+ *   [version u8][type u8][flags u8] ...type-specific fields
+ *
+ *   manifest: body                         (JSON of the manifest data)
+ *   hashlist: sid | varint i | varint thl | N x 32-byte hashes
+ *   glyph:    sid | varint i | varint tc | [varint rgc] | body   (UTF-8 content)
+ *
+ * `sid` is the raw story id (manifest transaction signature) prefixed by its
+ * length in one byte. Bodies are raw-deflated when that makes them smaller,
+ * which is recorded in FLAGS.DEFLATE.
+ *
+ * Memos must be valid UTF-8, so the frame is written as base85 text with the
+ * Z85 alphabet (5 characters per 4 bytes, 1 byte per character on the wire)
+ * behind a '~' marker. '~' is neither base64 nor Z85, so old base64 JSON memos
+ * and new frames can always be told apart, and readers that only base64-decode
+ * matching memos pass frames through untouched.
+ */
+export class MemoCodec {
+  static VERSION = 1;
+
+  static MARKER = '~';
+
+  static TYPES = {
+    manifest: 0x01,
+    hashlist: 0x02,
+    glyph: 0x03
+  };
+
+  static FLAGS = {
+    DEFLATE: 0x01,
+    REGLYPH_CAP: 0x02
+  };
+
+  static HASH_SIZE = 32;
+
+  /**
+   * Solana memo program limit (bytes of UTF-8)
+   */
+  static MAX_MEMO_BYTES = 566;
+
+  /**
+   * Stand-in story id for sizing memos before the manifest is published.
+   * Story ids are transaction signatures, which are always 64 bytes raw.
+   */
+  static PLACEHOLDER_STORY_ID = bs58.encode(new Uint8Array(64).fill(0xff));
+
+  /**
+   * Build the g-mt-v1 memo object for one publication transaction
+   * @param {any} data - Manifest data, hash list, or glyph content
+   * @param {Object} metadata - { type, storyId, index, totalHashLists, totalChunks, reGlyphCap }
+   * @returns {Object} Memo object ({ p, t, ... })
+   */
+  static toMemoObject(data, metadata = {}) {
+    if (metadata.type === 'manifest') {
+      // Primary manifest - should be small now with just manifestRoot
+      return {
+        p: PROTOCOL,            // Protocol: glyffiti-manifest-tree-v1
+        t: 'manifest',          // Type
+        d: data                 // Serialized manifest data
+      };
+    }
+
+    if (metadata.type === 'hashlist') {
+      return {
+        p: PROTOCOL,
+        t: 'hashlist',
+        sid: metadata.storyId,  // Story ID
+        i: metadata.index,      // Chunk index
+        thl: metadata.totalHashLists, // Total hash list chunks
+        h: data                 // Array of hashes
+      };
+    }
+
+    if (metadata.type === 'glyph') {
+      const memoObject = {
+        p: PROTOCOL,
+        t: 'glyph',
+        sid: metadata.storyId,  // Story ID
+        i: metadata.index,      // Chunk index
+        tc: metadata.totalChunks, // Total content chunks
+        c: data                 // Content string
+      };
+
+      // Include reGlyphCap only on first chunk
+      if (metadata.reGlyphCap !== undefined) {
+        memoObject.rgc = metadata.reGlyphCap;
+      }
+      return memoObject;
+    }
+
+    throw new Error(`Unknown memo type: ${metadata.type}`);
+  }
+
+  /**
+   * Build and encode the memo for one publication transaction
+   * @param {any} data - Manifest data, hash list, or glyph content
+   * @param {Object} metadata - See toMemoObject
+   * @returns {string} Memo text
+   */
+  static serialize(data, metadata = {}) {
+    return this.encode(this.toMemoObject(data, metadata));
+  }
+
+  /**
+   * Size of memo text as sent on chain
+   * @param {string} memoText - Memo text
+   * @returns {number} UTF-8 byte length
+   */
+  static byteLength(memoText) {
+    return new TextEncoder().encode(memoText).length;
+  }
+
+  /**
+   * Encode a g-mt-v1 memo object as memo text
+   * @param {Object} memoObject - { p, t, ... } as built by PublishingService-M
+   * @returns {string} Memo text ('~' + base85 frame)
+   */
+  static encode(memoObject) {
+    return this.MARKER + this.encodeBase85(this.encodeFrame(memoObject));
+  }
+
+  /**
+   * Decode memo bytes in either format: a '~' binary frame, or the legacy
+   * deflated JSON (already base64-decoded by the chunk reader)
+   * @param {Uint8Array|string} memoData - Memo bytes or text
+   * @returns {Object} Memo object with the same short keys as the JSON format
+   */
+  static decode(memoData) {
+    const bytes = typeof memoData === 'string' ? new TextEncoder().encode(memoData) : memoData;
+    if (!bytes || bytes.length === 0) {
+      throw new Error('Empty memo');
+    }
+
+    if (this.isFrame(bytes)) {
+      const text = new TextDecoder().decode(bytes.subarray(1));
+      return this.decodeFrame(this.decodeBase85(text));
+    }
+
+    return JSON.parse(CompressionService.decompress(bytes));
+  }
+
+  /**
+   * Check whether memo bytes carry a binary frame
+   * @param {Uint8Array} bytes - Memo bytes
+   * @returns {boolean} True if the memo starts with the frame marker
+   */
+  static isFrame(bytes) {
+    return !!bytes && bytes.length > 0 && bytes[0] === this.MARKER.charCodeAt(0);
+  }
+
+  /**
+   * Build the binary frame for a memo object
+   * @param {Object} memoObject - { p, t, ... } memo object
+   * @returns {Uint8Array} Frame bytes
+   */
+  static encodeFrame(memoObject) {
+    if (!memoObject || memoObject.p !== PROTOCOL) {
+      throw new Error(`Unsupported memo protocol: ${memoObject?.p}`);
+    }
+    const type = this.TYPES[memoObject.t];
+    if (!type) {
+      throw new Error(`Unknown memo type: ${memoObject.t}`);
+    }
+
+    const parts = [];
+    let flags = 0;
+
+    if (memoObject.t === 'manifest') {
+      const body = this._packBody(new TextEncoder().encode(JSON.stringify(memoObject.d)));
+      flags |= body.flags;
+      parts.push(body.bytes);
+    } else if (memoObject.t === 'hashlist') {
+      parts.push(this._encodeStoryId(memoObject.sid));
+      parts.push(this._encodeVarint(memoObject.i), this._encodeVarint(memoObject.thl));
+      for (const hash of memoObject.h || []) {
+        parts.push(this._hashToBytes(hash));
+      }
+    } else {
+      parts.push(this._encodeStoryId(memoObject.sid));
+      parts.push(this._encodeVarint(memoObject.i), this._encodeVarint(memoObject.tc));
+      if (memoObject.rgc !== undefined && memoObject.rgc !== null) {
+        flags |= this.FLAGS.REGLYPH_CAP;
+        parts.push(this._encodeVarint(memoObject.rgc));
+      }
+      const body = this._packBody(new TextEncoder().encode(memoObject.c));
+      flags |= body.flags;
+      parts.push(body.bytes);
+    }
+
+    return this._concat([new Uint8Array([this.VERSION, type, flags]), ...parts]);
+  }
+
+  /**
+   * Parse a binary frame back into a memo object
+   * @param {Uint8Array} frame - Frame bytes
+   * @returns {Object} Memo object ({ p, t, sid, i, ... })
+   */
+  static decodeFrame(frame) {
+    if (!frame || frame.length < 3) {
+      throw new Error('Memo frame is truncated');
+    }
+    const [version, type, flags] = frame;
+    if (version !== this.VERSION) {
+      throw new Error(`Unsupported memo frame version: ${version}`);
+    }
+
+    const reader = { bytes: frame, offset: 3 };
+
+    if (type === this.TYPES.manifest) {
+      const body = this._unpackBody(frame.subarray(reader.offset), flags);
+      return { p: PROTOCOL, t: 'manifest', d: JSON.parse(new TextDecoder().decode(body)) };
+    }
+
+    if (type === this.TYPES.hashlist) {
+      const sid = this._readStoryId(reader);
+      const i = this._readVarint(reader);
+      const thl = this._readVarint(reader);
+      const remaining = frame.length - reader.offset;
+      if (remaining % this.HASH_SIZE !== 0) {
+        throw new Error('Memo frame hash list is not a whole number of hashes');
+      }
+      const h = [];
+      for (let offset = reader.offset; offset < frame.length; offset += this.HASH_SIZE) {
+        h.push(Buffer.from(frame.subarray(offset, offset + this.HASH_SIZE)).toString('hex'));
+      }
+      return { p: PROTOCOL, t: 'hashlist', sid, i, thl, h };
+    }
+
+    if (type === this.TYPES.glyph) {
+      const sid = this._readStoryId(reader);
+      const i = this._readVarint(reader);
+      const tc = this._readVarint(reader);
+      const rgc = flags & this.FLAGS.REGLYPH_CAP ? this._readVarint(reader) : undefined;
+      const body = this._unpackBody(frame.subarray(reader.offset), flags);
+      const glyph = { p: PROTOCOL, t: 'glyph', sid, i, tc, c: new TextDecoder().decode(body) };
+      if (rgc !== undefined) {
+        glyph.rgc = rgc;
+      }
+      return glyph;
+    }
+
+    throw new Error(`Unknown memo frame type: ${type}`);
+  }
+
+  /**
+   * Base85-encode bytes with the Z85 alphabet. A trailing group of n < 4
+   * bytes is written as n + 1 characters, so no padding length is stored.
+   * @param {Uint8Array} bytes - Bytes to encode
+   * @returns {string} Base85 text
+   */
+  static encodeBase85(bytes) {
+    let text = '';
+    for (let offset = 0; offset < bytes.length; offset += 4) {
+      const count = Math.min(4, bytes.length - offset);
+      let value = 0;
+      for (let j = 0; j < 4; j++) {
+        value = value * 256 + (j < count ? bytes[offset + j] : 0);
+      }
+      let group = '';
+      for (let j = 0; j < 5; j++) {
+        group = ALPHABET[value % 85] + group;
+        value = Math.floor(value / 85);
+      }
+      text += group.slice(0, count + 1);
+    }
+    return text;
+  }
+
+  /**
+   * Decode base85 text produced by encodeBase85
+   * @param {string} text - Base85 text
+   * @returns {Uint8Array} Decoded bytes
+   */
+  static decodeBase85(text) {
+    if (text.length % 5 === 1) {
+      throw new Error('Invalid base85 length');
+    }
+
+    const bytes = [];
+    for (let offset = 0; offset < text.length; offset += 5) {
+      const group = text.slice(offset, offset + 5);
+      let value = 0;
+      for (let j = 0; j < 5; j++) {
+        // Short trailing groups are padded with the highest digit
+        const digit = j < group.length ? ALPHABET_INDEX.get(group[j]) : 84;
+        if (digit === undefined) {
+          throw new Error(`Invalid base85 character: ${group[j]}`);
+        }
+        value = value * 85 + digit;
+      }
+      if (value > 0xffffffff) {
+        throw new Error('Invalid base85 group');
+      }
+      const count = group.length - 1;
+      for (let j = 0; j < count; j++) {
+        bytes.push(Math.floor(value / 256 ** (3 - j)) % 256);
+      }
+    }
+    return new Uint8Array(bytes);
+  }
+
+  /**
+   * Deflate a body only when that makes it smaller
+   * @param {Uint8Array} bytes - Body bytes
+   * @returns {{bytes: Uint8Array, flags: number}} Packed body and its flags
+   * @private
+   */
+  static _packBody(bytes) {
+    const deflated = CompressionService.compressRaw(bytes);
+    return deflated.length < bytes.length
+      ? { bytes: deflated, flags: this.FLAGS.DEFLATE }
+      : { bytes, flags: 0 };
+  }
+
+  /**
+   * Undo _packBody
+   * @param {Uint8Array} bytes - Packed body
+   * @param {number} flags - Frame flags
+   * @returns {Uint8Array} Body bytes
+   * @private
+   */
+  static _unpackBody(bytes, flags) {
+    if (!(flags & this.FLAGS.DEFLATE)) {
+      return bytes;
+    }
+    const inflated = CompressionService.decompressRaw(bytes);
+    if (!(inflated instanceof Uint8Array)) {
+      throw new Error('Memo frame body is truncated');
+    }
+    return inflated;
+  }
+
+  /**
+   * @param {string} storyId - Base58 story id (manifest transaction signature)
+   * @returns {Uint8Array} Length-prefixed raw story id
+   * @private
+   */
+  static _encodeStoryId(storyId) {
+    let raw;
+    try {
+      raw = bs58.decode(storyId);
+    } catch (error) {
+      throw new Error(`Invalid story id: ${storyId}`);
+    }
+    if (raw.length === 0 || raw.length > 255) {
+      throw new Error(`Invalid story id: ${storyId}`);
+    }
+    return this._concat([new Uint8Array([raw.length]), raw]);
+  }
+
+  /**
+   * @param {{bytes: Uint8Array, offset: number}} reader - Frame cursor
+   * @returns {string} Base58 story id
+   * @private
+   */
+  static _readStoryId(reader) {
+    const length = reader.bytes[reader.offset];
+    const end = reader.offset + 1 + length;
+    if (length === undefined || end > reader.bytes.length) {
+      throw new Error('Memo frame is truncated');
+    }
+    const storyId = bs58.encode(reader.bytes.subarray(reader.offset + 1, end));
+    reader.offset = end;
+    return storyId;
+  }
+
+  /**
+   * @param {string} hash - 32-byte hash as hex
+   * @returns {Uint8Array} Raw hash bytes
+   * @private
+   */
+  static _hashToBytes(hash) {
+    if (typeof hash !== 'string' || !/^[0-9a-fA-F]{64}$/.test(hash)) {
+      throw new Error(`Invalid hash in hash list: ${hash}`);
+    }
+    return new Uint8Array(Buffer.from(hash, 'hex'));
+  }
+
+  /**
+   * Unsigned LEB128 varint
+   * @param {number} value - Non-negative safe integer
+   * @returns {Uint8Array} Encoded varint
+   * @private
+   */
+  static _encodeVarint(value) {
+    if (!Number.isSafeInteger(value) || value < 0) {
+      throw new Error(`Invalid varint value: ${value}`);
+    }
+    const bytes = [];
+    let remaining = value;
+    do {
+      let byte = remaining % 128;
+      remaining = Math.floor(remaining / 128);
+      if (remaining > 0) {
+        byte |= 0x80;
+      }
+      bytes.push(byte);
+    } while (remaining > 0);
+    return new Uint8Array(bytes);
+  }
+
+  /**
+   * @param {{bytes: Uint8Array, offset: number}} reader - Frame cursor
+   * @returns {number} Decoded varint
+   * @private
+   */
+  static _readVarint(reader) {
+    let value = 0;
+    let scale = 1;
+    for (;;) {
+      const byte = reader.bytes[reader.offset++];
+      if (byte === undefined) {
+        throw new Error('Memo frame is truncated');
+      }
+      if (scale > 2 ** 49) {
+        throw new Error('Memo frame varint is too long');
+      }
+      value += (byte & 0x7f) * scale;
+      if (!(byte & 0x80)) {
+        return value;
+      }
+      scale *= 128;
+    }
+  }
+
+  /**
+   * @param {Uint8Array[]} parts - Byte arrays
+   * @returns {Uint8Array} Concatenation of all parts
+   * @private
+   */
+  static _concat(parts) {
+    const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+      output.set(part, offset);
+      offset += part.length;
+    }
+    return output;
+  }
+}
+
+export default MemoCodec;
+
+// Character count: 14500
@@ -1,10 +1,17 @@
 // src/services/publishing/PostPublishingService.js
 // Path: src/services/publishing/PostPublishingService.js
 
+import { PublicKey, LAMPORTS_PER_SOL } from '@solana/web3.js';
 import { MobileWalletService } from '../wallet/MobileWalletService';
 import { BlockchainService } from '../blockchain/BlockchainService';
 import { PostHeaderService } from '../feed/PostHeaderService';
 import { CompressionService } from '../compression/CompressionService';
+import { MemoCodec } from './MemoCodec';
+import { AuthorSignature } from '../blockchain/shared/AuthorSignature';
+import { PostEntities } from '../blockchain/shared/models/PostEntities';
+import { PostShare } from '../blockchain/shared/models/PostShare';
+import { repostService } from '../feed/RepostService';
+import { SolanaPublisher } from '../blockchain/solana/SolanaPublisher';
 
 /**
  * PostPublishingService - Dedicated service for social media posts only
@@ -16,8 +23,13 @@ import { CompressionService } from '../compression/CompressionService';
  * - No 10-character minimum (can post single characters)
  * - No storage in published content (social posts managed by feed system)
  * - No glyph chunking (posts are single blockchain transactions)
- * - Simpler cost structure (single transaction cost)
+ * - Simpler cost structure (single transaction, priced by the cluster's fee API)
  * - Updates user's post chain via PostHeaderService
+ * - Fees can be paid by a FeeSponsor (setSponsor) for authors without SOL
+ * - Replies (publishReply) name their parent post and thread root, and are
+ *   signed over both so they cannot be moved to another thread
+ * - Reposts and quote posts (publishRepost, publishQuote) name the post they
+ *   share, and respect the re-glyph cap its author set (see PostShare)
  * 
  * Architecture:
  * - Social posts: PostPublishingService → Blockchain → FeedService (read via feed)
@@ -26,6 +38,8 @@ import { CompressionService } from '../compression/CompressionService';
 export class PostPublishingService {
   constructor() {
     this.currentWallet = null;
+    this.sponsor = null;
+    this.sponsorCoSign = true;
     this.blockchainService = new BlockchainService();
   }
 
@@ -46,28 +60,106 @@ export class PostPublishingService {
   }
 
   /**
-   * Estimate cost for a social post (single transaction)
+   * Let a sponsor pay for posts (e.g. for a new user without SOL). The wallet
+   * still signs every post as its author.
+   * @param {FeeSponsor} feeSponsor - Sponsor that pays fees within the author's quota
+   * @param {Object} [options] - Sponsorship options
+   * @param {boolean} [options.coSign=true] - Wallet co-signs post transactions (false: it only signs the post content)
+   */
+  setSponsor(feeSponsor, { coSign = true } = {}) {
+    this.sponsor = feeSponsor;
+    this.sponsorCoSign = coSign;
+  }
+
+  /**
+   * Go back to the wallet paying for its own posts
+   */
+  clearSponsor() {
+    this.sponsor = null;
+    this.sponsorCoSign = true;
+  }
+
+  /**
+   * Signer that publishes posts: the wallet, or the wallet with the sponsor paying
+   * @returns {TransactionSigner} Signer for publishers
+   * @private
+   */
+  _publishingSigner() {
+    return this.sponsor
+      ? this.sponsor.signerFor(this.currentWallet, { coSign: this.sponsorCoSign })
+      : this.currentWallet;
+  }
+
+  /**
+   * Estimate cost for a social post (single transaction). The post's memo is
+   * built as it will be published and the transaction priced with the
+   * cluster's getFeeForMessage, priority fee included. With a wallet set, the
+   * cost is also compared with the balance of whoever pays (the wallet, or
+   * its sponsor) and, when sponsored, with the author's sponsor quota, unless
+   * checkBalance is off (e.g. for estimates shown while typing).
    * @param {string} content - Post content
-   * @returns {Object} Cost estimation
+   * @param {Object} [reply] - { replyTo, threadId } when estimating a reply
+   * @param {Object} [entities] - { mentions, tags } the post will store (see PostEntities)
+   * @param {Object} [share] - { repostOf, quoteOf, reGlyphCap } the post will store (see PostShare)
+   * @param {Object} [options] - Estimate options
+   * @param {boolean} [options.checkBalance=true] - Look up the balance and sponsor quota too
+   * @returns {Promise<Object>} Cost estimation (SOL, with a lamport total)
    */
-  estimateCost(content) {
-    // Social posts are single transactions, much simpler than published content
-    const baseCost = 0.001; // Base Solana transaction fee
-    const contentLength = content.length;
-    
-    // Small additional cost for longer content
-    const lengthCost = Math.ceil(contentLength / 100) * 0.0001;
-    const estimatedCost = baseCost + lengthCost;
-    
-    return {
-      estimatedCost,
+  async estimateCost(content, reply = null, entities = null, share = null, { checkBalance = true } = {}) {
+    // Same payload SolanaPublisher writes for social posts; the stand-in previous
+    // post hash, author key, signature and reply hashes are as long as real ones
+    const memo = CompressionService.uint8ArrayToBase64(CompressionService.compress(JSON.stringify({
+      glyphs: [{
+        content,
+        previousPostHash: MemoCodec.PLACEHOLDER_STORY_ID,
+        index: 0,
+        author: PublicKey.default.toBase58(),
+        sig: MemoCodec.PLACEHOLDER_STORY_ID,
+        ...(reply?.replyTo ? {
+          replyTo: MemoCodec.PLACEHOLDER_STORY_ID,
+          ...(reply.threadId && reply.threadId !== reply.replyTo ? { threadId: MemoCodec.PLACEHOLDER_STORY_ID } : {})
+        } : {}),
+        ...PostEntities.toMemoFields(entities || {}),
+        ...PostShare.toMemoFields(share || {})
+      }]
+    })));
+
+    const publisher = this.blockchainService.getPublisher();
+    const signer = this.currentWallet?.publicKey ? this._publishingSigner() : null;
+    const feePayer = signer ? SolanaPublisher.feePayerOf(signer) : (this.sponsor?.publicKey || PublicKey.default);
+    const estimate = await publisher.estimateMemoTransactions([[memo]], feePayer, {
+      coSigners: SolanaPublisher.coSignersOf(signer)
+    });
+
+    const result = {
+      estimatedCost: estimate.totalSOL,
+      estimatedCostLamports: estimate.totalLamports,
       transactionCount: 1,
-      contentLength,
+      contentLength: content.length,
       breakdown: {
-        baseFee: baseCost,
-        contentFee: lengthCost
+        baseFee: estimate.baseFeeLamports / LAMPORTS_PER_SOL,
+        priorityFee: estimate.priorityFeeLamports / LAMPORTS_PER_SOL,
+        rent: estimate.rentLamports / LAMPORTS_PER_SOL
       }
     };
+
+    if (checkBalance && this.currentWallet?.publicKey) {
+      const lamports = await publisher.getBalanceLamports(feePayer);
+      result.balance = {
+        lamports,
+        sufficient: lamports >= estimate.totalLamports,
+        shortfallLamports: Math.max(0, estimate.totalLamports - lamports)
+      };
+
+      if (this.sponsor) {
+        result.sponsorship = {
+          sponsor: this.sponsor.publicKey.toBase58(),
+          ...(await this.sponsor.checkQuota(this.currentWallet.publicKey, { lamports: estimate.totalLamports }))
+        };
+      }
+    }
+
+    return result;
   }
 
   /**
@@ -75,6 +167,13 @@ export class PostPublishingService {
    * @param {Object} postData - Post data
    * @param {string} postData.content - Post content (no minimum length)
    * @param {string} postData.authorName - Author's username
+   * @param {string} [postData.replyTo] - Transaction hash of the post this replies to
+   * @param {string} [postData.threadId] - Transaction hash of the thread's root post (defaults to replyTo)
+   * @param {Array<Object>} [postData.mentions] - Users mentioned, { alias, publicKey } (see MentionService)
+   * @param {Array<string>} [postData.tags] - Hashtags, without '#'
+   * @param {Object} [postData.repostOf] - { transactionHash, authorPublicKey } of the post reposted (no content)
+   * @param {Object} [postData.quoteOf] - { transactionHash, authorPublicKey } of the post quoted
+   * @param {number} [postData.reGlyphCap] - Most reposts and quotes the post allows (unlimited if unset)
    * @param {Function} onProgress - Progress callback (optional)
    * @returns {Promise<Object>} Publishing result
    */
@@ -84,20 +183,40 @@ export class PostPublishingService {
         throw new Error('No wallet connected. Please connect a wallet first.');
       }
 
-      if (!postData.content || typeof postData.content !== 'string') {
-        throw new Error('Post content is required');
+      let content = '';
+      if (postData.repostOf) {
+        // A repost shares the original as it is
+        if (postData.content?.trim()) {
+          throw new Error('A repost has no text of its own; quote the post instead');
+        }
+      } else {
+        if (!postData.content || typeof postData.content !== 'string') {
+          throw new Error('Post content is required');
+        }
+
+        // ✅ NO MINIMUM LENGTH CHECK - social posts can be any length
+        content = postData.content.trim();
+        if (content.length === 0) {
+          throw new Error('Post cannot be empty');
+        }
       }
 
-      // ✅ NO MINIMUM LENGTH CHECK - social posts can be any length
-      const content = postData.content.trim();
-      if (content.length === 0) {
-        throw new Error('Post cannot be empty');
+      if (!this.currentWallet.publicKey) {
+        throw new Error('Wallet is locked');
       }
 
-      const walletKeypair = this.currentWallet.getWalletKeypair();
-      if (!walletKeypair) {
-        throw new Error('Wallet keypair not available');
+      if (postData.threadId && !postData.replyTo) {
+        throw new Error('A reply needs the post it replies to');
       }
+      const reply = postData.replyTo
+        ? { replyTo: postData.replyTo, threadId: postData.threadId || postData.replyTo }
+        : null;
+      const entities = PostEntities.toMemoFields({ mentions: postData.mentions, tags: postData.tags });
+      const share = PostShare.toMemoFields({
+        repostOf: postData.repostOf,
+        quoteOf: postData.quoteOf,
+        reGlyphCap: postData.reGlyphCap
+      });
 
       console.log(`📝 Publishing social post: "${content.substring(0, 50)}${content.length > 50 ? '...' : ''}"`);
 
@@ -112,7 +231,7 @@ export class PostPublishingService {
       }
 
       // Get user's previous post hash for chain linking
-      const authorPublicKey = walletKeypair.publicKey.toBase58();
+      const authorPublicKey = this.currentWallet.publicKey.toBase58();
       let previousPostHash = 'none'; // Default for first post
       
       try {
@@ -124,6 +243,26 @@ export class PostPublishingService {
         console.log('📝 No previous posts found, this will be the first post');
       }
 
+      // Sign the post as its author, so the signature (not the fee payer) proves authorship
+      const authorSignature = await AuthorSignature.sign(
+        AuthorSignature.Domain.POST,
+        AuthorSignature.postPayload(content, previousPostHash, authorPublicKey, reply, entities, share),
+        this.currentWallet
+      );
+
+      // Make sure the wallet (or its sponsor) can pay for the post before sending it
+      const costEstimate = await this.estimateCost(content, reply, { mentions: postData.mentions, tags: postData.tags }, {
+        repostOf: postData.repostOf,
+        quoteOf: postData.quoteOf,
+        reGlyphCap: postData.reGlyphCap
+      });
+      if (!costEstimate.balance.sufficient) {
+        throw new Error(`Insufficient balance: posting needs ${costEstimate.estimatedCostLamports} lamports but the ${this.sponsor ? 'sponsor' : 'wallet'} has ${costEstimate.balance.lamports}`);
+      }
+      if (costEstimate.sponsorship && !costEstimate.sponsorship.allowed) {
+        throw new Error(`Sponsor quota exceeded: ${costEstimate.sponsorship.remainingTransactions} sponsored transaction(s) and ${costEstimate.sponsorship.remainingLamports} lamports left`);
+      }
+
       if (onProgress) {
         onProgress({
           progress: 0.3,
@@ -147,6 +286,11 @@ export class PostPublishingService {
             content: base64Content,  // ✅ Base64-encoded compressed data
             hash: Date.now().toString(),
             previousPostHash: previousPostHash,
+            author: authorPublicKey,
+            authorSignature,
+            ...(reply || {}),
+            ...entities,
+            ...share,
             originalText: content  // Keep original for reference
         }],
         authorPublicKey,
@@ -155,10 +299,21 @@ export class PostPublishingService {
         type: 'social_post'
       };
 
+      // A long post with many mentions and tags can outgrow one transaction:
+      // say so now rather than after every send attempt fails
+      const signer = this._publishingSigner();
+      const transactionBytes = this.blockchainService.getPublisher().measureMemoTransaction(
+        [SolanaPublisher.socialPostMemo(content, simpleContent.glyphs[0])],
+        SolanaPublisher.coSignersOf(signer)
+      );
+      if (transactionBytes > SolanaPublisher.MAX_TRANSACTION_SIZE) {
+        throw new Error(`Post too large: it needs ${transactionBytes} bytes but a transaction holds ${SolanaPublisher.MAX_TRANSACTION_SIZE}. Shorten it or drop some mentions or tags.`);
+      }
+
         // Use existing BlockchainService.publishContent
         const result = await this.blockchainService.publishContent(
         simpleContent, 
-        walletKeypair, 
+        signer, 
         onProgress
         );
 
@@ -195,9 +350,13 @@ export class PostPublishingService {
         transactionId: transactionHash,
         transactionIds: [transactionHash], // For compatibility
         contentId: `social_post_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        totalCost: result.cost || this.estimateCost(content).estimatedCost,
+        totalCost: result.cost || costEstimate.estimatedCost,
         postLength: content.length,
         publishedAt: Date.now(),
+        replyTo: reply?.replyTo || null,
+        threadId: reply?.threadId || null,
+        ...PostEntities.fromMemoFields(entities),
+        ...PostShare.fromMemoFields(share),
         type: 'social_post' // Mark as social post
       };
 
@@ -218,6 +377,57 @@ export class PostPublishingService {
     }
   }
 
+  /**
+   * Publish a reply to a post. The reply joins the parent's thread, or starts
+   * one rooted at the parent when the parent is a top-level post.
+   * @param {Object} parentPost - Post being replied to (from FeedService or ThreadService)
+   * @param {Object} postData - Post data, as for publishPost
+   * @param {Function} onProgress - Progress callback (optional)
+   * @returns {Promise<Object>} Publishing result
+   */
+  async publishReply(parentPost, postData, onProgress = null) {
+    if (!parentPost?.transactionHash) {
+      throw new Error('The post being replied to has no transaction hash');
+    }
+
+    return await this.publishPost({
+      ...postData,
+      replyTo: parentPost.transactionHash,
+      threadId: parentPost.threadId || parentPost.transactionHash
+    }, onProgress);
+  }
+
+  /**
+   * Repost a post: share it as it is, in the author's chain. Reposting a
+   * repost shares the post it reposted.
+   * @param {Object} post - Post to repost (from FeedService or ThreadService)
+   * @param {Object} postData - { authorName } of the reposting author
+   * @param {Function} onProgress - Progress callback (optional)
+   * @returns {Promise<Object>} Publishing result
+   * @throws {Error} If the post cannot be shared (see RepostService.assertCanShare)
+   */
+  async publishRepost(post, postData, onProgress = null) {
+    const { target } = await repostService.assertCanShare(post);
+    return await this.publishPost({
+      authorName: postData.authorName,
+      content: '',
+      repostOf: target
+    }, onProgress);
+  }
+
+  /**
+   * Publish a quote post: text of the author's own that embeds another post
+   * @param {Object} post - Post to quote (a repost quotes the post it reposted)
+   * @param {Object} postData - Post data, as for publishPost
+   * @param {Function} onProgress - Progress callback (optional)
+   * @returns {Promise<Object>} Publishing result
+   * @throws {Error} If the post cannot be shared (see RepostService.assertCanShare)
+   */
+  async publishQuote(post, postData, onProgress = null) {
+    const { target } = await repostService.assertCanShare(post);
+    return await this.publishPost({ ...postData, quoteOf: target }, onProgress);
+  }
+
   /**
    * Validate post content (much more permissive than published content)
    * @param {string} content - Post content to validate
@@ -273,6 +483,9 @@ export class PostPublishingService {
         'No minimum content length',
         'Post chain management',
         'Real-time cost estimation',
+        'Sponsored fees for authors without SOL',
+        'Replies and threads',
+        'Reposts and quote posts',
         'Twitter-style character limits'
       ],
       differences: [
@@ -287,8 +500,8 @@ export class PostPublishingService {
     /**
      * Alias for estimateCost to match PublishingService API
      */
-  estimatePublishing(content) {
-    return this.estimateCost(content);
+  async estimatePublishing(content, reply = null, entities = null, share = null, options = {}) {
+    return await this.estimateCost(content, reply, entities, share, options);
   }
 
     /**
@@ -318,7 +531,7 @@ export class PostPublishingService {
       results.serviceCreation = !!testService;
 
       // Test cost estimation
-      const costEstimate = testService.estimateCost('Test post content');
+      const costEstimate = await testService.estimateCost('Test post content');
       results.costEstimation = costEstimate && typeof costEstimate.estimatedCost === 'number';
 
       // Test content validation
@@ -354,4 +567,4 @@ export class PostPublishingService {
   }
 }
 
-// Character count: 7821
\ No newline at end of file
+// Character count: 21474
\ No newline at end of file
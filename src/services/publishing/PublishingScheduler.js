@@ -0,0 +1,480 @@
+// src/services/publishing/PublishingScheduler.js
+// Path: src/services/publishing/PublishingScheduler.js
+import { AppState } from 'react-native';
+import { PostPublishingService } from './PostPublishingService';
+import PublishingServiceM from './PublishingService-M';
+import ContentServiceM from '../content/ContentService-M';
+import { StorageService } from '../storage/StorageService';
+import { PublishingJobStorage } from '../storage/content/PublishingJobStorage';
+import { ScheduledPublishingStorage } from '../storage/content/ScheduledPublishingStorage';
+import { reactionService } from '../blockchain/ReactionService';
+import userRegistry from '../../data/user-registry.json';
+
+/**
+ * Publishing Scheduler - Publishes stories and social posts at a time the author picks
+ *
+ * Schedules are persisted in ScheduledPublishingStorage and run by
+ * runDueSchedules, which start() calls whenever the app comes to the
+ * foreground. Where the app bundles expo-task-manager and
+ * expo-background-fetch, registerBackgroundTask runs them from background
+ * fetch as well.
+ *
+ * Publishing needs the author's signer, so wallets are registered with the
+ * scheduler while they are unlocked. A schedule that comes due without one
+ * is marked missed and runs the next time the author's wallet is available;
+ * missed and failed schedules are listed by getAttentionSchedules for the
+ * publishing screen. Each run also sends out reaction digests that have come
+ * due for registered signers.
+ */
+export class PublishingScheduler {
+  static BACKGROUND_TASK_NAME = 'glyffiti-scheduled-publishing';
+
+  // Background fetch runs no more often than this (the OS decides when)
+  static BACKGROUND_INTERVAL_SECONDS = 15 * 60;
+
+  constructor() {
+    this._signers = new Map();      // Author public key -> unlocked signer
+    this._listeners = new Set();
+    this._running = null;           // Promise of the run in progress
+    this._appStateSubscription = null;
+  }
+
+  /**
+   * Make an unlocked wallet available to publish its author's schedules
+   * @param {TransactionSigner} signer - Author's signer
+   */
+  registerSigner(signer) {
+    if (!signer || !signer.publicKey) {
+      throw new Error('Scheduler needs an unlocked signer');
+    }
+    this._signers.set(signer.publicKey.toBase58(), signer);
+  }
+
+  /**
+   * Stop publishing with a wallet (locked or signed out)
+   * @param {PublicKey|string} publicKey - Author's public key
+   */
+  unregisterSigner(publicKey) {
+    this._signers.delete(typeof publicKey === 'string' ? publicKey : publicKey.toBase58());
+  }
+
+  /**
+   * Schedule a social post, reply or quote
+   * @param {Object} postData - { content, authorName, authorPublicKey } plus any
+   *   other publishPost fields (mentions, tags, reGlyphCap, replyTo, threadId, quoteOf)
+   * @param {Date|number} publishAt - When to publish
+   * @returns {Promise<Object>} The stored schedule
+   */
+  async schedulePost({ content, authorName, authorPublicKey, ...postFields }, publishAt) {
+    if (!content || typeof content !== 'string' || content.trim().length === 0) {
+      throw new Error('Post content is required');
+    }
+
+    return await this._schedule(ScheduledPublishingStorage.KIND.POST, {
+      authorPublicKey,
+      publishAt,
+      title: content.trim().substring(0, 50),
+      payload: { ...postFields, content: content.trim(), authorName: authorName || null }
+    });
+  }
+
+  /**
+   * Schedule a story for manifest publishing
+   * @param {Object} story - { content, title, authorPublicKey, options, draftId }
+   *   where options are passed to ContentService-M.prepareContentForManifestPublishing
+   *   and draftId is a draft to remove once the story is published
+   * @param {Date|number} publishAt - When to publish
+   * @returns {Promise<Object>} The stored schedule
+   */
+  async scheduleStory({ content, title, authorPublicKey, options = {}, draftId = null }, publishAt) {
+    if (!content) {
+      throw new Error('Content is required for manifest publishing');
+    }
+    if (!title || title.trim().length === 0) {
+      throw new Error('Title is required for manifest publishing');
+    }
+
+    return await this._schedule(ScheduledPublishingStorage.KIND.STORY, {
+      authorPublicKey,
+      publishAt,
+      title: title.trim(),
+      payload: { content, options },
+      draftId
+    });
+  }
+
+  /**
+   * Schedule a draft from PublishingService.getDrafts as a story
+   * @param {Object} draft - Draft ({ id, title, content, authorPublicKey })
+   * @param {Date|number} publishAt - When to publish
+   * @param {Object} [options] - Options for prepareContentForManifestPublishing
+   * @returns {Promise<Object>} The stored schedule
+   */
+  async scheduleDraft(draft, publishAt, options = {}) {
+    return await this.scheduleStory({
+      content: draft.content,
+      title: draft.title,
+      authorPublicKey: draft.authorPublicKey,
+      options,
+      draftId: draft.id
+    }, publishAt);
+  }
+
+  /**
+   * Move a schedule that has not been published to another time; missed and
+   * failed schedules go back to scheduled
+   * @param {string} scheduleId - Schedule ID
+   * @param {Date|number} publishAt - New publish time
+   * @returns {Promise<Object>} Updated schedule
+   */
+  async reschedule(scheduleId, publishAt) {
+    const schedule = await this._getChangeableSchedule(scheduleId);
+    const updated = await ScheduledPublishingStorage.updateSchedule(schedule.scheduleId, {
+      status: ScheduledPublishingStorage.STATUS.SCHEDULED,
+      publishAt: this._toTime(publishAt),
+      error: null
+    });
+    this._notify(updated);
+    return updated;
+  }
+
+  /**
+   * Cancel (or dismiss) a schedule that is not publishing right now
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<boolean>} True if it was removed
+   */
+  async cancelSchedule(scheduleId) {
+    const schedule = await this._getChangeableSchedule(scheduleId);
+    const removed = await ScheduledPublishingStorage.removeSchedule(schedule.scheduleId);
+    this._notify({ ...schedule, status: 'cancelled' });
+    return removed;
+  }
+
+  /**
+   * Schedules that have not been published, soonest first
+   * @param {string} [authorPublicKey] - Only this author's schedules
+   * @returns {Promise<Array>} Pending schedules
+   */
+  async getPendingSchedules(authorPublicKey = null) {
+    return await ScheduledPublishingStorage.getPendingSchedules(authorPublicKey);
+  }
+
+  /**
+   * Missed and failed schedules, for PublishingStatusIndicator
+   * @param {string} [authorPublicKey] - Only this author's schedules
+   * @returns {Promise<Array>} Schedules that need the author's attention
+   */
+  async getAttentionSchedules(authorPublicKey = null) {
+    return await ScheduledPublishingStorage.getAttentionSchedules(authorPublicKey);
+  }
+
+  /**
+   * Publish every schedule that is due. Runs one at a time; calling this
+   * while a run is in progress returns that run.
+   * @param {Object} [options] - Run options
+   * @param {number} [options.now] - Time to check against
+   * @returns {Promise<Object>} { published, missed, failed } schedules of this run
+   */
+  runDueSchedules({ now = Date.now() } = {}) {
+    if (!this._running) {
+      this._running = this._runDueSchedules(now).finally(() => {
+        this._running = null;
+      });
+    }
+    return this._running;
+  }
+
+  /**
+   * Run due schedules now and whenever the app returns to the foreground
+   * @returns {Promise<Object>} Result of the first run
+   */
+  start() {
+    if (!this._appStateSubscription) {
+      this._appStateSubscription = AppState.addEventListener('change', (state) => {
+        if (state === 'active') {
+          this.runDueSchedules().catch(error => {
+            console.error('PublishingScheduler: Foreground run failed:', error);
+          });
+        }
+      });
+    }
+    return this.runDueSchedules();
+  }
+
+  /**
+   * Stop running schedules on foreground
+   */
+  stop() {
+    if (this._appStateSubscription) {
+      this._appStateSubscription.remove();
+      this._appStateSubscription = null;
+    }
+  }
+
+  /**
+   * Also run due schedules from background fetch. The modules are passed in
+   * because the app only has them where it bundles them; App.js calls this at
+   * module scope so the task is defined at startup, as expo-task-manager requires.
+   * @param {Object} modules - { TaskManager, BackgroundFetch } (expo-task-manager, expo-background-fetch)
+   * @param {Object} [options] - Registration options
+   * @param {number} [options.minimumInterval] - Seconds between background runs
+   * @returns {Promise<boolean>} True if the task was registered
+   */
+  async registerBackgroundTask({ TaskManager, BackgroundFetch } = {}, { minimumInterval = PublishingScheduler.BACKGROUND_INTERVAL_SECONDS } = {}) {
+    if (!TaskManager || !BackgroundFetch) {
+      console.log('PublishingScheduler: Background tasks not available, scheduling runs on foreground only');
+      return false;
+    }
+
+    const { BackgroundFetchResult } = BackgroundFetch;
+    TaskManager.defineTask(PublishingScheduler.BACKGROUND_TASK_NAME, async () => {
+      try {
+        const { published, failed } = await this.runDueSchedules();
+        return published.length + failed.length > 0 ? BackgroundFetchResult.NewData : BackgroundFetchResult.NoData;
+      } catch (error) {
+        console.error('PublishingScheduler: Background run failed:', error);
+        return BackgroundFetchResult.Failed;
+      }
+    });
+
+    try {
+      await BackgroundFetch.registerTaskAsync(PublishingScheduler.BACKGROUND_TASK_NAME, {
+        minimumInterval,
+        stopOnTerminate: false,
+        startOnBoot: true
+      });
+      console.log('PublishingScheduler: Background task registered');
+      return true;
+    } catch (error) {
+      console.error('PublishingScheduler: Could not register background task:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Listen for schedule changes (published, missed, failed, rescheduled, cancelled)
+   * @param {Function} listener - Callback(schedule)
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  }
+
+  /**
+   * Validate and store a schedule
+   * @param {string} kind - ScheduledPublishingStorage.KIND value
+   * @param {Object} schedule - Fields for ScheduledPublishingStorage.createSchedule
+   * @returns {Promise<Object>} The stored schedule
+   * @private
+   */
+  async _schedule(kind, schedule) {
+    if (!schedule.authorPublicKey) {
+      throw new Error('Author public key is required to schedule publishing');
+    }
+
+    const publishAt = this._toTime(schedule.publishAt);
+    if (publishAt <= Date.now()) {
+      throw new Error('Publish time must be in the future');
+    }
+
+    const stored = await ScheduledPublishingStorage.createSchedule(kind, { ...schedule, publishAt });
+    this._notify(stored);
+    return stored;
+  }
+
+  /**
+   * Run every due schedule
+   * @param {number} now - Time to check against
+   * @returns {Promise<Object>} { published, missed, failed }
+   * @private
+   */
+  async _runDueSchedules(now) {
+    const { STATUS, KIND } = ScheduledPublishingStorage;
+    const due = await ScheduledPublishingStorage.getDueSchedules(now);
+    const outcome = { published: [], missed: [], failed: [] };
+
+    if (due.length > 0) {
+      console.log(`PublishingScheduler: ${due.length} schedule(s) due`);
+    }
+
+    for (const schedule of due) {
+      let updated;
+
+      // Only one run at a time, so 'publishing' here is left over from a run that never finished
+      if (schedule.status === STATUS.PUBLISHING && schedule.kind === KIND.POST) {
+        updated = await ScheduledPublishingStorage.updateSchedule(schedule.scheduleId, {
+          status: STATUS.FAILED,
+          error: 'Interrupted while publishing; check your feed before rescheduling'
+        });
+        outcome.failed.push(updated);
+        this._notify(updated);
+        continue;
+      }
+
+      const signer = this._signers.get(schedule.authorPublicKey);
+      if (!signer || !signer.publicKey) {
+        updated = await ScheduledPublishingStorage.updateSchedule(schedule.scheduleId, {
+          status: STATUS.MISSED,
+          error: 'Author wallet was locked when this came due'
+        });
+        outcome.missed.push(updated);
+        this._notify(updated);
+        continue;
+      }
+
+      await ScheduledPublishingStorage.updateSchedule(schedule.scheduleId, {
+        status: STATUS.PUBLISHING,
+        attempts: schedule.attempts + 1,
+        error: null
+      });
+
+      try {
+        const result = schedule.kind === KIND.POST
+          ? await this._publishPost(schedule, signer)
+          : await this._publishStory(schedule, signer);
+
+        updated = await ScheduledPublishingStorage.updateSchedule(schedule.scheduleId, {
+          status: STATUS.PUBLISHED,
+          result,
+          publishedAt: Date.now()
+        });
+        outcome.published.push(updated);
+        console.log(`PublishingScheduler: Published ${schedule.kind} ${schedule.scheduleId}`);
+      } catch (error) {
+        console.error(`PublishingScheduler: ${schedule.kind} ${schedule.scheduleId} failed:`, error);
+        updated = await ScheduledPublishingStorage.updateSchedule(schedule.scheduleId, {
+          status: STATUS.FAILED,
+          error: error.message
+        });
+        outcome.failed.push(updated);
+      }
+      this._notify(updated);
+    }
+
+    await this._flushReactionDigests(now);
+    return outcome;
+  }
+
+  /**
+   * Publish the reaction digests of registered signers that have come due
+   * @param {number} now - Time to check against
+   * @private
+   */
+  async _flushReactionDigests(now) {
+    for (const [publicKey, signer] of this._signers) {
+      try {
+        const user = userRegistry.users.find(entry => entry.publicKey === publicKey) || null;
+        await reactionService.flushDueDigest(signer, { user, now });
+      } catch (error) {
+        // The reactions stay queued for the next run
+        console.warn(`PublishingScheduler: Reaction digest for ${publicKey.substring(0, 8)}... failed:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Publish a scheduled social post
+   * @param {Object} schedule - Post schedule
+   * @param {TransactionSigner} signer - Author's signer
+   * @returns {Promise<Object>} { transactionId }
+   * @private
+   */
+  async _publishPost(schedule, signer) {
+    const postService = new PostPublishingService();
+    postService.setWallet(signer);
+
+    const { transactionId } = await postService.publishPost(schedule.payload);
+    return { transactionId };
+  }
+
+  /**
+   * Publish a scheduled story, resuming its manifest job if an earlier run started one
+   * @param {Object} schedule - Story schedule
+   * @param {TransactionSigner} signer - Author's signer
+   * @returns {Promise<Object>} { storyId, transactionCount }
+   * @private
+   */
+  async _publishStory(schedule, signer) {
+    let result;
+    if (schedule.jobId && await PublishingJobStorage.getJob(schedule.jobId)) {
+      result = await PublishingServiceM.resumeManifestJob(schedule.jobId, signer);
+    } else {
+      const { content, options } = schedule.payload;
+      const publicationPackage = await ContentServiceM.prepareContentForManifestPublishing(
+        content,
+        schedule.title,
+        schedule.authorPublicKey,
+        options
+      );
+
+      // Record the job first, so a failed run resumes it instead of publishing a second copy
+      await ScheduledPublishingStorage.updateSchedule(schedule.scheduleId, {
+        jobId: PublishingJobStorage.getJobId(publicationPackage.primaryManifest.authorPublicKey, publicationPackage.primaryManifest.manifestRoot)
+      });
+      result = await PublishingServiceM.publishStoryWithManifest(publicationPackage, signer);
+    }
+
+    if (schedule.draftId) {
+      await StorageService.removeInProgressContent(schedule.draftId);
+    }
+    return { storyId: result.storyId, transactionCount: result.transactionCount };
+  }
+
+  /**
+   * Schedule that may be rescheduled or cancelled
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<Object>} The schedule
+   * @throws {Error} If it does not exist, is publishing or was published
+   * @private
+   */
+  async _getChangeableSchedule(scheduleId) {
+    const { PUBLISHING, PUBLISHED } = ScheduledPublishingStorage.STATUS;
+    const schedule = await ScheduledPublishingStorage.getSchedule(scheduleId);
+    if (!schedule) {
+      throw new Error(`Schedule not found: ${scheduleId}`);
+    }
+    if (schedule.status === PUBLISHING && this._running) {
+      throw new Error('Schedule is publishing right now');
+    }
+    if (schedule.status === PUBLISHED) {
+      throw new Error('Schedule was already published');
+    }
+    return schedule;
+  }
+
+  /**
+   * Publish time as milliseconds since the epoch
+   * @param {Date|number} publishAt - Publish time
+   * @returns {number} Time in milliseconds
+   * @throws {Error} If it is not a valid time
+   * @private
+   */
+  _toTime(publishAt) {
+    const time = publishAt instanceof Date ? publishAt.getTime() : publishAt;
+    if (!Number.isFinite(time)) {
+      throw new Error(`Invalid publish time: ${publishAt}`);
+    }
+    return time;
+  }
+
+  /**
+   * Tell listeners about a schedule change
+   * @param {Object} schedule - Changed schedule
+   * @private
+   */
+  _notify(schedule) {
+    this._listeners.forEach(listener => {
+      try {
+        listener(schedule);
+      } catch (error) {
+        console.error('PublishingScheduler: Listener failed:', error);
+      }
+    });
+  }
+}
+
+// Export singleton instance
+export const publishingScheduler = new PublishingScheduler();
+
+// Character count: 17537
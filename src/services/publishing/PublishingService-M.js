@@ -1,9 +1,18 @@
 // src/services/publishing/PublishingService-M.js
 // Path: src/services/publishing/PublishingService-M.js
 
+import { LAMPORTS_PER_SOL } from '@solana/web3.js';
+import bs58 from 'bs58';
 import { blockchainServices } from '../blockchain/BlockchainService';
-import { CompressionService } from '../compression/CompressionService';
+import { MemoCodec } from './MemoCodec';
+import { PublishingJobStorage } from '../storage/content/PublishingJobStorage';
 import { globalRPCRateLimiter } from '../blockchain/shared/GlobalRPCRateLimiter';
+import { PriorityFeeService } from '../blockchain/solana/utils/PriorityFeeService';
+import { SolanaPublisher } from '../blockchain/solana/SolanaPublisher';
+import { StoryManifest } from '../blockchain/shared/models/StoryManifest';
+import { AuthorSignature } from '../blockchain/shared/AuthorSignature';
+import { chunkReaderService } from '../story/ChunkReaderService';
+import ChunkManagerM from '../glyph/processing/ChunkManager-M';
 
 /**
  * 3-Phase Manifest Tree Publishing Service
@@ -13,6 +22,10 @@ import { globalRPCRateLimiter } from '../blockchain/shared/GlobalRPCRateLimiter'
  * Phase 2: Publish Hash List Chunks (arrays of content chunk hashes)
  * Phase 3: Publish Content Glyphs (actual story content)
  * 
+ * Hash lists and glyphs are packed several memos to a transaction when they
+ * fit in one packet; each keeps its own memo instruction, and its position
+ * among the transaction's memos is reported with its transaction ID.
+ * 
  * Based on ADR-003: Manifest-Based Publishing Architecture (3-Tier Enhancement)
  */
 class PublishingServiceM {
@@ -20,26 +33,115 @@ class PublishingServiceM {
    * Publish a story using the 3-tier Manifest Tree Architecture.
    * This enables scalable publishing for content of any length.
    * 
+   * Every transaction is journaled through PublishingJobStorage, so a
+   * publication interrupted by a crash or failure can be finished with
+   * resumeManifestJob. Publishing the same package again also resumes its job.
+   * 
+   * With a fee budget, each transaction's priority fee is capped so the whole
+   * publication (base plus priority fees) never costs more than the budget.
+   * 
+   * The manifest must carry its author's signature. An unsigned manifest is
+   * signed here when the publishing wallet is the author; any other wallet
+   * can only relay a manifest the author already signed.
+   * 
+   * A SponsoredSigner publishes as the author while its FeeSponsor pays: the
+   * balance check is made against the sponsor and the author's sponsor quota
+   * must cover the whole publication before anything is sent.
+   * 
    * @param {Object} publicationPackage - The 3-tier package from ChunkManager-M
-   * @param {Object} keypair - The user's wallet keypair for signing transactions
+   * @param {TransactionSigner} signer - The user's wallet, used to sign transactions
    * @param {Function} [onProgress] - Optional callback for progress updates
+   * @param {Object} [options] - Publishing options
+   * @param {number} [options.feeBudgetLamports] - Most the publication may spend on fees
    * @returns {Promise<Object>} Publication result with all transaction IDs
    */
-   static async publishStoryWithManifest(publicationPackage, keypair, onProgress) {
+   static async publishStoryWithManifest(publicationPackage, signer, onProgress, { feeBudgetLamports = null } = {}) {
     console.log('PublishingService-M.js: publishStoryWithManifest: Beginning 3-tier manifest tree publication');
     console.log('PublishingService-M.js: publishStoryWithManifest: Using GlobalRPCRateLimiter for coordinated publishing');
     console.log('PublishingService-M.js: publishStoryWithManifest: Pre-publish rate limiter stats:', globalRPCRateLimiter.getStats());
-    
-    const { primaryManifest, hashListChunks, contentChunks, summary } = publicationPackage;
-    const totalSteps = 1 + hashListChunks.length + contentChunks.length; // manifest + hash lists + content
+
+    // Make sure every memo fits before the first transaction goes out
+    this._assertPackageFitsMemos(publicationPackage);
+
+    await this._ensureAuthorSignature(publicationPackage.primaryManifest, signer);
+
+    // Journal the whole package before sending anything
+    const job = await PublishingJobStorage.createJob(publicationPackage, signer.publicKey.toBase58(), { feeBudgetLamports });
+
+    const result = await this._runPublishingJob(job, signer, onProgress);
+    publicationPackage.primaryManifest.setStoryId(result.storyId);
+    return result;
+  }
+
+  /**
+   * Finish a manifest publication that stopped part-way (app killed, network
+   * failure). Transactions that were already sent are checked on chain first,
+   * so only tasks that never landed are sent again.
+   * 
+   * @param {string} jobId - Job ID from getResumableJobs
+   * @param {TransactionSigner} signer - The wallet that started the job
+   * @param {Function} [onProgress] - Optional callback for progress updates
+   * @param {Object} [options] - Publishing options
+   * @param {number} [options.feeBudgetLamports] - Replaces the job's fee budget (e.g. after running out)
+   * @returns {Promise<Object>} Publication result with all transaction IDs
+   */
+  static async resumeManifestJob(jobId, signer, onProgress, { feeBudgetLamports } = {}) {
+    console.log('PublishingService-M.js: resumeManifestJob: Resuming job', jobId.substring(0, 24) + '...');
+
+    let job = await PublishingJobStorage.getJob(jobId);
+    if (!job) {
+      throw new Error(`Publishing job not found: ${jobId}`);
+    }
+
+    if (feeBudgetLamports !== undefined) {
+      job = await PublishingJobStorage.updateJob(jobId, { feeBudgetLamports });
+    }
+
+    return await this._runPublishingJob(job, signer, onProgress);
+  }
+
+  /**
+   * Manifest publications that have not completed, most recent first
+   * @returns {Promise<Array>} Resumable publishing jobs
+   */
+  static async getResumableJobs() {
+    return await PublishingJobStorage.getResumableJobs();
+  }
+
+  /**
+   * Run the three phases of a journaled job, skipping confirmed tasks
+   * @param {Object} job - Job from PublishingJobStorage
+   * @param {TransactionSigner} signer - The wallet that started the job
+   * @param {Function} [onProgress] - Optional callback for progress updates
+   * @returns {Promise<Object>} Publication result with all transaction IDs
+   * @private
+   */
+  static async _runPublishingJob(job, signer, onProgress) {
+    const { CONFIRMED } = PublishingJobStorage.TASK_STATUS;
+
+    if (signer.publicKey.toBase58() !== job.signerPublicKey) {
+      throw new Error('Signer does not match the wallet that started this publishing job');
+    }
+
+    const { jobId, hashListChunks, contentChunks } = job;
+    const totalSteps = job.tasks.length; // manifest + hash lists + content
+    const tasksOf = (type) => job.tasks.filter(task => task.type === type);
+    const confirmedOf = (type) => tasksOf(type).filter(task => task.status === CONFIRMED);
+    const signaturesOf = (type) => confirmedOf(type).map(task => task.signature);
+    const locationsOf = (type) => confirmedOf(type).map(task => ({ transactionId: task.signature, instruction: task.instruction ?? 0 }));
     
     const result = {
-      storyId: null,
+      jobId,
+      storyId: job.storyId,
       manifestTransactionId: null,
       hashListTransactionIds: [],
       glyphTransactionIds: [],
+      hashListLocations: [],
+      glyphLocations: [],
+      transactionCount: 0,
       publishedAt: Date.now(),
-      summary: summary,
+      summary: job.summary,
+      fees: { budgetLamports: job.feeBudgetLamports ?? null, estimatedLamports: null, spentLamports: 0 },
       phases: {
         manifest: { status: 'pending', transactionId: null },
         hashLists: { status: 'pending', transactionIds: [], total: hashListChunks.length },
@@ -51,118 +153,127 @@ class PublishingServiceM {
     const publisher = blockchainServices.getPublisher();
 
     try {
-      // === PHASE 1: Publish Primary Manifest ===
-      console.log('PublishingService-M.js: publishStoryWithManifest: Phase 1 - Publishing primary manifest');
-      
-      if (onProgress) {
-        onProgress({ 
-          current: 0, 
-          total: totalSteps, 
-          phase: 'manifest',
-          message: 'Publishing story manifest...' 
+      // Settle transactions that were sent before the job stopped
+      await this._reconcileSentTasks(job, publisher);
+
+      // Price what is left to send and make sure the wallet (or its sponsor) can pay for it
+      const estimate = await this._estimateJobCost(job, signer, publisher);
+      if (!estimate.balance.sufficient) {
+        throw new Error(`Insufficient balance: publishing needs ${estimate.totals.totalLamports} lamports but the wallet has ${estimate.balance.lamports}`);
+      }
+      if (signer.sponsor) {
+        await signer.sponsor.assertQuota(signer.publicKey, {
+          transactions: estimate.totals.transactions,
+          lamports: estimate.totals.totalLamports
         });
       }
+      result.fees.estimatedLamports = estimate.totals.totalLamports;
 
-      // Serialize primary manifest (should be small now)
-      const manifestMemo = this._serializeDataToMemo(primaryManifest.serialize(), {
-        type: 'manifest',
-        protocol: 'glyffiti-manifest-tree-v1'
-      });
+      await PublishingJobStorage.updateJob(jobId, { status: PublishingJobStorage.JOB_STATUS.IN_PROGRESS, error: null });
+
+      // === PHASE 1: Publish Primary Manifest ===
+      const manifestTask = tasksOf('manifest')[0];
+      
+      if (manifestTask.status !== CONFIRMED) {
+        console.log('PublishingService-M.js: publishStoryWithManifest: Phase 1 - Publishing primary manifest');
+        
+        if (onProgress) {
+          onProgress({ 
+            current: 0, 
+            total: totalSteps, 
+            phase: 'manifest',
+            message: 'Publishing story manifest...' 
+          });
+        }
+
+        // Serialize primary manifest (should be small now)
+        const manifestMemo = this._taskMemo(job, 'manifest', 0);
 
-      // Publish manifest transaction (GlobalRPCRateLimiter coordinates this automatically)
-      const manifestTxId = await publisher.publishSingleTransaction(manifestMemo, keypair);
+        // Publish manifest transaction on its own - its signature is the story ID
+        await this._publishJobBatch(job, { tasks: [manifestTask], memos: [manifestMemo] }, signer, publisher);
+      }
       
       // Set the story ID from manifest transaction signature
-      primaryManifest.setStoryId(manifestTxId);
-      result.storyId = manifestTxId;
-      result.manifestTransactionId = manifestTxId;
+      if (job.storyId !== manifestTask.signature) {
+        job.storyId = manifestTask.signature;
+        await PublishingJobStorage.updateJob(jobId, { storyId: job.storyId });
+      }
+      result.storyId = job.storyId;
+      result.manifestTransactionId = job.storyId;
       result.phases.manifest.status = 'completed';
-      result.phases.manifest.transactionId = manifestTxId;
+      result.phases.manifest.transactionId = job.storyId;
       
-      console.log('PublishingService-M.js: publishStoryWithManifest: Phase 1 complete - Manifest TX ID:', manifestTxId);
+      console.log('PublishingService-M.js: publishStoryWithManifest: Phase 1 complete - Manifest TX ID:', job.storyId);
 
       // === PHASE 2: Publish Hash List Chunks ===
-      console.log('PublishingService-M.js: publishStoryWithManifest: Phase 2 - Publishing', hashListChunks.length, 'hash list chunks');
-      
-      // Prepare hash list tasks for concurrent publishing
-      const hashListTasks = hashListChunks.map((hashChunk, index) => ({
-        type: 'hashlist',
-        storyId: result.storyId,
-        index: index,
-        totalHashLists: hashListChunks.length,
-        hashes: hashChunk
-      }));
+      const hashListBatches = this._packTasks(
+        tasksOf('hashlist').filter(task => task.status !== CONFIRMED),
+        (task) => this._taskMemo(job, 'hashlist', task.index),
+        publisher,
+        SolanaPublisher.coSignersOf(signer)
+      );
+      console.log('PublishingService-M.js: publishStoryWithManifest: Phase 2 - Publishing', hashListChunks.length - confirmedOf('hashlist').length, 'of', hashListChunks.length, 'hash list chunks in', hashListBatches.length, 'transactions');
 
       // Publish hash lists with reduced concurrency - GlobalRPCRateLimiter handles optimal rate
-      result.hashListTransactionIds = await this._publishTasksWithConcurrency(
-        hashListTasks,
-        async (task) => {
-          const memo = this._serializeDataToMemo(task.hashes, {
-            type: 'hashlist',
-            storyId: task.storyId,
-            index: task.index,
-            totalHashLists: task.totalHashLists
-          });
-          return await publisher.publishSingleTransaction(memo, keypair);
-        },
+      await this._publishTasksWithConcurrency(
+        hashListBatches,
+        async (batch) => await this._publishJobBatch(job, batch, signer, publisher),
         2, // Lower concurrency - GlobalRPCRateLimiter handles optimal rate
-        (completed, total) => {
+        () => {
           if (onProgress) {
+            const published = confirmedOf('hashlist').length;
             onProgress({
-              current: 1 + completed,
+              current: 1 + published,
               total: totalSteps,
               phase: 'hashlist',
-              message: `Publishing hash list ${completed + 1} of ${total}...`
+              message: `Publishing hash list ${Math.min(published + 1, hashListChunks.length)} of ${hashListChunks.length}...`
             });
           }
         }
       );
 
+      result.hashListTransactionIds = signaturesOf('hashlist');
+      result.hashListLocations = locationsOf('hashlist');
       result.phases.hashLists.status = 'completed';
       result.phases.hashLists.transactionIds = result.hashListTransactionIds;
       console.log('PublishingService-M.js: publishStoryWithManifest: Phase 2 complete - Hash lists published');
 
       // === PHASE 3: Publish Content Chunks ===
-      console.log('PublishingService-M.js: publishStoryWithManifest: Phase 3 - Publishing', contentChunks.length, 'content chunks');
-
-      // Prepare content tasks for concurrent publishing
-      const contentTasks = contentChunks.map((chunk, index) => ({
-        type: 'content',
-        storyId: result.storyId,
-        index: index,
-        totalChunks: contentChunks.length,
-        content: chunk,
-        reGlyphCap: index === 0 ? primaryManifest.reGlyphCap : undefined // Only on first chunk
-      }));
+      const contentBatches = this._packTasks(
+        tasksOf('glyph').filter(task => task.status !== CONFIRMED),
+        (task) => this._taskMemo(job, 'glyph', task.index),
+        publisher,
+        SolanaPublisher.coSignersOf(signer)
+      );
+      console.log('PublishingService-M.js: publishStoryWithManifest: Phase 3 - Publishing', contentChunks.length - confirmedOf('glyph').length, 'of', contentChunks.length, 'content chunks in', contentBatches.length, 'transactions');
 
       // Publish content with reduced concurrency - GlobalRPCRateLimiter handles optimal rate
-      result.glyphTransactionIds = await this._publishTasksWithConcurrency(
-        contentTasks,
-        async (task) => {
-          const memo = this._serializeDataToMemo(task.content, {
-            type: 'glyph',
-            storyId: task.storyId,
-            index: task.index,
-            totalChunks: task.totalChunks,
-            reGlyphCap: task.reGlyphCap
-          });
-          return await publisher.publishSingleTransaction(memo, keypair);
-        },
+      await this._publishTasksWithConcurrency(
+        contentBatches,
+        async (batch) => await this._publishJobBatch(job, batch, signer, publisher),
         2, // Lower concurrency - GlobalRPCRateLimiter handles optimal rate
-        (completed, total) => {
+        () => {
           if (onProgress) {
+            const published = confirmedOf('glyph').length;
             onProgress({
-              current: 1 + hashListChunks.length + completed,
+              current: 1 + hashListChunks.length + published,
               total: totalSteps,
               phase: 'content',
-              message: `Publishing content ${completed + 1} of ${total}...`
+              message: `Publishing content ${Math.min(published + 1, contentChunks.length)} of ${contentChunks.length}...`
             });
           }
         }
       );
 
+      result.glyphTransactionIds = signaturesOf('glyph');
+      result.glyphLocations = locationsOf('glyph');
+      result.transactionCount = new Set(job.tasks.map(task => task.signature)).size;
       result.phases.content.status = 'completed';
       result.phases.content.transactionIds = result.glyphTransactionIds;
+      result.fees.spentLamports = job.tasks.reduce((sum, task) => sum + (task.feeLamports || 0), 0);
+
+      // Every transaction landed - the journal entry is no longer needed
+      await PublishingJobStorage.removeJob(jobId);
 
       // Final progress update
       if (onProgress) {
@@ -176,7 +287,7 @@ class PublishingServiceM {
 
       console.log('PublishingService-M.js: publishStoryWithManifest: 3-tier publication complete');
       console.log('PublishingService-M.js: publishStoryWithManifest: Story ID:', result.storyId);
-      console.log('PublishingService-M.js: publishStoryWithManifest: Total transactions:', totalSteps);
+      console.log('PublishingService-M.js: publishStoryWithManifest: Total transactions:', result.transactionCount, 'for', totalSteps, 'memos');
       console.log('PublishingService-M.js: publishStoryWithManifest: Final rate limiter stats:', globalRPCRateLimiter.getStats());
 
       return result;
@@ -184,13 +295,21 @@ class PublishingServiceM {
     } catch (error) {
       console.error('PublishingService-M.js: publishStoryWithManifest: Publication failed:', error);
       console.error('PublishingService-M.js: publishStoryWithManifest: Rate limiter stats at failure:', globalRPCRateLimiter.getStats());
+
+      // Keep the job so it can be resumed
+      await PublishingJobStorage.updateJob(jobId, {
+        status: PublishingJobStorage.JOB_STATUS.FAILED,
+        error: error.message
+      }).catch(journalError => {
+        console.error('PublishingService-M.js: publishStoryWithManifest: Could not record failure in job journal:', journalError);
+      });
       
       // Mark failed phases
       if (!result.manifestTransactionId) {
         result.phases.manifest.status = 'failed';
-      } else if (result.hashListTransactionIds.length < hashListChunks.length) {
+      } else if (signaturesOf('hashlist').length < hashListChunks.length) {
         result.phases.hashLists.status = 'partial';
-      } else if (result.glyphTransactionIds.length < contentChunks.length) {
+      } else if (signaturesOf('glyph').length < contentChunks.length) {
         result.phases.content.status = 'partial';
       }
       
@@ -199,11 +318,195 @@ class PublishingServiceM {
     }
   }
 
+  /**
+   * Send one transaction carrying one or more journaled tasks. Signature,
+   * memo positions and fees are recorded before the transaction is sent, and
+   * the outcome (confirmed or failed) right after, in one journal write each.
+   * @param {Object} job - Job from PublishingJobStorage (kept in sync in memory)
+   * @param {Object} batch - { tasks, memos } from _packTasks (memos in task order)
+   * @param {TransactionSigner} signer - Wallet that signs and pays
+   * @param {Object} publisher - Blockchain publisher
+   * @returns {Promise<string>} Transaction signature
+   * @private
+   */
+  static async _publishJobBatch(job, { tasks, memos }, signer, publisher) {
+    const { SENDING, CONFIRMED, FAILED } = PublishingJobStorage.TASK_STATUS;
+    const record = async (updatesFor) => {
+      const taskUpdates = tasks.map((task, position) => {
+        const updates = typeof updatesFor === 'function' ? updatesFor(task, position) : updatesFor;
+        Object.assign(task, updates);
+        return { type: task.type, index: task.index, updates };
+      });
+      await PublishingJobStorage.updateTasks(job.jobId, taskUpdates);
+    };
+
+    await record(task => ({ status: SENDING, feeLamports: null, attempts: task.attempts + 1, lastError: null }));
+
+    try {
+      const priorityFee = await this._priorityFeeForTasks(job, tasks, publisher.priorityFees);
+      const feeShares = this._splitFee(PriorityFeeService.BASE_FEE_LAMPORTS + priorityFee.priorityFeeLamports, tasks.length);
+      tasks.forEach((task, position) => {
+        task.feeLamports = feeShares[position]; // Counted by concurrent transactions' budget caps right away
+      });
+
+      const signature = await publisher.publishSingleTransaction(memos, signer, {
+        priorityFee,
+        context: { jobId: job.jobId },
+        onSigned: (pendingSignature, { lastValidBlockHeight }) => record((task, position) => ({
+          signature: pendingSignature,
+          instruction: position,
+          lastValidBlockHeight,
+          feeLamports: feeShares[position]
+        }))
+      });
+      await record({ status: CONFIRMED, signature });
+      return signature;
+    } catch (error) {
+      await record({ status: FAILED, lastError: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Group tasks, in order, into as few transactions as their memos fit in
+   * @param {Array} tasks - Tasks (or { index } stand-ins) to pack
+   * @param {Function} memoFor - Serializes the memo for a task
+   * @param {Object} publisher - Blockchain publisher (measures transactions)
+   * @param {Array<PublicKey>} [coSigners] - Co-signers named by each memo (see SolanaPublisher.coSignersOf)
+   * @returns {Array} Batches of { tasks, memos }
+   * @private
+   */
+  static _packTasks(tasks, memoFor, publisher, coSigners = []) {
+    // Every memo adds its compute unit allowance to the transaction's limit
+    const maxMemos = Math.max(1, Math.floor(
+      PriorityFeeService.MAX_COMPUTE_UNIT_LIMIT / publisher.priorityFees.config.computeUnitLimit
+    ));
+
+    const batches = [];
+    let batch = null;
+    for (const task of tasks) {
+      const memo = memoFor(task);
+      const fits = batch && batch.memos.length < maxMemos &&
+        publisher.measureMemoTransaction([...batch.memos, memo], coSigners) <= SolanaPublisher.MAX_TRANSACTION_SIZE;
+
+      if (fits) {
+        batch.tasks.push(task);
+        batch.memos.push(memo);
+      } else {
+        batch = { tasks: [task], memos: [memo] };
+        batches.push(batch);
+      }
+    }
+    return batches;
+  }
+
+  /**
+   * Split a transaction fee between the tasks it carries
+   * @param {number} feeLamports - Transaction fee
+   * @param {number} parts - Number of tasks
+   * @returns {number[]} Shares that add up to feeLamports
+   * @private
+   */
+  static _splitFee(feeLamports, parts) {
+    const share = Math.floor(feeLamports / parts);
+    return Array.from({ length: parts }, (_, position) =>
+      position === 0 ? feeLamports - share * (parts - 1) : share);
+  }
+
+  /**
+   * Quote the priority fee for a transaction carrying some tasks, capped by
+   * what is left of the job's fee budget spread evenly over the tasks that
+   * have not been sent yet. Tasks in flight count at the fee they were quoted;
+   * until quoted they share the rest.
+   * @param {Object} job - Job from PublishingJobStorage
+   * @param {Object[]} tasks - Tasks about to be sent together
+   * @param {PriorityFeeService} priorityFees - The publisher's fee service
+   * @returns {Promise<Object>} Priority fee quote for the transaction
+   * @private
+   */
+  static async _priorityFeeForTasks(job, tasks, priorityFees) {
+    if (job.feeBudgetLamports == null) {
+      return await priorityFees.getPriorityFee({ instructions: tasks.length });
+    }
+
+    const { SENDING, CONFIRMED } = PublishingJobStorage.TASK_STATUS;
+    const committed = job.tasks.filter(other => !tasks.includes(other) && other.feeLamports != null &&
+      (other.status === CONFIRMED || other.status === SENDING));
+    const spent = committed.reduce((sum, other) => sum + other.feeLamports, 0);
+
+    const maxMicroLamports = PriorityFeeService.capForBudget(
+      job.feeBudgetLamports - spent,
+      job.tasks.length - committed.length,
+      priorityFees.config.computeUnitLimit
+    );
+    return await priorityFees.getPriorityFee({ maxMicroLamports, instructions: tasks.length });
+  }
+
+  /**
+   * Mark tasks whose transaction landed before the job stopped as confirmed.
+   * A signature with no final status may still be in flight, so it is
+   * followed until it lands or its blockhash expires; only then is its task
+   * left to be signed again.
+   * @param {Object} job - Job from PublishingJobStorage (kept in sync in memory)
+   * @param {Object} publisher - Blockchain publisher (connection and confirmation tracker)
+   * @returns {Promise<number>} Number of tasks found on chain
+   * @private
+   */
+  static async _reconcileSentTasks(job, publisher) {
+    const { CONFIRMED } = PublishingJobStorage.TASK_STATUS;
+    const sent = job.tasks.filter(task => task.status !== CONFIRMED && task.signature);
+    if (sent.length === 0) {
+      return 0;
+    }
+
+    console.log('PublishingService-M.js: _reconcileSentTasks: Checking', sent.length, 'sent transactions on chain');
+    const confirm = async (task) => {
+      task.status = CONFIRMED;
+      await PublishingJobStorage.updateTask(job.jobId, task.type, task.index, { status: CONFIRMED });
+    };
+    const inFlight = new Map(); // signature → lastValidBlockHeight
+    let landed = 0;
+
+    // getSignatureStatuses accepts up to 256 signatures per call
+    for (let i = 0; i < sent.length; i += 256) {
+      const batch = sent.slice(i, i + 256);
+      const { value: statuses } = await globalRPCRateLimiter.executeWithRateLimit(
+        () => publisher.connection.getSignatureStatuses(batch.map(task => task.signature), { searchTransactionHistory: true }),
+        'reconcile publishing job',
+        'PublishingService-M'
+      );
+
+      for (let j = 0; j < batch.length; j++) {
+        const status = statuses[j];
+        if (status && !status.err && ['confirmed', 'finalized'].includes(status.confirmationStatus)) {
+          await confirm(batch[j]);
+          landed++;
+        } else if (!status?.err) {
+          inFlight.set(batch[j].signature, batch[j].lastValidBlockHeight ?? null);
+        }
+      }
+    }
+
+    // Tasks packed into one transaction share its signature: wait once per transaction
+    for (const [signature, lastValidBlockHeight] of inFlight) {
+      const record = await publisher.confirmations.waitForConfirmation(signature, { lastValidBlockHeight });
+      if (['confirmed', 'finalized'].includes(record.status)) {
+        const tasks = sent.filter(task => task.signature === signature);
+        for (const task of tasks) {
+          await confirm(task);
+        }
+        landed += tasks.length;
+      }
+    }
+
+    console.log('PublishingService-M.js: _reconcileSentTasks:', landed, 'of', sent.length, 'sent transactions had landed');
+    return landed;
+  }
 
   /**
    * Publish tasks with controlled concurrency to avoid rate limiting
-   * @param {Array} tasks - Array of tasks to publish
-   * @param {Function} taskPublisher - Async function that publishes a single task
+   * @param {Array} tasks - Array of tasks (or packed batches of tasks) to publish
+   * @param {Function} taskPublisher - Async function that publishes a single task or batch
    * @param {number} concurrencyLimit - Maximum concurrent operations
    * @param {Function} onProgressUpdate - Callback for progress updates
    * @returns {Promise<Array>} Array of transaction IDs
@@ -264,98 +567,293 @@ class PublishingServiceM {
 }
 
   /**
-   * Enhanced serialization for 3-tier architecture
+   * Sign an unsigned manifest when the publishing wallet is its author;
+   * otherwise require the author's signature to be there already
+   * @param {StoryManifest} manifest - Primary manifest of the package
+   * @param {TransactionSigner} signer - Publishing (fee-paying) wallet
+   * @throws {Error} If another account tries to publish an unsigned manifest
+   * @private
+   */
+  static async _ensureAuthorSignature(manifest, signer) {
+    if (manifest.authorSignature) {
+      // Once published, setStoryId changes publishedAt locally; the job keeps the signed copy
+      const status = manifest.storyId ? null : StoryManifest.verifyAuthorSignature(manifest.serialize());
+      if (status && status !== AuthorSignature.Status.VALID) {
+        throw new Error('Manifest author signature does not match its contents');
+      }
+      return;
+    }
+
+    if (signer.publicKey.toBase58() !== manifest.authorPublicKey) {
+      throw new Error('Manifest must be signed by its author before another account can publish it');
+    }
+    await manifest.sign(signer);
+  }
+
+  /**
+   * Serialize every memo of a publication package (with a full-size stand-in
+   * story id) so an oversized memo fails before anything is sent, rather than
+   * halfway through the publication.
+   * @param {Object} publicationPackage - Package from ChunkManager-M
+   * @throws {Error} If any memo exceeds MemoCodec.MAX_MEMO_BYTES
+   * @private
+   */
+  static _assertPackageFitsMemos(publicationPackage) {
+    const source = this._packageSource(publicationPackage);
+    const { hashListChunks, contentChunks } = source;
+
+    this._taskMemo(source, 'manifest', 0);
+    hashListChunks.forEach((_, index) => this._taskMemo(source, 'hashlist', index));
+    contentChunks.forEach((_, index) => this._taskMemo(source, 'glyph', index));
+
+    console.log('PublishingService-M.js: _assertPackageFitsMemos: All', 1 + hashListChunks.length + contentChunks.length, 'memos fit');
+  }
+
+  /**
+   * Memo source for a package that has not been journaled yet, shaped like a
+   * job, with a full-size stand-in story id (and author signature, if unsigned)
+   * @param {Object} publicationPackage - Package from ChunkManager-M
+   * @returns {Object} { manifest, hashListChunks, contentChunks, reGlyphCap, storyId }
+   * @private
+   */
+  static _packageSource(publicationPackage) {
+    const { primaryManifest, hashListChunks, contentChunks } = publicationPackage;
+    return {
+      manifest: { sig: MemoCodec.PLACEHOLDER_STORY_ID, ...primaryManifest.serialize() },
+      hashListChunks,
+      contentChunks,
+      reGlyphCap: primaryManifest.reGlyphCap,
+      storyId: MemoCodec.PLACEHOLDER_STORY_ID
+    };
+  }
+
+  /**
+   * Serialized memo for one task of a job (or of a package source)
+   * @param {Object} source - Job, or _packageSource of a package
+   * @param {string} type - 'manifest', 'hashlist' or 'glyph'
+   * @param {number} index - Chunk index within its tier
+   * @returns {string} Memo text
+   * @private
+   */
+  static _taskMemo(source, type, index) {
+    const { hashListChunks, contentChunks } = source;
+    // Before the manifest lands, size memos with the stand-in story id
+    const storyId = source.storyId || MemoCodec.PLACEHOLDER_STORY_ID;
+
+    if (type === 'manifest') {
+      return this._serializeDataToMemo(source.manifest, {
+        type: 'manifest',
+        protocol: 'glyffiti-manifest-tree-v1'
+      });
+    }
+
+    if (type === 'hashlist') {
+      return this._serializeDataToMemo(hashListChunks[index], {
+        type: 'hashlist',
+        storyId,
+        index,
+        totalHashLists: hashListChunks.length
+      });
+    }
+
+    return this._serializeDataToMemo(contentChunks[index], {
+      type: 'glyph',
+      storyId,
+      index,
+      totalChunks: contentChunks.length,
+      reGlyphCap: index === 0 ? source.reGlyphCap : undefined // Only on first chunk
+    });
+  }
+
+  /**
+   * Memos per tier, packed into transactions as they would be sent
+   * @param {Object} source - Job, or _packageSource of a package
+   * @param {Object} publisher - Blockchain publisher (measures transactions)
+   * @param {Array} [tasks] - Only these tasks (defaults to every chunk of the source)
+   * @param {Array<PublicKey>} [coSigners] - Co-signers named by each memo
+   * @returns {Object} { manifest, hashLists, content }: memos of each transaction
+   * @private
+   */
+  static _memoGroups(source, publisher, tasks = null, coSigners = []) {
+    const tasksOf = (type, count) => tasks
+      ? tasks.filter(task => task.type === type)
+      : Array.from({ length: count }, (_, index) => ({ type, index }));
+    const pack = (type, count) => this._packTasks(
+      tasksOf(type, count),
+      (task) => this._taskMemo(source, type, task.index),
+      publisher,
+      coSigners
+    ).map(batch => batch.memos);
+
+    return {
+      // The manifest is always sent on its own
+      manifest: tasksOf('manifest', 1).map(task => [this._taskMemo(source, 'manifest', task.index)]),
+      hashLists: pack('hashlist', source.hashListChunks.length),
+      content: pack('glyph', source.contentChunks.length)
+    };
+  }
+
+  /**
+   * Price the transactions a job still has to send (see _estimateMemoGroups)
+   * @param {Object} job - Job from PublishingJobStorage
+   * @param {TransactionSigner} signer - Wallet that signs (and pays, unless it has a sponsor)
+   * @param {Object} publisher - Blockchain publisher
+   * @returns {Promise<Object>} Cost estimate with balance check
+   * @private
+   */
+  static async _estimateJobCost(job, signer, publisher) {
+    const { CONFIRMED } = PublishingJobStorage.TASK_STATUS;
+    const pending = job.tasks.filter(task => task.status !== CONFIRMED);
+
+    // What is left of the fee budget after the transactions that already landed
+    const spent = job.tasks
+      .filter(task => task.status === CONFIRMED)
+      .reduce((sum, task) => sum + (task.feeLamports || 0), 0);
+    const feeBudgetLamports = job.feeBudgetLamports == null ? null : job.feeBudgetLamports - spent;
+
+    const coSigners = SolanaPublisher.coSignersOf(signer);
+    return await this._estimateMemoGroups(
+      this._memoGroups(job, publisher, pending, coSigners),
+      SolanaPublisher.feePayerOf(signer),
+      publisher,
+      feeBudgetLamports,
+      coSigners
+    );
+  }
+
+  /**
+   * Price packed memo groups with the cluster's fee API and compare the total
+   * with the fee payer's balance
+   * @param {Object} groups - Memo groups per tier from _memoGroups
+   * @param {PublicKey|string} feePayer - Wallet that pays
+   * @param {Object} publisher - Blockchain publisher
+   * @param {number|null} feeBudgetLamports - Fee budget that caps the priority fee
+   * @param {Array<PublicKey>} [coSigners] - Co-signers named by each memo
+   * @returns {Promise<Object>} { tiers, totals, feeBudgetLamports, balance }
+   * @private
+   */
+  static async _estimateMemoGroups(groups, feePayer, publisher, feeBudgetLamports, coSigners = []) {
+    const tierNames = Object.keys(groups);
+    const memoGroups = tierNames.flatMap(tier => groups[tier]);
+    const memos = memoGroups.reduce((sum, group) => sum + group.length, 0);
+
+    const maxMicroLamports = feeBudgetLamports == null
+      ? undefined
+      : PriorityFeeService.capForBudget(feeBudgetLamports, memos, publisher.priorityFees.config.computeUnitLimit);
+    const priced = await publisher.estimateMemoTransactions(memoGroups, feePayer, { maxMicroLamports, coSigners });
+
+    const summarize = (transactions) => {
+      const sum = (field) => transactions.reduce((total, tx) => total + tx[field], 0);
+      const totalLamports = sum('feeLamports') + sum('rentLamports');
+      return {
+        transactions: transactions.length,
+        memos: sum('memos'),
+        baseFeeLamports: sum('feeLamports') - sum('priorityFeeLamports'),
+        priorityFeeLamports: sum('priorityFeeLamports'),
+        rentLamports: sum('rentLamports'),
+        totalLamports,
+        costSOL: totalLamports / LAMPORTS_PER_SOL
+      };
+    };
+
+    const tiers = {};
+    let offset = 0;
+    for (const tier of tierNames) {
+      tiers[tier] = summarize(priced.transactions.slice(offset, offset + groups[tier].length));
+      offset += groups[tier].length;
+    }
+    const totals = summarize(priced.transactions);
+
+    const lamports = await publisher.getBalanceLamports(feePayer);
+    return {
+      tiers,
+      totals,
+      feeBudgetLamports,
+      balance: {
+        lamports,
+        sufficient: lamports >= totals.totalLamports,
+        shortfallLamports: Math.max(0, totals.totalLamports - lamports)
+      }
+    };
+  }
+
+  /**
+   * Enhanced serialization for 3-tier architecture.
+   * Memos are written as MemoCodec binary frames; readers still accept the
+   * older deflated JSON memos.
    * @param {any} data - Data to serialize
    * @param {Object} metadata - Transaction metadata
-   * @returns {string} Compressed, Base64 encoded string for transaction memo
+   * @returns {string} Memo text for the transaction
+   * @throws {Error} If the memo exceeds MemoCodec.MAX_MEMO_BYTES
    * @private
    */
   static _serializeDataToMemo(data, metadata = {}) {
     console.log('PublishingService-M.js: _serializeDataToMemo: Serializing', metadata.type, 'data');
     
-    let memoObject;
+    // Build, frame, compress, and encode
+    const memoString = MemoCodec.serialize(data, metadata);
+    const memoBytes = MemoCodec.byteLength(memoString);
     
-    if (metadata.type === 'manifest') {
-      // Primary manifest - should be small now with just manifestRoot
-      memoObject = {
-        p: 'g-mt-v1',           // Protocol: glyffiti-manifest-tree-v1
-        t: 'manifest',          // Type
-        d: data                 // Serialized manifest data
-      };
-    } else if (metadata.type === 'hashlist') {
-      // Hash list chunk
-      memoObject = {
-        p: 'g-mt-v1',           // Protocol
-        t: 'hashlist',          // Type
-        sid: metadata.storyId,  // Story ID
-        i: metadata.index,      // Chunk index
-        thl: metadata.totalHashLists, // Total hash list chunks
-        h: data                 // Array of hashes
-      };
-    } else if (metadata.type === 'glyph') {
-      // Content chunk
-      memoObject = {
-        p: 'g-mt-v1',           // Protocol
-        t: 'glyph',             // Type  
-        sid: metadata.storyId,  // Story ID
-        i: metadata.index,      // Chunk index
-        tc: metadata.totalChunks, // Total content chunks
-        c: data                 // Content string
-      };
-      
-      // Include reGlyphCap only on first chunk
-      if (metadata.reGlyphCap !== undefined) {
-        memoObject.rgc = metadata.reGlyphCap;
-      }
-    } else {
-      throw new Error(`Unknown memo type: ${metadata.type}`);
-    }
-
-    // Serialize, compress, and encode
-    const jsonString = JSON.stringify(memoObject);
-    const compressedData = CompressionService.compress(jsonString);
-    const base64String = CompressionService.uint8ArrayToBase64(compressedData);
+    console.log('PublishingService-M.js: _serializeDataToMemo: Serialized', metadata.type, 'to', memoBytes, 'bytes');
     
-    console.log('PublishingService-M.js: _serializeDataToMemo: Serialized', metadata.type, 'to', base64String.length, 'characters');
-    
-    // Verify size is within limits
-    if (base64String.length > 566) {
-      console.warn('PublishingService-M.js: _serializeDataToMemo: Warning - memo size', base64String.length, 'exceeds recommended limit');
+    // Refuse anything the memo program would reject at send time
+    if (memoBytes > MemoCodec.MAX_MEMO_BYTES) {
+      throw new Error(`Memo too large: ${metadata.type} memo is ${memoBytes} bytes (max ${MemoCodec.MAX_MEMO_BYTES})`);
     }
     
-    return base64String;
+    return memoString;
   }
 
   /**
-   * Estimate the cost and time for 3-tier publishing
+   * Estimate the cost and time for 3-tier publishing, including the priority
+   * fee the publisher would pay (or the one passed in). Hash lists and glyphs
+   * are packed as they would be when published.
    * @param {Object} publicationPackage - Package from ChunkManager-M
+   * @param {Object} [options] - Estimate options
+   * @param {Object} [options.priorityFee] - Priority fee quote (defaults to the publisher's current strategy)
+   * @param {number} [options.feeBudgetLamports] - Fee budget that would cap the priority fee
    * @returns {Object} Cost and time estimates
    */
-  static estimatePublishing(publicationPackage) {
+  static estimatePublishing(publicationPackage, { priorityFee = null, feeBudgetLamports = null } = {}) {
     console.log('PublishingService-M.js: estimatePublishing: Calculating 3-tier estimates');
     
     const { primaryManifest, hashListChunks, contentChunks } = publicationPackage;
+    const publisher = blockchainServices.getPublisher();
     
-    // Base cost per transaction (rough Solana estimate)
-    const baseTransactionCost = 0.000005; // SOL
+    // Memos: 1 manifest + N hash lists + N content chunks, packed into fewer transactions
+    const totalMemos = 1 + hashListChunks.length + contentChunks.length;
+    const groups = this._memoGroups(this._packageSource(publicationPackage), publisher);
+    const hashListTransactions = groups.hashLists.length;
+    const contentTransactions = groups.content.length;
+    const totalTransactions = 1 + hashListTransactions + contentTransactions;
     
-    // Total transactions: 1 manifest + N hash lists + N content chunks
-    const totalTransactions = 1 + hashListChunks.length + contentChunks.length;
+    // Priority fee per memo, capped by the fee budget when one is given
+    let quote = priorityFee;
+    if (!quote) {
+      const maxMicroLamports = feeBudgetLamports == null
+        ? undefined
+        : PriorityFeeService.capForBudget(feeBudgetLamports, totalMemos, publisher.priorityFees.config.computeUnitLimit);
+      quote = publisher.priorityFees.peekPriorityFee({ maxMicroLamports });
+    }
+    const phaseCost = (transactions, memos) => PriorityFeeService.estimateCost(transactions, quote, memos).totalSOL;
+    const totalCost = PriorityFeeService.estimateCost(totalTransactions, quote, totalMemos);
     
     const estimate = {
       architecture: '3-tier',
       phases: {
-        manifest: { transactions: 1, costSOL: baseTransactionCost },
+        manifest: { transactions: 1, memos: 1, costSOL: phaseCost(1, 1) },
         hashLists: { 
-          transactions: hashListChunks.length, 
-          costSOL: hashListChunks.length * baseTransactionCost,
+          transactions: hashListTransactions, 
+          memos: hashListChunks.length,
+          costSOL: phaseCost(hashListTransactions, hashListChunks.length),
           averageHashesPerChunk: Math.round(
             hashListChunks.reduce((sum, chunk) => sum + chunk.length, 0) / hashListChunks.length
           )
         },
         content: { 
-          transactions: contentChunks.length, 
-          costSOL: contentChunks.length * baseTransactionCost,
+          transactions: contentTransactions, 
+          memos: contentChunks.length,
+          costSOL: phaseCost(contentTransactions, contentChunks.length),
           averageChunkSize: Math.round(
             contentChunks.reduce((sum, chunk) => sum + chunk.length, 0) / contentChunks.length
           )
@@ -363,7 +861,17 @@ class PublishingServiceM {
       },
       totals: {
         transactions: totalTransactions,
-        estimatedCostSOL: totalTransactions * baseTransactionCost,
+        memos: totalMemos,
+        estimatedCostSOL: totalCost.totalSOL,
+        estimatedCostLamports: totalCost.totalLamports,
+        priorityFee: {
+          strategy: quote.strategy,
+          microLamportsPerComputeUnit: quote.microLamports,
+          computeUnitLimit: quote.computeUnitLimit,
+          lamportsPerMemo: quote.priorityFeeLamports,
+          totalLamports: totalCost.priorityFeeLamports
+        },
+        feeBudgetLamports,
         estimatedTimeSeconds: Math.ceil(totalTransactions / 3), // With 3x concurrency
         manifestRoot: primaryManifest.manifestRoot.substring(0, 16) + '...',
         contentLength: primaryManifest.contentLength
@@ -374,6 +882,221 @@ class PublishingServiceM {
     return estimate;
   }
 
+  /**
+   * Estimate what publishing a package will cost from the transactions that
+   * would actually be sent. Each transaction is built with its compute budget
+   * and memos, priced with the cluster's getFeeForMessage (base and priority
+   * fees), and any rent is added. Costs are broken down per tier and compared
+   * with the fee payer's balance; publishing runs the same check before it
+   * sends anything.
+   * @param {Object} publicationPackage - Package from ChunkManager-M
+   * @param {PublicKey|string} feePayer - Wallet that would pay
+   * @param {Object} [options] - Estimate options
+   * @param {number} [options.feeBudgetLamports] - Fee budget that would cap the priority fee
+   * @param {Array<PublicKey>} [options.coSigners] - Co-signers of sponsored transactions (see SolanaPublisher.coSignersOf)
+   * @returns {Promise<Object>} { tiers: { manifest, hashLists, content }, totals, feeBudgetLamports, balance }
+   */
+  static async estimatePublishingCost(publicationPackage, feePayer, { feeBudgetLamports = null, coSigners = [] } = {}) {
+    console.log('PublishingService-M.js: estimatePublishingCost: Pricing 3-tier transactions');
+
+    const publisher = blockchainServices.getPublisher();
+    const groups = this._memoGroups(this._packageSource(publicationPackage), publisher, null, coSigners);
+    const estimate = await this._estimateMemoGroups(groups, feePayer, publisher, feeBudgetLamports, coSigners);
+
+    console.log('PublishingService-M.js: estimatePublishingCost: Estimated', estimate.totals.totalLamports, 'lamports for', estimate.totals.transactions, 'transactions; balance', estimate.balance.lamports);
+    return estimate;
+  }
+
+  /**
+   * Dry-run a publication before spending anything on it. Every transaction
+   * of the package is built as it would be sent (with a stand-in story id and
+   * author signature of the real size) and simulated by the cluster; every
+   * memo is read back the way readers read it (ChunkReaderService, then
+   * MemoCodec) and compared with its chunk; and the decoded hash lists and
+   * content must rebuild the manifest tree. Costs are priced as in
+   * estimatePublishingCost, with the balance and sponsor quota checks.
+   * Nothing is signed or sent.
+   * @param {Object} publicationPackage - Package from ChunkManager-M
+   * @param {TransactionSigner} signer - Wallet that would publish
+   * @param {Object} [options] - Dry-run options
+   * @param {number} [options.feeBudgetLamports] - Fee budget that would cap the priority fee
+   * @returns {Promise<Object>} { ready, transactions, memos, cost, sponsorship, simulation, manifestTree, failures }
+   *   where each failure is { type, index, stage: 'memo'|'simulation'|'decode'|'tree', error }
+   */
+  static async dryRunPublishing(publicationPackage, signer, { feeBudgetLamports = null } = {}) {
+    console.log('PublishingService-M.js: dryRunPublishing: Simulating 3-tier publication');
+
+    const { primaryManifest, hashListChunks, contentChunks } = publicationPackage;
+    const publisher = blockchainServices.getPublisher();
+    const coSigners = SolanaPublisher.coSignersOf(signer);
+    const source = this._packageSource(publicationPackage);
+    const failures = [];
+
+    // Pack each tier as publishing would; memos too large to send are reported and left out
+    const batches = [];
+    for (const [tier, type, count] of [['manifest', 'manifest', 1], ['hashLists', 'hashlist', hashListChunks.length], ['content', 'glyph', contentChunks.length]]) {
+      const memos = new Map();
+      for (let index = 0; index < count; index++) {
+        try {
+          memos.set(index, this._taskMemo(source, type, index));
+        } catch (error) {
+          failures.push({ type, index, stage: 'memo', error: error.message });
+        }
+      }
+
+      const tasks = [...memos.keys()].map(index => ({ type, index }));
+      const packed = type === 'manifest'
+        ? tasks.map(task => ({ tasks: [task], memos: [memos.get(task.index)] }))
+        : this._packTasks(tasks, (task) => memos.get(task.index), publisher, coSigners);
+      packed.forEach(batch => batches.push({ tier, ...batch }));
+    }
+
+    const totalMemos = batches.reduce((sum, batch) => sum + batch.memos.length, 0);
+    const maxMicroLamports = feeBudgetLamports == null
+      ? undefined
+      : PriorityFeeService.capForBudget(feeBudgetLamports, totalMemos, publisher.priorityFees.config.computeUnitLimit);
+
+    const decodedHashLists = Array.from({ length: hashListChunks.length }, () => null);
+    const decodedContent = Array.from({ length: contentChunks.length }, () => null);
+    const transactions = [];
+    let unitsConsumed = 0;
+
+    for (const batch of batches) {
+      let simulation;
+      try {
+        simulation = await publisher.simulateMemoTransaction(batch.memos, signer, { maxMicroLamports });
+      } catch (error) {
+        simulation = { err: error.message, logs: [], unitsConsumed: null, bytes: null };
+      }
+      unitsConsumed += simulation.unitsConsumed || 0;
+      transactions.push({
+        tier: batch.tier,
+        memos: batch.memos.length,
+        bytes: simulation.bytes,
+        unitsConsumed: simulation.unitsConsumed,
+        err: simulation.err,
+        chunks: batch.tasks.map(({ type, index }) => ({ type, index }))
+      });
+      if (simulation.err) {
+        const error = this._describeSimulationError(simulation.err);
+        batch.tasks.forEach(({ type, index }) => failures.push({ type, index, stage: 'simulation', error }));
+      }
+
+      // Read the memos back as a reader would find them in the transaction
+      const chunkData = chunkReaderService.extractAllChunkData({
+        transaction: {
+          message: {
+            instructions: batch.memos.map(memo => ({
+              programId: publisher.MEMO_PROGRAM_ID.toBase58(),
+              data: bs58.encode(Buffer.from(memo, 'utf-8'))
+            }))
+          }
+        }
+      });
+      batch.tasks.forEach(({ type, index }, position) => {
+        try {
+          const decoded = this._checkDecodedMemo(chunkData[position], type, index, publicationPackage);
+          if (type === 'hashlist') decodedHashLists[index] = decoded;
+          if (type === 'glyph') decodedContent[index] = decoded;
+        } catch (error) {
+          failures.push({ type, index, stage: 'decode', error: error.message });
+        }
+      });
+    }
+
+    // Rebuild the manifest tree from what was decoded
+    const complete = [...decodedHashLists, ...decodedContent].every(chunk => chunk !== null);
+    const manifestTree = complete
+      ? await ChunkManagerM.verifyManifestTree(decodedContent, decodedHashLists, primaryManifest.manifestRoot, primaryManifest.version)
+      : { isValid: false, stage: 'skipped', error: 'Not every chunk decoded' };
+    if (complete && !manifestTree.isValid) {
+      const mismatched = manifestTree.mismatchedIndices || [];
+      if (mismatched.length > 0) {
+        mismatched.forEach(index => failures.push({ type: 'glyph', index, stage: 'tree', error: manifestTree.error }));
+      } else {
+        failures.push({ type: 'manifest', index: 0, stage: 'tree', error: manifestTree.error });
+      }
+    }
+
+    const groups = { manifest: [], hashLists: [], content: [] };
+    batches.forEach(batch => groups[batch.tier].push(batch.memos));
+    const cost = await this._estimateMemoGroups(groups, SolanaPublisher.feePayerOf(signer), publisher, feeBudgetLamports, coSigners);
+    const sponsorship = signer.sponsor
+      ? await signer.sponsor.checkQuota(signer.publicKey, { transactions: cost.totals.transactions, lamports: cost.totals.totalLamports })
+      : null;
+
+    const report = {
+      ready: failures.length === 0 && cost.balance.sufficient && (!sponsorship || sponsorship.allowed),
+      transactions: batches.length,
+      memos: totalMemos,
+      cost,
+      sponsorship,
+      simulation: { unitsConsumed, transactions },
+      manifestTree,
+      failures
+    };
+
+    console.log('PublishingService-M.js: dryRunPublishing:', report.ready ? 'Ready' : 'Not ready', '-', report.transactions, 'transactions,', cost.totals.totalLamports, 'lamports,', failures.length, 'failures');
+    return report;
+  }
+
+  /**
+   * Decode memo bytes read back from a transaction and check them against the chunk they carry
+   * @param {Uint8Array} memoBytes - Memo bytes from ChunkReaderService
+   * @param {string} type - 'manifest', 'hashlist' or 'glyph'
+   * @param {number} index - Chunk index within its tier
+   * @param {Object} publicationPackage - Package the memo was built from
+   * @returns {StoryManifest|string[]|string} Decoded manifest, hash list or content
+   * @throws {Error} If the memo does not decode to its chunk
+   * @private
+   */
+  static _checkDecodedMemo(memoBytes, type, index, publicationPackage) {
+    const memo = MemoCodec.decode(memoBytes);
+    if (memo.p !== 'g-mt-v1' || memo.t !== type) {
+      throw new Error(`Decoded a ${memo.p}/${memo.t} memo, expected g-mt-v1/${type}`);
+    }
+
+    if (type === 'manifest') {
+      const manifest = StoryManifest.deserialize(memo.d);
+      if (manifest.manifestRoot !== publicationPackage.primaryManifest.manifestRoot) {
+        throw new Error('Decoded manifest root does not match the package');
+      }
+      return manifest;
+    }
+
+    if (Number(memo.i) !== index) {
+      throw new Error(`Decoded chunk index ${memo.i}, expected ${index}`);
+    }
+    if (type === 'hashlist') {
+      const expected = publicationPackage.hashListChunks[index];
+      if (!Array.isArray(memo.h) || memo.h.length !== expected.length || memo.h.some((hash, i) => hash !== expected[i])) {
+        throw new Error('Decoded hash list does not match the chunk');
+      }
+      return memo.h;
+    }
+    if (memo.c !== publicationPackage.contentChunks[index]) {
+      throw new Error('Decoded content does not match the chunk');
+    }
+    return memo.c;
+  }
+
+  /**
+   * Readable form of a simulation error
+   * @param {string|Object} err - Error from simulateTransaction
+   * @returns {string} Description
+   * @private
+   */
+  static _describeSimulationError(err) {
+    if (typeof err === 'string') {
+      return err;
+    }
+    if (err.InstructionError) {
+      const [instruction, reason] = err.InstructionError;
+      return `Instruction ${instruction}: ${typeof reason === 'string' ? reason : JSON.stringify(reason)}`;
+    }
+    return JSON.stringify(err);
+  }
+
   /**
    * Validate a 3-tier publication package before attempting to publish
    * @param {Object} publicationPackage - Package to validate
@@ -465,4 +1188,4 @@ class PublishingServiceM {
 
 export default PublishingServiceM;
 
-// Character count: 8996
\ No newline at end of file
+// Character count: 52921
\ No newline at end of file
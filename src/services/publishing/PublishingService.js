@@ -1,11 +1,14 @@
 // src/services/publishing/PublishingService.js
 // Path: src/services/publishing/PublishingService.js
+import { PublicKey, LAMPORTS_PER_SOL } from '@solana/web3.js';
 import { MobileWalletService } from '../wallet/MobileWalletService';
 import { ContentService } from '../content/ContentService';
 import { BlockchainService } from '../blockchain/BlockchainService';
+import { SolanaPublisher } from '../blockchain/solana/SolanaPublisher';
 import { StorageService } from '../storage/StorageService';
 import { UserStorageService } from '../storage/UserStorageService';
 import { StoryHeaderService } from '../feed/StoryHeaderService';
+import { retractionService } from '../blockchain/RetractionService';
 import userRegistry from '../../data/user-registry.json';
 
 /**
@@ -88,19 +91,17 @@ export class PublishingService {
         throw new Error('No wallet connected. Please connect a wallet first.');
       }
 
-      const keypair = this.currentWallet.getWalletKeypair();
-
-      if (!keypair) {
-        throw new Error('Unable to access wallet keypair');
+      if (!this.currentWallet.publicKey) {
+        throw new Error('Unable to access wallet signer');
       }
 
-    const userPublicKey = keypair.publicKey.toString();
+    const userPublicKey = this.currentWallet.publicKey.toString();
 
     // Get previous story hash for story chain
     let previousStoryHash = null;
     
     try {
-      previousStoryHash = await StoryHeaderService.getUserStoryHead(keypair.publicKey.toString());
+      previousStoryHash = await StoryHeaderService.getUserStoryHead(userPublicKey);
 
       // If no previous story exists, fall back to the user's genesis block
       if (!previousStoryHash) {
@@ -128,10 +129,10 @@ export class PublishingService {
     return await ContentService.prepareContent(
     contentData,
     title,
-    keypair.publicKey.toString(),
+    userPublicKey,
     {
     ...options,
-    authorName: options.authorName || `User_${keypair.publicKey.toString().substring(0, 8)}`,
+    authorName: options.authorName || `User_${userPublicKey.substring(0, 8)}`,
     previousStoryHash: previousStoryHash
     }
     );
@@ -239,9 +240,8 @@ async publishContent(content, onProgress = null, userPublicKey = null) {
       throw new Error('PublishingService: No valid content to publish - content must have either text content or prepared glyphs');
     }
 
-    const keypair = this.currentWallet.getWalletKeypair();
-    if (!keypair) {
-      throw new Error('PublishingService: Unable to access wallet keypair');
+    if (!this.currentWallet.publicKey) {
+      throw new Error('PublishingService: Unable to access wallet signer');
     }
 
     // Check if content is already prepared (has glyphs) or needs preparation
@@ -273,7 +273,7 @@ async publishContent(content, onProgress = null, userPublicKey = null) {
     // ✅ FIXED: Pass userPublicKey to the blockchain publisher for user-scoped storage
     return await this.blockchainPublisher.publishContent(
       preparedContent, 
-      keypair, 
+      this.currentWallet, 
       onProgress, 
       'solana', // blockchain type
       userPublicKey // Pass user context for scoped storage
@@ -298,12 +298,11 @@ async publishContent(content, onProgress = null, userPublicKey = null) {
         throw new Error('No wallet connected');
       }
 
-      const keypair = this.currentWallet.getWalletKeypair();
-      if (!keypair) {
-        throw new Error('Unable to access wallet keypair');
+      if (!this.currentWallet.publicKey) {
+        throw new Error('Unable to access wallet signer');
       }
 
-      return await this.blockchainPublisher.resumePublishing(contentId, keypair, onProgress);
+      return await this.blockchainPublisher.resumePublishing(contentId, this.currentWallet, onProgress);
     } catch (error) {
       console.error('❌ Error resuming publishing:', error);
       throw error;
@@ -381,6 +380,7 @@ async publishContent(content, onProgress = null, userPublicKey = null) {
 
   /**
    * Delete published content
+   * Only the local record is removed; the memos stay on chain (see retractPublishedContent)
    * @param {string} contentId - Content ID to delete
    * @returns {Promise<boolean>} Success status
    */
@@ -388,6 +388,46 @@ async publishContent(content, onProgress = null, userPublicKey = null) {
     return await StorageService.deletePublishedContent(contentId);
   }
 
+  /**
+   * Retract a published story: publish a signed tombstone for it so
+   * readers hide it, record it in the author's REVOCATIONS lane, then delete
+   * the local record
+   * @param {string} contentId - Content ID to retract
+   * @param {Object} [options] - Retraction options
+   * @param {string} [options.reason] - Optional reason; only its hash goes on chain
+   * @returns {Promise<Object>} { transactionHash, retraction, revocation }
+   */
+  async retractPublishedContent(contentId, { reason = null } = {}) {
+    if (!this.currentWallet?.publicKey) {
+      throw new Error('PublishingService: No wallet connected');
+    }
+
+    const content = await this.getPublishedContentById(contentId);
+    if (!content) {
+      throw new Error(`PublishingService: Published content not found: ${contentId}`);
+    }
+
+    // Manifest stories are known on chain by their manifest transaction (the
+    // story ID), older stories by their last transaction (the story head hash)
+    const transactionIds = content.transactionIds || [];
+    const storyId = content.manifest?.storyId || content.storyId || transactionIds[transactionIds.length - 1];
+    if (!storyId) {
+      throw new Error('PublishingService: Content has no on-chain transactions to retract');
+    }
+
+    const authorPublicKey = this.currentWallet.publicKey.toString();
+    const user = userRegistry.users.find(entry => entry.publicKey === authorPublicKey) || null;
+
+    const result = await retractionService.retract(
+      { targetKind: 'story', targetId: storyId, reason },
+      this.currentWallet,
+      { user }
+    );
+
+    await this.deletePublishedContent(contentId);
+    return result;
+  }
+
   /**
    * Find content by search criteria
    * @param {string} searchTerm - Search term
@@ -486,12 +526,40 @@ async publishContent(content, onProgress = null, userPublicKey = null) {
   }
 
   /**
-   * Estimate transaction costs
+   * Estimate transaction costs: one transaction per glyph, priced with the
+   * cluster's fee API using full-size stand-in memos (an upper bound), and
+   * compared with the wallet balance when a wallet is set
    * @param {number} glyphCount - Number of glyphs to publish
    * @returns {Promise<Object>} Cost estimation
    */
   async estimateTransactionCosts(glyphCount) {
-    return await this.blockchainPublisher.estimateTransactionCosts(glyphCount);
+    const publisher = this.blockchainPublisher.getPublisher();
+    const memo = 'A'.repeat(SolanaPublisher.MAX_MEMO_BYTES);
+    const feePayer = this.currentWallet?.publicKey || PublicKey.default;
+
+    const estimate = await publisher.estimateMemoTransactions(Array.from({ length: glyphCount }, () => [memo]), feePayer);
+
+    const result = {
+      transactionCount: glyphCount,
+      estimatedCost: estimate.totalSOL,
+      estimatedCostLamports: estimate.totalLamports,
+      breakdown: {
+        baseFee: estimate.baseFeeLamports / LAMPORTS_PER_SOL,
+        priorityFee: estimate.priorityFeeLamports / LAMPORTS_PER_SOL,
+        rent: estimate.rentLamports / LAMPORTS_PER_SOL
+      }
+    };
+
+    if (this.currentWallet?.publicKey) {
+      const lamports = await publisher.getBalanceLamports(feePayer);
+      result.balance = {
+        lamports,
+        sufficient: lamports >= estimate.totalLamports,
+        shortfallLamports: Math.max(0, estimate.totalLamports - lamports)
+      };
+    }
+
+    return result;
   }
 
   // ==================== UTILITY METHODS ====================
@@ -619,4 +687,4 @@ async publishContent(content, onProgress = null, userPublicKey = null) {
   }
 }
 
-// Character count: 9821
\ No newline at end of file
+// Character count: 22425
\ No newline at end of file
@@ -0,0 +1,146 @@
+// src/services/publishing/__tests__/MemoCodec.test.js
+// Path: src/services/publishing/__tests__/MemoCodec.test.js
+
+/**
+ * MemoCodec Tests
+ *
+ * Binary g-mt-v1 memo frames: round trips for every memo type, size against
+ * the legacy deflated-JSON memos, reading both formats, and a full trip
+ * through the memo program on the local ledger.
+ */
+
+import { Keypair } from '@solana/web3.js';
+import bs58 from 'bs58';
+import { MemoCodec } from '../MemoCodec';
+import PublishingServiceM from '../PublishingService-M';
+import StoryViewerServiceM from '../../story/StoryViewerService-M';
+import { ChunkReaderService, chunkReaderService } from '../../story/ChunkReaderService';
+import { CompressionService } from '../../compression/CompressionService';
+import { SolanaPublisher } from '../../blockchain/solana/SolanaPublisher';
+import { LocalMemoLedger } from '../../blockchain/solana/LocalMemoLedger';
+import { KeypairSigner } from '../../wallet/KeypairSigner';
+
+const STORY_ID = bs58.encode(new Uint8Array(64).fill(7));
+const hex = (fill) => Buffer.from(new Uint8Array(32).fill(fill)).toString('hex');
+const CONTENT = 'The lighthouse keeper counted ships until the fog came in. '.repeat(6);
+
+const legacyMemo = (memoObject) =>
+  CompressionService.uint8ArrayToBase64(CompressionService.compress(JSON.stringify(memoObject)));
+
+describe('MemoCodec', () => {
+
+  describe('Frames', () => {
+
+    it('should round-trip glyphs, including the first-chunk reGlyphCap', () => {
+      // Arrange
+      const first = PublishingServiceM._serializeDataToMemo(CONTENT, {
+        type: 'glyph', storyId: STORY_ID, index: 0, totalChunks: 300, reGlyphCap: 25
+      });
+      const later = PublishingServiceM._serializeDataToMemo('é ✓ short', {
+        type: 'glyph', storyId: STORY_ID, index: 299, totalChunks: 300
+      });
+
+      // Act
+      const decodedFirst = MemoCodec.decode(first);
+      const decodedLater = MemoCodec.decode(later);
+
+      // Assert
+      expect(first.startsWith(MemoCodec.MARKER)).toBe(true);
+      expect(decodedFirst).toEqual({ p: 'g-mt-v1', t: 'glyph', sid: STORY_ID, i: 0, tc: 300, c: CONTENT, rgc: 25 });
+      expect(decodedLater).toEqual({ p: 'g-mt-v1', t: 'glyph', sid: STORY_ID, i: 299, tc: 300, c: 'é ✓ short' });
+    });
+
+    it('should store hash lists as raw 32-byte hashes', () => {
+      // Arrange
+      const hashes = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map(hex);
+      const metadata = { type: 'hashlist', storyId: STORY_ID, index: 1, totalHashLists: 2 };
+
+      // Act
+      const memo = PublishingServiceM._serializeDataToMemo(hashes, metadata);
+      const frame = MemoCodec.decodeBase85(memo.slice(1));
+
+      // Assert - 3-byte header + 65-byte story id + 2 varints + hashes
+      expect(frame.length).toBe(3 + 65 + 2 + hashes.length * 32);
+      expect(MemoCodec.decode(memo)).toEqual({ p: 'g-mt-v1', t: 'hashlist', sid: STORY_ID, i: 1, thl: 2, h: hashes });
+      expect(() => PublishingServiceM._serializeDataToMemo(['abc'], metadata)).toThrow('Invalid hash in hash list');
+    });
+
+    it('should round-trip manifests', () => {
+      const manifest = { v: '2.0.0', mr: hex(3), tc: 4, title: 'Fog' };
+
+      const memo = PublishingServiceM._serializeDataToMemo(manifest, { type: 'manifest' });
+
+      expect(MemoCodec.decode(memo)).toEqual({ p: 'g-mt-v1', t: 'manifest', d: manifest });
+    });
+
+    it('should be smaller than the legacy deflated JSON memo', () => {
+      const memoObject = { p: 'g-mt-v1', t: 'glyph', sid: STORY_ID, i: 12, tc: 40, c: CONTENT };
+
+      expect(MemoCodec.encode(memoObject).length).toBeLessThan(legacyMemo(memoObject).length);
+    });
+
+    it('should round-trip base85 for every trailing group length', () => {
+      for (let length = 0; length <= 9; length++) {
+        const bytes = new Uint8Array(length).map((_, index) => 255 - index * 17);
+        expect(MemoCodec.decodeBase85(MemoCodec.encodeBase85(bytes))).toEqual(bytes);
+      }
+    });
+
+    it('should reject malformed frames', () => {
+      const memo = MemoCodec.encode({ p: 'g-mt-v1', t: 'glyph', sid: STORY_ID, i: 0, tc: 1, c: CONTENT });
+
+      expect(() => MemoCodec.decode(memo.slice(0, 40))).toThrow();
+      expect(() => MemoCodec.decode('~"bad"')).toThrow('Invalid base85 character');
+      expect(() => MemoCodec.decodeFrame(new Uint8Array([9, 3, 0]))).toThrow('Unsupported memo frame version');
+      expect(() => MemoCodec.encode({ p: 'g-mt-v1', t: 'poster' })).toThrow('Unknown memo type');
+    });
+
+  });
+
+  describe('Reading', () => {
+    const signer = new KeypairSigner(Keypair.fromSeed(new Uint8Array(32).fill(31)));
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should decode legacy JSON memos and new frames in the story viewer', async () => {
+      // Arrange - the chunk reader hands over base64-decoded legacy bytes, or frame text bytes
+      const glyph = { p: 'g-mt-v1', t: 'glyph', sid: STORY_ID, i: 3, tc: 9, c: CONTENT };
+      const memos = {
+        legacy: CompressionService.base64ToUint8Array(legacyMemo(glyph)),
+        framed: new TextEncoder().encode(MemoCodec.encode(glyph))
+      };
+      jest.spyOn(chunkReaderService, 'fetchChunk').mockImplementation(async (txId) => memos[txId]);
+
+      // Act
+      const legacy = await StoryViewerServiceM._fetchAndDecodeGlyph('legacy');
+      const framed = await StoryViewerServiceM._fetchAndDecodeGlyph('framed');
+
+      // Assert
+      const expected = { content: CONTENT, index: 3, total: 9, sid: STORY_ID };
+      expect(legacy).toEqual(expected);
+      expect(framed).toEqual(expected);
+    });
+
+    it('should survive the memo program and the chunk reader', async () => {
+      // Arrange
+      const ledger = new LocalMemoLedger();
+      const publisher = new SolanaPublisher(ledger);
+      const reader = new ChunkReaderService(ledger);
+      const memo = PublishingServiceM._serializeDataToMemo(CONTENT, {
+        type: 'glyph', storyId: STORY_ID, index: 0, totalChunks: 1
+      });
+
+      // Act
+      const signature = await publisher.publishSingleTransaction(memo, signer);
+      const memoBytes = await reader.fetchChunk(signature);
+
+      // Assert
+      expect(MemoCodec.decode(memoBytes).c).toBe(CONTENT);
+    });
+
+  });
+});
+
+// Character count: 6166
@@ -0,0 +1,62 @@
+// src/services/publishing/__tests__/PostPublishingService.test.js
+// Path: src/services/publishing/__tests__/PostPublishingService.test.js
+
+/**
+ * PostPublishingService Tests
+ *
+ * Social post cost estimates on the local ledger: a post is priced as one
+ * transaction with its priority fee, and the paying wallet's balance is
+ * checked only when a wallet is set and the caller asks for it.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Keypair } from '@solana/web3.js';
+import { PostPublishingService } from '../PostPublishingService';
+import { LocalMemoLedger } from '../../blockchain/solana/LocalMemoLedger';
+import { SolanaPublisher } from '../../blockchain/solana/SolanaPublisher';
+import { KeypairSigner } from '../../wallet/KeypairSigner';
+
+jest.mock('expo-crypto', () => jest.requireActual('../../../../__tests__/__mocks__/expo-crypto-sha256'));
+
+const authorKeypair = Keypair.fromSeed(new Uint8Array(32).fill(56));
+const signer = new KeypairSigner(authorKeypair);
+
+describe('PostPublishingService', () => {
+  let ledger;
+  let publisher;
+  let service;
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    ledger = new LocalMemoLedger();
+    publisher = new SolanaPublisher(ledger);
+    publisher.priorityFees.configure({ strategy: 'fixed', microLamports: 10000, computeUnitLimit: 50000 });
+    service = new PostPublishingService();
+    jest.spyOn(service.blockchainService, 'getPublisher').mockReturnValue(publisher);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should price a social post and check the wallet balance unless asked not to', async () => {
+    // Arrange
+    const anonymous = await service.estimateCost('Fog horn at dawn');
+    service.setWallet(signer);
+
+    // Act
+    const estimate = await service.estimateCost('Fog horn at dawn');
+    const typing = await service.estimateCost('Fog horn at dawn', null, null, null, { checkBalance: false });
+
+    // Assert - one transaction: 5000 base + ceil(10000 * 50000 / 1e6) priority
+    expect(anonymous.balance).toBeUndefined();
+    expect(typing.balance).toBeUndefined();
+    expect(typing.estimatedCostLamports).toBe(estimate.estimatedCostLamports);
+    expect(estimate).toMatchObject({ transactionCount: 1, estimatedCostLamports: 5500 });
+    expect(estimate.breakdown.priorityFee).toBeCloseTo(0.0000005, 10);
+    expect(estimate.balance).toEqual({ lamports: await ledger.getBalance(authorKeypair.publicKey), sufficient: true, shortfallLamports: 0 });
+  });
+
+});
+
+// Character count: 2512
@@ -0,0 +1,123 @@
+// src/services/publishing/__tests__/PublishingDryRun.test.js
+// Path: src/services/publishing/__tests__/PublishingDryRun.test.js
+
+/**
+ * Publishing Dry-Run Tests
+ *
+ * On the local ledger, dryRunPublishing simulates every transaction of a
+ * package without spending anything, reads every memo back, rebuilds the
+ * manifest tree, and reports the chunks that would fail.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Keypair } from '@solana/web3.js';
+import PublishingServiceM from '../PublishingService-M';
+import ChunkManagerM from '../../glyph/processing/ChunkManager-M';
+import { blockchainServices } from '../../blockchain/BlockchainService';
+import { SolanaPublisher } from '../../blockchain/solana/SolanaPublisher';
+import { PriorityFeeService } from '../../blockchain/solana/utils/PriorityFeeService';
+import { connectionProvider, SolanaCluster } from '../../blockchain/shared/ConnectionProvider';
+import { chunkReaderService } from '../../story/ChunkReaderService';
+import { KeypairSigner } from '../../wallet/KeypairSigner';
+
+jest.mock('expo-crypto', () => jest.requireActual('../../../../__tests__/__mocks__/expo-crypto-sha256'));
+
+const authorKeypair = Keypair.fromSeed(new Uint8Array(32).fill(111));
+const author = new KeypairSigner(authorKeypair);
+const AUTHOR = authorKeypair.publicKey.toBase58();
+
+const STORY = 'The cartographer drew the coast as she hoped it would be. '.repeat(30);
+
+describe('Publishing dry run', () => {
+  let ledger;
+  let publisher;
+
+  beforeAll(() => {
+    ledger = connectionProvider.useLocalLedger();
+    publisher = new SolanaPublisher(ledger);
+    publisher.priorityFees.configure({ strategy: 'none' });
+    jest.spyOn(blockchainServices, 'getPublisher').mockReturnValue(publisher);
+  });
+
+  afterEach(async () => {
+    await AsyncStorage.clear();
+    publisher.priorityFees.configure({ computeUnitLimit: PriorityFeeService.DEFAULT_CONFIG.computeUnitLimit });
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+    chunkReaderService.clearCache();
+    connectionProvider.setCluster(SolanaCluster.DEVNET);
+  });
+
+  it('should report what publishing will send without spending anything', async () => {
+    // Arrange
+    const pkg = await ChunkManagerM.prepareStoryForManifestPublishing(STORY, 'The Coast', AUTHOR);
+    const balance = await ledger.getBalance(authorKeypair.publicKey);
+
+    // Act
+    const report = await PublishingServiceM.dryRunPublishing(pkg, author);
+    const estimate = await PublishingServiceM.estimatePublishingCost(pkg, authorKeypair.publicKey);
+    const afterDryRun = await ledger.getBalance(authorKeypair.publicKey);
+    const result = await PublishingServiceM.publishStoryWithManifest(pkg, author);
+
+    // Assert
+    expect(report).toMatchObject({ ready: true, failures: [], manifestTree: { isValid: true } });
+    expect(afterDryRun).toBe(balance);
+    expect(report.transactions).toBe(result.transactionCount);
+    expect(report.memos).toBe(1 + pkg.hashListChunks.length + pkg.contentChunks.length);
+    expect(report.cost.totals.totalLamports).toBe(estimate.totals.totalLamports);
+    expect(report.simulation.transactions.every(tx => tx.err === null && tx.unitsConsumed > 0)).toBe(true);
+  });
+
+  it('should report every chunk of a transaction the cluster would reject', async () => {
+    // Arrange - too few compute units for any memo
+    const pkg = await ChunkManagerM.prepareStoryForManifestPublishing(STORY, 'Underfunded', AUTHOR);
+    publisher.priorityFees.configure({ computeUnitLimit: 2000 });
+
+    // Act
+    const report = await PublishingServiceM.dryRunPublishing(pkg, author);
+
+    // Assert
+    expect(report.ready).toBe(false);
+    expect(report.failures).toHaveLength(report.memos);
+    expect(report.failures.every(failure => failure.stage === 'simulation')).toBe(true);
+    expect(report.failures[0].error).toBe('Instruction 1: ComputationalBudgetExceeded');
+    expect(report.manifestTree.isValid).toBe(true);
+  });
+
+  it('should name the chunk that would not rebuild the manifest tree', async () => {
+    // Arrange
+    const pkg = await ChunkManagerM.prepareStoryForManifestPublishing(STORY, 'Redrawn', AUTHOR);
+    pkg.contentChunks[1] = 'A coast nobody surveyed.';
+
+    // Act
+    const report = await PublishingServiceM.dryRunPublishing(pkg, author);
+
+    // Assert
+    expect(report.ready).toBe(false);
+    expect(report.manifestTree.isValid).toBe(false);
+    expect(report.failures).toEqual([expect.objectContaining({ type: 'glyph', index: 1, stage: 'tree' })]);
+  });
+
+  it('should flag memos that name an account that did not sign', async () => {
+    // Arrange
+    const { blockhash } = await ledger.getLatestBlockhash();
+    const transaction = publisher._buildMemoTransaction(
+      ['Signed by someone else'],
+      { computeUnitLimit: 50000, microLamports: 0 },
+      authorKeypair.publicKey,
+      blockhash
+    );
+    transaction.instructions[1].keys.push({ pubkey: Keypair.generate().publicKey, isSigner: false, isWritable: false });
+
+    // Act
+    const { value } = await ledger.simulateTransaction(transaction);
+
+    // Assert
+    expect(value.err).toEqual({ InstructionError: [1, 'MissingRequiredSignature'] });
+    expect(value.logs.some(line => line.includes('Missing required signature'))).toBe(true);
+  });
+});
+
+// Character count: 5277
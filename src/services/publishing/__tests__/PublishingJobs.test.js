@@ -0,0 +1,266 @@
+// src/services/publishing/__tests__/PublishingJobs.test.js
+// Path: src/services/publishing/__tests__/PublishingJobs.test.js
+
+/**
+ * Manifest Publishing Job Tests
+ *
+ * The journaled 3-tier pipeline on the local ledger: a finished job leaves no
+ * journal entry, an interrupted job resumes without re-sending confirmed
+ * tasks, transactions sent before a crash are found on chain (or followed
+ * until they land or expire), and small memos are packed several to a
+ * transaction and read back from there.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Keypair } from '@solana/web3.js';
+import PublishingServiceM from '../PublishingService-M';
+import { MemoCodec } from '../MemoCodec';
+import ChunkManagerM from '../../glyph/processing/ChunkManager-M';
+import { PublishingJobStorage } from '../../storage/content/PublishingJobStorage';
+import { blockchainServices } from '../../blockchain/BlockchainService';
+import { SolanaPublisher } from '../../blockchain/solana/SolanaPublisher';
+import { LocalMemoLedger } from '../../blockchain/solana/LocalMemoLedger';
+import { ChunkReaderService } from '../../story/ChunkReaderService';
+import StoryViewerServiceM from '../../story/StoryViewerService-M';
+import { connectionProvider, SolanaCluster } from '../../blockchain/shared/ConnectionProvider';
+import { KeypairSigner } from '../../wallet/KeypairSigner';
+
+jest.mock('expo-crypto', () => jest.requireActual('../../../../__tests__/__mocks__/expo-crypto-sha256'));
+
+const authorKeypair = Keypair.fromSeed(new Uint8Array(32).fill(41));
+const signer = new KeypairSigner(authorKeypair);
+const STORY = 'The tide came in twice that night, and nobody could say why. '.repeat(60);
+
+describe('Manifest publishing jobs', () => {
+  let ledger;
+  let publisher;
+  let pkg;
+  let transactions; // Packed transactions per phase, from the estimate
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    ledger = new LocalMemoLedger();
+    publisher = new SolanaPublisher(ledger);
+    jest.spyOn(blockchainServices, 'getPublisher').mockReturnValue(publisher);
+    pkg = await ChunkManagerM.prepareStoryForManifestPublishing(STORY, 'Tides', authorKeypair.publicKey.toBase58());
+    const { phases } = PublishingServiceM.estimatePublishing(pkg);
+    transactions = { hashLists: phases.hashLists.transactions, content: phases.content.transactions };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Make the nth publishSingleTransaction call (1-based) fail
+   * @param {number} n - Call to fail
+   * @param {boolean} afterLanding - Fail after the transaction landed (app killed before recording it)
+   */
+  const failCall = (n, afterLanding = false) => {
+    const original = publisher.publishSingleTransaction.bind(publisher);
+    let calls = 0;
+    return jest.spyOn(publisher, 'publishSingleTransaction').mockImplementation(async (...args) => {
+      calls++;
+      if (calls !== n) return original(...args);
+      if (afterLanding) await original(...args);
+      throw new Error('App killed');
+    });
+  };
+
+  it('should publish every task and drop the finished job from the journal', async () => {
+    // Act
+    const result = await PublishingServiceM.publishStoryWithManifest(pkg, signer);
+
+    // Assert
+    expect(result.glyphTransactionIds).toHaveLength(pkg.contentChunks.length);
+    expect(result.hashListTransactionIds).toHaveLength(pkg.hashListChunks.length);
+    expect(pkg.primaryManifest.storyId).toBe(result.storyId);
+    expect(result.transactionCount).toBe(1 + transactions.hashLists + transactions.content);
+    await expect(PublishingServiceM.getResumableJobs()).resolves.toEqual([]);
+
+    const reader = new ChunkReaderService(ledger);
+    const last = pkg.contentChunks.length - 1;
+    const { transactionId, instruction } = result.glyphLocations[last];
+    const lastGlyph = MemoCodec.decode(await reader.fetchChunk(transactionId, instruction));
+    expect(lastGlyph).toMatchObject({ sid: result.storyId, i: last, c: pkg.contentChunks[last] });
+  });
+
+  it('should pack several glyphs into one transaction, one memo instruction each', async () => {
+    // Act
+    const result = await PublishingServiceM.publishStoryWithManifest(pkg, signer);
+
+    // Assert - the first transaction holds consecutive glyphs at increasing positions
+    expect(transactions.content).toBeLessThan(pkg.contentChunks.length);
+    const first = result.glyphLocations.filter(location => location.transactionId === result.glyphTransactionIds[0]);
+    expect(first.length).toBeGreaterThan(1);
+    expect(first.map(location => location.instruction)).toEqual(first.map((_, position) => position));
+
+    const memos = await new ChunkReaderService(ledger).fetchChunks(result.glyphTransactionIds[0]);
+    expect(memos.map(memo => MemoCodec.decode(memo).i)).toEqual(first.map((_, index) => index));
+    expect(ledger.getStats().transactions).toBe(result.transactionCount);
+  });
+
+  it('should load a packed story in the viewer', async () => {
+    // Arrange - publish on the provider ledger the shared chunk reader uses
+    const shared = connectionProvider.useLocalLedger();
+    publisher = new SolanaPublisher(shared);
+    jest.spyOn(blockchainServices, 'getPublisher').mockReturnValue(publisher);
+    const result = await PublishingServiceM.publishStoryWithManifest(pkg, signer);
+    const manifest = {
+      storyId: result.storyId,
+      chunks: result.glyphLocations.map((location, index) => ({ index, ...location })),
+      totalChunks: pkg.contentChunks.length
+    };
+    const onChunkLoaded = jest.fn();
+
+    try {
+      // Act
+      await StoryViewerServiceM.loadStoryProgressively(result.storyId, manifest, onChunkLoaded, null, null);
+    } finally {
+      connectionProvider.setCluster(SolanaCluster.DEVNET);
+    }
+
+    // Assert
+    expect(onChunkLoaded).toHaveBeenCalledTimes(pkg.contentChunks.length);
+    expect(onChunkLoaded).toHaveBeenLastCalledWith(expect.any(Number), pkg.contentChunks.join(''), true);
+  });
+
+  it('should resume an interrupted job without re-sending confirmed tasks', async () => {
+    // Arrange - manifest + hash lists + first glyph transaction land, then the app dies
+    failCall(1 + transactions.hashLists + 2);
+    await expect(PublishingServiceM.publishStoryWithManifest(pkg, signer)).rejects.toThrow('App killed');
+
+    const [job] = await PublishingServiceM.getResumableJobs();
+    const sentBefore = ledger.getStats().transactions;
+    jest.restoreAllMocks();
+    jest.spyOn(blockchainServices, 'getPublisher').mockReturnValue(publisher);
+    const publishSpy = jest.spyOn(publisher, 'publishSingleTransaction');
+
+    // Act
+    const result = await PublishingServiceM.resumeManifestJob(job.jobId, signer);
+
+    // Assert
+    expect(job.status).toBe(PublishingJobStorage.JOB_STATUS.FAILED);
+    expect(job.tasks.find(task => task.status === 'failed')).toMatchObject({ type: 'glyph', attempts: 1, lastError: 'App killed' });
+    expect(publishSpy).toHaveBeenCalledTimes(transactions.content - 1);
+    expect(ledger.getStats().transactions).toBe(sentBefore + transactions.content - 1);
+    expect(result.storyId).toBe(job.storyId);
+    expect(result.glyphTransactionIds).toHaveLength(pkg.contentChunks.length);
+    await expect(PublishingJobStorage.getJob(job.jobId)).resolves.toBeNull();
+  });
+
+  it('should find transactions that landed before the app was killed', async () => {
+    // Arrange - the second glyph transaction lands but its confirmation is never recorded
+    failCall(1 + transactions.hashLists + 2, true);
+    await expect(PublishingServiceM.publishStoryWithManifest(pkg, signer)).rejects.toThrow('App killed');
+    const [job] = await PublishingServiceM.getResumableJobs();
+    const landedTask = job.tasks.find(task => task.type === 'glyph' && task.status === 'failed');
+    jest.restoreAllMocks();
+    jest.spyOn(blockchainServices, 'getPublisher').mockReturnValue(publisher);
+
+    // Act
+    const result = await PublishingServiceM.resumeManifestJob(job.jobId, signer);
+
+    // Assert - the journaled signature was confirmed on chain and reused
+    expect(landedTask.status).toBe('failed');
+    expect(landedTask.signature).toBeTruthy();
+    expect(result.glyphLocations[landedTask.index]).toEqual({ transactionId: landedTask.signature, instruction: landedTask.instruction });
+    expect(ledger.getStats().transactions).toBe(1 + transactions.hashLists + transactions.content);
+  });
+
+  /**
+   * Kill the app right after the nth transaction's signature is journaled,
+   * before it is sent
+   * @param {number} n - publishSingleTransaction call to interrupt
+   * @returns {Function} Returns the signed transaction that was never sent
+   */
+  const killAfterSigning = (n) => {
+    const original = publisher.publishSingleTransaction.bind(publisher);
+    const signTransaction = signer.signTransaction.bind(signer);
+    let lastSigned = null;
+    let held = null;
+    jest.spyOn(signer, 'signTransaction').mockImplementation(async (transaction) => {
+      lastSigned = await signTransaction(transaction);
+      return lastSigned;
+    });
+
+    let calls = 0;
+    jest.spyOn(publisher, 'publishSingleTransaction').mockImplementation(async (memos, walletSigner, options) => {
+      calls++;
+      if (calls !== n) return original(memos, walletSigner, options);
+      return original(memos, walletSigner, {
+        ...options,
+        onSigned: async (...signed) => {
+          await options.onSigned(...signed);
+          held = lastSigned.serialize();
+          throw new Error('App killed');
+        }
+      });
+    });
+    return () => held;
+  };
+
+  it('should wait for a journaled transaction that is still in flight instead of signing it again', async () => {
+    // Arrange - the second glyph transaction is signed and journaled, then the app dies
+    const heldTransaction = killAfterSigning(1 + transactions.hashLists + 2);
+    await expect(PublishingServiceM.publishStoryWithManifest(pkg, signer)).rejects.toThrow('App killed');
+    const [job] = await PublishingServiceM.getResumableJobs();
+    const pendingTask = job.tasks.find(task => task.type === 'glyph' && task.status === 'failed');
+    const held = heldTransaction();
+    jest.restoreAllMocks();
+    jest.spyOn(blockchainServices, 'getPublisher').mockReturnValue(publisher);
+
+    // The held transaction reaches the cluster while the resumed job is watching it
+    const getBlockHeight = ledger.getBlockHeight.bind(ledger);
+    jest.spyOn(ledger, 'getBlockHeight').mockImplementationOnce(async () => {
+      await ledger.sendRawTransaction(held);
+      return await getBlockHeight();
+    });
+
+    // Act
+    const result = await PublishingServiceM.resumeManifestJob(job.jobId, signer);
+
+    // Assert - the journaled signature was reused, not paid for twice
+    expect(pendingTask.lastValidBlockHeight).toEqual(expect.any(Number));
+    expect(ledger.getBlockHeight).toHaveBeenCalled();
+    expect(result.glyphLocations[pendingTask.index]).toEqual({ transactionId: pendingTask.signature, instruction: pendingTask.instruction });
+    expect(ledger.getStats().transactions).toBe(1 + transactions.hashLists + transactions.content);
+  });
+
+  it('should sign a journaled transaction again once its blockhash expired', async () => {
+    // Arrange - the signed transaction is never sent and its blockhash runs out
+    killAfterSigning(1 + transactions.hashLists + 2);
+    await expect(PublishingServiceM.publishStoryWithManifest(pkg, signer)).rejects.toThrow('App killed');
+    const [job] = await PublishingServiceM.getResumableJobs();
+    const pendingTask = job.tasks.find(task => task.type === 'glyph' && task.status === 'failed');
+    jest.restoreAllMocks();
+    jest.spyOn(blockchainServices, 'getPublisher').mockReturnValue(publisher);
+    while (await ledger.getBlockHeight() <= pendingTask.lastValidBlockHeight) {
+      await ledger.requestAirdrop(authorKeypair.publicKey.toBase58(), 1);
+    }
+    const sentBefore = ledger.getStats().transactions;
+
+    // Act
+    const result = await PublishingServiceM.resumeManifestJob(job.jobId, signer);
+
+    // Assert
+    expect(result.glyphLocations[pendingTask.index].transactionId).not.toBe(pendingTask.signature);
+    expect(result.glyphTransactionIds).toHaveLength(pkg.contentChunks.length);
+    expect(ledger.getStats().transactions).toBe(sentBefore + transactions.content - 1);
+  });
+
+  it('should only resume with the wallet that started the job', async () => {
+    // Arrange
+    failCall(1);
+    await expect(PublishingServiceM.publishStoryWithManifest(pkg, signer)).rejects.toThrow('App killed');
+    const [job] = await PublishingServiceM.getResumableJobs();
+    const mallory = new KeypairSigner(Keypair.fromSeed(new Uint8Array(32).fill(42)));
+
+    // Act & Assert
+    await expect(PublishingServiceM.resumeManifestJob(job.jobId, mallory)).rejects.toThrow('Signer does not match');
+    await expect(PublishingServiceM.resumeManifestJob('missing', signer)).rejects.toThrow('Publishing job not found');
+  });
+
+});
+
+// Character count: 12938
@@ -0,0 +1,199 @@
+// src/services/publishing/__tests__/PublishingScheduler.test.js
+// Path: src/services/publishing/__tests__/PublishingScheduler.test.js
+
+/**
+ * Publishing Scheduler Tests
+ *
+ * Scheduled stories and posts on the local ledger: nothing runs before its
+ * publish time, due schedules publish with the author's registered wallet
+ * (replies keeping their thread), schedules that come due while the wallet is locked are missed and run
+ * later, a failed story resumes its publishing job, and an interrupted post
+ * is reported rather than sent twice.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Keypair } from '@solana/web3.js';
+import { PublishingScheduler } from '../PublishingScheduler';
+import PublishingServiceM from '../PublishingService-M';
+import { ScheduledPublishingStorage } from '../../storage/content/ScheduledPublishingStorage';
+import { StorageService } from '../../storage/StorageService';
+import { BlockchainService } from '../../blockchain/BlockchainService';
+import { SolanaPublisher } from '../../blockchain/solana/SolanaPublisher';
+import { PostTransactionReader } from '../../blockchain/PostTransactionReader';
+import { connectionProvider, SolanaCluster } from '../../blockchain/shared/ConnectionProvider';
+import { chunkReaderService } from '../../story/ChunkReaderService';
+import { KeypairSigner } from '../../wallet/KeypairSigner';
+
+jest.mock('expo-crypto', () => jest.requireActual('../../../../__tests__/__mocks__/expo-crypto-sha256'));
+
+const authorKeypair = Keypair.fromSeed(new Uint8Array(32).fill(121));
+const author = new KeypairSigner(authorKeypair);
+const AUTHOR = authorKeypair.publicKey.toBase58();
+
+const STORY = 'The night train kept its own timetable and never apologised. '.repeat(20);
+const HOUR = 60 * 60 * 1000;
+
+describe('PublishingScheduler', () => {
+  let ledger;
+  let publisher;
+  let scheduler;
+
+  beforeAll(() => {
+    ledger = connectionProvider.useLocalLedger();
+  });
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    publisher = new SolanaPublisher(ledger);
+    publisher.priorityFees.configure({ strategy: 'none' });
+    jest.spyOn(BlockchainService.prototype, 'getPublisher').mockReturnValue(publisher);
+    scheduler = new PublishingScheduler();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    chunkReaderService.clearCache();
+    connectionProvider.setCluster(SolanaCluster.DEVNET);
+  });
+
+  it('should publish stories and posts once they are due', async () => {
+    // Arrange
+    const publishAt = Date.now() + HOUR;
+    const draft = { id: 'draft_night_train', title: 'Night Train', content: STORY, authorPublicKey: AUTHOR };
+    await StorageService.saveInProgressContent({ contentId: draft.id, title: draft.title, originalContent: STORY, status: 'draft' });
+    const story = await scheduler.scheduleDraft(draft, publishAt);
+    const post = await scheduler.schedulePost({ content: 'Departing at midnight', authorName: 'author', authorPublicKey: AUTHOR }, new Date(publishAt));
+    scheduler.registerSigner(author);
+
+    // Act
+    const early = await scheduler.runDueSchedules({ now: publishAt - 1 });
+    const due = await scheduler.runDueSchedules({ now: publishAt + 1 });
+    const published = await ScheduledPublishingStorage.getSchedule(post.scheduleId);
+    const read = await new PostTransactionReader(ledger).readPostFromTransaction(published.result.transactionId, 'author', AUTHOR);
+
+    // Assert
+    expect(early).toEqual({ published: [], missed: [], failed: [] });
+    expect(due.published.map(s => s.scheduleId)).toEqual([story.scheduleId, post.scheduleId]);
+    expect(due.published[0].result).toMatchObject({ storyId: expect.any(String), transactionCount: expect.any(Number) });
+    expect(read.content).toBe('Departing at midnight');
+    expect(await StorageService.getInProgressContentById(draft.id)).toBeNull();
+    expect(await scheduler.getPendingSchedules(AUTHOR)).toEqual([]);
+  });
+
+  it('should publish a scheduled reply with its thread and hashtags', async () => {
+    // Arrange
+    const publishAt = Date.now() + HOUR;
+    scheduler.registerSigner(author);
+    const parent = await scheduler.schedulePost({ content: 'Who is on the late train?', authorName: 'author', authorPublicKey: AUTHOR }, publishAt);
+    await scheduler.runDueSchedules({ now: publishAt + 1 });
+    const parentId = (await ScheduledPublishingStorage.getSchedule(parent.scheduleId)).result.transactionId;
+    const reply = await scheduler.schedulePost({
+      content: 'Me, as always #nighttrain',
+      authorName: 'author',
+      authorPublicKey: AUTHOR,
+      tags: ['nighttrain'],
+      replyTo: parentId,
+      threadId: parentId
+    }, publishAt + HOUR);
+
+    // Act
+    await scheduler.runDueSchedules({ now: publishAt + HOUR + 1 });
+    const published = await ScheduledPublishingStorage.getSchedule(reply.scheduleId);
+    const read = await new PostTransactionReader(ledger).readPostFromTransaction(published.result.transactionId, 'author', AUTHOR);
+
+    // Assert
+    expect(published.status).toBe(ScheduledPublishingStorage.STATUS.PUBLISHED);
+    expect(read).toMatchObject({ content: 'Me, as always #nighttrain', replyTo: parentId, threadId: parentId, tags: ['nighttrain'] });
+  });
+
+  it('should mark schedules missed while the wallet is locked and run them when it is back', async () => {
+    // Arrange
+    const publishAt = Date.now() + HOUR;
+    const post = await scheduler.schedulePost({ content: 'Posted late', authorName: 'author', authorPublicKey: AUTHOR }, publishAt);
+    const listener = jest.fn();
+    scheduler.subscribe(listener);
+
+    // Act
+    const locked = await scheduler.runDueSchedules({ now: publishAt + 1 });
+    const attention = await scheduler.getAttentionSchedules(AUTHOR);
+    scheduler.registerSigner(author);
+    const unlocked = await scheduler.runDueSchedules({ now: publishAt + 2 });
+
+    // Assert
+    expect(locked.missed.map(s => s.scheduleId)).toEqual([post.scheduleId]);
+    expect(attention).toEqual([expect.objectContaining({ scheduleId: post.scheduleId, status: 'missed' })]);
+    expect(unlocked.published.map(s => s.scheduleId)).toEqual([post.scheduleId]);
+    expect(listener.mock.calls.map(([s]) => s.status)).toEqual(['missed', 'published']);
+    expect(await scheduler.getAttentionSchedules(AUTHOR)).toEqual([]);
+  });
+
+  it('should resume a failed story job when it is rescheduled', async () => {
+    // Arrange - the third transaction fails once
+    const publishAt = Date.now() + HOUR;
+    const story = await scheduler.scheduleStory({ content: STORY, title: 'Derailed', authorPublicKey: AUTHOR }, publishAt);
+    scheduler.registerSigner(author);
+    const send = publisher.publishSingleTransaction.bind(publisher);
+    let calls = 0;
+    jest.spyOn(publisher, 'publishSingleTransaction').mockImplementation(async (...args) => {
+      calls += 1;
+      if (calls === 3) throw new Error('Network request failed');
+      return await send(...args);
+    });
+    const resume = jest.spyOn(PublishingServiceM, 'resumeManifestJob');
+
+    // Act
+    const first = await scheduler.runDueSchedules({ now: publishAt + 1 });
+    await scheduler.reschedule(story.scheduleId, Date.now());
+    const second = await scheduler.runDueSchedules();
+
+    // Assert
+    expect(first.failed).toEqual([expect.objectContaining({ scheduleId: story.scheduleId, status: 'failed', jobId: expect.any(String) })]);
+    expect(first.failed[0].error).toContain('Network request failed');
+    expect(resume).toHaveBeenCalledWith(first.failed[0].jobId, author);
+    expect(second.published[0]).toMatchObject({ scheduleId: story.scheduleId, attempts: 2 });
+  });
+
+  it('should report an interrupted post instead of sending it again', async () => {
+    // Arrange - a run was killed while the post was publishing
+    const publishAt = Date.now() + HOUR;
+    const post = await scheduler.schedulePost({ content: 'Maybe sent', authorName: 'author', authorPublicKey: AUTHOR }, publishAt);
+    await ScheduledPublishingStorage.updateSchedule(post.scheduleId, { status: 'publishing', attempts: 1 });
+    scheduler.registerSigner(author);
+    const send = jest.spyOn(publisher, 'publishSingleTransaction');
+
+    // Act
+    const { failed } = await scheduler.runDueSchedules({ now: publishAt + 1 });
+
+    // Assert
+    expect(failed).toEqual([expect.objectContaining({ scheduleId: post.scheduleId, status: 'failed' })]);
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  it('should validate schedules and register a background task when available', async () => {
+    // Arrange
+    const tasks = {};
+    const TaskManager = { defineTask: jest.fn((name, task) => { tasks[name] = task; }) };
+    const BackgroundFetch = {
+      BackgroundFetchResult: { NoData: 1, NewData: 2, Failed: 3 },
+      registerTaskAsync: jest.fn(async () => {})
+    };
+
+    // Act
+    const registered = await scheduler.registerBackgroundTask({ TaskManager, BackgroundFetch });
+    const result = await tasks[PublishingScheduler.BACKGROUND_TASK_NAME]();
+
+    // Assert
+    expect(registered).toBe(true);
+    expect(result).toBe(BackgroundFetch.BackgroundFetchResult.NoData);
+    expect(await scheduler.registerBackgroundTask({})).toBe(false);
+    await expect(scheduler.schedulePost({ content: 'Too late', authorPublicKey: AUTHOR }, Date.now() - 1))
+      .rejects.toThrow('Publish time must be in the future');
+    await expect(scheduler.scheduleStory({ content: STORY, title: ' ', authorPublicKey: AUTHOR }, Date.now() + HOUR))
+      .rejects.toThrow('Title is required');
+  });
+});
+
+// Character count: 9532
@@ -20,6 +20,7 @@ import { PublishingService } from '../PublishingService';
 import { ContentService } from '../../content/ContentService';
 import { BlockchainService } from '../../blockchain/BlockchainService';
 import { StorageService } from '../../storage/StorageService';
+import { retractionService } from '../../blockchain/RetractionService';
 
 // Mock all the dependencies
 jest.mock('../../content/ContentService');
@@ -29,7 +30,6 @@ jest.mock('../../storage/StorageService');
 describe('PublishingService', () => {
   let publishingService;
   let mockWallet;
-  let mockKeypair;
 
   // Setup before each test
   beforeEach(() => {
@@ -39,14 +39,9 @@ describe('PublishingService', () => {
     // Create mock wallet
     mockWallet = {
       getWalletPublicKey: jest.fn(() => 'mock_public_key_12345678'),
-      getWalletKeypair: jest.fn(() => mockKeypair),
-      isConnected: jest.fn(() => true)
-    };
-    
-    // Create mock keypair
-    mockKeypair = {
       publicKey: 'mock_public_key_12345678',
-      secretKey: 'mock_secret_key'
+      signTransaction: jest.fn(async (transaction) => transaction),
+      isConnected: jest.fn(() => true)
     };
 
     // Clear all mocks
@@ -261,7 +256,7 @@ describe('PublishingService', () => {
       // Assert
       expect(BlockchainService.prototype.publishContent).toHaveBeenCalledWith(
         preparedContent,
-        mockKeypair,
+        mockWallet,
         mockProgressCallback
       );
       expect(result).toEqual(mockPublishResult);
@@ -300,7 +295,7 @@ describe('PublishingService', () => {
       expect(ContentService.prepareContent).toHaveBeenCalled();
       expect(BlockchainService.prototype.publishContent).toHaveBeenCalledWith(
         mockPreparedContent,
-        mockKeypair,
+        mockWallet,
         null
       );
       expect(result).toEqual(mockPublishResult);
@@ -321,13 +316,13 @@ describe('PublishingService', () => {
       await expect(publishingService.publishContent({})).rejects.toThrow('No valid content to publish');
     });
 
-    it('should throw error when wallet has no keypair', async () => {
+    it('should throw error when wallet is locked', async () => {
       // Arrange
-      mockWallet.getWalletKeypair.mockReturnValue(null);
+      mockWallet.publicKey = null;
       const content = { title: 'Test', content: 'test content' };
 
       // Act & Assert
-      await expect(publishingService.publishContent(content)).rejects.toThrow('Unable to access wallet keypair');
+      await expect(publishingService.publishContent(content)).rejects.toThrow('Unable to access wallet signer');
     });
 
   });
@@ -375,7 +370,7 @@ describe('PublishingService', () => {
       // Assert
       expect(BlockchainService.prototype.resumePublishing).toHaveBeenCalledWith(
         'content_123',
-        mockKeypair,
+        mockWallet,
         mockProgressCallback
       );
       expect(result).toEqual(mockResumeResult);
@@ -454,6 +449,28 @@ describe('PublishingService', () => {
       expect(result).toEqual(mockPublishedContent);
     });
 
+    it('should retract manifest stories by story ID and older stories by their last transaction', async () => {
+      // Arrange
+      publishingService.setWallet(mockWallet);
+      const retract = jest.spyOn(retractionService, 'retract').mockResolvedValue({ transactionHash: 'retract_tx' });
+      StorageService.getPublishedContentById
+        .mockResolvedValueOnce({ contentId: 'story_1', transactionIds: ['glyph_1', 'glyph_2'], manifest: { storyId: 'manifest_tx' } })
+        .mockResolvedValueOnce({ contentId: 'legacy_1', transactionIds: ['tx_1', 'tx_2'] });
+
+      // Act
+      await publishingService.retractPublishedContent('story_1');
+      await publishingService.retractPublishedContent('legacy_1', { reason: 'typo' });
+
+      // Assert
+      expect(retract.mock.calls.map(([target]) => target)).toEqual([
+        { targetKind: 'story', targetId: 'manifest_tx', reason: null },
+        { targetKind: 'story', targetId: 'tx_2', reason: 'typo' }
+      ]);
+      expect(StorageService.deletePublishedContent).toHaveBeenCalledWith('story_1');
+      expect(StorageService.deletePublishedContent).toHaveBeenCalledWith('legacy_1');
+      retract.mockRestore();
+    });
+
   });
 
   // Test suite for Content Statistics
@@ -582,7 +599,7 @@ describe('PublishingService', () => {
       expect(ContentService.prepareContent).toHaveBeenCalled();
       expect(BlockchainService.prototype.publishContent).toHaveBeenCalledWith(
         preparedContent,
-        mockKeypair,
+        mockWallet,
         progressCallback
       );
     });
@@ -3,6 +3,11 @@
 
 import { CompressionService } from '../compression/CompressionService';
 import { sha256 } from 'js-sha256';
+import { xchacha20poly1305 } from '@noble/ciphers/chacha';
+import { randomBytes } from '@noble/ciphers/webcrypto';
+import { hkdf } from '@noble/hashes/hkdf';
+import { sha256 as sha256Hash } from '@noble/hashes/sha2';
+import { utf8ToBytes } from '@noble/hashes/utils';
 
 /**
  * SecurityService - Centralized security utilities for Glyffiti
@@ -14,17 +19,50 @@ import { sha256 } from 'js-sha256';
  * 1. Field obfuscation (readable names → coded names)
  * 2. JSON serialization  
  * 3. Compression (gzip via CompressionService)
- * 4. Encryption (XOR cipher + substitution)
- * 5. Integrity hash (SHA-256)
- * 6. Wire format (version byte + hash + encrypted data)
+ * 4. Authenticated encryption (XChaCha20-Poly1305, per-message HKDF key)
+ * 5. Wire format (version byte + key id + nonce + ciphertext/tag)
+ * 
+ * Wire format 0x02 (written):
+ *   [0]      version (0x02)
+ *   [1]      key id (0x00 = caller-supplied key, 0x01+ = network key)
+ *   [2..25]  24-byte random nonce
+ *   [26..]   ciphertext followed by the 16-byte Poly1305 tag
+ * 
+ * Wire format 0x01 (read-only, legacy):
+ *   [0]      version (0x01)
+ *   [1..32]  SHA-256 of the ciphertext
+ *   [33..]   XOR/nibble-swap ciphertext
+ * 
+ * Public posts must be readable by every client, so network keys still ship
+ * with the app. What 0x02 adds over 0x01 is tamper detection, unique
+ * per-message keys, and the key id byte so the network key can be rotated.
+ * Private payloads should pass their own key (e.g. from ECDH) via options.key.
  */
 export class SecurityService {
   
-  // Fixed encryption key (in production, derive from network parameters)
-  static CIPHER_KEY = new Uint8Array([0x47, 0x6C, 0x79, 0x66, 0x66, 0x69, 0x74, 0x69]);
+  // Legacy 0x01 cipher key - only used to read existing devnet data
+  static LEGACY_CIPHER_KEY = new Uint8Array([0x47, 0x6C, 0x79, 0x66, 0x66, 0x69, 0x74, 0x69]);
+  
+  // Wire format versions
+  static WIRE_FORMAT_VERSION = 0x02;
+  static LEGACY_WIRE_FORMAT_VERSION = 0x01;
+  
+  // 0x02 layout sizes
+  static NONCE_SIZE = 24;
+  static TAG_SIZE = 16;
+  static HEADER_SIZE = 2 + SecurityService.NONCE_SIZE;
   
-  // Wire format version
-  static WIRE_FORMAT_VERSION = 0x01;
+  // Key ids: 0x00 means the caller supplies the key, others index NETWORK_KEYS
+  static CALLER_KEY_ID = 0x00;
+  static CURRENT_NETWORK_KEY_ID = 0x01;
+  
+  // Network key material by key id (append new ids to rotate, never reuse one)
+  static NETWORK_KEYS = {
+    0x01: utf8ToBytes('glyffiti/network-key/1')
+  };
+  
+  // HKDF context string - binds derived keys to this wire format
+  static KDF_INFO = utf8ToBytes('glyffiti/wire/v2');
   
   // Maximum memo size for Solana (566 bytes - some buffer for encoding overhead)
   static MAX_MEMO_SIZE = 566;
@@ -103,38 +141,73 @@ export class SecurityService {
     return deobfuscated;
   }
 
-  // ==================== ENCRYPTION ====================
+  // ==================== KEY DERIVATION ====================
 
   /**
-   * Encrypt data using custom cipher (XOR + nibble swap + XOR)
-   * @param {Uint8Array} data - Data to encrypt
-   * @returns {Uint8Array} Encrypted data
+   * Resolve the input key material for a key id
+   * @param {number} keyId - Key id from the wire header
+   * @param {Uint8Array} [callerKey] - Caller-supplied key (required for CALLER_KEY_ID)
+   * @returns {Uint8Array} Input key material
    */
-  static encrypt(data) {
-    const encrypted = new Uint8Array(data.length);
-    const { CIPHER_KEY } = this;
-    
-    for (let i = 0; i < data.length; i++) {
-      // Step 1: XOR with key and position
-      const keyByte = CIPHER_KEY[i % CIPHER_KEY.length];
-      const xored = data[i] ^ keyByte ^ (i & 0xFF);
-      
-      // Step 2: Swap nibbles (swap upper and lower 4 bits)
-      const swapped = ((xored & 0x0F) << 4) | ((xored & 0xF0) >> 4);
-      
-      // Step 3: XOR with constant
-      encrypted[i] = swapped ^ 0xAA;
+  static resolveKeyMaterial(keyId, callerKey = null) {
+    if (keyId === this.CALLER_KEY_ID) {
+      if (!(callerKey instanceof Uint8Array) || callerKey.length < 32) {
+        throw new Error('A 32-byte key is required for caller-keyed payloads');
+      }
+      return callerKey;
     }
     
-    return encrypted;
+    const networkKey = this.NETWORK_KEYS[keyId];
+    if (!networkKey) {
+      throw new Error(`Unknown network key id: ${keyId}`);
+    }
+    return networkKey;
+  }
+
+  /**
+   * Derive a one-time message key with HKDF-SHA256, salted by the nonce
+   * @param {Uint8Array} keyMaterial - Input key material
+   * @param {Uint8Array} nonce - Per-message nonce
+   * @returns {Uint8Array} 32-byte message key
+   */
+  static deriveMessageKey(keyMaterial, nonce) {
+    return hkdf(sha256Hash, keyMaterial, nonce, this.KDF_INFO, 32);
+  }
+
+  // ==================== ENCRYPTION ====================
+
+  /**
+   * Encrypt data with XChaCha20-Poly1305
+   * @param {Uint8Array} data - Plaintext
+   * @param {Uint8Array} key - 32-byte message key
+   * @param {Uint8Array} nonce - 24-byte nonce
+   * @param {Uint8Array} [aad] - Additional authenticated data
+   * @returns {Uint8Array} Ciphertext with 16-byte tag appended
+   */
+  static encrypt(data, key, nonce, aad) {
+    return xchacha20poly1305(key, nonce, aad).encrypt(data);
+  }
+
+  /**
+   * Decrypt and authenticate XChaCha20-Poly1305 data
+   * @param {Uint8Array} encryptedData - Ciphertext with tag
+   * @param {Uint8Array} key - 32-byte message key
+   * @param {Uint8Array} nonce - 24-byte nonce
+   * @param {Uint8Array} [aad] - Additional authenticated data
+   * @returns {Uint8Array} Plaintext
+   * @throws {Error} If the tag does not verify
+   */
+  static decrypt(encryptedData, key, nonce, aad) {
+    return xchacha20poly1305(key, nonce, aad).decrypt(encryptedData);
   }
 
   /**
-   * Decrypt data (exact reverse of encrypt)
+   * Decrypt legacy 0x01 data (reverse of the old XOR + nibble swap cipher)
    * @param {Uint8Array} encryptedData - Encrypted data
    * @returns {Uint8Array} Decrypted data
    */
-  static decrypt(encryptedData) {
+  static legacyDecrypt(encryptedData) {
+    const { LEGACY_CIPHER_KEY } = this;
     const decrypted = new Uint8Array(encryptedData.length);
     for (let i = 0; i < encryptedData.length; i++) {
       // Reverse step 3: XOR with constant
@@ -144,7 +217,7 @@ export class SecurityService {
       const unswapped = ((unxored & 0x0F) << 4) | ((unxored & 0xF0) >> 4);
       
       // Reverse step 1: XOR with key and position
-      const keyByte = this.CIPHER_KEY[i % this.CIPHER_KEY.length];
+      const keyByte = LEGACY_CIPHER_KEY[i % LEGACY_CIPHER_KEY.length];
       decrypted[i] = unswapped ^ keyByte ^ (i & 0xFF);
     }
     return decrypted;
@@ -153,7 +226,7 @@ export class SecurityService {
   // ==================== INTEGRITY VERIFICATION ====================
 
   /**
-   * Create SHA-256 integrity hash for data
+   * Create SHA-256 integrity hash for data (legacy 0x01 format)
    * @param {Uint8Array} data - Data to hash
    * @returns {Promise<Uint8Array>} 32-byte hash
    */
@@ -167,7 +240,7 @@ export class SecurityService {
   }
 
   /**
-   * Verify integrity hash matches data
+   * Verify integrity hash matches data (legacy 0x01 format)
    * @param {Uint8Array} data - Data to verify
    * @param {Uint8Array} expectedHash - Expected 32-byte hash
    * @returns {Promise<boolean>} True if hash matches
@@ -183,13 +256,78 @@ export class SecurityService {
 
   // ==================== SECURE WIRE FORMAT ====================
 
+  /**
+   * Seal payload bytes into the 0x02 wire format
+   * @param {Uint8Array} payload - Bytes to seal (usually compressed JSON)
+   * @param {Object} [options] - Sealing options
+   * @param {Uint8Array} [options.key] - Caller-supplied key (uses key id 0x00)
+   * @param {number} [options.keyId] - Network key id (default CURRENT_NETWORK_KEY_ID)
+   * @returns {Uint8Array} Wire format bytes
+   */
+  static sealWireFormat(payload, options = {}) {
+    const keyId = options.key ? this.CALLER_KEY_ID : (options.keyId ?? this.CURRENT_NETWORK_KEY_ID);
+    const keyMaterial = this.resolveKeyMaterial(keyId, options.key);
+    
+    const nonce = randomBytes(this.NONCE_SIZE);
+    const header = new Uint8Array(this.HEADER_SIZE);
+    header[0] = this.WIRE_FORMAT_VERSION;
+    header[1] = keyId;
+    header.set(nonce, 2);
+    
+    // The whole header is authenticated so version and key id cannot be swapped
+    const messageKey = this.deriveMessageKey(keyMaterial, nonce);
+    const encryptedData = this.encrypt(payload, messageKey, nonce, header);
+    
+    const wireFormat = new Uint8Array(header.length + encryptedData.length);
+    wireFormat.set(header, 0);
+    wireFormat.set(encryptedData, header.length);
+    return wireFormat;
+  }
+
+  /**
+   * Open wire format bytes (0x02, or legacy 0x01) back into payload bytes
+   * @param {Uint8Array} wireData - Wire format bytes
+   * @param {Object} [options] - Opening options
+   * @param {Uint8Array} [options.key] - Key for caller-keyed (0x00) payloads
+   * @returns {Promise<Uint8Array>} Payload bytes
+   * @throws {Error} If the format is unknown or authentication fails
+   */
+  static async openWireFormat(wireData, options = {}) {
+    if (!this.looksLikeSecureWireFormat(wireData)) {
+      throw new Error('Invalid secure wire format');
+    }
+    
+    if (wireData[0] === this.LEGACY_WIRE_FORMAT_VERSION) {
+      const integrityHash = wireData.slice(1, 33);
+      const encryptedData = wireData.slice(33);
+      
+      const hashValid = await this.verifyIntegrityHash(encryptedData, integrityHash);
+      if (!hashValid) {
+        throw new Error('Integrity verification failed');
+      }
+      return this.legacyDecrypt(encryptedData);
+    }
+    
+    const header = wireData.slice(0, this.HEADER_SIZE);
+    const nonce = header.slice(2);
+    const keyMaterial = this.resolveKeyMaterial(header[1], options.key);
+    const messageKey = this.deriveMessageKey(keyMaterial, nonce);
+    
+    try {
+      return this.decrypt(wireData.slice(this.HEADER_SIZE), messageKey, nonce, header);
+    } catch (error) {
+      throw new Error('Integrity verification failed');
+    }
+  }
+
   /**
    * Create secure wire format from data object
    * @param {Object} data - Data object to secure
    * @param {string} logPrefix - Prefix for logging
+   * @param {Object} [options] - Sealing options (see sealWireFormat)
    * @returns {Promise<Uint8Array>} Secure wire format data
    */
-  static async createSecureWireFormat(data, logPrefix = '🔒') {
+  static async createSecureWireFormat(data, logPrefix = '🔒', options = {}) {
     try {
       // Step 1: Obfuscate field names
       const obfuscatedData = this.obfuscateFields(data);
@@ -200,20 +338,8 @@ export class SecurityService {
       const compressedData = CompressionService.compress(jsonString);
       console.log(`${logPrefix} Compressed:`, compressedData.length, 'bytes');
       
-      // Step 3: Encrypt the compressed data
-      const encryptedData = this.encrypt(compressedData);
-      console.log(`${logPrefix} Encrypted:`, encryptedData.length, 'bytes');
-      
-      // Step 4: Create integrity hash
-      const integrityHash = await this.createIntegrityHash(encryptedData);
-      console.log(`${logPrefix} Integrity hash created (32 bytes)`);
-      
-      // Step 5: Create wire format: version byte + hash + encrypted data
-      const wireFormat = new Uint8Array(1 + 32 + encryptedData.length);
-      wireFormat[0] = this.WIRE_FORMAT_VERSION; // Version byte
-      wireFormat.set(integrityHash, 1); // Hash at bytes 1-32
-      wireFormat.set(encryptedData, 33); // Encrypted data at byte 33+
-      
+      // Step 3: Encrypt and wrap: version + key id + nonce + ciphertext/tag
+      const wireFormat = this.sealWireFormat(compressedData, options);
       console.log(`${logPrefix} Wire format created:`, wireFormat.length, 'bytes');
       
       // Check size limits
@@ -229,39 +355,22 @@ export class SecurityService {
   }
 
   /**
-   * Parse secure wire format back to data object
+   * Parse secure wire format back to data object (accepts 0x02 and legacy 0x01)
    * @param {Uint8Array} wireData - Secure wire format data
    * @param {string} logPrefix - Prefix for logging
+   * @param {Object} [options] - Opening options (see openWireFormat)
    * @returns {Promise<Object>} Parsed data object
    */
-  static async parseSecureWireFormat(wireData, logPrefix = '🔓') {
+  static async parseSecureWireFormat(wireData, logPrefix = '🔓', options = {}) {
     try {
-      // Validate wire format
-      if (!wireData || wireData.length < 34 || wireData[0] !== this.WIRE_FORMAT_VERSION) {
-        throw new Error('Invalid secure wire format');
-      }
-      
       console.log(`${logPrefix} Parsing wire format:`, {
-        totalSize: wireData.length,
-        version: wireData[0],
-        hashSize: 32,
-        encryptedSize: wireData.length - 33
+        totalSize: wireData?.length,
+        version: wireData?.[0]
       });
       
-      // Extract components
-      const integrityHash = wireData.slice(1, 33);
-      const encryptedData = wireData.slice(33);
-      
-      // Verify integrity
-      const hashValid = await this.verifyIntegrityHash(encryptedData, integrityHash);
-      if (!hashValid) {
-        throw new Error('Integrity verification failed');
-      }
-      console.log(`${logPrefix} Integrity verified`);
-      
-      // Decrypt
-      const compressedData = this.decrypt(encryptedData);
-      console.log(`${logPrefix} Data decrypted`);
+      // Verify and decrypt
+      const compressedData = await this.openWireFormat(wireData, options);
+      console.log(`${logPrefix} Integrity verified, data decrypted`);
       
       // Decompress
       const jsonString = CompressionService.decompress(compressedData);
@@ -340,15 +449,17 @@ export class SecurityService {
   // ==================== UTILITY METHODS ====================
 
   /**
-   * Check if data looks like secure wire format
+   * Check if data looks like secure wire format (0x02 or legacy 0x01)
    * @param {Uint8Array} data - Data to check
    * @returns {boolean} True if looks like secure wire format
    */
   static looksLikeSecureWireFormat(data) {
-    return data && 
-           data instanceof Uint8Array && 
-           data.length >= 34 && 
-           data[0] === this.WIRE_FORMAT_VERSION;
+    if (!data || !(data instanceof Uint8Array)) return false;
+    
+    if (data[0] === this.WIRE_FORMAT_VERSION) {
+      return data.length > this.HEADER_SIZE + this.TAG_SIZE;
+    }
+    return data[0] === this.LEGACY_WIRE_FORMAT_VERSION && data.length >= 34;
   }
 
   /**
@@ -358,16 +469,17 @@ export class SecurityService {
   static getSecurityInfo() {
     return {
       name: 'SecurityService',
-      version: '1.0.0',
+      version: '2.0.0',
       wireFormatVersion: this.WIRE_FORMAT_VERSION,
+      readableVersions: [this.LEGACY_WIRE_FORMAT_VERSION, this.WIRE_FORMAT_VERSION],
       maxMemoSize: this.MAX_MEMO_SIZE,
       fieldMapSize: Object.keys(this.FIELD_MAP).length,
-      cipherKeyLength: this.CIPHER_KEY.length,
+      networkKeyIds: Object.keys(this.NETWORK_KEYS).map(Number),
       features: [
         'Field obfuscation',
-        'XOR encryption with nibble swapping',
-        'SHA-256 integrity verification',
-        'Versioned wire format',
+        'XChaCha20-Poly1305 authenticated encryption',
+        'HKDF-SHA256 per-message keys',
+        'Versioned wire format (legacy 0x01 read support)',
         'Compression support'
       ]
     };
@@ -401,8 +513,19 @@ export class SecurityService {
         parsedData.ts === testData.ts
       );
       
-      console.log('✅ SecurityService self-test passed!');
-      return roundTripSuccess;
+      // Verify tampering is detected
+      const tampered = wireFormat.slice();
+      tampered[tampered.length - 1] ^= 0x01;
+      let tamperDetected = false;
+      try {
+        await this.openWireFormat(tampered);
+      } catch (error) {
+        tamperDetected = true;
+      }
+      
+      const passed = roundTripSuccess && tamperDetected;
+      console.log(passed ? '✅ SecurityService self-test passed!' : '❌ SecurityService self-test failed!');
+      return passed;
       
     } catch (error) {
       console.error('❌ SecurityService self-test failed:', error);
@@ -411,4 +534,4 @@ export class SecurityService {
   }
 }
 
-// Character count: 10247
\ No newline at end of file
+// Character count: 18557
\ No newline at end of file
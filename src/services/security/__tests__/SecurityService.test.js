@@ -0,0 +1,142 @@
+// src/services/security/__tests__/SecurityService.test.js
+// Path: src/services/security/__tests__/SecurityService.test.js
+
+/**
+ * SecurityService Tests
+ *
+ * Covers the 0x02 authenticated wire format and read compatibility with
+ * legacy 0x01 payloads already published to devnet.
+ */
+
+import { SecurityService } from '../SecurityService';
+import { GenesisBlockFactory, GlyffitiGenesisBlock } from '../../blockchain/shared/models/GenesisBlock';
+import { UserGenesisBlock } from '../../blockchain/shared/models/UserGenesisBlock';
+import { CompressionService } from '../../compression/CompressionService';
+
+// Payloads written by the 0x01 implementation (XOR cipher + SHA-256)
+const LEGACY_FIXTURES = {
+  glyffitiGenesis: 'AUGiNatw3XIpsN9+eFGTTE99tw0/S5e2dgyn6CEmgCSaWbWnmSgppmn6AAe4tBj5EGuv8D/oQJnpeta/MBhJbOSyEnWY7wfpLjylny5eXig=',
+  userGenesis: 'AdXm/kTVoyABhl8iBW3+p+5ujlWFjNyOeb8N7kcn9+mlWbWnmSgppmn8LnmupBj5EGuv8D/oQJnpT13OE0uPdu1B5BuVGDY8CrDMhP0+bGaunEheY//u7Ngnmr4rJrbEDwagzSRKqlWImr/QVVEiyW7L+V9Yvw==',
+  post: 'AesMCoWDS0EcOGikYA+kV33H4IFU69SpqnyepPckIqrLWbWnmSgppmn8cG+eGcEYaLpWP77+Dt92VL6vfgD4oM1wNGFcxD/RMP63DtxTzg/up88C'
+};
+
+describe('SecurityService', () => {
+  const testData = { kind: 'post', ts: 1735689600, content: 'gm from v2', author: 'alice' };
+
+  describe('Wire format 0x02', () => {
+
+    it('should round-trip data through the AEAD wire format', async () => {
+      // Act
+      const wire = await SecurityService.createSecureWireFormat(testData);
+      const parsed = await SecurityService.parseSecureWireFormat(wire);
+
+      // Assert
+      expect(wire[0]).toBe(0x02);
+      expect(wire[1]).toBe(SecurityService.CURRENT_NETWORK_KEY_ID);
+      expect(parsed).toEqual(testData);
+    });
+
+    it('should derive a different message key for every nonce', () => {
+      // Arrange
+      const keyMaterial = SecurityService.NETWORK_KEYS[SecurityService.CURRENT_NETWORK_KEY_ID];
+      const nonceA = new Uint8Array(24).fill(1);
+      const nonceB = new Uint8Array(24).fill(2);
+
+      // Act
+      const keyA = SecurityService.deriveMessageKey(keyMaterial, nonceA);
+      const keyB = SecurityService.deriveMessageKey(keyMaterial, nonceB);
+
+      // Assert
+      expect(keyA).toHaveLength(32);
+      expect(Buffer.from(keyA)).not.toEqual(Buffer.from(keyB));
+      expect(Buffer.from(keyA)).not.toEqual(Buffer.from(keyMaterial.slice(0, 32)));
+    });
+
+    it('should reject tampered ciphertext and headers', async () => {
+      const wire = await SecurityService.createSecureWireFormat(testData);
+
+      const badBody = wire.slice();
+      badBody[30] ^= 0x01;
+      await expect(SecurityService.parseSecureWireFormat(badBody)).rejects.toThrow('Integrity verification failed');
+
+      const badNonce = wire.slice();
+      badNonce[5] ^= 0x01;
+      await expect(SecurityService.parseSecureWireFormat(badNonce)).rejects.toThrow('Integrity verification failed');
+    });
+
+    it('should reject unknown key ids', async () => {
+      const wire = await SecurityService.createSecureWireFormat(testData);
+      wire[1] = 0x7f;
+
+      await expect(SecurityService.parseSecureWireFormat(wire)).rejects.toThrow('Unknown network key id');
+    });
+
+    it('should require the caller key for caller-keyed payloads', async () => {
+      // Arrange
+      const key = new Uint8Array(32).fill(7);
+      const otherKey = new Uint8Array(32).fill(8);
+
+      // Act
+      const wire = await SecurityService.createSecureWireFormat(testData, '🔒', { key });
+
+      // Assert
+      expect(wire[1]).toBe(SecurityService.CALLER_KEY_ID);
+      await expect(SecurityService.parseSecureWireFormat(wire)).rejects.toThrow('32-byte key is required');
+      await expect(SecurityService.parseSecureWireFormat(wire, '🔓', { key: otherKey })).rejects.toThrow('Integrity verification failed');
+      await expect(SecurityService.parseSecureWireFormat(wire, '🔓', { key })).resolves.toEqual(testData);
+    });
+
+    it('should pass its own self-test', async () => {
+      await expect(SecurityService.runSelfTest()).resolves.toBe(true);
+    });
+
+  });
+
+  describe('Legacy 0x01 compatibility', () => {
+
+    it('should parse legacy posts', async () => {
+      const wire = CompressionService.base64ToUint8Array(LEGACY_FIXTURES.post);
+
+      const data = await SecurityService.parseSecureWireFormat(wire);
+
+      expect(data).toEqual({ kind: 'post', ts: 1735689600, content: 'gm from v1' });
+    });
+
+    it('should parse legacy genesis blocks', async () => {
+      const genesis = await GenesisBlockFactory.parseFromBase64(LEGACY_FIXTURES.glyffitiGenesis);
+      const userWire = CompressionService.base64ToUint8Array(LEGACY_FIXTURES.userGenesis);
+      const user = await UserGenesisBlock.fromWireData(userWire);
+
+      expect(genesis).toBeInstanceOf(GlyffitiGenesisBlock);
+      expect(genesis.ts).toBe(1735689600);
+      expect(user.alias).toBe('alice');
+      expect(user.parent).toBe('5xGenesisHash');
+      expect(user.pub).toBe('AliceP1bKey');
+    });
+
+    it('should reject legacy payloads with a bad integrity hash', async () => {
+      const wire = CompressionService.base64ToUint8Array(LEGACY_FIXTURES.post);
+      wire[40] ^= 0x01;
+
+      await expect(SecurityService.parseSecureWireFormat(wire)).rejects.toThrow('Integrity verification failed');
+    });
+
+  });
+
+  describe('Genesis blocks', () => {
+
+    it('should write new genesis blocks in 0x02 and parse them back', async () => {
+      const user = new UserGenesisBlock('bob', 'genesisTx', 'BobKey');
+
+      const wire = await user.toMemoData();
+      const parsed = await UserGenesisBlock.fromWireData(wire);
+
+      expect(wire[0]).toBe(0x02);
+      expect(parsed.alias).toBe('bob');
+      await expect(GenesisBlockFactory.runSelfTest()).resolves.toBe(true);
+    });
+
+  });
+});
+
+// Character count: 5723
@@ -13,7 +13,8 @@ export class StorageService {
   static STORAGE_KEYS = {
     IN_PROGRESS: 'glyffiti_in_progress',
     PUBLISHED: 'glyffiti_published',
-    SCROLLS: 'glyffiti_scrolls'
+    SCROLLS: 'glyffiti_scrolls',
+    PUBLISHING_JOBS: 'glyffiti_publishing_jobs'
   };
 
   static SCROLL_VERSION = '1.0';
@@ -241,7 +242,8 @@ export class StorageService {
       await AsyncStorage.multiRemove([
         this.STORAGE_KEYS.IN_PROGRESS,
         this.STORAGE_KEYS.PUBLISHED,
-        this.STORAGE_KEYS.SCROLLS
+        this.STORAGE_KEYS.SCROLLS,
+        this.STORAGE_KEYS.PUBLISHING_JOBS
       ]);
       
       console.log('🧹 Cleared all publishing storage');
@@ -517,4 +519,4 @@ export class StorageService {
   }
 }
 
-// Character count: 11847
\ No newline at end of file
+// Character count: 16773
\ No newline at end of file
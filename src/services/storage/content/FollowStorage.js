@@ -0,0 +1,79 @@
+// src/services/storage/content/FollowStorage.js
+// Path: src/services/storage/content/FollowStorage.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Follow Storage - Local mirror of follow records published on this device
+ *
+ * FollowService publishes follows and unfollows as signed memos and records
+ * each one here as well, so who a user follows is known right away and
+ * without a chain scan. Records are kept per follower and followee; a record
+ * only replaces one that is not newer.
+ *
+ * Records: { [followerPublicKey]: { [targetPublicKey]: { ts, removed, transactionHash } } }
+ *
+ * Writes are serialized through a queue, as in PublishingJobStorage.
+ */
+export class FollowStorage {
+  static STORAGE_KEY = 'glyffiti_follows';
+
+  static _writeQueue = Promise.resolve();
+
+  /**
+   * Record a published follow or unfollow
+   * @param {string} followerPublicKey - Following account
+   * @param {Object} record - { target, ts, removed, transactionHash }
+   * @returns {Promise<boolean>} True if the record was kept (nothing newer was stored)
+   */
+  static async recordFollow(followerPublicKey, { target, ts, removed = false, transactionHash = null }) {
+    return await this._mutate(follows => {
+      const records = follows[followerPublicKey] || {};
+      const existing = records[target];
+      if (existing && existing.ts > ts) {
+        return false;
+      }
+
+      records[target] = { ts, removed: !!removed, transactionHash };
+      follows[followerPublicKey] = records;
+      return true;
+    });
+  }
+
+  /**
+   * Every follow record of a follower, unfollows included
+   * @param {string} followerPublicKey - Following account
+   * @returns {Promise<Object>} Records by target public key
+   */
+  static async getFollowRecords(followerPublicKey) {
+    try {
+      const stored = await AsyncStorage.getItem(this.STORAGE_KEY);
+      const follows = stored ? JSON.parse(stored) : {};
+      return follows[followerPublicKey] || {};
+    } catch (error) {
+      console.error('Error getting follow records:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Read-modify-write the follow records, one mutation at a time
+   * @param {Function} mutation - Receives the records object, may modify it, returns a result
+   * @returns {Promise<any>} The mutation's result
+   * @private
+   */
+  static _mutate(mutation) {
+    const run = this._writeQueue.then(async () => {
+      const stored = await AsyncStorage.getItem(this.STORAGE_KEY);
+      const follows = stored ? JSON.parse(stored) : {};
+      const result = mutation(follows);
+      await AsyncStorage.setItem(this.STORAGE_KEY, JSON.stringify(follows));
+      return result;
+    });
+
+    // Keep the queue alive after a failed write
+    this._writeQueue = run.catch(() => {});
+    return run;
+  }
+}
+
+// Character count: 2790
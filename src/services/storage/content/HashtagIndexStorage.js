@@ -0,0 +1,140 @@
+// src/services/storage/content/HashtagIndexStorage.js
+// Path: src/services/storage/content/HashtagIndexStorage.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { PostEntities } from '../../blockchain/shared/models/PostEntities';
+
+/**
+ * Hashtag Index Storage - Local index of posts by hashtag
+ *
+ * Nothing on chain lists the posts carrying a tag, so this device indexes
+ * the tagged posts it reads (FeedService indexes every feed it builds).
+ * Browsing a tag only shows posts this device has seen.
+ *
+ * Index: { [tag]: { [transactionHash]: { authorPublicKey, author, timestamp } } }
+ *
+ * Each tag keeps its MAX_POSTS_PER_TAG newest posts. Writes are serialized
+ * through a queue, as in PublishingJobStorage.
+ */
+export class HashtagIndexStorage {
+  static STORAGE_KEY = 'glyffiti_hashtag_index';
+
+  static MAX_POSTS_PER_TAG = 200;
+
+  static _writeQueue = Promise.resolve();
+
+  /**
+   * Index the tags of read posts
+   * @param {Array<Object>} posts - Posts from PostTransactionReader
+   * @returns {Promise<number>} Number of (tag, post) entries added
+   */
+  static async indexPosts(posts) {
+    const tagged = (posts || [])
+      .filter(post => post?.transactionHash)
+      .map(post => ({ post, tags: PostEntities.tagsOf(post) }))
+      .filter(({ tags }) => tags.length > 0);
+    if (tagged.length === 0) {
+      return 0;
+    }
+
+    return await this._mutate(index => {
+      let added = 0;
+      for (const { post, tags } of tagged) {
+        for (const tag of tags) {
+          const entries = index[tag] || {};
+          if (!entries[post.transactionHash]) {
+            added++;
+          }
+          entries[post.transactionHash] = {
+            authorPublicKey: post.authorPublicKey,
+            author: post.author,
+            timestamp: post.timestamp
+          };
+          index[tag] = this._trim(entries);
+        }
+      }
+      return added;
+    });
+  }
+
+  /**
+   * Posts indexed under a tag, newest first
+   * @param {string} tag - Tag, with or without '#'
+   * @returns {Promise<Array<Object>>} Entries { transactionHash, authorPublicKey, author, timestamp }
+   */
+  static async getPostsForTag(tag) {
+    const index = await this._read();
+    const entries = index[(tag || '').replace(/^#/, '').toLowerCase()] || {};
+    return Object.entries(entries)
+      .map(([transactionHash, entry]) => ({ transactionHash, ...entry }))
+      .sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  /**
+   * Every indexed tag, most used first
+   * @returns {Promise<Array<Object>>} { tag, count, latestTimestamp }
+   */
+  static async getTags() {
+    const index = await this._read();
+    return Object.entries(index)
+      .map(([tag, entries]) => {
+        const timestamps = Object.values(entries).map(entry => entry.timestamp || 0);
+        return { tag, count: timestamps.length, latestTimestamp: Math.max(0, ...timestamps) };
+      })
+      .filter(({ count }) => count > 0)
+      .sort((a, b) => b.count - a.count || b.latestTimestamp - a.latestTimestamp);
+  }
+
+  /**
+   * @param {Object} entries - One tag's entries by transaction hash
+   * @returns {Object} The MAX_POSTS_PER_TAG newest entries
+   * @private
+   */
+  static _trim(entries) {
+    const hashes = Object.keys(entries);
+    if (hashes.length <= this.MAX_POSTS_PER_TAG) {
+      return entries;
+    }
+    return Object.fromEntries(
+      hashes
+        .sort((a, b) => entries[b].timestamp - entries[a].timestamp)
+        .slice(0, this.MAX_POSTS_PER_TAG)
+        .map(hash => [hash, entries[hash]])
+    );
+  }
+
+  /**
+   * @returns {Promise<Object>} The stored index
+   * @private
+   */
+  static async _read() {
+    try {
+      const stored = await AsyncStorage.getItem(this.STORAGE_KEY);
+      return stored ? JSON.parse(stored) : {};
+    } catch (error) {
+      console.error('Error reading hashtag index:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Read-modify-write the index, one mutation at a time
+   * @param {Function} mutation - Receives the index object, may modify it, returns a result
+   * @returns {Promise<any>} The mutation's result
+   * @private
+   */
+  static _mutate(mutation) {
+    const run = this._writeQueue.then(async () => {
+      const stored = await AsyncStorage.getItem(this.STORAGE_KEY);
+      const index = stored ? JSON.parse(stored) : {};
+      const result = mutation(index);
+      await AsyncStorage.setItem(this.STORAGE_KEY, JSON.stringify(index));
+      return result;
+    });
+
+    // Keep the queue alive after a failed write
+    this._writeQueue = run.catch(() => {});
+    return run;
+  }
+}
+
+// Character count: 4549
@@ -0,0 +1,102 @@
+// src/services/storage/content/PendingReactionStorage.js
+// Path: src/services/storage/content/PendingReactionStorage.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Pending Reaction Storage - Reactions waiting to go out in a reaction digest
+ *
+ * Reactions made in batch mode are queued here per reactor until
+ * ReactionService publishes them together in a digest memo. Only the latest
+ * reaction per post and emoji code is kept: reacting and then taking it back
+ * before the digest goes out leaves the removal, which is all readers need.
+ *
+ * Entries: { targetId, reaction, ts, removed, queuedAt }
+ *
+ * Writes are serialized through a queue, as in PublishingJobStorage.
+ */
+export class PendingReactionStorage {
+  static STORAGE_KEY = 'glyffiti_pending_reactions';
+
+  static _writeQueue = Promise.resolve();
+
+  /**
+   * Queue a reaction, replacing any pending one on the same post and code
+   * @param {string} reactorPublicKey - Reacting account
+   * @param {Object} reaction - { targetId, reaction, ts, removed }
+   * @returns {Promise<Object>} The queued entry
+   */
+  static async queueReaction(reactorPublicKey, { targetId, reaction, ts, removed = false }) {
+    return await this._mutate(pending => {
+      const entries = (pending[reactorPublicKey] || [])
+        .filter(entry => entry.targetId !== targetId || entry.reaction !== reaction);
+      const entry = { targetId, reaction, ts, removed: !!removed, queuedAt: Date.now() };
+
+      pending[reactorPublicKey] = [...entries, entry];
+      return entry;
+    });
+  }
+
+  /**
+   * Reactions a reactor has queued, oldest first
+   * @param {string} reactorPublicKey - Reacting account
+   * @returns {Promise<Array>} Pending entries
+   */
+  static async getPending(reactorPublicKey) {
+    try {
+      const stored = await AsyncStorage.getItem(this.STORAGE_KEY);
+      const pending = stored ? JSON.parse(stored) : {};
+      return (pending[reactorPublicKey] || []).sort((a, b) => a.queuedAt - b.queuedAt);
+    } catch (error) {
+      console.error('Error getting pending reactions:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Remove reactions that have been published. Entries replaced by a newer
+   * reaction since they were read stay queued.
+   * @param {string} reactorPublicKey - Reacting account
+   * @param {Array} published - Entries that went out
+   * @returns {Promise<number>} Number of entries removed
+   */
+  static async removePending(reactorPublicKey, published) {
+    return await this._mutate(pending => {
+      const entries = pending[reactorPublicKey] || [];
+      const remaining = entries.filter(entry => !published.some(done =>
+        done.targetId === entry.targetId &&
+        done.reaction === entry.reaction &&
+        done.ts === entry.ts &&
+        !!done.removed === entry.removed
+      ));
+
+      if (remaining.length > 0) {
+        pending[reactorPublicKey] = remaining;
+      } else {
+        delete pending[reactorPublicKey];
+      }
+      return entries.length - remaining.length;
+    });
+  }
+
+  /**
+   * Read-modify-write the pending reactions, one mutation at a time
+   * @param {Function} mutation - Receives the pending object, may modify it, returns a result
+   * @returns {Promise<any>} The mutation's result
+   * @private
+   */
+  static _mutate(mutation) {
+    const run = this._writeQueue.then(async () => {
+      const stored = await AsyncStorage.getItem(this.STORAGE_KEY);
+      const pending = stored ? JSON.parse(stored) : {};
+      const result = mutation(pending);
+      await AsyncStorage.setItem(this.STORAGE_KEY, JSON.stringify(pending));
+      return result;
+    });
+
+    // Keep the queue alive after a failed write
+    this._writeQueue = run.catch(() => {});
+    return run;
+  }
+}
+
+// Character count: 3738
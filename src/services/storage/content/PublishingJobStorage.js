@@ -0,0 +1,239 @@
+// src/services/storage/content/PublishingJobStorage.js
+// Path: src/services/storage/content/PublishingJobStorage.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Publishing Job Storage - Durable journal for manifest (3-tier) publications
+ *
+ * Each job keeps everything needed to finish a publication after the app is
+ * killed: the serialized manifest, hash list and content chunks, and one task
+ * per transaction with its state, signature and attempt count. The manifest
+ * pipeline's counterpart of InProgressStorage.
+ *
+ * Task states: pending -> sending -> confirmed, or failed (retried on resume).
+ * A task's signature, blockhash expiry and fee are recorded before its
+ * transaction is sent, so a task left in 'sending' can be followed on chain
+ * until it lands or expires instead of being sent twice, and the job's fee
+ * budget accounts for it. Tasks packed into one transaction
+ * share its signature; `instruction` is the task's memo position within it.
+ *
+ * Writes are serialized through a queue: concurrent tasks update the same
+ * AsyncStorage entry and would otherwise overwrite each other's progress.
+ */
+export class PublishingJobStorage {
+  static STORAGE_KEY = 'glyffiti_publishing_jobs';
+
+  static TASK_STATUS = {
+    PENDING: 'pending',
+    SENDING: 'sending',
+    CONFIRMED: 'confirmed',
+    FAILED: 'failed'
+  };
+
+  static JOB_STATUS = {
+    IN_PROGRESS: 'in_progress',
+    FAILED: 'failed',
+    COMPLETED: 'completed'
+  };
+
+  static _writeQueue = Promise.resolve();
+
+  /**
+   * Job ID for a publication package (one job per author and manifest root)
+   * @param {string} authorPublicKey - Author's public key
+   * @param {string} manifestRoot - Manifest root of the package
+   * @returns {string} Job ID
+   */
+  static getJobId(authorPublicKey, manifestRoot) {
+    return `${authorPublicKey}_${manifestRoot}`;
+  }
+
+  /**
+   * Create a job for a publication package, or return the existing one
+   * @param {Object} publicationPackage - Package from ChunkManager-M
+   * @param {string} signerPublicKey - Wallet that signs and pays for the job
+   * @param {Object} [options] - Job options
+   * @param {number|null} [options.feeBudgetLamports] - Most the job may spend on fees (null for no limit)
+   * @returns {Promise<Object>} The stored job
+   */
+  static async createJob(publicationPackage, signerPublicKey, { feeBudgetLamports = null } = {}) {
+    const { primaryManifest, hashListChunks, contentChunks } = publicationPackage;
+    const jobId = this.getJobId(primaryManifest.authorPublicKey, primaryManifest.manifestRoot);
+
+    return await this._mutate(jobs => {
+      if (jobs[jobId]) {
+        console.log(`⚠️ Publishing job already exists, resuming: ${jobId.substring(0, 24)}...`);
+        return jobs[jobId];
+      }
+
+      const now = Date.now();
+      const task = (type, index) => ({
+        type,
+        index,
+        status: this.TASK_STATUS.PENDING,
+        signature: null,
+        instruction: null,
+        lastValidBlockHeight: null,
+        feeLamports: null,
+        attempts: 0,
+        lastError: null,
+        updatedAt: now
+      });
+
+      jobs[jobId] = {
+        jobId,
+        status: this.JOB_STATUS.IN_PROGRESS,
+        title: primaryManifest.title,
+        authorPublicKey: primaryManifest.authorPublicKey,
+        signerPublicKey,
+        manifestRoot: primaryManifest.manifestRoot,
+        manifest: primaryManifest.serialize(),
+        reGlyphCap: primaryManifest.reGlyphCap,
+        summary: publicationPackage.summary || null,
+        hashListChunks,
+        contentChunks,
+        storyId: null,
+        feeBudgetLamports,
+        tasks: [
+          task('manifest', 0),
+          ...hashListChunks.map((_, index) => task('hashlist', index)),
+          ...contentChunks.map((_, index) => task('glyph', index))
+        ],
+        error: null,
+        createdAt: now,
+        lastUpdated: now
+      };
+
+      console.log(`💾 Created publishing job: ${jobId.substring(0, 24)}... (${jobs[jobId].tasks.length} tasks)`);
+      return jobs[jobId];
+    });
+  }
+
+  /**
+   * Get all publishing jobs
+   * @returns {Promise<Object>} Object with jobId as keys
+   */
+  static async getJobs() {
+    try {
+      const stored = await AsyncStorage.getItem(this.STORAGE_KEY);
+      return stored ? JSON.parse(stored) : {};
+    } catch (error) {
+      console.error('Error getting publishing jobs:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Get a publishing job by ID
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Job or null
+   */
+  static async getJob(jobId) {
+    const jobs = await this.getJobs();
+    return jobs[jobId] || null;
+  }
+
+  /**
+   * Get jobs that stopped before completing, most recent first
+   * @returns {Promise<Array>} Resumable jobs
+   */
+  static async getResumableJobs() {
+    const jobs = await this.getJobs();
+    return Object.values(jobs)
+      .filter(job => job.status !== this.JOB_STATUS.COMPLETED)
+      .sort((a, b) => b.lastUpdated - a.lastUpdated);
+  }
+
+  /**
+   * Update job-level fields
+   * @param {string} jobId - Job ID
+   * @param {Object} updates - Fields to merge (status, storyId, feeBudgetLamports, error)
+   * @returns {Promise<Object|null>} Updated job, or null if it does not exist
+   */
+  static async updateJob(jobId, updates) {
+    return await this._mutate(jobs => {
+      const job = jobs[jobId];
+      if (!job) return null;
+
+      Object.assign(job, updates, { lastUpdated: Date.now() });
+      return job;
+    });
+  }
+
+  /**
+   * Update one task of a job
+   * @param {string} jobId - Job ID
+   * @param {string} type - 'manifest', 'hashlist' or 'glyph'
+   * @param {number} index - Task index within its type
+   * @param {Object} updates - Fields to merge (status, signature, instruction, lastValidBlockHeight, feeLamports, attempts, lastError)
+   * @returns {Promise<Object|null>} Updated task, or null if it does not exist
+   */
+  static async updateTask(jobId, type, index, updates) {
+    return await this._mutate(jobs => {
+      const task = jobs[jobId]?.tasks.find(t => t.type === type && t.index === index);
+      if (!task) return null;
+
+      const now = Date.now();
+      Object.assign(task, updates, { updatedAt: now });
+      jobs[jobId].lastUpdated = now;
+      return task;
+    });
+  }
+
+  /**
+   * Update several tasks of a job in one write (tasks packed into one transaction)
+   * @param {string} jobId - Job ID
+   * @param {Array} taskUpdates - [{ type, index, updates }]
+   * @returns {Promise<Array>} Updated tasks (null for tasks that do not exist)
+   */
+  static async updateTasks(jobId, taskUpdates) {
+    return await this._mutate(jobs => {
+      const job = jobs[jobId];
+      if (!job) return taskUpdates.map(() => null);
+
+      const now = Date.now();
+      job.lastUpdated = now;
+      return taskUpdates.map(({ type, index, updates }) => {
+        const task = job.tasks.find(t => t.type === type && t.index === index);
+        if (task) Object.assign(task, updates, { updatedAt: now });
+        return task || null;
+      });
+    });
+  }
+
+  /**
+   * Remove a publishing job
+   * @param {string} jobId - Job ID to remove
+   * @returns {Promise<boolean>} True if a job was removed
+   */
+  static async removeJob(jobId) {
+    return await this._mutate(jobs => {
+      if (!jobs[jobId]) return false;
+
+      delete jobs[jobId];
+      console.log(`🗑️ Removed publishing job: ${jobId.substring(0, 24)}...`);
+      return true;
+    });
+  }
+
+  /**
+   * Read-modify-write the journal, one mutation at a time
+   * @param {Function} mutation - Receives the jobs object, may modify it, returns a result
+   * @returns {Promise<any>} The mutation's result
+   * @private
+   */
+  static _mutate(mutation) {
+    const run = this._writeQueue.then(async () => {
+      const jobs = await this.getJobs();
+      const result = mutation(jobs);
+      await AsyncStorage.setItem(this.STORAGE_KEY, JSON.stringify(jobs));
+      return result;
+    });
+
+    // Keep the queue alive after a failed write
+    this._writeQueue = run.catch(() => {});
+    return run;
+  }
+}
+
+// Character count: 8035
@@ -0,0 +1,189 @@
+// src/services/storage/content/ScheduledPublishingStorage.js
+// Path: src/services/storage/content/ScheduledPublishingStorage.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Scheduled Publishing Storage - Stories and social posts waiting for their publish time
+ *
+ * A schedule keeps what is needed to publish without the author present: the
+ * post text, or the story text, title and preparation options (packages are
+ * prepared when the schedule runs, so the manifest carries the real publish
+ * time). Once a story starts publishing its manifest job id is recorded, so a
+ * failed or interrupted run resumes that job instead of starting over.
+ *
+ * Statuses: scheduled -> publishing -> published, or
+ * - missed: came due while no unlocked wallet of the author was available
+ *   (run again once one is)
+ * - failed: publishing threw, or a post was interrupted after it may have
+ *   been sent (only run again when rescheduled)
+ *
+ * Writes are serialized through a queue, as in PublishingJobStorage.
+ */
+export class ScheduledPublishingStorage {
+  static STORAGE_KEY = 'glyffiti_scheduled_publications';
+
+  static KIND = {
+    STORY: 'story',
+    POST: 'post'
+  };
+
+  static STATUS = {
+    SCHEDULED: 'scheduled',
+    PUBLISHING: 'publishing',
+    PUBLISHED: 'published',
+    MISSED: 'missed',
+    FAILED: 'failed'
+  };
+
+  static _writeQueue = Promise.resolve();
+
+  /**
+   * Store a new schedule
+   * @param {string} kind - ScheduledPublishingStorage.KIND value
+   * @param {Object} schedule - { authorPublicKey, publishAt, title, payload, draftId }
+   * @returns {Promise<Object>} The stored schedule
+   */
+  static async createSchedule(kind, { authorPublicKey, publishAt, title = null, payload, draftId = null }) {
+    const now = Date.now();
+    const scheduleId = `schedule_${now}_${Math.random().toString(36).substr(2, 9)}`;
+
+    return await this._mutate(schedules => {
+      schedules[scheduleId] = {
+        scheduleId,
+        kind,
+        status: this.STATUS.SCHEDULED,
+        authorPublicKey,
+        publishAt,
+        title,
+        payload,
+        draftId,
+        jobId: null,
+        attempts: 0,
+        result: null,
+        error: null,
+        createdAt: now,
+        lastUpdated: now
+      };
+
+      console.log(`🗓️ Scheduled ${kind} ${scheduleId} for ${new Date(publishAt).toISOString()}`);
+      return schedules[scheduleId];
+    });
+  }
+
+  /**
+   * Get all schedules
+   * @returns {Promise<Object>} Object with scheduleId as keys
+   */
+  static async getSchedules() {
+    try {
+      const stored = await AsyncStorage.getItem(this.STORAGE_KEY);
+      return stored ? JSON.parse(stored) : {};
+    } catch (error) {
+      console.error('Error getting scheduled publications:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Get a schedule by ID
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<Object|null>} Schedule or null
+   */
+  static async getSchedule(scheduleId) {
+    const schedules = await this.getSchedules();
+    return schedules[scheduleId] || null;
+  }
+
+  /**
+   * Schedules that have not been published, soonest first
+   * @param {string} [authorPublicKey] - Only this author's schedules
+   * @returns {Promise<Array>} Upcoming, running, missed and failed schedules
+   */
+  static async getPendingSchedules(authorPublicKey = null) {
+    const schedules = await this.getSchedules();
+    return Object.values(schedules)
+      .filter(schedule => schedule.status !== this.STATUS.PUBLISHED)
+      .filter(schedule => !authorPublicKey || schedule.authorPublicKey === authorPublicKey)
+      .sort((a, b) => a.publishAt - b.publishAt);
+  }
+
+  /**
+   * Schedules that are due to run at a time: scheduled or missed, due by then,
+   * or left 'publishing' by a run that never finished
+   * @param {number} [now] - Time to check against
+   * @returns {Promise<Array>} Due schedules, soonest first
+   */
+  static async getDueSchedules(now = Date.now()) {
+    const { SCHEDULED, PUBLISHING, MISSED } = this.STATUS;
+    const schedules = await this.getSchedules();
+    return Object.values(schedules)
+      .filter(schedule => [SCHEDULED, PUBLISHING, MISSED].includes(schedule.status) && schedule.publishAt <= now)
+      .sort((a, b) => a.publishAt - b.publishAt);
+  }
+
+  /**
+   * Missed and failed schedules, most recent first
+   * @param {string} [authorPublicKey] - Only this author's schedules
+   * @returns {Promise<Array>} Schedules that need the author's attention
+   */
+  static async getAttentionSchedules(authorPublicKey = null) {
+    const { MISSED, FAILED } = this.STATUS;
+    const schedules = await this.getSchedules();
+    return Object.values(schedules)
+      .filter(schedule => [MISSED, FAILED].includes(schedule.status))
+      .filter(schedule => !authorPublicKey || schedule.authorPublicKey === authorPublicKey)
+      .sort((a, b) => b.lastUpdated - a.lastUpdated);
+  }
+
+  /**
+   * Update a schedule
+   * @param {string} scheduleId - Schedule ID
+   * @param {Object} updates - Fields to merge (status, publishAt, jobId, attempts, result, error)
+   * @returns {Promise<Object|null>} Updated schedule, or null if it does not exist
+   */
+  static async updateSchedule(scheduleId, updates) {
+    return await this._mutate(schedules => {
+      const schedule = schedules[scheduleId];
+      if (!schedule) return null;
+
+      Object.assign(schedule, updates, { lastUpdated: Date.now() });
+      return schedule;
+    });
+  }
+
+  /**
+   * Remove a schedule
+   * @param {string} scheduleId - Schedule ID to remove
+   * @returns {Promise<boolean>} True if a schedule was removed
+   */
+  static async removeSchedule(scheduleId) {
+    return await this._mutate(schedules => {
+      if (!schedules[scheduleId]) return false;
+
+      delete schedules[scheduleId];
+      console.log(`🗑️ Removed schedule: ${scheduleId}`);
+      return true;
+    });
+  }
+
+  /**
+   * Read-modify-write the schedules, one mutation at a time
+   * @param {Function} mutation - Receives the schedules object, may modify it, returns a result
+   * @returns {Promise<any>} The mutation's result
+   * @private
+   */
+  static _mutate(mutation) {
+    const run = this._writeQueue.then(async () => {
+      const schedules = await this.getSchedules();
+      const result = mutation(schedules);
+      await AsyncStorage.setItem(this.STORAGE_KEY, JSON.stringify(schedules));
+      return result;
+    });
+
+    // Keep the queue alive after a failed write
+    this._writeQueue = run.catch(() => {});
+    return run;
+  }
+}
+
+// Character count: 6476
@@ -1,7 +1,8 @@
 // src/services/story/ChunkReaderService.js
 // Path: src/services/story/ChunkReaderService.js
-import { Connection, clusterApiUrl, PublicKey } from '@solana/web3.js';
+import { PublicKey } from '@solana/web3.js';
 import { globalRPCRateLimiter } from '../blockchain/shared/GlobalRPCRateLimiter';
+import { connectionProvider } from '../blockchain/shared/ConnectionProvider';
 import { CompressionService } from '../compression/CompressionService';
 import bs58 from 'bs58';
 
@@ -10,12 +11,12 @@ import bs58 from 'bs58';
  * Includes rate limiting and retry logic to prevent RPC node blocking
  */
 export class ChunkReaderService {
-  constructor() {
-    // Initialize Solana connection
-    this.connection = new Connection(
-      process.env.REACT_APP_SOLANA_RPC_URL || clusterApiUrl('devnet'),
-      'confirmed'
-    );
+  /**
+   * @param {Object} [connection] - Optional connection override (defaults to ConnectionProvider)
+   */
+  constructor(connection = null) {
+    // REACT_APP_SOLANA_RPC_URL is honored by ConnectionProvider
+    this._connection = connection;
     
     // Memo program ID for finding memo instructions
     this.MEMO_PROGRAM_ID = new PublicKey('MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr');
@@ -24,168 +25,234 @@ export class ChunkReaderService {
     this.transactionCache = new Map();
     this.cacheMaxSize = 100;
     this.cacheMaxAge = 5 * 60 * 1000; // 5 minutes
+
+    // Signers of fetched transactions, filled whenever a transaction is read
+    this.signerCache = new Map();
+  }
+
+  /**
+   * Active Solana connection (injected or from ConnectionProvider)
+   * @returns {Connection} Connection instance
+   */
+  get connection() {
+    return this._connection || connectionProvider.getConnection();
   }
 
   /**
    * Fetch a chunk from a blockchain transaction with rate limiting
    * @param {string} transactionId - Transaction ID containing the chunk
-   * @returns {Promise<string>} Raw chunk data
+   * @param {number} [instruction=0] - Position of the chunk among the transaction's memos
+   * @returns {Promise<Uint8Array>} Raw chunk data
    */
-  // REPLACE ENTIRE METHOD WITH:
-async fetchChunk(transactionId) {
-  // Check cache first
-  const cachedData = this.getCachedTransaction(transactionId);
-  if (cachedData) {
-    console.log(`ChunkReaderService: fetchChunk: Using cached data for transaction: ${transactionId}`);
-    return cachedData;
+  async fetchChunk(transactionId, instruction = 0) {
+    const chunks = await this.fetchChunks(transactionId);
+    if (instruction >= chunks.length) {
+      throw new Error(`No memo ${instruction} in transaction: ${transactionId} (${chunks.length} memos)`);
+    }
+    return chunks[instruction];
   }
 
-  // Use global rate limiter for the actual operation
-  const result = await globalRPCRateLimiter.executeWithRateLimit(
-    () => this.fetchSingleChunk(transactionId),
-    `fetch chunk ${transactionId.substring(0, 8)}...`,
-    'ChunkReaderService'
-  );
-  
-  // Cache the result
-  this.cacheTransaction(transactionId, result);
-  return result;
-}
+  /**
+   * Fetch every chunk (one per memo instruction, in order) from a transaction
+   * with rate limiting. Packed transactions carry several glyphs or hash lists.
+   * @param {string} transactionId - Transaction ID containing the chunks
+   * @returns {Promise<Uint8Array[]>} Raw chunk data per memo instruction
+   */
+  async fetchChunks(transactionId) {
+    // Check cache first
+    const cachedData = this.getCachedTransaction(transactionId);
+    if (cachedData) {
+      console.log(`ChunkReaderService: fetchChunks: Using cached data for transaction: ${transactionId}`);
+      return cachedData;
+    }
+
+    // Use global rate limiter for the actual operation
+    const result = await globalRPCRateLimiter.executeWithRateLimit(
+      () => this.fetchTransactionChunks(transactionId),
+      `fetch chunks ${transactionId.substring(0, 8)}...`,
+      'ChunkReaderService'
+    );
 
+    // Cache the result
+    this.cacheTransaction(transactionId, result);
+    return result;
+  }
 
   /**
-   * Fetch a single chunk with retry logic
+   * Accounts that signed a transaction (fee payer first), with rate limiting.
+   * Readers use this to accept only memos the claimed author actually signed.
    * @param {string} transactionId - Transaction ID
-   * @returns {Promise<string>} Chunk data
+   * @returns {Promise<string[]>} Base58 signer addresses
    */
-  // REPLACE fetchSingleChunk METHOD WITH:
-async fetchSingleChunk(transactionId) {
-  console.log(`ChunkReaderService: fetchSingleChunk: Fetching transaction ${transactionId}`);
-  
-  // Make the actual RPC call - GlobalRPCRateLimiter handles retries
-  const transaction = await this.connection.getParsedTransaction(transactionId, {
-    maxSupportedTransactionVersion: 0
-  });
-
-  if (!transaction) {
-    throw new Error(`Transaction not found: ${transactionId}`);
+  async fetchSigners(transactionId) {
+    if (!this.signerCache.has(transactionId)) {
+      await globalRPCRateLimiter.executeWithRateLimit(
+        () => this.fetchTransactionChunks(transactionId),
+        `fetch signers ${transactionId.substring(0, 8)}...`,
+        'ChunkReaderService'
+      );
+    }
+    return this.signerCache.get(transactionId) || [];
   }
 
-  // Extract chunk data from memo instruction
-  const chunkData = this.extractChunkDataFromTransaction(transaction);
-  
-  if (!chunkData) {
-    throw new Error(`No chunk data found in transaction: ${transactionId}`);
+  /**
+   * Fetch the first chunk of a transaction (no cache or rate limiting)
+   * @param {string} transactionId - Transaction ID
+   * @returns {Promise<Uint8Array>} Chunk data
+   */
+  async fetchSingleChunk(transactionId) {
+    const [chunkData] = await this.fetchTransactionChunks(transactionId);
+    return chunkData;
   }
 
-  console.log(`ChunkReaderService: fetchSingleChunk: Successfully fetched chunk from transaction: ${transactionId}`);
-  return chunkData;
-}
+  /**
+   * Fetch a transaction and extract every memo chunk (no cache or rate limiting)
+   * @param {string} transactionId - Transaction ID
+   * @returns {Promise<Uint8Array[]>} Chunk data per memo instruction
+   */
+  async fetchTransactionChunks(transactionId) {
+    console.log(`ChunkReaderService: fetchTransactionChunks: Fetching transaction ${transactionId}`);
+
+    // Make the actual RPC call - GlobalRPCRateLimiter handles retries
+    const transaction = await this.connection.getParsedTransaction(transactionId, {
+      maxSupportedTransactionVersion: 0
+    });
+
+    if (!transaction) {
+      throw new Error(`Transaction not found: ${transactionId}`);
+    }
+
+    this._cacheSigners(transactionId, this.extractSigners(transaction));
+
+    // Extract chunk data from every memo instruction
+    const chunks = this.extractAllChunkData(transaction);
+
+    if (chunks.length === 0) {
+      throw new Error(`No chunk data found in transaction: ${transactionId}`);
+    }
+
+    console.log(`ChunkReaderService: fetchTransactionChunks: Fetched ${chunks.length} chunk(s) from transaction: ${transactionId}`);
+    return chunks;
+  }
 
   /**
-   * Extract chunk data from a Solana transaction (matching TypeScript implementation)
+   * Extract chunk data from the first memo instruction of a Solana transaction
    * @param {Object} transaction - Solana transaction object
-   * @returns {string|null} Extracted chunk data or null
+   * @returns {Uint8Array|null} Extracted chunk data or null
    */
   extractChunkDataFromTransaction(transaction) {
-    try {
-      console.log('Extracting chunk data from transaction:', {
-        version: transaction.version,
-        hasMeta: !!transaction.meta,
-        hasTransaction: !!transaction.transaction
-      });
+    const [chunkData] = this.extractAllChunkData(transaction);
+    return chunkData || null;
+  }
 
+  /**
+   * Extract chunk data from every memo instruction of a Solana transaction,
+   * in instruction order (other programs, e.g. compute budget, are skipped)
+   * @param {Object} transaction - Solana transaction object
+   * @returns {Uint8Array[]} Chunk data per memo instruction (empty if none could be read)
+   */
+  extractAllChunkData(transaction) {
+    try {
       const instructions = transaction.transaction.message.instructions;
-      console.log('All instructions:', instructions.map((ix, index) => ({
-        index,
-        programId: ix.programId,
-        hasData: !!ix.data,
-        dataLength: ix.data ? ix.data.length : 0,
-        keys: ix.keys || []
-      })));
-
-      // Find the memo instruction with more detailed logging
-      let memoInstruction = null;
-      for (let i = 0; i < instructions.length; i++) {
-        const ix = instructions[i];
-        console.log(`Checking instruction ${i}:`, {
-          programId: ix.programId,
-          memoProgramId: this.MEMO_PROGRAM_ID.toString(),
-          isMatch: ix.programId === this.MEMO_PROGRAM_ID.toString(),
-          hasData: !!ix.data
-        });
-
-        // Check both string comparison and PublicKey comparison
-        if (ix.programId === this.MEMO_PROGRAM_ID.toString() || 
-            (ix.programId && new PublicKey(ix.programId).equals(this.MEMO_PROGRAM_ID))) {
-          memoInstruction = ix;
-          console.log('Found memo instruction at index:', i);
-          break;
-        }
-      }
+      const memoInstructions = instructions.filter(ix =>
+        ix.programId === this.MEMO_PROGRAM_ID.toString() ||
+        (ix.programId && new PublicKey(ix.programId).equals(this.MEMO_PROGRAM_ID)));
 
-      // Handle both raw data and parsed memo instructions
-      let memoData = null;
-      
-      if (memoInstruction.data) {
-        // Raw instruction data (using bs58 decode like TypeScript)
-        console.log('Using raw data field');
-        memoData = new TextDecoder().decode(Buffer.from(bs58.decode(memoInstruction.data)));
-      } else if (memoInstruction.parsed) {
-        // Parsed memo instruction - data is already base64 decoded
-        console.log('Using parsed field');
-        memoData = memoInstruction.parsed;
-      } else {
-        console.error('No memo instruction data found. Instruction:', memoInstruction);
-        throw new Error('No memo instruction or data found');
-      }
+      console.log(`Found ${memoInstructions.length} memo instruction(s) of ${instructions.length}`);
+      return memoInstructions.map(ix => this._memoInstructionToBytes(ix));
+    } catch (error) {
+      console.error('Error extracting chunk data from transaction:', error);
+      return [];
+    }
+  }
 
-      if (!memoData) {
-        console.error('No memo data extracted. Instructions:', instructions);
-        throw new Error('No memo data found');
-      }
+  /**
+   * Signer addresses of a parsed Solana transaction, in account order
+   * @param {Object} transaction - Solana transaction object (jsonParsed shape)
+   * @returns {string[]} Base58 signer addresses
+   */
+  extractSigners(transaction) {
+    return transaction.transaction.message.accountKeys
+      .filter(key => key.signer)
+      .map(key => (typeof key.pubkey === 'string' ? key.pubkey : key.pubkey.toBase58()));
+  }
+
+  /**
+   * Chunk bytes of the memos in a getSignaturesForAddress entry, without
+   * fetching the transaction. The RPC reports them as "[len] memo; [len] memo"
+   * where len is the memo's UTF-8 byte length.
+   * @param {string|null} memoField - The `memo` of a signature info entry
+   * @returns {Uint8Array[]} Chunk data, in memo order
+   */
+  memosFromSignatureInfo(memoField) {
+    const bytes = new TextEncoder().encode(memoField || '');
+    const memos = [];
+    let offset = 0;
+
+    while (offset < bytes.length) {
+      const header = /^\[(\d+)\] /.exec(new TextDecoder().decode(bytes.subarray(offset, offset + 16)));
+      if (!header) break;
+
+      const start = offset + header[0].length;
+      const end = start + Number(header[1]);
+      const parsed = new TextDecoder().decode(bytes.subarray(start, end));
+      memos.push(parsed ? this._memoInstructionToBytes({ parsed }) : new Uint8Array(0));
+      offset = end + 2; // '; ' between memos
+    }
+
+    return memos;
+  }
+
+  /**
+   * Turn one memo instruction into chunk bytes (matching TypeScript implementation)
+   * @param {Object} memoInstruction - Raw or parsed memo instruction
+   * @returns {Uint8Array} Chunk data
+   * @private
+   */
+  _memoInstructionToBytes(memoInstruction) {
+    // Handle both raw data and parsed memo instructions
+    let memoData = null;
+
+    if (memoInstruction.data) {
+      // Raw instruction data (using bs58 decode like TypeScript)
+      memoData = new TextDecoder().decode(Buffer.from(bs58.decode(memoInstruction.data)));
+    } else if (memoInstruction.parsed) {
+      // Parsed memo instruction - data is already base64 decoded
+      memoData = memoInstruction.parsed;
+    }
+
+    if (!memoData) {
+      console.error('No memo instruction data found. Instruction:', memoInstruction);
+      throw new Error('No memo data found');
+    }
 
-      console.log('Found memo data:', {
-        source: memoInstruction.data ? 'raw data' : 'parsed field',
-        dataLength: memoData.length,
-        dataPreview: memoData.substring(0, 50) + '...'
-      });
-
-      // Check if this appears to be base64 encoded compressed data
-      const isBase64 = /^[A-Za-z0-9+/]+=*$/.test(memoData.trim());
-      console.log('Appears to be base64 encoded:', isBase64);
-
-      // The decompression service expects Uint8Array, so convert base64 string to Uint8Array
-      if (isBase64) {
-        try {
-          // Convert base64 string to Uint8Array (matching TypeScript implementation)
-          const binaryData = atob(memoData.trim());
-          const uint8Array = new Uint8Array(binaryData.length);
-          for (let i = 0; i < binaryData.length; i++) {
-            uint8Array[i] = binaryData.charCodeAt(i);
-          }
-          console.log('Converted base64 to Uint8Array, length:', uint8Array.length);
-          return uint8Array;
-        } catch (error) {
-          console.error('Error converting base64 to Uint8Array:', error);
-          throw new Error('Failed to convert base64 data to Uint8Array');
+    // Check if this appears to be base64 encoded compressed data
+    const isBase64 = /^[A-Za-z0-9+/]+=*$/.test(memoData.trim());
+
+    // The decompression service expects Uint8Array, so convert base64 string to Uint8Array
+    if (isBase64) {
+      try {
+        // Convert base64 string to Uint8Array (matching TypeScript implementation)
+        const binaryData = atob(memoData.trim());
+        const uint8Array = new Uint8Array(binaryData.length);
+        for (let i = 0; i < binaryData.length; i++) {
+          uint8Array[i] = binaryData.charCodeAt(i);
         }
-      } else {
-        // If not base64, convert string to Uint8Array
-        console.log('Converting string to Uint8Array');
-        return new TextEncoder().encode(memoData);
+        return uint8Array;
+      } catch (error) {
+        console.error('Error converting base64 to Uint8Array:', error);
+        throw new Error('Failed to convert base64 data to Uint8Array');
       }
-      
-    } catch (error) {
-      console.error('Error extracting chunk data from transaction:', error);
-      return null;
     }
+
+    // If not base64 (e.g. '~' memo frames), convert string to Uint8Array
+    return new TextEncoder().encode(memoData);
   }
 
   /**
    * Cache transaction data
    * @param {string} transactionId - Transaction ID
-   * @param {string} data - Transaction data to cache
+   * @param {Uint8Array[]} data - Chunks of the transaction to cache
    */
   cacheTransaction(transactionId, data) {
     // Remove oldest entries if cache is full
@@ -200,10 +267,24 @@ async fetchSingleChunk(transactionId) {
     });
   }
 
+  /**
+   * Remember a transaction's signers (signatures are immutable, so no expiry)
+   * @param {string} transactionId - Transaction ID
+   * @param {string[]} signers - Base58 signer addresses
+   * @private
+   */
+  _cacheSigners(transactionId, signers) {
+    if (this.signerCache.size >= this.cacheMaxSize) {
+      const oldestKey = this.signerCache.keys().next().value;
+      this.signerCache.delete(oldestKey);
+    }
+    this.signerCache.set(transactionId, signers);
+  }
+
   /**
    * Get cached transaction data if available and not expired
    * @param {string} transactionId - Transaction ID
-   * @returns {string|null} Cached data or null
+   * @returns {Uint8Array[]|null} Cached chunks or null
    */
   getCachedTransaction(transactionId) {
     const cached = this.transactionCache.get(transactionId);
@@ -226,6 +307,7 @@ async fetchSingleChunk(transactionId) {
    */
   clearCache() {
     this.transactionCache.clear();
+    this.signerCache.clear();
   }
 
   /**
@@ -268,4 +350,4 @@ async fetchSingleChunk(transactionId) {
 // Export singleton instance for use across the app
 export const chunkReaderService = new ChunkReaderService();
 
-// Character count: 9853
\ No newline at end of file
+// Character count: 12320
\ No newline at end of file
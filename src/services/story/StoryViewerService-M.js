@@ -3,9 +3,13 @@
 // It adds progressive loading compatible with useStoryViewer and only
 // accepts the g-mt-v1 glyph protocol.
 
+import { PublicKey } from '@solana/web3.js';
 import { chunkReaderService } from './ChunkReaderService';
-import { CompressionService } from '../compression/CompressionService';
+import { MemoCodec } from '../publishing/MemoCodec';
 import { TextProcessor } from '../glyph/processing/TextProcessor';
+import { StoryManifest } from '../blockchain/shared/models/StoryManifest';
+import { AuthorSignature } from '../blockchain/shared/AuthorSignature';
+import { globalRPCRateLimiter } from '../blockchain/shared/GlobalRPCRateLimiter';
 
 // If/when you re-enable proof checks, wire MerkleBuilder-M back in
 // import MerkleBuilderM from '../merkle/MerkleBuilder-M';
@@ -13,93 +17,165 @@ import { TextProcessor } from '../glyph/processing/TextProcessor';
 
 const PROTOCOL = 'g-mt-v1';
 
+// Author transactions read per getSignaturesForAddress page, and in total, when looking for revisions
+const SCAN_PAGE_SIZE = 1000;
+const SCAN_LIMIT = 5000;
+
+// How long a resolved revision history is reused
+const HISTORY_CACHE_DURATION = 5 * 60 * 1000;
+
+// Largest word grid diffText compares exactly; bigger edits are shown as one replacement
+const DIFF_CELL_LIMIT = 4000000;
+
 class StoryViewerServiceM {
   // Track active progressive sessions by storyId
   static _active = new Map();
 
+  // Revision histories by original story ID, and the original of each revision
+  static _historyCache = new Map();
+  static _revisionOriginals = new Map();
+
   /**
    * Progressive loader compatible with the legacy StoryViewerService API.
    * - Decodes each memo as a g-mt-v1 glyph JSON and appends glyph.c (text).
    * - Accepts manifests whose chunks are either txid strings OR objects with
-   *   { transactionId | txId, index? }.
+   *   { transactionId | txId, index?, instruction? }.
+   * - Packed transactions (several glyph memos in one tx) are fetched once;
+   *   `instruction` is the glyph's position among the tx's memos.
+   * - By default the story is resolved to its latest author-signed revision.
+   *   The given manifest starts loading at once while revisions are resolved
+   *   alongside it; a newer complete revision then replaces it. A cached
+   *   revision history is used up front.
+   * - A new load of a story replaces one of the same story still in progress.
+   *
+   * @param {Object} [options] - Loading options
+   * @param {boolean} [options.resolveLatest=true] - Load the latest revision instead of storyId itself
+   * @param {Function} [options.onRevision] - Called with the revision history once resolved
    */
-  static async loadStoryProgressively(storyId, manifest, onChunkLoaded, onError, onProgress) {
+  static async loadStoryProgressively(storyId, manifest, onChunkLoaded, onError, onProgress, options = {}) {
+    const { resolveLatest = true, onRevision = null } = options;
+    let session = null;
+
     try {
       console.log(`Starting progressive load for story: ${storyId}`);
+      StoryViewerServiceM.cancelStoryLoading(storyId);
+
+      let target = manifest;
+      let newerRevision = Promise.resolve(null);
+      if (resolveLatest) {
+        const cached = StoryViewerServiceM._cachedHistory(storyId);
+        if (cached) {
+          if (onRevision) onRevision(cached);
+          target = StoryViewerServiceM._latestManifest(storyId, manifest, cached) || manifest;
+        } else {
+          newerRevision = StoryViewerServiceM._resolveNewerRevision(storyId, manifest, onRevision);
+        }
+      }
 
       // Normalize manifest (support both shapes)
-      const normalized = StoryViewerServiceM._normalizeManifest(manifest);
+      const normalized = StoryViewerServiceM._normalizeManifest(target);
 
       // Create session
-      const session = {
+      session = {
         storyId,
         manifest: normalized,
         chunks: new Array(normalized.totalChunks).fill(null),
         loadedCount: 0,
         isActive: true,
+        replacedBy: null,
         startTime: Date.now(),
       };
 
       this._active.set(storyId, session);
 
-      // Serially read each tx and reassemble in glyph-index order
-      for (let i = 0; i < normalized.chunks.length; i++) {
-        if (!session.isActive) {
-          console.log(`Story loading cancelled: ${storyId}`);
-          return;
+      // Stop reading this manifest as soon as a newer revision is found
+      newerRevision.then((next) => {
+        if (next && session.isActive) {
+          session.replacedBy = next;
+          session.isActive = false;
         }
+      });
+
+      // Serially read each tx and reassemble in glyph-index order
+      const transactions = StoryViewerServiceM._groupByTransaction(normalized.chunks);
 
-        const { transactionId, index: indexFromManifest } = normalized.chunks[i];
+      for (let t = 0; t < transactions.length && session.isActive; t++) {
+        const { transactionId, chunks } = transactions[t];
 
         try {
-          console.log(`Loading chunk ${i + 1}/${normalized.totalChunks} for story: ${storyId}`);
-          const glyph = await this._fetchAndDecodeGlyph(transactionId);
-          if (!glyph) throw new Error(`Failed to decode glyph for ${transactionId}`);
+          console.log(`Loading tx ${t + 1}/${transactions.length} (${chunks.length} chunk(s)) for story: ${storyId}`);
+          const glyphs = await this._fetchAndDecodeGlyphs(transactionId);
 
-          const glyphIndex = Number.isInteger(glyph.index)
-            ? glyph.index
-            : (Number.isInteger(indexFromManifest) ? indexFromManifest : i);
+          for (const { index: indexFromManifest, instruction } of chunks) {
+            const glyph = Number.isInteger(instruction)
+              ? glyphs[instruction]
+              : (glyphs.find(g => g && g.index === indexFromManifest) || (glyphs.length === 1 ? glyphs[0] : null));
+            if (!glyph) throw new Error(`Failed to decode glyph ${indexFromManifest} for ${transactionId}`);
 
-          // Place text content by glyph index
-          session.chunks[glyphIndex] = glyph.content;
-          session.loadedCount++;
+            const glyphIndex = Number.isInteger(glyph.index) ? glyph.index : indexFromManifest;
+            if (session.chunks[glyphIndex] != null) continue;
 
-          // Progress callback
-          const progressPercent = Math.round((session.loadedCount / normalized.totalChunks) * 100);
-          if (onProgress) onProgress(session.loadedCount, normalized.totalChunks, progressPercent);
+            // Place text content by glyph index
+            session.chunks[glyphIndex] = glyph.content;
+            session.loadedCount++;
 
-          // Assemble up to first missing piece to preserve reading order
-          const assembled = StoryViewerServiceM._assembleAvailable(session.chunks);
-          const isComplete = session.loadedCount === normalized.totalChunks;
+            // Progress callback
+            const progressPercent = Math.round((session.loadedCount / normalized.totalChunks) * 100);
+            if (onProgress) onProgress(session.loadedCount, normalized.totalChunks, progressPercent);
 
-          if (onChunkLoaded) onChunkLoaded(glyphIndex, assembled, isComplete);
+            // Assemble up to first missing piece to preserve reading order
+            const assembled = StoryViewerServiceM._assembleAvailable(session.chunks);
+            const isComplete = session.loadedCount === normalized.totalChunks;
 
-          console.log(
-            `📖 Chunk ${glyphIndex} loaded, content length: ${assembled.length}, complete: ${isComplete}`
-          );
+            if (onChunkLoaded) onChunkLoaded(glyphIndex, assembled, isComplete);
+
+            console.log(
+              `📖 Chunk ${glyphIndex} loaded, content length: ${assembled.length}, complete: ${isComplete}`
+            );
+          }
 
           // Gentle pacing to avoid RPC throttling
-          if (i < normalized.chunks.length - 1) {
+          if (t < transactions.length - 1) {
             await StoryViewerServiceM._sleep(800);
           }
         } catch (chunkErr) {
-          console.error(`Error loading chunk ${i} for story ${storyId}:`, chunkErr);
+          console.error(`Error loading tx ${transactionId} for story ${storyId}:`, chunkErr);
 
           // Surface partial content so the reader can continue
           const partial = StoryViewerServiceM._assembleAvailable(session.chunks);
-          if (onChunkLoaded) onChunkLoaded(i, partial, false);
+          if (onChunkLoaded) onChunkLoaded(chunks[0].index, partial, false);
 
           // Slightly longer pause after an error
           await StoryViewerServiceM._sleep(2000);
         }
       }
 
+      // Revisions may still be resolving after the given manifest is read
+      if (session.isActive) {
+        await newerRevision;
+      }
+
+      if (session.replacedBy) {
+        const next = session.replacedBy;
+        console.log(`StoryViewerService-M: Loading revision ${next.revision} (${next.storyId}) of ${storyId}`);
+        return await StoryViewerServiceM.loadStoryProgressively(
+          storyId, next, onChunkLoaded, onError, onProgress, { resolveLatest: false }
+        );
+      }
+
+      if (!session.isActive) {
+        console.log(`Story loading cancelled: ${storyId}`);
+        return;
+      }
+
       console.log(`Completed loading story: ${storyId} in ${Date.now() - session.startTime}ms`);
     } catch (err) {
       console.error(`Error in progressive story loading for ${storyId}:`, err);
       if (onError) onError(err);
     } finally {
-      this._active.delete(storyId);
+      if (session && this._active.get(storyId) === session) {
+        this._active.delete(storyId);
+      }
     }
   }
 
@@ -107,6 +183,7 @@ class StoryViewerServiceM {
     const session = this._active.get(storyId);
     if (session) {
       session.isActive = false;
+      session.replacedBy = null;
       console.log(`Cancelled loading for story: ${storyId}`);
     }
   }
@@ -124,8 +201,507 @@ class StoryViewerServiceM {
     };
   }
 
+  // ===== Revisions =====
+  // A revision is a manifest whose `ps` names the story it replaces. Only
+  // manifests and glyphs signed by the story's author are trusted; anything
+  // else that mentions the story is ignored.
+
+  /**
+   * Every author-signed revision of a story, oldest first. When the author
+   * published more than one revision of the same story, the newest one wins.
+   * Revisions are found from the memo text of the author's signature list;
+   * only manifests that continue the chain, and the glyphs of the latest
+   * revision, are fetched to check them. Histories are cached per original story.
+   * @param {string} storyId - Any story ID in the revision chain
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.refresh=false] - Ignore a cached history
+   * @returns {Promise<Object>} { originalStoryId, authorPublicKey, latest, revisions }
+   */
+  static async getRevisionHistory(storyId, { refresh = false } = {}) {
+    const cached = refresh ? null : StoryViewerServiceM._cachedHistory(storyId);
+    if (cached) {
+      console.log(`StoryViewerService-M: getRevisionHistory: Using cached revisions of ${storyId}`);
+      return cached;
+    }
+
+    console.log(`StoryViewerService-M: getRevisionHistory: Resolving revisions of ${storyId}`);
+
+    // Walk back to the original manifest
+    let original = await StoryViewerServiceM._readRevision(storyId);
+    const seen = new Set([original.storyId]);
+    while (original.previousStoryId) {
+      const previous = await StoryViewerServiceM._readRevision(original.previousStoryId);
+      if (previous.authorPublicKey !== original.authorPublicKey || seen.has(previous.storyId)) {
+        throw new Error(`Revision ${original.storyId} does not continue a story by the same author`);
+      }
+      seen.add(previous.storyId);
+      original = previous;
+    }
+
+    // Everything the author's signature list shows after the original, then follow the chain forward
+    const scan = await StoryViewerServiceM._scanAuthorTransactions(original.authorPublicKey, original.storyId);
+    const revisions = [original];
+    for (let tip = original; ;) {
+      tip = await StoryViewerServiceM._nextRevision(tip, scan.manifests);
+      if (!tip || seen.has(tip.storyId)) break;
+      seen.add(tip.storyId);
+      revisions.push(tip);
+    }
+
+    revisions.forEach((revision, position) => {
+      revision.revision = position + 1;
+      revision.glyphCandidates = scan.glyphs.get(revision.storyId) || [];
+      revision.chunks = StoryViewerServiceM._glyphLocations(revision.glyphCandidates);
+      revision.isComplete = revision.chunks.length === revision.totalChunks;
+      revision.glyphsVerified = false;
+    });
+
+    // A revision still being published is listed but not served to readers
+    let latest = null;
+    for (const revision of [...revisions].reverse()) {
+      if (!revision.isComplete) continue;
+      await StoryViewerServiceM.verifyRevisionGlyphs(revision);
+      if (revision.isComplete) {
+        latest = revision;
+        break;
+      }
+    }
+    latest = latest || revisions[revisions.length - 1];
+
+    console.log(`StoryViewerService-M: getRevisionHistory: ${revisions.length} revision(s), latest ${latest.storyId}`);
+    const history = {
+      originalStoryId: original.storyId,
+      authorPublicKey: original.authorPublicKey,
+      latest,
+      revisions
+    };
+    StoryViewerServiceM._cacheHistory(history);
+    return history;
+  }
+
+  /**
+   * Check a revision's glyphs against their transactions. Locations from
+   * getRevisionHistory come from memo text anyone could have sent to the
+   * author's address; only glyphs in transactions the author signed are kept.
+   * @param {Object} revision - Revision from getRevisionHistory (updated in place)
+   * @returns {Promise<Object>} The revision, with verified chunks and isComplete
+   */
+  static async verifyRevisionGlyphs(revision) {
+    if (revision.glyphsVerified) return revision;
+
+    const byIndex = new Map();
+    for (const { transactionId, chunks } of StoryViewerServiceM._groupByTransaction(revision.glyphCandidates || revision.chunks)) {
+      if (chunks.every(({ index }) => byIndex.has(index))) continue;
+
+      try {
+        const glyphs = await StoryViewerServiceM._fetchAndDecodeGlyphs(transactionId);
+        const signers = await chunkReaderService.fetchSigners(transactionId);
+        if (!signers.includes(revision.authorPublicKey)) continue;
+
+        for (const location of chunks) {
+          const glyph = glyphs[location.instruction];
+          if (glyph && glyph.sid === revision.storyId && glyph.index === location.index && !byIndex.has(location.index)) {
+            byIndex.set(location.index, location);
+          }
+        }
+      } catch (error) {
+        console.warn(`StoryViewerService-M: Could not check glyphs in ${transactionId}:`, error.message);
+      }
+    }
+
+    revision.chunks = [...byIndex.values()].sort((a, b) => a.index - b.index);
+    revision.isComplete = revision.chunks.length === revision.totalChunks;
+    revision.glyphsVerified = true;
+    return revision;
+  }
+
+  /**
+   * Forget cached revision histories (e.g. after publishing a revision)
+   */
+  static clearRevisionCache() {
+    StoryViewerServiceM._historyCache.clear();
+    StoryViewerServiceM._revisionOriginals.clear();
+  }
+
+  /**
+   * The newest complete, author-signed revision of a story
+   * @param {string} storyId - Any story ID in the revision chain
+   * @returns {Promise<Object>} Revision from getRevisionHistory
+   */
+  static async resolveLatestRevision(storyId) {
+    const { latest } = await StoryViewerServiceM.getRevisionHistory(storyId);
+    return latest;
+  }
+
+  /**
+   * Viewer manifest ({ storyId, chunks, totalChunks, ... }) for a revision
+   * @param {Object} revision - Revision from getRevisionHistory
+   * @param {Object} [base] - Manifest whose display fields are kept
+   * @returns {Object} Manifest for loadStoryProgressively
+   */
+  static toViewerManifest(revision, base = {}) {
+    return {
+      ...base,
+      storyId: revision.storyId,
+      title: revision.title,
+      revision: revision.revision,
+      previousStoryId: revision.previousStoryId,
+      chunks: revision.chunks,
+      totalChunks: revision.totalChunks
+    };
+  }
+
+  /**
+   * Read the full text of one revision
+   * @param {Object} revision - Revision from getRevisionHistory
+   * @returns {Promise<string>} Story text
+   * @throws {Error} If a glyph of the revision is missing
+   */
+  static async getRevisionText(revision) {
+    await StoryViewerServiceM.verifyRevisionGlyphs(revision);
+    const chunks = new Array(revision.totalChunks).fill(null);
+
+    for (const { transactionId, chunks: located } of StoryViewerServiceM._groupByTransaction(revision.chunks)) {
+      const glyphs = await StoryViewerServiceM._fetchAndDecodeGlyphs(transactionId);
+      for (const { index, instruction } of located) {
+        const glyph = glyphs[instruction];
+        if (glyph && glyph.sid === revision.storyId && glyph.index === index) {
+          chunks[index] = glyph.content;
+        }
+      }
+    }
+
+    const missing = chunks.indexOf(null);
+    if (missing !== -1) {
+      throw new Error(`Revision ${revision.revision} is missing glyph ${missing}`);
+    }
+    return chunks.join('');
+  }
+
+  /**
+   * Word-level diff between two revisions of a story
+   * @param {Object} fromRevision - Older revision from getRevisionHistory
+   * @param {Object} toRevision - Newer revision from getRevisionHistory
+   * @returns {Promise<Object>} { from, to, changes, added, removed } (added/removed in characters)
+   */
+  static async diffRevisions(fromRevision, toRevision) {
+    const fromText = await StoryViewerServiceM.getRevisionText(fromRevision);
+    const toText = await StoryViewerServiceM.getRevisionText(toRevision);
+    const changes = StoryViewerServiceM.diffText(fromText, toText);
+
+    const count = (type) => changes
+      .filter(change => change.type === type)
+      .reduce((sum, change) => sum + change.text.length, 0);
+
+    return {
+      from: fromRevision.storyId,
+      to: toRevision.storyId,
+      changes,
+      added: count('added'),
+      removed: count('removed')
+    };
+  }
+
+  /**
+   * Word-level text diff. Whitespace runs are tokens too, so joining the
+   * 'equal' and 'removed' parts gives oldText back and 'equal' and 'added'
+   * parts give newText.
+   * @param {string} oldText - Earlier text
+   * @param {string} newText - Later text
+   * @returns {Array} [{ type: 'equal' | 'added' | 'removed', text }]
+   */
+  static diffText(oldText, newText) {
+    const tokenize = (text) => text.match(/\s+|[^\s]+/g) || [];
+    const a = tokenize(oldText);
+    const b = tokenize(newText);
+
+    // Trim the unchanged start and end so only the edited middle is compared
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--;
+      endB--;
+    }
+
+    const operations = a.slice(0, start).map(text => ({ type: 'equal', text }));
+    const rows = endA - start;
+    const cols = endB - start;
+
+    if (rows * cols > DIFF_CELL_LIMIT) {
+      operations.push(...a.slice(start, endA).map(text => ({ type: 'removed', text })));
+      operations.push(...b.slice(start, endB).map(text => ({ type: 'added', text })));
+    } else {
+      // Longest common subsequence of the middle, filled from the end
+      const lcs = new Uint32Array((rows + 1) * (cols + 1));
+      const at = (i, j) => i * (cols + 1) + j;
+      for (let i = rows - 1; i >= 0; i--) {
+        for (let j = cols - 1; j >= 0; j--) {
+          lcs[at(i, j)] = a[start + i] === b[start + j]
+            ? lcs[at(i + 1, j + 1)] + 1
+            : Math.max(lcs[at(i + 1, j)], lcs[at(i, j + 1)]);
+        }
+      }
+
+      let i = 0;
+      let j = 0;
+      while (i < rows || j < cols) {
+        if (i < rows && j < cols && a[start + i] === b[start + j]) {
+          operations.push({ type: 'equal', text: a[start + i] });
+          i++;
+          j++;
+        } else if (j < cols && (i === rows || lcs[at(i, j + 1)] >= lcs[at(i + 1, j)])) {
+          operations.push({ type: 'added', text: b[start + j] });
+          j++;
+        } else {
+          operations.push({ type: 'removed', text: a[start + i] });
+          i++;
+        }
+      }
+    }
+
+    operations.push(...a.slice(endA).map(text => ({ type: 'equal', text })));
+
+    // Merge runs of the same kind
+    return operations.reduce((merged, operation) => {
+      const last = merged[merged.length - 1];
+      if (last && last.type === operation.type) {
+        last.text += operation.text;
+      } else {
+        merged.push({ ...operation });
+      }
+      return merged;
+    }, []);
+  }
+
   // ===== Private helpers =====
 
+  /**
+   * Resolve a story's revisions while it loads
+   * @param {string} storyId - Story being opened
+   * @param {Object} manifest - Manifest the caller has for storyId
+   * @param {Function} [onRevision] - Called with the revision history
+   * @returns {Promise<Object|null>} Manifest of a newer revision to load instead, or null
+   */
+  static async _resolveNewerRevision(storyId, manifest, onRevision) {
+    try {
+      const history = await StoryViewerServiceM.getRevisionHistory(storyId);
+      if (onRevision) onRevision(history);
+      return StoryViewerServiceM._latestManifest(storyId, manifest, history);
+    } catch (error) {
+      console.warn(`StoryViewerService-M: Could not resolve revisions of ${storyId}, loading it as given:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Viewer manifest of the latest revision, if it is complete and not storyId itself
+   * @param {string} storyId - Story being opened
+   * @param {Object} manifest - Manifest the caller has for storyId
+   * @param {Object} history - Revision history of the story
+   * @returns {Object|null} Manifest to load instead, or null
+   */
+  static _latestManifest(storyId, manifest, history) {
+    const { latest } = history;
+    if (latest.storyId === storyId || !latest.isComplete) {
+      return null;
+    }
+    return StoryViewerServiceM.toViewerManifest(latest, manifest);
+  }
+
+  /**
+   * Cached revision history of any story in a chain, if still fresh
+   * @param {string} storyId - Any story ID in the revision chain
+   * @returns {Object|null} History from getRevisionHistory
+   */
+  static _cachedHistory(storyId) {
+    const originalStoryId = StoryViewerServiceM._revisionOriginals.get(storyId);
+    const cached = originalStoryId && StoryViewerServiceM._historyCache.get(originalStoryId);
+    if (!cached || Date.now() - cached.timestamp > HISTORY_CACHE_DURATION) {
+      return null;
+    }
+    return cached.history;
+  }
+
+  /**
+   * Cache a revision history under its original story
+   * @param {Object} history - History from getRevisionHistory
+   */
+  static _cacheHistory(history) {
+    StoryViewerServiceM._historyCache.set(history.originalStoryId, { history, timestamp: Date.now() });
+    for (const revision of history.revisions) {
+      StoryViewerServiceM._revisionOriginals.set(revision.storyId, history.originalStoryId);
+    }
+  }
+
+  /**
+   * The author's newest revision of a story among scanned manifest candidates.
+   * Candidates are only memo text until their transaction is read and checked.
+   * @param {Object} tip - Revision to find the successor of
+   * @param {Array} candidates - Manifests from _scanAuthorTransactions, newest first
+   * @returns {Promise<Object|null>} Revision record, or null if the chain ends at tip
+   */
+  static async _nextRevision(tip, candidates) {
+    for (const candidate of candidates) {
+      if (candidate.data.ps !== tip.storyId) continue;
+
+      try {
+        const revision = await StoryViewerServiceM._readRevision(candidate.storyId, candidate.blockTime);
+        if (revision.previousStoryId === tip.storyId && revision.authorPublicKey === tip.authorPublicKey) {
+          return revision;
+        }
+      } catch (error) {
+        console.warn(`StoryViewerService-M: Skipping revision candidate ${candidate.storyId}:`, error.message);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Read one manifest transaction and check that its author signed it
+   * @param {string} storyId - Manifest transaction signature
+   * @param {number|null} [blockTime] - When the manifest landed
+   * @returns {Promise<Object>} Revision record
+   */
+  static async _readRevision(storyId, blockTime = null) {
+    const [memoBytes] = await chunkReaderService.fetchChunks(storyId);
+    const memo = MemoCodec.decode(memoBytes);
+    if (memo.p !== PROTOCOL || memo.t !== 'manifest') {
+      throw new Error(`Transaction ${storyId} is not a story manifest`);
+    }
+
+    const authorship = await StoryViewerServiceM.verifyManifestAuthor(storyId, memo.d);
+    if (!authorship) {
+      throw new Error(`Story ${storyId} is not signed by its author`);
+    }
+
+    return { ...StoryViewerServiceM._toRevision(storyId, memo.d, blockTime), authorship };
+  }
+
+  /**
+   * How a manifest's author is vouched for: by the author's signature in the
+   * manifest (any account may have paid for it), or, for manifests published
+   * before author signatures, by the author signing the transaction.
+   * @param {string} storyId - Manifest transaction signature
+   * @param {Object} data - Serialized manifest read from the transaction
+   * @returns {Promise<string|null>} 'signature', 'transaction', or null if unverified
+   */
+  static async verifyManifestAuthor(storyId, data) {
+    const status = StoryManifest.verifyAuthorSignature(data);
+    if (status === AuthorSignature.Status.VALID) {
+      return 'signature';
+    }
+    if (status === AuthorSignature.Status.INVALID) {
+      console.warn(`StoryViewerService-M: Manifest ${storyId} carries an invalid author signature`);
+      return null;
+    }
+
+    const signers = await chunkReaderService.fetchSigners(storyId);
+    return signers.includes(data.a) ? 'transaction' : null;
+  }
+
+  /**
+   * Revision record from serialized manifest data
+   * @param {string} storyId - Manifest transaction signature
+   * @param {Object} data - Serialized manifest (StoryManifest.serialize shape)
+   * @param {number|null} [blockTime] - When the manifest landed
+   * @returns {Object} Revision record
+   */
+  static _toRevision(storyId, data, blockTime = null) {
+    const manifest = StoryManifest.deserialize(data);
+    manifest.storyId = storyId;
+    manifest.manifestTransactionId = storyId;
+
+    return {
+      storyId,
+      previousStoryId: manifest.previousStoryId,
+      revision: manifest.revision,
+      title: manifest.title,
+      authorPublicKey: manifest.authorPublicKey,
+      createdAt: manifest.createdAt,
+      publishedAt: blockTime ? blockTime * 1000 : manifest.publishedAt,
+      contentLength: manifest.contentLength,
+      totalChunks: manifest.totalContentChunks,
+      manifest
+    };
+  }
+
+  /**
+   * Manifest and glyph candidates sent to an author's address after a story,
+   * newest first. Only the memo text getSignaturesForAddress returns is read,
+   * so nothing here is verified: callers check a candidate's transaction
+   * before trusting it.
+   * @param {string} authorPublicKey - Author's public key
+   * @param {string} sinceStoryId - Stop at this transaction (exclusive)
+   * @returns {Promise<Object>} { manifests: [{ storyId, data, blockTime }], glyphs: Map<sid, locations> }
+   */
+  static async _scanAuthorTransactions(authorPublicKey, sinceStoryId) {
+    const author = new PublicKey(authorPublicKey);
+    const manifests = [];
+    const glyphs = new Map();
+    let before;
+    let scanned = 0;
+
+    while (scanned < SCAN_LIMIT) {
+      const page = await globalRPCRateLimiter.executeWithRateLimit(
+        () => chunkReaderService.connection.getSignaturesForAddress(author, { until: sinceStoryId, before, limit: SCAN_PAGE_SIZE }),
+        `scan author ${authorPublicKey.substring(0, 8)}...`,
+        'StoryViewerService-M'
+      );
+      scanned += page.length;
+
+      for (const info of page) {
+        if (info.err || !info.memo) continue;
+
+        let memos;
+        try {
+          memos = chunkReaderService.memosFromSignatureInfo(info.memo);
+        } catch (error) {
+          continue; // Not memo text we can read
+        }
+
+        memos.forEach((memoBytes, instruction) => {
+          let memo;
+          try {
+            memo = MemoCodec.decode(memoBytes);
+          } catch (error) {
+            return; // Not a story memo
+          }
+          if (memo.p !== PROTOCOL) return;
+
+          if (memo.t === 'manifest') {
+            // Only revisions that claim this author and carry no broken signature
+            if (!memo.d || !memo.d.ps || memo.d.a !== authorPublicKey) return;
+            if (StoryManifest.verifyAuthorSignature(memo.d) === AuthorSignature.Status.INVALID) return;
+            manifests.push({ storyId: info.signature, data: memo.d, blockTime: info.blockTime ?? null });
+          } else if (memo.t === 'glyph') {
+            if (!glyphs.has(memo.sid)) glyphs.set(memo.sid, []);
+            glyphs.get(memo.sid).push({ transactionId: info.signature, index: Number(memo.i), instruction });
+          }
+        });
+      }
+
+      if (page.length < SCAN_PAGE_SIZE) break;
+      before = page[page.length - 1].signature;
+    }
+
+    return { manifests, glyphs };
+  }
+
+  /**
+   * Glyph locations of one story in index order, one per index
+   * @param {Array} [locations] - Locations found by _scanAuthorTransactions
+   * @returns {Array} [{ transactionId, index, instruction }]
+   */
+  static _glyphLocations(locations = []) {
+    const byIndex = new Map();
+    for (const location of locations) {
+      if (!byIndex.has(location.index)) byIndex.set(location.index, location);
+    }
+    return [...byIndex.values()].sort((a, b) => a.index - b.index);
+  }
+
   static _normalizeManifest(manifest) {
     if (!manifest || typeof manifest !== 'object') {
       throw new Error('Manifest is not an object');
@@ -147,7 +723,8 @@ class StoryViewerServiceM {
         null;
       if (!tx) throw new Error(`Chunk ${idx} missing transaction id`);
       const index = Number.isInteger(c.index) ? c.index : idx;
-      return { transactionId: tx, index };
+      const instruction = Number.isInteger(c.instruction) ? c.instruction : null;
+      return { transactionId: tx, index, instruction };
     });
 
     const total = Number.isInteger(manifest.totalChunks)
@@ -161,6 +738,22 @@ class StoryViewerServiceM {
     };
   }
 
+  /**
+   * Group normalized chunks by transaction, in order of first appearance
+   * @param {Array} chunks - Normalized manifest chunks
+   * @returns {Array} [{ transactionId, chunks }]
+   */
+  static _groupByTransaction(chunks) {
+    const groups = new Map();
+    for (const chunk of chunks) {
+      if (!groups.has(chunk.transactionId)) {
+        groups.set(chunk.transactionId, { transactionId: chunk.transactionId, chunks: [] });
+      }
+      groups.get(chunk.transactionId).chunks.push(chunk);
+    }
+    return [...groups.values()];
+  }
+
   static _assembleAvailable(chunks) {
     let out = '';
     for (let i = 0; i < chunks.length; i++) {
@@ -179,31 +772,17 @@ class StoryViewerServiceM {
 
   /**
    * Fetch + decode a single glyph memo:
-   *  - Fetch memo bytes
-   *  - Decompress to JSON string
-   *  - Parse and verify protocol/type
+   *  - Fetch memo bytes (the given memo of a packed transaction)
+   *  - Decode the binary frame, or the older deflated JSON memo
+   *  - Verify protocol/type
    *  - Return { content, index, total, sid }
    */
-  static async _fetchAndDecodeGlyph(transactionId) {
+  static async _fetchAndDecodeGlyph(transactionId, instruction = 0) {
     try {
-      // chunkReaderService returns memo bytes (already base64-decoded from the wire)
-      const memoBytes = await chunkReaderService.fetchChunk(transactionId);
-      if (!memoBytes || memoBytes.length === 0) throw new Error('Empty memo');
-
-      const json = CompressionService.decompress(memoBytes); // string
-      const glyph = JSON.parse(json);
-
-      // Enforce the single protocol
-      if (glyph.p !== PROTOCOL || glyph.t !== 'glyph') {
-        throw new Error(`Unsupported glyph protocol or type: ${glyph.p}/${glyph.t}`);
-      }
-
-      return {
-        content: glyph.c,
-        index: Number(glyph.i),
-        total: Number(glyph.tc),
-        sid: glyph.sid,
-      };
+      // chunkReaderService returns memo bytes (legacy base64 memos are already decoded,
+      // binary frames arrive as their '~' text)
+      const memoBytes = await chunkReaderService.fetchChunk(transactionId, instruction);
+      return StoryViewerServiceM._decodeGlyph(memoBytes);
     } catch (error) {
       console.error(
         `StoryViewerService-M: Failed to decode glyph for TX_ID ${transactionId}:`,
@@ -213,6 +792,46 @@ class StoryViewerServiceM {
     }
   }
 
+  /**
+   * Fetch + decode every glyph memo of a transaction, in memo order.
+   * Memos that are not g-mt-v1 glyphs come back as null.
+   */
+  static async _fetchAndDecodeGlyphs(transactionId) {
+    const memos = await chunkReaderService.fetchChunks(transactionId);
+    return memos.map((memoBytes, instruction) => {
+      try {
+        return StoryViewerServiceM._decodeGlyph(memoBytes);
+      } catch (error) {
+        console.error(
+          `StoryViewerService-M: Failed to decode glyph ${instruction} for TX_ID ${transactionId}:`,
+          error
+        );
+        return null;
+      }
+    });
+  }
+
+  /**
+   * Decode and check one glyph memo
+   */
+  static _decodeGlyph(memoBytes) {
+    if (!memoBytes || memoBytes.length === 0) throw new Error('Empty memo');
+
+    const glyph = MemoCodec.decode(memoBytes);
+
+    // Enforce the single protocol
+    if (glyph.p !== PROTOCOL || glyph.t !== 'glyph') {
+      throw new Error(`Unsupported glyph protocol or type: ${glyph.p}/${glyph.t}`);
+    }
+
+    return {
+      content: glyph.c,
+      index: Number(glyph.i),
+      total: Number(glyph.tc),
+      sid: glyph.sid,
+    };
+  }
+
   // ===== Non-progressive method left here for future proofing =====
   // If you later want one-shot fetch+verify of a single glyph against a Merkle root,
   // bring back MerkleBuilderM + UserStorageService and reconstruct leaves here.
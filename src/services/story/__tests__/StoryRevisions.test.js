@@ -0,0 +1,201 @@
+// src/services/story/__tests__/StoryRevisions.test.js
+// Path: src/services/story/__tests__/StoryRevisions.test.js
+
+/**
+ * Story Revision Tests
+ *
+ * A correction is published as a new manifest naming the story it replaces.
+ * On the local ledger: readers resolve a story to its latest author-signed
+ * revision from the memo text of the author's signatures (fetching only what
+ * they must check), list the revision history, diff the text between
+ * versions, and ignore "revisions" signed by anyone else.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Keypair } from '@solana/web3.js';
+import StoryViewerServiceM from '../StoryViewerService-M';
+import { chunkReaderService } from '../ChunkReaderService';
+import PublishingServiceM from '../../publishing/PublishingService-M';
+import ChunkManagerM from '../../glyph/processing/ChunkManager-M';
+import { StoryManifest } from '../../blockchain/shared/models/StoryManifest';
+import { blockchainServices } from '../../blockchain/BlockchainService';
+import { SolanaPublisher } from '../../blockchain/solana/SolanaPublisher';
+import { connectionProvider, SolanaCluster } from '../../blockchain/shared/ConnectionProvider';
+import { KeypairSigner } from '../../wallet/KeypairSigner';
+
+jest.mock('expo-crypto', () => jest.requireActual('../../../../__tests__/__mocks__/expo-crypto-sha256'));
+
+const authorKeypair = Keypair.fromSeed(new Uint8Array(32).fill(71));
+const forgerKeypair = Keypair.fromSeed(new Uint8Array(32).fill(72));
+const author = new KeypairSigner(authorKeypair);
+const forger = new KeypairSigner(forgerKeypair);
+
+const ORIGINAL = 'The lighthouse keeper counted the ships every night. '.repeat(12);
+const CORRECTED = ORIGINAL.replace('counted the ships', 'counted the gulls');
+
+describe('Story revisions', () => {
+  let original;
+  let revision;
+  let originalManifest;
+
+  /**
+   * Publish a package on the local ledger
+   * @param {Object} pkg - Package from ChunkManager-M
+   * @param {TransactionSigner} signer - Wallet paying for and signing the publication
+   * @returns {Promise<Object>} Publication result
+   */
+  const publish = async (pkg, signer) => {
+    const result = await PublishingServiceM.publishStoryWithManifest(pkg, signer);
+    await AsyncStorage.clear();
+    return result;
+  };
+
+  beforeAll(async () => {
+    const ledger = connectionProvider.useLocalLedger();
+    const publisher = new SolanaPublisher(ledger);
+    publisher.priorityFees.configure({ strategy: 'none' });
+    jest.spyOn(blockchainServices, 'getPublisher').mockReturnValue(publisher);
+
+    const authorKey = authorKeypair.publicKey.toBase58();
+    const pkg = await ChunkManagerM.prepareStoryForManifestPublishing(ORIGINAL, 'The Keeper', authorKey);
+    original = await publish(pkg, author);
+    originalManifest = pkg.primaryManifest;
+
+    revision = await publish(await ChunkManagerM.prepareStoryRevision(CORRECTED, originalManifest), author);
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+    chunkReaderService.clearCache();
+    connectionProvider.setCluster(SolanaCluster.DEVNET);
+  });
+
+  it('should carry the predecessor in the serialized manifest', () => {
+    // Arrange
+    const manifest = new StoryManifest({
+      title: 'The Keeper',
+      authorPublicKey: authorKeypair.publicKey.toBase58(),
+      manifestRoot: 'a'.repeat(64),
+      totalContentChunks: 1,
+      totalHashListChunks: 1,
+      previousStoryId: original.storyId,
+      revision: 2
+    });
+
+    // Act
+    const restored = StoryManifest.deserialize(manifest.serialize());
+
+    // Assert
+    expect(restored).toMatchObject({ previousStoryId: original.storyId, revision: 2 });
+    expect(restored.isRevision()).toBe(true);
+    expect(manifest.validate().isValid).toBe(true);
+    expect(originalManifest.serialize()).not.toHaveProperty('ps');
+    expect(new StoryManifest({ ...manifest, previousStoryId: null }).validate().errors)
+      .toContain('Revisions after the first must name the previous story ID, originals must not');
+  });
+
+  it('should resolve a story to its latest author-signed revision', async () => {
+    // Act
+    const history = await StoryViewerServiceM.getRevisionHistory(original.storyId);
+    const fromRevision = await StoryViewerServiceM.getRevisionHistory(revision.storyId);
+
+    // Assert
+    expect(history.revisions.map(entry => [entry.storyId, entry.revision])).toEqual([
+      [original.storyId, 1],
+      [revision.storyId, 2]
+    ]);
+    expect(history.latest.storyId).toBe(revision.storyId);
+    expect(history.revisions.every(entry => entry.isComplete)).toBe(true);
+    expect(fromRevision.originalStoryId).toBe(original.storyId);
+  });
+
+  it('should fetch only the revision chain and the latest glyphs when resolving', async () => {
+    // Arrange
+    StoryViewerServiceM.clearRevisionCache();
+    chunkReaderService.clearCache();
+    const getParsedTransaction = jest.spyOn(connectionProvider.getConnection(), 'getParsedTransaction');
+
+    // Act
+    const history = await StoryViewerServiceM.getRevisionHistory(original.storyId);
+    const fetched = getParsedTransaction.mock.calls.map(([signature]) => signature);
+    await StoryViewerServiceM.getRevisionHistory(revision.storyId);
+
+    // Assert
+    expect(history.latest.storyId).toBe(revision.storyId);
+    expect(new Set(fetched)).toEqual(new Set([original.storyId, revision.storyId, ...revision.glyphTransactionIds]));
+    expect(getParsedTransaction).toHaveBeenCalledTimes(fetched.length); // the second history came from the cache
+    getParsedTransaction.mockRestore();
+  });
+
+  it('should load the original at once and switch to the latest revision', async () => {
+    // Arrange - the caller only knows the original's glyph locations
+    StoryViewerServiceM.clearRevisionCache();
+    const manifest = {
+      storyId: original.storyId,
+      chunks: original.glyphLocations.map((location, index) => ({ index, ...location })),
+      totalChunks: original.glyphLocations.length
+    };
+    const onChunkLoaded = jest.fn();
+    const onRevision = jest.fn();
+    const reopened = jest.fn();
+
+    // Act
+    await StoryViewerServiceM.loadStoryProgressively(original.storyId, manifest, onChunkLoaded, null, null, { onRevision });
+    await StoryViewerServiceM.loadStoryProgressively(original.storyId, manifest, reopened, null, null, { onRevision });
+
+    // Assert
+    expect(onRevision).toHaveBeenCalledTimes(2);
+    expect(onRevision).toHaveBeenCalledWith(expect.objectContaining({ originalStoryId: original.storyId }));
+    expect(onChunkLoaded.mock.calls[0][1]).toContain('counted the ships');
+    expect(onChunkLoaded).toHaveBeenLastCalledWith(expect.any(Number), CORRECTED.trim(), true);
+    expect(reopened.mock.calls.every(([, text]) => text.includes('counted the gulls'))).toBe(true); // cached history
+    expect(reopened).toHaveBeenLastCalledWith(expect.any(Number), CORRECTED.trim(), true);
+  });
+
+  it('should diff the text between two revisions', async () => {
+    // Arrange
+    const { revisions } = await StoryViewerServiceM.getRevisionHistory(original.storyId);
+
+    // Act
+    const diff = await StoryViewerServiceM.diffRevisions(revisions[0], revisions[1]);
+
+    // Assert
+    const removed = diff.changes.filter(change => change.type === 'removed').map(change => change.text);
+    const added = diff.changes.filter(change => change.type === 'added').map(change => change.text);
+    expect(removed).toEqual(['ships']);
+    expect(added).toEqual(['gulls']);
+    expect(diff).toMatchObject({ from: original.storyId, to: revision.storyId, added: 5, removed: 5 });
+  });
+
+  it('should rebuild both texts from a word diff', () => {
+    // Arrange
+    const before = 'One fish, two fish.\n\nRed fish.';
+    const after = 'One fish, three fish.\n\nRed fish, blue fish.';
+
+    // Act
+    const changes = StoryViewerServiceM.diffText(before, after);
+
+    // Assert
+    const join = (type) => changes.filter(change => change.type !== type).map(change => change.text).join('');
+    expect(join('added')).toBe(before);
+    expect(join('removed')).toBe(after);
+  });
+
+  it('should ignore revisions the author did not sign', async () => {
+    // Arrange - someone else publishes a "correction" in the author's name
+    const latest = Object.assign(StoryManifest.deserialize(originalManifest.serialize()), { storyId: revision.storyId, revision: 2 });
+    const forged = await ChunkManagerM.prepareStoryRevision('Forged ending. '.repeat(10), latest);
+    jest.spyOn(PublishingServiceM, '_ensureAuthorSignature').mockResolvedValueOnce(); // a client that skips the author check
+    const forgery = await publish(forged, forger);
+
+    // Act
+    const history = await StoryViewerServiceM.getRevisionHistory(original.storyId, { refresh: true });
+
+    // Assert
+    expect(history.latest.storyId).toBe(revision.storyId);
+    expect(history.revisions).toHaveLength(2);
+    await expect(StoryViewerServiceM.getRevisionHistory(forgery.storyId)).rejects.toThrow('not signed by its author');
+  });
+});
+
+// Character count: 8962
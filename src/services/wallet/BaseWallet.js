@@ -254,6 +254,53 @@ export class BaseWallet extends SimpleEventEmitter {
     throw new Error('signData() must be implemented by subclass');
   }
 
+  /**
+   * Public key that signs (and pays for) transactions
+   * Subclasses return null while no wallet is loaded
+   * @returns {Object|null} Chain-specific public key
+   */
+  get publicKey() {
+    return null;
+  }
+
+  /**
+   * Sign a transaction without sending it
+   * Publishers build the transaction, the wallet only signs it, so secret keys
+   * never leave the wallet.
+   * Must be implemented by subclasses
+   * @param {Object} transaction - Chain-specific transaction
+   * @returns {Promise<Object>} The signed transaction
+   * @abstract
+   */
+  async signTransaction(transaction) {
+    throw new Error('signTransaction() must be implemented by subclass');
+  }
+
+  /**
+   * Sign several transactions
+   * Subclasses may override to sign in one step (e.g. one user prompt)
+   * @param {Array<Object>} transactions - Chain-specific transactions
+   * @returns {Promise<Array<Object>>} Signed transactions
+   */
+  async signAllTransactions(transactions) {
+    const signed = [];
+    for (const transaction of transactions) {
+      signed.push(await this.signTransaction(transaction));
+    }
+    return signed;
+  }
+
+  /**
+   * Sign raw message bytes
+   * Must be implemented by subclasses
+   * @param {Uint8Array|string} message - Message to sign
+   * @returns {Promise<Uint8Array>} Signature bytes
+   * @abstract
+   */
+  async signMessage(message) {
+    throw new Error('signMessage() must be implemented by subclass');
+  }
+
   /**
    * Update wallet status and emit event
    * @protected
@@ -355,4 +402,4 @@ export class BaseWallet extends SimpleEventEmitter {
   }
 }
 
-// Character count: 8431
\ No newline at end of file
+// Character count: 10783
\ No newline at end of file
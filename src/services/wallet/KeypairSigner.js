@@ -0,0 +1,98 @@
+// src/services/wallet/KeypairSigner.js
+// Path: src/services/wallet/KeypairSigner.js
+
+import { PublicKey, Transaction } from '@solana/web3.js';
+import { ed25519 } from '@noble/curves/ed25519';
+
+/**
+ * @typedef {Object} TransactionSigner
+ * @property {PublicKey} publicKey - Signing (and fee-paying) public key
+ * @property {function(Transaction): Promise<Transaction>} signTransaction - Sign one transaction
+ * @property {function(Array<Transaction>): Promise<Array<Transaction>>} signAllTransactions - Sign a batch
+ * @property {function(Uint8Array|string): Promise<Uint8Array>} signMessage - Sign raw bytes
+ */
+
+/**
+ * KeypairSigner - TransactionSigner backed by an in-memory Solana keypair
+ *
+ * Wallets (MobileWalletService, test identities) hand publishers a signer
+ * instead of the keypair itself. It has no React Native dependencies so the
+ * deployment scripts can use it directly.
+ */
+export class KeypairSigner {
+  /**
+   * @param {Keypair} keypair - Keypair to sign with
+   */
+  constructor(keypair) {
+    if (!keypair || !keypair.secretKey) {
+      throw new Error('KeypairSigner requires a keypair');
+    }
+    this._keypair = keypair;
+  }
+
+  /**
+   * Public key of the signer
+   * @returns {PublicKey} Public key
+   */
+  get publicKey() {
+    return this._keypair.publicKey;
+  }
+
+  /**
+   * Sign a legacy or versioned transaction
+   * Legacy transactions are partially signed so other signers (e.g. a fee payer)
+   * can add their signatures afterwards.
+   * @param {Transaction|VersionedTransaction} transaction - Transaction to sign
+   * @returns {Promise<Transaction|VersionedTransaction>} The same transaction, signed
+   */
+  async signTransaction(transaction) {
+    if (transaction instanceof Transaction) {
+      transaction.partialSign(this._keypair);
+    } else {
+      transaction.sign([this._keypair]);
+    }
+    return transaction;
+  }
+
+  /**
+   * Sign several transactions
+   * @param {Array<Transaction|VersionedTransaction>} transactions - Transactions to sign
+   * @returns {Promise<Array<Transaction|VersionedTransaction>>} Signed transactions
+   */
+  async signAllTransactions(transactions) {
+    const signed = [];
+    for (const transaction of transactions) {
+      signed.push(await this.signTransaction(transaction));
+    }
+    return signed;
+  }
+
+  /**
+   * Sign an arbitrary message with Ed25519
+   * @param {Uint8Array|string} message - Message bytes (strings are UTF-8 encoded)
+   * @returns {Promise<Uint8Array>} 64-byte signature
+   */
+  async signMessage(message) {
+    const bytes = typeof message === 'string' ? new TextEncoder().encode(message) : message;
+    return ed25519.sign(bytes, this._keypair.secretKey.slice(0, 32));
+  }
+
+  /**
+   * Verify an Ed25519 message signature
+   * @param {Uint8Array|string} message - Original message
+   * @param {Uint8Array} signature - 64-byte signature
+   * @param {PublicKey|string} publicKey - Expected signer
+   * @returns {boolean} True if the signature is valid
+   */
+  static verifyMessage(message, signature, publicKey) {
+    try {
+      const bytes = typeof message === 'string' ? new TextEncoder().encode(message) : message;
+      const key = publicKey instanceof PublicKey ? publicKey : new PublicKey(publicKey);
+      return ed25519.verify(signature, bytes, key.toBytes());
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+// Character count: 3326
@@ -2,91 +2,132 @@
 // Path: src/services/wallet/MobileWalletService.js
 
 import 'react-native-get-random-values';
-import { Keypair, Connection, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { Keypair, LAMPORTS_PER_SOL } from '@solana/web3.js';
 import { WalletStorage } from './WalletStorage';
+import { SeedPhraseService } from './SeedPhraseService';
+import { KeypairSigner } from './KeypairSigner';
 import { BaseWallet, WalletConnectionStatus } from './BaseWallet';
+import { connectionProvider } from '../blockchain/shared/ConnectionProvider';
 
 /**
  * Mobile Wallet Service with encrypted storage and better security
  * CLEANED VERSION: Removed legacy migration system
  */
 export class MobileWalletService extends BaseWallet {
-  constructor() {
+  /**
+   * @param {Object} [connection] - Optional connection override (defaults to ConnectionProvider)
+   */
+  constructor(connection = null) {
     super();
     this.currentWalletId = null;
     this.keypair = null;
-    this.connection = null;
     this.DEFAULT_WALLET_NAME = 'Default Solana Wallet';
     
-    // Initialize Solana connection for balance checking
-    this.connection = new Connection('https://api.devnet.solana.com', 'confirmed');
+    // Solana connection for balance checking (injected or shared)
+    this._connection = connection;
     
     // Add logging control properties
     this._lastLoggedBalance = null;
   }
 
   /**
-   * Create a new wallet with password protection
+   * Active Solana connection (injected or from ConnectionProvider)
+   * @returns {Connection} Connection instance
+   */
+  get connection() {
+    return this._connection || connectionProvider.getConnection();
+  }
+
+  /**
+   * Create a new seed-phrase wallet with password protection
+   * The returned mnemonic must be shown to the user for backup; it is not emitted to listeners.
    * @param {Object} options - Creation options
    * @param {string} [options.name] - Wallet name
    * @param {string} options.password - Password for encryption
-   * @returns {Promise<Object>} Wallet info
+   * @param {number} [options.wordCount=12] - Seed phrase length (12 or 24)
+   * @param {string} [options.passphrase] - Optional BIP39 passphrase
+   * @returns {Promise<Object>} Wallet info plus the new mnemonic
    */
   async create(options) {
     try {
       this._validateOptions(options, ['password']);
       this._updateStatus(WalletConnectionStatus.CONNECTING);
 
-      // Generate new keypair
-      const keypair = Keypair.generate();
-      this.keypair = keypair;
+      // Generate a new seed phrase and derive the first account
+      const mnemonic = SeedPhraseService.generate(options.wordCount || 12);
+      const account = await SeedPhraseService.deriveAccount(mnemonic, {
+        passphrase: options.passphrase || ''
+      });
 
-      // Create wallet data structure
-      const decryptedWallet = WalletStorage.solanaKeypairToWallet(
-        keypair,
-        options.name || this.DEFAULT_WALLET_NAME
-      );
+      const walletInfo = await this._saveAndActivate(account.keypair, options, {
+        mnemonic,
+        derivationPath: account.derivationPath,
+        accountIndex: account.accountIndex
+      });
 
-      // Encrypt and save wallet
-      const encryptedWallet = await WalletStorage.encryptWallet(
-        decryptedWallet,
-        options.password
-      );
+      console.log('✅ Wallet created successfully:', walletInfo.publicKey);
+      return { ...walletInfo, mnemonic };
+    } catch (error) {
+      this._emitError(error);
+      this._updateStatus(WalletConnectionStatus.ERROR);
+      throw new Error('Failed to create wallet: ' + error.message);
+    }
+  }
 
-      await WalletStorage.saveWallet(encryptedWallet);
+  /**
+   * Restore a wallet from a BIP39 seed phrase
+   * @param {Object} options - Restore options
+   * @param {string} options.mnemonic - 12 or 24 word seed phrase
+   * @param {string} options.password - Password for encryption
+   * @param {string} [options.passphrase] - Optional BIP39 passphrase
+   * @param {number} [options.accountIndex=0] - Account index to restore
+   * @param {string} [options.name] - Wallet name
+   * @returns {Promise<Object>} Wallet info
+   */
+  async restore(options) {
+    try {
+      this._validateOptions(options, ['mnemonic', 'password']);
+      this._updateStatus(WalletConnectionStatus.CONNECTING);
 
-      // Set as current wallet
-      this.currentWalletId = encryptedWallet.id;
+      const mnemonic = SeedPhraseService.normalize(options.mnemonic);
+      if (!SeedPhraseService.isValid(mnemonic)) {
+        throw new Error('Invalid seed phrase');
+      }
 
-      // Create wallet info
-      const walletInfo = {
-        publicKey: this.keypair.publicKey.toString(),
-        name: options.name || this.DEFAULT_WALLET_NAME,
-        type: 'solana',
-        isEncrypted: true
-      };
+      const account = await SeedPhraseService.deriveAccount(mnemonic, {
+        passphrase: options.passphrase || '',
+        accountIndex: options.accountIndex || 0
+      });
 
-      this._updateInfo(walletInfo);
-      this._updateStatus(WalletConnectionStatus.CONNECTED);
+      const walletInfo = await this._saveAndActivate(account.keypair, options, {
+        mnemonic,
+        derivationPath: account.derivationPath,
+        accountIndex: account.accountIndex
+      });
 
-      console.log('✅ Wallet created successfully:', walletInfo.publicKey);
+      console.log('✅ Wallet restored successfully:', walletInfo.publicKey);
       return walletInfo;
     } catch (error) {
       this._emitError(error);
       this._updateStatus(WalletConnectionStatus.ERROR);
-      throw new Error('Failed to create wallet: ' + error.message);
+      throw new Error('Failed to restore wallet: ' + error.message);
     }
   }
 
   /**
-   * Import an existing wallet using private key
+   * Import an existing wallet using private key or seed phrase
    * @param {Object} options - Import options
-   * @param {string} options.privateKey - Private key to import
+   * @param {string} [options.privateKey] - Private key to import (JSON byte array or base64)
+   * @param {string} [options.mnemonic] - Seed phrase to import instead (see restore)
    * @param {string} [options.name] - Wallet name
    * @param {string} options.password - Password for encryption
    * @returns {Promise<Object>} Wallet info
    */
   async import(options) {
+    if (options && options.mnemonic) {
+      return await this.restore(options);
+    }
+
     try {
       this._validateOptions(options, ['privateKey', 'password']);
       this._updateStatus(WalletConnectionStatus.CONNECTING);
@@ -101,45 +142,142 @@ export class MobileWalletService extends BaseWallet {
       }
 
       // Create keypair from private key
-      this.keypair = Keypair.fromSecretKey(secretKey);
+      const walletInfo = await this._saveAndActivate(Keypair.fromSecretKey(secretKey), options);
 
-      // Create wallet data structure
-      const decryptedWallet = WalletStorage.solanaKeypairToWallet(
-        this.keypair,
-        options.name || this.DEFAULT_WALLET_NAME
-      );
+      console.log('✅ Wallet imported successfully:', walletInfo.publicKey);
+      return walletInfo;
+    } catch (error) {
+      this._emitError(error);
+      this._updateStatus(WalletConnectionStatus.ERROR);
+      throw new Error('Failed to import wallet: ' + error.message);
+    }
+  }
 
-      // Encrypt and save wallet
-      const encryptedWallet = await WalletStorage.encryptWallet(
-        decryptedWallet,
-        options.password
-      );
+  /**
+   * Derive another account from the current wallet's seed phrase and switch to it
+   * @param {Object} options - Derivation options
+   * @param {string} options.password - Password of the current wallet
+   * @param {string} [options.passphrase] - BIP39 passphrase used when the wallet was created
+   * @param {number} [options.accountIndex] - Account index (defaults to the first one not yet stored)
+   * @param {string} [options.name] - Name for the new account
+   * @returns {Promise<Object>} Wallet info for the new account
+   */
+  async deriveAccount(options) {
+    try {
+      this._validateOptions(options, ['password']);
 
-      await WalletStorage.saveWallet(encryptedWallet);
+      if (!this.currentWalletId) {
+        throw new Error('No wallet loaded');
+      }
 
-      // Set as current wallet
-      this.currentWalletId = encryptedWallet.id;
+      const encryptedWallet = await WalletStorage.getWallet(this.currentWalletId);
+      const current = await WalletStorage.decryptWallet(encryptedWallet, options.password);
+      if (!current.mnemonic) {
+        throw new Error('Current wallet was not created from a seed phrase');
+      }
 
-      // Create wallet info
-      const walletInfo = {
-        publicKey: this.keypair.publicKey.toString(),
-        name: options.name || this.DEFAULT_WALLET_NAME,
-        type: 'solana',
-        isEncrypted: true
-      };
+      const seed = await SeedPhraseService.toSeed(current.mnemonic, options.passphrase || '');
 
-      this._updateInfo(walletInfo);
-      this._updateStatus(WalletConnectionStatus.CONNECTED);
+      // A wrong passphrase yields a different wallet, so check it against the current account
+      const check = SeedPhraseService.deriveAccountFromSeed(seed, current.accountIndex);
+      if (check.keypair.publicKey.toString() !== current.publicKey) {
+        throw new Error('Passphrase does not match this wallet');
+      }
 
-      console.log('✅ Wallet imported successfully:', walletInfo.publicKey);
+      let accountIndex = options.accountIndex;
+      if (accountIndex === undefined) {
+        const storedKeys = new Set((await WalletStorage.getAllWallets()).map(w => w.publicKey));
+        accountIndex = 0;
+        while (storedKeys.has(SeedPhraseService.deriveAccountFromSeed(seed, accountIndex).keypair.publicKey.toString())) {
+          accountIndex++;
+        }
+      }
+
+      const account = SeedPhraseService.deriveAccountFromSeed(seed, accountIndex);
+      const walletInfo = await this._saveAndActivate(
+        account.keypair,
+        { name: options.name || `Account ${accountIndex + 1}`, password: options.password },
+        { mnemonic: current.mnemonic, derivationPath: account.derivationPath, accountIndex }
+      );
+
+      console.log(`✅ Derived account ${accountIndex}:`, walletInfo.publicKey);
       return walletInfo;
     } catch (error) {
-      this._emitError(error);
-      this._updateStatus(WalletConnectionStatus.ERROR);
-      throw new Error('Failed to import wallet: ' + error.message);
+      console.error('❌ Error deriving account:', error);
+      throw new Error('Failed to derive account: ' + error.message);
     }
   }
 
+  /**
+   * Reveal the current wallet's seed phrase for backup
+   * @param {string} password - Wallet password
+   * @returns {Promise<string>} Seed phrase
+   */
+  async revealSeedPhrase(password) {
+    if (!this.currentWalletId) {
+      throw new Error('No wallet loaded');
+    }
+
+    const encryptedWallet = await WalletStorage.getWallet(this.currentWalletId);
+    const decryptedWallet = await WalletStorage.decryptWallet(encryptedWallet, password);
+    if (!decryptedWallet.mnemonic) {
+      throw new Error('This wallet was imported from a private key and has no seed phrase');
+    }
+    return decryptedWallet.mnemonic;
+  }
+
+  /**
+   * Encrypt, save and activate a keypair as the current wallet
+   * @param {Keypair} keypair - Keypair to store
+   * @param {Object} options - Options with password and optional name
+   * @param {Object} [seedInfo] - Seed phrase details for derived wallets
+   * @returns {Promise<Object>} Wallet info
+   * @private
+   */
+  async _saveAndActivate(keypair, options, seedInfo = null) {
+    const name = options.name || this.DEFAULT_WALLET_NAME;
+
+    // Create wallet data structure
+    const decryptedWallet = WalletStorage.solanaKeypairToWallet(keypair, name, seedInfo);
+
+    // Encrypt and save wallet
+    const encryptedWallet = await WalletStorage.encryptWallet(decryptedWallet, options.password);
+    const saved = await WalletStorage.saveWallet(encryptedWallet);
+    if (!saved) {
+      throw new Error('Failed to save wallet');
+    }
+
+    // Set as current wallet
+    this.keypair = keypair;
+    this.currentWalletId = encryptedWallet.id;
+
+    const walletInfo = this._buildWalletInfo(name, seedInfo);
+    this._updateInfo(walletInfo);
+    this._updateStatus(WalletConnectionStatus.CONNECTED);
+    return walletInfo;
+  }
+
+  /**
+   * Build the public wallet info object for the current keypair
+   * @param {string} name - Wallet name
+   * @param {Object} [seedInfo] - Seed phrase details (only path/index are exposed)
+   * @returns {Object} Wallet info
+   * @private
+   */
+  _buildWalletInfo(name, seedInfo = null) {
+    return {
+      publicKey: this.keypair.publicKey.toString(),
+      name,
+      type: 'solana',
+      isEncrypted: true,
+      hasSeedPhrase: !!seedInfo,
+      ...(seedInfo && {
+        derivationPath: seedInfo.derivationPath,
+        accountIndex: seedInfo.accountIndex
+      })
+    };
+  }
+
   /**
    * Load an existing wallet using ID and password
    * @param {string} walletId - Wallet ID to load
@@ -166,16 +304,23 @@ export class MobileWalletService extends BaseWallet {
       const secretKey = Buffer.from(decryptedWallet.privateKey, 'base64');
       this.keypair = Keypair.fromSecretKey(secretKey);
 
+      // Upgrade legacy vaults now that we have the password
+      if (WalletStorage.needsMigration(encryptedWallet)) {
+        try {
+          await WalletStorage.migrateWallet(encryptedWallet, decryptedWallet, password);
+        } catch (migrationError) {
+          console.warn('⚠️ Wallet vault migration failed, keeping legacy format:', migrationError.message);
+        }
+      }
+
       // Set as current wallet
       this.currentWalletId = walletId;
 
       // Create wallet info
-      const walletInfo = {
-        publicKey: this.keypair.publicKey.toString(),
-        name: decryptedWallet.name,
-        type: 'solana',
-        isEncrypted: true
-      };
+      const walletInfo = this._buildWalletInfo(
+        decryptedWallet.name,
+        decryptedWallet.mnemonic ? decryptedWallet : null
+      );
 
       this._updateInfo(walletInfo);
       this._updateStatus(WalletConnectionStatus.CONNECTED);
@@ -272,6 +417,41 @@ export class MobileWalletService extends BaseWallet {
     }
   }
 
+  /**
+   * Public key of the loaded wallet
+   * @returns {PublicKey|null} Public key or null if no wallet is loaded
+   */
+  get publicKey() {
+    return this.keypair ? this.keypair.publicKey : null;
+  }
+
+  /**
+   * Sign a transaction with the loaded wallet
+   * @param {Transaction|VersionedTransaction} transaction - Transaction to sign
+   * @returns {Promise<Transaction|VersionedTransaction>} Signed transaction
+   */
+  async signTransaction(transaction) {
+    return this._getSigner().signTransaction(transaction);
+  }
+
+  /**
+   * Sign several transactions with the loaded wallet
+   * @param {Array<Transaction|VersionedTransaction>} transactions - Transactions to sign
+   * @returns {Promise<Array<Transaction|VersionedTransaction>>} Signed transactions
+   */
+  async signAllTransactions(transactions) {
+    return this._getSigner().signAllTransactions(transactions);
+  }
+
+  /**
+   * Sign raw message bytes with the loaded wallet
+   * @param {Uint8Array|string} message - Message to sign
+   * @returns {Promise<Uint8Array>} 64-byte Ed25519 signature
+   */
+  async signMessage(message) {
+    return this._getSigner().signMessage(message);
+  }
+
   /**
    * Sign arbitrary data
    * @param {string} data - Data to sign
@@ -279,12 +459,7 @@ export class MobileWalletService extends BaseWallet {
    */
   async signData(data) {
     try {
-      if (!this.keypair) {
-        throw new Error('No wallet connected');
-      }
-
-      const message = new TextEncoder().encode(data);
-      const signature = await this.keypair.sign(message);
+      const signature = await this.signMessage(data);
       
       console.log('✅ Data signed successfully');
       return Buffer.from(signature).toString('base64');
@@ -294,6 +469,18 @@ export class MobileWalletService extends BaseWallet {
     }
   }
 
+  /**
+   * Signer for the loaded keypair
+   * @private
+   * @returns {KeypairSigner} Signer
+   */
+  _getSigner() {
+    if (!this.keypair) {
+      throw new Error('No wallet connected');
+    }
+    return new KeypairSigner(this.keypair);
+  }
+
   /**
    * Export wallet data (encrypted)
    * @param {Object} options - Export options
@@ -338,9 +525,7 @@ export class MobileWalletService extends BaseWallet {
    */
   async verifySignature(data, signature, publicKey) {
     try {
-      // This is a simplified verification
-      // In a real implementation, you'd use proper cryptographic verification
-      return !!(data && signature && publicKey);
+      return KeypairSigner.verifyMessage(data, Buffer.from(signature, 'base64'), publicKey);
     } catch (error) {
       console.error('❌ Error verifying signature:', error);
       return false;
@@ -375,14 +560,6 @@ export class MobileWalletService extends BaseWallet {
     }
   }
 
-  /**
-   * Get wallet keypair (for compatibility with existing code)
-   * @returns {Keypair|null} Current keypair
-   */
-  getWalletKeypair() {
-    return this.keypair;
-  }
-
   /**
    * Get wallet public key (for compatibility with existing code)
    * @returns {string|null} Current public key
@@ -500,4 +677,4 @@ export class MobileWalletService extends BaseWallet {
   }
 }
 
-// Character count: 12,789
\ No newline at end of file
+// Character count: 22,222
\ No newline at end of file
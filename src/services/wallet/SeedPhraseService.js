@@ -0,0 +1,190 @@
+// src/services/wallet/SeedPhraseService.js
+// Path: src/services/wallet/SeedPhraseService.js
+
+import { Keypair } from '@solana/web3.js';
+import {
+  generateMnemonic,
+  validateMnemonic,
+  mnemonicToSeed
+} from '@scure/bip39';
+import { wordlist } from '@scure/bip39/wordlists/english';
+import { hmac } from '@noble/hashes/hmac';
+import { sha512 } from '@noble/hashes/sha2';
+import { utf8ToBytes } from '@noble/hashes/utils';
+
+/**
+ * SeedPhraseService - BIP39 mnemonics and SLIP-0010 Ed25519 key derivation
+ *
+ * Produces the same accounts as Phantom, Solflare and the Solana CLI:
+ *   mnemonic (+ optional passphrase) → BIP39 seed → SLIP-0010 m/44'/501'/n'/0'
+ *
+ * Ed25519 under SLIP-0010 only supports hardened derivation, so every path
+ * segment must end in '.
+ */
+export class SeedPhraseService {
+  // Solana's registered SLIP-0044 coin type
+  static COIN_TYPE = 501;
+
+  // Supported mnemonic lengths → entropy bits
+  static WORD_COUNT_STRENGTH = {
+    12: 128,
+    24: 256
+  };
+
+  static HARDENED_OFFSET = 0x80000000;
+  static ED25519_SEED_KEY = utf8ToBytes('ed25519 seed');
+
+  /**
+   * Generate a new English BIP39 mnemonic
+   * @param {number} [wordCount=12] - 12 or 24 words
+   * @returns {string} Space-separated mnemonic
+   */
+  static generate(wordCount = 12) {
+    const strength = this.WORD_COUNT_STRENGTH[wordCount];
+    if (!strength) {
+      throw new Error(`Unsupported word count: ${wordCount} (use 12 or 24)`);
+    }
+    return generateMnemonic(wordlist, strength);
+  }
+
+  /**
+   * Normalize user input: lowercase, single spaces, trimmed
+   * @param {string} mnemonic - Raw mnemonic input
+   * @returns {string} Normalized mnemonic
+   */
+  static normalize(mnemonic) {
+    return (mnemonic || '').trim().toLowerCase().split(/\s+/).join(' ');
+  }
+
+  /**
+   * Check a mnemonic's words, length and checksum
+   * @param {string} mnemonic - Mnemonic to validate
+   * @returns {boolean} True if valid
+   */
+  static isValid(mnemonic) {
+    const normalized = this.normalize(mnemonic);
+    const wordCount = normalized.split(' ').length;
+    return !!this.WORD_COUNT_STRENGTH[wordCount] && validateMnemonic(normalized, wordlist);
+  }
+
+  /**
+   * Find words that are not in the BIP39 English wordlist
+   * @param {string} mnemonic - Mnemonic to check
+   * @returns {Array<string>} Unknown words (empty if all are valid)
+   */
+  static findInvalidWords(mnemonic) {
+    const normalized = this.normalize(mnemonic);
+    if (!normalized) return [];
+    return normalized.split(' ').filter(word => !wordlist.includes(word));
+  }
+
+  /**
+   * Standard Solana derivation path for an account index
+   * @param {number} [accountIndex=0] - Account index
+   * @returns {string} Path like m/44'/501'/0'/0'
+   */
+  static getDerivationPath(accountIndex = 0) {
+    if (!Number.isInteger(accountIndex) || accountIndex < 0) {
+      throw new Error(`Invalid account index: ${accountIndex}`);
+    }
+    return `m/44'/${this.COIN_TYPE}'/${accountIndex}'/0'`;
+  }
+
+  /**
+   * Convert a mnemonic (and optional passphrase) into a 64-byte BIP39 seed
+   * @param {string} mnemonic - Valid mnemonic
+   * @param {string} [passphrase=''] - Optional BIP39 passphrase
+   * @returns {Promise<Uint8Array>} 64-byte seed
+   */
+  static async toSeed(mnemonic, passphrase = '') {
+    const normalized = this.normalize(mnemonic);
+    if (!this.isValid(normalized)) {
+      throw new Error('Invalid seed phrase');
+    }
+    return mnemonicToSeed(normalized, passphrase);
+  }
+
+  /**
+   * Derive an Ed25519 private key seed along a hardened SLIP-0010 path
+   * @param {Uint8Array} seed - BIP39 seed
+   * @param {string} path - Derivation path (hardened segments only)
+   * @returns {Uint8Array} 32-byte private key seed
+   */
+  static derivePath(seed, path) {
+    const segments = path.split('/');
+    if (segments[0] !== 'm') {
+      throw new Error(`Invalid derivation path: ${path}`);
+    }
+
+    // Master key
+    let I = hmac(sha512, this.ED25519_SEED_KEY, seed);
+    let key = I.slice(0, 32);
+    let chainCode = I.slice(32);
+
+    for (const segment of segments.slice(1)) {
+      if (!/^\d+'$/.test(segment)) {
+        throw new Error(`Ed25519 only supports hardened derivation: ${segment}`);
+      }
+      const index = parseInt(segment, 10) + this.HARDENED_OFFSET;
+
+      // data = 0x00 || key || ser32(index)
+      const data = new Uint8Array(1 + 32 + 4);
+      data.set(key, 1);
+      new DataView(data.buffer).setUint32(33, index);
+
+      I = hmac(sha512, chainCode, data);
+      key = I.slice(0, 32);
+      chainCode = I.slice(32);
+    }
+
+    return key;
+  }
+
+  /**
+   * Derive a Solana keypair for an account index from a seed
+   * @param {Uint8Array} seed - BIP39 seed
+   * @param {number} [accountIndex=0] - Account index
+   * @returns {{keypair: Keypair, derivationPath: string, accountIndex: number}} Derived account
+   */
+  static deriveAccountFromSeed(seed, accountIndex = 0) {
+    const derivationPath = this.getDerivationPath(accountIndex);
+    const keypair = Keypair.fromSeed(this.derivePath(seed, derivationPath));
+    return { keypair, derivationPath, accountIndex };
+  }
+
+  /**
+   * Derive a Solana keypair from a mnemonic
+   * @param {string} mnemonic - Valid mnemonic
+   * @param {Object} [options] - Derivation options
+   * @param {string} [options.passphrase=''] - BIP39 passphrase
+   * @param {number} [options.accountIndex=0] - Account index
+   * @returns {Promise<{keypair: Keypair, derivationPath: string, accountIndex: number}>} Derived account
+   */
+  static async deriveAccount(mnemonic, options = {}) {
+    const { passphrase = '', accountIndex = 0 } = options;
+    const seed = await this.toSeed(mnemonic, passphrase);
+    return this.deriveAccountFromSeed(seed, accountIndex);
+  }
+
+  /**
+   * Derive several consecutive accounts from one mnemonic
+   * @param {string} mnemonic - Valid mnemonic
+   * @param {Object} [options] - Derivation options
+   * @param {string} [options.passphrase=''] - BIP39 passphrase
+   * @param {number} [options.startIndex=0] - First account index
+   * @param {number} [options.count=5] - Number of accounts
+   * @returns {Promise<Array<{keypair: Keypair, derivationPath: string, accountIndex: number}>>} Derived accounts
+   */
+  static async deriveAccounts(mnemonic, options = {}) {
+    const { passphrase = '', startIndex = 0, count = 5 } = options;
+    const seed = await this.toSeed(mnemonic, passphrase);
+
+    const accounts = [];
+    for (let i = startIndex; i < startIndex + count; i++) {
+      accounts.push(this.deriveAccountFromSeed(seed, i));
+    }
+    return accounts;
+  }
+}
+
+// Character count: 6527
@@ -1,9 +1,15 @@
 // src/services/wallet/SolanaAirdropService.js
-import { Connection, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { connectionProvider } from '../blockchain/shared/ConnectionProvider';
 
 export class SolanaAirdropService {
-  constructor() {
-    this.connection = new Connection('https://api.devnet.solana.com', 'confirmed');
+  constructor(connection = null) {
+    this._connection = connection;
+  }
+  
+  // Active connection (injected or from ConnectionProvider)
+  get connection() {
+    return this._connection || connectionProvider.getConnection();
   }
   
   // Request airdrop from Solana devnet faucet
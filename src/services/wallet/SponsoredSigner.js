@@ -0,0 +1,92 @@
+// src/services/wallet/SponsoredSigner.js
+// Path: src/services/wallet/SponsoredSigner.js
+
+/**
+ * SponsoredSigner - TransactionSigner for an author whose fees a FeeSponsor pays
+ *
+ * Publishers treat it like the author's own signer (publicKey is the author,
+ * messages are signed by the author) but use `feePayer` for the fee payer and
+ * name `coSigners` as signers of their memo instructions. Without co-signing
+ * the author only signs memo content, and the transaction is signed by the
+ * sponsor alone.
+ */
+export class SponsoredSigner {
+  /**
+   * @param {TransactionSigner} authorSigner - Author's signer
+   * @param {FeeSponsor} sponsor - Sponsor that pays fees
+   * @param {Object} [options] - Signer options
+   * @param {boolean} [options.coSign=true] - Author co-signs transactions
+   */
+  constructor(authorSigner, sponsor, { coSign = true } = {}) {
+    if (!authorSigner || !authorSigner.publicKey) {
+      throw new Error('SponsoredSigner requires the author signer');
+    }
+    if (!sponsor) {
+      throw new Error('SponsoredSigner requires a fee sponsor');
+    }
+    this.authorSigner = authorSigner;
+    this.sponsor = sponsor;
+    this.coSign = coSign;
+  }
+
+  /**
+   * Author's public key
+   * @returns {PublicKey} Public key
+   */
+  get publicKey() {
+    return this.authorSigner.publicKey;
+  }
+
+  /**
+   * Account that pays for the author's transactions
+   * @returns {PublicKey} Sponsor public key
+   */
+  get feePayer() {
+    return this.sponsor.publicKey;
+  }
+
+  /**
+   * Keys that must sign besides the fee payer
+   * @returns {Array<PublicKey>} The author when co-signing, otherwise none
+   */
+  get coSigners() {
+    return this.coSign ? [this.authorSigner.publicKey] : [];
+  }
+
+  /**
+   * Sign as the author (when co-signing), then have the sponsor check and pay
+   * @param {Transaction} transaction - Legacy transaction to sign
+   * @returns {Promise<Transaction>} The same transaction, signed
+   */
+  async signTransaction(transaction) {
+    transaction.feePayer = this.feePayer;
+    if (this.coSign) {
+      await this.authorSigner.signTransaction(transaction);
+    }
+    return await this.sponsor.sponsorTransaction(transaction, this.publicKey);
+  }
+
+  /**
+   * Sign several transactions
+   * @param {Array<Transaction>} transactions - Transactions to sign
+   * @returns {Promise<Array<Transaction>>} Signed transactions
+   */
+  async signAllTransactions(transactions) {
+    const signed = [];
+    for (const transaction of transactions) {
+      signed.push(await this.signTransaction(transaction));
+    }
+    return signed;
+  }
+
+  /**
+   * Sign a message as the author
+   * @param {Uint8Array|string} message - Message bytes
+   * @returns {Promise<Uint8Array>} 64-byte signature
+   */
+  async signMessage(message) {
+    return await this.authorSigner.signMessage(message);
+  }
+}
+
+// Character count: 2815
@@ -0,0 +1,226 @@
+// src/services/wallet/TestIdentityProvider.js
+// Path: src/services/wallet/TestIdentityProvider.js
+
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system';
+import { Keypair } from '@solana/web3.js';
+import bs58 from 'bs58';
+import { TestIdentityWallet } from './TestIdentityWallet';
+
+// File in the app's document directory that holds imported test identities
+export const TEST_IDENTITIES_FILE = 'test-identities.json';
+
+/**
+ * Test Identity Provider
+ *
+ * Development-only source of signing wallets for the registry test users
+ * (alice, bob, ...). Their secret keys are never part of the app bundle: run
+ * `node scripts/blockchain/exportTestIdentities.js` on the dev machine, copy
+ * the resulting test-identities.json to the device and import it from the user
+ * selector. The file is kept in the app's document directory.
+ *
+ * File format: `{ "<username>": [64 secret key bytes] | "<base58 secret key>" }`
+ *
+ * In release builds every method behaves as if no identities were imported.
+ */
+export class TestIdentityProvider {
+  constructor() {
+    this._identities = null;
+    this._wallets = new Map();
+  }
+
+  /**
+   * Whether test identities may be used in this build
+   * @returns {boolean} True in development builds
+   */
+  isEnabled() {
+    return typeof __DEV__ !== 'undefined' && __DEV__;
+  }
+
+  /**
+   * Location of the imported identities file
+   * @returns {string} File URI
+   */
+  getFileUri() {
+    return `${FileSystem.documentDirectory}${TEST_IDENTITIES_FILE}`;
+  }
+
+  /**
+   * Parse and validate a test identities JSON document
+   * @param {string} json - File contents
+   * @returns {Map<string, Keypair>} Keypairs by username
+   * @throws {Error} If the file is malformed or contains an invalid key
+   */
+  static parseIdentities(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new Error('Test identities file is not valid JSON');
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Test identities file must map usernames to secret keys');
+    }
+
+    const identities = new Map();
+    for (const [username, secret] of Object.entries(data)) {
+      try {
+        const secretKey = typeof secret === 'string'
+          ? bs58.decode(secret)
+          : Uint8Array.from(secret);
+        identities.set(username, Keypair.fromSecretKey(secretKey));
+      } catch (error) {
+        throw new Error(`Invalid secret key for test identity "${username}"`);
+      }
+    }
+    return identities;
+  }
+
+  /**
+   * Load imported identities from the document directory (cached)
+   * @returns {Promise<Map<string, Keypair>>} Keypairs by username (empty if none)
+   */
+  async load() {
+    if (!this.isEnabled()) {
+      return new Map();
+    }
+    if (this._identities) {
+      return this._identities;
+    }
+
+    try {
+      const info = await FileSystem.getInfoAsync(this.getFileUri());
+      if (!info.exists) {
+        this._identities = new Map();
+        return this._identities;
+      }
+
+      const json = await FileSystem.readAsStringAsync(this.getFileUri());
+      this._identities = TestIdentityProvider.parseIdentities(json);
+      console.log(`🧪 Loaded ${this._identities.size} test identities`);
+    } catch (error) {
+      console.error('❌ Error loading test identities:', error);
+      this._identities = new Map();
+    }
+    return this._identities;
+  }
+
+  /**
+   * Let the developer pick a test identities file and import it
+   * @returns {Promise<Array<string>|null>} Imported usernames, or null if cancelled
+   */
+  async importFromFile() {
+    if (!this.isEnabled()) {
+      throw new Error('Test identities are only available in development builds');
+    }
+
+    const result = await DocumentPicker.getDocumentAsync({
+      type: ['application/json', 'text/*'],
+      copyToCacheDirectory: true,
+      multiple: false
+    });
+
+    if (result.canceled || !result.assets || !result.assets[0]) {
+      return null;
+    }
+
+    const json = await FileSystem.readAsStringAsync(result.assets[0].uri);
+    return this.importFromJson(json);
+  }
+
+  /**
+   * Validate and store a test identities document
+   * @param {string} json - File contents
+   * @returns {Promise<Array<string>>} Imported usernames
+   */
+  async importFromJson(json) {
+    if (!this.isEnabled()) {
+      throw new Error('Test identities are only available in development builds');
+    }
+
+    const identities = TestIdentityProvider.parseIdentities(json);
+    await FileSystem.writeAsStringAsync(this.getFileUri(), json);
+
+    this._identities = identities;
+    this._wallets.clear();
+
+    console.log(`✅ Imported ${identities.size} test identities`);
+    return [...identities.keys()];
+  }
+
+  /**
+   * Remove imported identities from the device
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this._identities = null;
+    this._wallets.clear();
+    await FileSystem.deleteAsync(this.getFileUri(), { idempotent: true });
+  }
+
+  /**
+   * Usernames with an imported identity
+   * @returns {Promise<Array<string>>} Usernames
+   */
+  async listUsernames() {
+    const identities = await this.load();
+    return [...identities.keys()];
+  }
+
+  /**
+   * Get a signing wallet for a test user
+   * @param {string} username - Registry username
+   * @returns {Promise<TestIdentityWallet|null>} Wallet, or null if not imported
+   */
+  async getWallet(username) {
+    if (this._wallets.has(username)) {
+      return this._wallets.get(username);
+    }
+
+    const identities = await this.load();
+    const keypair = identities.get(username);
+    if (!keypair) {
+      return null;
+    }
+
+    const wallet = new TestIdentityWallet(keypair, username);
+    this._wallets.set(username, wallet);
+    return wallet;
+  }
+
+  /**
+   * Find a wallet that can sign for a registry user
+   * Prefers the unlocked personal wallet when it owns the user's key, then falls
+   * back to an imported test identity.
+   * @param {Object} user - Registry user ({ username, publicKey })
+   * @param {BaseWallet} [personalWallet] - Unlocked MobileWalletService, if any
+   * @returns {Promise<BaseWallet|null>} Signing wallet, or null if none is available
+   */
+  async resolveWalletForUser(user, personalWallet = null) {
+    if (!user) {
+      return null;
+    }
+
+    if (personalWallet?.publicKey && personalWallet.publicKey.toString() === user.publicKey) {
+      return personalWallet;
+    }
+
+    const wallet = await this.getWallet(user.username);
+    if (!wallet) {
+      return null;
+    }
+
+    if (wallet.publicKey.toString() !== user.publicKey) {
+      console.warn(`⚠️ Test identity for ${user.username} does not match the registry public key`);
+      return null;
+    }
+
+    return wallet;
+  }
+}
+
+// Export singleton instance
+export const testIdentityProvider = new TestIdentityProvider();
+
+// Character count: 6806
@@ -0,0 +1,93 @@
+// src/services/wallet/TestIdentityWallet.js
+// Path: src/services/wallet/TestIdentityWallet.js
+
+import { MobileWalletService } from './MobileWalletService';
+import { WalletConnectionStatus } from './BaseWallet';
+
+/**
+ * TestIdentityWallet - Development-only wallet for a registry test user
+ *
+ * Wraps a keypair loaded by TestIdentityProvider so test users sign through the
+ * same BaseWallet interface (signTransaction / signAllTransactions /
+ * signMessage) as a real MobileWalletService. It is never persisted, and
+ * anything that would create, import or export key material is refused.
+ */
+export class TestIdentityWallet extends MobileWalletService {
+  /**
+   * @param {Keypair} keypair - Test user's keypair
+   * @param {string} username - Test user's registry username
+   * @param {Object} [connection] - Optional connection override (defaults to ConnectionProvider)
+   */
+  constructor(keypair, username, connection = null) {
+    super(connection);
+    this.keypair = keypair;
+    this.username = username;
+
+    this._updateInfo({
+      publicKey: keypair.publicKey.toString(),
+      name: `${username} (test identity)`,
+      type: 'test-identity',
+      isEncrypted: false,
+      hasSeedPhrase: false
+    });
+    this._updateStatus(WalletConnectionStatus.CONNECTED);
+  }
+
+  /**
+   * Test identities cannot create wallets
+   * @throws {Error} Always
+   */
+  async create() {
+    throw new Error('Test identities are read-only');
+  }
+
+  /**
+   * Test identities cannot import wallets
+   * @throws {Error} Always
+   */
+  async import() {
+    throw new Error('Test identities are read-only');
+  }
+
+  /**
+   * Test identities cannot restore wallets
+   * @throws {Error} Always
+   */
+  async restore() {
+    throw new Error('Test identities are read-only');
+  }
+
+  /**
+   * Test identities cannot derive accounts
+   * @throws {Error} Always
+   */
+  async deriveAccount() {
+    throw new Error('Test identities are read-only');
+  }
+
+  /**
+   * Test identities have no seed phrase
+   * @throws {Error} Always
+   */
+  async revealSeedPhrase() {
+    throw new Error('Test identities have no seed phrase');
+  }
+
+  /**
+   * Test identities cannot be exported
+   * @throws {Error} Always
+   */
+  async export() {
+    throw new Error('Test identities cannot be exported');
+  }
+
+  /**
+   * Test identities are not loaded from wallet storage
+   * @throws {Error} Always
+   */
+  async loadWallet() {
+    throw new Error('Test identities are loaded by TestIdentityProvider');
+  }
+}
+
+// Character count: 2477
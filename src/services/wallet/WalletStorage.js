@@ -2,17 +2,33 @@
 import * as Crypto from 'expo-crypto';
 import { Keypair } from '@solana/web3.js';
 import * as SecureStore from 'expo-secure-store';
+import { xchacha20poly1305 } from '@noble/ciphers/chacha';
+import { randomBytes } from '@noble/ciphers/webcrypto';
+import { scryptAsync } from '@noble/hashes/scrypt';
+import { pbkdf2Async } from '@noble/hashes/pbkdf2';
+import { sha256 } from '@noble/hashes/sha2';
 
 /**
  * Interface for encrypted wallet data
+ * 
+ * Vault version 2 uses scrypt (or PBKDF2-SHA256) + XChaCha20-Poly1305.
+ * Records without a version field are legacy v1 (hash loop + XOR) and are
+ * re-encrypted by migrateWallet the next time the password is supplied.
+ * 
  * @typedef {Object} EncryptedWallet
  * @property {string} id - Unique wallet identifier
- * @property {string} encryptedData - Encrypted wallet data
- * @property {string} salt - Salt used for key derivation
- * @property {string} iv - Initialization vector for encryption
+ * @property {number} [version] - Vault format version (missing = 1)
+ * @property {string} [kdf] - Key derivation function ('scrypt' or 'pbkdf2-sha256')
+ * @property {Object} [kdfParams] - KDF cost parameters used for this wallet
+ * @property {string} [cipher] - Cipher name ('xchacha20-poly1305')
+ * @property {string} encryptedData - Encrypted wallet data (hex, tag appended)
+ * @property {string} salt - Salt used for key derivation (hex)
+ * @property {string} iv - Nonce used for encryption (hex)
  * @property {string} walletType - Type of wallet (e.g., 'solana')
  * @property {string} publicKey - Public key (unencrypted for display)
  * @property {string} [name] - Optional wallet name
+ * @property {string} [derivationPath] - SLIP-0010 path for seed-derived wallets
+ * @property {number} [accountIndex] - Account index for seed-derived wallets
  * @property {number} createdAt - Creation timestamp
  * @property {number} lastUsed - Last used timestamp
  */
@@ -25,23 +41,82 @@ import * as SecureStore from 'expo-secure-store';
  * @property {string} publicKey - Public key
  * @property {string} walletType - Type of wallet
  * @property {string} [name] - Optional wallet name
+ * @property {string} [mnemonic] - BIP39 seed phrase (seed-derived wallets only)
+ * @property {string} [derivationPath] - SLIP-0010 path, e.g. m/44'/501'/0'/0'
+ * @property {number} [accountIndex] - Account index within the seed
  */
 
 /**
  * Class for securely storing and retrieving wallet information
- * Uses react-native-keychain for secure storage and expo-crypto for encryption
+ * Uses expo-secure-store for storage and a password-derived AEAD vault for encryption
  */
 export class WalletStorage {
   static STORAGE_KEY = 'glyffiti_wallets';
   static KEYCHAIN_SERVICE = 'glyffiti_wallet_service';
   
+  // Vault format written by encryptWallet
+  static VAULT_VERSION = 2;
+  static LEGACY_VAULT_VERSION = 1;
+  static CIPHER = 'xchacha20-poly1305';
+  static SALT_SIZE = 16;
+  static NONCE_SIZE = 24;
+  
+  // Default KDF and cost (scrypt N=2^14 uses ~16 MB, roughly 1s on mid-range phones)
+  static KDF = 'scrypt';
+  static KDF_PARAMS = {
+    scrypt: { N: 2 ** 14, r: 8, p: 1 },
+    'pbkdf2-sha256': { c: 310000 }
+  };
+  
+  /**
+   * Derive a 32-byte vault key from a password
+   * @param {string} password - User password
+   * @param {Uint8Array} salt - Random salt
+   * @param {string} kdf - 'scrypt' or 'pbkdf2-sha256'
+   * @param {Object} kdfParams - Cost parameters for the KDF
+   * @returns {Promise<Uint8Array>} - Derived key
+   */
+  static async deriveVaultKey(password, salt, kdf, kdfParams) {
+    if (kdf === 'scrypt') {
+      const { N, r, p } = kdfParams;
+      return scryptAsync(password, salt, { N, r, p, dkLen: 32 });
+    }
+    if (kdf === 'pbkdf2-sha256') {
+      return pbkdf2Async(sha256, password, salt, { c: kdfParams.c, dkLen: 32 });
+    }
+    throw new Error(`Unsupported KDF: ${kdf}`);
+  }
+  
   /**
- * Generate a cryptographically secure password key from user password
+   * Additional authenticated data binding ciphertext to its wallet record.
+   * Stored records are opened with the version they were written with, so
+   * bumping VAULT_VERSION does not lock out vaults awaiting migration.
+   * @param {EncryptedWallet|DecryptedWallet} wallet - Wallet record
+   * @param {number} [version] - Vault version (defaults to the record's own)
+   * @returns {Uint8Array} - AAD bytes
+   */
+  static vaultAad(wallet, version = wallet.version) {
+    return new TextEncoder().encode(
+      `glyffiti-wallet:v${version}:${wallet.id}:${wallet.walletType}:${wallet.publicKey}`
+    );
+  }
+  
+  /**
+   * Check whether a stored wallet uses an outdated vault format
+   * @param {EncryptedWallet} encryptedWallet - Stored wallet
+   * @returns {boolean} - True if the wallet should be re-encrypted
+   */
+  static needsMigration(encryptedWallet) {
+    return (encryptedWallet.version || this.LEGACY_VAULT_VERSION) < this.VAULT_VERSION;
+  }
+  
+  /**
+ * Derive the legacy v1 key (1000 rounds of SHA-256) - only used to open old wallets
  * @param {string} password - User password
  * @param {string} salt - Hex encoded salt
  * @returns {Promise<string>} - Derived key as hex string
  */
-static async deriveKey(password, salt) {
+static async deriveLegacyKey(password, salt) {
   // Convert password to bytes
   const passwordBytes = new TextEncoder().encode(password);
   const saltBytes = this.hexToBytes(salt);
@@ -82,77 +157,155 @@ static uint8ArrayToBase64(uint8Array) {
    * Encrypt wallet data with a password
    * @param {DecryptedWallet} wallet - Wallet to encrypt
    * @param {string} password - Password for encryption
+   * @param {Object} [options] - Vault options
+   * @param {string} [options.kdf] - KDF to use (default WalletStorage.KDF)
+   * @param {Object} [options.kdfParams] - KDF cost override
+   * @param {number} [options.createdAt] - Creation timestamp to keep (migrations)
    * @returns {Promise<EncryptedWallet>} - Encrypted wallet
    */
-  static async encryptWallet(wallet, password) {
-    // Generate a random salt (16 bytes)
-    const salt = await Crypto.getRandomBytesAsync(16);
-    const saltHex = this.bytesToHex(salt);
+  static async encryptWallet(wallet, password, options = {}) {
+    const kdf = options.kdf || this.KDF;
+    const kdfParams = { ...this.KDF_PARAMS[kdf], ...options.kdfParams };
     
-    // Generate encryption key from password
-    const derivedKey = await this.deriveKey(password, saltHex);
-    const keyBytes = this.hexToBytes(derivedKey);
+    // Fresh salt and nonce for every encryption
+    const salt = randomBytes(this.SALT_SIZE);
+    const nonce = randomBytes(this.NONCE_SIZE);
     
-    // Generate a random IV (12 bytes for AES-GCM)
-    const iv = await Crypto.getRandomBytesAsync(12);
-    const ivHex = this.bytesToHex(iv);
+    const key = await this.deriveVaultKey(password, salt, kdf, kdfParams);
     
-    // Prepare the data to encrypt
-    const dataToEncrypt = JSON.stringify({
+    // The seed phrase, when present, lives only inside the ciphertext
+    const dataToEncrypt = new TextEncoder().encode(JSON.stringify({
       privateKey: wallet.privateKey,
-      name: wallet.name
-    });
-    
-    // Encrypt the data using AES-GCM
-    const encryptedData = await Crypto.digestStringAsync(
-      Crypto.CryptoDigestAlgorithm.SHA256,
-      dataToEncrypt + derivedKey + ivHex // Simple encryption simulation
-    );
+      name: wallet.name,
+      ...(wallet.mnemonic && { mnemonic: wallet.mnemonic })
+    }));
     
-    // For real AES-GCM encryption, we'd need a different approach
-    // This is a simplified version for React Native compatibility
-    const simpleEncryptedData = this.xorEncrypt(dataToEncrypt, derivedKey);
+    const ciphertext = xchacha20poly1305(key, nonce, this.vaultAad(wallet, this.VAULT_VERSION)).encrypt(dataToEncrypt);
+    key.fill(0);
     
     return {
       id: wallet.id,
-      encryptedData: simpleEncryptedData,
-      salt: saltHex,
-      iv: ivHex,
+      version: this.VAULT_VERSION,
+      kdf,
+      kdfParams,
+      cipher: this.CIPHER,
+      encryptedData: this.bytesToHex(ciphertext),
+      salt: this.bytesToHex(salt),
+      iv: this.bytesToHex(nonce),
       walletType: wallet.walletType,
       publicKey: wallet.publicKey,
       name: wallet.name,
-      createdAt: Date.now(),
+      ...(wallet.derivationPath && {
+        derivationPath: wallet.derivationPath,
+        accountIndex: wallet.accountIndex
+      }),
+      createdAt: options.createdAt || Date.now(),
       lastUsed: Date.now()
     };
   }
   
   /**
-   * Decrypt wallet data with a password
+   * Decrypt wallet data with a password (vault v2 or later, or legacy v1)
    * @param {EncryptedWallet} encryptedWallet - Encrypted wallet
    * @param {string} password - Password for decryption
    * @returns {Promise<DecryptedWallet>} - Decrypted wallet
    */
   static async decryptWallet(encryptedWallet, password) {
     try {
-      // Regenerate the encryption key
-      const derivedKey = await this.deriveKey(password, encryptedWallet.salt);
-      
-      // Decrypt the data
-      const decryptedDataStr = this.xorDecrypt(encryptedWallet.encryptedData, derivedKey);
-      const decryptedData = JSON.parse(decryptedDataStr);
+      const decryptedData = (encryptedWallet.version || this.LEGACY_VAULT_VERSION) === this.LEGACY_VAULT_VERSION
+        ? await this._decryptLegacy(encryptedWallet, password)
+        : await this._decryptVault(encryptedWallet, password);
       
       return {
         id: encryptedWallet.id,
         privateKey: decryptedData.privateKey,
         publicKey: encryptedWallet.publicKey,
         walletType: encryptedWallet.walletType,
-        name: decryptedData.name || encryptedWallet.name
+        name: decryptedData.name || encryptedWallet.name,
+        ...(decryptedData.mnemonic && {
+          mnemonic: decryptedData.mnemonic,
+          derivationPath: encryptedWallet.derivationPath,
+          accountIndex: encryptedWallet.accountIndex
+        })
       };
     } catch (error) {
       throw new Error('Invalid password or corrupted wallet data');
     }
   }
   
+  /**
+   * Re-encrypt a legacy wallet into the current vault format and save it
+   * @param {EncryptedWallet} encryptedWallet - Stored (legacy) wallet
+   * @param {DecryptedWallet} decryptedWallet - Wallet already decrypted with password
+   * @param {string} password - Password that opened the wallet
+   * @returns {Promise<EncryptedWallet>} - Upgraded wallet (or the original if up to date)
+   */
+  static async migrateWallet(encryptedWallet, decryptedWallet, password) {
+    if (!this.needsMigration(encryptedWallet)) {
+      return encryptedWallet;
+    }
+    
+    const upgraded = await this.encryptWallet(decryptedWallet, password, {
+      createdAt: encryptedWallet.createdAt
+    });
+    
+    // Make sure the new vault opens before replacing the old one
+    await this._decryptVault(upgraded, password);
+    
+    const saved = await this.saveWallet(upgraded);
+    if (!saved) {
+      throw new Error('Failed to save migrated wallet');
+    }
+    
+    console.log(`🔐 Wallet ${encryptedWallet.id} migrated to vault v${this.VAULT_VERSION}`);
+    return upgraded;
+  }
+  
+  /**
+   * Open a v2 vault
+   * @param {EncryptedWallet} encryptedWallet - Encrypted wallet
+   * @param {string} password - Password for decryption
+   * @returns {Promise<Object>} - Decrypted payload
+   * @private
+   */
+  static async _decryptVault(encryptedWallet, password) {
+    if (encryptedWallet.cipher !== this.CIPHER) {
+      throw new Error(`Unsupported cipher: ${encryptedWallet.cipher}`);
+    }
+    
+    const key = await this.deriveVaultKey(
+      password,
+      this.hexToBytes(encryptedWallet.salt),
+      encryptedWallet.kdf,
+      encryptedWallet.kdfParams
+    );
+    
+    try {
+      const plaintext = xchacha20poly1305(
+        key,
+        this.hexToBytes(encryptedWallet.iv),
+        this.vaultAad(encryptedWallet)
+      ).decrypt(this.hexToBytes(encryptedWallet.encryptedData));
+      
+      return JSON.parse(new TextDecoder().decode(plaintext));
+    } finally {
+      key.fill(0);
+    }
+  }
+  
+  /**
+   * Open a legacy v1 wallet (hash loop + XOR, no authentication)
+   * @param {EncryptedWallet} encryptedWallet - Encrypted wallet
+   * @param {string} password - Password for decryption
+   * @returns {Promise<Object>} - Decrypted payload
+   * @private
+   */
+  static async _decryptLegacy(encryptedWallet, password) {
+    const derivedKey = await this.deriveLegacyKey(password, encryptedWallet.salt);
+    const decryptedDataStr = this.xorDecrypt(encryptedWallet.encryptedData, derivedKey);
+    return JSON.parse(decryptedDataStr);
+  }
+  
   /**
    * Save an encrypted wallet to secure storage
    * @param {EncryptedWallet} wallet - Wallet to save
@@ -266,15 +419,24 @@ static async deleteWallet(walletId) {
    * Create a decrypted wallet from a Solana keypair
    * @param {Keypair} keypair - Solana keypair
    * @param {string} [name] - Optional wallet name
+   * @param {Object} [seedInfo] - Seed phrase details for derived wallets
+   * @param {string} seedInfo.mnemonic - BIP39 seed phrase
+   * @param {string} seedInfo.derivationPath - Derivation path used
+   * @param {number} seedInfo.accountIndex - Account index used
    * @returns {DecryptedWallet} - Decrypted wallet data
    */
-  static solanaKeypairToWallet(keypair, name) {
+  static solanaKeypairToWallet(keypair, name, seedInfo = null) {
     return {
       id: `wallet_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
       privateKey: Buffer.from(keypair.secretKey).toString('base64'),
       publicKey: keypair.publicKey.toString(),
       walletType: 'solana',
-      name: name || 'Solana Wallet'
+      name: name || 'Solana Wallet',
+      ...(seedInfo && {
+        mnemonic: seedInfo.mnemonic,
+        derivationPath: seedInfo.derivationPath,
+        accountIndex: seedInfo.accountIndex
+      })
     };
   }
   
@@ -320,25 +482,7 @@ static async deleteWallet(walletId) {
   }
   
   /**
-   * Simple XOR encryption for React Native compatibility
-   * @param {string} text - Text to encrypt
-   * @param {string} key - Encryption key (hex)
-   * @returns {string} - Encrypted text (hex)
-   */
-  static xorEncrypt(text, key) {
-    const textBytes = new TextEncoder().encode(text);
-    const keyBytes = this.hexToBytes(key);
-    const encrypted = new Uint8Array(textBytes.length);
-    
-    for (let i = 0; i < textBytes.length; i++) {
-      encrypted[i] = textBytes[i] ^ keyBytes[i % keyBytes.length];
-    }
-    
-    return this.bytesToHex(encrypted);
-  }
-  
-  /**
-   * Simple XOR decryption for React Native compatibility
+   * XOR decryption for legacy v1 wallets
    * @param {string} encryptedHex - Encrypted text (hex)
    * @param {string} key - Encryption key (hex)
    * @returns {string} - Decrypted text
@@ -380,4 +524,4 @@ static async deleteWallet(walletId) {
   }
 }
 
-// Character count: 8756
\ No newline at end of file
+// Character count: 18278
\ No newline at end of file
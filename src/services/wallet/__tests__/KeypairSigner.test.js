@@ -0,0 +1,85 @@
+// src/services/wallet/__tests__/KeypairSigner.test.js
+// Path: src/services/wallet/__tests__/KeypairSigner.test.js
+
+/**
+ * KeypairSigner Tests
+ *
+ * The signer publishers receive instead of a raw keypair: transaction signing
+ * (including partial signing for multi-signer transactions) and Ed25519
+ * message signatures.
+ */
+
+import { Keypair, Transaction, TransactionInstruction, PublicKey } from '@solana/web3.js';
+import { KeypairSigner } from '../KeypairSigner';
+
+const MEMO_PROGRAM_ID = new PublicKey('MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr');
+
+const buildMemoTransaction = (feePayer, text = 'gm') => {
+  const transaction = new Transaction().add(new TransactionInstruction({
+    keys: [],
+    programId: MEMO_PROGRAM_ID,
+    data: Buffer.from(text, 'utf8')
+  }));
+  transaction.recentBlockhash = Keypair.fromSeed(new Uint8Array(32).fill(7)).publicKey.toBase58();
+  transaction.feePayer = feePayer;
+  return transaction;
+};
+
+describe('KeypairSigner', () => {
+  const keypair = Keypair.fromSeed(new Uint8Array(32).fill(1));
+  const signer = new KeypairSigner(keypair);
+
+  it('should require a keypair', () => {
+    expect(() => new KeypairSigner(null)).toThrow('KeypairSigner requires a keypair');
+  });
+
+  it('should expose the public key but not the secret key', () => {
+    expect(signer.publicKey.equals(keypair.publicKey)).toBe(true);
+    expect(signer.secretKey).toBeUndefined();
+  });
+
+  it('should sign a transaction as fee payer', async () => {
+    // Act
+    const signed = await signer.signTransaction(buildMemoTransaction(signer.publicKey));
+
+    // Assert
+    expect(signed.verifySignatures()).toBe(true);
+  });
+
+  it('should partially sign so another signer can add theirs', async () => {
+    // Arrange - a sponsor pays the fee, the author co-signs
+    const sponsor = new KeypairSigner(Keypair.fromSeed(new Uint8Array(32).fill(2)));
+    const transaction = buildMemoTransaction(sponsor.publicKey);
+    transaction.instructions[0].keys.push({ pubkey: signer.publicKey, isSigner: true, isWritable: false });
+
+    // Act
+    await signer.signTransaction(transaction);
+    const partiallySigned = transaction.verifySignatures(false);
+    await sponsor.signTransaction(transaction);
+
+    // Assert
+    expect(partiallySigned).toBe(true);
+    expect(transaction.verifySignatures()).toBe(true);
+  });
+
+  it('should sign every transaction in a batch', async () => {
+    const signed = await signer.signAllTransactions([
+      buildMemoTransaction(signer.publicKey, 'one'),
+      buildMemoTransaction(signer.publicKey, 'two')
+    ]);
+
+    expect(signed).toHaveLength(2);
+    expect(signed.every(tx => tx.verifySignatures())).toBe(true);
+  });
+
+  it('should sign and verify messages', async () => {
+    const signature = await signer.signMessage('glyffiti');
+
+    expect(signature).toHaveLength(64);
+    expect(KeypairSigner.verifyMessage('glyffiti', signature, keypair.publicKey.toBase58())).toBe(true);
+    expect(KeypairSigner.verifyMessage('glyffiti!', signature, keypair.publicKey)).toBe(false);
+    expect(KeypairSigner.verifyMessage('glyffiti', signature, 'not-a-key')).toBe(false);
+  });
+});
+
+// Character count: 3117
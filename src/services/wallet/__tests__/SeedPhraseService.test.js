@@ -0,0 +1,99 @@
+// src/services/wallet/__tests__/SeedPhraseService.test.js
+// Path: src/services/wallet/__tests__/SeedPhraseService.test.js
+
+/**
+ * SeedPhraseService Tests
+ *
+ * Checks BIP39 seeds and SLIP-0010 Ed25519 derivation against the published
+ * test vectors, then the Solana account path used by MobileWalletService.
+ */
+
+import { SeedPhraseService } from '../SeedPhraseService';
+
+const toHex = (bytes) => Buffer.from(bytes).toString('hex');
+
+const ABANDON_MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+
+describe('SeedPhraseService', () => {
+
+  describe('Mnemonics', () => {
+
+    it('should generate valid 12 and 24 word phrases', () => {
+      const short = SeedPhraseService.generate();
+      const long = SeedPhraseService.generate(24);
+
+      expect(short.split(' ')).toHaveLength(12);
+      expect(long.split(' ')).toHaveLength(24);
+      expect(SeedPhraseService.isValid(short)).toBe(true);
+      expect(SeedPhraseService.isValid(long)).toBe(true);
+    });
+
+    it('should reject unsupported lengths, bad checksums and unknown words', () => {
+      expect(() => SeedPhraseService.generate(15)).toThrow('Unsupported word count');
+      expect(SeedPhraseService.isValid(ABANDON_MNEMONIC.replace(/about$/, 'abandon'))).toBe(false);
+      expect(SeedPhraseService.findInvalidWords('abandon glyffiti about')).toEqual(['glyffiti']);
+    });
+
+    it('should normalize spacing and case', () => {
+      expect(SeedPhraseService.isValid(`  ${ABANDON_MNEMONIC.toUpperCase().replace(/ /g, '   ')}\n`)).toBe(true);
+    });
+
+    it('should match the BIP39 seed test vector', async () => {
+      const seed = await SeedPhraseService.toSeed(ABANDON_MNEMONIC, 'TREZOR');
+
+      expect(toHex(seed)).toBe(
+        'c55257c360c07c72029aebc1b53c05ed0362ada38ead3e3e9efa3708e53495531f09a6987599d18264c1e1c92f2cf141630c7a3c4ab7c81b2f001698e7463b04'
+      );
+    });
+
+  });
+
+  describe('SLIP-0010 derivation', () => {
+    const vectorSeed = Uint8Array.from(Buffer.from('000102030405060708090a0b0c0d0e0f', 'hex'));
+
+    it('should match the Ed25519 test vector', () => {
+      expect(toHex(SeedPhraseService.derivePath(vectorSeed, 'm')))
+        .toBe('2b4be7f19ee27bbf30c667b642d5f4aa69fd169872f8fc3059c08ebae2eb19e7');
+      expect(toHex(SeedPhraseService.derivePath(vectorSeed, "m/0'")))
+        .toBe('68e0fe46dfb67e368c75379acec591dad19df3cde26e63b93a8e704f1dade7a3');
+      expect(toHex(SeedPhraseService.derivePath(vectorSeed, "m/0'/1'")))
+        .toBe('b1d0bad404bf35da785a64ca1ac54b2617211d2777696fbffaf208f746ae84f2');
+    });
+
+    it('should refuse non-hardened segments', () => {
+      expect(() => SeedPhraseService.derivePath(vectorSeed, "m/44'/501'/0")).toThrow('only supports hardened');
+    });
+
+  });
+
+  describe('Solana accounts', () => {
+
+    it('should use the standard Solana path', () => {
+      expect(SeedPhraseService.getDerivationPath(0)).toBe("m/44'/501'/0'/0'");
+      expect(SeedPhraseService.getDerivationPath(7)).toBe("m/44'/501'/7'/0'");
+      expect(() => SeedPhraseService.getDerivationPath(-1)).toThrow('Invalid account index');
+    });
+
+    it('should derive distinct, repeatable accounts from one phrase', async () => {
+      // Act
+      const accounts = await SeedPhraseService.deriveAccounts(ABANDON_MNEMONIC, { count: 3 });
+      const again = await SeedPhraseService.deriveAccount(ABANDON_MNEMONIC, { accountIndex: 1 });
+
+      // Assert
+      const keys = accounts.map(a => a.keypair.publicKey.toBase58());
+      expect(new Set(keys).size).toBe(3);
+      expect(accounts[1].derivationPath).toBe("m/44'/501'/1'/0'");
+      expect(again.keypair.publicKey.toBase58()).toBe(keys[1]);
+    });
+
+    it('should derive a different wallet when a passphrase is used', async () => {
+      const plain = await SeedPhraseService.deriveAccount(ABANDON_MNEMONIC);
+      const withPassphrase = await SeedPhraseService.deriveAccount(ABANDON_MNEMONIC, { passphrase: 'glyffiti' });
+
+      expect(withPassphrase.keypair.publicKey.toBase58()).not.toBe(plain.keypair.publicKey.toBase58());
+    });
+
+  });
+});
+
+// Character count: 4070
@@ -0,0 +1,149 @@
+// src/services/wallet/__tests__/TestIdentityProvider.test.js
+// Path: src/services/wallet/__tests__/TestIdentityProvider.test.js
+
+/**
+ * TestIdentityProvider Tests
+ *
+ * Dev test users sign through TestIdentityWallet (a BaseWallet) with keys
+ * imported into the document directory, never from the app bundle.
+ */
+
+import { Keypair } from '@solana/web3.js';
+import bs58 from 'bs58';
+import { TestIdentityProvider } from '../TestIdentityProvider';
+import { TestIdentityWallet } from '../TestIdentityWallet';
+import { KeypairSigner } from '../KeypairSigner';
+import { LocalMemoLedger } from '../../blockchain/solana/LocalMemoLedger';
+import { SolanaPublisher } from '../../blockchain/solana/SolanaPublisher';
+
+// In-memory document directory
+jest.mock('expo-file-system', () => {
+  const mockFiles = new Map();
+  return {
+    documentDirectory: 'mock://document/directory/',
+    getInfoAsync: jest.fn(async (uri) => ({ exists: mockFiles.has(uri), uri })),
+    readAsStringAsync: jest.fn(async (uri) => mockFiles.get(uri)),
+    writeAsStringAsync: jest.fn(async (uri, contents) => { mockFiles.set(uri, contents); }),
+    deleteAsync: jest.fn(async (uri) => { mockFiles.delete(uri); })
+  };
+});
+
+const alice = Keypair.fromSeed(new Uint8Array(32).fill(11));
+const bob = Keypair.fromSeed(new Uint8Array(32).fill(12));
+
+const IDENTITIES_JSON = JSON.stringify({
+  alice: Array.from(alice.secretKey),
+  bob: bs58.encode(bob.secretKey)
+});
+
+const aliceUser = { username: 'alice', publicKey: alice.publicKey.toBase58() };
+
+describe('TestIdentityProvider', () => {
+  let provider;
+
+  beforeEach(async () => {
+    provider = new TestIdentityProvider();
+    await provider.clear();
+  });
+
+  describe('Parsing', () => {
+
+    it('should accept byte arrays and base58 secret keys', () => {
+      const identities = TestIdentityProvider.parseIdentities(IDENTITIES_JSON);
+
+      expect(identities.get('alice').publicKey.equals(alice.publicKey)).toBe(true);
+      expect(identities.get('bob').publicKey.equals(bob.publicKey)).toBe(true);
+    });
+
+    it('should reject malformed files', () => {
+      expect(() => TestIdentityProvider.parseIdentities('nope')).toThrow('not valid JSON');
+      expect(() => TestIdentityProvider.parseIdentities('[]')).toThrow('must map usernames');
+      expect(() => TestIdentityProvider.parseIdentities('{"alice":[1,2,3]}'))
+        .toThrow('Invalid secret key for test identity "alice"');
+    });
+
+  });
+
+  describe('Wallets', () => {
+
+    it('should persist imported identities outside the bundle', async () => {
+      // Act
+      const usernames = await provider.importFromJson(IDENTITIES_JSON);
+      const reloaded = await new TestIdentityProvider().listUsernames();
+
+      // Assert
+      expect(usernames).toEqual(['alice', 'bob']);
+      expect(reloaded).toEqual(['alice', 'bob']);
+    });
+
+    it('should return null for users without an identity', async () => {
+      await expect(provider.getWallet('alice')).resolves.toBeNull();
+    });
+
+    it('should hand out read-only signing wallets', async () => {
+      await provider.importFromJson(IDENTITIES_JSON);
+      const wallet = await provider.getWallet('alice');
+
+      expect(wallet).toBeInstanceOf(TestIdentityWallet);
+      expect(wallet.isConnected).toBe(true);
+      expect(wallet.getWalletPublicKey()).toBe(aliceUser.publicKey);
+      await expect(wallet.export({ password: 'x' })).rejects.toThrow('cannot be exported');
+
+      const signature = await wallet.signMessage('hello');
+      expect(KeypairSigner.verifyMessage('hello', signature, alice.publicKey)).toBe(true);
+    });
+
+    it('should prefer a personal wallet that owns the user key', async () => {
+      await provider.importFromJson(IDENTITIES_JSON);
+      const personalWallet = { publicKey: alice.publicKey };
+
+      await expect(provider.resolveWalletForUser(aliceUser, personalWallet)).resolves.toBe(personalWallet);
+      await expect(provider.resolveWalletForUser(aliceUser, { publicKey: bob.publicKey }))
+        .resolves.toBeInstanceOf(TestIdentityWallet);
+    });
+
+    it('should refuse an identity that does not match the registry', async () => {
+      await provider.importFromJson(IDENTITIES_JSON);
+
+      await expect(provider.resolveWalletForUser({ username: 'alice', publicKey: bob.publicKey.toBase58() }))
+        .resolves.toBeNull();
+    });
+
+    it('should be unavailable outside development builds', async () => {
+      await provider.importFromJson(IDENTITIES_JSON);
+      const releaseProvider = new TestIdentityProvider();
+      const originalDev = global.__DEV__;
+      global.__DEV__ = false;
+
+      try {
+        await expect(releaseProvider.getWallet('alice')).resolves.toBeNull();
+        await expect(releaseProvider.importFromJson(IDENTITIES_JSON)).rejects.toThrow('only available in development');
+      } finally {
+        global.__DEV__ = originalDev;
+      }
+    });
+
+  });
+
+  describe('Publishing', () => {
+
+    it('should publish through the wallet signer', async () => {
+      // Arrange
+      const ledger = new LocalMemoLedger();
+      await provider.importFromJson(IDENTITIES_JSON);
+      const wallet = await provider.getWallet('alice');
+      const publisher = new SolanaPublisher(ledger);
+
+      // Act
+      const signature = await publisher.publishSingleTransaction('signed by the wallet', wallet);
+
+      // Assert
+      const tx = await ledger.getTransaction(signature);
+      expect(tx.meta.err).toBeNull();
+      expect(tx.transaction.message.accountKeys[0].toBase58()).toBe(aliceUser.publicKey);
+    });
+
+  });
+});
+
+// Character count: 5516
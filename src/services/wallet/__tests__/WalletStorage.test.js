@@ -0,0 +1,155 @@
+// src/services/wallet/__tests__/WalletStorage.test.js
+// Path: src/services/wallet/__tests__/WalletStorage.test.js
+
+/**
+ * WalletStorage Tests
+ *
+ * Covers the v2 vault (KDF + XChaCha20-Poly1305) and the migration of legacy
+ * v1 wallets that were written with the hash-loop + XOR scheme.
+ */
+
+import { Keypair } from '@solana/web3.js';
+import { WalletStorage } from '../WalletStorage';
+
+jest.mock('expo-secure-store', () => jest.requireActual('../../../../__tests__/__mocks__/expo-secure-store'));
+
+jest.mock('expo-crypto', () => jest.requireActual('../../../../__tests__/__mocks__/expo-crypto-sha256'));
+
+// Write a wallet exactly as the v1 implementation did
+const createLegacyWallet = async (wallet, password) => {
+  const salt = '00112233445566778899aabbccddeeff';
+  const keyBytes = WalletStorage.hexToBytes(await WalletStorage.deriveLegacyKey(password, salt));
+  const textBytes = new TextEncoder().encode(JSON.stringify({ privateKey: wallet.privateKey, name: wallet.name }));
+  const encrypted = textBytes.map((byte, i) => byte ^ keyBytes[i % keyBytes.length]);
+
+  return {
+    id: wallet.id,
+    encryptedData: WalletStorage.bytesToHex(encrypted),
+    salt,
+    iv: '000000000000000000000000',
+    walletType: wallet.walletType,
+    publicKey: wallet.publicKey,
+    name: wallet.name,
+    createdAt: 1700000000000,
+    lastUsed: 1700000000000
+  };
+};
+
+describe('WalletStorage', () => {
+  const password = 'correct horse battery staple';
+  const originalParams = WalletStorage.KDF_PARAMS;
+  let wallet;
+
+  beforeAll(() => {
+    // Keep the KDF cheap so the suite stays fast
+    WalletStorage.KDF_PARAMS = {
+      scrypt: { N: 2 ** 10, r: 8, p: 1 },
+      'pbkdf2-sha256': { c: 1000 }
+    };
+  });
+
+  afterAll(() => {
+    WalletStorage.KDF_PARAMS = originalParams;
+  });
+
+  beforeEach(() => {
+    wallet = WalletStorage.solanaKeypairToWallet(Keypair.generate(), 'Test Wallet');
+  });
+
+  describe('Vault v2', () => {
+
+    it('should encrypt and decrypt a wallet', async () => {
+      // Act
+      const encrypted = await WalletStorage.encryptWallet(wallet, password);
+      const decrypted = await WalletStorage.decryptWallet(encrypted, password);
+
+      // Assert
+      expect(encrypted.version).toBe(2);
+      expect(encrypted.kdf).toBe('scrypt');
+      expect(encrypted.kdfParams).toEqual({ N: 1024, r: 8, p: 1 });
+      expect(encrypted.cipher).toBe('xchacha20-poly1305');
+      expect(encrypted.iv).toHaveLength(48);
+      expect(JSON.stringify(encrypted)).not.toContain(wallet.privateKey);
+      expect(decrypted).toEqual(wallet);
+    });
+
+    it('should support PBKDF2-SHA256', async () => {
+      const encrypted = await WalletStorage.encryptWallet(wallet, password, { kdf: 'pbkdf2-sha256' });
+
+      expect(encrypted.kdfParams).toEqual({ c: 1000 });
+      await expect(WalletStorage.decryptWallet(encrypted, password)).resolves.toEqual(wallet);
+    });
+
+    it('should reject a wrong password', async () => {
+      const encrypted = await WalletStorage.encryptWallet(wallet, password);
+
+      await expect(WalletStorage.decryptWallet(encrypted, 'wrong password'))
+        .rejects.toThrow('Invalid password or corrupted wallet data');
+    });
+
+    it('should reject a vault whose public key was swapped', async () => {
+      const encrypted = await WalletStorage.encryptWallet(wallet, password);
+      const otherKey = Keypair.fromSeed(new Uint8Array(32).fill(9)).publicKey.toString();
+      const swapped = { ...encrypted, publicKey: otherKey };
+
+      await expect(WalletStorage.decryptWallet(swapped, password))
+        .rejects.toThrow('Invalid password or corrupted wallet data');
+    });
+
+  });
+
+  describe('Legacy migration', () => {
+
+    it('should open legacy wallets and flag them for migration', async () => {
+      const legacy = await createLegacyWallet(wallet, password);
+
+      expect(WalletStorage.needsMigration(legacy)).toBe(true);
+      await expect(WalletStorage.decryptWallet(legacy, password)).resolves.toEqual(wallet);
+    });
+
+    it('should re-encrypt and save legacy wallets', async () => {
+      // Arrange
+      const legacy = await createLegacyWallet(wallet, password);
+      await WalletStorage.saveWallet(legacy);
+      const decrypted = await WalletStorage.decryptWallet(legacy, password);
+
+      // Act
+      const upgraded = await WalletStorage.migrateWallet(legacy, decrypted, password);
+      const stored = await WalletStorage.getWallet(wallet.id);
+
+      // Assert
+      expect(upgraded.version).toBe(2);
+      expect(upgraded.createdAt).toBe(legacy.createdAt);
+      expect(stored).toEqual(upgraded);
+      expect(WalletStorage.needsMigration(stored)).toBe(false);
+      await expect(WalletStorage.decryptWallet(stored, password)).resolves.toEqual(wallet);
+    });
+
+    it('should still open vaults written before a version bump', async () => {
+      // Arrange
+      const encrypted = await WalletStorage.encryptWallet(wallet, password);
+      const currentVersion = WalletStorage.VAULT_VERSION;
+      WalletStorage.VAULT_VERSION = currentVersion + 1;
+
+      try {
+        // Act
+        const decrypted = await WalletStorage.decryptWallet(encrypted, password);
+
+        // Assert
+        expect(WalletStorage.needsMigration(encrypted)).toBe(true);
+        expect(decrypted).toEqual(wallet);
+      } finally {
+        WalletStorage.VAULT_VERSION = currentVersion;
+      }
+    });
+
+    it('should leave current wallets untouched', async () => {
+      const encrypted = await WalletStorage.encryptWallet(wallet, password);
+
+      await expect(WalletStorage.migrateWallet(encrypted, wallet, password)).resolves.toBe(encrypted);
+    });
+
+  });
+});
+
+// Character count: 5601
@@ -34,7 +34,7 @@ export const createPublishingHandlers = (setters, getters) => {
     
     try {
       setIsRequestingAirdrop(true);
-      const keypair = walletService.getWalletKeypair();
+      const publicKey = walletService.publicKey;
       
       Alert.alert(
         'Request Devnet SOL',
@@ -43,7 +43,7 @@ export const createPublishingHandlers = (setters, getters) => {
           { text: 'Cancel', style: 'cancel' },
           { text: 'Request', onPress: async () => {
             try {
-              await airdropService.requestAirdrop(keypair.publicKey, 1);
+              await airdropService.requestAirdrop(publicKey, 1);
               
               Alert.alert('⏳ Processing', 'Waiting for airdrop confirmation...');
               
@@ -230,4 +230,4 @@ export const createPublishingHandlers = (setters, getters) => {
   };
 };
 
-// Character count: 5598
\ No newline at end of file
+// Character count: 7053
\ No newline at end of file